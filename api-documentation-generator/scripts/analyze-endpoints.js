@@ -3,73 +3,99 @@
 
 const fs = require('fs');
 const path = require('path');
+const { discoverRoutes, isJavaScriptFile } = require('./lib/route-discovery');
+const { discoverPythonRoutes, isPythonFile } = require('./lib/python-routes');
+const { collectSourceFiles, formatSource, isGlob } = require('./lib/project-files');
 
-function analyzeEndpoints(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const lines = content.split('\n');
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.java', '.py'];
+
+// Analyzes a source file, a project directory or a glob. Route files reached
+// through require/import are followed even when they are outside the scan.
+function analyzeEndpoints(targets) {
+  const { root, files } = collectSourceFiles(targets, SOURCE_EXTENSIONS);
 
   const analysis = {
+    root: root,
+    files: [],
     endpoints: [],
     security: [],
     parameters: [],
     schemas: []
   };
 
-  // Enhanced patterns for different frameworks
-  const patterns = {
-    express: [
-      /app\.(get|post|put|delete|patch|all)\(\s*['"`]([^'"`]+)['"`]\s*,/,
-      /router\.(get|post|put|delete|patch|all)\(\s*['"`]([^'"`]+)['"`]\s*,/
-    ],
-    spring: [
-      /@(GetMapping|PostMapping|PutMapping|DeleteMapping|RequestMapping)\s*\(\s*["']([^"']+)["']\s*\)/,
-      /@RequestMapping\([^)]*value\s*=\s*["']([^"']+)["'][^)]*\)/
-    ],
-    flask: [
-      /@app\.route\s*\(\s*['"`]([^'"`]+)['"`][^)]*\)/,
-      /methods\s*=\s*\[([^\]]+)\]/  // Extract HTTP methods
-    ]
-  };
+  // JavaScript/TypeScript routes (Express, Fastify, Koa, Hapi, NestJS) come
+  // from the parse tree, following `use()`/`register()` mounts into
+  // required/imported router files
+  const jsFiles = files.filter(isJavaScriptFile);
+  if (jsFiles.length > 0) {
+    const discovered = discoverRoutes(jsFiles);
+    discovered.endpoints.forEach(endpoint => {
+      analysis.endpoints.push(Object.assign({}, endpoint, {
+        file: formatSource(root, endpoint.file),
+        source: formatSource(root, endpoint.file, endpoint.line)
+      }));
+    });
+    // Shared schemas registered with `fastify.addSchema()`
+    Object.keys(discovered.schemas).forEach(id => {
+      analysis.schemas.push({ id: id, schema: discovered.schemas[id] });
+    });
+    discovered.files.forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
+  }
 
-  // Analyze Express.js patterns
-  for (const pattern of patterns.express) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const method = match[1]?.toUpperCase() || 'ALL';
-      const route = match[2];
-
-      analysis.endpoints.push({
-        method: method,
-        path: route,
-        framework: 'Express.js',
-        line: getLineNumber(content, match.index)
-      });
-    }
+  // Python routes (Flask, FastAPI, Django REST Framework) follow
+  // `register_blueprint()`, `include_router()` and `include()` the same way
+  const pythonFiles = files.filter(isPythonFile);
+  if (pythonFiles.length > 0) {
+    const discovered = discoverPythonRoutes(pythonFiles);
+    discovered.endpoints.forEach(endpoint => {
+      analysis.endpoints.push(Object.assign({}, endpoint, {
+        file: formatSource(root, endpoint.file),
+        source: formatSource(root, endpoint.file, endpoint.line)
+      }));
+    });
+    discovered.files.forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
   }
 
-  // Analyze Spring patterns
-  for (const pattern of patterns.spring) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const annotation = match[1];
-      let method = 'GET';
-
-      if (annotation.includes('Post')) method = 'POST';
-      else if (annotation.includes('Put')) method = 'PUT';
-      else if (annotation.includes('Delete')) method = 'DELETE';
-      else if (annotation.includes('Patch')) method = 'PATCH';
-
-      const route = match[2] || '';
-
-      analysis.endpoints.push({
-        method: method,
-        path: route,
-        framework: 'Spring Boot',
-        line: getLineNumber(content, match.index)
-      });
-    }
+  for (const file of files) {
+    analyzeSourceFile(file, root, analysis);
   }
 
+  // Request values each handler reads, as found by the parsers above (and
+  // the Spring handler signatures), listed with the endpoint they belong to
+  analysis.endpoints.forEach(endpoint => {
+    (endpoint.parameters || []).forEach(param => {
+      analysis.parameters.push({
+        name: param.name,
+        source: param.in,
+        endpoint: `${endpoint.method} ${endpoint.path}`,
+        file: endpoint.file,
+        line: endpoint.line
+      });
+    });
+  });
+
+  return analysis;
+}
+
+function analyzeSourceFile(filePath, root, analysis) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const lines = content.split('\n');
+  const file = formatSource(root, filePath);
+
+  analysis.files.push(file);
+
+  const springEndpoints = path.extname(filePath) === '.java' ? extractSpringEndpoints(content) : [];
+  springEndpoints.forEach(endpoint => {
+    analysis.endpoints.push(Object.assign(endpoint, {
+      file: file,
+      source: formatSource(root, filePath, endpoint.line)
+    }));
+  });
+
   // Look for security annotations/middleware
   const securityPatterns = [
     /auth/i,
@@ -91,78 +117,310 @@ function analyzeEndpoints(filePath) {
         analysis.security.push({
           type: 'potential_security',
           code: line.trim(),
+          file: file,
           line: parseInt(lineIdx) + 1
         });
       }
     }
   }
+}
 
-  // Look for parameter patterns
-  const paramPatterns = [
-    /req\.params\.(\w+)/gi,
-    /req\.query\.(\w+)/gi,
-    /req\.headers\.(\w+)/gi,
-    /req\.body\.(\w+)/gi
-  ];
+// Spring controllers: a class-level @RequestMapping prefixes every mapping
+// declared in that class, and @PathVariable/@RequestParam/@RequestHeader/
+// @CookieValue/@RequestBody arguments become the endpoint's parameters.
+// Comments and string contents are blanked in `code` so braces and
+// commented-out annotations do not count; offsets match `content`.
+function extractSpringEndpoints(content) {
+  const code = maskJava(content);
+  const classes = javaClasses(code);
+  const endpoints = [];
+  const pattern = /@(GetMapping|PostMapping|PutMapping|DeleteMapping|PatchMapping|RequestMapping)\b/g;
 
-  for (const pattern of paramPatterns) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      analysis.parameters.push({
-        name: match[1],
-        source: getParamSource(match[0]),
-        line: getLineNumber(content, match.index)
+  const mappings = [];
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const end = match.index + match[0].length;
+    const argsRange = annotationArgs(code, end);
+    const args = argsRange ? content.slice(argsRange.start, argsRange.end) : '';
+    const declared = declaredClass(code, argsRange ? argsRange.end + 1 : end);
+    const owner = declared === null ? null : classes.find(cls => cls.index === declared);
+    if (owner) {
+      owner.prefixes = mappingPaths(args);
+    } else {
+      mappings.push({ annotation: match[1], args, index: match.index, end: argsRange ? argsRange.end + 1 : end });
+    }
+  }
+
+  mappings.forEach(mapping => {
+    // Innermost class whose body holds the method
+    const cls = classes
+      .filter(c => mapping.index > c.bodyStart && mapping.index < c.bodyEnd)
+      .sort((a, b) => b.bodyStart - a.bodyStart)[0];
+    const prefixes = cls && cls.prefixes ? cls.prefixes : [''];
+    const { parameters, types } = springParameters(content, code, mapping.end);
+    const line = getLineNumber(content, mapping.index);
+
+    prefixes.forEach(prefix => {
+      mappingPaths(mapping.args).forEach(route => {
+        mappingMethods(mapping.annotation, mapping.args).forEach(method => {
+          const endpoint = {
+            method: method,
+            path: joinSpringPaths(prefix, route),
+            framework: 'Spring Boot',
+            line: line,
+            parameters: parameters
+          };
+          if (types) endpoint.types = types;
+          endpoints.push(endpoint);
+        });
       });
+    });
+  });
+
+  return endpoints;
+}
+
+// Copy of Java source with comments and the inside of string/char literals
+// replaced by spaces (newlines kept)
+function maskJava(content) {
+  let out = '';
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    const next = content[i + 1];
+    let end = i + 1;
+    if (ch === '/' && next === '/') {
+      end = content.indexOf('\n', i);
+      if (end === -1) end = content.length;
+      out += ' '.repeat(end - i);
+    } else if (ch === '/' && next === '*') {
+      end = content.indexOf('*/', i + 2);
+      end = end === -1 ? content.length : end + 2;
+      out += content.slice(i, end).replace(/[^\n]/g, ' ');
+    } else if (ch === '"' || ch === '\'') {
+      end = i + 1;
+      while (end < content.length && content[end] !== ch && content[end] !== '\n') {
+        end += content[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + 1, content.length);
+      out += ch + ' '.repeat(Math.max(end - i - 2, 0)) + (end - i > 1 ? content[end - 1] : '');
+    } else {
+      out += ch;
     }
+    i = end;
   }
+  return out;
+}
 
-  return analysis;
+// Class and interface declarations and the extent of their bodies
+function javaClasses(code) {
+  const classes = [];
+  const pattern = /\b(?:class|interface)\s+\w+[^{;]*\{/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const bodyStart = match.index + match[0].length - 1;
+    classes.push({ index: match.index, bodyStart, bodyEnd: closingBrace(code, bodyStart), prefixes: null });
+  }
+  return classes;
 }
 
-function getLineNumber(content, index) {
-  return content.substring(0, index).split('\n').length;
+// Offset of the `class`/`interface` keyword when only annotations and
+// modifiers stand between `index` and it, otherwise null
+function declaredClass(code, index) {
+  const pattern = /\s*(@[\w.]+|public|protected|private|abstract|final|static|sealed|strictfp)\b/y;
+  let i = index;
+  for (;;) {
+    pattern.lastIndex = i;
+    const match = pattern.exec(code);
+    if (!match) break;
+    i = pattern.lastIndex;
+    const args = match[1][0] === '@' ? annotationArgs(code, i) : null;
+    if (args) i = args.end + 1;
+  }
+  const keyword = /\s*(?=\b(?:class|interface)\b)/y;
+  keyword.lastIndex = i;
+  return keyword.exec(code) ? keyword.lastIndex : null;
 }
 
-function getParamSource(paramStr) {
-  if (paramStr.includes('params')) return 'path';
-  if (paramStr.includes('query')) return 'query';
-  if (paramStr.includes('headers')) return 'header';
-  if (paramStr.includes('body')) return 'body';
-  return 'unknown';
+function closingBrace(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === '{') depth++;
+    else if (code[i] === '}' && --depth === 0) return i;
+  }
+  return code.length;
 }
 
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node analyze-endpoints.js <source-file-path>');
-  process.exit(1);
+// Range inside the parentheses that follow an annotation name, if any
+function annotationArgs(code, index) {
+  const open = code.slice(index).search(/\S/) + index;
+  if (code[open] !== '(') return null;
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === '(') depth++;
+    else if (code[i] === ')' && --depth === 0) return { start: open + 1, end: i };
+  }
+  return null;
 }
 
-const sourcePath = process.argv[2];
-try {
-  const analysis = analyzeEndpoints(sourcePath);
+// `"/x"`, `value = "/x"`, `path = {"/a", "/b"}`; no path maps the prefix itself
+function mappingPaths(args) {
+  const attribute = args.match(/\b(?:value|path)\s*=\s*(\{[^}]*\}|"[^"]*")/);
+  const source = attribute ? attribute[1] : (args.match(/^\s*(\{[^}]*\}|"[^"]*")/) || [])[1];
+  const paths = source ? (source.match(/"[^"]*"/g) || []).map(literal => literal.slice(1, -1)) : [];
+  return paths.length > 0 ? paths : [''];
+}
 
-  console.log('=== DEEP ENDPOINT ANALYSIS ===\n');
+// @RequestMapping without `method` answers every method
+function mappingMethods(annotation, args) {
+  if (annotation !== 'RequestMapping') return [annotation.replace('Mapping', '').toUpperCase()];
+  const methods = (args.match(/RequestMethod\.\w+/g) || []).map(name => name.split('.')[1]);
+  return methods.length > 0 ? methods : ['ALL'];
+}
 
-  console.log(`Found ${analysis.endpoints.length} endpoints:`);
-  analysis.endpoints.forEach(ep => {
-    console.log(`  ${ep.method} ${ep.path} (${ep.framework}) - Line ${ep.line}`);
-  });
+function joinSpringPaths(prefix, route) {
+  const joined = [prefix, route]
+    .filter(Boolean)
+    .map(part => part.replace(/^\/*/, '/').replace(/\/+$/, ''))
+    .join('');
+  return joined || '/';
+}
 
-  console.log(`\nFound ${analysis.security.length} potential security implementations:`);
-  analysis.security.forEach(sec => {
-    console.log(`  Line ${sec.line}: ${sec.code}`);
-  });
+const SPRING_PARAMETERS = {
+  PathVariable: 'path',
+  RequestParam: 'query',
+  RequestHeader: 'header',
+  CookieValue: 'cookie'
+};
 
-  console.log(`\nFound ${analysis.parameters.length} parameters:`);
-  analysis.parameters.forEach(param => {
-    console.log(`  ${param.name} (${param.source})`);
+// Annotated arguments of the handler method declared after a mapping. The
+// name comes from the annotation (`@RequestParam("q")`, `name = "q"`) or
+// the argument itself; a @RequestBody type is reported like a NestJS DTO.
+function springParameters(content, code, index) {
+  const parameters = [];
+  let types = null;
+  const signature = methodArguments(code, index);
+  if (!signature) return { parameters, types };
+
+  splitArguments(content, code, signature).forEach(({ text, start }) => {
+    const annotation = text.match(/@(PathVariable|RequestParam|RequestHeader|CookieValue|RequestBody)\b\s*(?:\(([^)]*)\))?/);
+    if (!annotation) return;
+    const declaration = text.slice(annotation.index + annotation[0].length)
+      .replace(/@\w+(?:\s*\([^)]*\))?/g, '')
+      .replace(/\bfinal\b/g, '')
+      .trim()
+      .match(/^([\w.]+)(?:<.*>)?(?:\[\])*\s+(\w+)$/s);
+    if (annotation[1] === 'RequestBody') {
+      if (declaration) types = { body: declaration[1].split('.').pop() };
+      return;
+    }
+
+    const args = annotation[2] || '';
+    const named = args.match(/\b(?:value|name)\s*=\s*"([^"]*)"/) || args.match(/^\s*"([^"]*)"/);
+    const name = named ? named[1] : (declaration ? declaration[2] : null);
+    if (!name) return;
+    const location = SPRING_PARAMETERS[annotation[1]];
+    parameters.push({
+      name: location === 'header' ? name.toLowerCase() : name,
+      in: location,
+      line: getLineNumber(content, start)
+    });
   });
 
-  // Save detailed analysis to file
-  const outputPath = sourcePath.replace(/\.[^/.]+$/, '') + '-analysis.json';
-  fs.writeFileSync(outputPath, JSON.stringify(analysis, null, 2));
-  console.log(`\nDetailed analysis saved to: ${outputPath}`);
-} catch (error) {
-  console.error('Analysis failed:', error.message);
-  process.exit(1);
+  return { parameters, types };
+}
+
+// Range of the argument list of the first method declared from `index`,
+// skipping the parentheses of any further annotations
+function methodArguments(code, index) {
+  const pattern = /(@?)[\w$]+\s*\(|[{;]/g;
+  pattern.lastIndex = index;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '{' || match[0] === ';') return null;
+    const open = match.index + match[0].length - 1;
+    const range = annotationArgs(code, open);
+    if (!range) return null;
+    if (!match[1]) return range;
+    pattern.lastIndex = range.end + 1;
+  }
+  return null;
+}
+
+// Top-level comma-separated arguments, ignoring commas inside generics and
+// annotation arguments
+function splitArguments(content, code, range) {
+  const parts = [];
+  let depth = 0;
+  let start = range.start;
+  for (let i = range.start; i <= range.end; i++) {
+    const ch = code[i];
+    if (ch === '(' || ch === '<' || ch === '{') depth++;
+    else if (ch === ')' || ch === '>' || ch === '}') depth--;
+    if (i === range.end || (ch === ',' && depth === 0)) {
+      const text = content.slice(start, i);
+      parts.push({ text, start: start + text.length - text.trimStart().length });
+      start = i + 1;
+    }
+  }
+  return parts.filter(part => part.text.trim());
+}
+
+function getLineNumber(content, index) {
+  return content.substring(0, index).split('\n').length;
+}
+
+module.exports = {
+  analyzeEndpoints
+};
+
+// Main execution
+if (require.main === module) {
+  if (process.argv.length < 3) {
+    console.error('Usage: node analyze-endpoints.js <source-file|directory|glob> [...more]');
+    process.exit(1);
+  }
+
+  const targets = process.argv.slice(2);
+  try {
+    const analysis = analyzeEndpoints(targets);
+    const multiFile = analysis.files.length > 1;
+
+    console.log('=== DEEP ENDPOINT ANALYSIS ===\n');
+
+    if (multiFile) {
+      console.log(`Scanned ${analysis.files.length} files under ${analysis.root}\n`);
+    }
+
+    console.log(`Found ${analysis.endpoints.length} endpoints:`);
+    analysis.endpoints.forEach(ep => {
+      const location = multiFile ? ep.source : `Line ${ep.line}`;
+      console.log(`  ${ep.method} ${ep.path} (${ep.framework}) - ${location}`);
+      if (ep.middleware && ep.middleware.length > 0) {
+        console.log(`    middleware: ${ep.middleware.join(', ')}`);
+      }
+    });
+
+    console.log(`\nFound ${analysis.security.length} potential security implementations:`);
+    analysis.security.forEach(sec => {
+      const location = multiFile ? `${sec.file}:${sec.line}` : `Line ${sec.line}`;
+      console.log(`  ${location}: ${sec.code}`);
+    });
+
+    console.log(`\nFound ${analysis.parameters.length} parameters:`);
+    analysis.parameters.forEach(param => {
+      console.log(`  ${param.name} (${param.source}) - ${param.endpoint}`);
+    });
+
+    // Save detailed analysis to file; project scans write into the scanned root
+    const singleFile = targets.length === 1 && !isGlob(targets[0]) && fs.statSync(targets[0]).isFile();
+    const outputPath = singleFile
+      ? targets[0].replace(/\.[^/.]+$/, '') + '-analysis.json'
+      : path.join(analysis.root, 'endpoints-analysis.json');
+    fs.writeFileSync(outputPath, JSON.stringify(analysis, null, 2));
+    console.log(`\nDetailed analysis saved to: ${outputPath}`);
+  } catch (error) {
+    console.error('Analysis failed:', error.message);
+    process.exit(1);
+  }
 }
\ No newline at end of file
@@ -3,213 +3,419 @@
 
 const fs = require('fs');
 const path = require('path');
-
-function checkCompleteness(specPath) {
-  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+const { parseArgs } = require('util');
+const { bundleSpec, dereferenceSpec, resolveLocalRef } = require('./lib/ref-resolver');
+const { loadSpec, serializeSpec, detectFormat, pointer } = require('./lib/spec-loader');
+const { exampleFromSchema } = require('./lib/schema-example');
+const { operationValidator, schemaErrors } = require('./lib/operation-validator');
+const { HTTP_METHODS } = require('./lib/spec-merge');
+const { operationParameters, parameterSchema, securitySchemes } = require('./lib/sample-requests');
+const { FORMATS, toSarif, toJUnit } = require('./lib/report-formats');
+
+// Rule ID and description of every check, for machine-readable output
+const CHECKS = {
+  'ref-resolution': 'Every $ref resolves to an existing, non-circular target',
+  'info-defined': 'The spec has an info object',
+  'info-title': 'The API has a title',
+  'info-version': 'The API has a version',
+  'info-description': 'The API has a description',
+  'servers-defined': 'Server base URLs are listed',
+  'paths-defined': 'The spec defines paths',
+  'operations-defined': 'The paths define HTTP operations',
+  'operation-descriptions': 'At least 80% of operations have a summary or description',
+  'operation-examples': 'At least 50% of operations have response examples',
+  'schema-descriptions': 'Component schemas have descriptions',
+  'schema-examples': 'Component schemas have examples',
+  'security-scheme-descriptions': 'Security schemes have descriptions',
+  'tags-defined': 'Tags group related endpoints',
+  'external-docs': 'External documentation is linked',
+  'parameter-descriptions': 'Parameters have descriptions',
+  'parameter-examples': 'Parameters have examples',
+  'response-descriptions': 'Responses have descriptions',
+  'response-schemas': 'Responses have content schemas'
+};
+
+// Weight of each check in the score. Checks made per operation, parameter,
+// response or schema count by coverage, so one gap costs a 200-endpoint API
+// far less than a 2-endpoint one. `issues` is deducted per critical issue.
+const DEFAULT_WEIGHTS = {
+  'info-description': 3,
+  'servers-defined': 2,
+  'tags-defined': 2,
+  'external-docs': 1,
+  'security-scheme-descriptions': 2,
+  'operation-descriptions': 20,
+  'operation-examples': 15,
+  'parameter-descriptions': 15,
+  'parameter-examples': 5,
+  'response-descriptions': 10,
+  'response-schemas': 10,
+  'schema-descriptions': 10,
+  'schema-examples': 5,
+  issues: 5
+};
+
+// Operations and schemas listed in text output before the rest are elided
+const TEXT_LIMIT = 20;
+
+// Responses that have no body by definition
+const BODYLESS_RESPONSES = ['default', '204', '304'];
+
+function checkCompleteness(specPath, options = {}) {
+  // Referenced parameters, responses and schemas count like inline ones
+  const { spec, problems, lineOf } = dereferenceSpec(specPath);
+  const weights = Object.assign({}, DEFAULT_WEIGHTS, options.weights);
   const issues = [];
   const suggestions = [];
 
+  // Each finding names its rule and the JSON pointer and line it concerns
+  const finding = (rule, message, at = '') => ({ message, pointer: at, line: lineOf(at), rule });
+  const issue = (...args) => issues.push(finding(...args));
+  const suggest = (...args) => suggestions.push(finding(...args));
+
+  // How many of the things each weighted check looks at pass it
+  const coverage = {};
+  Object.keys(DEFAULT_WEIGHTS).filter(rule => rule !== 'issues').forEach(rule => {
+    coverage[rule] = { passed: 0, total: 0 };
+  });
+  const count = (rule, passed, total = 1) => {
+    coverage[rule].passed += passed;
+    coverage[rule].total += total;
+  };
+
+  problems.filter(problem => problem.severity === 'error').forEach(problem => {
+    const { severity, ...found } = problem;
+    issues.push(Object.assign(found, { rule: 'ref-resolution' }));
+  });
+
   // Check for basic info
   if (!spec.info) {
-    issues.push('Missing info object (title, version, description)');
+    issue('info-defined', 'Missing info object (title, version, description)');
   } else {
     if (!spec.info.title) {
-      issues.push('Missing API title');
+      issue('info-title', 'Missing API title', '/info');
     }
     if (!spec.info.version) {
-      issues.push('Missing API version');
+      issue('info-version', 'Missing API version', '/info');
     }
     if (!spec.info.description) {
-      suggestions.push('Consider adding API description');
+      suggest('info-description', 'Consider adding API description', '/info');
     }
   }
+  count('info-description', spec.info && spec.info.description ? 1 : 0);
 
-  // Check for servers
-  if (!spec.servers || spec.servers.length === 0) {
-    suggestions.push('Consider adding server definitions for base URLs');
+  // Check for servers (host in Swagger 2.0)
+  const hasServers = spec.swagger ? Boolean(spec.host) : Array.isArray(spec.servers) && spec.servers.length > 0;
+  if (!hasServers) {
+    suggest('servers-defined', 'Consider adding server definitions for base URLs');
   }
+  count('servers-defined', hasServers ? 1 : 0);
 
-  // Check paths
+  // Check every operation
+  const operations = [];
   if (!spec.paths || Object.keys(spec.paths).length === 0) {
-    issues.push('No paths defined in API specification');
+    issue('paths-defined', 'No paths defined in API specification');
   } else {
-    let totalOperations = 0;
-    let documentedOperations = 0;
-    let operationsWithDescriptions = 0;
-    let operationsWithExamples = 0;
-
-    for (const [path, pathItem] of Object.entries(spec.paths)) {
-      for (const [method, operation] of Object.entries(pathItem)) {
-        if (['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'].includes(method)) {
-          totalOperations++;
-
-          // Check if operation is properly documented
-          documentedOperations++;
-
-          if (operation.summary || operation.description) {
-            operationsWithDescriptions++;
-          }
-
-          // Check for examples in responses
-          if (operation.responses) {
-            for (const [statusCode, response] of Object.entries(operation.responses)) {
-              if (response.content) {
-                for (const [contentType, content] of Object.entries(response.content)) {
-                  if (content.examples || (content.schema && content.schema.example)) {
-                    operationsWithExamples++;
-                    break; // Count once per operation
-                  }
-                }
-              }
-            }
-          }
-        }
+    for (const [route, pathItem] of Object.entries(spec.paths)) {
+      for (const method of HTTP_METHODS.filter(method => pathItem && pathItem[method])) {
+        const report = checkOperation(spec, route, pathItem, method, weights);
+        report.pointer = pointer('paths', route, method);
+        report.line = lineOf(report.pointer);
+        operations.push(report);
+        Object.keys(report.coverage).forEach(rule => {
+          count(rule, report.coverage[rule].passed, report.coverage[rule].total);
+        });
       }
     }
 
-    // Calculate completeness metrics
-    const descriptionCoverage = (operationsWithDescriptions / totalOperations) * 100;
-    const exampleCoverage = (operationsWithExamples / totalOperations) * 100;
-
-    if (descriptionCoverage < 80) {
-      suggestions.push(`Only ${Math.round(descriptionCoverage)}% of operations have descriptions, consider adding more`);
-    }
+    if (operations.length === 0) {
+      issue('operations-defined', 'No HTTP operations defined in paths', '/paths');
+    } else {
+      // Calculate completeness metrics
+      const descriptionCoverage = percentage(coverage['operation-descriptions']);
+      const exampleCoverage = percentage(coverage['operation-examples']);
 
-    if (exampleCoverage < 50) {
-      suggestions.push(`Only ${Math.round(exampleCoverage)}% of operations have examples, consider adding request/response examples`);
-    }
+      if (descriptionCoverage < 80) {
+        suggest('operation-descriptions', `Only ${Math.round(descriptionCoverage)}% of operations have descriptions, consider adding more`, '/paths');
+      }
 
-    if (totalOperations === 0) {
-      issues.push('No HTTP operations defined in paths');
+      if (exampleCoverage < 50) {
+        suggest('operation-examples', `Only ${Math.round(exampleCoverage)}% of operations have examples, consider adding request/response examples`, '/paths');
+      }
     }
   }
 
-  // Check components
-  if (spec.components) {
-    // Check schemas
-    if (spec.components.schemas) {
-      let schemasWithoutDescriptions = 0;
-      let schemasWithoutExamples = 0;
-
-      for (const [name, schema] of Object.entries(spec.components.schemas)) {
-        if (!schema.description) {
-          schemasWithoutDescriptions++;
-        }
-
-        if (!schema.example && !(schema.properties && Object.values(schema.properties).some(p => p.example))) {
-          schemasWithoutExamples++;
-        }
-      }
+  // Check schemas
+  const schemas = [];
+  const schemaSection = spec.swagger ? 'definitions' : 'components/schemas';
+  const schemaEntries = (spec.swagger ? spec.definitions : spec.components && spec.components.schemas) || {};
+  for (const [name, schema] of Object.entries(schemaEntries)) {
+    const missing = [];
+    if (!schema.description) {
+      missing.push({ rule: 'schema-descriptions', message: 'no description' });
+    }
+    if (!schemaHasExample(schema)) {
+      missing.push({ rule: 'schema-examples', message: 'no example' });
+    }
+    count('schema-descriptions', schema.description ? 1 : 0);
+    count('schema-examples', missing.some(gap => gap.rule === 'schema-examples') ? 0 : 1);
 
-      if (schemasWithoutDescriptions > 0) {
-        suggestions.push(`${schemasWithoutDescriptions} schemas lack descriptions`);
-      }
+    const at = `/${schemaSection}${pointer(name)}`;
+    schemas.push({ name, pointer: at, line: lineOf(at), missing });
+  }
 
-      if (schemasWithoutExamples > 0) {
-        suggestions.push(`${schemasWithoutExamples} schemas lack examples`);
-      }
-    }
+  const schemasWithoutDescriptions = coverage['schema-descriptions'].total - coverage['schema-descriptions'].passed;
+  const schemasWithoutExamples = coverage['schema-examples'].total - coverage['schema-examples'].passed;
+  if (schemasWithoutDescriptions > 0) {
+    suggest('schema-descriptions', `${schemasWithoutDescriptions} schemas lack descriptions`, `/${schemaSection}`);
+  }
+  if (schemasWithoutExamples > 0) {
+    suggest('schema-examples', `${schemasWithoutExamples} schemas lack examples`, `/${schemaSection}`);
+  }
 
-    // Check security schemes
-    if (spec.components.securitySchemes) {
-      for (const [name, scheme] of Object.entries(spec.components.securitySchemes)) {
-        if (!scheme.description) {
-          suggestions.push(`Security scheme "${name}" lacks description`);
-        }
-      }
+  // Check security schemes
+  const securitySection = spec.swagger ? 'securityDefinitions' : 'components/securitySchemes';
+  for (const [name, scheme] of Object.entries(securitySchemes(spec))) {
+    if (!scheme.description) {
+      suggest('security-scheme-descriptions', `Security scheme "${name}" lacks description`, `/${securitySection}${pointer(name)}`);
     }
+    count('security-scheme-descriptions', scheme.description ? 1 : 0);
   }
 
   // Check for common documentation gaps
-  if (!spec.tags || spec.tags.length === 0) {
-    suggestions.push('Consider adding tags to group related endpoints');
+  const hasTags = Array.isArray(spec.tags) && spec.tags.length > 0;
+  if (!hasTags) {
+    suggest('tags-defined', 'Consider adding tags to group related endpoints');
   }
+  count('tags-defined', hasTags ? 1 : 0);
 
   // Check for external documentation
   if (!spec.externalDocs) {
-    suggestions.push('Consider adding external documentation links');
+    suggest('external-docs', 'Consider adding external documentation links');
   }
-
-  // Check parameter documentation
-  if (spec.paths) {
-    let paramsWithoutDescriptions = 0;
-    let paramsWithoutExamples = 0;
-
-    for (const [path, pathItem] of Object.entries(spec.paths)) {
-      for (const [method, operation] of Object.entries(pathItem)) {
-        if (operation.parameters) {
-          operation.parameters.forEach(param => {
-            if (!param.description) {
-              paramsWithoutDescriptions++;
-            }
-            if (!param.example && !param.schema?.example) {
-              paramsWithoutExamples++;
-            }
-          });
-        }
-      }
+  count('external-docs', spec.externalDocs ? 1 : 0);
+
+  // Parameter and response documentation across all operations
+  const gaps = [
+    ['parameter-descriptions', 'parameters lack descriptions'],
+    ['parameter-examples', 'parameters lack examples'],
+    ['response-descriptions', 'responses lack descriptions'],
+    ['response-schemas', 'responses lack content schemas']
+  ];
+  gaps.forEach(([rule, message]) => {
+    const lacking = coverage[rule].total - coverage[rule].passed;
+    if (lacking > 0) {
+      suggest(rule, `${lacking} ${message}`, '/paths');
     }
+  });
 
-    if (paramsWithoutDescriptions > 0) {
-      suggestions.push(`${paramsWithoutDescriptions} parameters lack descriptions`);
-    }
+  Object.keys(coverage).forEach(rule => {
+    coverage[rule].weight = weights[rule];
+  });
 
-    if (paramsWithoutExamples > 0) {
-      suggestions.push(`${paramsWithoutExamples} parameters lack examples`);
-    }
-  }
+  return {
+    issues: issues,
+    suggestions: suggestions,
+    score: calculateCompletenessScore(coverage, issues, weights),
+    coverage: coverage,
+    operations: operations,
+    tags: summarizeTags(operations),
+    schemas: schemas
+  };
+}
 
-  // Check response documentation
-  if (spec.paths) {
-    let responsesWithoutDescriptions = 0;
-    let responsesWithoutSchemas = 0;
-
-    for (const [path, pathItem] of Object.entries(spec.paths)) {
-      for (const [method, operation] of Object.entries(pathItem)) {
-        if (operation.responses) {
-          for (const [statusCode, response] of Object.entries(operation.responses)) {
-            if (!response.description) {
-              responsesWithoutDescriptions++;
-            }
-
-            if (!response.content && statusCode !== 'default') {
-              responsesWithoutSchemas++;
-            }
-          }
-        }
-      }
-    }
+// What one operation is missing, and its own weighted score
+function checkOperation(spec, route, pathItem, method, weights) {
+  const operation = pathItem[method];
+  const coverage = {};
+  const missing = [];
+  const check = (rule, passed, total, message) => {
+    if (total === 0) return;
+    coverage[rule] = { passed, total };
+    if (passed < total) missing.push({ rule, message });
+  };
+
+  check('operation-descriptions', operation.summary || operation.description ? 1 : 0, 1, 'no summary or description');
+
+  // Count examples once per operation, in any response's content
+  const responses = Object.entries(operation.responses || {}).filter(([, response]) => response && typeof response === 'object');
+  const hasExamples = responses.some(([, response]) => responseHasExample(response));
+  check('operation-examples', hasExamples ? 1 : 0, 1, 'no response examples');
+
+  // The spec is dereferenced, so parameters need no resolving
+  const parameters = operationParameters(pathItem, operation, param => param).filter(param => param.in !== 'body');
+
+  const undescribed = parameters.filter(param => !param.description).map(param => param.name);
+  check('parameter-descriptions', parameters.length - undescribed.length, parameters.length,
+    `parameters without descriptions: ${undescribed.join(', ')}`);
+  const withoutExamples = parameters.filter(param => !parameterHasExample(param)).map(param => param.name);
+  check('parameter-examples', parameters.length - withoutExamples.length, parameters.length,
+    `parameters without examples: ${withoutExamples.join(', ')}`);
+
+  const noDescription = responses.filter(([, response]) => !response.description).map(([code]) => code);
+  check('response-descriptions', responses.length - noDescription.length, responses.length,
+    `responses without descriptions: ${noDescription.join(', ')}`);
+  const needBody = responses.filter(([code]) => !BODYLESS_RESPONSES.includes(code));
+  const noSchema = needBody.filter(([, response]) => !response.content && !response.schema).map(([code]) => code);
+  check('response-schemas', needBody.length - noSchema.length, needBody.length,
+    `responses without content schemas: ${noSchema.join(', ')}`);
+
+  return {
+    operation: `${method.toUpperCase()} ${route}`,
+    tags: operation.tags && operation.tags.length > 0 ? operation.tags : [],
+    score: calculateCompletenessScore(coverage, [], weights),
+    missing,
+    coverage
+  };
+}
+
+// OpenAPI 3.1 schemas carry `examples` arrays; a schema whose properties
+// have examples is documented well enough
+function schemaHasExample(schema) {
+  if (schema.example !== undefined || Array.isArray(schema.examples)) return true;
+  return Boolean(schema.properties && Object.values(schema.properties).some(p => p && (p.example !== undefined || Array.isArray(p.examples))));
+}
+
+// Swagger 2.0 parameters cannot have `example`; `x-example` is the usual
+// extension
+function parameterHasExample(param) {
+  return param.example !== undefined || param.examples !== undefined || param['x-example'] !== undefined ||
+    Boolean(param.schema && (param.schema.example !== undefined || Array.isArray(param.schema.examples)));
+}
+
+function responseHasExample(response) {
+  // Swagger 2.0 keeps examples by media type on the response
+  if (response.examples) return true;
+  return Object.values(response.content || {}).some(media => media &&
+    (media.example !== undefined || media.examples || (media.schema && media.schema.example !== undefined)));
+}
 
-    if (responsesWithoutDescriptions > 0) {
-      suggestions.push(`${responsesWithoutDescriptions} responses lack descriptions`);
+// Copy of the spec (refs into other files bundled in) with examples
+// synthesized wherever the checks find none: component schemas, parameters,
+// and the JSON and text responses of operations without response examples.
+// Every example is checked against its schema before it is added; ones the
+// schema rejects (a schema no value can satisfy) are left out. Returns the
+// spec, `{ rule, pointer }` for every example added and `{ rule, pointer,
+// message }` for every one left out.
+function fillExamples(specPath, options = {}) {
+  const { spec } = bundleSpec(specPath);
+  const resolve = value => resolveLocalRef(spec, value).value;
+  const context = operationValidator(spec);
+  const openapi31 = typeof spec.openapi === 'string' && /^3\.1\./.test(spec.openapi);
+  const filled = [];
+  const skipped = [];
+
+  const synthesize = (schema, rule, at, extra = {}) => {
+    const example = exampleFromSchema(schema, Object.assign({ resolve, seed: options.seed }, extra));
+    if (example === undefined) return undefined;
+    const errors = schemaErrors(context, schema, example, extra.direction || 'response');
+    if (errors.length === 0) return example;
+    skipped.push({ rule, pointer: at, message: `${errors[0].pointer || 'example'} ${errors[0].message}` });
+    return undefined;
+  };
+
+  const schemaSection = spec.swagger ? 'definitions' : 'components/schemas';
+  const schemaEntries = (spec.swagger ? spec.definitions : spec.components && spec.components.schemas) || {};
+  for (const [name, schema] of Object.entries(schemaEntries)) {
+    // Keywords beside a $ref only count from OpenAPI 3.1 on
+    if (!schema || typeof schema !== 'object' || schemaHasExample(schema) || (schema.$ref && !openapi31)) continue;
+    const at = `/${schemaSection}${pointer(name)}`;
+    const example = synthesize({ $ref: `#${at}` }, 'schema-examples', at);
+    if (example === undefined) continue;
+    if (openapi31) {
+      schema.examples = [example];
+    } else {
+      schema.example = example;
     }
+    filled.push({ rule: 'schema-examples', pointer: at });
+  }
 
-    if (responsesWithoutSchemas > 0) {
-      suggestions.push(`${responsesWithoutSchemas} responses lack content schemas`);
+  for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+    const item = resolveLocalRef(spec, pathItem, pointer('paths', route));
+    if (!item.value || typeof item.value !== 'object') continue;
+    for (const method of HTTP_METHODS.filter(method => item.value[method])) {
+      const operation = item.value[method];
+      const at = `${item.pointer}${pointer(method)}`;
+
+      // Shared parameters are filled where they are defined, once
+      const parameters = [
+        ...(operation.parameters || []).map((param, index) => resolveLocalRef(spec, param, `${at}/parameters/${index}`)),
+        ...(item.value.parameters || []).map((param, index) => resolveLocalRef(spec, param, `${item.pointer}/parameters/${index}`))
+      ];
+      parameters.filter(({ value }) => value && value.in !== 'body' && !parameterHasExample(value)).forEach(({ value: param, pointer: paramAt }) => {
+        const example = synthesize(parameterSchema(param, resolve), 'parameter-examples', paramAt, { name: param.name });
+        if (example === undefined) return;
+        param[spec.swagger ? 'x-example' : 'example'] = example;
+        filled.push({ rule: 'parameter-examples', pointer: paramAt });
+      });
+
+      const responses = Object.entries(operation.responses || {})
+        .map(([code, response]) => resolveLocalRef(spec, response, `${at}/responses${pointer(code)}`))
+        .filter(({ value }) => value && typeof value === 'object');
+      if (responses.some(({ value }) => responseHasExample(value))) continue;
+      responses.forEach(({ value: response, pointer: responseAt }) => {
+        if (spec.swagger) {
+          const types = operation.produces || spec.produces || ['application/json'];
+          const type = types.find(entry => /json/i.test(entry));
+          const example = response.schema && type ? synthesize(response.schema, 'operation-examples', responseAt, { direction: 'response' }) : undefined;
+          if (example === undefined) return;
+          response.examples = { [type]: example };
+          filled.push({ rule: 'operation-examples', pointer: responseAt });
+          return;
+        }
+        Object.entries(response.content || {}).filter(([type, media]) => /json|^\*\/\*$|^text\//i.test(type) && media && media.schema)
+          .forEach(([type, media]) => {
+            const example = synthesize(media.schema, 'operation-examples', `${responseAt}/content${pointer(type)}`, { direction: 'response' });
+            // Text media types take their example as the text itself
+            if (example === undefined || (/^text\//i.test(type) && typeof example !== 'string')) return;
+            media.example = example;
+            filled.push({ rule: 'operation-examples', pointer: `${responseAt}/content${pointer(type)}` });
+          });
+      });
     }
   }
 
-  return {
-    issues: issues,
-    suggestions: suggestions,
-    score: calculateCompletenessScore(spec, issues, suggestions)
-  };
+  return { spec, filled, skipped };
 }
 
-function calculateCompletenessScore(spec, issues, suggestions) {
-  // Base score
-  let score = 100;
+// Operation count, incomplete operations and average score for each tag
+function summarizeTags(operations) {
+  const tags = new Map();
+  operations.forEach(operation => {
+    (operation.tags.length > 0 ? operation.tags : ['(untagged)']).forEach(tag => {
+      if (!tags.has(tag)) tags.set(tag, []);
+      tags.get(tag).push(operation);
+    });
+  });
+
+  return Array.from(tags, ([name, tagged]) => ({
+    name,
+    operations: tagged.length,
+    incomplete: tagged.filter(operation => operation.missing.length > 0).length,
+    score: Math.round(tagged.reduce((sum, operation) => sum + operation.score, 0) / tagged.length)
+  }));
+}
 
-  // Deduct points for critical issues
-  score -= issues.length * 5;
+function percentage({ passed, total }) {
+  return total === 0 ? 100 : (passed / total) * 100;
+}
+
+// Weighted average of the coverage of every check that applies, less a
+// fixed penalty per critical issue
+function calculateCompletenessScore(coverage, issues, weights) {
+  let achieved = 0;
+  let possible = 0;
 
-  // Deduct points for suggestions (less severe)
-  score -= suggestions.length * 1;
+  Object.keys(coverage).forEach(rule => {
+    const { passed, total } = coverage[rule];
+    const weight = weights[rule] || 0;
+    if (total === 0 || weight === 0) return;
+    achieved += weight * (passed / total);
+    possible += weight;
+  });
 
-  // Bonus points for good practices
-  if (spec.info?.description && spec.info.description.length > 50) score += 5;
-  if (spec.tags && spec.tags.length > 0) score += 3;
-  if (spec.externalDocs) score += 2;
+  let score = possible > 0 ? (achieved / possible) * 100 : 100;
+  score -= issues.length * weights.issues;
 
   // Normalize score to 0-100 range
   score = Math.max(0, Math.min(100, score));
@@ -217,55 +423,196 @@ function calculateCompletenessScore(spec, issues, suggestions) {
   return Math.round(score);
 }
 
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node check-completeness.js <openapi-spec-path>');
-  console.log('This script analyzes OpenAPI/Swagger specification for documentation completeness');
-  process.exit(1);
+// Reads score weights from a JSON or YAML file; unknown checks and
+// non-numeric weights are rejected
+function loadWeights(file) {
+  const weights = loadSpec(file).spec || {};
+  Object.keys(weights).forEach(rule => {
+    if (!(rule in DEFAULT_WEIGHTS)) {
+      throw new Error(`Unknown check "${rule}" in ${file} (expected one of ${Object.keys(DEFAULT_WEIGHTS).join(', ')})`);
+    }
+    if (typeof weights[rule] !== 'number' || weights[rule] < 0) {
+      throw new Error(`Weight for "${rule}" in ${file} must be a non-negative number`);
+    }
+  });
+  return weights;
 }
 
-const specPath = process.argv[2];
-try {
-  const result = checkCompleteness(specPath);
+module.exports = {
+  checkCompleteness,
+  fillExamples,
+  DEFAULT_WEIGHTS
+};
 
-  console.log('=== API DOCUMENTATION COMPLETENESS CHECK ===\n');
-  console.log(`Completeness Score: ${result.score}/100\n`);
-
-  if (result.issues.length > 0) {
-    console.log(`Issues Found (${result.issues.length}):`);
-    result.issues.forEach((issue, index) => {
-      console.log(`  ${index + 1}. ❌ ${issue}`);
+// Main execution
+if (require.main === module) {
+  let args;
+  let minScore = null;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'text' },
+        'min-score': { type: 'string' },
+        weights: { type: 'string' },
+        fill: { type: 'string' },
+        seed: { type: 'string' }
+      }
     });
-    console.log('');
+    if (!FORMATS.includes(args.values.format)) {
+      throw new Error(`Unknown format "${args.values.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (args.values['min-score'] !== undefined) {
+      minScore = Number(args.values['min-score']);
+      if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+        throw new Error(`--min-score must be a number from 0 to 100, got "${args.values['min-score']}"`);
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.positionals.length < 1) {
+    console.error('Usage: node check-completeness.js <openapi-spec-path> [--format text|json|sarif|junit] [--min-score <0-100>] [--weights <file>] [--fill <out-file>] [--seed <seed>]');
+    console.log('This script analyzes OpenAPI/Swagger specification for documentation completeness');
+    process.exit(1);
   }
 
-  if (result.suggestions.length > 0) {
-    console.log(`Suggestions (${result.suggestions.length}):`);
-    result.suggestions.forEach((suggestion, index) => {
-      console.log(`  ${index + 1}. 💡 ${suggestion}`);
+  const specPath = args.positionals[0];
+  const format = args.values.format;
+  try {
+    const weights = args.values.weights ? loadWeights(args.values.weights) : {};
+    const result = checkCompleteness(specPath, { weights });
+    const passed = minScore === null || result.score >= minScore;
+
+    // The report describes the spec as it is; the filled copy is written
+    // beside it
+    let written = null;
+    if (args.values.fill) {
+      const { spec, filled, skipped } = fillExamples(specPath, { seed: args.values.seed });
+      fs.writeFileSync(args.values.fill, serializeSpec(spec, detectFormat(args.values.fill)));
+      written = `${filled.length} missing examples filled in, specification written to: ${args.values.fill}`;
+      if (skipped.length > 0) {
+        written += `\n${skipped.length} synthesized examples did not match their schema and were left out:`;
+        skipped.forEach(entry => {
+          written += `\n  ${entry.pointer}: ${entry.message}`;
+        });
+      }
+    }
+
+    if (format !== 'text') {
+      // Keep stdout parseable
+      if (written) console.error(written);
+      const findings = [
+        ...result.issues.map(issue => Object.assign({ level: 'error' }, issue)),
+        ...result.suggestions.map(suggestion => Object.assign({ level: 'note' }, suggestion))
+      ];
+      const rules = Object.assign({}, CHECKS);
+      if (minScore !== null) {
+        rules['min-score'] = `The completeness score is at least ${minScore}`;
+        if (!passed) {
+          findings.push({ rule: 'min-score', level: 'error', message: `Completeness score ${result.score} is below the minimum of ${minScore}`, pointer: '', line: null });
+        }
+      }
+      const report = { tool: 'check-completeness', specPath, rules, findings };
+      if (format === 'json') {
+        console.log(JSON.stringify(Object.assign({ file: specPath }, result, { minScore, passed }), null, 2));
+      } else {
+        console.log(format === 'sarif' ? toSarif(report) : toJUnit(report));
+      }
+      process.exit(passed ? 0 : 1);
+    }
+
+    console.log('=== API DOCUMENTATION COMPLETENESS CHECK ===\n');
+    console.log(`Completeness Score: ${result.score}/100\n`);
+
+    console.log('Coverage:');
+    Object.keys(result.coverage).filter(rule => result.coverage[rule].total > 0).forEach(rule => {
+      const { passed, total, weight } = result.coverage[rule];
+      console.log(`  ${rule.padEnd(30)} ${`${passed}/${total}`.padStart(9)}  ${String(Math.round(percentage(result.coverage[rule]))).padStart(3)}%  (weight ${weight})`);
     });
     console.log('');
-  }
 
-  // Provide score interpretation
-  if (result.score >= 90) {
-    console.log('🎉 Excellent! Your API documentation is very complete.');
-  } else if (result.score >= 70) {
-    console.log('👍 Good! Your API documentation covers most important aspects.');
-  } else if (result.score >= 50) {
-    console.log('⚠️ Fair. Consider addressing the issues and suggestions to improve completeness.');
-  } else {
-    console.log('❌ Poor. Significant improvements needed for complete API documentation.');
-  }
+    if (result.tags.length > 0) {
+      console.log('By Tag:');
+      result.tags.forEach(tag => {
+        console.log(`  ${tag.name.padEnd(30)} ${String(tag.score).padStart(3)}%  ${tag.incomplete}/${tag.operations} operations incomplete`);
+      });
+      console.log('');
+    }
 
-  console.log('\nFor better API documentation:');
-  console.log('- Add descriptions to all endpoints and parameters');
-  console.log('- Include request/response examples');
-  console.log('- Document error responses');
-  console.log('- Group related endpoints with tags');
-  console.log('- Provide external documentation links');
+    // Lowest-scoring first, so the endpoints that drag the score down lead
+    const incomplete = result.operations.filter(operation => operation.missing.length > 0)
+      .sort((a, b) => a.score - b.score);
+    if (incomplete.length > 0) {
+      console.log(`Operations Needing Attention (${incomplete.length}):`);
+      incomplete.slice(0, TEXT_LIMIT).forEach(operation => {
+        console.log(`  ${String(operation.score).padStart(3)}%  ${operation.operation}: ${operation.missing.map(gap => gap.message).join('; ')}`);
+      });
+      if (incomplete.length > TEXT_LIMIT) {
+        console.log(`  ... and ${incomplete.length - TEXT_LIMIT} more (--format json lists them all)`);
+      }
+      console.log('');
+    }
 
-} catch (error) {
-  console.error('Completeness check failed:', error.message);
-  process.exit(1);
+    const schemaGaps = result.schemas.filter(schema => schema.missing.length > 0);
+    if (schemaGaps.length > 0) {
+      console.log(`Schemas Needing Attention (${schemaGaps.length}):`);
+      schemaGaps.slice(0, TEXT_LIMIT).forEach(schema => {
+        console.log(`  ${schema.name}: ${schema.missing.map(gap => gap.message).join(', ')}`);
+      });
+      if (schemaGaps.length > TEXT_LIMIT) {
+        console.log(`  ... and ${schemaGaps.length - TEXT_LIMIT} more (--format json lists them all)`);
+      }
+      console.log('');
+    }
+
+    if (result.issues.length > 0) {
+      console.log(`Issues Found (${result.issues.length}):`);
+      result.issues.forEach((issue, index) => {
+        console.log(`  ${index + 1}. ❌ ${issue.file ? issue.file + ': ' : ''}${issue.message}`);
+      });
+      console.log('');
+    }
+
+    if (result.suggestions.length > 0) {
+      console.log(`Suggestions (${result.suggestions.length}):`);
+      result.suggestions.forEach((suggestion, index) => {
+        console.log(`  ${index + 1}. 💡 ${suggestion.message}`);
+      });
+      console.log('');
+    }
+
+    // Provide score interpretation
+    if (result.score >= 90) {
+      console.log('🎉 Excellent! Your API documentation is very complete.');
+    } else if (result.score >= 70) {
+      console.log('👍 Good! Your API documentation covers most important aspects.');
+    } else if (result.score >= 50) {
+      console.log('⚠️ Fair. Consider addressing the issues and suggestions to improve completeness.');
+    } else {
+      console.log('❌ Poor. Significant improvements needed for complete API documentation.');
+    }
+
+    console.log('\nFor better API documentation:');
+    console.log('- Add descriptions to all endpoints and parameters');
+    console.log('- Include request/response examples');
+    console.log('- Document error responses');
+    console.log('- Group related endpoints with tags');
+    console.log('- Provide external documentation links');
+
+    if (written) {
+      console.log(`\n${written}`);
+    }
+
+    if (!passed) {
+      console.log(`\n❌ Completeness score ${result.score} is below the minimum of ${minScore}`);
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('Completeness check failed:', error.message);
+    process.exit(1);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+// Script to test a running service against its OpenAPI/Swagger specification
+
+const http = require('http');
+const https = require('https');
+const { parseArgs } = require('util');
+const { bundleSpec } = require('./lib/ref-resolver');
+const { pointer } = require('./lib/spec-loader');
+const { operationValidator, validateResponse } = require('./lib/operation-validator');
+const {
+  sampleRequests,
+  securitySchemes,
+  authVariables,
+  authCredentials,
+  samplePath,
+  sampleQuery,
+  defaultBaseUrl
+} = require('./lib/sample-requests');
+const { envName } = require('./lib/request-exports');
+const { FORMATS, toSarif, toJUnit } = require('./lib/report-formats');
+const { MOCK_ERROR_HEADER } = require('./mock-server');
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Value for parameters invalid requests break
+const INVALID_VALUE = 'not-valid';
+
+// Rule IDs of the findings
+const CHECKS = {
+  'request-failed': 'The service answers every request',
+  'success-status': 'Valid requests get a 2xx response',
+  'rejects-invalid': 'Invalid requests get a 4xx response',
+  'status-documented': 'Every response status is documented for its operation',
+  'response-headers': 'Required response headers are sent and headers match their schemas',
+  'content-type': 'Response bodies use a documented media type',
+  'response-body': 'Response bodies match the documented schema'
+};
+
+// Rule of each kind of response problem validateResponse reports
+const RESPONSE_RULES = {
+  status: 'status-documented',
+  headers: 'response-headers',
+  'content-type': 'content-type',
+  body: 'response-body'
+};
+
+// Sends every operation's sample request (with `options.invalid`, also
+// requests breaking one documented rule each) to `options.baseUrl`, the
+// first server of the spec by default, and checks the responses against
+// the spec. Credentials come from the environment variables the curl export
+// uses (`options.env`, process.env by default), and `options.headers` are
+// added to every request. Findings are drift per operation: errors when
+// the service contradicts the spec, warnings when a valid request is not
+// answered with a 2xx.
+async function runContractTests(specPath, options = {}) {
+  const { spec, lineOf } = bundleSpec(specPath);
+  const context = operationValidator(spec);
+  const baseUrl = (options.baseUrl || defaultBaseUrl(spec)).replace(/\/+$/, '');
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const env = options.env || process.env;
+  const credential = name => env[envName(name)] || '';
+
+  // Deletes run last, so they do not remove what other operations use
+  const samples = sampleRequests(spec).sort((a, b) => (a.method === 'delete') - (b.method === 'delete'));
+  const operations = [];
+  const findings = [];
+
+  for (const sample of samples) {
+    const route = context.operations.find(entry => entry.path === sample.path && entry.method === sample.method);
+    const name = `${sample.method.toUpperCase()} ${sample.path}`;
+    const at = pointer('paths', sample.path, sample.method);
+    const result = { operation: name, operationId: sample.operation.operationId || null, pointer: at, line: lineOf(at), checks: [] };
+
+    const valid = validRequest(sample, credential, options.headers);
+    const requests = [{ description: 'valid request', valid: true, request: valid }];
+    if (options.invalid) requests.push(...invalidRequests(context, route, sample, valid));
+
+    for (const entry of requests) {
+      const check = { request: entry.description, method: entry.request.method, url: `${baseUrl}${entry.request.path}`, status: null, problems: [] };
+      result.checks.push(check);
+      const report = (rule, level, message) => {
+        const finding = { rule, level, message: `${entry.description}${check.status ? ` (${check.status})` : ''}: ${message}`, pointer: at, line: result.line, testCase: name };
+        check.problems.push({ rule, level, message });
+        findings.push(finding);
+      };
+
+      let response;
+      try {
+        response = await send(baseUrl, entry.request, timeout);
+      } catch (error) {
+        report('request-failed', 'error', `request failed: ${error.message}`);
+        continue;
+      }
+
+      check.status = response.status;
+      const success = response.status >= 200 && response.status < 300;
+      const rejected = response.status >= 400 && response.status < 500;
+      if (entry.valid && !success) report('success-status', 'warning', `got ${response.status}, expected a 2xx status`);
+      if (!entry.valid && !rejected) report('rejects-invalid', 'error', `got ${response.status}, expected a 4xx status`);
+      // The mock server's own error bodies are not meant to follow the spec
+      if (response.headers[MOCK_ERROR_HEADER.toLowerCase()]) continue;
+      validateResponse(context, route, response).forEach(problem => report(RESPONSE_RULES[problem.check], 'error', problem.message));
+    }
+
+    result.passed = !result.checks.some(check => check.problems.some(problem => problem.level === 'error'));
+    operations.push(result);
+  }
+
+  return {
+    specPath,
+    spec,
+    baseUrl,
+    credentials: authVariables(securitySchemes(spec)).map(variable => ({ name: envName(variable), set: Boolean(credential(variable)) })),
+    operations,
+    findings,
+    passed: findings.every(finding => finding.level !== 'error')
+  };
+}
+
+// `{ method, path, headers, body }` for an operation's sample: its path
+// and required query, header and cookie parameters, example body and
+// credentials
+function validRequest(sample, credential, extraHeaders = {}) {
+  const credentials = authCredentials(sample.auth, credential);
+  const query = sampleQuery(sample, credentials.query.map(entry => ({ name: entry.name, value: encodeURIComponent(entry.value) })));
+  const headers = {};
+  sample.parameters.header.filter(param => param.required).forEach(param => {
+    headers[param.name] = param.value;
+  });
+  credentials.headers.forEach(entry => {
+    headers[entry.name] = entry.value;
+  });
+  if (credentials.basic) {
+    headers.Authorization = `Basic ${Buffer.from(`${credentials.basic.username}:${credentials.basic.password}`).toString('base64')}`;
+  }
+  const cookies = sample.parameters.cookie.filter(param => param.required).concat(credentials.cookies)
+    .map(entry => `${entry.name}=${encodeURIComponent(entry.value)}`);
+  if (cookies.length > 0) headers.Cookie = cookies.join('; ');
+  if (sample.accept) headers.Accept = sample.accept;
+  Object.assign(headers, extraHeaders);
+
+  return {
+    method: sample.method.toUpperCase(),
+    path: `${samplePath(sample)}${query ? `?${query}` : ''}`,
+    headers,
+    body: requestPayload(sample.body, headers)
+  };
+}
+
+// The sample body to send, setting its Content-Type. Multipart forms are
+// FormData, encoded with their boundary when sent, with empty files for
+// file fields.
+function requestPayload(body, headers) {
+  if (!body) return undefined;
+  if (body.fields && /multipart/i.test(body.contentType)) {
+    const form = new FormData();
+    body.fields.forEach(field => {
+      if (field.file) form.append(field.name, new Blob([]), field.name);
+      else form.append(field.name, field.value);
+    });
+    return form;
+  }
+
+  headers['Content-Type'] = body.contentType;
+  if (body.fields) return new URLSearchParams(body.fields.map(field => [field.name, field.value])).toString();
+  // String examples of JSON bodies are JSON strings
+  if (/json/i.test(body.contentType) && body.raw !== '' && !isJson(body.raw)) return JSON.stringify(body.raw);
+  return body.raw;
+}
+
+// Variants of the valid request that each break one documented rule: a
+// required query parameter or header left out, a typed path or query
+// parameter given a value of the wrong type, a required body left out or
+// missing a required property
+function invalidRequests(context, route, sample, valid) {
+  const { resolve } = context;
+  const requests = [];
+  const variant = (description, change) => {
+    const request = Object.assign({}, valid, { headers: Object.assign({}, valid.headers) });
+    change(request);
+    requests.push({ description, valid: false, request });
+  };
+  const [pathname, search = ''] = valid.path.split('?');
+  const parameters = route.parameters;
+
+  const query = parameters.find(param => param.in === 'query' && param.required);
+  if (query) {
+    variant(`without required query parameter "${query.name}"`, request => {
+      const params = new URLSearchParams(search);
+      params.delete(query.name);
+      request.path = `${pathname}${params.toString() ? `?${params}` : ''}`;
+    });
+  }
+
+  const header = parameters.find(param => param.in === 'header' && param.required &&
+    Object.keys(valid.headers).some(name => name.toLowerCase() === param.name.toLowerCase()));
+  if (header) {
+    variant(`without required header "${header.name}"`, request => {
+      Object.keys(request.headers).filter(name => name.toLowerCase() === header.name.toLowerCase()).forEach(name => {
+        delete request.headers[name];
+      });
+    });
+  }
+
+  const typedPath = parameters.find(param => param.in === 'path' && rejectsText(resolve(param.schema) || param));
+  if (typedPath) {
+    variant(`path parameter "${typedPath.name}" set to "${INVALID_VALUE}"`, request => {
+      const path = sample.parameters.path.map(param => (param.name === typedPath.name ? Object.assign({}, param, { value: INVALID_VALUE }) : param));
+      request.path = `${samplePath(Object.assign({}, sample, { parameters: Object.assign({}, sample.parameters, { path }) }))}${search ? `?${search}` : ''}`;
+    });
+  }
+
+  const typedQuery = parameters.find(param => param.in === 'query' && rejectsText(resolve(param.schema) || param));
+  if (typedQuery) {
+    variant(`query parameter "${typedQuery.name}" set to "${INVALID_VALUE}"`, request => {
+      const params = new URLSearchParams(search);
+      params.set(typedQuery.name, INVALID_VALUE);
+      request.path = `${pathname}?${params}`;
+    });
+  }
+
+  if (route.body && route.body.required && valid.body !== undefined) {
+    variant('without the required body', request => {
+      request.body = undefined;
+      Object.keys(request.headers).filter(name => /^content-type$/i.test(name)).forEach(name => {
+        delete request.headers[name];
+      });
+    });
+  }
+
+  const type = valid.headers['Content-Type'];
+  const media = type && route.body && route.body.content[type];
+  if (media && /json/i.test(type) && isJson(valid.body)) {
+    const value = JSON.parse(valid.body);
+    const property = requiredProperties(media.schema, resolve).find(name => value && typeof value === 'object' && name in value);
+    if (property) {
+      variant(`body without required property "${property}"`, request => {
+        const copy = Object.assign({}, value);
+        delete copy[property];
+        request.body = JSON.stringify(copy);
+      });
+    }
+  }
+  return requests;
+}
+
+// Whether a schema rules out an arbitrary word: numbers, booleans and
+// enums that do not list it
+function rejectsText(schema) {
+  if (Array.isArray(schema.enum)) return !schema.enum.includes(INVALID_VALUE);
+  return ['integer', 'number', 'boolean'].includes(schema.type);
+}
+
+// Required properties of an object schema, including those of its `allOf`
+// parts
+function requiredProperties(schema, resolve, seen = new Set()) {
+  const resolved = resolve(schema);
+  if (!resolved || typeof resolved !== 'object' || seen.has(resolved)) return [];
+  seen.add(resolved);
+  return (Array.isArray(resolved.required) ? resolved.required : [])
+    .concat(...(resolved.allOf || []).map(part => requiredProperties(part, resolve, seen)));
+}
+
+// `{ status, headers, body }` of the response to `request`. Plain http is
+// used rather than fetch, which turns some statuses (407) into network
+// errors and follows redirects.
+async function send(baseUrl, request, timeout) {
+  const url = new URL(`${baseUrl}${request.path}`);
+  const headers = Object.assign({}, request.headers);
+  let body = request.body;
+  if (body instanceof FormData) {
+    const encoded = new Response(body);
+    headers['Content-Type'] = encoded.headers.get('content-type');
+    body = Buffer.from(await encoded.arrayBuffer());
+  }
+  if (body !== undefined) headers['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, { method: request.method, headers, timeout }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`no response within ${timeout} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  runContractTests,
+  CHECKS
+};
+
+// Main execution
+if (require.main === module) {
+  let args;
+  let timeout = DEFAULT_TIMEOUT;
+  const headers = {};
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        'base-url': { type: 'string' },
+        invalid: { type: 'boolean', default: false },
+        header: { type: 'string', multiple: true },
+        timeout: { type: 'string' },
+        format: { type: 'string', default: 'text' }
+      }
+    });
+    if (!FORMATS.includes(args.values.format)) {
+      throw new Error(`Unknown format "${args.values.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (args.values['base-url'] !== undefined && !/^https?:\/\/[^/]/.test(args.values['base-url'])) {
+      throw new Error(`--base-url must be an http(s) URL, got "${args.values['base-url']}"`);
+    }
+    if (args.values.timeout !== undefined) {
+      timeout = Number(args.values.timeout);
+      if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new Error(`--timeout must be a number of milliseconds, got "${args.values.timeout}"`);
+      }
+    }
+    (args.values.header || []).forEach(header => {
+      const index = header.indexOf(':');
+      if (index <= 0) throw new Error(`--header must look like "Name: value", got "${header}"`);
+      headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.positionals.length < 1) {
+    console.error('Usage: node contract-test.js <openapi-spec-path> [--base-url <url>] [--invalid] [--header "Name: value"] [--timeout <ms>] [--format text|json|sarif|junit]');
+    console.log('This script checks that a running service responds as its OpenAPI/Swagger specification says');
+    process.exit(1);
+  }
+
+  const specPath = args.positionals[0];
+  const format = args.values.format;
+  runContractTests(specPath, { baseUrl: args.values['base-url'], invalid: args.values.invalid, headers, timeout }).then(result => {
+    if (format !== 'text') {
+      if (format === 'json') {
+        const { baseUrl, credentials, passed, operations } = result;
+        console.log(JSON.stringify({ file: specPath, baseUrl, credentials, passed, operations }, null, 2));
+      } else {
+        const report = {
+          tool: 'contract-test',
+          specPath,
+          rules: CHECKS,
+          findings: result.findings,
+          testCases: result.operations.map(operation => operation.operation)
+        };
+        console.log(format === 'sarif' ? toSarif(report) : toJUnit(report));
+      }
+      process.exit(result.passed ? 0 : 1);
+    }
+
+    const info = result.spec.info || {};
+    console.log(`=== CONTRACT TEST: ${info.title || specPath}${info.version ? ` ${info.version}` : ''} ===\n`);
+    console.log(`Base URL: ${result.baseUrl}`);
+    if (result.credentials.length > 0) {
+      console.log(`Credentials: ${result.credentials.map(entry => `${entry.name}${entry.set ? '' : ' (not set)'}`).join(', ')}`);
+    }
+    console.log('');
+
+    result.operations.forEach(operation => {
+      const problems = [].concat(...operation.checks.map(check => check.problems.map(problem => Object.assign({ request: check.request, status: check.status }, problem))));
+      const icon = !operation.passed ? '❌' : problems.length > 0 ? '⚠️' : '✅';
+      console.log(`${icon} ${operation.operation}${operation.operationId ? ` (${operation.operationId})` : ''}`);
+      problems.forEach(problem => {
+        console.log(`    ${problem.level === 'error' ? '❌' : '⚠️'} ${problem.request}${problem.status ? ` (${problem.status})` : ''}: ${problem.message} [${problem.rule}]`);
+      });
+    });
+
+    const drifted = result.operations.filter(operation => !operation.passed).length;
+    const errors = result.findings.filter(finding => finding.level === 'error').length;
+    const warnings = result.findings.length - errors;
+    const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+    console.log(`\n${result.operations.length - drifted} of ${result.operations.length} operations match the specification; ${drifted} drifted (${count(errors, 'error')}, ${count(warnings, 'warning')})`);
+    process.exit(result.passed ? 0 : 1);
+  }).catch(error => {
+    console.error('Contract test failed:', error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
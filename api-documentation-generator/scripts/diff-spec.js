@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+// Script to detect breaking changes between two versions of an API specification
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { dereferenceSpec } = require('./lib/ref-resolver');
+const { pathShape, HTTP_METHODS } = require('./lib/spec-merge');
+const { parameterSchema, responseContent, securitySchemes } = require('./lib/sample-requests');
+const { schemaType, capitalize } = require('./lib/schema-example');
+
+const LEVELS = ['breaking', 'non-breaking', 'info'];
+
+// Compares two specs and returns `{ changes, breaking }`. Each change is
+// `{ level, operation, message }` with level breaking, non-breaking or info.
+// Requests and responses are judged from the client's side: a request may
+// only get looser and a response only richer without breaking anyone.
+function diffSpecs(oldSpec, newSpec) {
+  const changes = [];
+  const add = (level, operation, message) => changes.push({ level, operation, message });
+
+  const oldVersion = oldSpec.info && oldSpec.info.version;
+  const newVersion = newSpec.info && newSpec.info.version;
+  if (oldVersion !== newVersion) {
+    add('info', null, `API version changed from ${oldVersion || 'none'} to ${newVersion || 'none'}`);
+  }
+
+  const oldOperations = collectOperations(oldSpec);
+  const newOperations = collectOperations(newSpec);
+
+  oldOperations.forEach((before, key) => {
+    const after = newOperations.get(key);
+    if (!after) {
+      add('breaking', before.label, 'Operation removed');
+      return;
+    }
+    if (before.path !== after.path) {
+      add('info', after.label, `Path parameters renamed (was ${before.path})`);
+    }
+    diffOperation(before, after, (level, message) => add(level, after.label, message));
+  });
+
+  newOperations.forEach((after, key) => {
+    if (!oldOperations.has(key)) add('non-breaking', after.label, 'Operation added');
+  });
+
+  diffSecuritySchemes(oldSpec, newSpec, (level, message) => add(level, null, message));
+
+  return {
+    changes,
+    breaking: changes.filter(change => change.level === 'breaking').length
+  };
+}
+
+// Operations keyed by method and path shape, so renaming {id} to {userId}
+// is not a removal
+function collectOperations(spec) {
+  const operations = new Map();
+  Object.keys(spec.paths || {}).forEach(route => {
+    const pathItem = spec.paths[route] || {};
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      operations.set(`${method} ${pathShape(route)}`, {
+        label: `${method.toUpperCase()} ${route}`,
+        path: route,
+        operation,
+        parameters: operationParameters(route, pathItem.parameters, operation.parameters),
+        requestBody: requestBody(spec, operation),
+        responses: operation.responses || {},
+        security: operation.security || spec.security || [],
+        spec
+      });
+    });
+  });
+  return operations;
+}
+
+// Path-level parameters overridden by operation-level ones. Path parameters
+// are keyed by their position in the path so a rename is not a change.
+function operationParameters(route, shared = [], own = []) {
+  const parameters = new Map();
+  const placeholders = (route.match(/\{[^}]+\}/g) || []).map(segment => segment.slice(1, -1));
+  [...shared, ...own].filter(param => param && param.in !== 'body').forEach(param => {
+    const index = placeholders.indexOf(param.name);
+    const key = param.in === 'path' && index !== -1 ? `path #${index + 1}` : `${param.in} ${param.name}`;
+    parameters.set(key, param);
+  });
+  return parameters;
+}
+
+// The request body as `{ required, content: { mediaType: schema } }`, from
+// OpenAPI 3 requestBody or a Swagger 2.0 body parameter
+function requestBody(spec, operation) {
+  if (operation.requestBody) {
+    const content = {};
+    Object.keys(operation.requestBody.content || {}).forEach(type => {
+      content[type] = (operation.requestBody.content[type] || {}).schema || {};
+    });
+    return { required: operation.requestBody.required === true, content };
+  }
+
+  const body = (operation.parameters || []).find(param => param && param.in === 'body');
+  if (!body) return null;
+  const content = {};
+  (operation.consumes || spec.consumes || ['application/json']).forEach(type => {
+    content[type] = body.schema || {};
+  });
+  return { required: body.required === true, content };
+}
+
+// A response's schemas by media type
+function responseSchemas(entry, response) {
+  const content = responseContent(entry.spec, entry.operation, response);
+  const schemas = {};
+  Object.keys(content).forEach(type => {
+    schemas[type] = (content[type] || {}).schema || {};
+  });
+  return schemas;
+}
+
+function diffOperation(before, after, add) {
+  if (!before.operation.deprecated && after.operation.deprecated) {
+    add('info', 'Operation deprecated');
+  }
+
+  // Parameters
+  before.parameters.forEach((oldParam, key) => {
+    const newParam = after.parameters.get(key);
+    const name = `${oldParam.in} parameter "${oldParam.name}"`;
+    if (!newParam) {
+      add('non-breaking', `Removed ${name}`);
+      return;
+    }
+    if (!oldParam.required && newParam.required) {
+      add('breaking', `${capitalize(name)} became required`);
+    } else if (oldParam.required && !newParam.required) {
+      add('non-breaking', `${capitalize(name)} became optional`);
+    }
+    // Both specs are dereferenced, so parameters need no resolving
+    diffSchema(parameterSchema(oldParam, param => param), parameterSchema(newParam, param => param), 'request', capitalize(name), add);
+  });
+  after.parameters.forEach((newParam, key) => {
+    if (before.parameters.has(key)) return;
+    const name = `${newParam.in} parameter "${newParam.name}"`;
+    add(newParam.required ? 'breaking' : 'non-breaking', `Added ${newParam.required ? 'required' : 'optional'} ${name}`);
+  });
+
+  // Request body
+  if (!before.requestBody && after.requestBody) {
+    add(after.requestBody.required ? 'breaking' : 'non-breaking', `Added ${after.requestBody.required ? 'required' : 'optional'} request body`);
+  } else if (before.requestBody && !after.requestBody) {
+    add('non-breaking', 'Removed request body');
+  } else if (before.requestBody && after.requestBody) {
+    if (!before.requestBody.required && after.requestBody.required) {
+      add('breaking', 'Request body became required');
+    }
+    Object.keys(before.requestBody.content).forEach(type => {
+      if (!(type in after.requestBody.content)) {
+        add('breaking', `Request body no longer accepts ${type}`);
+        return;
+      }
+      diffSchema(before.requestBody.content[type], after.requestBody.content[type], 'request', `Request body (${type})`, add);
+    });
+    Object.keys(after.requestBody.content).filter(type => !(type in before.requestBody.content)).forEach(type => {
+      add('non-breaking', `Request body also accepts ${type}`);
+    });
+  }
+
+  // Responses
+  Object.keys(before.responses).forEach(code => {
+    const oldResponse = before.responses[code] || {};
+    const newResponse = after.responses[code];
+    if (!newResponse) {
+      add(/^2/.test(code) ? 'breaking' : 'non-breaking', `Response ${code} removed`);
+      return;
+    }
+    const oldContent = responseSchemas(before, oldResponse);
+    const newContent = responseSchemas(after, newResponse);
+    Object.keys(oldContent).forEach(type => {
+      if (!(type in newContent)) {
+        add('breaking', `Response ${code} no longer returns ${type}`);
+        return;
+      }
+      diffSchema(oldContent[type], newContent[type], 'response', `Response ${code} (${type})`, add);
+    });
+    Object.keys(newContent).filter(type => !(type in oldContent)).forEach(type => {
+      add('non-breaking', `Response ${code} can also return ${type}`);
+    });
+  });
+  Object.keys(after.responses).filter(code => !(code in before.responses)).forEach(code => {
+    add('non-breaking', `Response ${code} added`);
+  });
+
+  // Security: a requirement that did not exist before locks clients out
+  const oldSchemes = new Set(before.security.flatMap(requirement => Object.keys(requirement || {})));
+  const newSchemes = new Set(after.security.flatMap(requirement => Object.keys(requirement || {})));
+  if (oldSchemes.size === 0 && newSchemes.size > 0) {
+    add('breaking', `Now requires authentication (${Array.from(newSchemes).join(', ')})`);
+  } else if (oldSchemes.size > 0 && newSchemes.size === 0) {
+    add('non-breaking', 'No longer requires authentication');
+  } else if (Array.from(newSchemes).some(name => !oldSchemes.has(name)) && Array.from(oldSchemes).every(name => !newSchemes.has(name))) {
+    add('breaking', `Authentication changed from ${Array.from(oldSchemes).join(', ')} to ${Array.from(newSchemes).join(', ')}`);
+  }
+}
+
+// Compares two schemas. `direction` says whether the client sends
+// ('request') or receives ('response') the value, which decides whether a
+// change is breaking. `allOf` parts are merged first, so moving a property
+// into or out of a shared part is not a change.
+function diffSchema(oldOriginal, newOriginal, direction, label, add, ancestors = []) {
+  if (!oldOriginal || !newOriginal || typeof oldOriginal !== 'object' || typeof newOriginal !== 'object') return;
+
+  // Recursive schemas stay as refs after dereferencing
+  if (ancestors.includes(oldOriginal)) return;
+  const nested = ancestors.concat(oldOriginal);
+  if (oldOriginal.$ref || newOriginal.$ref) {
+    if (oldOriginal.$ref !== newOriginal.$ref) add('info', `${label} now refers to ${newOriginal.$ref || 'an inline schema'}`);
+    return;
+  }
+  const oldSchema = mergeAllOf(oldOriginal);
+  const newSchema = mergeAllOf(newOriginal);
+
+  const oldType = typeSet(oldSchema);
+  const newType = typeSet(newSchema);
+  if (oldType && newType && oldType !== newType) {
+    add('breaking', `${label} type changed from ${oldType} to ${newType}`);
+    return;
+  }
+  if (oldSchema.format && newSchema.format && oldSchema.format !== newSchema.format) {
+    add('breaking', `${label} format changed from ${oldSchema.format} to ${newSchema.format}`);
+  }
+
+  if (Array.isArray(oldSchema.enum) || Array.isArray(newSchema.enum)) {
+    const oldValues = (oldSchema.enum || []).map(value => JSON.stringify(value));
+    const newValues = (newSchema.enum || []).map(value => JSON.stringify(value));
+    const removed = Array.isArray(newSchema.enum) ? oldValues.filter(value => !newValues.includes(value)) : [];
+    const added = Array.isArray(oldSchema.enum) ? newValues.filter(value => !oldValues.includes(value)) : [];
+    if (!Array.isArray(oldSchema.enum)) {
+      add(direction === 'request' ? 'breaking' : 'non-breaking', `${label} is now restricted to ${newValues.join(', ')}`);
+    } else if (removed.length > 0) {
+      add(direction === 'request' ? 'breaking' : 'non-breaking', `${label} no longer allows ${removed.join(', ')}`);
+    }
+    if (added.length > 0) {
+      add(direction === 'request' ? 'non-breaking' : 'info', `${label} now also allows ${added.join(', ')}`);
+    }
+  }
+
+  const oldProperties = oldSchema.properties || {};
+  const newProperties = newSchema.properties || {};
+  const oldRequired = oldSchema.required || [];
+  const newRequired = newSchema.required || [];
+
+  Object.keys(oldProperties).forEach(name => {
+    const property = `${label} property "${name}"`;
+    if (!(name in newProperties)) {
+      add(direction === 'response' ? 'breaking' : 'non-breaking', `${property} removed`);
+      return;
+    }
+    if (direction === 'request' && !oldRequired.includes(name) && newRequired.includes(name)) {
+      add('breaking', `${property} became required`);
+    }
+    if (direction === 'response' && oldRequired.includes(name) && !newRequired.includes(name)) {
+      add('breaking', `${property} is no longer always returned`);
+    }
+    diffSchema(oldProperties[name], newProperties[name], direction, property, add, nested);
+  });
+  Object.keys(newProperties).filter(name => !(name in oldProperties)).forEach(name => {
+    const required = direction === 'request' && newRequired.includes(name);
+    add(required ? 'breaking' : 'non-breaking', `${label} property "${name}" added${required ? ' as required' : ''}`);
+  });
+
+  diffAdditionalProperties(oldSchema, newSchema, direction, label, add, nested);
+
+  if (oldSchema.items && newSchema.items) {
+    diffSchema(oldSchema.items, newSchema.items, direction, `${label} items`, add, nested);
+  }
+
+  diffChoices(oldSchema, newSchema, direction, label, add, nested);
+}
+
+// One schema with the properties, requirements and other keywords of every
+// `allOf` part; where parts disagree, the first one wins
+function mergeAllOf(schema, seen = []) {
+  if (!Array.isArray(schema.allOf)) return schema;
+  const { allOf, ...own } = schema;
+  const merged = Object.assign({}, own, { properties: Object.assign({}, own.properties), required: [].concat(own.required || []) });
+
+  allOf.filter(part => part && typeof part === 'object' && !part.$ref && !seen.includes(part)).forEach(part => {
+    const flat = mergeAllOf(part, seen.concat(part));
+    Object.keys(flat).filter(key => key !== 'properties' && key !== 'required' && merged[key] === undefined).forEach(key => {
+      merged[key] = flat[key];
+    });
+    Object.keys(flat.properties || {}).filter(name => !(name in merged.properties)).forEach(name => {
+      merged.properties[name] = flat.properties[name];
+    });
+    (flat.required || []).filter(name => !merged.required.includes(name)).forEach(name => merged.required.push(name));
+  });
+
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  if (merged.required.length === 0) delete merged.required;
+  return merged;
+}
+
+// Properties outside `properties` are allowed (absent or true), limited to
+// a schema, or forbidden (false). Requests may only allow more, responses
+// may only allow less.
+function diffAdditionalProperties(oldSchema, newSchema, direction, label, add, nested) {
+  const openness = schema => schema.additionalProperties === false ? 0 : schema.additionalProperties && typeof schema.additionalProperties === 'object' ? 1 : 2;
+  const before = openness(oldSchema);
+  const after = openness(newSchema);
+
+  if (after < before) {
+    add(direction === 'request' ? 'breaking' : 'non-breaking',
+      after === 0 ? `${label} no longer allows additional properties` : `${label} additional properties are now limited to a schema`);
+  } else if (after > before) {
+    add('non-breaking', `${label} now allows ${after === 2 ? 'any ' : ''}additional properties`);
+  } else if (before === 1) {
+    diffSchema(oldSchema.additionalProperties, newSchema.additionalProperties, direction, `${label} additional properties`, add, nested);
+  }
+}
+
+// `oneOf`/`anyOf` options. Unchanged options are matched first and the
+// rest in order; an extra option loosens a request and may surprise a
+// client reading a response, like an enum value.
+function diffChoices(oldSchema, newSchema, direction, label, add, nested) {
+  const keyword = schema => (Array.isArray(schema.oneOf) ? 'oneOf' : Array.isArray(schema.anyOf) ? 'anyOf' : null);
+  const oldKeyword = keyword(oldSchema);
+  const newKeyword = keyword(newSchema);
+  if (!oldKeyword && !newKeyword) return;
+  if (!oldKeyword || !newKeyword) {
+    add('info', newKeyword ? `${label} is now ${newKeyword} ${newSchema[newKeyword].length} schemas` : `${label} no longer uses ${oldKeyword}`);
+    return;
+  }
+  if (oldKeyword !== newKeyword) add('info', `${label} changed from ${oldKeyword} to ${newKeyword}`);
+
+  const text = option => JSON.stringify(option);
+  const oldOptions = oldSchema[oldKeyword];
+  const unmatched = newSchema[newKeyword].slice();
+  const changed = [];
+  oldOptions.forEach((option, index) => {
+    const same = unmatched.findIndex(candidate => text(candidate) === text(option));
+    if (same === -1) {
+      changed.push(index);
+    } else {
+      unmatched.splice(same, 1);
+    }
+  });
+
+  changed.forEach(index => {
+    const option = `${label} option ${index + 1}`;
+    if (unmatched.length === 0) {
+      add(direction === 'request' ? 'breaking' : 'non-breaking', `${option} removed`);
+      return;
+    }
+    diffSchema(oldOptions[index], unmatched.shift(), direction, option, add, nested);
+  });
+  unmatched.forEach(() => {
+    add(direction === 'request' ? 'non-breaking' : 'info', `${label} has a new ${newKeyword} option`);
+  });
+}
+
+function diffSecuritySchemes(oldSpec, newSpec, add) {
+  const oldSchemes = securitySchemes(oldSpec);
+  const newSchemes = securitySchemes(newSpec);
+  Object.keys(oldSchemes).forEach(name => {
+    if (!newSchemes[name]) {
+      add('info', `Security scheme "${name}" removed`);
+    } else if (JSON.stringify(oldSchemes[name]) !== JSON.stringify(newSchemes[name])) {
+      add('info', `Security scheme "${name}" changed`);
+    }
+  });
+}
+
+// Every entry of an OpenAPI 3.1 type array counts, so gaining or losing
+// `null` is a type change
+function typeSet(schema) {
+  return Array.isArray(schema.type) ? schema.type.slice().sort().join('|') : schemaType(schema);
+}
+
+// Markdown changelog grouped by level and then by operation
+function formatChangelog(result, oldSpec, newSpec) {
+  const oldVersion = (oldSpec.info && oldSpec.info.version) || 'previous';
+  const newVersion = (newSpec.info && newSpec.info.version) || 'current';
+  const titles = { breaking: 'Breaking changes', 'non-breaking': 'Non-breaking changes', info: 'Other changes' };
+
+  let changelog = `# API changes: ${oldVersion} → ${newVersion}\n\n`;
+  if (result.changes.length === 0) {
+    return changelog + 'No changes.\n';
+  }
+
+  LEVELS.forEach(level => {
+    const changes = result.changes.filter(change => change.level === level);
+    if (changes.length === 0) return;
+    changelog += `## ${titles[level]}\n\n`;
+    changes.forEach(change => {
+      changelog += `- ${change.operation ? `\`${change.operation}\`: ` : ''}${change.message}\n`;
+    });
+    changelog += '\n';
+  });
+
+  return changelog;
+}
+
+module.exports = {
+  diffSpecs,
+  formatChangelog
+};
+
+// Main execution
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        changelog: { type: 'string' }
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.positionals.length < 2) {
+    console.error('Usage: node diff-spec.js <old-spec> <new-spec> [--changelog <file.md>]');
+    console.log('Exits with status 1 when the new spec has breaking changes');
+    process.exit(1);
+  }
+
+  const [oldPath, newPath] = args.positionals;
+  try {
+    const oldSpec = dereferenceSpec(oldPath).spec;
+    const newSpec = dereferenceSpec(newPath).spec;
+    const result = diffSpecs(oldSpec, newSpec);
+
+    console.log('=== API SPECIFICATION DIFF ===\n');
+    console.log(`Old: ${oldPath}`);
+    console.log(`New: ${newPath}\n`);
+
+    const counts = LEVELS.map(level => `${result.changes.filter(change => change.level === level).length} ${level}`);
+    console.log(`Changes: ${counts.join(', ')}\n`);
+
+    const changelog = formatChangelog(result, oldSpec, newSpec);
+    console.log(changelog);
+
+    if (args.values.changelog) {
+      fs.writeFileSync(args.values.changelog, changelog);
+      console.log(`Changelog written to: ${path.resolve(args.values.changelog)}`);
+    }
+
+    if (result.breaking > 0) {
+      console.log(`❌ ${result.breaking} breaking change${result.breaking === 1 ? '' : 's'}`);
+      process.exit(1);
+    }
+    console.log('✅ No breaking changes');
+
+  } catch (error) {
+    console.error('Diff failed:', error.message);
+    process.exit(1);
+  }
+}
\ No newline at end of file
@@ -3,18 +3,40 @@
 
 const fs = require('fs');
 const path = require('path');
-
-function exportDocs(specPath, format = 'html') {
-  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+const { parseArgs } = require('util');
+const { bundleSpec, resolveLocalRef } = require('./lib/ref-resolver');
+const { exampleFromMedia, schemaType } = require('./lib/schema-example');
+const { specServers, operationParameters, parameterSchema, requestBody, responseContent } = require('./lib/sample-requests');
+const { renderHtmlDocs } = require('./lib/html-docs');
+const { renderHtmlSite } = require('./lib/html-site');
+const { toPostmanCollection, toPostmanEnvironments } = require('./lib/postman');
+const { toInsomniaExport, toHar, toCurlScript, toHttpFile } = require('./lib/request-exports');
+const { toRaml } = require('./lib/raml');
+const { toAsciiDoc } = require('./lib/asciidoc');
+
+// `options.template` and `options.pages` apply to the site format, which
+// returns `files` (path in the site directory -> content) instead of
+// `content`. The postman format also returns `environments` (server slug ->
+// environment file content).
+function exportDocs(specPath, format = 'html', options = {}) {
+  // Refs into other files are pulled into the document so every exporter
+  // only has to follow local ones
+  const { spec } = bundleSpec(specPath);
 
   let exportedContent;
   let extension;
+  let files;
+  let environments;
 
   switch (format.toLowerCase()) {
     case 'html':
       exportedContent = generateHtmlDocs(spec);
       extension = '.html';
       break;
+    case 'site':
+      files = renderHtmlSite(spec, { template: options.template, pages: options.pages }).files;
+      extension = '';
+      break;
     case 'markdown':
     case 'md':
       exportedContent = generateMarkdownDocs(spec);
@@ -22,8 +44,25 @@ function exportDocs(specPath, format = 'html') {
       break;
     case 'postman':
       exportedContent = generatePostmanCollection(spec);
+      environments = generatePostmanEnvironments(spec);
+      extension = '.json';
+      break;
+    case 'insomnia':
+      exportedContent = JSON.stringify(toInsomniaExport(spec), null, 2);
       extension = '.json';
       break;
+    case 'har':
+      exportedContent = JSON.stringify(toHar(spec), null, 2);
+      extension = '.har';
+      break;
+    case 'curl':
+      exportedContent = toCurlScript(spec);
+      extension = '.sh';
+      break;
+    case 'http':
+      exportedContent = toHttpFile(spec);
+      extension = '.http';
+      break;
     case 'raml':
       exportedContent = generateRaml(spec);
       extension = '.raml';
@@ -33,115 +72,26 @@ function exportDocs(specPath, format = 'html') {
       extension = '.adoc';
       break;
     default:
-      throw new Error(`Unsupported format: ${format}. Supported formats: html, markdown, postman, raml, asciidoc`);
+      throw new Error(`Unsupported format: ${format}. Supported formats: html, site, markdown, postman, insomnia, har, curl, http, raml, asciidoc`);
   }
 
   return {
     content: exportedContent,
+    files: files,
+    environments: environments,
     extension: extension,
     format: format
   };
 }
 
+// Single self-contained page with navigation, search, expanded schemas and
+// a try-it-out console
 function generateHtmlDocs(spec) {
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <title>${spec.info?.title || 'API Documentation'}</title>
-  <meta charset="UTF-8">
-  <style>
-    body { font-family: Arial, sans-serif; margin: 40px; }
-    h1, h2, h3 { color: #333; }
-    .endpoint { border: 1px solid #ddd; margin: 20px 0; padding: 15px; border-radius: 5px; }
-    .method { display: inline-block; padding: 2px 8px; border-radius: 3px; color: white; margin-right: 10px; }
-    .get { background-color: #4CAF50; }
-    .post { background-color: #2196F3; }
-    .put { background-color: #FF9800; }
-    .delete { background-color: #f44336; }
-    .patch { background-color: #9C27B0; }
-    .parameter { margin: 5px 0; }
-    .response { background-color: #f9f9f9; padding: 10px; margin: 10px 0; }
-  </style>
-</head>
-<body>
-  <h1>${spec.info?.title || 'API Documentation'}</h1>
-  ${spec.info?.description ? `<p>${spec.info.description}</p>` : ''}
-
-  ${spec.info?.version ? `<p><strong>Version:</strong> ${spec.info.version}</p>` : ''}
-  ${spec.servers ? `<p><strong>Servers:</strong><br>${spec.servers.map(server => `<code>${server.url}</code> - ${server.description || ''}`).join('<br>')}</p>` : ''}
-
-  <h2>Endpoints</h2>
-  ${generateHtmlPaths(spec.paths)}
-
-  ${spec.components?.schemas ? generateHtmlSchemas(spec.components.schemas) : ''}
-</body>
-</html>`;
-}
-
-function generateHtmlPaths(paths = {}) {
-  let html = '';
-
-  for (const [path, pathItem] of Object.entries(paths)) {
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'].includes(method)) {
-        html += `
-<div class="endpoint">
-  <span class="method ${method}">${method.toUpperCase()}</span>
-  <h3>${path}</h3>
-  ${operation.summary ? `<h4>${operation.summary}</h4>` : ''}
-  ${operation.description ? `<p>${operation.description}</p>` : ''}
-
-  ${operation.parameters && operation.parameters.length > 0 ? `
-  <h5>Parameters:</h5>
-  <div>
-    ${operation.parameters.map(param => `
-      <div class="parameter">
-        <strong>${param.name}</strong> (${param.in}): ${param.description || ''}
-        ${param.required ? '<em>(required)</em>' : ''}
-      </div>
-    `).join('')}
-  </div>
-  ` : ''}
-
-  ${operation.responses ? `
-  <h5>Responses:</h5>
-  <div>
-    ${Object.entries(operation.responses).map(([code, response]) => `
-      <div class="response">
-        <strong>${code}</strong>: ${response.description || 'Response'}
-        ${response.content ? `
-        <details>
-          <summary>Response Schema</summary>
-          <pre>${JSON.stringify(response.content, null, 2)}</pre>
-        </details>
-        ` : ''}
-      </div>
-    `).join('')}
-  </div>
-  ` : ''}
-</div>`;
-      }
-    }
-  }
-
-  return html;
-}
-
-function generateHtmlSchemas(schemas = {}) {
-  let html = '<h2>Data Models</h2>';
-
-  for (const [name, schema] of Object.entries(schemas)) {
-    html += `
-<div class="endpoint">
-  <h3>${name}</h3>
-  <pre>${JSON.stringify(schema, null, 2)}</pre>
-</div>`;
-  }
-
-  return html;
+  return renderHtmlDocs(spec);
 }
 
 function generateMarkdownDocs(spec) {
+  const resolve = value => resolveLocalRef(spec, value).value;
   let md = `# ${spec.info?.title || 'API Documentation'}\n\n`;
 
   if (spec.info?.description) {
@@ -152,9 +102,10 @@ function generateMarkdownDocs(spec) {
     md += `**Version:** ${spec.info.version}\n\n`;
   }
 
-  if (spec.servers) {
+  const servers = specServers(spec);
+  if (servers.length > 0) {
     md += `## Servers\n\n`;
-    spec.servers.forEach(server => {
+    servers.forEach(server => {
       md += `- \`${server.url}\` - ${server.description || ''}\n`;
     });
     md += '\n';
@@ -175,30 +126,42 @@ function generateMarkdownDocs(spec) {
           md += `${operation.description}\n\n`;
         }
 
-        if (operation.parameters && operation.parameters.length > 0) {
+        // Swagger 2.0 body and formData parameters are the request body
+        const all = operationParameters(pathItem, operation, resolve);
+        const parameters = all.filter(param => param.in !== 'body' && param.in !== 'formData');
+        if (parameters.length > 0) {
           md += `#### Parameters\n\n`;
           md += '| Name | Location | Type | Required | Description |\n';
           md += '|------|----------|------|----------|-------------|\n';
 
-          operation.parameters.forEach(param => {
-            md += `| ${param.name} | ${param.in} | ${param.schema?.type || 'N/A'} | ${param.required ? 'Yes' : 'No'} | ${param.description || ''} |\n`;
+          parameters.forEach(param => {
+            const type = schemaType(resolve(parameterSchema(param, resolve)) || {});
+            md += `| ${param.name} | ${param.in} | ${type || 'N/A'} | ${param.required ? 'Yes' : 'No'} | ${param.description || ''} |\n`;
           });
           md += '\n';
         }
 
+        const body = requestBody(spec, operation, all, resolve);
+        if (body) {
+          md += `#### Request Body\n\n`;
+          for (const [contentType, content] of Object.entries(body.content)) {
+            md += markdownExample(contentType, exampleFromMedia(content, { resolve, direction: 'request' }));
+          }
+        }
+
         if (operation.responses) {
           md += `#### Responses\n\n`;
-          for (const [code, response] of Object.entries(operation.responses)) {
+          for (const [code, ref] of Object.entries(operation.responses)) {
+            const response = resolve(ref) || {};
             md += `**${code}**: ${response.description || 'Response'}\n\n`;
 
-            if (response.content) {
-              for (const [contentType, content] of Object.entries(response.content)) {
-                if (content.schema) {
-                  md += '```json\n';
-                  md += JSON.stringify(content.schema, null, 2);
-                  md += '\n```\n\n';
-                }
+            for (const [contentType, content] of Object.entries(responseContent(spec, operation, response))) {
+              if (content.schema) {
+                md += '```json\n';
+                md += JSON.stringify(content.schema, null, 2);
+                md += '\n```\n\n';
               }
+              md += markdownExample(contentType, exampleFromMedia(content, { resolve, direction: 'response' }));
             }
           }
         }
@@ -208,10 +171,12 @@ function generateMarkdownDocs(spec) {
     }
   }
 
-  if (spec.components?.schemas) {
+  // Swagger 2.0 keeps its models in `definitions`
+  const models = spec.components?.schemas || spec.definitions;
+  if (models) {
     md += `## Data Models\n\n`;
 
-    for (const [name, schema] of Object.entries(spec.components.schemas)) {
+    for (const [name, schema] of Object.entries(models)) {
       md += `### ${name}\n\n`;
       md += '```json\n';
       md += JSON.stringify(schema, null, 2);
@@ -222,252 +187,110 @@ function generateMarkdownDocs(spec) {
   return md;
 }
 
-function generatePostmanCollection(spec) {
-  const collection = {
-    info: {
-      name: spec.info?.title || 'API Collection',
-      description: spec.info?.description || '',
-      version: spec.info?.version || '1.0.0',
-      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
-    },
-    item: []
-  };
-
-  // Add paths as Postman requests
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    const folder = {
-      name: path,
-      item: []
-    };
-
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'].includes(method)) {
-        const request = {
-          name: operation.operationId || `${method.toUpperCase()} ${path}`,
-          request: {
-            method: method.toUpperCase(),
-            header: [],
-            url: {
-              raw: '{{baseUrl}}' + path,
-              host: ['{{baseUrl}}'],
-              path: path.replace(/^\//, '').split('/')
-            }
-          }
-        };
-
-        // Add description
-        if (operation.description || operation.summary) {
-          request.request.description = operation.description || operation.summary;
-        }
-
-        // Add parameters
-        if (operation.parameters) {
-          const queryParams = [];
-          const pathParams = [];
-          const headerParams = [];
-
-          operation.parameters.forEach(param => {
-            if (param.in === 'query') {
-              queryParams.push({
-                key: param.name,
-                value: param.example || '',
-                description: param.description || ''
-              });
-            } else if (param.in === 'header') {
-              headerParams.push({
-                key: param.name,
-                value: param.example || '',
-                description: param.description || ''
-              });
-            }
-          });
-
-          if (queryParams.length > 0) {
-            request.request.url.query = queryParams;
-          }
-
-          if (headerParams.length > 0) {
-            request.request.header = headerParams;
-          }
-        }
-
-        // Add request body for POST/PUT/PATCH
-        if (operation.requestBody && ['post', 'put', 'patch'].includes(method)) {
-          const content = operation.requestBody.content;
-          if (content) {
-            const contentType = Object.keys(content)[0]; // Use first content type
-            if (contentType) {
-              request.request.body = {
-                mode: 'raw',
-                raw: JSON.stringify(content[contentType].schema?.example || {}, null, 2),
-                options: {
-                  raw: {
-                    language: 'json'
-                  }
-                }
-              };
-            }
-          }
-        }
-
-        folder.item.push(request);
-      }
-    }
-
-    collection.item.push(folder);
-  }
+// Example payload of a media type, from the spec or synthesized from its
+// schema. Structured values are only shown as JSON, and binary content has
+// none worth showing.
+function markdownExample(contentType, example) {
+  const json = /json/i.test(contentType);
+  if (example === undefined || example === '' || (typeof example !== 'string' && !json)) return '';
+  const text = typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+  return `Example (\`${contentType}\`):\n\n\`\`\`${json ? 'json' : ''}\n${text}\n\`\`\`\n\n`;
+}
 
-  // Add variables
-  collection.variable = [
-    {
-      key: 'baseUrl',
-      value: spec.servers?.[0]?.url || 'http://localhost:3000',
-      type: 'string'
-    }
-  ];
+// Collection with tag folders, example bodies and auth, serialized as JSON
+function generatePostmanCollection(spec) {
+  return JSON.stringify(toPostmanCollection(spec), null, 2);
+}
 
-  return collection;
+// One Postman environment file per server, keyed by a slug of the server
+function generatePostmanEnvironments(spec) {
+  const environments = {};
+  toPostmanEnvironments(spec).forEach(({ slug, environment }) => {
+    environments[slug] = JSON.stringify(environment, null, 2);
+  });
+  return environments;
 }
 
+// RAML 1.0 with types, parameters, bodies, responses and security schemes
 function generateRaml(spec) {
-  let raml = `#%RAML 1.0 DataType\n`;
-  raml += `title: ${spec.info?.title || 'API'}\n`;
-  raml += `version: ${spec.info?.version || '1.0.0'}\n`;
-
-  if (spec.servers?.[0]) {
-    raml += `baseUri: ${spec.servers[0].url}\n`;
-  }
-
-  raml += `\n`;
-
-  // Convert paths
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    const ramlPath = path.replace(/{([^}]+)}/g, '{$1}');
-    raml += `${ramlPath}:\n`;
-
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'].includes(method)) {
-        raml += `  ${method}:\n`;
-        raml += `    displayName: ${operation.operationId || `${method.toUpperCase()} ${path}`}\n`;
-
-        if (operation.summary) {
-          raml += `    description: ${operation.summary}\n`;
-        }
-
-        if (operation.description) {
-          raml += `    description: |\n      ${operation.description.split('\n').map(line => `      ${line}`).join('\n')}\n`;
-        }
-
-        // Add parameters
-        if (operation.parameters) {
-          raml += `    queryParameters:\n`;
-          operation.parameters.filter(p => p.in === 'query').forEach(param => {
-            raml += `      ${param.name}:\n`;
-            raml += `        type: string\n`;  // Simplified
-            raml += `        required: ${param.required || false}\n`;
-            if (param.description) {
-              raml += `        description: ${param.description}\n`;
-            }
-          });
-        }
-
-        // Add responses
-        if (operation.responses) {
-          raml += `    responses:\n`;
-          for (const [code, response] of Object.entries(operation.responses)) {
-            raml += `      ${code}:\n`;
-            raml += `        description: ${response.description || 'Response'}\n`;
-          }
-        }
-      }
-    }
-  }
-
-  return raml;
+  return toRaml(spec);
 }
 
+// AsciiDoc book with servers, security, operation tables and data models
 function generateAsciiDoc(spec) {
-  let adoc = `= ${spec.info?.title || 'API Documentation'}\n`;
-  adoc += `:doctype: book\n`;
-  adoc += `:icons: font\n`;
-  adoc += `:source-highlighter: highlightjs\n\n`;
-
-  if (spec.info?.description) {
-    adoc += `${spec.info.description}\n\n`;
-  }
-
-  if (spec.info?.version) {
-    adoc += `Version: {version}\n\n`;
-  }
-
-  adoc += `== Endpoints\n\n`;
-
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'].includes(method)) {
-        adoc += `=== ${method.toUpperCase()} ${path}\n\n`;
-
-        if (operation.summary) {
-          adoc += `_${operation.summary}_\n\n`;
-        }
-
-        if (operation.description) {
-          adoc += `${operation.description}\n\n`;
-        }
-
-        adoc += `==== Parameters\n\n`;
-        adoc += `[cols=\"2,1,1,3\"]\n`;
-        adoc += `|===\n`;
-        adoc += `|Name |Location |Required |Description\n`;
-
-        if (operation.parameters) {
-          operation.parameters.forEach(param => {
-            adoc += `|${param.name} |${param.in} |${param.required ? 'Yes' : 'No'} |${param.description || ''}\n`;
-          });
-        }
-
-        adoc += `|===\n\n`;
+  return toAsciiDoc(spec);
+}
 
-        adoc += `==== Responses\n\n`;
-        if (operation.responses) {
-          for (const [code, response] of Object.entries(operation.responses)) {
-            adoc += `* *${code}* - ${response.description || 'Response'}\n`;
-          }
-        }
+module.exports = {
+  exportDocs
+};
 
-        adoc += `\n`;
+// Main execution
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        template: { type: 'string' },
+        pages: { type: 'string' }
       }
-    }
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
 
-  return adoc;
-}
-
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node export-docs.js <openapi-spec-path> [format]');
-  console.log('Supported formats: html (default), markdown, postman, raml, asciidoc');
-  process.exit(1);
-}
-
-const specPath = process.argv[2];
-const format = process.argv[3] || 'html';
-
-try {
-  const result = exportDocs(specPath, format);
+  if (args.positionals.length < 1) {
+    console.error('Usage: node export-docs.js <openapi-spec-path> [format] [--output <path>] [--template <dir>] [--pages tag|operation]');
+    console.log('Supported formats: html (default), site, markdown, postman, insomnia, har, curl, http, raml, asciidoc');
+    process.exit(1);
+  }
 
-  const outputDir = path.dirname(specPath);
-  const baseName = path.basename(specPath, path.extname(specPath));
-  const outputPath = path.join(outputDir, `${baseName}-docs${result.extension}`);
+  const [specPath, format = 'html'] = args.positionals;
+
+  try {
+    const result = exportDocs(specPath, format, args.values);
+
+    const outputDir = path.dirname(specPath);
+    const baseName = path.basename(specPath, path.extname(specPath));
+    const outputPath = args.values.output || path.join(outputDir, `${baseName}-docs${result.extension}`);
+
+    let size;
+    if (result.files) {
+      // A site is a directory of pages
+      Object.keys(result.files).forEach(file => {
+        const target = path.join(outputPath, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, result.files[file]);
+      });
+      size = Object.values(result.files).reduce((total, content) => total + Buffer.byteLength(content), 0);
+    } else {
+      fs.writeFileSync(outputPath, result.content);
+      if (result.extension === '.sh') fs.chmodSync(outputPath, 0o755);
+      size = Buffer.byteLength(result.content);
+    }
 
-  fs.writeFileSync(outputPath, result.content);
+    // Environment files sit next to the collection
+    const environmentPaths = Object.keys(result.environments || {}).map(slug => {
+      const target = path.join(path.dirname(outputPath),
+        `${path.basename(outputPath, path.extname(outputPath))}.${slug}.postman_environment.json`);
+      fs.writeFileSync(target, result.environments[slug]);
+      return target;
+    });
 
-  console.log(`=== EXPORT COMPLETE ===`);
-  console.log(`Exported ${result.format} documentation to: ${outputPath}`);
-  console.log(`Format: ${result.format}`);
-  console.log(`File size: ${Buffer.byteLength(result.content)} bytes`);
+    console.log(`=== EXPORT COMPLETE ===`);
+    console.log(`Exported ${result.format} documentation to: ${outputPath}`);
+    console.log(`Format: ${result.format}`);
+    if (result.files) {
+      console.log(`Files: ${Object.keys(result.files).length}`);
+    }
+    environmentPaths.forEach(target => console.log(`Environment: ${target}`));
+    console.log(`File size: ${size} bytes`);
 
-} catch (error) {
-  console.error('Export failed:', error.message);
-  process.exit(1);
+  } catch (error) {
+    console.error('Export failed:', error.message);
+    process.exit(1);
+  }
 }
\ No newline at end of file
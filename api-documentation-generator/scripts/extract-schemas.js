@@ -3,26 +3,54 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isJavaScriptFile, resolveLocalImports } = require('./lib/route-discovery');
+const { parse, walk } = require('./lib/js-parser');
+const { collectSourceFiles, formatSource, isGlob } = require('./lib/project-files');
 
-function extractSchemas(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Extracts schemas from a source file, a project directory or a glob. DTO and
+// model files the scanned sources import are scanned as well.
+function extractSchemas(targets) {
+  const { root, files } = collectSourceFiles(targets, SOURCE_EXTENSIONS);
 
   const schemas = {
+    root: root,
+    files: [],
     requestSchemas: [],
     responseSchemas: [],
     dataModels: [],
     validationRules: []
   };
 
-  // Look for common schema definition patterns
-  const schemaPatterns = {
-    // JS/TS interfaces and types
-    interfaces: /interface\s+(\w+)\s*{([\s\S]*?)}/g,
-    types: /type\s+(\w+)\s*=([\s\S]*?)(?=\n\s*(?:}|;))/g,
+  const queue = files.slice();
+  const seen = new Set(queue);
+  while (queue.length > 0) {
+    const file = queue.shift();
+    extractFileSchemas(file, root, schemas);
+
+    if (isJavaScriptFile(file)) {
+      resolveLocalImports(file).forEach(imported => {
+        if (!seen.has(imported) && isJavaScriptFile(imported)) {
+          seen.add(imported);
+          queue.push(imported);
+        }
+      });
+    }
+  }
 
-    // JS/TS classes
-    classes: /class\s+(\w+)[\s\S]*?{([\s\S]*?)(?=^\s*})/gm,
+  return schemas;
+}
 
+function extractFileSchemas(filePath, root, schemas) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const file = formatSource(root, filePath);
+  const source = line => formatSource(root, filePath, line);
+
+  schemas.files.push(file);
+
+  // Look for common schema definition patterns
+  const schemaPatterns = {
     // Validation schemas (Express-validator, Joi, Yup, etc.)
     validators: [
       /body\(([^)]+)\)/g,
@@ -42,30 +70,15 @@ function extractSchemas(filePath) {
     ]
   };
 
-  // Extract interfaces
+  // Extract interfaces, type aliases and classes with typed properties
+  // (DTOs, entities)
   let match;
-  while ((match = schemaPatterns.interfaces.exec(content)) !== null) {
-    const name = match[1];
-    const body = match[2];
-    schemas.dataModels.push({
-      name: name,
-      type: 'interface',
-      definition: body.trim(),
-      properties: extractProperties(body),
-      line: getLineNumber(content, match.index)
-    });
-  }
-
-  // Extract types
-  while ((match = schemaPatterns.types.exec(content)) !== null) {
-    const name = match[1];
-    const definition = match[2];
-    schemas.dataModels.push({
-      name: name,
-      type: 'type',
-      definition: definition.trim(),
-      properties: extractProperties(definition),
-      line: getLineNumber(content, match.index)
+  if (isJavaScriptFile(filePath)) {
+    extractTypedModels(content).forEach(model => {
+      schemas.dataModels.push(Object.assign(model, {
+        file: file,
+        source: source(model.line)
+      }));
     });
   }
 
@@ -74,7 +87,9 @@ function extractSchemas(filePath) {
     while ((match = validatorPattern.exec(content)) !== null) {
       schemas.validationRules.push({
         rule: match[1]?.trim() || match[0],
-        line: getLineNumber(content, match.index)
+        file: file,
+        line: getLineNumber(content, match.index),
+        source: source(getLineNumber(content, match.index))
       });
     }
   }
@@ -90,19 +105,82 @@ function extractSchemas(filePath) {
         type: 'model',
         definition: definition.trim(),
         properties: extractProperties(definition),
-        line: getLineNumber(content, match.index)
+        file: file,
+        line: getLineNumber(content, match.index),
+        source: source(getLineNumber(content, match.index))
       });
     }
   }
+}
 
-  return schemas;
+// Interfaces and object type aliases with their property signatures, other
+// type aliases with their type (`alias`), and the public typed properties of
+// each class; class-validator `@IsOptional()` marks a property as not
+// required. An index signature's type is kept as `additionalProperties`.
+function extractTypedModels(content) {
+  const models = [];
+
+  walk(parse(content), node => {
+    if ((node.type === 'TypeDeclaration' && node.kind === 'interface') || node.type === 'TypeAlias') {
+      const model = signatureModel(node.members || [], node.typeAnnotation);
+      if (node.members || model.alias) {
+        models.push(Object.assign({ name: node.name, type: node.type === 'TypeAlias' ? 'type' : 'interface' }, model, { line: node.line }));
+      }
+      return;
+    }
+    if (node.type !== 'ClassDeclaration' || !node.name) return;
+
+    const properties = node.members
+      .filter(member => member.type === 'PropertyDefinition' && member.key && member.typeAnnotation &&
+        !member.modifiers.some(modifier => ['static', 'private', 'protected'].includes(modifier)))
+      .map(member => ({
+        name: member.key,
+        type: member.typeAnnotation.replace(/\s+/g, ' ').trim(),
+        required: !member.optional && !(member.decorators || []).some(decorator => {
+          const target = decorator.expression.callee || decorator.expression;
+          return target.name === 'IsOptional';
+        })
+      }));
+
+    if (properties.length > 0) {
+      models.push({
+        name: node.name,
+        type: 'class',
+        definition: properties.map(prop => `${prop.name}${prop.required ? '' : '?'}: ${prop.type}`).join('; '),
+        properties: properties,
+        line: node.line
+      });
+    }
+  });
+
+  return models;
+}
+
+// `{ definition, properties, additionalProperties }` from property
+// signatures, or `{ definition, properties: [], alias }` for a type that is
+// not an object literal
+function signatureModel(members, typeAnnotation) {
+  if (typeAnnotation) return { definition: typeAnnotation, properties: [], alias: typeAnnotation };
+
+  const properties = members.filter(member => !member.index).map(member => ({
+    name: member.key,
+    type: member.typeAnnotation,
+    required: !member.optional
+  }));
+  const index = members.find(member => member.index);
+  const model = {
+    definition: members.map(member => `${member.index ? '[key: string]' : member.key}${member.optional ? '?' : ''}: ${member.typeAnnotation}`).join('; '),
+    properties
+  };
+  if (index) model.additionalProperties = index.typeAnnotation;
+  return model;
 }
 
 function extractProperties(schemaText) {
   const properties = [];
 
   // Look for property patterns in schema definition
-  const propPattern = /(\w+)\s*[?:]\s*([^{]*?)(?:[;,]|$)/g;
+  const propPattern = /(\w+)\s*\??\s*:\s*([^{]*?)(?:[;,]|$)/g;
   let propMatch;
 
   while ((propMatch = propPattern.exec(schemaText)) !== null) {
@@ -126,7 +204,14 @@ function getLineNumber(content, index) {
   return content.substring(0, index).split('\n').length;
 }
 
-function generateJsonSchema(dataModel) {
+// Property types naming another extracted model become `$ref`s into
+// components.schemas when `modelNames` is given. A type alias model is the
+// schema of its type.
+function generateJsonSchema(dataModel, modelNames = []) {
+  if (dataModel.alias) {
+    return getTypeDefinition(dataModel.alias, modelNames);
+  }
+
   const schema = {
     type: "object",
     properties: {},
@@ -134,89 +219,220 @@ function generateJsonSchema(dataModel) {
   };
 
   dataModel.properties.forEach(prop => {
-    schema.properties[prop.name] = getTypeDefinition(prop.type);
+    schema.properties[prop.name] = getTypeDefinition(prop.type, modelNames);
     if (prop.required) {
       schema.required.push(prop.name);
     }
   });
+  if (dataModel.additionalProperties) {
+    schema.additionalProperties = getTypeDefinition(dataModel.additionalProperties, modelNames);
+  }
 
   return schema;
 }
 
-function getTypeDefinition(typeStr) {
-  // Convert common TypeScript/JSDoc types to JSON Schema types
+// TypeScript/JSDoc types to JSON Schema types: unions of literals become an
+// enum, `| null` makes the type nullable, other unions become anyOf and
+// intersections allOf
+function getTypeDefinition(typeStr, modelNames = []) {
   const typeMap = {
     'string': { type: 'string' },
     'number': { type: 'number' },
     'boolean': { type: 'boolean' },
     'Date': { type: 'string', format: 'date-time' },
     'any': { type: 'object' },
+    'unknown': {},
     'object': { type: 'object' },
     'array': { type: 'array', items: {} }
   };
+  const text = unwrapParens(typeStr.replace(/\s+/g, ' ').trim());
 
   // Handle basic types
-  if (typeMap[typeStr]) {
-    return typeMap[typeStr];
+  if (typeMap[text]) {
+    return typeMap[text];
+  }
+
+  const union = splitTopLevel(text, '|');
+  if (union.length > 1) {
+    return unionDefinition(union, modelNames);
+  }
+  const intersection = splitTopLevel(text, '&');
+  if (intersection.length > 1) {
+    return { allOf: intersection.map(part => getTypeDefinition(part, modelNames)) };
+  }
+
+  const literal = literalValue(text);
+  if (literal !== undefined) {
+    return { type: typeof literal, enum: [literal] };
   }
 
-  // Handle arrays: string[], number[], etc.
-  if (typeStr.endsWith('[]')) {
-    const baseType = typeStr.slice(0, -2);
+  if (modelNames.includes(text)) {
+    return { $ref: `#/components/schemas/${text}` };
+  }
+
+  // Handle arrays: string[], number[], Array<User>
+  if (text.endsWith('[]')) {
     return {
       type: 'array',
-      items: getTypeDefinition(baseType)
+      items: getTypeDefinition(text.slice(0, -2), modelNames)
     };
   }
-
-  // Handle unions: string | number
-  if (typeStr.includes(' | ')) {
-    const unionTypes = typeStr.split(' | ').map(t => t.trim());
+  const generic = text.match(/^(\w+)\s*<(.+)>$/);
+  if (generic && ['Array', 'ReadonlyArray', 'Set'].includes(generic[1])) {
+    return {
+      type: 'array',
+      items: getTypeDefinition(generic[2], modelNames)
+    };
+  }
+  // Record<string, number> and Map<string, number>: values of any key
+  if (generic && ['Record', 'Map'].includes(generic[1])) {
+    const [, value] = splitTopLevel(generic[2], ',');
     return {
-      anyOf: unionTypes.map(t => getTypeDefinition(t))
+      type: 'object',
+      additionalProperties: value ? getTypeDefinition(value, modelNames) : {}
     };
   }
 
+  // Inline object types: { lat: number; lng: number }
+  if (text.startsWith('{') && text.endsWith('}')) {
+    let members = [];
+    walk(parse(`type Inline = ${text}`), node => {
+      if (node.type === 'TypeAlias' && node.members) members = node.members;
+    });
+    return generateJsonSchema(signatureModel(members, null), modelNames);
+  }
+
   // Default to object
   return { type: 'object' };
 }
 
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node extract-schemas.js <source-file-path>');
-  process.exit(1);
+function unionDefinition(types, modelNames) {
+  const nullable = types.includes('null');
+  // `| undefined` only says the property may be left out
+  const rest = types.filter(type => type !== 'null' && type !== 'undefined');
+  const literals = rest.map(literalValue);
+
+  let schema;
+  if (rest.length > 0 && literals.every(value => value !== undefined) && new Set(literals.map(value => typeof value)).size === 1) {
+    schema = { type: typeof literals[0], enum: literals };
+  } else if (rest.length === 1) {
+    schema = getTypeDefinition(rest[0], modelNames);
+  } else if (rest.length > 1) {
+    schema = { anyOf: rest.map(type => getTypeDefinition(type, modelNames)) };
+  } else {
+    schema = {};
+  }
+  if (!nullable) return schema;
+
+  // OpenAPI 3.0 ignores keywords beside a $ref, and a nullable enum lists null
+  if (schema.$ref) return { allOf: [schema], nullable: true };
+  return Object.assign({}, schema, { nullable: true }, schema.enum ? { enum: schema.enum.concat(null) } : {});
 }
 
-const sourcePath = process.argv[2];
-try {
-  const schemas = extractSchemas(sourcePath);
+// The value of a string, number or boolean literal type
+function literalValue(text) {
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) return JSON.parse(text);
+  if (/^'[^']*'$/.test(text)) return text.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return undefined;
+}
 
-  console.log('=== SCHEMA EXTRACTION RESULTS ===\n');
+// Parts of `text` separated by `separator` outside brackets and strings
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('<([{'.includes(char)) {
+      depth++;
+    } else if ('>)]}'.includes(char) && text[i - 1] !== '=') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts.filter(part => part !== '');
+}
 
-  console.log(`Found ${schemas.dataModels.length} data models:`);
-  schemas.dataModels.forEach(model => {
-    console.log(`\nModel: ${model.name} (${model.type}) - Line ${model.line}`);
-    console.log('Properties:');
-    model.properties.forEach(prop => {
-      console.log(`  ${prop.name}${prop.required ? '' : '?'}: ${prop.type}`);
-    });
+// `(A | B)` -> `A | B`
+function unwrapParens(text) {
+  let current = text;
+  while (current.startsWith('(') && current.endsWith(')') && balanced(current.slice(1, -1))) {
+    current = current.slice(1, -1).trim();
+  }
+  return current;
+}
 
-    // Generate and show JSON Schema
-    console.log('JSON Schema:');
-    console.log(JSON.stringify(generateJsonSchema(model), null, 2));
-  });
+function balanced(text) {
+  let depth = 0;
+  for (const char of text) {
+    if (char === '(') depth++;
+    else if (char === ')' && --depth < 0) return false;
+  }
+  return depth === 0;
+}
 
-  console.log(`\nFound ${schemas.validationRules.length} validation rules:`);
-  schemas.validationRules.forEach(rule => {
-    console.log(`  Line ${rule.line}: ${rule.rule}`);
-  });
+module.exports = {
+  extractSchemas,
+  generateJsonSchema
+};
+
+// Main execution
+if (require.main === module) {
+  if (process.argv.length < 3) {
+    console.error('Usage: node extract-schemas.js <source-file|directory|glob> [...more]');
+    process.exit(1);
+  }
+
+  const targets = process.argv.slice(2);
+  try {
+    const schemas = extractSchemas(targets);
+    const multiFile = schemas.files.length > 1;
 
-  // Save extracted schemas to file
-  const outputPath = sourcePath.replace(/\.[^/.]+$/, '') + '-schemas.json';
-  fs.writeFileSync(outputPath, JSON.stringify(schemas, null, 2));
-  console.log(`\nAll schemas saved to: ${outputPath}`);
+    console.log('=== SCHEMA EXTRACTION RESULTS ===\n');
 
-} catch (error) {
-  console.error('Schema extraction failed:', error.message);
-  process.exit(1);
+    if (multiFile) {
+      console.log(`Scanned ${schemas.files.length} files under ${schemas.root}\n`);
+    }
+
+    console.log(`Found ${schemas.dataModels.length} data models:`);
+    schemas.dataModels.forEach(model => {
+      console.log(`\nModel: ${model.name} (${model.type}) - ${multiFile ? model.source : `Line ${model.line}`}`);
+      console.log('Properties:');
+      model.properties.forEach(prop => {
+        console.log(`  ${prop.name}${prop.required ? '' : '?'}: ${prop.type}`);
+      });
+
+      // Generate and show JSON Schema
+      console.log('JSON Schema:');
+      console.log(JSON.stringify(generateJsonSchema(model), null, 2));
+    });
+
+    console.log(`\nFound ${schemas.validationRules.length} validation rules:`);
+    schemas.validationRules.forEach(rule => {
+      console.log(`  ${multiFile ? rule.source : `Line ${rule.line}`}: ${rule.rule}`);
+    });
+
+    // Save extracted schemas to file; project scans write into the scanned root
+    const singleFile = targets.length === 1 && !isGlob(targets[0]) && fs.statSync(targets[0]).isFile();
+    const outputPath = singleFile
+      ? targets[0].replace(/\.[^/.]+$/, '') + '-schemas.json'
+      : path.join(schemas.root, 'schemas.json');
+    fs.writeFileSync(outputPath, JSON.stringify(schemas, null, 2));
+    console.log(`\nAll schemas saved to: ${outputPath}`);
+
+  } catch (error) {
+    console.error('Schema extraction failed:', error.message);
+    process.exit(1);
+  }
 }
\ No newline at end of file
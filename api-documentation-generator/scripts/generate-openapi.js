@@ -3,12 +3,99 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { isJavaScriptFile } = require('./lib/route-discovery');
+const { collectSourceFiles, formatSource, isGlob } = require('./lib/project-files');
+const { analyzeEndpoints } = require('./analyze-endpoints');
+const { extractSchemas, generateJsonSchema } = require('./extract-schemas');
+const { mergeSpecs, HTTP_METHODS } = require('./lib/spec-merge');
+const { loadSpec, serializeSpec } = require('./lib/spec-loader');
+const { capitalize } = require('./lib/schema-example');
 
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Middleware/guard/dependency names that mean an operation needs credentials
+const AUTH_MIDDLEWARE = /auth|jwt|token|bearer|passport|login_required|session|api[-_]?key|current_user|IsAdmin/i;
+const PUBLIC_MIDDLEWARE = /AllowAny|optional|public/i;
+
+// Methods an `app.all()` route stands for
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Regex and wildcard routes have no OpenAPI path template
+const UNSUPPORTED_ROUTE = /[*()\\^$|[\]?+]/;
+
+// Collects endpoints from a source file, a project directory or a glob using
+// analyze-endpoints (routes, request usage, middleware) and extract-schemas
+// (data models for components.schemas). Routes the spec cannot describe are
+// returned as `skipped`, with the reason.
+function extractEndpoints(targets) {
+  const analysis = analyzeEndpoints(targets);
+  const extracted = extractSchemas(targets);
+  const root = analysis.root;
+
+  const found = analysis.endpoints.map(endpoint => ({
+    method: endpoint.method,
+    route: toOpenApiPath(endpoint.path),
+    params: extractParams(endpoint.path),
+    description: `Endpoint for ${endpoint.method} ${endpoint.path}`,
+    parameters: endpoint.parameters || [],
+    middleware: endpoint.middleware || [],
+    schema: endpoint.schema,
+    types: endpoint.types,
+    source: endpoint.source
+  }));
+
+  const schemas = {};
+  analysis.schemas.forEach(({ id, schema }) => {
+    schemas[id] = schema;
+  });
+
+  const { files } = collectSourceFiles(targets, SOURCE_EXTENSIONS);
+  files.filter(isJavaScriptFile).forEach(file => {
+    const content = fs.readFileSync(file, 'utf8');
+    extractEndpointsFromCode(content).forEach(endpoint => {
+      endpoint.source = formatSource(root, file, endpoint.line);
+      found.push(endpoint);
+    });
+  });
+
+  const { endpoints, skipped } = concreteEndpoints(found);
+  return { root, files, endpoints, skipped, schemas, dataModels: extracted.dataModels };
+}
+
+// Endpoints with an HTTP method and a templated path. An `all` route becomes
+// one endpoint per method, unless the path has routes of its own methods,
+// in which case it is middleware in front of them (`router.route(p).all()`).
+function concreteEndpoints(found) {
+  const endpoints = [];
+  const skipped = [];
+  const isAll = endpoint => endpoint.method === 'ALL' || endpoint.method === '*';
+
+  found.forEach(endpoint => {
+    if (UNSUPPORTED_ROUTE.test(endpoint.route)) {
+      skipped.push({ endpoint, reason: 'regex and wildcard routes have no OpenAPI path' });
+      return;
+    }
+    if (isAll(endpoint)) {
+      if (found.some(other => other.route === endpoint.route && !isAll(other))) return;
+      ALL_METHODS.forEach(method => {
+        endpoints.push(Object.assign({}, endpoint, { method, description: endpoint.description.replace(/^Endpoint for \S+/, `Endpoint for ${method}`) }));
+      });
+      return;
+    }
+    if (!HTTP_METHODS.includes(endpoint.method.toLowerCase())) {
+      skipped.push({ endpoint, reason: `${endpoint.method} is not an HTTP method` });
+      return;
+    }
+    endpoints.push(endpoint);
+  });
+
+  return { endpoints, skipped };
+}
+
+// `@Route.Get('/x')` decorators; app/router calls come from route discovery
 function extractEndpointsFromCode(fileContent) {
-  // Regex patterns for common framework route definitions
   const patterns = [
-    /app\.(get|post|put|delete|patch)\(['"`](\/[^'"`]+)['"`].*\)/g,
-    /router\.(get|post|put|delete|patch)\(['"`](\/[^'"`]+)['"`].*\)/g,
     /@Route\.(Get|Post|Put|Delete|Patch)\(['"`](\/[^'"`]+)['"`]\)/g,
   ];
 
@@ -21,9 +108,10 @@ function extractEndpointsFromCode(fileContent) {
 
       endpoints.push({
         method: method,
-        route: route,
+        route: toOpenApiPath(route),
         params: extractParams(route),
-        description: `Endpoint for ${method} ${route}`
+        description: `Endpoint for ${method} ${route}`,
+        line: fileContent.substring(0, match.index).split('\n').length
       });
     }
   });
@@ -31,17 +119,79 @@ function extractEndpointsFromCode(fileContent) {
   return endpoints;
 }
 
+// Express/Koa `:id` and Hapi `{id}` / `{path*}` path parameters
 function extractParams(route) {
-  const paramRegex = /:([a-zA-Z0-9_]+)/g;
+  const paramRegex = /:([a-zA-Z0-9_]+)|\{([a-zA-Z0-9_]+)[*?]?\d*\}/g;
   const params = [];
   let match;
   while ((match = paramRegex.exec(route)) !== null) {
-    params.push(match[1]);
+    params.push(match[1] || match[2]);
   }
   return params;
 }
 
-function generateOpenApiSpec(endpoints) {
+// Express/Koa `:id`, `:id?` and `:id(\\d+)`, Hapi `{path*}` -> OpenAPI `{id}`
+function toOpenApiPath(route) {
+  return route
+    .replace(/:([a-zA-Z0-9_]+)(?:\([^)]*\))?\??/g, '{$1}')
+    .replace(/\{([a-zA-Z0-9_]+)[*?]?\d*\}/g, '{$1}');
+}
+
+// Fastify-style route schema (`params`, `querystring`, `headers`) to OpenAPI
+// parameters. Accepts both `{ type: 'object', properties }` and the bare
+// properties shorthand.
+function schemaParameters(schema, location) {
+  if (!schema || typeof schema !== 'object') return [];
+  const properties = schema.properties || (schema.type ? {} : schema);
+  const required = schema.required || [];
+
+  return Object.keys(properties).map(name => ({
+    name: name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    description: properties[name].description || `${location === 'query' ? 'Query' : location === 'header' ? 'Header' : 'Path'} parameter: ${name}`,
+    schema: properties[name]
+  }));
+}
+
+// Fastify `response` schemas keyed by status code (`200`, `2xx`, `default`)
+function schemaResponses(responses) {
+  const result = {};
+  Object.keys(responses).forEach(code => {
+    const schema = responses[code];
+    const status = code === 'default' ? code : code.toUpperCase();
+    result[status] = {
+      description: schema.description || (status.startsWith('2') ? 'Successful response' : 'Error response'),
+      content: {
+        'application/json': { schema: schema }
+      }
+    };
+  });
+  return result;
+}
+
+// Fastify references shared schemas as `user#`; in the spec they live under
+// components.schemas
+function rewriteSchemaRefs(value, ids) {
+  if (Array.isArray(value)) return value.map(item => rewriteSchemaRefs(item, ids));
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    const ref = typeof value[key] === 'string' ? value[key].replace(/#$/, '') : null;
+    if (key === '$ref' && ids.includes(ref)) {
+      result[key] = `#/components/schemas/${ref}`;
+    } else if (key !== '$id' || !ids.includes(value[key])) {
+      result[key] = rewriteSchemaRefs(value[key], ids);
+    }
+  });
+  return result;
+}
+
+// Builds the spec. `schemas` are shared route schemas (Fastify `addSchema`),
+// `dataModels` the models extract-schemas found; both land in
+// components.schemas and request/response bodies reference them.
+function generateOpenApiSpec(endpoints, schemas = {}, dataModels = []) {
   const spec = {
     openapi: '3.0.0',
     info: {
@@ -55,6 +205,21 @@ function generateOpenApiSpec(endpoints) {
     }
   };
 
+  const schemaIds = Object.keys(schemas);
+  schemaIds.forEach(id => {
+    spec.components.schemas[id] = rewriteSchemaRefs(schemas[id], schemaIds);
+  });
+
+  // First definition wins when several files declare the same model name
+  const models = [];
+  dataModels.forEach(model => {
+    if (!spec.components.schemas[model.name] && !models.some(m => m.name === model.name)) models.push(model);
+  });
+  const modelNames = models.map(model => model.name);
+  models.forEach(model => {
+    spec.components.schemas[model.name] = generateJsonSchema(model, modelNames);
+  });
+
   // Group endpoints by path
   endpoints.forEach(endpoint => {
     const path = endpoint.route;
@@ -63,7 +228,7 @@ function generateOpenApiSpec(endpoints) {
       spec.paths[path] = {};
     }
 
-    spec.paths[path][endpoint.method.toLowerCase()] = {
+    const operation = {
       summary: endpoint.description,
       description: endpoint.description,
       parameters: endpoint.params.map(param => ({
@@ -72,44 +237,246 @@ function generateOpenApiSpec(endpoints) {
         required: true,
         description: `Path parameter: ${param}`,
         schema: { type: 'string' }
-      })),
-      responses: {
-        '200': {
-          description: 'Successful response'
-        },
-        '404': {
-          description: 'Not found'
+      }))
+    };
+
+    const types = endpoint.types || {};
+    const usages = endpoint.parameters || [];
+
+    // Query/header/cookie values the handler reads, and DTO classes bound to
+    // the whole query string or header set (NestJS `@Query() dto`)
+    usages.filter(usage => ['query', 'header', 'cookie'].includes(usage.in)).forEach(usage => {
+      addParameter(operation, {
+        name: usage.name,
+        in: usage.in,
+        required: false,
+        description: `${capitalize(usage.in)} parameter: ${usage.name}`,
+        schema: { type: 'string' }
+      });
+    });
+    [['query', types.query], ['header', types.headers]].forEach(([location, typeName]) => {
+      const model = models.find(m => m.name === typeName);
+      if (!model) return;
+      model.properties.forEach(prop => addParameter(operation, {
+        name: location === 'header' ? prop.name.toLowerCase() : prop.name,
+        in: location,
+        required: prop.required,
+        description: `${capitalize(location)} parameter: ${prop.name}`,
+        schema: generateJsonSchema({ properties: [Object.assign({}, prop, { required: false })] }, modelNames).properties[prop.name]
+      }));
+    });
+
+    // Schemas declared on the route itself are used as-is
+    const schema = endpoint.schema ? rewriteSchemaRefs(endpoint.schema, schemaIds) : {};
+    schemaParameters(schema.params, 'path')
+      .concat(schemaParameters(schema.querystring, 'query'), schemaParameters(schema.headers, 'header'))
+      .forEach(param => addParameter(operation, param, true));
+
+    const bodyFields = usages.filter(usage => usage.in === 'body').map(usage => usage.name);
+    const bodySchema = schema.body || typeSchema(types.body, modelNames) || bodyFieldSchema(bodyFields, models) ||
+      (types.body ? { type: 'object' } : null);
+    if (bodySchema) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': { schema: bodySchema }
         }
+      };
+    }
+
+    if (schema.response) {
+      operation.responses = schemaResponses(schema.response);
+    } else {
+      const status = endpoint.method === 'POST' ? '201' : '200';
+      const responseSchema = typeSchema(types.response, modelNames);
+      operation.responses = {};
+      operation.responses[status] = { description: 'Successful response' };
+      if (responseSchema) {
+        operation.responses[status].content = { 'application/json': { schema: responseSchema } };
       }
-    };
+    }
+
+    const security = securityRequirements(endpoint.middleware || []);
+    if (security.length > 0) {
+      operation.security = security.map(([name]) => ({ [name]: [] }));
+      spec.components.securitySchemes = spec.components.securitySchemes || {};
+      security.forEach(([name, scheme]) => {
+        spec.components.securitySchemes[name] = scheme;
+      });
+    }
+
+    // Error responses the operation can actually produce
+    const errors = {};
+    if (operation.requestBody || operation.parameters.some(param => param.required && param.in !== 'path')) {
+      errors['400'] = 'Invalid request';
+    }
+    if (security.length > 0) errors['401'] = 'Authentication required';
+    if (endpoint.params.length > 0) errors['404'] = 'Not found';
+    Object.keys(errors).forEach(code => {
+      if (!operation.responses[code]) operation.responses[code] = { description: errors[code] };
+    });
+
+    if (operation.parameters.length === 0) {
+      delete operation.parameters;
+    }
+
+    if (endpoint.source) {
+      operation['x-source'] = endpoint.source;
+    }
+
+    spec.paths[path][endpoint.method.toLowerCase()] = operation;
   });
 
   return spec;
 }
 
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node generate-openapi.js <source-file-path>');
-  process.exit(1);
+// Adds a parameter unless one with the same name and location exists;
+// `replace` lets declared schemas override inferred entries
+function addParameter(operation, param, replace = false) {
+  const index = operation.parameters.findIndex(p => p.name === param.name && p.in === param.in);
+  if (index === -1) {
+    operation.parameters.push(param);
+  } else if (replace) {
+    operation.parameters[index] = param;
+  }
 }
 
-const sourcePath = process.argv[2];
+// `UserDto` / `UserDto[]` -> reference to an extracted component schema
+function typeSchema(typeName, modelNames) {
+  if (!typeName) return null;
+  const isArray = typeName.endsWith('[]');
+  const name = isArray ? typeName.slice(0, -2) : typeName;
+  if (!modelNames.includes(name)) return null;
+  const ref = { $ref: `#/components/schemas/${name}` };
+  return isArray ? { type: 'array', items: ref } : ref;
+}
 
-try {
-  const sourceCode = fs.readFileSync(sourcePath, 'utf8');
-  const endpoints = extractEndpointsFromCode(sourceCode);
-  const openApiSpec = generateOpenApiSpec(endpoints);
+// Request body from the fields a handler reads: the extracted model that
+// declares all of them with the fewest extras, else an inline object
+function bodyFieldSchema(fields, models) {
+  if (fields.length === 0) return null;
 
-  const outputPath = path.join(path.dirname(sourcePath), 'openapi-generated.json');
-  fs.writeFileSync(outputPath, JSON.stringify(openApiSpec, null, 2));
+  let best = null;
+  models.forEach(model => {
+    const names = model.properties.map(prop => prop.name);
+    if (!fields.every(field => names.includes(field))) return;
+    const extra = names.length - fields.length;
+    if (!best || extra < best.extra) best = { model, extra };
+  });
+  if (best) return { $ref: `#/components/schemas/${best.model.name}` };
 
-  console.log(`OpenAPI specification generated successfully!`);
-  console.log(`Output saved to: ${outputPath}`);
-  console.log(`Found ${endpoints.length} endpoints:`);
-  endpoints.forEach(endpoint => {
-    console.log(`  ${endpoint.method} ${endpoint.route}`);
+  const properties = {};
+  fields.forEach(field => {
+    properties[field] = {};
   });
-} catch (error) {
-  console.error('Error generating OpenAPI specification:', error.message);
-  process.exit(1);
+  return { type: 'object', properties };
+}
+
+// Security schemes implied by auth middleware, as [name, scheme] pairs
+function securityRequirements(middleware) {
+  if (middleware.some(name => PUBLIC_MIDDLEWARE.test(name))) return [];
+
+  const schemes = new Map();
+  middleware.filter(name => AUTH_MIDDLEWARE.test(name)).forEach(name => {
+    if (/api[-_]?key/i.test(name)) {
+      schemes.set('apiKeyAuth', { type: 'apiKey', in: 'header', name: 'X-API-Key' });
+    } else if (/basic/i.test(name)) {
+      schemes.set('basicAuth', { type: 'http', scheme: 'basic' });
+    } else if (/session|login_required/i.test(name)) {
+      schemes.set('cookieAuth', { type: 'apiKey', in: 'cookie', name: 'session' });
+    } else {
+      schemes.set('bearerAuth', { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' });
+    }
+  });
+  return [...schemes.entries()];
+}
+
+module.exports = {
+  extractEndpoints,
+  generateOpenApiSpec
+};
+
+// Main execution
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        merge: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        prune: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const targets = args.positionals;
+  if (targets.length === 0) {
+    console.error('Usage: node generate-openapi.js <source-file|directory|glob> [...more] [--merge <spec.yaml|spec.json>] [--prune] [--output <file>] [--format json|yaml]');
+    process.exit(1);
+  }
+
+  if (args.values.format && !['json', 'yaml'].includes(args.values.format)) {
+    console.error(`Unknown format "${args.values.format}" (expected json or yaml)`);
+    process.exit(1);
+  }
+
+  try {
+    const { root, endpoints, skipped, schemas, dataModels } = extractEndpoints(targets);
+    let openApiSpec = generateOpenApiSpec(endpoints, schemas, dataModels);
+    let mergeSummary = null;
+    let mergeFormat = null;
+    let comments = null;
+
+    // Merge mode updates the hand-edited spec in place unless --output is given
+    if (args.values.merge) {
+      const existing = loadSpec(args.values.merge);
+      const merged = mergeSpecs(existing.spec, openApiSpec, { prune: args.values.prune });
+      openApiSpec = merged.spec;
+      mergeSummary = merged.summary;
+      mergeFormat = existing.format;
+      comments = existing.comments;
+    }
+
+    // An explicit --format wins, then the output file's extension, then the
+    // format of the merged spec
+    const outputExt = path.extname(args.values.output || '').toLowerCase();
+    const outputFormat = outputExt === '.json' ? 'json' : /^\.ya?ml$/.test(outputExt) ? 'yaml' : null;
+    const format = args.values.format || outputFormat || mergeFormat || 'json';
+
+    const singleFile = targets.length === 1 && !isGlob(targets[0]) && fs.statSync(targets[0]).isFile();
+    const outputDir = singleFile ? path.dirname(targets[0]) : root;
+    const outputPath = args.values.output || args.values.merge || path.join(outputDir, `openapi-generated.${format}`);
+    fs.writeFileSync(outputPath, serializeSpec(openApiSpec, format, { comments }));
+
+    console.log(`OpenAPI specification ${mergeSummary ? 'merged' : 'generated'} successfully!`);
+    console.log(`Output saved to: ${outputPath}`);
+    console.log(`Found ${endpoints.length} endpoints:`);
+    endpoints.forEach(endpoint => {
+      console.log(`  ${endpoint.method} ${endpoint.route} (${endpoint.source})`);
+    });
+    if (skipped.length > 0) {
+      console.log(`\n⚠️ Skipped ${skipped.length} routes:`);
+      skipped.forEach(({ endpoint, reason }) => {
+        console.log(`  ${endpoint.method} ${endpoint.route} (${endpoint.source}): ${reason}`);
+      });
+    }
+
+    if (mergeSummary) {
+      console.log(`\nMerge summary:`);
+      console.log(`  ${mergeSummary.added.length} added, ${mergeSummary.updated.length} updated, ` +
+        `${mergeSummary.missing.length} deprecated, ${mergeSummary.removed.length} removed`);
+      mergeSummary.added.forEach(op => console.log(`  + ${op}`));
+      mergeSummary.updated.forEach(op => console.log(`  ~ ${op}`));
+      mergeSummary.missing.forEach(op => console.log(`  ! ${op} (not found in code, marked deprecated)`));
+      mergeSummary.removed.forEach(op => console.log(`  - ${op}`));
+    }
+  } catch (error) {
+    console.error('Error generating OpenAPI specification:', error.message);
+    process.exit(1);
+  }
 }
\ No newline at end of file
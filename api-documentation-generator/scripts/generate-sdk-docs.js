@@ -1,11 +1,27 @@
 #!/usr/bin/env node
-// Script to generate client SDK documentation
+// Script to generate client SDK documentation and client libraries
 
 const fs = require('fs');
 const path = require('path');
-
-function generateSdkDocs(specPath) {
-  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+const { parseArgs } = require('util');
+const { bundleSpec } = require('./lib/ref-resolver');
+const { buildSdkModel } = require('./lib/sdk/model');
+const { loadTargets } = require('./lib/sdk/targets');
+const { securitySchemes } = require('./lib/sample-requests');
+
+// `options.languages` limits the languages documented and `options.plugins`
+// lists modules adding language targets (see lib/sdk/targets.js). With
+// `options.clients` the result also has `clients` (language -> file path ->
+// content) for the targets that generate one, each library with a README.md
+// built from its documentation.
+function generateSdkDocs(specPath, options = {}) {
+  const { spec } = bundleSpec(specPath);
+  const targets = loadTargets(options.plugins);
+  const languages = options.languages || Object.keys(targets);
+  const unknown = languages.filter(language => !targets[language]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown language: ${unknown.join(', ')} (supported: ${Object.keys(targets).join(', ')})`);
+  }
 
   const sdkDocs = {
     languages: {},
@@ -13,12 +29,12 @@ function generateSdkDocs(specPath) {
     baseUrl: getBaseUrl(spec),
     authMethods: getAuthMethods(spec)
   };
+  const model = buildSdkModel(spec, { authMethods: sdkDocs.authMethods });
 
   // Generate documentation for different languages
-  sdkDocs.languages.javascript = generateJavaScriptSdk(spec);
-  sdkDocs.languages.python = generatePythonSdk(spec);
-  sdkDocs.languages.java = generateJavaSdk(spec);
-  sdkDocs.languages.csharp = generateCSharpSdk(spec);
+  languages.forEach(language => {
+    sdkDocs.languages[language] = generateLanguageSdk(targets[language], model);
+  });
 
   // Extract method information
   for (const [path, pathItem] of Object.entries(spec.paths || {})) {
@@ -38,6 +54,15 @@ function generateSdkDocs(specPath) {
     }
   }
 
+  if (options.clients) {
+    sdkDocs.clients = {};
+    languages.filter(language => targets[language].generateClient).forEach(language => {
+      const files = targets[language].generateClient(model);
+      files['README.md'] = generateLanguageSdkDoc(language, sdkDocs.languages[language]);
+      sdkDocs.clients[language] = files;
+    });
+  }
+
   return sdkDocs;
 }
 
@@ -48,422 +73,183 @@ function getBaseUrl(spec) {
   return 'https://api.example.com'; // default
 }
 
+// OpenAPI 3 security schemes or Swagger 2.0 security definitions.
+// `paramName` is the header, query or cookie name of an API key.
 function getAuthMethods(spec) {
   const authMethods = [];
-
-  if (spec.components && spec.components.securitySchemes) {
-    for (const [name, scheme] of Object.entries(spec.components.securitySchemes)) {
-      authMethods.push({
-        name: name,
-        type: scheme.type,
-        scheme: scheme.scheme,
-        in: scheme.in,
-        description: scheme.description
-      });
-    }
+  const schemes = securitySchemes(spec);
+
+  for (const [name, scheme] of Object.entries(schemes)) {
+    authMethods.push({
+      name: name,
+      type: scheme.type,
+      scheme: scheme.scheme,
+      in: scheme.in,
+      paramName: scheme.name,
+      description: scheme.description
+    });
   }
 
   return authMethods;
 }
 
-function generateJavaScriptSdk(spec) {
-  const baseUrl = getBaseUrl(spec);
-  const methods = [];
-
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete'].includes(method)) {
-        const operationId = operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`;
-
-        methods.push({
-          name: operationId,
-          signature: generateJsMethodSignature(operation),
-          example: generateJsExample(method, path, operation, baseUrl)
-        });
-      }
-    }
-  }
+// Name, signature and example call of every operation as the target's
+// client names it
+function sdkMethods(model, target) {
+  return model.operations.map(operation => {
+    const method = {
+      name: target.methodName(operation, model),
+      signature: target.methodSignature(operation, model),
+      summary: operation.summary || '',
+      example: target.methodExample(operation, model)
+    };
+    if (target.returnType) method.returns = target.returnType(operation, model);
+    return method;
+  });
+}
 
-  return {
-    className: 'ApiClient',
+// What generateLanguageSdkDoc() renders for one target
+function generateLanguageSdk(target, model) {
+  const methods = sdkMethods(model, target);
+  const info = {
+    className: target.CLASS_NAME || 'ApiClient',
+    packageName: target.packageName(model),
+    label: target.LABEL,
+    fence: target.FENCE,
+    installFence: target.INSTALL_FENCE,
     methods: methods,
-    baseUrl: baseUrl,
-    dependencies: ['axios'],
-    exampleUsage: generateJsUsageExample(baseUrl, methods[0])
+    baseUrl: model.baseUrl,
+    dependencies: target.DEPENDENCIES,
+    exampleUsage: target.usageExample(model, methods[0])
   };
+  info.installCommand = target.installCommand(info, model);
+  return Object.assign(info, target.documentation ? target.documentation(model) : {});
 }
 
-function generateJsMethodSignature(operation) {
-  const params = [];
-
-  // Add path parameters
-  const pathParams = (operation.parameters || []).filter(p => p.in === 'path');
-  pathParams.forEach(param => {
-    params.push(`${param.name}`);
-  });
+function generateLanguageSdkDoc(language, info) {
+  const fence = info.fence || language;
+  let doc = `# ${info.className} SDK for ${info.label || language}\n\n`;
 
-  // Add query parameters
-  const queryParams = (operation.parameters || []).filter(p => p.in === 'query');
-  if (queryParams.length > 0) {
-    params.push('params = {}');
+  doc += `## Installation\n\n`;
+  if (info.installCommand) {
+    doc += `\`\`\`${info.installFence || 'bash'}\n${info.installCommand}\n\`\`\`\n\n`;
   }
-
-  // Add request body
-  if (operation.requestBody) {
-    params.push('data = null');
+  if (info.dependencies.length > 0) {
+    doc += `Dependencies: ${info.dependencies.map(dependency => `\`${dependency}\``).join(', ')}\n\n`;
+  } else {
+    doc += `The client has no dependencies beyond the standard library.\n\n`;
   }
 
-  return `(${params.join(', ')})`;
-}
-
-function generateJsExample(method, path, operation, baseUrl) {
-  const operationId = operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`;
-  const url = baseUrl + path.replace(/{([^}]+)}/g, '${$1}');
-
-  return `// Example usage
-const result = await api.${operationId}(${getJsExampleArgs(operation)});
-console.log(result);`;
-}
-
-function getJsExampleArgs(operation) {
-  const args = [];
+  doc += `## Initialization\n\n`;
+  doc += `\`\`\`${fence}\n${info.exampleUsage}\n\`\`\`\n\n`;
 
-  // Add path parameter examples
-  const pathParams = (operation.parameters || []).filter(p => p.in === 'path');
-  pathParams.forEach(param => {
-    const example = param.example || `"${param.name}Value"`;
-    args.push(example);
+  doc += `## Available Methods\n\n`;
+  info.methods.forEach(method => {
+    doc += `### ${method.name}\n\n`;
+    doc += `\`${method.returns ? `${method.returns} ` : ''}${method.name}${method.signature}\`\n\n`;
+    if (method.summary) doc += `${method.summary}\n\n`;
+    doc += `\`\`\`${fence}\n${method.example}\n\`\`\`\n\n`;
   });
 
-  // Add query parameters example
-  const queryParams = (operation.parameters || []).filter(p => p.in === 'query');
-  if (queryParams.length > 0) {
-    const paramObj = {};
-    queryParams.forEach(param => {
-      paramObj[param.name] = param.example || `"${param.name}Value"`;
-    });
-    args.push(JSON.stringify(paramObj));
-  }
-
-  // Add request body example
-  if (operation.requestBody && operation.requestBody.content) {
-    for (const [contentType, content] of Object.entries(operation.requestBody.content)) {
-      if (content.schema && content.schema.example) {
-        args.push(JSON.stringify(content.schema.example));
-      } else {
-        args.push('{}');
-      }
-      break; // Use first content type
-    }
-  }
-
-  return args.join(', ');
+  return doc;
 }
 
-function generatePythonSdk(spec) {
-  const baseUrl = getBaseUrl(spec);
-  const methods = [];
-
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete'].includes(method)) {
-        const operationId = operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`;
+module.exports = {
+  generateSdkDocs,
+  generateLanguageSdkDoc,
+  getAuthMethods
+};
 
-        methods.push({
-          name: snakeCase(operationId),
-          signature: generatePythonMethodSignature(operation),
-          example: generatePythonExample(method, path, operation, baseUrl)
-        });
+// Main execution
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        client: { type: 'string' },
+        languages: { type: 'string' },
+        plugin: { type: 'string', multiple: true }
       }
-    }
-  }
-
-  return {
-    className: 'ApiClient',
-    methods: methods,
-    baseUrl: baseUrl,
-    dependencies: ['requests'],
-    exampleUsage: generatePythonUsageExample(baseUrl, methods[0])
-  };
-}
-
-function generatePythonMethodSignature(operation) {
-  const params = ['self'];
-
-  // Add path parameters
-  const pathParams = (operation.parameters || []).filter(p => p.in === 'path');
-  pathParams.forEach(param => {
-    params.push(param.name);
-  });
-
-  // Add query parameters
-  const queryParams = (operation.parameters || []).filter(p => p.in === 'query');
-  if (queryParams.length > 0) {
-    params.push('params=None');
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
 
-  // Add request body
-  if (operation.requestBody) {
-    params.push('data=None');
+  if (args.positionals.length < 1) {
+    console.error('Usage: node generate-sdk-docs.js <openapi-spec-path> [--client <dir>] [--languages javascript,typescript,python,java,csharp,go,ruby,php,kotlin] [--plugin <module>]');
+    console.log('Note: This script expects a valid OpenAPI/Swagger specification file (JSON or YAML)');
+    process.exit(1);
   }
 
-  return `(${params.join(', ')})`;
-}
+  const specPath = args.positionals[0];
+  try {
+    const languages = args.values.languages ? args.values.languages.split(',').map(language => language.trim()).filter(Boolean) : undefined;
+    const { clients, ...sdkDocs } = generateSdkDocs(specPath, {
+      languages,
+      plugins: args.values.plugin,
+      clients: Boolean(args.values.client)
+    });
 
-function generatePythonExample(method, path, operation, baseUrl) {
-  const operationId = snakeCase(operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`);
+    console.log('=== SDK DOCUMENTATION GENERATION ===\n');
 
-  return `# Example usage
-result = client.${operationId}(${getPythonExampleArgs(operation)})
-print(result)`;
-}
+    console.log('Supported Languages:');
+    for (const [lang, info] of Object.entries(sdkDocs.languages)) {
+      console.log(`- ${lang}: ${info.methods.length} methods`);
+    }
 
-function getPythonExampleArgs(operation) {
-  const args = [];
+    console.log(`\nBase URL: ${sdkDocs.baseUrl}`);
 
-  // Add path parameter examples
-  const pathParams = (operation.parameters || []).filter(p => p.in === 'path');
-  pathParams.forEach(param => {
-    const example = param.example || f"`{param.name}_value`";
-    args.push(example);
-  });
+    console.log('\nAuthentication Methods:');
+    sdkDocs.authMethods.forEach(auth => {
+      console.log(`- ${auth.name}: ${auth.type} ${auth.scheme || ''}`);
+    });
 
-  // Add query parameters example
-  const queryParams = (operation.parameters || []).filter(p => p.in === 'query');
-  if (queryParams.length > 0) {
-    const paramDict = {};
-    queryParams.forEach(param => {
-      paramDict[param.name] = param.example || f"`{param.name}_value`";
+    console.log('\nFirst few API methods:');
+    sdkDocs.methods.slice(0, 3).forEach(method => {
+      console.log(`- ${method.method} ${method.path}: ${method.summary || 'No summary'}`);
     });
-    args.push(JSON.stringify(paramDict));
-  }
 
-  // Add request body example
-  if (operation.requestBody && operation.requestBody.content) {
-    for (const [contentType, content] of Object.entries(operation.requestBody.content)) {
-      if (content.schema && content.schema.example) {
-        args.push(JSON.stringify(content.schema.example));
-      } else {
-        args.push('{}');
-      }
-      break;
+    // Save SDK documentation
+    const outputDir = path.dirname(specPath);
+    const outputPath = path.join(outputDir, 'sdk-documentation.json');
+    fs.writeFileSync(outputPath, JSON.stringify(sdkDocs, null, 2));
+
+    // Generate language-specific documentation files
+    for (const [lang, langInfo] of Object.entries(sdkDocs.languages)) {
+      const langPath = path.join(outputDir, `sdk-${lang}.md`);
+      const langDoc = generateLanguageSdkDoc(lang, langInfo);
+      fs.writeFileSync(langPath, langDoc);
+      if (langInfo.declarations) fs.writeFileSync(path.join(outputDir, `sdk-${lang}.d.ts`), langInfo.declarations);
     }
-  }
-
-  return args.join(', ');
-}
-
-function generateJavaSdk(spec) {
-  const baseUrl = getBaseUrl(spec);
-  const methods = [];
 
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete'].includes(method)) {
-        const operationId = camelCase(operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`);
-
-        methods.push({
-          name: operationId,
-          signature: generateJavaMethodSignature(operation),
-          example: generateJavaExample(method, path, operation, baseUrl)
-        });
-      }
+    // Client libraries, one directory per language
+    for (const [lang, files] of Object.entries(clients || {})) {
+      Object.keys(files).forEach(file => {
+        const target = path.join(args.values.client, lang, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, files[file]);
+      });
     }
-  }
-
-  return {
-    className: 'ApiClient',
-    methods: methods,
-    baseUrl: baseUrl,
-    dependencies: ['org.apache.httpcomponents:httpclient:4.5.13'],
-    exampleUsage: generateJavaUsageExample(baseUrl, methods[0])
-  };
-}
-
-function generateJavaMethodSignature(operation) {
-  const params = [];
-
-  // Add path parameters
-  const pathParams = (operation.parameters || []).filter(p => p.in === 'path');
-  pathParams.forEach(param => {
-    params.push(`String ${param.name}`);
-  });
-
-  // Add query parameters
-  const queryParams = (operation.parameters || []).filter(p => p.in === 'query');
-  if (queryParams.length > 0) {
-    params.push('Map<String, Object> params');
-  }
-
-  // Add request body
-  if (operation.requestBody) {
-    params.push('Object data');
-  }
-
-  // Add return type
-  let returnType = 'Object';
-  if (operation.responses && operation.responses['200']) {
-    returnType = 'Object'; // In a real implementation, this would be more specific
-  }
 
-  return `${returnType} ${params.join(', ')})`;
-}
-
-function generateCSharpSdk(spec) {
-  const baseUrl = getBaseUrl(spec);
-  const methods = [];
-
-  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-    for (const [method, operation] of Object.entries(pathItem)) {
-      if (['get', 'post', 'put', 'patch', 'delete'].includes(method)) {
-        const operationId = pascalCase(operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`);
-
-        methods.push({
-          name: operationId,
-          signature: generateCSharpMethodSignature(operation),
-          example: generateCSharpExample(method, path, operation, baseUrl)
-        });
-      }
+    console.log(`\nSDK documentation generated successfully!`);
+    console.log(`- Main SDK docs: ${outputPath}`);
+    for (const [lang, langInfo] of Object.entries(sdkDocs.languages)) {
+      console.log(`- ${lang} SDK guide: ${outputDir}/sdk-${lang}.md`);
+      if (langInfo.declarations) console.log(`- ${lang} type declarations: ${outputDir}/sdk-${lang}.d.ts`);
     }
-  }
-
-  return {
-    className: 'ApiClient',
-    methods: methods,
-    baseUrl: baseUrl,
-    dependencies: ['System.Net.Http', 'Newtonsoft.Json'],
-    exampleUsage: generateCSharpUsageExample(baseUrl, methods[0])
-  };
-}
-
-function snakeCase(str) {
-  return str.replace(/([A-Z])/g, '_$1').toLowerCase().replace(/^_/, '');
-}
-
-function camelCase(str) {
-  return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
-}
-
-function pascalCase(str) {
-  return camelCase(str).charAt(0).toUpperCase() + camelCase(str).slice(1);
-}
-
-function generateJsUsageExample(baseUrl, firstMethod) {
-  return `// Initialize the API client
-const api = new ApiClient('${baseUrl}');
-
-// Make authenticated requests
-api.setAuthToken('your-api-token');
-
-// Call API methods
-const result = await api.${firstMethod ? firstMethod.name : 'someMethod'}();`;
-}
-
-function generatePythonUsageExample(baseUrl, firstMethod) {
-  return `# Initialize the API client
-client = ApiClient('${baseUrl}')
-
-# Make authenticated requests
-client.set_auth_token('your-api-token')
-
-# Call API methods
-result = client.${firstMethod ? firstMethod.name : 'some_method'}()`;
-}
-
-function generateJavaUsageExample(baseUrl, firstMethod) {
-  return `// Initialize the API client
-ApiClient client = new ApiClient("${baseUrl}");
-
-// Make authenticated requests
-client.setAuthToken("your-api-token");
-
-// Call API methods
-Object result = client.${firstMethod ? firstMethod.name : 'someMethod'}();`;
-}
-
-function generateCSharpUsageExample(baseUrl, firstMethod) {
-  return `// Initialize the API client
-var client = new ApiClient("${baseUrl}");
-
-// Make authenticated requests
-client.SetAuthToken("your-api-token");
-
-// Call API methods
-var result = await client.${firstMethod ? firstMethod.name : 'SomeMethod'}();`;
-}
-
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node generate-sdk-docs.js <openapi-spec-path>');
-  console.log('Note: This script expects a valid OpenAPI/Swagger JSON specification file');
-  process.exit(1);
-}
-
-const specPath = process.argv[2];
-try {
-  const sdkDocs = generateSdkDocs(specPath);
-
-  console.log('=== SDK DOCUMENTATION GENERATION ===\n');
-
-  console.log('Supported Languages:');
-  for (const [lang, info] of Object.entries(sdkDocs.languages)) {
-    console.log(`- ${lang}: ${info.methods.length} methods`);
-  }
-
-  console.log(`\nBase URL: ${sdkDocs.baseUrl}`);
-
-  console.log('\nAuthentication Methods:');
-  sdkDocs.authMethods.forEach(auth => {
-    console.log(`- ${auth.name}: ${auth.type} ${auth.scheme || ''}`);
-  });
-
-  console.log('\nFirst few API methods:');
-  sdkDocs.methods.slice(0, 3).forEach(method => {
-    console.log(`- ${method.method} ${method.path}: ${method.summary || 'No summary'}`);
-  });
-
-  // Save SDK documentation
-  const outputDir = path.dirname(specPath);
-  const outputPath = path.join(outputDir, 'sdk-documentation.json');
-  fs.writeFileSync(outputPath, JSON.stringify(sdkDocs, null, 2));
-
-  // Generate language-specific documentation files
-  for (const [lang, langInfo] of Object.entries(sdkDocs.languages)) {
-    const langPath = path.join(outputDir, `sdk-${lang}.md`);
-    const langDoc = generateLanguageSdkDoc(lang, langInfo);
-    fs.writeFileSync(langPath, langDoc);
-  }
-
-  console.log(`\nSDK documentation generated successfully!`);
-  console.log(`- Main SDK docs: ${outputPath}`);
-  for (const lang of Object.keys(sdkDocs.languages)) {
-    console.log(`- ${lang} SDK guide: ${outputDir}/sdk-${lang}.md`);
-  }
-
-} catch (error) {
-  console.error('SDK documentation generation failed:', error.message);
-  process.exit(1);
-}
-
-function generateLanguageSdkDoc(language, info) {
-  let doc = `# ${info.className} SDK for ${language.charAt(0).toUpperCase() + language.slice(1)}\n\n`;
-
-  doc += `## Installation\n\n`;
-  if (info.dependencies.length > 0) {
-    if (language === 'javascript') {
-      doc += `\`\`\`bash\nnpm install ${info.dependencies.join(' ')}\n\`\`\`\n\n`;
-    } else if (language === 'python') {
-      doc += `\`\`\`bash\npip install ${info.dependencies.join(' ')}\n\`\`\`\n\n`;
+    for (const [lang, files] of Object.entries(clients || {})) {
+      console.log(`- ${lang} client: ${path.join(args.values.client, lang)} (${Object.keys(files).length} files)`);
+    }
+    if (clients) {
+      Object.keys(sdkDocs.languages).filter(lang => !clients[lang]).forEach(lang => {
+        console.log(`- ${lang} client: not generated, the guide documents the expected API only`);
+      });
     }
-  }
-
-  doc += `## Initialization\n\n`;
-  doc += `\`\`\`${language}\n${info.exampleUsage}\n\`\`\`\n\n`;
-
-  doc += `## Available Methods\n\n`;
-  info.methods.forEach(method => {
-    doc += `- \`${method.name}${method.signature}\`: ${method.example}\n\n`;
-  });
 
-  return doc;
+  } catch (error) {
+    console.error('SDK documentation generation failed:', error.message);
+    process.exit(1);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Script to draft an OpenAPI specification from a Postman collection
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fromPostmanCollection } = require('./lib/postman');
+const { serializeSpec } = require('./lib/spec-loader');
+const { HTTP_METHODS } = require('./lib/spec-merge');
+
+function importPostmanCollection(collectionPath) {
+  let collection;
+  try {
+    collection = JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${collectionPath}: ${error.message}`);
+  }
+  return fromPostmanCollection(collection);
+}
+
+module.exports = {
+  importPostmanCollection
+};
+
+// Main execution
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' }
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.positionals.length < 1) {
+    console.error('Usage: node import-postman.js <collection.json> [--output <file>] [--format json|yaml]');
+    process.exit(1);
+  }
+
+  if (args.values.format && !['json', 'yaml'].includes(args.values.format)) {
+    console.error(`Unknown format "${args.values.format}" (expected json or yaml)`);
+    process.exit(1);
+  }
+
+  const [collectionPath] = args.positionals;
+
+  try {
+    const spec = importPostmanCollection(collectionPath);
+
+    // An explicit --format wins, then the output file's extension
+    const outputExt = path.extname(args.values.output || '').toLowerCase();
+    const outputFormat = outputExt === '.json' ? 'json' : /^\.ya?ml$/.test(outputExt) ? 'yaml' : null;
+    const format = args.values.format || outputFormat || 'json';
+
+    const baseName = path.basename(collectionPath).replace(/(\.postman_collection)?\.json$/i, '');
+    const outputPath = args.values.output || path.join(path.dirname(collectionPath), `${baseName}-openapi.${format}`);
+    fs.writeFileSync(outputPath, serializeSpec(spec, format));
+
+    const operations = [];
+    Object.keys(spec.paths).forEach(route => {
+      HTTP_METHODS.filter(method => spec.paths[route][method]).forEach(method => {
+        operations.push(`${method.toUpperCase()} ${route}`);
+      });
+    });
+
+    console.log('OpenAPI draft imported successfully!');
+    console.log(`Output saved to: ${outputPath}`);
+    console.log(`Found ${operations.length} operations:`);
+    operations.forEach(operation => console.log(`  ${operation}`));
+    console.log('\nReview the draft: schemas are inferred from example bodies and every operation needs real descriptions.');
+  } catch (error) {
+    console.error('Error importing Postman collection:', error.message);
+    process.exit(1);
+  }
+}
\ No newline at end of file
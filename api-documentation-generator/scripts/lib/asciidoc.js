@@ -0,0 +1,312 @@
+// Renders a spec as an AsciiDoc book: an overview with the servers, the
+// security schemes, one chapter per tag with parameter, request body and
+// response tables for each operation, and a Data Models chapter with a
+// property table per component schema. Schema refs become cross references
+// to the model's section, so the output converts with asciidoctor as is.
+
+const { pointerTokens } = require('./spec-loader');
+const { exampleFromMedia } = require('./schema-example');
+const { securitySchemes, specServers, parameterSchema, responseContent } = require('./sample-requests');
+const {
+  createContext,
+  groupOperations,
+  schemaEntries,
+  typeLabel,
+  schemaConstraints,
+  slug
+} = require('./html-docs');
+
+function toAsciiDoc(spec) {
+  const context = createContext(spec);
+  const info = spec.info || {};
+  const lines = [
+    `= ${heading(info.title || 'API Documentation')}`,
+    ':doctype: book',
+    ':toc: left',
+    ':toclevels: 3',
+    ':icons: font',
+    ':source-highlighter: highlightjs'
+  ];
+  if (info.version) lines.push(`:revnumber: ${info.version}`);
+  lines.push('');
+  if (info.description) lines.push(text(info.description), '');
+
+  lines.push(...overview(spec));
+  lines.push(...authentication(spec));
+
+  groupOperations(spec, context).forEach(group => {
+    lines.push(`== ${heading(group.name)}`, '');
+    if (group.description) lines.push(text(group.description), '');
+    group.operations.forEach(entry => lines.push(...operationSection(entry, context)));
+  });
+
+  const models = schemaEntries(spec);
+  if (models.length > 0) {
+    lines.push('== Data Models', '');
+    models.forEach(({ name, schema }) => lines.push(...modelSection(name, schema, context)));
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+// Version, contact, license and servers
+function overview(spec) {
+  const info = spec.info || {};
+  const lines = [];
+  const details = [];
+  if (info.version) details.push(['Version', info.version]);
+  if (info.contact && (info.contact.name || info.contact.email || info.contact.url)) {
+    const contact = [info.contact.name, info.contact.email ? `mailto:${info.contact.email}[${info.contact.email}]` : null, info.contact.url]
+      .filter(Boolean).join(', ');
+    details.push(['Contact', contact]);
+  }
+  if (info.license && info.license.name) {
+    details.push(['License', info.license.url ? `${info.license.url}[${info.license.name}]` : info.license.name]);
+  }
+  if (info.termsOfService) details.push(['Terms of service', info.termsOfService]);
+
+  const servers = specServers(spec);
+  if (details.length === 0 && servers.length === 0) return lines;
+
+  lines.push('== Overview', '');
+  details.forEach(([label, value]) => lines.push(`${label}:: ${value}`));
+  if (details.length > 0) lines.push('');
+
+  if (servers.length > 0) {
+    lines.push('.Servers', '[cols="2,3",options="header"]', '|===', '|URL |Description');
+    servers.forEach(server => {
+      const variables = Object.keys(server.variables).map(name => {
+        const variable = server.variables[name] || {};
+        const values = Array.isArray(variable.enum) ? ` (one of ${variable.enum.map(value => `\`${value}\``).join(', ')})` : '';
+        return `\`${name}\` defaults to \`${variable.default}\`${values}`;
+      });
+      lines.push(`|\`+${cell(server.url)}+\``, `|${cell([server.description, ...variables].filter(Boolean).join('; '))}`);
+    });
+    lines.push('|===', '');
+  }
+  return lines;
+}
+
+function authentication(spec) {
+  const schemes = securitySchemes(spec);
+  const names = Object.keys(schemes);
+  if (names.length === 0) return [];
+
+  const lines = ['== Authentication', '', '[cols="1,1,2,3",options="header"]', '|===', '|Name |Type |Details |Description'];
+  names.forEach(name => {
+    const scheme = schemes[name] || {};
+    lines.push(`|\`${cell(name)}\``, `|${cell(scheme.type || '')}`, `|${cell(schemeDetails(scheme))}`, `|${cell(scheme.description || '')}`);
+  });
+  lines.push('|===', '');
+  return lines;
+}
+
+function schemeDetails(scheme) {
+  switch (scheme.type) {
+    case 'http':
+      return [scheme.scheme, scheme.bearerFormat ? `format ${scheme.bearerFormat}` : null].filter(Boolean).join(', ');
+    case 'basic':
+      return 'basic';
+    case 'apiKey':
+      return `\`${scheme.name}\` in ${scheme.in}`;
+    case 'oauth2': {
+      // Swagger 2.0 has one flow on the scheme itself
+      const flows = scheme.flows || { [scheme.flow || 'implicit']: scheme };
+      return Object.keys(flows).map(flow => {
+        const settings = flows[flow] || {};
+        const url = settings.authorizationUrl || settings.tokenUrl;
+        const scopes = Object.keys(settings.scopes || {});
+        return `${flow}${url ? ` via ${url}` : ''}${scopes.length > 0 ? `, scopes ${scopes.map(scope => `\`${scope}\``).join(', ')}` : ''}`;
+      }).join('; ');
+    }
+    case 'openIdConnect':
+      return scheme.openIdConnectUrl || '';
+    default:
+      return '';
+  }
+}
+
+function operationSection(entry, context) {
+  const { operation, method, path, parameters, requestBody } = entry;
+  const lines = [`[[${entry.anchor}]]`, `=== ${method.toUpperCase()} +${path}+`, ''];
+  if (operation.summary) lines.push(`_${inline(operation.summary)}_`, '');
+  if (operation.description) lines.push(text(operation.description), '');
+  if (operation.deprecated) lines.push('WARNING: This operation is deprecated.', '');
+  if (operation.operationId) lines.push(`Operation ID:: \`${operation.operationId}\``);
+
+  const security = operation.security || context.spec.security;
+  if (Array.isArray(security)) {
+    const options = security.map(requirement => {
+      const names = Object.keys(requirement || {});
+      return names.length === 0 ? 'none' : names.map(name => {
+        const scopes = requirement[name] || [];
+        return `\`${name}\`${scopes.length > 0 ? ` (${scopes.join(', ')})` : ''}`;
+      }).join(' and ');
+    });
+    if (options.length > 0) lines.push(`Security:: ${options.join(' or ')}`);
+  }
+  lines.push('');
+
+  if (parameters.length > 0) {
+    lines.push('.Parameters', '[cols="2,1,2,1,4",options="header"]', '|===', '|Name |Location |Type |Required |Description');
+    parameters.forEach(param => {
+      const schema = parameterSchema(param, context.resolve);
+      lines.push(`|\`${cell(param.name)}\``, `|${param.in}`, `|${cell(typeText(schema, context))}`, `|${param.required ? 'Yes' : 'No'}`,
+        `|${cell(param.description || '')}`);
+    });
+    lines.push('|===', '');
+  }
+
+  if (requestBody && !requestBody.formData) {
+    lines.push(`.Request body${requestBody.required ? ' (required)' : ''}`);
+    lines.push(...mediaTable(requestBody.content, context));
+    if (requestBody.description) lines.push(text(requestBody.description), '');
+    lines.push(...mediaExamples(requestBody.content, 'request', 'Request', context));
+  }
+
+  const responses = operation.responses || {};
+  const codes = Object.keys(responses);
+  if (codes.length > 0) {
+    lines.push('.Responses', '[cols="1,3,3",options="header"]', '|===', '|Code |Description |Content');
+    const contents = codes.map(code => {
+      const response = context.resolve(responses[code]) || {};
+      const content = responseContent(context.spec, operation, response);
+      const headers = Object.keys(response.headers || {}).map(name => `\`${name}\``);
+      const description = [response.description, headers.length > 0 ? `Headers: ${headers.join(', ')}` : null].filter(Boolean).join(' ');
+      const types = Object.keys(content).map(type => {
+        const media = content[type] || {};
+        return `\`${type}\`${media.schema ? `: ${typeText(media.schema, context)}` : ''}`;
+      });
+      lines.push(`|${code}`, `|${cell(description)}`, `|${cell(types.join(', '))}`);
+      return [code, content];
+    });
+    lines.push('|===', '');
+    contents.forEach(([code, content]) => lines.push(...mediaExamples(content, 'response', `${code} response`, context)));
+  }
+  return lines;
+}
+
+function mediaTable(content, context) {
+  const types = Object.keys(content || {});
+  if (types.length === 0) return [''];
+  const lines = ['[cols="1,3",options="header"]', '|===', '|Content type |Schema'];
+  types.forEach(type => {
+    const media = content[type] || {};
+    lines.push(`|\`${cell(type)}\``, `|${media.schema ? cell(typeText(media.schema, context)) : ''}`);
+  });
+  lines.push('|===', '');
+  return lines;
+}
+
+// A source block per media type that has or can be given a sample
+function mediaExamples(content, direction, title, context) {
+  const lines = [];
+  Object.keys(content || {}).forEach(type => {
+    const example = exampleFromMedia(content[type], { resolve: context.resolve, direction });
+    if (example === undefined || example === '') return;
+    // Samples built from the schema are JSON, which only suits JSON types
+    const json = typeof example !== 'string';
+    if (json && !/json/i.test(type) && type !== '*/*') return;
+    lines.push(`.${title} example (\`${type}\`)`, `[source,${json || /json/i.test(type) ? 'json' : /xml/i.test(type) ? 'xml' : 'text'}]`, '----',
+      (json ? JSON.stringify(example, null, 2) : example).replace(/^----$/gm, '- - -'), '----', '');
+  });
+  return lines;
+}
+
+function modelSection(name, schema, context) {
+  schema = schema && typeof schema === 'object' ? schema : {};
+  const lines = [`[[${modelAnchor(name)}]]`, `=== ${heading(name)}`, ''];
+  if (schema.description) lines.push(text(schema.description), '');
+  if (schema.deprecated) lines.push('WARNING: This model is deprecated.', '');
+
+  const facts = [];
+  const target = context.resolve(schema) || {};
+  if (schema.$ref) facts.push(['Alias of', typeText(schema, context)]);
+  if (Array.isArray(target.allOf)) facts.push(['All of', target.allOf.map(part => typeText(part, context)).join(', ')]);
+  if (Array.isArray(target.oneOf)) facts.push(['One of', target.oneOf.map(part => typeText(part, context)).join(', ')]);
+  if (Array.isArray(target.anyOf)) facts.push(['Any of', target.anyOf.map(part => typeText(part, context)).join(', ')]);
+  if (target.discriminator) {
+    const discriminator = typeof target.discriminator === 'string' ? target.discriminator : target.discriminator.propertyName;
+    if (discriminator) facts.push(['Discriminator', `\`${discriminator}\``]);
+  }
+  if (!target.properties && !target.allOf && !target.oneOf && !target.anyOf && !schema.$ref) {
+    facts.push(['Type', typeText(target, context)]);
+  }
+  facts.forEach(([label, value]) => lines.push(`${label}:: ${value}`));
+  if (facts.length > 0) lines.push('');
+
+  const properties = target.properties && typeof target.properties === 'object' ? target.properties : {};
+  const names = Object.keys(properties);
+  if (names.length > 0 || (target.additionalProperties && typeof target.additionalProperties === 'object')) {
+    const required = Array.isArray(target.required) ? target.required : [];
+    lines.push('[cols="2,2,1,4",options="header"]', '|===', '|Property |Type |Required |Description');
+    names.forEach(property => {
+      const value = properties[property];
+      const resolved = context.resolve(value) || {};
+      const notes = [resolved.readOnly ? 'Read-only.' : null, resolved.writeOnly ? 'Write-only.' : null, resolved.deprecated ? 'Deprecated.' : null];
+      const description = [value && !value.$ref ? value.description : resolved.description, ...notes].filter(Boolean).join(' ');
+      lines.push(`|\`${cell(property)}\``, `|${cell(typeText(value, context))}`, `|${required.includes(property) ? 'Yes' : 'No'}`, `|${cell(description)}`);
+    });
+    if (target.additionalProperties && typeof target.additionalProperties === 'object') {
+      lines.push('|_any other_', `|${cell(typeText(target.additionalProperties, context))}`, '|No', '|Additional properties');
+    }
+    lines.push('|===', '');
+  }
+  return lines;
+}
+
+// One-line type for table cells: component refs link to their model, arrays
+// name their items, and constraints follow the type
+function typeText(schema, context, depth = 0) {
+  if (schema === true || schema === undefined) return 'any';
+  if (!schema || typeof schema !== 'object') return 'never';
+  if (typeof schema.$ref === 'string') {
+    const name = pointerTokens(schema.$ref).pop() || schema.$ref;
+    return /^#\/(components\/schemas|definitions)\//.test(schema.$ref) ? `<<${modelAnchor(name)},${name}>>` : name;
+  }
+  const choices = schema.oneOf || schema.anyOf || schema.allOf;
+  if (!schema.type && Array.isArray(choices) && depth < 3) {
+    const separator = schema.allOf ? ' & ' : ' | ';
+    return choices.map(part => typeText(part, context, depth + 1)).join(separator);
+  }
+
+  let type = typeLabel(schema);
+  if ((schema.type === 'array' || (Array.isArray(schema.type) && schema.type.includes('array'))) && schema.items && depth < 3) {
+    type = `array of ${typeText(schema.items, context, depth + 1)}`;
+  }
+  if (!schema.properties && schema.additionalProperties && typeof schema.additionalProperties === 'object' && depth < 3) {
+    type = `map of ${typeText(schema.additionalProperties, context, depth + 1)}`;
+  }
+  const constraints = schemaConstraints(schema).map(constraint => `\`+${constraint}+\``);
+  return constraints.length > 0 ? `${type} (${constraints.join(', ')})` : type;
+}
+
+function modelAnchor(name) {
+  return `schema-${slug(name)}`;
+}
+
+// CommonMark descriptions in AsciiDoc: **bold**, [links](url) and headings
+function text(value) {
+  return String(value).trim()
+    .replace(/^(#{1,6})\s+(.*)$/gm, (match, hashes, title) => `*${title}*`)
+    .replace(/^=/gm, '{empty}=')
+    .replace(/\*\*([^*]+)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => /^\w+:/.test(url) ? `${url}[${label}]` : label);
+}
+
+function inline(value) {
+  return text(value).replace(/\s*\n\s*/g, ' ');
+}
+
+// Table cells hold one line; a bare `|` would start the next cell
+function cell(value) {
+  return inline(value).replace(/\|/g, '\\|');
+}
+
+function heading(value) {
+  return String(value).replace(/\s*\n\s*/g, ' ');
+}
+
+module.exports = {
+  toAsciiDoc
+};
\ No newline at end of file
@@ -0,0 +1,619 @@
+// Renders a spec as a single self-contained HTML page: a sidebar of
+// operations grouped by tag with client-side search, schemas expanded with
+// their `$ref`s resolved, request and response examples, and a try-it-out
+// panel that sends requests to a server chosen from the spec. Styles and
+// scripts are inlined so the page works offline. Expects a bundled spec
+// (every ref local).
+
+const { HTTP_METHODS } = require('./spec-merge');
+const { resolveLocalRef } = require('./ref-resolver');
+const { pointerTokens } = require('./spec-loader');
+const { exampleFromSchema, exampleFromMedia, schemaType } = require('./schema-example');
+const { operationParameters, parameterSchema, requestBody, responseContent, securitySchemes } = require('./sample-requests');
+
+// Nested refs expanded inline before the schema is only linked
+const MAX_SCHEMA_DEPTH = 6;
+
+function renderHtmlDocs(spec) {
+  const context = createContext(spec);
+  const groups = groupOperations(spec, context);
+  const schemas = schemaEntries(spec);
+  const title = (spec.info && spec.info.title) || 'API Documentation';
+
+  const data = consoleData(spec, context.operations);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <nav class="sidebar">
+    <div class="sidebar-title">${escapeHtml(title)}</div>
+    <input id="search" type="search" placeholder="Search operations and schemas" autocomplete="off">
+    ${groups.map(group => `
+    <div class="nav-group">
+      <div class="nav-tag">${escapeHtml(group.name)}</div>
+      ${group.operations.map(operation => `<a class="nav-op" href="#${operation.anchor}" data-search="${escapeHtml(operation.search)}"><span class="method ${operation.method}">${operation.method.toUpperCase()}</span> ${escapeHtml(operation.path)}</a>`).join('\n      ')}
+    </div>`).join('')}
+    ${schemas.length > 0 ? `
+    <div class="nav-group">
+      <div class="nav-tag">Schemas</div>
+      ${schemas.map(({ name }) => `<a class="nav-op" href="#${schemaAnchor(name)}" data-search="${escapeHtml(name.toLowerCase())}">${escapeHtml(name)}</a>`).join('\n      ')}
+    </div>` : ''}
+  </nav>
+  <main>
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      ${spec.info && spec.info.version ? `<p class="version">Version ${escapeHtml(spec.info.version)}</p>` : ''}
+      ${spec.info && spec.info.description ? formatText(spec.info.description) : ''}
+      ${renderConsoleSettings(spec, data)}
+    </header>
+    ${groups.map(group => `
+    <section class="tag-section">
+      <h2>${escapeHtml(group.name)}</h2>
+      ${group.description ? formatText(group.description) : ''}
+      ${group.operations.map(operation => renderOperation(operation, context)).join('\n')}
+    </section>`).join('')}
+    ${schemas.length > 0 ? `
+    <section class="tag-section">
+      <h2>Schemas</h2>
+      ${schemas.map(({ name, schema }) => `
+      <div class="schema-entry" id="${schemaAnchor(name)}" data-search="${escapeHtml(name.toLowerCase())}">
+        <h3>${escapeHtml(name)}</h3>
+        ${schema && schema.description ? formatText(schema.description) : ''}
+        ${renderSchema(schema, context)}
+      </div>`).join('')}
+    </section>` : ''}
+  </main>
+  ${renderConsoleData(data)}
+  <script>(${searchScript})();(${tryItScript})();</script>
+</body>
+</html>`;
+}
+
+// Ref resolution against the bundled spec, plus the list of operations in
+// page order (their index links the try-it form to its data).
+// `options.schemaHref(name)` links a component schema; by default to its
+// anchor on the same page.
+function createContext(spec, options = {}) {
+  const resolve = value => resolveLocalRef(spec, value).value;
+  const schemaHref = options.schemaHref || (name => `#${schemaAnchor(name)}`);
+  return { spec, resolve, schemaHref, operations: [], anchors: new Set() };
+}
+
+// Operations grouped under their first tag, in the order of the spec's tag
+// list; untagged operations go last under "default"
+function groupOperations(spec, context) {
+  const groups = new Map();
+  (spec.tags || []).forEach(tag => {
+    if (tag && tag.name) groups.set(tag.name, { name: tag.name, description: tag.description, operations: [] });
+  });
+
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathItem = context.resolve(spec.paths[path]) || {};
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const tag = (operation.tags && operation.tags[0]) || 'default';
+      if (!groups.has(tag)) groups.set(tag, { name: tag, operations: [] });
+
+      const entry = describeOperation(spec, path, pathItem, method, context);
+      entry.index = context.operations.length;
+      context.operations.push(entry);
+      groups.get(tag).operations.push(entry);
+    });
+  });
+
+  const ordered = Array.from(groups.values()).filter(group => group.operations.length > 0);
+  return ordered.filter(group => group.name !== 'default').concat(ordered.filter(group => group.name === 'default'));
+}
+
+function describeOperation(spec, path, pathItem, method, context) {
+  const operation = pathItem[method];
+
+  const all = operationParameters(pathItem, operation, context.resolve);
+  const parameters = all.filter(param => param.in !== 'body');
+
+  const anchorBase = operation.operationId
+    ? `op-${slug(operation.operationId)}`
+    : `op-${method}-${slug(path)}`;
+  let anchor = anchorBase;
+  for (let suffix = 2; context.anchors.has(anchor); suffix++) anchor = `${anchorBase}-${suffix}`;
+  context.anchors.add(anchor);
+
+  return {
+    anchor,
+    method,
+    path,
+    operation,
+    parameters,
+    requestBody: requestBodyOf(spec, operation, all, context),
+    search: [method, path, operation.operationId, operation.summary, ...(operation.tags || [])]
+      .filter(Boolean).join(' ').toLowerCase()
+  };
+}
+
+// `{ required, description, content: { mediaType: media }, contentType }`
+// from an OpenAPI 3 requestBody or a Swagger 2.0 body/formData parameter.
+// `contentType` is what the try-it panel sends: JSON when offered.
+function requestBodyOf(spec, operation, parameters, context) {
+  if (!operation.requestBody && parameters.some(param => param.in === 'formData')) {
+    return { formData: true, contentType: 'application/x-www-form-urlencoded', content: {} };
+  }
+  const body = requestBody(spec, operation, parameters, context.resolve);
+  if (!body) return null;
+
+  const types = Object.keys(body.content);
+  body.contentType = types.find(type => /json/i.test(type)) || types[0] || 'application/json';
+  return body;
+}
+
+function renderOperation(entry, context) {
+  const { operation, method, path, parameters, requestBody } = entry;
+  const security = operation.security || context.spec.security;
+  const schemes = Array.from(new Set((Array.isArray(security) ? security : []).flatMap(requirement => Object.keys(requirement || {}))));
+
+  return `
+      <article class="op${operation.deprecated ? ' deprecated' : ''}" id="${entry.anchor}" data-search="${escapeHtml(entry.search)}">
+        <h3><span class="method ${method}">${method.toUpperCase()}</span> <code class="path">${escapeHtml(path)}</code>${operation.deprecated ? ' <span class="badge">deprecated</span>' : ''}</h3>
+        ${operation.summary ? `<p class="summary">${escapeHtml(operation.summary)}</p>` : ''}
+        ${operation.description ? formatText(operation.description) : ''}
+        ${schemes.length > 0 ? `<p class="auth">Requires: ${schemes.map(escapeHtml).join(', ')}</p>` : ''}
+        ${parameters.length > 0 ? renderParameters(parameters, context) : ''}
+        ${requestBody && !requestBody.formData ? renderRequestBody(requestBody, context) : ''}
+        ${renderResponses(operation, context)}
+        ${renderTryIt(entry, context)}
+      </article>`;
+}
+
+function renderParameters(parameters, context) {
+  return `
+        <h4>Parameters</h4>
+        <table class="params">
+          <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+          <tbody>
+          ${parameters.map(param => {
+            const schema = parameterSchema(param, context.resolve);
+            return `<tr>
+            <td><code>${escapeHtml(param.name)}</code>${param.required ? ' <span class="required">required</span>' : ''}</td>
+            <td>${escapeHtml(param.in)}</td>
+            <td>${renderSchema(schema, context, 1)}</td>
+            <td>${param.description ? formatText(param.description) : ''}</td>
+          </tr>`;
+          }).join('\n          ')}
+          </tbody>
+        </table>`;
+}
+
+function renderRequestBody(requestBody, context) {
+  return `
+        <h4>Request Body${requestBody.required ? ' <span class="required">required</span>' : ''}</h4>
+        ${requestBody.description ? formatText(requestBody.description) : ''}
+        ${Object.keys(requestBody.content).map(type => renderMedia(type, requestBody.content[type], 'request', context)).join('')}`;
+}
+
+function renderResponses(operation, context) {
+  const responses = operation.responses || {};
+  const codes = Object.keys(responses);
+  if (codes.length === 0) return '';
+
+  return `
+        <h4>Responses</h4>
+        ${codes.map(code => {
+          const response = context.resolve(responses[code]) || {};
+          const content = responseContent(context.spec, operation, response);
+          const status = /^2/.test(code) ? 'ok' : /^[45]/.test(code) ? 'error' : 'other';
+          return `<div class="response">
+          <div class="response-code ${status}">${escapeHtml(code)}</div>
+          <div class="response-body">
+            ${response.description ? formatText(response.description) : ''}
+            ${Object.keys(content).map(type => renderMedia(type, content[type], 'response', context)).join('')}
+          </div>
+        </div>`;
+        }).join('\n        ')}`;
+}
+
+// Schema tree and sample for one media type
+function renderMedia(type, media, direction, context) {
+  media = media || {};
+  const example = exampleFromMedia(media, { resolve: context.resolve, direction });
+  return `
+          <div class="media">
+            <div class="media-type">${escapeHtml(type)}</div>
+            <div class="media-columns">
+              <div>${media.schema ? renderSchema(media.schema, context) : '<p class="muted">No schema</p>'}</div>
+              ${example !== undefined ? `<pre class="example">${escapeHtml(formatExample(example))}</pre>` : ''}
+            </div>
+          </div>`;
+}
+
+// Nested rendering of a schema. Refs are expanded in place and labelled with
+// their component name; a ref inside itself is only linked.
+function renderSchema(schema, context, depth = 0, stack = []) {
+  if (schema === true || schema === undefined) return '<span class="type">any</span>';
+  if (!schema || typeof schema !== 'object') return '<span class="type">never</span>';
+
+  if (typeof schema.$ref === 'string') {
+    const name = pointerTokens(schema.$ref).pop() || schema.$ref;
+    const isComponent = /^#\/(components\/schemas|definitions)\//.test(schema.$ref);
+    const label = isComponent
+      ? `<a class="ref" href="${escapeHtml(context.schemaHref(name))}">${escapeHtml(name)}</a>`
+      : `<span class="ref">${escapeHtml(name)}</span>`;
+    const target = context.resolve(schema);
+    if (stack.includes(schema.$ref)) return `${label} <span class="muted">(recursive)</span>`;
+    if (!target || stack.length >= MAX_SCHEMA_DEPTH) return label;
+    return `${label} ${renderSchema(target, context, depth, stack.concat(schema.$ref))}`;
+  }
+
+  const parts = [`<span class="type">${escapeHtml(typeLabel(schema))}</span>`];
+  const constraints = schemaConstraints(schema);
+  if (constraints.length > 0) parts.push(`<span class="constraints">${constraints.map(escapeHtml).join(', ')}</span>`);
+
+  const children = [];
+  ['allOf', 'oneOf', 'anyOf'].filter(key => Array.isArray(schema[key])).forEach(key => {
+    const label = { allOf: 'all of', oneOf: 'one of', anyOf: 'any of' }[key];
+    children.push(`<div class="combinator">${label}:</div><ul class="variants">${schema[key].map(part =>
+      `<li>${renderSchema(part, context, depth + 1, stack)}</li>`).join('')}</ul>`);
+  });
+
+  if (schema.properties && typeof schema.properties === 'object') {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    children.push(`<ul class="props">${Object.keys(schema.properties).map(name => {
+      const property = schema.properties[name];
+      const resolved = context.resolve(property) || {};
+      return `<li><code class="prop">${escapeHtml(name)}</code>${required.includes(name) ? ' <span class="required">required</span>' : ''}${resolved.readOnly ? ' <span class="badge">read-only</span>' : ''}${resolved.writeOnly ? ' <span class="badge">write-only</span>' : ''} ${renderSchema(property, context, depth + 1, stack)}${property && property.description && !property.$ref ? `<div class="prop-description">${formatText(property.description)}</div>` : ''}</li>`;
+    }).join('')}</ul>`);
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    children.push(`<div class="combinator">additional properties:</div><ul class="variants"><li>${renderSchema(schema.additionalProperties, context, depth + 1, stack)}</li></ul>`);
+  }
+  if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+    children.push(`<div class="combinator">items:</div><ul class="variants"><li>${renderSchema(schema.items, context, depth + 1, stack)}</li></ul>`);
+  }
+
+  if (children.length === 0) return parts.join(' ');
+  return `${parts.join(' ')}<details class="schema"${depth < 2 ? ' open' : ''}><summary>${schema.properties ? `${Object.keys(schema.properties).length} properties` : 'details'}</summary>${children.join('')}</details>`;
+}
+
+function typeLabel(schema) {
+  const type = Array.isArray(schema.type) ? schema.type.join(' | ') : schemaType(schema);
+  if (!type) return schema.allOf || schema.oneOf || schema.anyOf ? 'composite' : 'any';
+  const format = schema.format ? ` (${schema.format})` : '';
+  const nullable = schema.nullable ? ' | null' : '';
+  if (type === 'array' && schema.items && schema.items.$ref) {
+    return `array of ${schema.items.$ref.split('/').pop()}${nullable}`;
+  }
+  return `${type}${format}${nullable}`;
+}
+
+function schemaConstraints(schema) {
+  const constraints = [];
+  if (Array.isArray(schema.enum)) constraints.push(`one of: ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+  if (schema.const !== undefined) constraints.push(`always ${JSON.stringify(schema.const)}`);
+  if (schema.default !== undefined) constraints.push(`default ${JSON.stringify(schema.default)}`);
+  if (schema.pattern) constraints.push(`pattern /${schema.pattern}/`);
+  // Exclusive bounds are numbers since OpenAPI 3.1, flags on minimum/maximum before
+  [['minimum', 'exclusiveMinimum', '>'], ['maximum', 'exclusiveMaximum', '<']].forEach(([bound, exclusive, symbol]) => {
+    if (typeof schema[exclusive] === 'number') {
+      constraints.push(`${symbol} ${schema[exclusive]}`);
+    } else if (typeof schema[bound] === 'number') {
+      constraints.push(`${symbol}${schema[exclusive] === true ? '' : '='} ${schema[bound]}`);
+    }
+  });
+  [['minLength', 'min length'], ['maxLength', 'max length'], ['minItems', 'min items'], ['maxItems', 'max items']].forEach(([key, label]) => {
+    if (typeof schema[key] === 'number') constraints.push(`${label} ${schema[key]}`);
+  });
+  if (schema.uniqueItems) constraints.push('unique items');
+  return constraints;
+}
+
+// Form for the try-it-out panel; the page script fills the request in from
+// the inputs and sends it to the selected server
+function renderTryIt(entry, context) {
+  const { parameters, requestBody, method } = entry;
+  const body = requestBody && !requestBody.formData ? requestBody : null;
+  const sample = body && body.content[body.contentType]
+    ? exampleFromMedia(body.content[body.contentType], { resolve: context.resolve, direction: 'request' })
+    : undefined;
+
+  return `
+        <details class="try">
+          <summary>Try it out</summary>
+          <form class="try-form" data-op="${entry.index}">
+            ${parameters.map(param => {
+              const schema = context.resolve(parameterSchema(param, context.resolve)) || {};
+              const example = param.example !== undefined ? param.example : exampleFromSchema(schema, { resolve: context.resolve, name: param.name });
+              const value = example === undefined || typeof example === 'object' ? '' : String(example);
+              return `<label><span><code>${escapeHtml(param.name)}</code> <span class="muted">${escapeHtml(param.in)}</span>${param.required ? ' <span class="required">*</span>' : ''}</span>
+            <input data-param="${escapeHtml(param.name)}" data-in="${escapeHtml(param.in)}" value="${escapeHtml(value)}"${param.required ? ' required' : ''}${param.in === 'cookie' ? ' disabled title="Browsers do not let pages set cookies on other sites"' : ''}></label>`;
+            }).join('\n            ')}
+            ${body ? `<label><span>Body <span class="muted">${escapeHtml(body.contentType)}</span></span>
+            <textarea name="body" rows="8" spellcheck="false">${escapeHtml(sample === undefined ? '' : formatExample(sample))}</textarea></label>` : ''}
+            <button type="submit" class="method ${method}">Send ${method.toUpperCase()}</button>
+            <pre class="try-output" hidden></pre>
+          </form>
+        </details>`;
+}
+
+// Server picker and credentials shared by every try-it panel
+function renderConsoleSettings(spec, data) {
+  const schemes = Object.keys(data.security);
+  return `
+      <div class="console">
+        <label><span>Server</span>
+          ${data.servers.length > 1 ? `<select id="server-select">${data.servers.map(server => `<option value="${escapeHtml(server.url)}">${escapeHtml(server.url)}${server.description ? ` - ${escapeHtml(server.description)}` : ''}</option>`).join('')}</select>` : ''}
+          <input id="base-url" value="${escapeHtml(data.servers.length > 0 ? data.servers[0].url : '')}" placeholder="https://api.example.com">
+        </label>
+        ${schemes.map(name => {
+          const scheme = data.security[name];
+          const placeholder = scheme.type === 'apiKey' ? `${scheme.name} (${scheme.in})` : isBasic(scheme) ? 'username:password' : 'token';
+          return `<label><span>${escapeHtml(name)} <span class="muted">${escapeHtml(scheme.type)}</span></span>
+          <input data-auth="${escapeHtml(name)}" placeholder="${escapeHtml(placeholder)}" autocomplete="off"${scheme.in === 'cookie' ? ' disabled' : ''}></label>`;
+        }).join('\n        ')}
+      </div>`;
+}
+
+// What the try-it script needs: servers, security schemes and, keyed by
+// their index, the operations whose forms are on the page
+function consoleData(spec, operations) {
+  const entries = {};
+  operations.forEach(({ index, method, path, parameters, requestBody }) => {
+    entries[index] = {
+      method,
+      path,
+      contentType: requestBody ? requestBody.contentType : null,
+      parameters: parameters.map(param => ({ name: param.name, in: param.in }))
+    };
+  });
+  return { servers: serverUrls(spec), security: consoleSchemes(spec), operations: entries };
+}
+
+function renderConsoleData(data) {
+  return `<script type="application/json" id="api-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+// Base URLs to offer, with server variables at their defaults
+function serverUrls(spec) {
+  if (spec.swagger) {
+    if (!spec.host) return spec.basePath ? [{ url: spec.basePath }] : [];
+    return (spec.schemes || ['https']).map(scheme => ({ url: `${scheme}://${spec.host}${spec.basePath || ''}` }));
+  }
+  return (spec.servers || []).filter(server => server && server.url).map(server => ({
+    url: server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+      server.variables && server.variables[name] && server.variables[name].default !== undefined ? server.variables[name].default : match),
+    description: server.description
+  }));
+}
+
+// The scheme fields the try-it script reads
+function consoleSchemes(spec) {
+  const schemes = securitySchemes(spec);
+  const result = {};
+  Object.keys(schemes).forEach(name => {
+    const scheme = schemes[name] || {};
+    result[name] = { type: scheme.type, in: scheme.in, name: scheme.name, scheme: scheme.scheme };
+  });
+  return result;
+}
+
+function isBasic(scheme) {
+  return scheme.type === 'basic' || (scheme.type === 'http' && /^basic$/i.test(scheme.scheme || ''));
+}
+
+function schemaEntries(spec) {
+  const schemas = (spec.swagger ? spec.definitions : spec.components && spec.components.schemas) || {};
+  return Object.keys(schemas).map(name => ({ name, schema: schemas[name] }));
+}
+
+function schemaAnchor(name) {
+  return `schema-${slug(name)}`;
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'x';
+}
+
+function formatExample(example) {
+  return typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+}
+
+// Paragraphs, `code`, **bold** and [links](url) from CommonMark descriptions
+function formatText(text) {
+  return String(text).trim().split(/\n\s*\n/).map(paragraph => {
+    const html = escapeHtml(paragraph)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/\[([^\]]+)\]\(((?:https?:|mailto:|#|\/)[^)\s]*)\)/g, '<a href="$2">$1</a>')
+      .replace(/\n/g, '<br>');
+    return `<p>${html}</p>`;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Runs in the browser: filters the sidebar and sections on the page
+function searchScript() {
+  var search = document.getElementById('search');
+  search.addEventListener('input', function () {
+    var terms = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+    document.querySelectorAll('[data-search]').forEach(function (element) {
+      var text = element.getAttribute('data-search');
+      element.hidden = !terms.every(function (term) { return text.indexOf(term) !== -1; });
+    });
+    document.querySelectorAll('.nav-group, .tag-section').forEach(function (group) {
+      group.hidden = !group.querySelector('[data-search]:not([hidden])');
+    });
+  });
+}
+
+// Runs in the browser: sends the try-it-out requests
+function tryItScript() {
+  var source = document.getElementById('api-data');
+  if (!source) return;
+  var data = JSON.parse(source.textContent);
+  var baseUrl = document.getElementById('base-url');
+  var serverSelect = document.getElementById('server-select');
+  if (serverSelect) {
+    serverSelect.addEventListener('change', function () {
+      baseUrl.value = serverSelect.value;
+    });
+  }
+
+  document.querySelectorAll('.try-form').forEach(function (form) {
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+      send(form, data.operations[Number(form.getAttribute('data-op'))]);
+    });
+  });
+
+  function send(form, operation) {
+    var output = form.querySelector('.try-output');
+    var path = operation.path;
+    var query = [];
+    var formFields = [];
+    var headers = {};
+
+    form.querySelectorAll('[data-param]').forEach(function (input) {
+      var name = input.getAttribute('data-param');
+      var value = input.value;
+      if (value === '' || input.disabled) return;
+      switch (input.getAttribute('data-in')) {
+        case 'path': path = path.split('{' + name + '}').join(encodeURIComponent(value)); break;
+        case 'query': query.push(encodeURIComponent(name) + '=' + encodeURIComponent(value)); break;
+        case 'header': headers[name] = value; break;
+        case 'formData': formFields.push(encodeURIComponent(name) + '=' + encodeURIComponent(value)); break;
+      }
+    });
+
+    document.querySelectorAll('[data-auth]').forEach(function (input) {
+      var scheme = data.security[input.getAttribute('data-auth')];
+      if (!input.value || !scheme) return;
+      if (scheme.type === 'apiKey') {
+        if (scheme.in === 'header') headers[scheme.name] = input.value;
+        if (scheme.in === 'query') query.push(encodeURIComponent(scheme.name) + '=' + encodeURIComponent(input.value));
+      } else if (scheme.type === 'basic' || /^basic$/i.test(scheme.scheme || '')) {
+        headers.Authorization = 'Basic ' + btoa(input.value);
+      } else {
+        headers.Authorization = 'Bearer ' + input.value;
+      }
+    });
+
+    var options = { method: operation.method.toUpperCase(), headers: headers };
+    var body = form.querySelector('textarea[name=body]');
+    if (body && body.value.trim() !== '') {
+      headers['Content-Type'] = operation.contentType;
+      options.body = body.value;
+    } else if (formFields.length > 0) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      options.body = formFields.join('&');
+    }
+
+    var url = baseUrl.value.replace(/\/+$/, '') + path + (query.length > 0 ? '?' + query.join('&') : '');
+    var request = options.method + ' ' + url;
+    output.hidden = false;
+    output.textContent = request + '\n\nSending...';
+
+    var started = Date.now();
+    fetch(url, options).then(function (response) {
+      return response.text().then(function (text) {
+        var lines = [request, '', response.status + ' ' + response.statusText + ' (' + (Date.now() - started) + ' ms)'];
+        response.headers.forEach(function (value, name) { lines.push(name + ': ' + value); });
+        try {
+          text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+          // Not JSON; show as received
+        }
+        output.textContent = lines.join('\n') + '\n\n' + text;
+      });
+    }).catch(function (error) {
+      output.textContent = request + '\n\nRequest failed: ' + error.message +
+        '\nThe server may be unreachable or may not allow cross-origin requests from this page.';
+    });
+  }
+}
+
+const STYLES = `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #24292f; line-height: 1.5; display: flex; }
+    code, pre, textarea { font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, monospace; font-size: 13px; }
+    a { color: #0969da; }
+    .sidebar { position: sticky; top: 0; height: 100vh; overflow-y: auto; width: 300px; flex-shrink: 0; background: #f6f8fa; border-right: 1px solid #d0d7de; padding: 16px; }
+    .sidebar-title { font-weight: 600; font-size: 18px; margin-bottom: 12px; }
+    #search { width: 100%; padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 12px; }
+    .nav-tag { font-weight: 600; text-transform: uppercase; font-size: 12px; color: #57606a; margin: 12px 0 4px; }
+    .nav-op { display: block; padding: 3px 4px; border-radius: 4px; text-decoration: none; color: #24292f; font-size: 13px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .nav-op:hover { background: #eaeef2; }
+    .nav-op .method { font-size: 10px; min-width: 52px; }
+    main { flex: 1; min-width: 0; padding: 24px 40px; max-width: 1200px; }
+    .version { color: #57606a; }
+    .method { display: inline-block; padding: 1px 6px; border-radius: 4px; color: #fff; font-weight: 600; font-size: 12px; text-align: center; border: none; }
+    .get { background: #1f883d; } .post { background: #0969da; } .put { background: #bc4c00; } .patch { background: #8250df; }
+    .delete { background: #cf222e; } .head, .options, .trace { background: #57606a; }
+    .op { border: 1px solid #d0d7de; border-radius: 8px; padding: 16px; margin: 16px 0; }
+    .op h3 { margin: 0 0 8px; }
+    .op.deprecated .path { text-decoration: line-through; }
+    .summary { font-weight: 600; margin: 4px 0; }
+    .auth { color: #57606a; font-size: 13px; }
+    .badge { display: inline-block; font-size: 11px; padding: 0 6px; border-radius: 10px; background: #eaeef2; color: #57606a; font-weight: normal; }
+    .required { color: #cf222e; font-size: 11px; }
+    .muted { color: #6e7781; font-size: 12px; }
+    table.params { border-collapse: collapse; width: 100%; font-size: 14px; }
+    table.params th, table.params td { text-align: left; border-bottom: 1px solid #d0d7de; padding: 6px; vertical-align: top; }
+    table.params td p { margin: 0; }
+    .response { display: flex; gap: 12px; border-top: 1px solid #eaeef2; padding: 8px 0; }
+    .response-code { font-weight: 600; min-width: 48px; }
+    .response-code.ok { color: #1f883d; } .response-code.error { color: #cf222e; }
+    .response-body { flex: 1; min-width: 0; }
+    .response-body p { margin: 0 0 6px; }
+    .media { margin: 8px 0; }
+    .media-type { font-size: 12px; color: #57606a; }
+    .media-columns { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 12px; }
+    pre.example, .try-output { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 8px; overflow: auto; max-height: 360px; margin: 0; }
+    .type { color: #8250df; font-family: monospace; font-size: 13px; }
+    .ref { font-family: monospace; font-size: 13px; font-weight: 600; }
+    .constraints { color: #57606a; font-size: 12px; }
+    details.schema > summary { cursor: pointer; color: #57606a; font-size: 12px; }
+    ul.props, ul.variants { list-style: none; margin: 4px 0; padding-left: 16px; border-left: 2px solid #eaeef2; }
+    ul.props li, ul.variants li { margin: 4px 0; }
+    .prop { font-weight: 600; }
+    .prop-description p { margin: 0; color: #57606a; font-size: 13px; }
+    .combinator { color: #57606a; font-size: 12px; margin-top: 4px; }
+    details.try { margin-top: 12px; border-top: 1px dashed #d0d7de; padding-top: 8px; }
+    details.try > summary { cursor: pointer; font-weight: 600; }
+    .try-form label, .console label { display: flex; gap: 8px; align-items: flex-start; margin: 6px 0; }
+    .try-form label > span, .console label > span { min-width: 200px; }
+    .try-form input, .try-form textarea, .console input, .console select { flex: 1; padding: 4px 6px; border: 1px solid #d0d7de; border-radius: 4px; }
+    .try-form button { padding: 6px 14px; cursor: pointer; font-size: 13px; }
+    .try-output { margin-top: 8px; white-space: pre-wrap; }
+    .console { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 8px; padding: 8px 16px; margin: 16px 0; }
+    [hidden] { display: none !important; }
+    @media (max-width: 800px) { body { display: block; } .sidebar { position: static; width: auto; height: auto; } .media-columns { grid-template-columns: 1fr; } }
+  `;
+
+module.exports = {
+  renderHtmlDocs,
+  createContext,
+  groupOperations,
+  schemaEntries,
+  renderOperation,
+  renderSchema,
+  typeLabel,
+  schemaConstraints,
+  renderConsoleSettings,
+  renderConsoleData,
+  consoleData,
+  formatText,
+  escapeHtml,
+  slug,
+  tryItScript,
+  STYLES
+};
\ No newline at end of file
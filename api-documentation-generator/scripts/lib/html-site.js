@@ -0,0 +1,355 @@
+// Renders a spec as a multi-page static site, for APIs too large for one
+// page: an index, one page per tag (or per operation), one page per
+// component schema with the operations and schemas that use it, and a
+// search index. Pages reuse the single-page renderer's markup and try-it
+// console.
+//
+// A template directory replaces the page layout with its `page.html`, which
+// uses the same {{placeholders}} as LAYOUT below. Every other file in it is
+// copied into the site, so a template can add a logo or override
+// assets/docs.css.
+
+const fs = require('fs');
+const path = require('path');
+const { getPointer } = require('./ref-resolver');
+const { pointerTokens } = require('./spec-loader');
+const {
+  createContext,
+  groupOperations,
+  schemaEntries,
+  renderOperation,
+  renderSchema,
+  renderConsoleSettings,
+  renderConsoleData,
+  consoleData,
+  formatText,
+  escapeHtml,
+  slug,
+  tryItScript,
+  STYLES
+} = require('./html-docs');
+
+const PAGE_MODES = ['tag', 'operation'];
+
+const LAYOUT = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>{{title}} - {{apiTitle}}</title>
+  {{styles}}
+</head>
+<body>
+  <nav class="sidebar">
+    <a class="sidebar-title" href="{{root}}index.html">{{apiTitle}}</a>
+    {{search}}
+    {{nav}}
+  </nav>
+  <main>
+    {{content}}
+  </main>
+  {{scripts}}
+</body>
+</html>`;
+
+// Returns `{ files }`, mapping each path in the site to its content
+function renderHtmlSite(spec, options = {}) {
+  const pages = options.pages || 'tag';
+  if (!PAGE_MODES.includes(pages)) {
+    throw new Error(`Unknown page mode "${pages}" (expected ${PAGE_MODES.join(' or ')})`);
+  }
+  const template = options.template ? readTemplate(options.template) : { layout: LAYOUT, assets: {} };
+
+  const schemas = schemaEntries(spec);
+  const schemaSlugs = uniqueSlugs(schemas.map(({ name }) => name));
+  const schemaUrl = name => `schemas/${schemaSlugs.get(name)}.html`;
+
+  // Every page but the index sits one directory down
+  const context = createContext(spec, { schemaHref: name => `../${schemaUrl(name)}` });
+  const groups = groupOperations(spec, context);
+  const tagSlugs = uniqueSlugs(groups.map(group => group.name));
+  const tagUrl = group => `tags/${tagSlugs.get(group.name)}.html`;
+  const operationUrl = (entry, group) => pages === 'operation'
+    ? `operations/${entry.anchor.replace(/^op-/, '')}.html`
+    : `${tagUrl(group)}#${entry.anchor}`;
+
+  const title = (spec.info && spec.info.title) || 'API Documentation';
+  const files = {};
+  const searchIndex = [];
+
+  const page = (file, pageTitle, content, current = {}) => {
+    const root = file.includes('/') ? '../' : '';
+    files[file] = fillLayout(template.layout, {
+      title: escapeHtml(pageTitle),
+      apiTitle: escapeHtml(title),
+      version: escapeHtml((spec.info && spec.info.version) || ''),
+      root,
+      styles: `<link rel="stylesheet" href="${root}assets/docs.css">`,
+      search: `<input id="search" type="search" placeholder="Search the API" autocomplete="off" data-root="${root}">
+    <div id="search-results" hidden></div>`,
+      nav: renderNav(groups, current, { root, tagUrl, operationUrl, hasSchemas: schemas.length > 0 }),
+      content,
+      scripts: `<script src="${root}search-index.js"></script>
+  <script src="${root}assets/docs.js"></script>`
+    });
+  };
+
+  // Index
+  page('index.html', title, `
+    <h1>${escapeHtml(title)}</h1>
+    ${spec.info && spec.info.version ? `<p class="version">Version ${escapeHtml(spec.info.version)}</p>` : ''}
+    ${spec.info && spec.info.description ? formatText(spec.info.description) : ''}
+    <h2>Operations</h2>
+    <table class="listing">
+      <thead><tr><th>Tag</th><th>Operations</th><th>Description</th></tr></thead>
+      <tbody>
+      ${groups.map(group => `<tr><td><a href="${tagUrl(group)}">${escapeHtml(group.name)}</a></td><td>${group.operations.length}</td><td>${group.description ? formatText(group.description) : ''}</td></tr>`).join('\n      ')}
+      </tbody>
+    </table>
+    ${schemas.length > 0 ? `<p><a href="schemas/index.html">${schemas.length} schemas</a></p>` : ''}`);
+
+  // Tags and operations
+  groups.forEach(group => {
+    searchIndex.push({ type: 'tag', title: group.name, url: tagUrl(group), text: group.description || '' });
+    group.operations.forEach(entry => {
+      searchIndex.push({
+        type: 'operation',
+        title: `${entry.method.toUpperCase()} ${entry.path}`,
+        url: operationUrl(entry, group),
+        tag: group.name,
+        text: [entry.operation.operationId, entry.operation.summary, entry.operation.description].filter(Boolean).join(' ')
+      });
+    });
+
+    const heading = `
+    <p class="breadcrumb"><a href="../index.html">${escapeHtml(title)}</a></p>
+    <h1>${escapeHtml(group.name)}</h1>
+    ${group.description ? formatText(group.description) : ''}`;
+
+    if (pages === 'tag') {
+      const data = consoleData(spec, group.operations);
+      page(tagUrl(group), group.name, `${heading}
+    ${renderConsoleSettings(spec, data)}
+    ${group.operations.map(entry => renderOperation(entry, context)).join('\n')}
+    ${renderConsoleData(data)}`, { group });
+      return;
+    }
+
+    page(tagUrl(group), group.name, `${heading}
+    <table class="listing">
+      <tbody>
+      ${group.operations.map(entry => `<tr><td><a href="../${operationUrl(entry, group)}"><span class="method ${entry.method}">${entry.method.toUpperCase()}</span> <code>${escapeHtml(entry.path)}</code></a></td><td>${escapeHtml(entry.operation.summary || '')}</td></tr>`).join('\n      ')}
+      </tbody>
+    </table>`, { group });
+
+    group.operations.forEach(entry => {
+      const data = consoleData(spec, [entry]);
+      page(operationUrl(entry, group), `${entry.method.toUpperCase()} ${entry.path}`, `
+    <p class="breadcrumb"><a href="../index.html">${escapeHtml(title)}</a> / <a href="../${tagUrl(group)}">${escapeHtml(group.name)}</a></p>
+    ${renderConsoleSettings(spec, data)}
+    ${renderOperation(entry, context)}
+    ${renderConsoleData(data)}`, { group, entry });
+    });
+  });
+
+  // Schemas, with what uses each of them
+  const usage = schemaUsage(spec, groups, schemas);
+  const schemaLink = name => `<a href="${escapeHtml(schemaUrl(name).replace(/^schemas\//, ''))}">${escapeHtml(name)}</a>`;
+  if (schemas.length > 0) {
+    page('schemas/index.html', 'Schemas', `
+    <p class="breadcrumb"><a href="../index.html">${escapeHtml(title)}</a></p>
+    <h1>Schemas</h1>
+    <table class="listing">
+      <tbody>
+      ${schemas.map(({ name, schema }) => `<tr><td>${schemaLink(name)}</td><td>${schema && schema.description ? formatText(schema.description) : ''}</td></tr>`).join('\n      ')}
+      </tbody>
+    </table>`, { schemas: true });
+  }
+  schemas.forEach(({ name, schema }) => {
+    searchIndex.push({ type: 'schema', title: name, url: schemaUrl(name), text: (schema && schema.description) || '' });
+
+    const { operations, schemas: parents } = usage.get(name);
+    const usedBy = [
+      ...operations.map(({ entry, group }) => `<li><a href="../${operationUrl(entry, group)}"><span class="method ${entry.method}">${entry.method.toUpperCase()}</span> <code>${escapeHtml(entry.path)}</code></a></li>`),
+      ...parents.map(parent => `<li>${schemaLink(parent)}</li>`)
+    ];
+    page(schemaUrl(name), name, `
+    <p class="breadcrumb"><a href="../index.html">${escapeHtml(title)}</a> / <a href="index.html">Schemas</a></p>
+    <h1>${escapeHtml(name)}</h1>
+    ${schema && schema.description ? formatText(schema.description) : ''}
+    ${renderSchema(schema, context)}
+    <h2>Used by</h2>
+    ${usedBy.length > 0 ? `<ul class="used-by">${usedBy.join('')}</ul>` : '<p class="muted">Not referenced by any operation or schema</p>'}`, { schemas: true });
+  });
+
+  // Pages opened from disk cannot fetch the JSON, so the index is also
+  // written as a script
+  files['search-index.json'] = JSON.stringify(searchIndex, null, 2);
+  files['search-index.js'] = `window.SEARCH_INDEX = ${JSON.stringify(searchIndex).replace(/</g, '\\u003c')};`;
+  files['assets/docs.css'] = `${STYLES}${SITE_STYLES}`;
+  files['assets/docs.js'] = `(${siteSearchScript})();\n(${tryItScript})();`;
+
+  Object.assign(files, template.assets);
+  return { files };
+}
+
+// Tags, with the operations of the current tag underneath
+function renderNav(groups, current, { root, tagUrl, operationUrl, hasSchemas }) {
+  const tags = groups.map(group => {
+    const active = current.group === group;
+    const operations = active ? group.operations.map(entry =>
+      `<a class="nav-op${current.entry === entry ? ' active' : ''}" href="${root}${operationUrl(entry, group)}"><span class="method ${entry.method}">${entry.method.toUpperCase()}</span> ${escapeHtml(entry.path)}</a>`
+    ).join('\n      ') : '';
+    return `<a class="nav-tag-link${active ? ' active' : ''}" href="${root}${tagUrl(group)}">${escapeHtml(group.name)}</a>${operations ? `
+      ${operations}` : ''}`;
+  });
+
+  return `<div class="nav-group">
+      <div class="nav-tag">Tags</div>
+      ${tags.join('\n      ')}
+    </div>${hasSchemas ? `
+    <div class="nav-group">
+      <a class="nav-tag-link${current.schemas ? ' active' : ''}" href="${root}schemas/index.html">Schemas</a>
+    </div>` : ''}`;
+}
+
+// Operations and schemas that refer to each component schema. Refs through
+// shared parameters, responses and request bodies count; refs from one
+// schema to another are only followed one step.
+function schemaUsage(spec, groups, schemas) {
+  const usage = new Map(schemas.map(({ name }) => [name, { operations: [], schemas: [] }]));
+
+  groups.forEach(group => {
+    group.operations.forEach(entry => {
+      schemaRefs(entry.operation, spec, new Set()).forEach(name => {
+        if (usage.has(name)) usage.get(name).operations.push({ entry, group });
+      });
+      entry.parameters.forEach(param => {
+        schemaRefs(param, spec, new Set()).forEach(name => {
+          if (usage.has(name) && !usage.get(name).operations.some(use => use.entry === entry)) {
+            usage.get(name).operations.push({ entry, group });
+          }
+        });
+      });
+    });
+  });
+
+  schemas.forEach(({ name, schema }) => {
+    schemaRefs(schema, spec, new Set()).forEach(target => {
+      if (target !== name && usage.has(target)) usage.get(target).schemas.push(name);
+    });
+  });
+  return usage;
+}
+
+function schemaRefs(value, spec, seen, names = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => schemaRefs(item, spec, seen, names));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string') {
+      const match = value.$ref.match(/^#\/(?:components\/schemas|definitions)\/([^/]+)$/);
+      if (match) {
+        names.add(pointerTokens(value.$ref).pop());
+      } else if (value.$ref.startsWith('#') && !seen.has(value.$ref)) {
+        seen.add(value.$ref);
+        schemaRefs(getPointer(spec, value.$ref.slice(1)), spec, seen, names);
+      }
+    }
+    Object.keys(value).filter(key => key !== '$ref').forEach(key => schemaRefs(value[key], spec, seen, names));
+  }
+  return names;
+}
+
+// File-name slugs, made unique where two names collapse to the same one
+function uniqueSlugs(names) {
+  const slugs = new Map();
+  const taken = new Set();
+  names.forEach(name => {
+    const base = slug(name);
+    let candidate = base;
+    for (let suffix = 2; taken.has(candidate); suffix++) candidate = `${base}-${suffix}`;
+    taken.add(candidate);
+    slugs.set(name, candidate);
+  });
+  return slugs;
+}
+
+function fillLayout(layout, values) {
+  return layout.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match);
+}
+
+// `page.html` and every other file of a template directory
+function readTemplate(dir) {
+  const layoutFile = path.join(dir, 'page.html');
+  if (!fs.existsSync(layoutFile)) {
+    throw new Error(`Template directory ${dir} has no page.html`);
+  }
+
+  const assets = {};
+  const walk = relative => {
+    fs.readdirSync(path.join(dir, relative), { withFileTypes: true }).forEach(entry => {
+      const file = path.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        walk(file);
+      } else if (file !== 'page.html') {
+        assets[file.split(path.sep).join('/')] = fs.readFileSync(path.join(dir, file));
+      }
+    });
+  };
+  walk('');
+
+  return { layout: fs.readFileSync(layoutFile, 'utf8'), assets };
+}
+
+// Runs in the browser: searches the site index as you type
+function siteSearchScript() {
+  var search = document.getElementById('search');
+  var results = document.getElementById('search-results');
+  if (!search || !results || !window.SEARCH_INDEX) return;
+  var root = search.getAttribute('data-root') || '';
+
+  search.addEventListener('input', function () {
+    var terms = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+    results.innerHTML = '';
+    results.hidden = terms.length === 0;
+    if (terms.length === 0) return;
+
+    var matches = window.SEARCH_INDEX.filter(function (entry) {
+      var text = (entry.title + ' ' + (entry.tag || '') + ' ' + entry.text).toLowerCase();
+      return terms.every(function (term) { return text.indexOf(term) !== -1; });
+    }).slice(0, 50);
+
+    matches.forEach(function (entry) {
+      var link = document.createElement('a');
+      link.className = 'nav-op';
+      link.href = root + entry.url;
+      link.textContent = entry.title + ' ';
+      var kind = document.createElement('span');
+      kind.className = 'muted';
+      kind.textContent = entry.type;
+      link.appendChild(kind);
+      results.appendChild(link);
+    });
+    if (matches.length === 0) results.textContent = 'No matches';
+  });
+}
+
+const SITE_STYLES = `
+    a.sidebar-title { display: block; color: #24292f; text-decoration: none; }
+    .nav-tag-link { display: block; padding: 3px 4px; border-radius: 4px; text-decoration: none; color: #24292f; font-weight: 600; font-size: 14px; }
+    .nav-tag-link.active, .nav-op.active { background: #ddf4ff; }
+    #search-results { border: 1px solid #d0d7de; border-radius: 6px; background: #fff; padding: 4px; margin-bottom: 12px; font-size: 13px; }
+    .breadcrumb { color: #57606a; font-size: 13px; margin: 0; }
+    table.listing { border-collapse: collapse; width: 100%; }
+    table.listing td, table.listing th { text-align: left; border-bottom: 1px solid #d0d7de; padding: 6px; vertical-align: top; }
+    table.listing td p { margin: 0; }
+    table.listing a { text-decoration: none; }
+    ul.used-by { list-style: none; padding-left: 0; }
+    ul.used-by li { margin: 4px 0; }
+  `;
+
+module.exports = {
+  renderHtmlSite,
+  PAGE_MODES
+};
\ No newline at end of file
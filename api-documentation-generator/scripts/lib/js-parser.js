@@ -0,0 +1,1676 @@
+// Tolerant JavaScript/TypeScript parser used by the endpoint analysis scripts.
+//
+// It tokenizes the whole source (strings, template literals, regexes and
+// comments included) and builds an ESTree-like tree of the statements and
+// expressions that matter for API discovery: imports/requires, declarations,
+// call chains, object literals, functions and decorated classes. Anything it
+// does not understand is skipped rather than reported, so TypeScript type
+// annotations, JSX and newer syntax never abort an analysis.
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.', '@', '#'
+];
+
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+const BINARY_OPERATORS = new Set([
+  '+', '-', '*', '/', '%', '**', '==', '!=', '===', '!==', '<', '>', '<=', '>=',
+  '&&', '||', '??', '&', '|', '^', '<<', '>>', '>>>', 'instanceof', 'in'
+]);
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=',
+  '^=', '&&=', '||=', '??='
+]);
+
+const CLASS_MEMBER_MODIFIERS = new Set([
+  'public', 'private', 'protected', 'static', 'readonly', 'async', 'abstract',
+  'override', 'declare', 'get', 'set', 'accessor'
+]);
+
+const STATEMENT_KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'try',
+  'catch', 'finally', 'return', 'throw', 'break', 'continue'
+]);
+
+function tokenize(source, lineOffset = 0) {
+  const tokenizer = new Tokenizer(source, lineOffset);
+  return tokenizer.run();
+}
+
+class Tokenizer {
+  constructor(source, lineOffset) {
+    this.source = source;
+    this.pos = 0;
+    this.line = 1 + lineOffset;
+    this.tokens = [];
+  }
+
+  run() {
+    this.readTokens(false);
+    return this.tokens;
+  }
+
+  // Reads tokens until the end of input or, inside a template substitution,
+  // until the `}` that closes it.
+  readTokens(stopAtTemplateEnd) {
+    let braceDepth = 0;
+    const src = this.source;
+
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+
+      if (ch === '\n') {
+        this.line++;
+        this.pos++;
+        continue;
+      }
+      if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v' || ch === '\uFEFF') {
+        this.pos++;
+        continue;
+      }
+
+      if (ch === '/' && src[this.pos + 1] === '/') {
+        while (this.pos < src.length && src[this.pos] !== '\n') this.pos++;
+        continue;
+      }
+      if (ch === '/' && src[this.pos + 1] === '*') {
+        const end = src.indexOf('*/', this.pos + 2);
+        const stop = end === -1 ? src.length : end + 2;
+        this.countLines(this.pos, stop);
+        this.pos = stop;
+        continue;
+      }
+      if (ch === '#' && src[this.pos + 1] === '!' && this.pos === 0) {
+        while (this.pos < src.length && src[this.pos] !== '\n') this.pos++;
+        continue;
+      }
+
+      if (stopAtTemplateEnd) {
+        if (ch === '{') braceDepth++;
+        if (ch === '}') {
+          if (braceDepth === 0) {
+            this.pos++;
+            return;
+          }
+          braceDepth--;
+        }
+      }
+
+      if (ch === '"' || ch === "'") {
+        this.readString(ch);
+      } else if (ch === '`') {
+        this.readTemplate();
+      } else if (isIdentifierStart(ch)) {
+        this.readIdentifier();
+      } else if (isDigit(ch) || (ch === '.' && isDigit(src[this.pos + 1]))) {
+        this.readNumber();
+      } else if (ch === '/' && this.regexAllowed()) {
+        this.readRegex();
+      } else {
+        this.readPunctuator();
+      }
+    }
+  }
+
+  countLines(from, to) {
+    for (let i = from; i < to; i++) {
+      if (this.source[i] === '\n') this.line++;
+    }
+  }
+
+  push(type, value, start, line, extra) {
+    const token = { type, value, start, end: this.pos, line };
+    if (extra) Object.assign(token, extra);
+    this.tokens.push(token);
+    return token;
+  }
+
+  regexAllowed() {
+    const prev = this.tokens[this.tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'identifier') return REGEX_PRECEDING_KEYWORDS.has(prev.value);
+    if (prev.type === 'punct') return ![')', ']', '}'].includes(prev.value);
+    return false;
+  }
+
+  readString(quote) {
+    const start = this.pos;
+    const line = this.line;
+    let value = '';
+    this.pos++;
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === quote) {
+        this.pos++;
+        break;
+      }
+      // Unterminated strings stop at the end of the line (e.g. apostrophes in JSX text)
+      if (ch === '\n') break;
+      if (ch === '\\') {
+        value += this.readEscape();
+        continue;
+      }
+      value += ch;
+      this.pos++;
+    }
+
+    this.push('string', value, start, line);
+  }
+
+  readEscape() {
+    const next = this.source[this.pos + 1];
+    this.pos += 2;
+    switch (next) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case 'v': return '\v';
+      case '0': return '\0';
+      case '\r':
+        if (this.source[this.pos] === '\n') this.pos++;
+        this.line++;
+        return '';
+      case '\n':
+        this.line++;
+        return '';
+      case 'x': {
+        const hex = this.source.substr(this.pos, 2);
+        this.pos += 2;
+        return String.fromCharCode(parseInt(hex, 16));
+      }
+      case 'u': {
+        let hex;
+        if (this.source[this.pos] === '{') {
+          const end = this.source.indexOf('}', this.pos);
+          hex = this.source.slice(this.pos + 1, end);
+          this.pos = end + 1;
+        } else {
+          hex = this.source.substr(this.pos, 4);
+          this.pos += 4;
+        }
+        const code = parseInt(hex, 16);
+        return Number.isNaN(code) ? '' : String.fromCodePoint(code);
+      }
+      default:
+        return next === undefined ? '' : next;
+    }
+  }
+
+  readTemplate() {
+    const start = this.pos;
+    const line = this.line;
+    const quasis = [];
+    const expressions = [];
+    let current = '';
+    this.pos++;
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '`') {
+        this.pos++;
+        break;
+      }
+      if (ch === '\\') {
+        current += this.readEscape();
+        continue;
+      }
+      if (ch === '$' && this.source[this.pos + 1] === '{') {
+        quasis.push(current);
+        current = '';
+        this.pos += 2;
+
+        // Substitutions are tokenized in place so nested templates and
+        // strings containing braces are handled correctly.
+        const outer = this.tokens;
+        this.tokens = [];
+        this.readTokens(true);
+        expressions.push(this.tokens);
+        this.tokens = outer;
+        continue;
+      }
+      if (ch === '\n') this.line++;
+      current += ch;
+      this.pos++;
+    }
+
+    quasis.push(current);
+    this.push('template', null, start, line, { quasis, expressions });
+  }
+
+  readIdentifier() {
+    const start = this.pos;
+    while (this.pos < this.source.length && isIdentifierPart(this.source[this.pos])) {
+      this.pos++;
+    }
+    this.push('identifier', this.source.slice(start, this.pos), start, this.line);
+  }
+
+  readNumber() {
+    const start = this.pos;
+    while (this.pos < this.source.length && /[0-9a-zA-Z_.]/.test(this.source[this.pos])) {
+      // Stop before `..` / `?.` style punctuation following a number
+      if (this.source[this.pos] === '.' && this.source[this.pos + 1] === '.') break;
+      this.pos++;
+    }
+    const raw = this.source.slice(start, this.pos);
+    this.push('number', Number(raw.replace(/_/g, '').replace(/n$/, '')), start, this.line, { raw });
+  }
+
+  readRegex() {
+    const start = this.pos;
+    let inClass = false;
+    this.pos++;
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\n') break;
+      if (ch === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) {
+        this.pos++;
+        break;
+      }
+      this.pos++;
+    }
+
+    const bodyEnd = this.pos;
+    while (this.pos < this.source.length && /[a-z]/i.test(this.source[this.pos])) this.pos++;
+
+    this.push('regex', this.source.slice(start, this.pos), start, this.line, {
+      pattern: this.source.slice(start + 1, bodyEnd - 1),
+      flags: this.source.slice(bodyEnd, this.pos)
+    });
+  }
+
+  readPunctuator() {
+    const start = this.pos;
+    for (const punct of PUNCTUATORS) {
+      if (this.source.startsWith(punct, this.pos)) {
+        // `?.5` is a conditional followed by a number, not optional chaining
+        if (punct === '?.' && isDigit(this.source[this.pos + 2])) continue;
+        this.pos += punct.length;
+        this.push('punct', punct, start, this.line);
+        return;
+      }
+    }
+    // Unknown character (e.g. stray unicode); skip it
+    this.pos++;
+  }
+}
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_$\u00A0-\uFFFF]/.test(ch);
+}
+
+function isIdentifierPart(ch) {
+  return /[A-Za-z0-9_$\u00A0-\uFFFF]/.test(ch);
+}
+
+function isDigit(ch) {
+  return ch !== undefined && ch >= '0' && ch <= '9';
+}
+
+// Parses a source string into a Program node. Every node carries the `line`
+// it starts on; function nodes also expose `bodyRange`, the token indexes of
+// their body, so callers can inspect handler bodies without a second parse.
+function parse(source, lineOffset = 0) {
+  const tokens = tokenize(source, lineOffset);
+  const parser = new Parser(tokens);
+  return {
+    type: 'Program',
+    body: parser.parseStatements(tokens.length),
+    tokens: tokens,
+    line: 1 + lineOffset
+  };
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.closers = matchBrackets(tokens);
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && (token.type === 'punct' || token.type === 'identifier') && token.value === value;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'punct' && token.value === value;
+  }
+
+  eat(value) {
+    if (this.is(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  line() {
+    const token = this.peek() || this.tokens[this.tokens.length - 1];
+    return token ? token.line : 1;
+  }
+
+  // Index just past the bracket group opened at `index`
+  afterGroup(index) {
+    const closer = this.closers[index];
+    return closer === undefined ? this.tokens.length : closer + 1;
+  }
+
+  skipGroup() {
+    this.pos = this.afterGroup(this.pos);
+  }
+
+  parseStatements(end) {
+    const body = [];
+    let decorators = [];
+
+    while (this.pos < end) {
+      const start = this.pos;
+
+      if (this.isPunct('@')) {
+        decorators.push(this.parseDecorator());
+        continue;
+      }
+
+      const statement = this.parseStatement(end, decorators);
+      decorators = [];
+      if (statement) body.push(statement);
+
+      if (this.pos === start) this.pos++;
+    }
+
+    this.pos = end;
+    return body;
+  }
+
+  parseStatement(end, decorators) {
+    const token = this.peek();
+
+    if (token.type === 'punct') {
+      if (token.value === ';' || token.value === '}' || token.value === ')' || token.value === ']') {
+        this.pos++;
+        return null;
+      }
+      if (token.value === '{') {
+        const close = this.closers[this.pos];
+        const blockEnd = close === undefined ? end : close;
+        const line = token.line;
+        this.pos++;
+        const body = this.parseStatements(blockEnd);
+        this.pos = Math.min(blockEnd + 1, this.tokens.length);
+        return { type: 'BlockStatement', body, line };
+      }
+    }
+
+    if (token.type === 'identifier') {
+      switch (token.value) {
+        case 'import':
+          if (!this.isPunct('(', 1) && !this.isPunct('.', 1)) return this.parseImport();
+          break;
+        case 'export':
+          return this.parseExport(end, decorators);
+        case 'const':
+        case 'let':
+        case 'var':
+          if (this.peek(1) && (this.peek(1).type === 'identifier' || this.isPunct('{', 1) || this.isPunct('[', 1))) {
+            return this.parseVariableDeclaration();
+          }
+          break;
+        case 'function':
+          return this.parseFunction(true);
+        case 'async':
+          if (this.is('function', 1)) return this.parseFunction(true);
+          break;
+        case 'class':
+          return this.parseClass(decorators);
+        case 'abstract':
+          if (this.is('class', 1)) {
+            this.pos++;
+            return this.parseClass(decorators);
+          }
+          break;
+        case 'interface':
+        case 'type':
+        case 'declare':
+        case 'enum':
+        case 'namespace':
+        case 'module':
+          if (this.peek(1) && this.peek(1).type === 'identifier') {
+            return this.parseTypeDeclaration(end);
+          }
+          break;
+        default:
+          if (STATEMENT_KEYWORDS.has(token.value)) {
+            this.pos++;
+            return null;
+          }
+      }
+    }
+
+    const expression = this.parseExpression();
+    if (!expression) return null;
+    return { type: 'ExpressionStatement', expression, line: expression.line };
+  }
+
+  parseDecorator() {
+    const line = this.line();
+    this.pos++; // @
+    const expression = this.parsePostfix(this.parsePrimary());
+    return { type: 'Decorator', expression, line };
+  }
+
+  parseImport() {
+    const line = this.line();
+    this.pos++; // import
+    const specifiers = [];
+
+    // `import type { X } from` carries no runtime bindings worth tracking
+    if (this.is('type') && !this.is('from', 1) && !this.isPunct(',', 1)) this.pos++;
+
+    if (this.peek() && this.peek().type === 'string') {
+      const source = this.peek().value;
+      this.pos++;
+      return { type: 'ImportDeclaration', source, specifiers, line };
+    }
+
+    while (this.peek() && !this.is('from')) {
+      const token = this.peek();
+      if (token.type === 'identifier' && token.value !== 'type') {
+        specifiers.push({ imported: 'default', local: token.value });
+        this.pos++;
+      } else if (this.isPunct('*')) {
+        this.pos++;
+        this.eat('as');
+        specifiers.push({ imported: '*', local: this.peek() && this.peek().value });
+        this.pos++;
+      } else if (this.isPunct('{')) {
+        const close = this.afterGroup(this.pos) - 1;
+        this.pos++;
+        while (this.pos < close) {
+          if (this.is('type') && this.peek(1) && this.peek(1).type === 'identifier' && !this.is('as', 1)) this.pos++;
+          const imported = this.peek();
+          if (imported && (imported.type === 'identifier' || imported.type === 'string')) {
+            this.pos++;
+            let local = imported.value;
+            if (this.eat('as')) {
+              local = this.peek().value;
+              this.pos++;
+            }
+            specifiers.push({ imported: imported.value, local });
+          } else {
+            this.pos++;
+          }
+        }
+        this.pos = close + 1;
+      } else if (this.isPunct(';') || (token.type !== 'punct' && token.type !== 'identifier')) {
+        break;
+      } else {
+        this.pos++;
+      }
+    }
+
+    let source = null;
+    if (this.eat('from') && this.peek() && this.peek().type === 'string') {
+      source = this.peek().value;
+      this.pos++;
+    }
+
+    return { type: 'ImportDeclaration', source, specifiers, line };
+  }
+
+  parseExport(end, decorators) {
+    const line = this.line();
+    this.pos++; // export
+
+    if (this.eat('default')) {
+      let declaration;
+      if (this.is('class') || (this.is('abstract') && this.is('class', 1))) {
+        this.eat('abstract');
+        declaration = this.parseClass(decorators);
+      } else if (this.is('function') || (this.is('async') && this.is('function', 1))) {
+        declaration = this.parseFunction(true);
+      } else {
+        declaration = this.parseExpression();
+      }
+      return { type: 'ExportDefaultDeclaration', declaration, line };
+    }
+
+    if (this.isPunct('{') || this.isPunct('*')) {
+      const specifiers = [];
+      if (this.isPunct('*')) {
+        this.pos++;
+        let exported = null;
+        if (this.eat('as')) {
+          exported = this.peek().value;
+          this.pos++;
+        }
+        specifiers.push({ local: '*', exported });
+      } else {
+        const close = this.afterGroup(this.pos) - 1;
+        this.pos++;
+        while (this.pos < close) {
+          const local = this.peek();
+          if (local.type === 'identifier' && local.value !== 'type') {
+            this.pos++;
+            let exported = local.value;
+            if (this.eat('as')) {
+              exported = this.peek().value;
+              this.pos++;
+            }
+            specifiers.push({ local: local.value, exported });
+          } else {
+            this.pos++;
+          }
+        }
+        this.pos = close + 1;
+      }
+      let source = null;
+      if (this.eat('from') && this.peek() && this.peek().type === 'string') {
+        source = this.peek().value;
+        this.pos++;
+      }
+      return { type: 'ExportNamedDeclaration', declaration: null, specifiers, source, line };
+    }
+
+    const declaration = this.parseStatement(end, decorators);
+    return { type: 'ExportNamedDeclaration', declaration, specifiers: [], source: null, line };
+  }
+
+  parseVariableDeclaration() {
+    const line = this.line();
+    const kind = this.peek().value;
+    this.pos++;
+    const declarations = [];
+
+    while (this.peek()) {
+      const id = this.parseBindingPattern();
+      if (this.isPunct('!')) this.pos++;
+      if (this.isPunct(':')) {
+        this.pos++;
+        this.skipType();
+      }
+      let init = null;
+      if (this.eat('=')) {
+        init = this.parseAssignment();
+      }
+      declarations.push({ id, init, line: id ? id.line : line });
+      if (!this.eat(',')) break;
+    }
+
+    return { type: 'VariableDeclaration', kind, declarations, line };
+  }
+
+  // Identifiers, `{ a, b: c, ...rest }` and `[a, b]` binding patterns
+  parseBindingPattern() {
+    const token = this.peek();
+    if (!token) return null;
+
+    if (token.type === 'identifier') {
+      this.pos++;
+      return { type: 'Identifier', name: token.value, line: token.line };
+    }
+
+    if (this.isPunct('{')) {
+      const close = this.afterGroup(this.pos) - 1;
+      const properties = [];
+      this.pos++;
+      while (this.pos < close) {
+        if (this.isPunct('...')) {
+          this.pos++;
+          const argument = this.parseBindingPattern();
+          properties.push({ key: null, value: argument, rest: true });
+        } else {
+          const keyToken = this.peek();
+          if (keyToken.type === 'identifier' || keyToken.type === 'string') {
+            this.pos++;
+            let value = { type: 'Identifier', name: keyToken.value, line: keyToken.line };
+            if (this.eat(':')) value = this.parseBindingPattern();
+            properties.push({ key: keyToken.value, value });
+            if (this.eat('=')) this.parseAssignment();
+          } else if (this.isPunct('[')) {
+            this.skipGroup();
+            if (this.eat(':')) this.parseBindingPattern();
+          }
+        }
+        if (!this.eat(',')) this.pos = Math.max(this.pos, Math.min(this.pos + 1, close));
+      }
+      this.pos = close + 1;
+      return { type: 'ObjectPattern', properties, line: token.line };
+    }
+
+    if (this.isPunct('[')) {
+      const close = this.afterGroup(this.pos) - 1;
+      const elements = [];
+      this.pos++;
+      while (this.pos < close) {
+        if (this.isPunct(',')) {
+          elements.push(null);
+          this.pos++;
+          continue;
+        }
+        this.eat('...');
+        elements.push(this.parseBindingPattern());
+        if (this.eat('=')) this.parseAssignment();
+        if (!this.eat(',')) break;
+      }
+      this.pos = close + 1;
+      return { type: 'ArrayPattern', elements, line: token.line };
+    }
+
+    return null;
+  }
+
+  parseTypeDeclaration(end) {
+    const line = this.line();
+    const keyword = this.peek().value;
+    this.pos++;
+
+    if (keyword === 'declare') {
+      return this.parseStatement(end, []);
+    }
+
+    const name = this.peek().value;
+    this.pos++;
+
+    // Object types keep their property signatures (`members`) for schema
+    // extraction; other aliases keep the type as text
+    if (keyword === 'type') {
+      if (this.isPunct('<')) this.skipAngles();
+      if (!this.eat('=')) return { type: 'TypeAlias', name, members: null, typeAnnotation: null, line };
+      if (this.isPunct('{') && !this.continuesType(this.afterGroup(this.pos))) {
+        return { type: 'TypeAlias', name, members: this.parseTypeMembers(), typeAnnotation: null, line };
+      }
+      const typeStart = this.pos;
+      this.skipType();
+      return { type: 'TypeAlias', name, members: null, typeAnnotation: this.tokenText(typeStart, this.pos), line };
+    }
+
+    // enum / namespace bodies are opaque to route discovery
+    while (this.peek() && !this.isPunct('{') && this.pos < end) this.pos++;
+    const members = keyword === 'interface' && this.isPunct('{') ? this.parseTypeMembers() : null;
+    if (!members && this.isPunct('{')) this.skipGroup();
+    return { type: 'TypeDeclaration', kind: keyword, name, members, line };
+  }
+
+  // Whether the token at `index` carries a type on (`{ a: 1 } & Other`)
+  continuesType(index) {
+    const token = this.tokens[index];
+    return !!token && token.type === 'punct' && ['|', '&', '[', '.'].includes(token.value);
+  }
+
+  // Property signatures of the `{ ... }` body at the current token, as
+  // `{ key, optional, typeAnnotation }`; an index signature has `index: true`
+  // and no key. Method, call and construct signatures are skipped.
+  parseTypeMembers() {
+    const end = this.afterGroup(this.pos) - 1;
+    const members = [];
+    this.pos++;
+
+    while (this.pos < end) {
+      const start = this.pos;
+      const line = this.line();
+      if ((this.is('readonly') || this.is('new')) && !this.isPunct(':', 1) && !this.isPunct('?', 1)) this.pos++;
+
+      let key = null;
+      let index = false;
+      const token = this.peek();
+      if (token.type === 'identifier' || token.type === 'string' || token.type === 'number') {
+        key = String(token.value);
+        this.pos++;
+      } else if (this.isPunct('[') && this.isPunct(':', 2)) {
+        index = true;
+        this.skipGroup();
+      }
+      const optional = this.eat('?');
+      if (this.isPunct('<')) this.skipAngles();
+      const method = this.isPunct('(');
+      if (method) this.skipGroup();
+
+      if (this.eat(':')) {
+        const typeStart = this.pos;
+        this.skipType();
+        if (!method && (key !== null || index)) {
+          members.push({ type: 'PropertySignature', key, index, optional, typeAnnotation: this.tokenText(typeStart, this.pos), line });
+        }
+      }
+      // Members end at `;`, `,` or a line break
+      if (!this.eat(';')) this.eat(',');
+      if (this.pos === start) this.pos++;
+    }
+
+    this.pos = end + 1;
+    return members;
+  }
+
+  parseFunction(isDeclaration) {
+    const line = this.line();
+    const isAsync = this.eat('async');
+    this.pos++; // function
+    this.eat('*');
+
+    let name = null;
+    if (this.peek() && this.peek().type === 'identifier') {
+      name = this.peek().value;
+      this.pos++;
+    }
+    if (this.isPunct('<')) this.skipAngles();
+
+    const params = this.isPunct('(') ? this.parseParams() : [];
+    if (this.isPunct(':')) {
+      this.pos++;
+      this.skipType();
+    }
+
+    const { body, bodyRange } = this.parseFunctionBody();
+    return {
+      type: isDeclaration ? 'FunctionDeclaration' : 'FunctionExpression',
+      name,
+      async: isAsync,
+      params,
+      body,
+      bodyRange,
+      line
+    };
+  }
+
+  parseFunctionBody() {
+    if (!this.isPunct('{')) {
+      return { body: [], bodyRange: [this.pos, this.pos] };
+    }
+    const open = this.pos;
+    const close = this.afterGroup(open) - 1;
+    this.pos++;
+    const body = this.parseStatements(close);
+    this.pos = close + 1;
+    return { body, bodyRange: [open, close] };
+  }
+
+  // Parameter lists keep the binding pattern of each parameter; TypeScript
+  // annotations, defaults and accessibility modifiers are skipped.
+  parseParams() {
+    const close = this.afterGroup(this.pos) - 1;
+    const params = [];
+    this.pos++;
+
+    while (this.pos < close) {
+      const decorators = [];
+      while (this.isPunct('@')) decorators.push(this.parseDecorator());
+      while (this.peek() && CLASS_MEMBER_MODIFIERS.has(this.peek().value) && this.peek(1) && this.peek(1).type === 'identifier') {
+        this.pos++;
+      }
+      this.eat('...');
+
+      const start = this.pos;
+      const pattern = this.parseBindingPattern();
+      if (pattern) {
+        pattern.decorators = decorators;
+        params.push(pattern);
+      }
+      this.eat('?');
+      if (this.eat(':')) {
+        const typeStart = this.pos;
+        this.skipType();
+        if (pattern) pattern.typeAnnotation = this.tokenText(typeStart, this.pos);
+      }
+      if (this.eat('=')) this.parseAssignment();
+
+      // Skip to the next top-level comma
+      while (this.pos < close && !this.isPunct(',')) {
+        if (this.closers[this.pos] !== undefined) this.skipGroup();
+        else this.pos++;
+      }
+      this.pos++;
+      if (this.pos === start) this.pos++;
+    }
+
+    this.pos = close + 1;
+    return params;
+  }
+
+  parseClass(decorators = []) {
+    const line = this.line();
+    this.pos++; // class
+
+    let name = null;
+    if (this.peek() && this.peek().type === 'identifier' && !['extends', 'implements'].includes(this.peek().value)) {
+      name = this.peek().value;
+      this.pos++;
+    }
+    if (this.isPunct('<')) this.skipAngles();
+
+    let superClass = null;
+    if (this.eat('extends')) {
+      superClass = this.parsePostfix(this.parsePrimary(), { noCall: false });
+      if (this.isPunct('<')) this.skipAngles();
+    }
+    while (this.peek() && !this.isPunct('{')) this.pos++;
+
+    const members = [];
+    if (this.isPunct('{')) {
+      const close = this.afterGroup(this.pos) - 1;
+      this.pos++;
+      let memberDecorators = [];
+
+      while (this.pos < close) {
+        const start = this.pos;
+        if (this.isPunct('@')) {
+          memberDecorators.push(this.parseDecorator());
+          continue;
+        }
+        if (this.isPunct(';')) {
+          this.pos++;
+          continue;
+        }
+        const member = this.parseClassMember(close);
+        if (member) {
+          member.decorators = memberDecorators;
+          members.push(member);
+        }
+        memberDecorators = [];
+        if (this.pos === start) this.pos++;
+      }
+      this.pos = close + 1;
+    }
+
+    return { type: 'ClassDeclaration', name, superClass, decorators, members, line };
+  }
+
+  parseClassMember(close) {
+    const line = this.line();
+    const modifiers = [];
+
+    while (this.peek() && CLASS_MEMBER_MODIFIERS.has(this.peek().value) && this.pos + 1 < close) {
+      const next = this.peek(1);
+      if (next.type === 'punct' && ['(', '=', ':', ';', '?', '!', '<'].includes(next.value)) break;
+      modifiers.push(this.peek().value);
+      this.pos++;
+    }
+    this.eat('*');
+
+    let key = null;
+    const keyToken = this.peek();
+    if (keyToken.type === 'identifier' || keyToken.type === 'string' || keyToken.type === 'number') {
+      key = String(keyToken.value);
+      this.pos++;
+    } else if (this.isPunct('#')) {
+      this.pos++;
+      key = '#' + this.peek().value;
+      this.pos++;
+    } else if (this.isPunct('[')) {
+      this.skipGroup();
+    } else if (this.isPunct('{')) {
+      // static initialization block
+      this.skipGroup();
+      return null;
+    } else {
+      return null;
+    }
+
+    const optional = this.eat('?');
+    this.eat('!');
+    if (this.isPunct('<')) this.skipAngles();
+
+    if (this.isPunct('(')) {
+      const params = this.parseParams();
+      let returnType = null;
+      if (this.isPunct(':')) {
+        this.pos++;
+        const typeStart = this.pos;
+        this.skipType();
+        returnType = this.tokenText(typeStart, this.pos);
+      }
+      const { body, bodyRange } = this.parseFunctionBody();
+      return { type: 'MethodDefinition', key, modifiers, params, returnType, body, bodyRange, line };
+    }
+
+    let typeAnnotation = null;
+    if (this.eat(':')) {
+      const typeStart = this.pos;
+      this.skipType();
+      typeAnnotation = this.tokenText(typeStart, this.pos);
+    }
+    let value = null;
+    if (this.eat('=')) value = this.parseAssignment();
+    this.eat(';');
+    return { type: 'PropertyDefinition', key, modifiers, optional, typeAnnotation, value, line };
+  }
+
+  // Skips a TypeScript type expression. Stops at the first token that cannot
+  // continue a type at depth 0 (`=`, `,`, `;`, `)`, `{` after a complete type...).
+  skipType() {
+    let expectOperand = true;
+
+    while (this.peek()) {
+      const token = this.peek();
+
+      if (expectOperand) {
+        if (token.type === 'punct' && (token.value === '|' || token.value === '&')) {
+          this.pos++;
+          continue;
+        }
+        if (token.type === 'identifier' && ['typeof', 'keyof', 'readonly', 'unique', 'infer', 'new', 'asserts'].includes(token.value)) {
+          this.pos++;
+          continue;
+        }
+        if (this.isPunct('(') || this.isPunct('[') || this.isPunct('{')) {
+          const wasParen = this.isPunct('(');
+          this.skipGroup();
+          if (wasParen && this.isPunct('=>')) {
+            this.pos++;
+            continue;
+          }
+        } else if (token.type === 'identifier' || token.type === 'string' || token.type === 'number' || token.type === 'template') {
+          this.pos++;
+          while (this.isPunct('.') && this.peek(1) && this.peek(1).type === 'identifier') this.pos += 2;
+        } else if (this.isPunct('<')) {
+          // generic function type `<T>(x: T) => T`
+          this.skipAngles();
+          continue;
+        } else if (this.isPunct('-') && this.peek(1) && this.peek(1).type === 'number') {
+          this.pos += 2;
+        } else {
+          return;
+        }
+        expectOperand = false;
+        continue;
+      }
+
+      if (this.isPunct('<')) {
+        this.skipAngles();
+      } else if (this.isPunct('[')) {
+        this.skipGroup();
+      } else if (this.isPunct('|') || this.isPunct('&')) {
+        this.pos++;
+        expectOperand = true;
+      } else if (this.is('is') || this.is('extends')) {
+        this.pos++;
+        expectOperand = true;
+      } else if (this.isPunct('?') && this.peek(1) && !this.isPunct(')', 1) && !this.isPunct(',', 1)) {
+        // conditional type `A extends B ? C : D`
+        this.pos++;
+        this.skipType();
+        if (this.eat(':')) expectOperand = true;
+      } else {
+        return;
+      }
+    }
+  }
+
+  // Source-like text of the tokens in [start, end), e.g. a type annotation
+  tokenText(start, end) {
+    let text = '';
+    for (let i = start; i < end; i++) {
+      const token = this.tokens[i];
+      const previous = this.tokens[i - 1];
+      const value = token.type === 'string' ? JSON.stringify(token.value) : (token.raw || token.value || '');
+      if (i > start && token.type !== 'punct' && previous.type !== 'punct') text += ' ';
+      text += value;
+    }
+    return text;
+  }
+
+  skipAngles() {
+    let depth = 0;
+    while (this.peek()) {
+      if (this.isPunct('<')) depth++;
+      else if (this.isPunct('>')) depth--;
+      else if (this.isPunct('>>')) depth -= 2;
+      else if (this.isPunct('>>>')) depth -= 3;
+      else if (this.closers[this.pos] !== undefined) {
+        this.skipGroup();
+        continue;
+      } else if (this.isPunct(';') || this.isPunct('{') || this.isPunct('=')) {
+        return;
+      }
+      this.pos++;
+      if (depth <= 0) return;
+    }
+  }
+
+  parseExpression() {
+    const expression = this.parseAssignment();
+    // Comma sequences: keep the first expression, parse the rest for calls
+    while (expression && this.isPunct(',') && this.peek(1) && !this.isPunct(')', 1)) {
+      const start = this.pos;
+      this.pos++;
+      const next = this.parseAssignment();
+      if (!next) {
+        this.pos = start;
+        break;
+      }
+      expression.sequence = (expression.sequence || []).concat(next);
+    }
+    return expression;
+  }
+
+  parseAssignment() {
+    const arrow = this.tryParseArrow();
+    if (arrow) return arrow;
+
+    const left = this.parseConditional();
+    if (!left) return null;
+
+    const token = this.peek();
+    if (token && token.type === 'punct' && ASSIGNMENT_OPERATORS.has(token.value)) {
+      this.pos++;
+      const right = this.parseAssignment();
+      return { type: 'AssignmentExpression', operator: token.value, left, right, line: left.line };
+    }
+    return left;
+  }
+
+  tryParseArrow() {
+    const token = this.peek();
+    if (!token) return null;
+    const start = this.pos;
+    const line = token.line;
+    let isAsync = false;
+
+    if (this.is('async') && this.peek(1) && (this.peek(1).type === 'identifier' || this.isPunct('(', 1))) {
+      isAsync = true;
+      this.pos++;
+    }
+
+    if (this.isPunct('<')) {
+      // generic arrow function `<T>(x: T) => ...`
+      const save = this.pos;
+      this.skipAngles();
+      if (!this.isPunct('(')) {
+        this.pos = save;
+      }
+    }
+
+    let params = null;
+    const current = this.peek();
+    if (current && current.type === 'identifier' && this.isPunct('=>', 1)) {
+      params = [{ type: 'Identifier', name: current.value, line: current.line }];
+      this.pos++;
+    } else if (this.isPunct('(')) {
+      const after = this.afterGroup(this.pos);
+      const next = this.tokens[after];
+      let isArrow = !!next && next.type === 'punct' && next.value === '=>';
+      if (!isArrow && next && next.type === 'punct' && next.value === ':') {
+        const save = this.pos;
+        this.pos = after + 1;
+        this.skipType();
+        isArrow = this.isPunct('=>');
+        this.pos = save;
+      }
+      if (isArrow) {
+        params = this.parseParams();
+        if (this.isPunct(':')) {
+          this.pos++;
+          this.skipType();
+        }
+      }
+    }
+
+    if (!params || !this.isPunct('=>')) {
+      this.pos = start;
+      return null;
+    }
+    this.pos++; // =>
+
+    if (this.isPunct('{')) {
+      const { body, bodyRange } = this.parseFunctionBody();
+      return { type: 'ArrowFunctionExpression', async: isAsync, params, body, bodyRange, expression: false, line };
+    }
+
+    const bodyStart = this.pos;
+    const expression = this.parseAssignment();
+    return {
+      type: 'ArrowFunctionExpression',
+      async: isAsync,
+      params,
+      body: expression ? [{ type: 'ExpressionStatement', expression, line: expression.line }] : [],
+      bodyRange: [bodyStart, this.pos],
+      expression: true,
+      line
+    };
+  }
+
+  parseConditional() {
+    const test = this.parseBinary();
+    if (!test) return null;
+
+    if (this.isPunct('?')) {
+      const save = this.pos;
+      this.pos++;
+      const consequent = this.parseAssignment();
+      if (consequent && this.eat(':')) {
+        const alternate = this.parseAssignment();
+        return { type: 'ConditionalExpression', test, consequent, alternate, line: test.line };
+      }
+      this.pos = save;
+    }
+    return test;
+  }
+
+  // Operator precedence is not modelled: analysis only relies on `+` chains
+  // of string fragments, which associate left-to-right either way.
+  parseBinary() {
+    let left = this.parseUnary();
+    if (!left) return null;
+
+    while (this.peek()) {
+      const token = this.peek();
+      const isOperator = (token.type === 'punct' && BINARY_OPERATORS.has(token.value)) ||
+        (token.type === 'identifier' && (token.value === 'instanceof' || token.value === 'in'));
+
+      if (isOperator) {
+        this.pos++;
+        const right = this.parseUnary();
+        if (!right) break;
+        left = { type: 'BinaryExpression', operator: token.value, left, right, line: left.line };
+        continue;
+      }
+
+      if (token.type === 'identifier' && (token.value === 'as' || token.value === 'satisfies')) {
+        this.pos++;
+        if (this.is('const')) this.pos++;
+        else this.skipType();
+        continue;
+      }
+
+      break;
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (!token) return null;
+
+    if (token.type === 'punct' && ['!', '-', '+', '~', '++', '--', '...'].includes(token.value)) {
+      this.pos++;
+      const argument = this.parseUnary();
+      if (token.value === '...') return { type: 'SpreadElement', argument, line: token.line };
+      return { type: 'UnaryExpression', operator: token.value, argument, line: token.line };
+    }
+
+    if (token.type === 'identifier' && ['typeof', 'void', 'delete', 'await', 'yield'].includes(token.value)) {
+      const next = this.peek(1);
+      const standalone = !next || (next.type === 'punct' && [')', ']', '}', ';', ',', ':'].includes(next.value));
+      if (!standalone) {
+        this.pos++;
+        if (token.value === 'yield') this.eat('*');
+        const argument = this.parseUnary();
+        if (token.value === 'await') return { type: 'AwaitExpression', argument, line: token.line };
+        return { type: 'UnaryExpression', operator: token.value, argument, line: token.line };
+      }
+    }
+
+    // Legacy TypeScript cast `<Type>value`
+    if (this.isPunct('<')) {
+      const save = this.pos;
+      this.skipAngles();
+      if (this.pos === save) return null;
+    }
+
+    const expression = this.parsePostfix(this.parsePrimary());
+    if (expression && (this.isPunct('++') || this.isPunct('--'))) this.pos++;
+    return expression;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) return null;
+    const line = token.line;
+
+    switch (token.type) {
+      case 'string':
+        this.pos++;
+        return { type: 'Literal', value: token.value, line };
+      case 'number':
+        this.pos++;
+        return { type: 'Literal', value: token.value, raw: token.raw, line };
+      case 'regex':
+        this.pos++;
+        return { type: 'Literal', value: null, regex: { pattern: token.pattern, flags: token.flags }, raw: token.value, line };
+      case 'template':
+        this.pos++;
+        return {
+          type: 'TemplateLiteral',
+          quasis: token.quasis,
+          expressions: token.expressions.map(tokens => parseTokens(tokens)),
+          line
+        };
+      case 'identifier':
+        return this.parseIdentifierPrimary(token);
+      case 'punct':
+        return this.parsePunctPrimary(token);
+      default:
+        this.pos++;
+        return null;
+    }
+  }
+
+  parseIdentifierPrimary(token) {
+    const line = token.line;
+
+    switch (token.value) {
+      case 'function':
+        return this.parseFunction(false);
+      case 'async':
+        if (this.is('function', 1)) return this.parseFunction(false);
+        break;
+      case 'class':
+        return this.parseClass([]);
+      case 'new': {
+        this.pos++;
+        if (this.isPunct('.')) {
+          // new.target
+          this.pos += 2;
+          return { type: 'MetaProperty', line };
+        }
+        const callee = this.parsePostfix(this.parsePrimary(), { noCall: true });
+        if (this.isPunct('<')) this.skipAngles();
+        const args = this.isPunct('(') ? this.parseArguments() : [];
+        return { type: 'NewExpression', callee, arguments: args, line };
+      }
+      case 'true':
+      case 'false':
+        this.pos++;
+        return { type: 'Literal', value: token.value === 'true', line };
+      case 'null':
+        this.pos++;
+        return { type: 'Literal', value: null, line };
+      case 'this':
+        this.pos++;
+        return { type: 'ThisExpression', line };
+      case 'import':
+        this.pos++;
+        return { type: 'Identifier', name: 'import', line };
+    }
+
+    this.pos++;
+    return { type: 'Identifier', name: token.value, line };
+  }
+
+  parsePunctPrimary(token) {
+    const line = token.line;
+
+    switch (token.value) {
+      case '(': {
+        const close = this.afterGroup(this.pos) - 1;
+        this.pos++;
+        const expression = this.parseExpression();
+        this.pos = close + 1;
+        return expression ? Object.assign(expression, { parenthesized: true }) : null;
+      }
+      case '[': {
+        const close = this.afterGroup(this.pos) - 1;
+        const elements = this.parseList(close);
+        return { type: 'ArrayExpression', elements, line };
+      }
+      case '{':
+        return this.parseObject();
+      case '#':
+        // private name `#field` in `#field in obj`
+        this.pos += 2;
+        return { type: 'PrivateName', line };
+      case '@': {
+        // decorated class expression
+        const decorators = [];
+        while (this.isPunct('@')) decorators.push(this.parseDecorator());
+        if (this.is('class')) return this.parseClass(decorators);
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Comma-separated expressions up to the closer at index `close`
+  parseList(close) {
+    const items = [];
+    this.pos++;
+
+    while (this.pos < close) {
+      if (this.isPunct(',')) {
+        this.pos++;
+        continue;
+      }
+      const start = this.pos;
+      const item = this.parseAssignment();
+      if (item) items.push(item);
+
+      // Recover from anything unparsed by skipping to the next comma
+      while (this.pos < close && !this.isPunct(',')) {
+        if (this.closers[this.pos] !== undefined) this.skipGroup();
+        else this.pos++;
+      }
+      if (this.pos === start) this.pos++;
+    }
+
+    this.pos = close + 1;
+    return items;
+  }
+
+  parseArguments() {
+    const close = this.afterGroup(this.pos) - 1;
+    return this.parseList(close);
+  }
+
+  parseObject() {
+    const line = this.line();
+    const close = this.afterGroup(this.pos) - 1;
+    const properties = [];
+    this.pos++;
+
+    while (this.pos < close) {
+      const start = this.pos;
+
+      if (this.isPunct(',')) {
+        this.pos++;
+        continue;
+      }
+
+      if (this.isPunct('...')) {
+        this.pos++;
+        properties.push({ type: 'SpreadElement', argument: this.parseAssignment(), line: this.line() });
+      } else {
+        const property = this.parseProperty(close);
+        if (property) properties.push(property);
+      }
+
+      while (this.pos < close && !this.isPunct(',')) {
+        if (this.closers[this.pos] !== undefined) this.skipGroup();
+        else this.pos++;
+      }
+      if (this.pos === start) this.pos++;
+    }
+
+    this.pos = close + 1;
+    return { type: 'ObjectExpression', properties, line };
+  }
+
+  parseProperty(close) {
+    const line = this.line();
+    let isAsync = false;
+    let kind = 'init';
+
+    if ((this.is('async') || this.is('get') || this.is('set')) && this.pos + 1 < close) {
+      const next = this.peek(1);
+      const isModifier = !(next.type === 'punct' && [',', ':', '(', '}'].includes(next.value));
+      if (isModifier) {
+        if (this.peek().value === 'async') isAsync = true;
+        else kind = this.peek().value;
+        this.pos++;
+      }
+    }
+    this.eat('*');
+
+    let key = null;
+    let computed = null;
+    const keyToken = this.peek();
+    if (keyToken.type === 'identifier' || keyToken.type === 'string' || keyToken.type === 'number') {
+      key = String(keyToken.value);
+      this.pos++;
+    } else if (this.isPunct('[')) {
+      const end = this.afterGroup(this.pos) - 1;
+      this.pos++;
+      computed = this.parseAssignment();
+      this.pos = end + 1;
+    } else {
+      return null;
+    }
+
+    if (this.isPunct('(') || this.isPunct('<')) {
+      if (this.isPunct('<')) this.skipAngles();
+      const params = this.parseParams();
+      if (this.isPunct(':')) {
+        this.pos++;
+        this.skipType();
+      }
+      const { body, bodyRange } = this.parseFunctionBody();
+      const value = { type: 'FunctionExpression', name: key, async: isAsync, params, body, bodyRange, line };
+      return { type: 'Property', key, computed, value, kind: kind === 'init' ? 'method' : kind, line };
+    }
+
+    if (this.eat(':')) {
+      const value = this.parseAssignment();
+      return { type: 'Property', key, computed, value, kind: 'init', line };
+    }
+
+    // Shorthand `{ key }` or `{ key = default }` in patterns
+    if (this.eat('=')) this.parseAssignment();
+    return {
+      type: 'Property',
+      key,
+      computed,
+      value: { type: 'Identifier', name: key, line },
+      kind: 'init',
+      shorthand: true,
+      line
+    };
+  }
+
+  parsePostfix(expression, options = {}) {
+    if (!expression) return null;
+
+    while (this.peek()) {
+      const token = this.peek();
+
+      if (token.type === 'punct' && (token.value === '.' || token.value === '?.')) {
+        const next = this.peek(1);
+        if (token.value === '?.' && next && next.type === 'punct' && next.value === '(') {
+          if (options.noCall) break;
+          this.pos++;
+          const args = this.parseArguments();
+          expression = { type: 'CallExpression', callee: expression, arguments: args, optional: true, line: expression.line, endLine: this.previousLine() };
+          continue;
+        }
+        if (token.value === '?.' && next && next.type === 'punct' && next.value === '[') {
+          this.pos++;
+          continue;
+        }
+        if (next && next.type === 'punct' && next.value === '#') {
+          this.pos++;
+        }
+        const property = this.peek(1);
+        if (!property || property.type !== 'identifier') break;
+        this.pos += 2;
+        expression = {
+          type: 'MemberExpression',
+          object: expression,
+          property: property.value,
+          computed: false,
+          line: expression.line,
+          propertyLine: property.line
+        };
+        continue;
+      }
+
+      if (token.type === 'punct' && token.value === '[') {
+        const close = this.afterGroup(this.pos) - 1;
+        this.pos++;
+        const property = this.parseExpression();
+        this.pos = close + 1;
+        const key = property && property.type === 'Literal' ? property.value : null;
+        expression = {
+          type: 'MemberExpression',
+          object: expression,
+          property: key !== null && key !== undefined ? String(key) : null,
+          propertyNode: property,
+          computed: true,
+          line: expression.line,
+          propertyLine: token.line
+        };
+        continue;
+      }
+
+      if (token.type === 'punct' && token.value === '(') {
+        if (options.noCall) break;
+        const args = this.parseArguments();
+        expression = { type: 'CallExpression', callee: expression, arguments: args, line: expression.line, endLine: this.previousLine() };
+        continue;
+      }
+
+      if (token.type === 'template') {
+        // tagged template
+        this.pos++;
+        continue;
+      }
+
+      if (token.type === 'punct' && token.value === '!' && !this.isPunct('=', 1)) {
+        // TypeScript non-null assertion; only when not followed by an operand
+        const next = this.peek(1);
+        if (!next || next.type === 'punct') {
+          this.pos++;
+          continue;
+        }
+      }
+
+      if (token.type === 'punct' && token.value === '<' && this.looksLikeTypeArguments()) {
+        this.skipAngles();
+        continue;
+      }
+
+      break;
+    }
+
+    return expression;
+  }
+
+  previousLine() {
+    const token = this.tokens[this.pos - 1];
+    return token ? token.line : 1;
+  }
+
+  // `fn<Type>(...)` vs `a < b`: type arguments end in `>` directly followed by `(`
+  looksLikeTypeArguments() {
+    const save = this.pos;
+    this.skipAngles();
+    const result = this.isPunct('(');
+    this.pos = save;
+    return result;
+  }
+}
+
+function parseTokens(tokens) {
+  const parser = new Parser(tokens);
+  return parser.parseExpression();
+}
+
+// Maps each opening bracket index to its closing bracket index
+function matchBrackets(tokens) {
+  const closers = {};
+  const stack = [];
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'punct') return;
+    if (token.value === '(' || token.value === '[' || token.value === '{') {
+      stack.push(index);
+    } else if (pairs[token.value]) {
+      // Unbalanced closers are ignored; unbalanced openers run to the end
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (tokens[stack[i]].value === pairs[token.value]) {
+          closers[stack[i]] = index;
+          stack.length = i;
+          break;
+        }
+      }
+    }
+  });
+
+  return closers;
+}
+
+// Depth-first walk over every node of a tree. The visitor receives each node
+// and its parent; returning false skips the node's children.
+function walk(node, visitor, parent = null) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visitor, parent));
+    return;
+  }
+
+  if (typeof node.type === 'string' && visitor(node, parent) === false) return;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'tokens' || key === 'line' || key === 'bodyRange' || key === 'quasis') continue;
+    if (value && typeof value === 'object') {
+      walk(value, visitor, typeof node.type === 'string' ? node : parent);
+    }
+  }
+}
+
+// Flattens `a.b().c(x).d` into its base expression and the member/call links
+// applied to it, which is how route chains like `router.route('/x').get()`
+// are matched.
+function flattenChain(node) {
+  const links = [];
+  let current = node;
+
+  while (current) {
+    if (current.type === 'CallExpression') {
+      const callee = current.callee;
+      if (callee && callee.type === 'MemberExpression') {
+        links.unshift({ name: callee.property, arguments: current.arguments, line: callee.propertyLine || current.line, node: current });
+        current = callee.object;
+      } else {
+        links.unshift({ name: null, arguments: current.arguments, line: current.line, node: current });
+        current = callee;
+      }
+    } else if (current.type === 'MemberExpression') {
+      links.unshift({ name: current.property, arguments: null, line: current.propertyLine || current.line, node: current });
+      current = current.object;
+    } else {
+      break;
+    }
+  }
+
+  return { base: current, links };
+}
+
+// Dotted name of an identifier/member chain (`express.Router`), or null
+function memberName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && node.property !== null) {
+    const object = memberName(node.object);
+    return object ? `${object}.${node.property}` : null;
+  }
+  return null;
+}
+
+function isFunctionNode(node) {
+  return !!node && ['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'].includes(node.type);
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  walk,
+  flattenChain,
+  memberName,
+  isFunctionNode
+};
\ No newline at end of file
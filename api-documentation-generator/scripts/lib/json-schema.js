@@ -0,0 +1,449 @@
+// Small JSON Schema validator for the meta-schemas bundled in ../schemas.
+// It understands draft-04 (Swagger 2.0, OpenAPI 3.0) and the 2020-12
+// keywords the OpenAPI 3.1 schema relies on, including `$dynamicRef` and
+// `unevaluatedProperties`. Errors are `{ pointer, keyword, message }` where
+// `pointer` is the JSON pointer of the offending value in the instance.
+
+const { pointer: toPointer, pointerTokens } = require('./spec-loader');
+
+class SchemaValidator {
+  constructor() {
+    this.resources = new Map();
+    this.patterns = new Map();
+  }
+
+  // Registers a schema document under its id so `$ref`s from other documents
+  // can reach it
+  addSchema(schema) {
+    const resource = {
+      schema,
+      draft4: /draft-04/.test(schema.$schema || ''),
+      anchors: new Map()
+    };
+    collectAnchors(schema, resource.anchors);
+
+    const id = stripFragment(schema.$id || schema.id || '');
+    if (id) this.resources.set(id, resource);
+    return resource;
+  }
+
+  validate(schema, instance) {
+    const id = stripFragment(schema.$id || schema.id || '');
+    const resource = (id && this.resources.get(id)) || this.addSchema(schema);
+    const seen = new Set();
+
+    return this.check(schema, instance, '', resource).errors.filter(error => {
+      const key = `${error.pointer} ${error.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Validates `data` (found at `pointer`) against one schema node. Besides
+  // errors, returns the object properties this node evaluated, which
+  // `unevaluatedProperties` and branch selection need.
+  check(schema, data, pointer, resource) {
+    const result = { errors: [], evaluated: new Set(), matched: new Set() };
+    const fail = (keyword, message, at = pointer, extra = {}) => {
+      result.errors.push(Object.assign({ pointer: at, keyword, message }, extra));
+    };
+    const include = branch => {
+      result.errors.push(...branch.errors);
+      branch.evaluated.forEach(key => result.evaluated.add(key));
+      branch.matched.forEach(key => result.matched.add(key));
+    };
+
+    if (schema === true || schema === undefined) return result;
+    if (schema === false) {
+      fail('false', 'must not be present');
+      return result;
+    }
+
+    if (schema.$ref !== undefined) {
+      const target = this.resolve(schema.$ref, resource);
+      include(this.check(target.schema, data, pointer, target.resource));
+      // draft-04 ignores every keyword next to $ref
+      if (resource.draft4) return result;
+    }
+
+    // Resolved within the current document: the bundled schemas only use a
+    // dynamic anchor to mark where Schema Objects are validated
+    if (schema.$dynamicRef !== undefined) {
+      const target = this.resolve(schema.$dynamicRef, resource);
+      include(this.check(target.schema, data, pointer, target.resource));
+    }
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => hasType(data, type))) {
+        fail('type', `must be ${types.join(' or ')}`);
+        return result;
+      }
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(value => deepEqual(value, data))) {
+      fail('enum', `must be equal to one of: ${schema.enum.map(formatValue).join(', ')}`, pointer, { values: schema.enum });
+    }
+
+    if (schema.const !== undefined && !deepEqual(schema.const, data)) {
+      fail('const', `must be equal to ${formatValue(schema.const)}`, pointer, { values: [schema.const] });
+    }
+
+    if (typeof data === 'number') this.checkNumber(schema, data, resource, fail);
+    if (typeof data === 'string') this.checkString(schema, data, resource, fail);
+    if (Array.isArray(data)) this.checkArray(schema, data, pointer, resource, fail, include);
+    if (isObject(data)) this.checkObject(schema, data, pointer, resource, fail, include, result);
+
+    if (schema.allOf) {
+      schema.allOf.forEach(sub => include(this.check(sub, data, pointer, resource)));
+    }
+
+    if (schema.anyOf) {
+      const branches = schema.anyOf.map(sub => this.check(sub, data, pointer, resource));
+      const passed = branches.filter(branch => branch.errors.length === 0);
+      if (passed.length > 0) {
+        passed.forEach(include);
+      } else {
+        include(bestBranch(branches));
+      }
+    }
+
+    if (schema.oneOf) {
+      const branches = schema.oneOf.map(sub => this.check(sub, data, pointer, resource));
+      const passed = branches.filter(branch => branch.errors.length === 0);
+      if (passed.length === 1) {
+        include(passed[0]);
+      } else if (passed.length > 1) {
+        fail('oneOf', 'must match exactly one schema in oneOf');
+      } else {
+        include(bestBranch(branches));
+      }
+    }
+
+    if (schema.not !== undefined && this.check(schema.not, data, pointer, resource).errors.length === 0) {
+      fail('not', 'must NOT be valid against the schema in "not"');
+    }
+
+    if (schema.if !== undefined) {
+      const condition = this.check(schema.if, data, pointer, resource);
+      if (condition.errors.length === 0) {
+        include(condition);
+        if (schema.then !== undefined) include(this.check(schema.then, data, pointer, resource));
+      } else if (schema.else !== undefined) {
+        include(this.check(schema.else, data, pointer, resource));
+      }
+    }
+
+    // Last, so every other keyword has had the chance to evaluate a property
+    if (schema.unevaluatedProperties !== undefined && isObject(data)) {
+      Object.keys(data).forEach(key => {
+        if (result.evaluated.has(key)) return;
+        const at = `${pointer}${toPointer(key)}`;
+        if (schema.unevaluatedProperties === false) {
+          fail('unevaluatedProperties', `must NOT have unevaluated property '${key}'`, at);
+        } else {
+          include(this.check(schema.unevaluatedProperties, data[key], at, resource));
+        }
+        result.evaluated.add(key);
+      });
+    }
+
+    return result;
+  }
+
+  checkNumber(schema, data, resource, fail) {
+    if (schema.multipleOf !== undefined) {
+      const quotient = data / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+
+    // draft-04 expresses exclusive bounds as booleans next to minimum/maximum
+    if (schema.maximum !== undefined) {
+      const exclusive = resource.draft4 && schema.exclusiveMaximum === true;
+      if (exclusive ? data >= schema.maximum : data > schema.maximum) {
+        fail('maximum', `must be ${exclusive ? '<' : '<='} ${schema.maximum}`);
+      }
+    }
+    if (schema.minimum !== undefined) {
+      const exclusive = resource.draft4 && schema.exclusiveMinimum === true;
+      if (exclusive ? data <= schema.minimum : data < schema.minimum) {
+        fail('minimum', `must be ${exclusive ? '>' : '>='} ${schema.minimum}`);
+      }
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  checkString(schema, data, resource, fail) {
+    const length = Array.from(data).length;
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must NOT have more than ${schema.maxLength} characters`);
+    }
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must NOT have fewer than ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !this.pattern(schema.pattern).test(data)) {
+      fail('pattern', `must match pattern "${schema.pattern}"`);
+    }
+    // 2020-12 treats format as an annotation, draft-04 as an assertion
+    if (resource.draft4 && FORMATS[schema.format] && !FORMATS[schema.format](data)) {
+      fail('format', `must match format "${schema.format}"`);
+    }
+  }
+
+  checkArray(schema, data, pointer, resource, fail, include) {
+    // Positional schemas: `items` as an array (draft-04) or `prefixItems`
+    const tuple = Array.isArray(schema.items) ? schema.items : schema.prefixItems;
+    const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    const from = tuple ? tuple.length : 0;
+
+    (tuple || []).forEach((sub, index) => {
+      if (index < data.length) include(this.check(sub, data[index], `${pointer}/${index}`, resource));
+    });
+    if (rest !== undefined) {
+      for (let index = from; index < data.length; index++) {
+        if (rest === false) {
+          fail('items', `must NOT have more than ${from} items`);
+          break;
+        }
+        include(this.check(rest, data[index], `${pointer}/${index}`, resource));
+      }
+    }
+
+    if (schema.contains !== undefined &&
+        !data.some((item, index) => this.check(schema.contains, item, `${pointer}/${index}`, resource).errors.length === 0)) {
+      fail('contains', 'must contain at least 1 valid item');
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      fail('maxItems', `must NOT have more than ${schema.maxItems} items`);
+    }
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      fail('minItems', `must NOT have fewer than ${schema.minItems} items`);
+    }
+    if (schema.uniqueItems === true) {
+      const seen = new Map();
+      data.some((item, index) => {
+        const key = canonical(item);
+        if (seen.has(key)) {
+          fail('uniqueItems', `must NOT have duplicate items (items ${seen.get(key)} and ${index} are identical)`);
+          return true;
+        }
+        seen.set(key, index);
+        return false;
+      });
+    }
+  }
+
+  checkObject(schema, data, pointer, resource, fail, include, result) {
+    const keys = Object.keys(data);
+    const child = key => `${pointer}${toPointer(key)}`;
+
+    (schema.required || []).forEach(key => {
+      if (!(key in data)) fail('required', `must have required property '${key}'`);
+    });
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('maxProperties', `must NOT have more than ${schema.maxProperties} properties`);
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('minProperties', `must NOT have fewer than ${schema.minProperties} properties`);
+    }
+
+    const covered = new Set();
+    if (schema.properties) {
+      keys.forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(schema.properties, key)) return;
+        covered.add(key);
+        include(this.check(schema.properties[key], data[key], child(key), resource));
+      });
+    }
+    if (schema.patternProperties) {
+      Object.keys(schema.patternProperties).forEach(pattern => {
+        const regex = this.pattern(pattern);
+        keys.forEach(key => {
+          if (!regex.test(key)) return;
+          covered.add(key);
+          include(this.check(schema.patternProperties[pattern], data[key], child(key), resource));
+        });
+      });
+    }
+    covered.forEach(key => {
+      result.evaluated.add(key);
+      result.matched.add(key);
+    });
+
+    if (schema.additionalProperties !== undefined) {
+      keys.filter(key => !covered.has(key)).forEach(key => {
+        if (schema.additionalProperties === false) {
+          fail('additionalProperties', `must NOT have additional property '${key}'`, child(key));
+        } else {
+          include(this.check(schema.additionalProperties, data[key], child(key), resource));
+        }
+        result.evaluated.add(key);
+      });
+    }
+
+    if (schema.propertyNames !== undefined) {
+      keys.forEach(key => {
+        const names = this.check(schema.propertyNames, key, child(key), resource);
+        names.errors.forEach(error => fail('propertyNames', `property name '${key}' ${error.message}`, child(key)));
+      });
+    }
+
+    // draft-04 `dependencies` covers both of the 2020-12 keywords below
+    const dependencies = Object.assign({}, schema.dependencies, schema.dependentRequired, schema.dependentSchemas);
+    Object.keys(dependencies).forEach(key => {
+      if (!(key in data)) return;
+      const dependency = dependencies[key];
+      if (Array.isArray(dependency)) {
+        dependency.forEach(required => {
+          if (!(required in data)) fail('dependencies', `must have property '${required}' when property '${key}' is present`);
+        });
+      } else {
+        include(this.check(dependency, data, pointer, resource));
+      }
+    });
+  }
+
+  resolve(ref, resource) {
+    const hash = ref.indexOf('#');
+    const uri = hash === -1 ? ref : ref.slice(0, hash);
+    const fragment = hash === -1 ? '' : decodeURIComponent(ref.slice(hash + 1));
+    const target = uri ? this.resources.get(uri) : resource;
+    if (!target) throw new Error(`Cannot resolve schema reference ${ref}`);
+
+    let schema = target.schema;
+    if (fragment.startsWith('/')) {
+      pointerTokens(fragment).forEach(token => {
+        schema = schema === undefined ? undefined : schema[token];
+      });
+    } else if (fragment) {
+      schema = target.anchors.get(fragment);
+    }
+
+    if (schema === undefined) throw new Error(`Cannot resolve schema reference ${ref}`);
+    return { schema, resource: target };
+  }
+
+  pattern(source) {
+    if (!this.patterns.has(source)) {
+      let regex;
+      try {
+        regex = new RegExp(source, 'u');
+      } catch (error) {
+        regex = new RegExp(source);
+      }
+      this.patterns.set(source, regex);
+    }
+    return this.patterns.get(source);
+  }
+}
+
+// Assertions for the formats the draft-04 schemas use; others are accepted
+const FORMATS = {
+  uri: value => /^[a-z][a-z0-9+.-]*:\S*$/i.test(value),
+  'uri-reference': value => !/\s/.test(value),
+  email: value => /^[^\s@]+@[^\s@]+$/.test(value),
+  regex: value => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+// Stands in for a failed anyOf/oneOf. Reporting every branch buries the real
+// problem, so only the branch that fits the value best is kept: the one that
+// recognised most of its properties, then the one that failed deepest. When
+// each branch rejects the same discriminating value (`in`, `type`), that is
+// the problem, reported once with every allowed value.
+function bestBranch(branches) {
+  const discriminator = branches[0].errors
+    .filter(error => error.values)
+    .map(error => error.pointer)
+    .find(pointer => branches.every(branch => branch.errors.some(error => error.values && error.pointer === pointer)));
+  if (discriminator !== undefined) {
+    const values = [];
+    branches.forEach(branch => branch.errors.forEach(error => {
+      if (!error.values || error.pointer !== discriminator) return;
+      error.values.forEach(value => {
+        if (!values.some(existing => deepEqual(existing, value))) values.push(value);
+      });
+    }));
+    return {
+      errors: [{
+        pointer: discriminator,
+        keyword: 'enum',
+        message: `must be equal to one of: ${values.map(formatValue).join(', ')}`,
+        values
+      }],
+      evaluated: new Set(),
+      matched: new Set()
+    };
+  }
+
+  const depth = branch => Math.min(...branch.errors.map(error => error.pointer.split('/').length));
+  const best = branches.reduce((current, branch) => {
+    if (branch.matched.size !== current.matched.size) return branch.matched.size > current.matched.size ? branch : current;
+    if (depth(branch) !== depth(current)) return depth(branch) > depth(current) ? branch : current;
+    return branch.errors.length < current.errors.length ? branch : current;
+  });
+  return { errors: best.errors, evaluated: new Set(), matched: best.matched };
+}
+
+function collectAnchors(schema, anchors) {
+  if (!schema || typeof schema !== 'object') return;
+  if (!Array.isArray(schema)) {
+    if (typeof schema.$anchor === 'string') anchors.set(schema.$anchor, schema);
+    if (typeof schema.$dynamicAnchor === 'string') anchors.set(schema.$dynamicAnchor, schema);
+  }
+  Object.values(schema).forEach(value => collectAnchors(value, anchors));
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number';
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+// JSON with sorted keys, so equal values compare equal regardless of order
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function stripFragment(uri) {
+  return uri.replace(/#.*$/, '');
+}
+
+module.exports = {
+  SchemaValidator
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+// Built-in semantic rules for validate-spec.js. These catch design bugs the
+// meta-schemas cannot express. Every rule is
+// `{ description, severity, check(spec, report, context) }`: `spec` is the
+// bundled document (all refs local), `report(message, pointer)` records a
+// finding and `context.resolve(value)` follows a local `$ref`.
+
+const { HTTP_METHODS } = require('./spec-merge');
+const { pointer } = require('./spec-loader');
+const { getPointer } = require('./ref-resolver');
+const { securitySchemes } = require('./sample-requests');
+
+const RULES = {
+  'operation-id-unique': {
+    description: 'Every operationId is used by one operation only',
+    severity: 'error',
+    check(spec, report, context) {
+      const seen = new Map();
+      eachOperation(spec, context, ({ path, method, operation, at }) => {
+        const id = operation.operationId;
+        if (typeof id !== 'string') return;
+        if (seen.has(id)) {
+          report(`operationId "${id}" is already used by ${seen.get(id)}`, `${at}/operationId`);
+        } else {
+          seen.set(id, `${method.toUpperCase()} ${path}`);
+        }
+      });
+    }
+  },
+
+  'path-params-defined': {
+    description: 'Every {param} in a path has an "in: path" parameter and vice versa',
+    severity: 'error',
+    check(spec, report, context) {
+      eachOperation(spec, context, ({ path, method, at, parameters }) => {
+        const template = (path.match(/\{[^}]+\}/g) || []).map(segment => segment.slice(1, -1));
+        const declared = parameters.filter(({ param }) => param.in === 'path');
+
+        template.forEach(name => {
+          if (!declared.some(({ param }) => param.name === name)) {
+            report(`${method.toUpperCase()} ${path} has no "in: path" parameter named "${name}"`, at);
+          }
+        });
+        declared.forEach(({ param, at: paramAt }) => {
+          if (!template.includes(param.name)) {
+            report(`Path parameter "${param.name}" does not appear in ${path}`, paramAt);
+          }
+        });
+      });
+    }
+  },
+
+  'path-params-required': {
+    description: 'Path parameters are marked required: true',
+    severity: 'error',
+    check(spec, report, context) {
+      eachOperation(spec, context, ({ parameters }) => {
+        parameters.forEach(({ param, at }) => {
+          if (param.in === 'path' && param.required !== true) {
+            report(`Path parameter "${param.name}" must be marked required: true`, at);
+          }
+        });
+      });
+    }
+  },
+
+  'no-ambiguous-paths': {
+    description: 'No two paths differ only by the names of their parameters',
+    severity: 'error',
+    check(spec, report) {
+      const shapes = new Map();
+      Object.keys(spec.paths || {}).forEach(path => {
+        const shape = path.replace(/\{[^}]+\}/g, '{}');
+        if (shapes.has(shape)) {
+          report(`${path} matches the same requests as ${shapes.get(shape)}; only the parameter names differ`, pointer('paths', path));
+        } else {
+          shapes.set(shape, path);
+        }
+      });
+    }
+  },
+
+  'no-get-request-body': {
+    description: 'GET and HEAD operations take no request body',
+    severity: 'warn',
+    check(spec, report, context) {
+      eachOperation(spec, context, ({ path, method, operation, at, parameters }) => {
+        if (method !== 'get' && method !== 'head') return;
+        if (operation.requestBody) {
+          report(`${method.toUpperCase()} ${path} defines a requestBody`, `${at}/requestBody`);
+        }
+        // Swagger 2.0 models the body as a parameter
+        parameters.filter(({ param }) => param.in === 'body').forEach(({ at: paramAt }) => {
+          report(`${method.toUpperCase()} ${path} defines a body parameter`, paramAt);
+        });
+      });
+    }
+  },
+
+  'security-defined': {
+    description: 'Security requirements name a defined security scheme',
+    severity: 'error',
+    check(spec, report, context) {
+      const schemes = securitySchemes(spec);
+      const checkRequirements = (requirements, at) => {
+        if (!Array.isArray(requirements)) return;
+        requirements.forEach((requirement, index) => {
+          Object.keys(requirement || {}).forEach(name => {
+            if (!schemes[name]) {
+              report(`Security requirement "${name}" does not match any defined security scheme`, `${at}/security/${index}`);
+            }
+          });
+        });
+      };
+
+      checkRequirements(spec.security, '');
+      eachOperation(spec, context, ({ operation, at }) => checkRequirements(operation.security, at));
+    }
+  },
+
+  'no-unused-components': {
+    description: 'Every component is referenced from somewhere outside the components',
+    severity: 'warn',
+    check(spec, report) {
+      const sections = componentSections(spec);
+      const used = new Set();
+      const pending = [];
+      const visit = value => {
+        collectRefs(value).forEach(ref => {
+          if (!used.has(ref)) {
+            used.add(ref);
+            pending.push(ref);
+          }
+        });
+      };
+
+      // Start from everything outside the component sections, then follow
+      // refs from component to component
+      Object.keys(spec).forEach(key => {
+        if (key === 'components') {
+          Object.keys(spec.components || {}).forEach(section => {
+            if (!sections.includes(`components/${section}`)) visit(spec.components[section]);
+          });
+        } else if (!sections.includes(key)) {
+          visit(spec[key]);
+        }
+      });
+      while (pending.length > 0) {
+        visit(getPointer(spec, pending.pop().slice(1)));
+      }
+
+      sections.forEach(section => {
+        const entries = getPointer(spec, `/${section}`) || {};
+        Object.keys(entries).forEach(name => {
+          const at = `/${section}${pointer(name)}`;
+          if (!used.has(`#${at}`)) {
+            report(`Component "${name}" in ${section.replace('/', '.')} is never referenced`, at);
+          }
+        });
+      });
+    }
+  }
+};
+
+// Calls `fn` for every operation with its path, method, pointer and the
+// parameters that apply to it (path-level ones merged with its own)
+function eachOperation(spec, context, fn) {
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathAt = pointer('paths', path);
+    const pathItem = context.resolve(spec.paths[path]);
+    if (!pathItem || typeof pathItem !== 'object') return;
+
+    const shared = parameterList(pathItem.parameters, `${pathAt}/parameters`, context);
+    Object.keys(pathItem).filter(method => HTTP_METHODS.includes(method)).forEach(method => {
+      const operation = pathItem[method];
+      if (!operation || typeof operation !== 'object') return;
+
+      const at = `${pathAt}/${method}`;
+      const own = parameterList(operation.parameters, `${at}/parameters`, context);
+      const parameters = own.concat(shared.filter(({ param }) =>
+        !own.some(({ param: ownParam }) => ownParam.name === param.name && ownParam.in === param.in)));
+      fn({ path, method, operation, at, parameters });
+    });
+  });
+}
+
+function parameterList(parameters, at, context) {
+  if (!Array.isArray(parameters)) return [];
+  return parameters
+    .map((param, index) => ({ param: context.resolve(param), at: `${at}/${index}` }))
+    .filter(({ param }) => param && typeof param === 'object');
+}
+
+// Sections whose entries are only used through $ref
+function componentSections(spec) {
+  if (spec.swagger) return ['definitions', 'parameters', 'responses'];
+  return Object.keys(spec.components || {})
+    .filter(section => section !== 'securitySchemes')
+    .map(section => `components/${section}`);
+}
+
+function collectRefs(value, refs = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string' && value.$ref.startsWith('#')) refs.push(value.$ref);
+    Object.keys(value).forEach(key => collectRefs(value[key], refs));
+  }
+  return refs;
+}
+
+module.exports = {
+  RULES,
+  eachOperation
+};
\ No newline at end of file
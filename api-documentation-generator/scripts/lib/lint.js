@@ -0,0 +1,146 @@
+// Runs the semantic lint rules over a bundled spec. Which rules run, and
+// whether their findings are errors or warnings, comes from a config file:
+//
+//   plugins:
+//     - ./lint/house-rules.js
+//   rules:
+//     operation-id-unique: error
+//     no-unused-components: off
+//     error-envelope: [error, { schema: ApiError }]
+//
+// given with --config or found as .apilintrc(.json|.yaml|.yml) next to the
+// spec or in a parent directory. Rules not mentioned keep their default.
+//
+// A plugin is a CommonJS module exporting `{ rules }`, shaped like the
+// built-in RULES in lint-rules.js. Plugin paths are relative to the config
+// file; anything else is resolved like a `require` from there.
+
+const fs = require('fs');
+const path = require('path');
+const { loadSpec } = require('./spec-loader');
+const { resolveLocalRef } = require('./ref-resolver');
+const { RULES, eachOperation } = require('./lint-rules');
+
+const CONFIG_FILES = ['.apilintrc', '.apilintrc.json', '.apilintrc.yaml', '.apilintrc.yml'];
+const SEVERITIES = ['error', 'warn', 'off'];
+
+// Reads the lint config for a spec. Returns `{ file, definitions, rules,
+// options }`: every known rule (built-in and plugin), its effective severity
+// and the options the config gives it. `checks` (`{ id: description }`) are
+// rules the calling script reports itself; they are errors unless the config
+// says otherwise.
+function loadLintConfig(specPath, configPath, checks = {}) {
+  const file = configPath ? path.resolve(configPath) : findConfig(path.dirname(path.resolve(specPath)));
+  const config = file ? loadSpec(file).spec : {};
+
+  const definitions = {};
+  Object.keys(checks).forEach(name => {
+    definitions[name] = { description: checks[name], severity: 'error' };
+  });
+  Object.assign(definitions, RULES);
+  (config.plugins || []).forEach(plugin => {
+    const { rules } = loadPlugin(plugin, file);
+    Object.keys(rules).forEach(name => {
+      if (definitions[name]) {
+        throw new Error(`Lint plugin ${plugin} redefines rule "${name}"`);
+      }
+      definitions[name] = Object.assign({ plugin }, rules[name]);
+    });
+  });
+
+  const rules = {};
+  const options = {};
+  Object.keys(definitions).forEach(name => {
+    rules[name] = definitions[name].severity || 'warn';
+    options[name] = {};
+  });
+
+  // A rule is set to a severity, or to [severity, options]
+  Object.keys(config.rules || {}).forEach(name => {
+    if (!definitions[name]) {
+      throw new Error(`Unknown lint rule "${name}" in ${file}`);
+    }
+    const [severity, ruleOptions] = [].concat(config.rules[name]);
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for rule "${name}" in ${file} (expected ${SEVERITIES.join(', ')})`);
+    }
+    rules[name] = severity;
+    options[name] = ruleOptions || {};
+  });
+
+  return { file, definitions, rules, options };
+}
+
+function loadPlugin(plugin, configFile) {
+  const base = configFile ? path.dirname(configFile) : process.cwd();
+  const local = /^\.{1,2}[\\/]/.test(plugin) || path.isAbsolute(plugin);
+
+  let exported;
+  try {
+    exported = require(local ? path.resolve(base, plugin) : require.resolve(plugin, { paths: [base] }));
+  } catch (error) {
+    throw new Error(`Cannot load lint plugin ${plugin}: ${error.message.split('\n')[0]}`);
+  }
+
+  if (!exported || typeof exported.rules !== 'object') {
+    throw new Error(`Lint plugin ${plugin} must export a "rules" object`);
+  }
+  Object.keys(exported.rules).forEach(name => {
+    if (typeof exported.rules[name].check !== 'function') {
+      throw new Error(`Rule "${name}" in lint plugin ${plugin} has no check function`);
+    }
+  });
+  return exported;
+}
+
+function findConfig(dir) {
+  let current = dir;
+  while (true) {
+    const match = CONFIG_FILES.map(name => path.join(current, name)).find(candidate => fs.existsSync(candidate));
+    if (match) return match;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// Returns `{ severity, rule, message, pointer }` for every finding of the
+// enabled rules
+function lintSpec(spec, config) {
+  const findings = [];
+  const seen = new Set();
+
+  Object.keys(config.rules).forEach(rule => {
+    const severity = config.rules[rule];
+    const definition = config.definitions[rule];
+    // Checks have no `check`; the script that declared them reports them
+    if (severity === 'off' || !definition.check) return;
+
+    // Shared path-level parameters are visited once per operation
+    const report = (message, pointer = '') => {
+      const key = `${rule} ${pointer} ${message}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      findings.push({ severity, rule, message, pointer });
+    };
+    const context = {
+      options: config.options[rule],
+      resolve: value => resolveLocalRef(spec, value).value
+    };
+    context.eachOperation = fn => eachOperation(spec, context, fn);
+
+    try {
+      definition.check(spec, report, context);
+    } catch (error) {
+      if (!definition.plugin) throw error;
+      throw new Error(`Lint rule "${rule}" from ${definition.plugin} failed: ${error.message}`);
+    }
+  });
+
+  return findings;
+}
+
+module.exports = {
+  loadLintConfig,
+  lintSpec
+};
\ No newline at end of file
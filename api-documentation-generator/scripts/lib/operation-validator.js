@@ -0,0 +1,499 @@
+// Checks HTTP traffic against a spec's operations, for the mock server and
+// contract tests.
+// Requests are routed by path template (literal segments win over
+// templated ones, and the servers' or basePath's prefix is optional), and
+// parameters and bodies are validated with SchemaValidator once the spec's
+// schemas are turned into plain JSON Schema: OpenAPI 3.0 `nullable` and
+// Swagger 2.0 `x-nullable` allow `null`, readOnly properties stop being
+// required in requests (writeOnly ones in responses) and oneOf is read as
+// anyOf. Parameters arrive as strings and are coerced to their schema's
+// type first. Problems are `{ in, name, pointer, message }`, with `pointer`
+// locating the offending value inside the parameter or body; response
+// problems are `{ check, pointer, message }` (see validateResponse).
+
+const { SchemaValidator } = require('./json-schema');
+const { HTTP_METHODS } = require('./spec-merge');
+const { resolveLocalRef } = require('./ref-resolver');
+const { specServers, responseContent, operationParameters, parameterSchema, requestBody } = require('./sample-requests');
+
+const SPEC_ID = 'urn:openapi-spec';
+const DRAFT_04 = 'http://json-schema.org/draft-04/schema#';
+
+// Values that are data rather than schemas, copied as they are
+const DATA_KEYS = ['example', 'examples', 'enum', 'const', 'default'];
+
+// Header parameters OpenAPI ignores, since they are described elsewhere
+const IGNORED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+// Statuses whose responses never carry a body
+const NO_BODY_STATUSES = [204, 205, 304];
+
+// Array delimiters by OpenAPI 3 style and Swagger 2.0 collectionFormat
+const DELIMITERS = { form: ',', simple: ',', spaceDelimited: ' ', pipeDelimited: '|', csv: ',', ssv: ' ', tsv: '\t', pipes: '|' };
+
+// Routes and schemas of `spec`, ready for matchOperation and validateRequest
+function operationValidator(spec) {
+  const resolve = value => resolveLocalRef(spec, value).value;
+  const context = {
+    spec,
+    resolve,
+    draft4: !/^3\.1/.test(String(spec.openapi || '')),
+    validator: new SchemaValidator(),
+    converted: { request: new WeakMap(), response: new WeakMap() },
+    operations: specOperations(spec, resolve),
+    basePaths: basePaths(spec)
+  };
+
+  // Refs inside converted schemas point at these copies of the spec
+  ['request', 'response'].forEach(direction => {
+    const document = toJsonSchema(context, spec, direction);
+    document.$id = `${SPEC_ID}/${direction}`;
+    if (context.draft4) document.$schema = DRAFT_04;
+    context.validator.addSchema(document);
+  });
+  return context;
+}
+
+// Every operation with a matcher for its path template. Paths with more
+// literal characters come first, so `/pets/mine` is tried before
+// `/pets/{id}`.
+function specOperations(spec, resolve) {
+  const operations = [];
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathItem = resolve(spec.paths[path]) || {};
+    const names = [];
+    const pattern = path.split(/(\{[^}]+\})/).map(part => {
+      const match = /^\{([^}]+)\}$/.exec(part);
+      if (!match) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(match[1]);
+      return '([^/]+)';
+    }).join('');
+
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const route = {
+        path,
+        method,
+        operation: pathItem[method],
+        parameters: operationParameters(pathItem, pathItem[method], resolve),
+        regex: new RegExp(`^${pattern}/?$`),
+        names,
+        literal: path.replace(/\{[^}]+\}/g, '').length
+      };
+      route.body = requestBody(spec, route.operation, route.parameters, resolve);
+      operations.push(route);
+    });
+  });
+  return operations.sort((a, b) => b.literal - a.literal);
+}
+
+// URL path prefixes of the spec's servers (Swagger 2.0: its basePath), with
+// server variables at their defaults
+function basePaths(spec) {
+  const urls = spec.swagger
+    ? [spec.basePath || '']
+    : specServers(spec).map(server => server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+      const variable = server.variables[name];
+      return variable && variable.default !== undefined ? String(variable.default) : match;
+    }));
+  return urls.map(url => url.replace(/^\w+:\/\/[^/]*/, '').replace(/\/+$/, ''))
+    .filter(path => path && !path.includes('{'))
+    .map(path => (path.startsWith('/') ? path : `/${path}`));
+}
+
+// The operation serving `method` (lowercase) on `pathname` as
+// `{ route, params }` with the decoded path parameters. When the path
+// exists but not for this method, `{ route: null, allowed }` lists the
+// methods it does support; null when no path matches.
+function matchOperation(context, method, pathname) {
+  const candidates = context.basePaths
+    .filter(base => pathname === base || pathname.startsWith(`${base}/`))
+    .map(base => pathname.slice(base.length) || '/')
+    .concat(pathname);
+  const allowed = [];
+
+  for (const candidate of candidates) {
+    for (const route of context.operations) {
+      const match = route.regex.exec(candidate);
+      if (!match) continue;
+      if (route.method !== method) {
+        if (!allowed.includes(route.method.toUpperCase())) allowed.push(route.method.toUpperCase());
+        continue;
+      }
+      const params = {};
+      route.names.forEach((name, index) => {
+        params[name] = decode(match[index + 1]);
+      });
+      return { route, params };
+    }
+  }
+  return allowed.length > 0 ? { route: null, allowed } : null;
+}
+
+// Problems with a request routed to `route`. `request` carries the matched
+// path `params`, the `query` as URLSearchParams, lowercase `headers` and
+// the raw `body` (a string, empty when none was sent). A body in a media
+// type the operation does not accept is reported with `status: 415`.
+// Multipart bodies are only checked for presence.
+function validateRequest(context, route, request) {
+  const problems = [];
+  const cookies = parseCookies(request.headers.cookie);
+
+  route.parameters.filter(param => ['path', 'query', 'header', 'cookie'].includes(param.in) &&
+    !(param.in === 'header' && IGNORED_HEADERS.includes(param.name.toLowerCase()))).forEach(param => {
+    const schema = parameterSchema(param, context.resolve);
+    const raw = parameterValue(param, schema, request, cookies, context.resolve);
+    const problem = (pointer, message) => problems.push({ in: param.in, name: param.name, pointer, message });
+
+    if (raw === undefined) {
+      if (param.in === 'path' || param.required) problem('', 'is required');
+      return;
+    }
+
+    let value = raw;
+    if (param.content) {
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        problem('', 'is not valid JSON');
+        return;
+      }
+    } else {
+      value = coerce(raw, schema, context.resolve);
+    }
+    if (!schema) return;
+    schemaErrors(context, schema, value, 'request').forEach(error => problem(error.pointer, error.message));
+  });
+
+  problems.push(...validateBody(context, route, request));
+  return problems;
+}
+
+function validateBody(context, route, request) {
+  const body = route.body;
+  const problem = (pointer, message) => ({ in: 'body', name: '', pointer, message });
+  if (!body) return [];
+  if (!request.body) return body.required ? [problem('', 'is required')] : [];
+
+  const types = Object.keys(body.content);
+  if (types.length === 0) return [];
+  const header = request.headers['content-type'];
+  const type = header ? mediaType(types, header) : types[0];
+  if (!type) {
+    return [{ in: 'header', name: 'Content-Type', pointer: '', message: `must be one of: ${types.join(', ')}`, status: 415 }];
+  }
+
+  const schema = body.content[type] && body.content[type].schema;
+  if (!schema) return [];
+  let value;
+  if (/json/i.test(type)) {
+    try {
+      value = JSON.parse(request.body);
+    } catch (error) {
+      return [problem('', `is not valid JSON: ${error.message}`)];
+    }
+  } else if (/x-www-form-urlencoded/i.test(type)) {
+    value = formFields(new URLSearchParams(request.body), schema, context.resolve);
+  } else if (/^text\//i.test(type)) {
+    value = request.body;
+  } else {
+    return [];
+  }
+  return schemaErrors(context, schema, value, 'request').map(error => problem(error.pointer, error.message));
+}
+
+// Problems with a response to `route`, given as `{ status, headers, body }`
+// with lowercase header names and the body as a string. `check` says what
+// drifted: 'status' (undocumented status), 'headers' (a required header is
+// missing or a header does not match its schema), 'content-type' (an
+// undocumented media type) or 'body' (missing, unexpected or not matching
+// the schema). Messages are sentences about the response.
+function validateResponse(context, route, response) {
+  const responses = route.operation.responses || {};
+  const codes = Object.keys(responses);
+  // OpenAPI 3.1 operations may leave their responses out
+  if (codes.length === 0) return [];
+  const key = codes.find(code => code === String(response.status)) ||
+    codes.find(code => code.toUpperCase() === `${String(response.status)[0]}XX`) ||
+    (codes.includes('default') ? 'default' : null);
+  if (!key) {
+    return [{ check: 'status', pointer: '', message: `status ${response.status} is not documented (documented: ${codes.join(', ')})` }];
+  }
+
+  const problems = [];
+  const definition = context.resolve(responses[key]) || {};
+  Object.keys(definition.headers || {}).filter(name => !/^content-type$/i.test(name)).forEach(name => {
+    const header = context.resolve(definition.headers[name]) || {};
+    const sent = response.headers[name.toLowerCase()];
+    const value = Array.isArray(sent) ? sent.join(', ') : sent;
+    if (value === undefined) {
+      if (header.required) problems.push({ check: 'headers', pointer: '', message: `required header "${name}" is missing` });
+      return;
+    }
+    // Swagger 2.0 headers are schemas themselves
+    const schema = header.content ? (Object.values(header.content)[0] || {}).schema : header.schema || (header.type ? header : null);
+    if (!schema) return;
+    const resolved = context.resolve(schema) || {};
+    const raw = [].concat(resolved.type || []).includes('array') ? value.split(',').map(item => item.trim()) : value;
+    schemaErrors(context, schema, coerce(raw, schema, context.resolve), 'response').forEach(error => {
+      problems.push({ check: 'headers', pointer: error.pointer, message: `header "${name}"${error.pointer ? ` at ${error.pointer}` : ''} ${error.message}` });
+    });
+  });
+
+  const content = responseContent(context.spec, route.operation, definition);
+  const types = Object.keys(content);
+  const empty = response.body === '' || NO_BODY_STATUSES.includes(response.status) || route.method === 'head';
+  if (empty) {
+    if (types.length > 0 && !NO_BODY_STATUSES.includes(response.status) && route.method !== 'head') {
+      problems.push({ check: 'body', pointer: '', message: `body is empty, but ${types.join(', ')} is documented` });
+    }
+    return problems;
+  }
+  if (types.length === 0) {
+    problems.push({ check: 'body', pointer: '', message: 'has a body, but none is documented' });
+    return problems;
+  }
+
+  const contentType = response.headers['content-type'];
+  const type = contentType ? mediaType(types, contentType) : null;
+  if (!type) {
+    const problem = contentType ? `Content-Type "${contentType}" is not documented` : 'Content-Type is missing';
+    problems.push({ check: 'content-type', pointer: '', message: `${problem} (documented: ${types.join(', ')})` });
+    return problems;
+  }
+
+  const schema = content[type] && content[type].schema;
+  if (!schema) return problems;
+  let value;
+  if (/json/i.test(contentType)) {
+    try {
+      value = JSON.parse(response.body);
+    } catch (error) {
+      problems.push({ check: 'body', pointer: '', message: `body is not valid JSON: ${error.message}` });
+      return problems;
+    }
+  } else if (/^text\//i.test(contentType)) {
+    value = response.body;
+  } else {
+    return problems;
+  }
+  schemaErrors(context, schema, value, 'response').forEach(error => {
+    problems.push({ check: 'body', pointer: error.pointer, message: `body${error.pointer ? ` at ${error.pointer}` : ''} ${error.message}` });
+  });
+  return problems;
+}
+
+// The raw value of a parameter in the request: a string, an array of
+// strings for array parameters, an object of strings for object query
+// parameters, or undefined when it was not sent
+function parameterValue(param, schema, request, cookies, resolve) {
+  const resolved = resolve(schema) || {};
+  const types = [].concat(resolved.type || []);
+  // Swagger 2.0 arrays are comma-separated unless collectionFormat says
+  // otherwise
+  const swagger = param.type !== undefined && !param.schema;
+  const style = param.style || param.collectionFormat ||
+    (swagger ? 'csv' : ['query', 'cookie'].includes(param.in) ? 'form' : 'simple');
+  const explode = param.explode !== undefined ? param.explode : style === 'form' || style === 'multi';
+
+  let values;
+  if (param.in === 'path') {
+    if (request.params[param.name] === undefined) return undefined;
+    const value = pathValue(request.params[param.name], param.name, style);
+    if (types.includes('object') && !param.content) return objectValue(value, explode);
+    values = [value];
+  } else if (param.in === 'header' && types.includes('object') && !param.content) {
+    const header = request.headers[param.name.toLowerCase()];
+    return header === undefined ? undefined : objectValue(String(header), explode);
+  } else if (param.in === 'header') {
+    const header = request.headers[param.name.toLowerCase()];
+    values = header === undefined ? [] : [].concat(header);
+  } else if (param.in === 'cookie') {
+    values = cookies[param.name] === undefined ? [] : [cookies[param.name]];
+  } else if (types.includes('object') && !param.content) {
+    return queryObject(param, resolved, request.query, style, explode);
+  } else {
+    values = request.query.getAll(param.name);
+  }
+
+  if (values.length === 0) return undefined;
+  if (!types.includes('array') || param.content) return values[0];
+  // One value holding a delimited list is accepted for exploded arrays too,
+  // as many clients send that
+  if (values.length > 1) return values;
+  return values[0].split(DELIMITERS[style] || ',').map(value => (param.in === 'header' ? value.trim() : value));
+}
+
+// A path parameter without its label (`.`) or matrix (`;name=`) prefix
+function pathValue(value, name, style) {
+  if (style === 'label' && value.startsWith('.')) return value.slice(1);
+  if (style === 'matrix' && value.startsWith(`;${name}=`)) return value.slice(name.length + 2);
+  return value;
+}
+
+// Objects in the simple style: `key,value,key,value`, or `key=value,...`
+// exploded. JSON is accepted too.
+function objectValue(text, explode) {
+  if (/^\s*\{/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  const object = {};
+  const parts = text.split(',');
+  if (explode) {
+    parts.forEach(part => {
+      const index = part.indexOf('=');
+      if (index > 0) object[part.slice(0, index)] = part.slice(index + 1);
+    });
+  } else {
+    for (let index = 0; index + 1 < parts.length; index += 2) object[parts[index]] = parts[index + 1];
+  }
+  return object;
+}
+
+// Object query parameters: `name[key]=value` pairs with the deepObject
+// style, `key=value` pairs for the declared properties otherwise
+function queryObject(param, schema, query, style, explode) {
+  const object = {};
+  if (style === 'deepObject') {
+    const prefix = `${param.name}[`;
+    query.forEach((value, key) => {
+      if (key.startsWith(prefix) && key.endsWith(']')) object[key.slice(prefix.length, -1)] = value;
+    });
+  } else if (explode) {
+    Object.keys(schema.properties || {}).forEach(key => {
+      if (query.has(key)) object[key] = query.get(key);
+    });
+  } else {
+    if (!query.has(param.name)) return undefined;
+    const parts = query.get(param.name).split(',');
+    for (let index = 0; index + 1 < parts.length; index += 2) object[parts[index]] = parts[index + 1];
+  }
+  return Object.keys(object).length > 0 ? object : undefined;
+}
+
+// Form bodies as objects, with repeated fields collected for array
+// properties
+function formFields(params, schema, resolve) {
+  const properties = (resolve(schema) || {}).properties || {};
+  const fields = {};
+  params.forEach((value, key) => {
+    const property = resolve(properties[key]) || {};
+    fields[key] = [].concat(property.type || []).includes('array') ? params.getAll(key) : value;
+  });
+  return coerce(fields, schema, resolve);
+}
+
+// Strings from a URL, header or form converted to the number, boolean or
+// null their schema asks for; anything that does not convert is left for
+// validation to report
+function coerce(value, schema, resolve) {
+  const resolved = resolve(schema) || {};
+  const types = [].concat(resolved.type || []);
+  if (Array.isArray(value)) return value.map(item => coerce(item, resolved.items, resolve));
+  if (value && typeof value === 'object') {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      object[key] = coerce(value[key], (resolved.properties || {})[key], resolve);
+    });
+    return object;
+  }
+  if (typeof value !== 'string') return value;
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (types.includes('boolean') && /^(true|false)$/.test(value)) return value === 'true';
+  if ((types.includes('null') || resolved.nullable) && value === 'null') return null;
+  return value;
+}
+
+// The declared media type matching a Content-Type header, allowing for
+// parameters such as `charset` and for wildcards like `application/*`
+function mediaType(types, header) {
+  const wanted = header.split(';')[0].trim().toLowerCase();
+  return types.find(type => type.toLowerCase() === wanted) ||
+    types.find(type => type.toLowerCase() === `${wanted.split('/')[0]}/*`) ||
+    types.find(type => type === '*/*') ||
+    null;
+}
+
+// Errors of `value` against a spec schema, converted to plain JSON Schema
+// for `direction` ('request' or 'response') on first use
+function schemaErrors(context, schema, value, direction) {
+  const cache = context.converted[direction];
+  if (!cache.has(schema)) {
+    const converted = toJsonSchema(context, schema, direction);
+    cache.set(schema, context.draft4 ? Object.assign({ $schema: DRAFT_04 }, converted) : converted);
+  }
+  return context.validator.validate(cache.get(schema), value);
+}
+
+// Copy of `node` that SchemaValidator reads the way OpenAPI means it. Local
+// refs point into the copy of the spec registered for `direction`.
+function toJsonSchema(context, node, direction) {
+  if (Array.isArray(node)) return node.map(item => toJsonSchema(context, item, direction));
+  if (!node || typeof node !== 'object') return node;
+
+  const schema = {};
+  Object.keys(node).forEach(key => {
+    schema[key] = DATA_KEYS.includes(key) || key.startsWith('x-') ? node[key] : toJsonSchema(context, node[key], direction);
+  });
+
+  if (typeof schema.$ref === 'string' && schema.$ref.startsWith('#')) schema.$ref = `${SPEC_ID}/${direction}${schema.$ref}`;
+  if (schema.type === 'file') delete schema.type;
+  // OpenAPI documents use oneOf for "one of these shapes": branches are
+  // usually open objects that a value can match several of, and a
+  // discriminator picks the branch rather than exclusivity
+  if (Array.isArray(schema.oneOf)) {
+    schema.anyOf = schema.oneOf;
+    delete schema.oneOf;
+  }
+  if (Array.isArray(schema.required) && schema.properties && typeof schema.properties === 'object') {
+    const hidden = direction === 'request' ? 'readOnly' : 'writeOnly';
+    schema.required = schema.required.filter(name => !(context.resolve(node.properties[name]) || {})[hidden]);
+  }
+  return schema.nullable === true || schema['x-nullable'] === true ? allowNull(schema) : schema;
+}
+
+// A schema that also accepts null: a type list when the schema has a
+// plain type, a wrapper otherwise
+function allowNull(schema) {
+  const combined = schema.$ref || schema.allOf || schema.anyOf || schema.oneOf;
+  if (typeof schema.type === 'string' && !combined) {
+    return Object.assign({}, schema, { type: [schema.type, 'null'] });
+  }
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+// A problem as a sentence, e.g. `query parameter "limit" must be >= 1`
+function describeProblem(problem) {
+  const subject = problem.in === 'body' ? 'request body' : `${problem.in} parameter "${problem.name}"`;
+  return `${subject}${problem.pointer ? ` at ${problem.pointer}` : ''} ${problem.message}`;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) cookies[pair.slice(0, index).trim()] = decode(pair.slice(index + 1).trim());
+  });
+  return cookies;
+}
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+module.exports = {
+  operationValidator,
+  matchOperation,
+  validateRequest,
+  validateResponse,
+  mediaType,
+  schemaErrors,
+  describeProblem
+};
\ No newline at end of file
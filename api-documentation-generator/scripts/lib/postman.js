@@ -0,0 +1,595 @@
+// Converts between OpenAPI/Swagger specs and Postman collections (format
+// v2.1). Exported collections group requests by tag, turn `{id}` into
+// Postman `:id` path variables, carry example bodies and saved example
+// responses, and derive auth blocks from the security schemes. Each server
+// becomes a Postman environment holding `baseUrl` and the auth variables.
+// The reverse import builds an OpenAPI 3.0 draft from a collection, with
+// schemas inferred from the example bodies it contains.
+
+const crypto = require('crypto');
+const { HTTP_METHODS } = require('./spec-merge');
+const { schemaFromExample } = require('./schema-example');
+const {
+  sampleRequests,
+  securitySchemes,
+  authVariables,
+  requirementAuth,
+  specServers,
+  defaultBaseUrl,
+  MANAGED_HEADERS
+} = require('./sample-requests');
+
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+function toPostmanCollection(spec) {
+  const title = (spec.info && spec.info.title) || 'API Collection';
+
+  const collection = {
+    info: {
+      _postman_id: deterministicId(`collection:${title}`),
+      name: title,
+      description: (spec.info && spec.info.description) || '',
+      version: (spec.info && spec.info.version) || '1.0.0',
+      schema: COLLECTION_SCHEMA
+    },
+    item: []
+  };
+
+  const topLevelAuth = authBlock(requirementAuth(spec.security, securitySchemes(spec)));
+  if (topLevelAuth) collection.auth = topLevelAuth;
+
+  // One folder per tag, in the order of the spec's tag list
+  const folders = new Map();
+  (spec.tags || []).forEach(tag => {
+    if (tag && tag.name) folders.set(tag.name, { name: tag.name, description: tag.description || '', item: [] });
+  });
+
+  sampleRequests(spec).forEach(sample => {
+    const item = postmanItem(sample);
+    if (!sample.tag) {
+      collection.item.push(item);
+      return;
+    }
+    if (!folders.has(sample.tag)) folders.set(sample.tag, { name: sample.tag, description: '', item: [] });
+    folders.get(sample.tag).item.push(item);
+  });
+
+  const used = Array.from(folders.values()).filter(folder => folder.item.length > 0);
+  collection.item = used.concat(collection.item);
+
+  collection.variable = [
+    { key: 'baseUrl', value: defaultBaseUrl(spec), type: 'string' },
+    ...authVariables(securitySchemes(spec)).map(key => ({ key, value: '', type: 'string' }))
+  ];
+
+  return collection;
+}
+
+function postmanItem(sample) {
+  const segments = sample.path.replace(/^\//, '').split('/').map(segment => segment.replace(/\{([^}]+)\}/g, ':$1'));
+  const query = sample.parameters.query.map(param => ({
+    key: param.name,
+    value: param.value,
+    description: param.description,
+    disabled: !param.required
+  }));
+  const enabled = query.filter(entry => !entry.disabled);
+  const url = {
+    raw: `{{baseUrl}}/${segments.join('/')}${enabled.length > 0 ? `?${enabled.map(entry => `${entry.key}=${entry.value}`).join('&')}` : ''}`,
+    host: ['{{baseUrl}}'],
+    path: segments
+  };
+  if (query.length > 0) url.query = query;
+  if (sample.parameters.path.length > 0) {
+    url.variable = sample.parameters.path.map(param => ({ key: param.name, value: param.value, description: param.description }));
+  }
+
+  const header = sample.parameters.header.map(param => ({
+    key: param.name,
+    value: param.value,
+    description: param.description,
+    disabled: !param.required
+  }));
+  const cookies = sample.parameters.cookie.filter(param => param.required);
+  if (cookies.length > 0) {
+    header.push({ key: 'Cookie', value: cookies.map(param => `${param.name}=${param.value}`).join('; ') });
+  }
+  if (sample.accept) header.push({ key: 'Accept', value: sample.accept });
+
+  const request = {
+    method: sample.method.toUpperCase(),
+    header,
+    url
+  };
+  if (sample.description) request.description = sample.description;
+
+  if (sample.body) {
+    header.push({ key: 'Content-Type', value: sample.body.contentType });
+    request.body = postmanBody(sample.body);
+  }
+
+  // Only an operation's own security overrides the collection's
+  if (sample.ownAuth) {
+    request.auth = authBlock(sample.auth) || { type: 'noauth' };
+  }
+
+  return {
+    name: sample.name,
+    request,
+    // One saved example response per documented response
+    response: sample.responses.map(response => ({
+      name: `${response.code} ${response.description}`.trim(),
+      originalRequest: request,
+      status: response.description,
+      code: response.code,
+      _postman_previewlanguage: response.contentType && /json/i.test(response.contentType) ? 'json' : 'text',
+      header: response.contentType ? [{ key: 'Content-Type', value: response.contentType }] : [],
+      body: response.body
+    }))
+  };
+}
+
+function postmanBody(body) {
+  if (body.fields) {
+    const mode = body.contentType.includes('multipart') ? 'formdata' : 'urlencoded';
+    return {
+      mode,
+      [mode]: body.fields.map(field => field.file
+        ? { key: field.name, type: 'file', src: [], description: field.description }
+        : { key: field.name, type: 'text', value: field.value, description: field.description })
+    };
+  }
+  if (body.file) return { mode: 'file', file: { src: '' } };
+  const language = /json/i.test(body.contentType) ? 'json' : /xml/i.test(body.contentType) ? 'xml' : 'text';
+  return { mode: 'raw', raw: body.raw, options: { raw: { language } } };
+}
+
+// Postman auth block for a sample's auth, with the credentials as
+// `{{variables}}` named after the scheme
+function authBlock(auth) {
+  if (!auth) return null;
+  if (auth.kind === 'none') return { type: 'noauth' };
+  const { name, scheme } = auth;
+  const entry = (key, value) => ({ key, value, type: 'string' });
+
+  if (auth.kind === 'bearer') {
+    return { type: 'bearer', bearer: [entry('token', `{{${name}}}`)] };
+  }
+  if (auth.kind === 'basic') {
+    return { type: 'basic', basic: [entry('username', `{{${name}Username}}`), entry('password', `{{${name}Password}}`)] };
+  }
+  if (auth.kind === 'apiKey') {
+    // Postman has no cookie placement, so the key goes in a Cookie header
+    if (scheme.in === 'cookie') {
+      return { type: 'apikey', apikey: [entry('key', 'Cookie'), entry('value', `${scheme.name}={{${name}}}`), entry('in', 'header')] };
+    }
+    return { type: 'apikey', apikey: [entry('key', scheme.name), entry('value', `{{${name}}}`), entry('in', scheme.in === 'query' ? 'query' : 'header')] };
+  }
+
+  const settings = [entry('accessToken', `{{${name}}}`), entry('addTokenTo', 'header')];
+  const flows = scheme.flows || {};
+  // Swagger 2.0 describes a single flow on the scheme itself
+  const flow = flows.authorizationCode || flows.clientCredentials || flows.implicit || flows.password || scheme;
+  const grant = flows.authorizationCode || scheme.flow === 'accessCode' ? 'authorization_code'
+    : flows.clientCredentials || scheme.flow === 'application' ? 'client_credentials'
+      : flows.implicit || scheme.flow === 'implicit' ? 'implicit'
+        : flows.password || scheme.flow === 'password' ? 'password_credentials' : null;
+  if (grant) settings.push(entry('grant_type', grant));
+  if (flow.authorizationUrl) settings.push(entry('authUrl', flow.authorizationUrl));
+  if (flow.tokenUrl) settings.push(entry('accessTokenUrl', flow.tokenUrl));
+  if (flow.scopes && Object.keys(flow.scopes).length > 0) settings.push(entry('scope', Object.keys(flow.scopes).join(' ')));
+  return { type: 'oauth2', oauth2: settings };
+}
+
+// One environment per server: baseUrl with `{variable}` turned into Postman
+// `{{variable}}`, the server's variables at their defaults and empty auth
+// variables to fill in
+function toPostmanEnvironments(spec) {
+  const title = (spec.info && spec.info.title) || 'API';
+  const auth = authVariables(securitySchemes(spec));
+
+  return specServers(spec).map((server, index) => {
+    const url = server.url.replace(/\{([^}]+)\}/g, '{{$1}}');
+    const name = `${title} - ${server.description || url}`;
+    const values = [{ key: 'baseUrl', value: url, type: 'default', enabled: true }];
+    Object.keys(server.variables).forEach(key => {
+      const variable = server.variables[key] || {};
+      values.push({ key, value: variable.default === undefined ? '' : String(variable.default), type: 'default', enabled: true });
+    });
+    auth.forEach(key => values.push({ key, value: '', type: 'secret', enabled: true }));
+
+    return {
+      slug: slugify(server.description || url.replace(/^\w+:\/\//, '')) || `server-${index + 1}`,
+      environment: {
+        id: deterministicId(`environment:${name}`),
+        name,
+        values,
+        _postman_variable_scope: 'environment'
+      }
+    };
+  });
+}
+
+// OpenAPI 3.0 draft from a Postman v2.0/v2.1 collection. Folders become
+// tags, saved responses become documented responses, and every example
+// body gives an inferred schema.
+function fromPostmanCollection(collection) {
+  if (!collection || typeof collection !== 'object' || !Array.isArray(collection.item)) {
+    if (collection && Array.isArray(collection.requests)) {
+      throw new Error('Postman collection format v1 is not supported; export the collection as v2.1');
+    }
+    throw new Error('Not a Postman collection: missing "item" list');
+  }
+
+  const info = collection.info || {};
+  const variables = variableMap(collection.variable);
+  const spec = {
+    openapi: '3.0.3',
+    info: {
+      title: info.name || 'Imported API',
+      version: info.version && typeof info.version === 'string' ? info.version : '1.0.0'
+    },
+    paths: {}
+  };
+  const description = textOf(info.description);
+  if (description) spec.info.description = description;
+
+  const tags = [];
+  // Server URL -> operations sent to it
+  const servers = new Map();
+  const schemes = {};
+  const operationIds = new Set();
+
+  // Collection auth becomes the default requirement; requests only carry
+  // their own when it differs
+  const security = importAuth(collection.auth, schemes);
+  if (security && security.length > 0) spec.security = security;
+
+  const visit = (items, folder, inheritedAuth) => {
+    items.forEach(item => {
+      if (Array.isArray(item.item)) {
+        // Only top-level folders become tags; nested ones keep their parent's
+        const tag = folder || item.name;
+        if (!folder && item.name && !tags.some(existing => existing.name === item.name)) {
+          const entry = { name: item.name };
+          if (textOf(item.description)) entry.description = textOf(item.description);
+          tags.push(entry);
+        }
+        visit(item.item, tag, item.auth || inheritedAuth);
+        return;
+      }
+      if (item.request) {
+        importRequest(spec, item, { tag: folder, auth: item.request.auth || inheritedAuth, security, variables, servers, schemes, operationIds });
+      }
+    });
+  };
+  visit(collection.item, null, collection.auth);
+
+  // The first server is the API's; operations on any other host name theirs
+  const [main, ...others] = Array.from(servers.keys());
+  if (main) spec.servers = [importServer(main, variables)];
+  others.forEach(url => {
+    servers.get(url).forEach(operation => {
+      operation.servers = [importServer(url, variables)];
+    });
+  });
+  if (tags.length > 0) spec.tags = tags;
+  if (Object.keys(schemes).length > 0) {
+    spec.components = { securitySchemes: schemes };
+  }
+  return spec;
+}
+
+function importRequest(spec, item, context) {
+  const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+  const method = String(request.method || 'GET').toLowerCase();
+  if (!HTTP_METHODS.includes(method)) return;
+
+  const url = parseUrl(request.url, context.variables);
+
+  const operation = { summary: item.name || `${method.toUpperCase()} ${url.path}` };
+  const description = textOf(request.description);
+  if (description && description !== item.name) operation.description = description;
+  if (context.tag) operation.tags = [context.tag];
+
+  let operationId = camelCase(item.name || `${method} ${url.path}`) || method;
+  const base = operationId;
+  for (let suffix = 2; context.operationIds.has(operationId); suffix++) operationId = `${base}${suffix}`;
+  context.operationIds.add(operationId);
+  operation.operationId = operationId;
+
+  const parameters = [];
+  url.pathParams.forEach(name => {
+    const variable = url.variables.find(entry => entry.key === name) || {};
+    parameters.push(importParameter(name, 'path', variable.value, textOf(variable.description), true));
+  });
+  url.query.forEach(entry => {
+    parameters.push(importParameter(entry.key, 'query', entry.value, textOf(entry.description), false));
+  });
+  (Array.isArray(request.header) ? request.header : []).forEach(entry => {
+    if (!entry || !entry.key || MANAGED_HEADERS.includes(entry.key.toLowerCase())) return;
+    parameters.push(importParameter(entry.key, 'header', entry.value, textOf(entry.description), !entry.disabled));
+  });
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  const body = importBody(request);
+  if (body) operation.requestBody = body;
+
+  operation.responses = importResponses(item.response);
+
+  const security = importAuth(context.auth, context.schemes);
+  if (security && JSON.stringify(security) !== JSON.stringify(context.security)) operation.security = security;
+
+  // Requests saved once per example share an operation; later ones only add
+  // responses
+  spec.paths[url.path] = spec.paths[url.path] || {};
+  const existing = spec.paths[url.path][method];
+  if (existing) {
+    Object.keys(operation.responses).forEach(code => {
+      if (!existing.responses[code]) existing.responses[code] = operation.responses[code];
+    });
+    context.operationIds.delete(operationId);
+    return;
+  }
+  spec.paths[url.path][method] = operation;
+  if (url.server) {
+    if (!context.servers.has(url.server)) context.servers.set(url.server, []);
+    context.servers.get(url.server).push(operation);
+  }
+}
+
+// Postman `{{variables}}` left in a server URL become server variables,
+// defaulting to the collection's value
+function importServer(url, variables) {
+  const server = { url: url.replace(/\{\{([^}]+)\}\}/g, '{$1}') };
+  const names = Array.from(url.matchAll(/\{\{([^}]+)\}\}/g), match => match[1]);
+  if (names.length > 0) {
+    server.variables = {};
+    names.forEach(name => {
+      const value = variables[name];
+      server.variables[name] = { default: value === undefined || value === null || value === '' ? name : String(value) };
+    });
+  }
+  return server;
+}
+
+function importParameter(name, location, value, description, required) {
+  const parameter = { name, in: location };
+  if (description) parameter.description = description;
+  if (required) parameter.required = true;
+  const example = typedValue(value);
+  parameter.schema = example === undefined ? { type: 'string' } : schemaFromExample(example);
+  if (example !== undefined) parameter.example = example;
+  return parameter;
+}
+
+// Postman values are strings; numbers and booleans are taken as such unless
+// they hold an unresolved {{variable}}
+function typedValue(value) {
+  if (value === undefined || value === null || value === '' || /\{\{[^}]+\}\}/.test(String(value))) return undefined;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+function importBody(request) {
+  const body = request.body;
+  if (!body || body.disabled) return null;
+  const contentHeader = (request.header || []).find(entry => entry && entry.key && entry.key.toLowerCase() === 'content-type');
+
+  if (body.mode === 'raw' && body.raw) {
+    const language = body.options && body.options.raw && body.options.raw.language;
+    const type = (contentHeader && contentHeader.value) || (language === 'xml' ? 'application/xml' : language === 'text' ? 'text/plain' : 'application/json');
+    return { content: { [type]: mediaFromText(body.raw, type) } };
+  }
+  if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+    const fields = (body[body.mode] || []).filter(field => field && field.key && !field.disabled);
+    const properties = {};
+    const example = {};
+    fields.forEach(field => {
+      if (field.type === 'file') {
+        properties[field.key] = { type: 'string', format: 'binary' };
+        return;
+      }
+      const value = typedValue(field.value);
+      properties[field.key] = value === undefined ? { type: 'string' } : schemaFromExample(value);
+      if (textOf(field.description)) properties[field.key].description = textOf(field.description);
+      if (value !== undefined) example[field.key] = value;
+    });
+    const type = body.mode === 'formdata' ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+    const media = { schema: { type: 'object', properties } };
+    if (Object.keys(example).length > 0) media.example = example;
+    return { content: { [type]: media } };
+  }
+  if (body.mode === 'graphql' && body.graphql) {
+    const example = { query: body.graphql.query || '' };
+    return { content: { 'application/json': { schema: schemaFromExample(example), example } } };
+  }
+  return null;
+}
+
+function importResponses(saved) {
+  const responses = {};
+  (Array.isArray(saved) ? saved : []).forEach(response => {
+    const code = String(response.code || 200);
+    if (responses[code]) return;
+    const entry = { description: response.status || response.name || 'Response' };
+    const typeHeader = (response.header || []).find(header => header && header.key && header.key.toLowerCase() === 'content-type');
+    const type = typeHeader ? typeHeader.value.split(';')[0].trim() : response._postman_previewlanguage === 'json' ? 'application/json' : 'text/plain';
+    if (response.body) entry.content = { [type]: mediaFromText(response.body, type) };
+    responses[code] = entry;
+  });
+  if (Object.keys(responses).length === 0) {
+    responses['200'] = { description: 'Successful response' };
+  }
+  return responses;
+}
+
+// Media type object for a body sample: JSON samples give a schema,
+// anything else is kept as a string example
+function mediaFromText(text, type) {
+  if (/json/i.test(type)) {
+    try {
+      // Unquoted {{variables}} are common in Postman bodies
+      const example = JSON.parse(text.replace(/(:\s*|\[\s*|,\s*)\{\{([^}]+)\}\}/g, '$1"{{$2}}"'));
+      return { schema: schemaFromExample(example), example };
+    } catch (error) {
+      // Not valid JSON; fall through to a plain example
+    }
+  }
+  return { schema: { type: 'string' }, example: text };
+}
+
+// Security requirement for a Postman auth block, registering its scheme
+function importAuth(auth, schemes) {
+  if (!auth || !auth.type) return null;
+  if (auth.type === 'noauth') return [];
+  const settings = {};
+  (Array.isArray(auth[auth.type]) ? auth[auth.type] : []).forEach(entry => {
+    if (entry && entry.key) settings[entry.key] = entry.value;
+  });
+
+  let name;
+  let scheme;
+  if (auth.type === 'bearer') {
+    name = 'bearerAuth';
+    scheme = { type: 'http', scheme: 'bearer' };
+  } else if (auth.type === 'basic') {
+    name = 'basicAuth';
+    scheme = { type: 'http', scheme: 'basic' };
+  } else if (auth.type === 'apikey') {
+    name = 'apiKeyAuth';
+    const cookie = /^cookie$/i.test(settings.key || '') && settings.in !== 'query';
+    scheme = cookie
+      ? { type: 'apiKey', in: 'cookie', name: String(settings.value || 'api_key').split('=')[0] }
+      : { type: 'apiKey', in: settings.in === 'query' ? 'query' : 'header', name: settings.key || 'X-API-Key' };
+  } else if (auth.type === 'oauth2') {
+    name = 'oauth2Auth';
+    const flow = {};
+    if (settings.authUrl) flow.authorizationUrl = settings.authUrl;
+    if (settings.accessTokenUrl) flow.tokenUrl = settings.accessTokenUrl;
+    flow.scopes = {};
+    String(settings.scope || '').split(/\s+/).filter(Boolean).forEach(scope => {
+      flow.scopes[scope] = '';
+    });
+    const grant = {
+      authorization_code: 'authorizationCode',
+      authorization_code_with_pkce: 'authorizationCode',
+      client_credentials: 'clientCredentials',
+      implicit: 'implicit',
+      password_credentials: 'password'
+    }[settings.grant_type] || 'authorizationCode';
+    if (grant !== 'implicit' && !flow.tokenUrl) flow.tokenUrl = 'https://example.com/oauth/token';
+    if ((grant === 'authorizationCode' || grant === 'implicit') && !flow.authorizationUrl) flow.authorizationUrl = 'https://example.com/oauth/authorize';
+    scheme = { type: 'oauth2', flows: { [grant]: flow } };
+  } else {
+    return null;
+  }
+
+  // Distinct configurations of the same kind get distinct names
+  let unique = name;
+  for (let suffix = 2; schemes[unique] && JSON.stringify(schemes[unique]) !== JSON.stringify(scheme); suffix++) {
+    unique = `${name}${suffix}`;
+  }
+  schemes[unique] = scheme;
+  return [{ [unique]: [] }];
+}
+
+// Path template, server and query of a Postman URL (object or raw string).
+// `:id` and `{{var}}` path segments become `{id}` and `{var}` parameters.
+function parseUrl(url, variables) {
+  const value = typeof url === 'string' ? { raw: url } : url || {};
+  const raw = value.raw || '';
+
+  let host = Array.isArray(value.host) ? value.host.join('.') : value.host;
+  let segments = Array.isArray(value.path) ? value.path : typeof value.path === 'string' ? value.path.split('/') : null;
+  let protocol = value.protocol;
+
+  if (host === undefined || segments === null) {
+    const match = raw.split('?')[0].match(/^(?:(\w+):\/\/)?([^/]*)(\/.*)?$/);
+    protocol = protocol || (match && match[1]);
+    host = host !== undefined ? host : match ? match[2] : '';
+    segments = segments || (match && match[3] ? match[3].split('/') : []);
+  }
+  segments = segments.filter(segment => typeof segment === 'string' ? segment !== '' : segment);
+
+  // A {{baseUrl}}-style host names the server through a collection variable
+  let server = null;
+  const hostVariable = /^\{\{([^}]+)\}\}$/.exec(host || '');
+  if (hostVariable) {
+    const resolved = variables[hostVariable[1]];
+    server = resolved && /^\w+:\/\//.test(resolved) ? resolved.replace(/\/+$/, '') : `{{${hostVariable[1]}}}`;
+  } else if (host) {
+    server = `${protocol || 'https'}://${host}${value.port ? `:${value.port}` : ''}`;
+  }
+
+  const pathParams = [];
+  const path = '/' + segments.map(segment => {
+    const text = typeof segment === 'string' ? segment : segment.value || '';
+    const named = /^:(.+)$/.exec(text) || /^\{\{([^}]+)\}\}$/.exec(text);
+    if (!named) return text;
+    if (!pathParams.includes(named[1])) pathParams.push(named[1]);
+    return `{${named[1]}}`;
+  }).join('/');
+
+  let query = Array.isArray(value.query) ? value.query : [];
+  if (!Array.isArray(value.query) && raw.includes('?')) {
+    query = raw.split('?')[1].split('&').filter(Boolean).map(pair => {
+      const [key, val = ''] = pair.split('=');
+      return { key: decodeURIComponentSafe(key), value: decodeURIComponentSafe(val) };
+    });
+  }
+
+  return {
+    server,
+    path: path === '/' ? '/' : path.replace(/\/+$/, ''),
+    pathParams,
+    query: query.filter(entry => entry && entry.key),
+    variables: Array.isArray(value.variable) ? value.variable : []
+  };
+}
+
+function variableMap(list) {
+  const map = {};
+  (Array.isArray(list) ? list : []).forEach(entry => {
+    if (entry && entry.key) map[entry.key] = entry.value;
+  });
+  return map;
+}
+
+// Postman descriptions are strings or `{ content, type }`
+function textOf(description) {
+  if (!description) return '';
+  return typeof description === 'string' ? description : description.content || '';
+}
+
+// Stable UUID-shaped id, so re-exports do not show up as new collections
+function deterministicId(seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function camelCase(text) {
+  const words = String(text).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  return words.map((word, index) => index === 0
+    ? word.charAt(0).toLowerCase() + word.slice(1)
+    : word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function decodeURIComponentSafe(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+module.exports = {
+  toPostmanCollection,
+  toPostmanEnvironments,
+  fromPostmanCollection
+};
\ No newline at end of file
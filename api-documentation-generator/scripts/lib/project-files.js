@@ -0,0 +1,241 @@
+// Resolves the source files a script should scan from a file, directory or
+// glob argument. Directory walks honour .gitignore files (including nested
+// ones) and always skip dependency and build output folders.
+
+const fs = require('fs');
+const path = require('path');
+
+const ALWAYS_IGNORED = ['node_modules/', '.git/', 'dist/', 'build/', 'coverage/'];
+
+function isGlob(target) {
+  return /[*?[\]{}]/.test(target);
+}
+
+// Expands each target into the matching files with one of `extensions`.
+// Returns `{ root, files }`, where `root` is the directory provenance paths
+// are reported relative to.
+function collectSourceFiles(targets, extensions) {
+  const files = new Set();
+  const roots = [];
+
+  for (const target of [].concat(targets)) {
+    if (isGlob(target)) {
+      const base = globBase(target);
+      const matcher = globToRegExp(path.resolve(target).split(path.sep).join('/'));
+      walkDirectory(path.resolve(base), extensions).forEach(file => {
+        if (matcher.test(file.split(path.sep).join('/'))) files.add(file);
+      });
+      roots.push(path.resolve(base));
+      continue;
+    }
+
+    const resolved = path.resolve(target);
+    const stat = fs.statSync(resolved);
+    if (stat.isDirectory()) {
+      walkDirectory(resolved, extensions).forEach(file => files.add(file));
+      roots.push(resolved);
+    } else {
+      files.add(resolved);
+      roots.push(path.dirname(resolved));
+    }
+  }
+
+  return {
+    root: commonDirectory(roots),
+    files: [...files].sort()
+  };
+}
+
+function walkDirectory(dir, extensions) {
+  const files = [];
+  const rules = ALWAYS_IGNORED.map(pattern => parseIgnoreRule(pattern, dir))
+    .concat(loadParentIgnoreRules(dir));
+
+  const visit = (current, inherited) => {
+    const rulesHere = inherited.concat(readIgnoreFile(current));
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      const isDirectory = entry.isDirectory();
+      if (isIgnored(fullPath, isDirectory, rulesHere)) continue;
+
+      if (isDirectory) {
+        visit(fullPath, rulesHere);
+      } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  visit(dir, rules);
+  return files;
+}
+
+// .gitignore files above the scanned directory still apply, up to the
+// repository root
+function loadParentIgnoreRules(dir) {
+  const chain = [];
+  let current = path.dirname(dir);
+  while (current !== path.dirname(current)) {
+    chain.unshift(current);
+    if (fs.existsSync(path.join(current, '.git'))) break;
+    current = path.dirname(current);
+  }
+  if (!fs.existsSync(path.join(chain[0] || dir, '.git'))) return [];
+  return chain.reduce((rules, parent) => rules.concat(readIgnoreFile(parent)), []);
+}
+
+function readIgnoreFile(dir) {
+  const rules = [];
+  let content;
+  try {
+    content = fs.readFileSync(path.join(dir, '.gitignore'), 'utf8');
+  } catch (error) {
+    return rules;
+  }
+
+  content.split(/\r?\n/).forEach(line => {
+    const rule = parseIgnoreRule(line, dir);
+    if (rule) rules.push(rule);
+  });
+  return rules;
+}
+
+function parseIgnoreRule(line, base) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  }
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  // Patterns with an inner slash are relative to the .gitignore location;
+  // bare names match at any depth
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  const source = anchored ? pattern : `**/${pattern}`;
+
+  return {
+    base,
+    negate,
+    dirOnly,
+    regex: globToRegExp(source)
+  };
+}
+
+function isIgnored(fullPath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    const relative = path.relative(rule.base, fullPath).split(path.sep).join('/');
+    if (relative.startsWith('..')) continue;
+    if (rule.regex.test(relative)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+// Converts a gitignore-style glob to a RegExp over slash-separated paths
+function globToRegExp(glob) {
+  let regex = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        if (atSegmentStart && glob[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else if (atSegmentStart && i + 2 === glob.length) {
+          regex += '.*';
+          i += 1;
+        } else {
+          regex += '[^/]*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (ch === '?') {
+      regex += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        regex += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = end;
+      }
+    } else if (ch === '{') {
+      const end = glob.indexOf('}', i + 1);
+      if (end === -1) {
+        regex += '\\{';
+      } else {
+        const options = glob.slice(i + 1, end).split(',').map(option => globToRegExp(option).source.slice(1, -1));
+        regex += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      regex += escapeRegExp(glob[i + 1]);
+      i++;
+    } else {
+      regex += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function globBase(glob) {
+  const segments = glob.split(/[\\/]/);
+  const base = [];
+  for (const segment of segments) {
+    if (isGlob(segment)) break;
+    base.push(segment);
+  }
+  return base.join('/') || '.';
+}
+
+function commonDirectory(dirs) {
+  if (dirs.length === 0) return process.cwd();
+  let common = dirs[0].split(path.sep);
+  for (const dir of dirs.slice(1)) {
+    const parts = dir.split(path.sep);
+    let i = 0;
+    while (i < common.length && common[i] === parts[i]) i++;
+    common = common.slice(0, i);
+  }
+  return common.join(path.sep) || path.sep;
+}
+
+// Provenance string used in analysis output and `x-source` extensions
+function formatSource(root, file, line) {
+  const relative = path.relative(root, file).split(path.sep).join('/') || path.basename(file);
+  return line ? `${relative}:${line}` : relative;
+}
+
+module.exports = {
+  collectSourceFiles,
+  formatSource,
+  globToRegExp,
+  isGlob
+};
\ No newline at end of file
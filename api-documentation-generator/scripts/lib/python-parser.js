@@ -0,0 +1,760 @@
+// Tolerant Python parser used by the endpoint analysis scripts.
+//
+// The tokenizer groups the source into logical lines (joining bracketed and
+// backslash-continued lines) with their indentation; the parser turns each
+// line into a statement and nests blocks by indentation. Expressions are
+// parsed far enough for API discovery — names, attributes, calls, literals,
+// subscripts and string concatenation — and anything else is kept as an
+// `Other` node instead of raising, so unusual syntax never aborts an analysis.
+
+const OPERATORS = [
+  '**=', '//=', '>>=', '<<=', '...', '->', ':=', '**', '//', '==', '!=', '<=',
+  '>=', '<<', '>>', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@='
+];
+
+const BINARY_OPERATORS = new Set([
+  '+', '-', '*', '/', '//', '%', '**', '@', '|', '&', '^', '<<', '>>', '<', '>',
+  '==', '!=', '<=', '>=', ':=', 'and', 'or', 'in', 'is', 'not'
+]);
+
+const AUGMENTED_ASSIGNMENTS = new Set([
+  '+=', '-=', '*=', '/=', '//=', '%=', '**=', '>>=', '<<=', '&=', '|=', '^=', '@='
+]);
+
+const BLOCK_KEYWORDS = new Set([
+  'if', 'elif', 'else', 'for', 'while', 'with', 'try', 'except', 'finally', 'match', 'case'
+]);
+
+const SIMPLE_KEYWORDS = new Set([
+  'pass', 'break', 'continue', 'raise', 'global', 'nonlocal', 'del', 'assert', 'yield'
+]);
+
+const STRING_PREFIXES = new Set(['r', 'u', 'b', 'f', 'br', 'rb', 'fr', 'rf']);
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', "'": "'", '"': '"' };
+
+// Splits source into logical lines: `{ indent, line, tokens }`
+function tokenize(source) {
+  const lines = [];
+  let pos = 0;
+  let line = 1;
+  let depth = 0;
+  let current = null;
+
+  const startLine = () => {
+    let indent = 0;
+    while (pos < source.length && (source[pos] === ' ' || source[pos] === '\t' || source[pos] === '\f')) {
+      indent = source[pos] === '\t' ? indent + 8 - (indent % 8) : indent + 1;
+      pos++;
+    }
+    current = { indent, line, tokens: [] };
+  };
+
+  const endLine = () => {
+    if (current && current.tokens.length > 0) lines.push(current);
+    current = null;
+  };
+
+  const push = token => {
+    if (!current) current = { indent: 0, line: token.line, tokens: [] };
+    current.tokens.push(token);
+  };
+
+  while (pos < source.length) {
+    if (!current && depth === 0) {
+      startLine();
+      continue;
+    }
+
+    const ch = source[pos];
+
+    if (ch === '\n') {
+      line++;
+      pos++;
+      if (depth === 0) endLine();
+      continue;
+    }
+    if (ch === '\\' && (source[pos + 1] === '\n' || (source[pos + 1] === '\r' && source[pos + 2] === '\n'))) {
+      pos += source[pos + 1] === '\r' ? 3 : 2;
+      line++;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\uFEFF') {
+      pos++;
+      continue;
+    }
+    if (ch === '#') {
+      while (pos < source.length && source[pos] !== '\n') pos++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      push(readString(''));
+      continue;
+    }
+
+    if (isDigit(ch) || (ch === '.' && isDigit(source[pos + 1]))) {
+      const match = /0[xXoObB][0-9a-fA-F_]+|(?:\d[\d_]*)?\.?\d[\d_]*(?:[eE][+-]?\d[\d_]*)?[jJ]?|\d[\d_]*\.?/y;
+      match.lastIndex = pos;
+      const result = match.exec(source);
+      const raw = result ? result[0] : ch;
+      pos += raw.length;
+      push({ type: 'number', value: Number(raw.replace(/_/g, '')), raw, line });
+      continue;
+    }
+
+    if (isIdentifierStart(ch)) {
+      const start = pos;
+      while (pos < source.length && isIdentifierPart(source[pos])) pos++;
+      const word = source.slice(start, pos);
+      if ((source[pos] === '"' || source[pos] === "'") && STRING_PREFIXES.has(word.toLowerCase())) {
+        push(readString(word.toLowerCase()));
+      } else {
+        push({ type: 'name', value: word, line });
+      }
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, pos)) || ch;
+    pos += operator.length;
+
+    if (operator === ';' && depth === 0) {
+      const indent = current ? current.indent : 0;
+      endLine();
+      current = { indent, line, tokens: [] };
+      continue;
+    }
+    if ('([{'.includes(operator)) depth++;
+    if (')]}'.includes(operator)) depth = Math.max(0, depth - 1);
+    push({ type: 'op', value: operator, line });
+  }
+
+  endLine();
+  return lines;
+
+  function readString(prefix) {
+    const startLine = line;
+    const quote = source[pos];
+    const triple = source[pos + 1] === quote && source[pos + 2] === quote;
+    const raw = prefix.includes('r');
+    pos += triple ? 3 : 1;
+
+    let value = '';
+    while (pos < source.length) {
+      const c = source[pos];
+      if (triple ? source.startsWith(quote.repeat(3), pos) : c === quote) {
+        pos += triple ? 3 : 1;
+        break;
+      }
+      if (!triple && c === '\n') break;
+      if (c === '\\' && pos + 1 < source.length) {
+        const next = source[pos + 1];
+        if (next === '\n') line++;
+        if (raw) {
+          value += c + next;
+        } else if (next !== '\n') {
+          value += ESCAPES[next] !== undefined ? ESCAPES[next] : c + next;
+        }
+        pos += 2;
+        continue;
+      }
+      if (c === '\n') line++;
+      value += c;
+      pos++;
+    }
+
+    return { type: 'string', value, fstring: prefix.includes('f'), line: startLine };
+  }
+}
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_\u00A0-\uFFFF]/.test(ch);
+}
+
+function isIdentifierPart(ch) {
+  return /[\w\u00A0-\uFFFF]/.test(ch);
+}
+
+function isDigit(ch) {
+  return ch >= '0' && ch <= '9';
+}
+
+// Parses a module into `{ type: 'Module', body }`. Statements keep their
+// logical-line `tokens` for scans that work below the expression level.
+function parse(source) {
+  const lines = tokenize(source);
+  const { body } = parseBlock(lines, 0, -1);
+  return { type: 'Module', body, line: 1 };
+}
+
+function parseBlock(lines, pos, parentIndent) {
+  const body = [];
+
+  while (pos < lines.length && lines[pos].indent > parentIndent) {
+    const logical = lines[pos];
+    const statement = parseStatement(logical.tokens, logical.line);
+    pos++;
+
+    if (statement.compound) {
+      if (statement.inline.length > 0) {
+        statement.body = [parseStatement(statement.inline, statement.inline[0].line)];
+      } else {
+        const block = parseBlock(lines, pos, logical.indent);
+        statement.body = block.body;
+        pos = block.pos;
+      }
+    }
+    delete statement.compound;
+    delete statement.inline;
+    body.push(statement);
+  }
+
+  // Decorators belong to the def/class that follows them
+  const result = [];
+  let decorators = [];
+  for (const statement of body) {
+    if (statement.type === 'Decorator') {
+      decorators.push(statement);
+      continue;
+    }
+    if (statement.type === 'FunctionDef' || statement.type === 'ClassDef') {
+      statement.decorators = decorators;
+    }
+    decorators = [];
+    result.push(statement);
+  }
+
+  return { body: result, pos };
+}
+
+function parseStatement(tokens, line) {
+  const parser = new ExpressionParser(tokens);
+  const first = tokens[0];
+  const word = first.type === 'name' ? first.value : null;
+
+  if (first.type === 'op' && first.value === '@') {
+    parser.pos = 1;
+    return { type: 'Decorator', expression: parser.parseExpression(), line, tokens };
+  }
+
+  if (word === 'def' || (word === 'async' && tokens[1] && tokens[1].value === 'def')) {
+    return parseFunction(parser, tokens, line);
+  }
+
+  if (word === 'class') {
+    parser.pos = 1;
+    const name = parser.next().value;
+    let bases = [];
+    let keywords = [];
+    if (parser.isOp('(')) {
+      ({ args: bases, keywords } = parser.parseArguments());
+    }
+    return compound({ type: 'ClassDef', name, bases, keywords, decorators: [], line, tokens }, parser, tokens);
+  }
+
+  if (word === 'import') {
+    const names = splitTopLevel(tokens.slice(1), ',').map(part => importName(part));
+    return { type: 'Import', names, line, tokens };
+  }
+
+  if (word === 'from') {
+    let index = 1;
+    let module = '';
+    while (index < tokens.length && tokens[index].value !== 'import') {
+      module += tokens[index].value;
+      index++;
+    }
+    const rest = tokens.slice(index + 1).filter(token => token.value !== '(' && token.value !== ')');
+    const names = splitTopLevel(rest, ',').filter(part => part.length > 0).map(part => importName(part));
+    return { type: 'ImportFrom', module, names, line, tokens };
+  }
+
+  if (word === 'return') {
+    parser.pos = 1;
+    return { type: 'Return', value: parser.atEnd() ? null : parser.parseExpression(), line, tokens };
+  }
+
+  if (word && (BLOCK_KEYWORDS.has(word) || (word === 'async' && tokens[1] && ['for', 'with'].includes(tokens[1].value)))) {
+    const colon = topLevelIndex(tokens, ':');
+    const soft = word === 'match' || word === 'case';
+    if (colon !== -1 && (!soft || colon === tokens.length - 1 || tokens[1].type !== 'op')) {
+      parser.pos = colon;
+      return compound({ type: 'Block', keyword: word, line, tokens }, parser, tokens);
+    }
+  }
+
+  if (word && SIMPLE_KEYWORDS.has(word)) {
+    return { type: 'Other', keyword: word, line, tokens };
+  }
+
+  // Annotated assignment: `name: str = 'x'`
+  const colon = topLevelIndex(tokens, ':');
+  const assign = topLevelIndex(tokens, '=');
+  if (colon > 0 && (assign === -1 || colon < assign) && !tokens.slice(0, colon).some(t => t.value === 'lambda')) {
+    const target = new ExpressionParser(tokens.slice(0, colon)).parseExpression();
+    const annotationTokens = tokens.slice(colon + 1, assign === -1 ? tokens.length : assign);
+    const annotation = new ExpressionParser(annotationTokens).parseExpression();
+    const value = assign === -1 ? null : new ExpressionParser(tokens.slice(assign + 1)).parseExpression();
+    return { type: 'AnnAssign', target, annotation, value, line, tokens };
+  }
+
+  if (assign !== -1) {
+    const parts = splitTopLevel(tokens, '=');
+    const targets = parts.slice(0, -1).map(part => new ExpressionParser(part).parseTuple());
+    const value = new ExpressionParser(parts[parts.length - 1]).parseTuple();
+    return { type: 'Assign', targets, value, line, tokens };
+  }
+
+  const augmented = tokens.findIndex(token => token.type === 'op' && AUGMENTED_ASSIGNMENTS.has(token.value));
+  if (augmented > 0) {
+    return {
+      type: 'AugAssign',
+      target: new ExpressionParser(tokens.slice(0, augmented)).parseExpression(),
+      op: tokens[augmented].value,
+      value: new ExpressionParser(tokens.slice(augmented + 1)).parseTuple(),
+      line,
+      tokens
+    };
+  }
+
+  return { type: 'Expr', value: parser.parseTuple(), line, tokens };
+}
+
+function parseFunction(parser, tokens, line) {
+  const isAsync = tokens[0].value === 'async';
+  parser.pos = isAsync ? 2 : 1;
+  const name = parser.next().value;
+
+  const params = [];
+  if (parser.isOp('(')) {
+    const close = matchingClose(tokens, parser.pos);
+    splitTopLevel(tokens.slice(parser.pos + 1, close), ',').forEach(part => {
+      const param = parseParam(part);
+      if (param) params.push(param);
+    });
+    parser.pos = close + 1;
+  }
+
+  let returns = null;
+  if (parser.isOp('->')) {
+    const colon = topLevelIndex(tokens, ':', parser.pos);
+    returns = new ExpressionParser(tokens.slice(parser.pos + 1, colon === -1 ? tokens.length : colon)).parseExpression();
+    parser.pos = colon === -1 ? tokens.length : colon;
+  }
+
+  return compound({ type: 'FunctionDef', name, async: isAsync, params, returns, decorators: [], line, tokens }, parser, tokens);
+}
+
+// `name`, `name: Annotation`, `name: Annotation = default`, `*args`, `**kw`
+function parseParam(tokens) {
+  if (tokens.length === 0) return null;
+  let kind = 'normal';
+  let index = 0;
+  if (tokens[0].value === '*' || tokens[0].value === '**') {
+    kind = tokens[0].value === '*' ? 'varargs' : 'kwargs';
+    index = 1;
+  }
+  if (tokens[0].value === '/' || !tokens[index] || tokens[index].type !== 'name') return null;
+
+  const param = { name: tokens[index].value, kind, annotation: null, default: null, line: tokens[index].line };
+  const rest = tokens.slice(index + 1);
+  const assign = topLevelIndex(rest, '=');
+  if (rest[0] && rest[0].value === ':') {
+    param.annotation = new ExpressionParser(rest.slice(1, assign === -1 ? rest.length : assign)).parseExpression();
+  }
+  if (assign !== -1) {
+    param.default = new ExpressionParser(rest.slice(assign + 1)).parseExpression();
+  }
+  return param;
+}
+
+function importName(tokens) {
+  const asIndex = tokens.findIndex(token => token.value === 'as');
+  const nameTokens = asIndex === -1 ? tokens : tokens.slice(0, asIndex);
+  return {
+    name: nameTokens.map(token => token.value).join(''),
+    asname: asIndex === -1 ? null : tokens[asIndex + 1].value
+  };
+}
+
+// Marks a def/class/block header as owning a body; any tokens after its
+// colon are a one-line body (`class Empty(Base): pass`)
+function compound(statement, parser, tokens) {
+  const colon = topLevelIndex(tokens, ':', parser.pos);
+  statement.compound = true;
+  statement.inline = colon === -1 ? [] : tokens.slice(colon + 1);
+  statement.body = [];
+  return statement;
+}
+
+function topLevelIndex(tokens, value, from = 0) {
+  let depth = 0;
+  for (let i = from; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'op') continue;
+    if ('([{'.includes(token.value)) depth++;
+    else if (')]}'.includes(token.value)) depth--;
+    else if (depth === 0 && token.value === value) return i;
+  }
+  return -1;
+}
+
+function splitTopLevel(tokens, separator) {
+  const parts = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === 'op') {
+      if ('([{'.includes(token.value)) depth++;
+      else if (')]}'.includes(token.value)) depth--;
+      else if (depth === 0 && token.value === separator) {
+        parts.push([]);
+        continue;
+      }
+    }
+    parts[parts.length - 1].push(token);
+  }
+  return parts;
+}
+
+function matchingClose(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].type !== 'op') continue;
+    if ('([{'.includes(tokens[i].value)) depth++;
+    else if (')]}'.includes(tokens[i].value) && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+class ExpressionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++] || { type: 'eof', value: null, line: this.lastLine() };
+  }
+
+  lastLine() {
+    const last = this.tokens[Math.min(this.pos, this.tokens.length - 1)];
+    return last ? last.line : 0;
+  }
+
+  atEnd() {
+    return this.pos >= this.tokens.length;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'op' && token.value === value;
+  }
+
+  isName(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'name' && token.value === value;
+  }
+
+  eatOp(value) {
+    if (this.isOp(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  // Comma-separated expressions without brackets (`a, b = 1, 2`)
+  parseTuple() {
+    const line = this.lastLine();
+    const first = this.parseStarred();
+    if (!this.isOp(',')) return first;
+    const elements = [first];
+    while (this.eatOp(',')) {
+      if (this.atEnd() || this.isOp('=')) break;
+      elements.push(this.parseStarred());
+    }
+    return { type: 'Tuple', elements, line };
+  }
+
+  parseStarred() {
+    if (this.isOp('*') || this.isOp('**')) {
+      const line = this.next().line;
+      return { type: 'Starred', value: this.parseExpression(), line };
+    }
+    return this.parseExpression();
+  }
+
+  parseExpression() {
+    if (this.isName('lambda')) {
+      const line = this.next().line;
+      while (!this.atEnd() && !this.isOp(':')) this.pos++;
+      this.pos++;
+      return { type: 'Lambda', body: this.parseExpression(), line };
+    }
+
+    const body = this.parseBinary();
+    if (this.isName('if')) {
+      // `value if condition else other`
+      const start = this.pos;
+      this.pos++;
+      this.parseBinary();
+      if (this.isName('else')) {
+        this.pos++;
+        return { type: 'IfExp', body, orelse: this.parseExpression(), line: body.line };
+      }
+      this.pos = start;
+    }
+    return body;
+  }
+
+  parseBinary() {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (!token || !BINARY_OPERATORS.has(token.value) || (token.type !== 'op' && token.type !== 'name')) break;
+      if (token.type === 'name' && token.value === 'not' && !this.isName('in', 1)) break;
+      this.pos++;
+      let op = token.value;
+      if (op === 'not' || (op === 'is' && this.isName('not'))) {
+        op += ' ' + this.next().value;
+      }
+      const right = this.parseUnary();
+      left = { type: 'BinOp', op, left, right, line: left.line };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token && ((token.type === 'op' && ['-', '+', '~'].includes(token.value)) ||
+        (token.type === 'name' && ['not', 'await'].includes(token.value)))) {
+      this.pos++;
+      const operand = this.parseUnary();
+      if (token.value === 'await') return operand;
+      if (token.value === '-' && operand.type === 'Constant' && typeof operand.value === 'number') {
+        return { type: 'Constant', value: -operand.value, line: token.line };
+      }
+      return { type: 'UnaryOp', op: token.value, operand, line: token.line };
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    const line = token.line;
+
+    if (token.type === 'name') {
+      if (token.value === 'None') return { type: 'Constant', value: null, line };
+      if (token.value === 'True') return { type: 'Constant', value: true, line };
+      if (token.value === 'False') return { type: 'Constant', value: false, line };
+      return { type: 'Name', id: token.value, line };
+    }
+
+    if (token.type === 'number') return { type: 'Constant', value: token.value, raw: token.raw, line };
+
+    if (token.type === 'string') {
+      // Adjacent literals concatenate: `'/api' '/v1'`
+      let value = token.value;
+      let fstring = token.fstring;
+      while (this.peek() && this.peek().type === 'string') {
+        const next = this.next();
+        value += next.value;
+        fstring = fstring || next.fstring;
+      }
+      return { type: 'Str', value, fstring, line };
+    }
+
+    if (token.type === 'op') {
+      if (token.value === '...') return { type: 'Ellipsis', line };
+      if (token.value === '(') return this.parseSequence(')', 'Tuple', line);
+      if (token.value === '[') return this.parseSequence(']', 'List', line);
+      if (token.value === '{') return this.parseDict(line);
+    }
+
+    return { type: 'Other', line };
+  }
+
+  // `(a, b)`, `[a, b]`, parenthesised expressions and comprehensions
+  parseSequence(close, type, line) {
+    const elements = [];
+    let trailingComma = false;
+    while (!this.atEnd() && !this.isOp(close)) {
+      if (this.isName('for') || this.isName('async')) {
+        this.skipTo(close);
+        return { type: 'Comprehension', line };
+      }
+      const start = this.pos;
+      elements.push(this.parseStarred());
+      trailingComma = this.eatOp(',');
+      if (!trailingComma && !this.isOp(close) && !this.isName('for') && !this.isName('async')) {
+        if (this.pos === start) this.pos++;
+        this.skipTo(close);
+        break;
+      }
+    }
+    this.eatOp(close);
+    if (type === 'Tuple' && elements.length === 1 && !trailingComma) return elements[0];
+    return { type, elements, line };
+  }
+
+  parseDict(line) {
+    const keys = [];
+    const values = [];
+    const elements = [];
+    while (!this.atEnd() && !this.isOp('}')) {
+      if (this.isName('for') || this.isName('async')) {
+        this.skipTo('}');
+        return { type: 'Comprehension', line };
+      }
+      if (this.eatOp('**')) {
+        keys.push(null);
+        values.push(this.parseBinary());
+      } else {
+        const key = this.parseExpression();
+        if (this.eatOp(':')) {
+          keys.push(key);
+          values.push(this.parseExpression());
+        } else {
+          elements.push(key);
+        }
+      }
+      if (!this.eatOp(',') && !this.isOp('}') && !this.isName('for')) {
+        this.skipTo('}');
+        break;
+      }
+    }
+    this.eatOp('}');
+    return elements.length > 0 && keys.length === 0
+      ? { type: 'Set', elements, line }
+      : { type: 'Dict', keys, values, line };
+  }
+
+  skipTo(close) {
+    let depth = 0;
+    while (!this.atEnd()) {
+      const token = this.peek();
+      if (token.type === 'op') {
+        if ('([{'.includes(token.value)) depth++;
+        else if (')]}'.includes(token.value)) {
+          if (depth === 0 && token.value === close) return;
+          depth--;
+        }
+      }
+      this.pos++;
+    }
+  }
+
+  parsePostfix(node) {
+    for (;;) {
+      if (this.isOp('.') && this.peek(1) && this.peek(1).type === 'name') {
+        this.pos++;
+        const attr = this.next();
+        node = { type: 'Attribute', value: node, attr: attr.value, line: attr.line };
+      } else if (this.isOp('(')) {
+        const line = this.peek().line;
+        const { args, keywords } = this.parseArguments();
+        node = { type: 'Call', func: node, args, keywords, line: node.line || line };
+      } else if (this.isOp('[')) {
+        this.pos++;
+        node = { type: 'Subscript', value: node, slice: this.parseSlice(), line: node.line };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  // `(a, b=1, *rest, **extra)` starting at the opening parenthesis
+  parseArguments() {
+    this.pos++;
+    const args = [];
+    const keywords = [];
+    while (!this.atEnd() && !this.isOp(')')) {
+      const start = this.pos;
+      if (this.isName('for') || this.isName('async')) {
+        this.skipTo(')');
+        break;
+      }
+      if (this.isOp('**')) {
+        this.pos++;
+        keywords.push({ arg: null, value: this.parseExpression() });
+      } else if (this.peek().type === 'name' && this.isOp('=', 1)) {
+        const arg = this.next().value;
+        this.pos++;
+        keywords.push({ arg, value: this.parseExpression() });
+      } else {
+        args.push(this.parseStarred());
+      }
+      if (!this.eatOp(',') && !this.isOp(')') && !this.isName('for')) {
+        if (this.pos === start) this.pos++;
+        this.skipTo(')');
+        break;
+      }
+    }
+    this.eatOp(')');
+    return { args, keywords };
+  }
+
+  parseSlice() {
+    const line = this.lastLine();
+    const elements = [];
+    while (!this.atEnd() && !this.isOp(']')) {
+      const start = this.pos;
+      if (this.isOp(':')) {
+        this.pos++;
+        continue;
+      }
+      elements.push(this.parseStarred());
+      if (!this.eatOp(',') && !this.isOp(']') && !this.isOp(':')) {
+        if (this.pos === start) this.pos++;
+        this.skipTo(']');
+        break;
+      }
+    }
+    this.eatOp(']');
+    return elements.length === 1 ? elements[0] : { type: 'Tuple', elements, line };
+  }
+}
+
+// Visits every node; returning false from `visitor` skips its children
+function walk(node, visitor) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visitor));
+    return;
+  }
+  if (node.type && visitor(node) === false) return;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'tokens' || key === 'line') continue;
+    if (value && typeof value === 'object') walk(value, visitor);
+  }
+}
+
+// Dotted name of a Name/Attribute chain (`app.route`), or null
+function dottedName(node) {
+  if (!node) return null;
+  if (node.type === 'Name') return node.id;
+  if (node.type === 'Attribute') {
+    const value = dottedName(node.value);
+    return value ? `${value}.${node.attr}` : null;
+  }
+  return null;
+}
+
+// Tokens of a statement and everything nested in its body
+function statementTokens(statement) {
+  const tokens = statement.tokens ? statement.tokens.slice() : [];
+  (statement.body || []).forEach(child => tokens.push(...statementTokens(child)));
+  return tokens;
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  walk,
+  dottedName,
+  statementTokens
+};
\ No newline at end of file
@@ -0,0 +1,1563 @@
+// Route discovery for Python services (Flask, FastAPI and Django REST
+// Framework), built on the parse tree from python-parser.js.
+//
+// Endpoints come out in the same shape as route-discovery.js produces for
+// JavaScript, so both feed one pipeline: routes are collected per app /
+// blueprint / router / urlconf, mounts (`register_blueprint`,
+// `include_router`, `include()`) are followed across modules, and typed
+// information — path converters, FastAPI parameters and Pydantic models —
+// is reported as a JSON `schema` block.
+
+const fs = require('fs');
+const path = require('path');
+const { parse, dottedName, statementTokens } = require('./python-parser');
+
+const HTTP_VERBS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+// Constructor name -> router kind and framework
+const ROUTER_FACTORIES = {
+  Flask: { kind: 'app', framework: 'Flask' },
+  Blueprint: { kind: 'blueprint', framework: 'Flask' },
+  Api: { kind: 'restful', framework: 'Flask' },
+  FastAPI: { kind: 'app', framework: 'FastAPI' },
+  APIRouter: { kind: 'router', framework: 'FastAPI' },
+  DefaultRouter: { kind: 'drf', framework: 'Django REST Framework' },
+  SimpleRouter: { kind: 'drf', framework: 'Django REST Framework' }
+};
+
+// Top-level package imported -> framework of routers created in the module
+const FRAMEWORK_PACKAGES = [
+  ['fastapi', 'FastAPI'],
+  ['rest_framework', 'Django REST Framework'],
+  ['flask', 'Flask'],
+  ['flask_restful', 'Flask'],
+  ['django', 'Django']
+];
+
+// `request.<attribute>` (Flask, Django, DRF) and the location it reads from
+const REQUEST_ATTRIBUTES = {
+  args: 'query',
+  values: 'query',
+  query_params: 'query',
+  GET: 'query',
+  form: 'body',
+  json: 'body',
+  data: 'body',
+  files: 'body',
+  get_json: 'body',
+  POST: 'body',
+  FILES: 'body',
+  headers: 'header',
+  META: 'header',
+  cookies: 'cookie',
+  COOKIES: 'cookie',
+  view_args: 'path'
+};
+
+// FastAPI parameter functions and the location they declare
+const FASTAPI_MARKERS = {
+  Path: 'path',
+  Query: 'query',
+  Header: 'header',
+  Cookie: 'cookie',
+  Body: 'body',
+  Form: 'body',
+  File: 'body'
+};
+
+// Handler parameters FastAPI injects rather than reads from the request
+const FASTAPI_INJECTED = ['Request', 'Response', 'BackgroundTasks', 'WebSocket', 'HTTPConnection', 'SecurityScopes'];
+
+// DRF viewset actions in router order, with the URL form and HTTP method
+const VIEWSET_ACTIONS = [
+  ['list', false, 'GET'],
+  ['create', false, 'POST'],
+  ['retrieve', true, 'GET'],
+  ['update', true, 'PUT'],
+  ['partial_update', true, 'PATCH'],
+  ['destroy', true, 'DELETE']
+];
+
+const VIEWSET_BASES = {
+  ModelViewSet: ['list', 'create', 'retrieve', 'update', 'partial_update', 'destroy'],
+  ReadOnlyModelViewSet: ['list', 'retrieve'],
+  ListModelMixin: ['list'],
+  CreateModelMixin: ['create'],
+  RetrieveModelMixin: ['retrieve'],
+  UpdateModelMixin: ['update', 'partial_update'],
+  DestroyModelMixin: ['destroy']
+};
+
+// DRF generic class-based views and the HTTP methods they implement
+const GENERIC_VIEW_METHODS = {
+  ListAPIView: ['get'],
+  CreateAPIView: ['post'],
+  RetrieveAPIView: ['get'],
+  DestroyAPIView: ['delete'],
+  UpdateAPIView: ['put', 'patch'],
+  ListCreateAPIView: ['get', 'post'],
+  RetrieveUpdateAPIView: ['get', 'put', 'patch'],
+  RetrieveDestroyAPIView: ['get', 'delete'],
+  RetrieveUpdateDestroyAPIView: ['get', 'put', 'patch', 'delete']
+};
+
+const DRF_VIEW_BASES = ['APIView', 'GenericAPIView', 'ViewSet', 'GenericViewSet', 'ModelViewSet', 'ReadOnlyModelViewSet']
+  .concat(Object.keys(GENERIC_VIEW_METHODS));
+
+// Python annotation -> JSON schema for the common scalar types
+const TYPE_SCHEMAS = {
+  str: { type: 'string' },
+  int: { type: 'integer' },
+  float: { type: 'number' },
+  Decimal: { type: 'number' },
+  bool: { type: 'boolean' },
+  bytes: { type: 'string', format: 'binary' },
+  dict: { type: 'object' },
+  Dict: { type: 'object' },
+  list: { type: 'array', items: {} },
+  List: { type: 'array', items: {} },
+  Any: {},
+  datetime: { type: 'string', format: 'date-time' },
+  date: { type: 'string', format: 'date' },
+  time: { type: 'string', format: 'time' },
+  UUID: { type: 'string', format: 'uuid' },
+  EmailStr: { type: 'string', format: 'email' },
+  HttpUrl: { type: 'string', format: 'uri' },
+  AnyUrl: { type: 'string', format: 'uri' },
+  UploadFile: { type: 'string', format: 'binary' }
+};
+
+const ARRAY_TYPES = ['List', 'list', 'Sequence', 'Set', 'set', 'FrozenSet', 'frozenset', 'Tuple', 'tuple', 'Iterable'];
+const MAPPING_TYPES = ['Dict', 'dict', 'Mapping', 'MutableMapping'];
+const MODEL_BASES = ['BaseModel', 'SQLModel', 'BaseSettings', 'RootModel'];
+
+// Pydantic `Field()` / FastAPI `Query()` keyword -> JSON schema keyword
+const CONSTRAINTS = {
+  min_length: 'minLength',
+  max_length: 'maxLength',
+  ge: 'minimum',
+  le: 'maximum',
+  multiple_of: 'multipleOf',
+  regex: 'pattern',
+  pattern: 'pattern',
+  description: 'description',
+  title: 'title',
+  example: 'example'
+};
+
+// Flask/Django path converter -> parameter schema
+const CONVERTER_SCHEMAS = {
+  int: { type: 'integer' },
+  float: { type: 'number' },
+  uuid: { type: 'string', format: 'uuid' }
+};
+
+function isPythonFile(filePath) {
+  return path.extname(filePath).toLowerCase() === '.py';
+}
+
+// Discovers every endpoint reachable from the given Python files. Routers
+// mounted by another router are reported under their mount prefixes;
+// routers nobody mounts are treated as roots.
+function discoverPythonRoutes(entryFiles) {
+  const discovery = new PythonRouteDiscovery();
+  for (const file of [].concat(entryFiles)) {
+    discovery.loadModule(path.resolve(file));
+  }
+  return discovery.collect();
+}
+
+class PythonRouteDiscovery {
+  constructor() {
+    this.modules = new Map();
+    this.routers = new Map();
+    this.pendingCalls = [];
+  }
+
+  loadModule(file) {
+    if (this.modules.has(file)) return this.modules.get(file);
+
+    let source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      this.modules.set(file, null);
+      return null;
+    }
+
+    const ast = parse(source);
+    const module = { file, ast, scope: null, framework: null };
+    this.modules.set(file, module);
+
+    module.scope = createScope(null, module);
+    hoist(ast.body, module.scope);
+    module.framework = detectFramework(ast.body);
+    this.visit(ast.body, module.scope);
+
+    return module;
+  }
+
+  visit(body, scope) {
+    for (const statement of body) {
+      switch (statement.type) {
+        case 'FunctionDef': {
+          this.handleFunction(statement, scope);
+          const inner = createScope(scope, scope.module);
+          statement.params.forEach(param => declare(inner, param.name, { kind: 'param', line: param.line }));
+          hoist(statement.body, inner);
+          this.visit(statement.body, inner);
+          break;
+        }
+        case 'Block':
+          this.visit(statement.body, scope);
+          break;
+        case 'Expr':
+          if (statement.value.type === 'Call') this.handleCall(statement.value, scope);
+          break;
+        case 'Assign':
+        case 'AugAssign': {
+          const targets = statement.targets || [statement.target];
+          if (targets.some(target => target.type === 'Name' && target.id === 'urlpatterns')) {
+            this.addUrlPatterns(this.urlconfFor(scope.module), statement.value, scope);
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  // Route decorators on a function: `@app.route`, `@bp.get`, `@router.post`
+  handleFunction(fn, scope) {
+    fn.decorators.forEach((decorator, index) => {
+      const expression = decorator.expression;
+
+      // `@bp.before_request` hooks guard every route of the blueprint
+      if (expression.type === 'Attribute' && ['before_request', 'before_app_request'].includes(expression.attr)) {
+        const receiver = this.lookupReceiver(expression.value, scope);
+        if (receiver) receiver.middleware.push(fn.name);
+        return;
+      }
+
+      if (expression.type !== 'Call' || expression.func.type !== 'Attribute') return;
+      const attr = expression.func.attr;
+      const isRoute = attr === 'route' || attr === 'api_route' || HTTP_VERBS.includes(attr);
+      if (!isRoute) return;
+
+      const pathNode = expression.args[0] || keyword(expression, 'path') || keyword(expression, 'rule');
+      const rawPath = stringValue(pathNode, scope, this);
+      if (rawPath === null) return;
+
+      const receiver = this.lookupReceiver(expression.func.value, scope);
+      if (!receiver || (!receiver.kind && !rawPath.startsWith('/'))) return;
+
+      const methods = attr === 'route' || attr === 'api_route'
+        ? (stringList(keyword(expression, 'methods'), scope, this) || ['GET'])
+        : [attr];
+
+      // Decorators below the route decorator wrap the registered view
+      const middleware = fn.decorators.slice(index + 1)
+        .filter(other => !isRouteDecorator(other))
+        .map(other => decoratorName(other))
+        .filter(Boolean);
+
+      const framework = receiver.framework || scope.module.framework || 'Flask';
+      this.addFunctionRoute(receiver, {
+        methods, rawPath, fn, scope, framework, middleware, line: decorator.line, options: expression
+      });
+    });
+  }
+
+  addFunctionRoute(receiver, { methods, rawPath, fn, scope, framework, middleware, line, options }) {
+    const { path: routePath, params } = convertPath(rawPath, framework);
+    const analysis = framework === 'FastAPI'
+      ? this.analyzeFastApiHandler(fn, (routePath.match(/\{\w+\}/g) || []).map(p => p.slice(1, -1)), scope, options)
+      : { parameters: scanRequestUsage(fn, requestNames(fn)), schema: pathSchema(params), middleware: [] };
+
+    methods.forEach(method => {
+      const route = {
+        method: method.toUpperCase(),
+        path: routePath,
+        framework,
+        file: scope.module.file,
+        line,
+        handler: fn.name,
+        middleware: middleware.concat(analysis.middleware),
+        parameters: analysis.parameters
+      };
+      if (analysis.schema) route.schema = analysis.schema;
+      receiver.routes.push(route);
+    });
+  }
+
+  handleCall(call, scope) {
+    if (call.func.type === 'Name') {
+      // `register_routes(app)` registers a function's routes on `app`
+      if (call.args.some(arg => arg.type === 'Name')) this.pendingCalls.push({ call, scope });
+      return;
+    }
+    if (call.func.type !== 'Attribute') return;
+
+    const name = call.func.attr;
+    const receiverNode = call.func.value;
+
+    switch (name) {
+      case 'register_blueprint': {
+        const receiver = this.lookupReceiver(receiverNode, scope);
+        const child = this.resolveRouter(call.args[0], scope);
+        const prefixNode = keyword(call, 'url_prefix');
+        if (receiver && child) {
+          this.addMount(receiver, child, {
+            prefix: prefixNode ? stringValue(prefixNode, scope, this) || '' : '',
+            replacePrefix: !!prefixNode
+          });
+        }
+        break;
+      }
+      case 'include_router': {
+        const receiver = this.lookupReceiver(receiverNode, scope);
+        const child = this.resolveRouter(call.args[0] || keyword(call, 'router'), scope);
+        if (receiver && child) {
+          this.addMount(receiver, child, {
+            prefix: stringValue(keyword(call, 'prefix'), scope, this) || '',
+            middleware: dependencyNames(keyword(call, 'dependencies'))
+          });
+        }
+        break;
+      }
+      case 'mount': {
+        // FastAPI/Starlette sub-applications
+        const receiver = this.lookupReceiver(receiverNode, scope);
+        const child = this.resolveRouter(call.args[1] || keyword(call, 'app'), scope);
+        const prefix = stringValue(call.args[0] || keyword(call, 'path'), scope, this);
+        if (receiver && child && prefix !== null) this.addMount(receiver, child, { prefix });
+        break;
+      }
+      case 'add_url_rule':
+        this.addUrlRule(receiverNode, call, scope);
+        break;
+      case 'add_api_route':
+        this.addApiRoute(receiverNode, call, scope);
+        break;
+      case 'register':
+        this.addViewSet(receiverNode, call, scope);
+        break;
+      case 'add_resource':
+        this.addResource(receiverNode, call, scope);
+        break;
+      case 'before_request':
+      case 'before_app_request': {
+        const receiver = this.lookupReceiver(receiverNode, scope);
+        const hook = dottedName(call.args[0]);
+        if (receiver && hook) receiver.middleware.push(hook);
+        break;
+      }
+    }
+  }
+
+  // Flask `add_url_rule(rule, endpoint, view_func, methods=[...])`
+  addUrlRule(receiverNode, call, scope) {
+    const receiver = this.lookupReceiver(receiverNode, scope);
+    const rawPath = stringValue(call.args[0] || keyword(call, 'rule'), scope, this);
+    const viewNode = call.args[2] || keyword(call, 'view_func');
+    if (!receiver || rawPath === null || !viewNode) return;
+
+    const framework = receiver.framework || 'Flask';
+    const methods = stringList(keyword(call, 'methods'), scope, this);
+
+    // `UserAPI.as_view('users')` class-based views
+    if (viewNode.type === 'Call' && viewNode.func.type === 'Attribute' && viewNode.func.attr === 'as_view') {
+      const cls = this.resolveClass(viewNode.func.value, scope);
+      if (cls) this.addClassViewRoutes(receiver, cls, rawPath, framework, call.line, methods);
+      return;
+    }
+
+    const fn = this.resolveFunction(viewNode, scope);
+    if (fn) {
+      this.addFunctionRoute(receiver, {
+        methods: methods || ['GET'], rawPath, fn: fn.node, scope: fn.scope, framework, middleware: [], line: call.line, options: call
+      });
+    }
+  }
+
+  // FastAPI `add_api_route(path, endpoint, methods=[...])`
+  addApiRoute(receiverNode, call, scope) {
+    const receiver = this.lookupReceiver(receiverNode, scope);
+    const rawPath = stringValue(call.args[0] || keyword(call, 'path'), scope, this);
+    const fn = this.resolveFunction(call.args[1] || keyword(call, 'endpoint'), scope);
+    if (!receiver || rawPath === null || !fn) return;
+
+    this.addFunctionRoute(receiver, {
+      methods: stringList(keyword(call, 'methods'), scope, this) || ['GET'],
+      rawPath,
+      fn: fn.node,
+      scope: fn.scope,
+      framework: 'FastAPI',
+      middleware: [],
+      line: call.line,
+      options: call
+    });
+  }
+
+  // Flask-RESTful `api.add_resource(UserResource, '/users/<int:id>')`
+  addResource(receiverNode, call, scope) {
+    const api = this.lookupReceiver(receiverNode, scope);
+    if (!api || api.kind !== 'restful') return;
+    const receiver = api.target ? this.resolveRouter(api.target.node, api.target.scope) || api : api;
+    const cls = this.resolveClass(call.args[0], scope);
+    if (!cls) return;
+
+    call.args.slice(1).forEach(arg => {
+      const rawPath = stringValue(arg, scope, this);
+      if (rawPath !== null) this.addClassViewRoutes(receiver, cls, rawPath, 'Flask', call.line, null);
+    });
+  }
+
+  // One route per HTTP method a Flask MethodView / Resource or Django view
+  // class implements
+  addClassViewRoutes(receiver, cls, rawPath, framework, line, methods) {
+    const { path: routePath, params } = convertPath(rawPath, framework);
+    const handlers = classMethods(cls, this);
+    const implemented = HTTP_VERBS.filter(verb => handlers.has(verb));
+    const generic = this.classBases(cls).reduce((found, base) => found.concat(GENERIC_VIEW_METHODS[base] || []), []);
+    const selected = methods ? methods.map(m => m.toLowerCase()) : [...new Set(implemented.concat(generic))];
+    const middleware = classMiddleware(cls.node);
+
+    selected.forEach(verb => {
+      const handler = handlers.get(verb);
+      const route = {
+        method: verb.toUpperCase(),
+        path: routePath,
+        framework,
+        file: handler ? handler.file : cls.file,
+        line: handler ? handler.node.line : cls.node.line,
+        handler: `${cls.node.name}.${verb}`,
+        middleware,
+        parameters: handler ? scanRequestUsage(handler.node, requestNames(handler.node)) : []
+      };
+      const schema = pathSchema(params);
+      if (schema) route.schema = schema;
+      const serializer = classAttribute(cls.node, 'serializer_class');
+      if (serializer && dottedName(serializer)) route.types = serializerTypes(verb, dottedName(serializer));
+      receiver.routes.push(route);
+    });
+  }
+
+  // DRF `router.register(r'users', UserViewSet, basename='user')`
+  addViewSet(receiverNode, call, scope) {
+    const receiver = this.lookupReceiver(receiverNode, scope);
+    if (!receiver || receiver.kind !== 'drf') return;
+
+    const prefix = stringValue(call.args[0] || keyword(call, 'prefix'), scope, this);
+    const cls = this.resolveClass(call.args[1] || keyword(call, 'viewset'), scope);
+    if (prefix === null || !cls) return;
+
+    const slash = receiver.trailingSlash ? '/' : '';
+    const base = stripRegex(prefix);
+    const lookup = stringValue(classAttribute(cls.node, 'lookup_url_kwarg'), cls.scope, this) ||
+      stringValue(classAttribute(cls.node, 'lookup_field'), cls.scope, this) || 'pk';
+    const handlers = classMethods(cls, this);
+    const middleware = classMiddleware(cls.node);
+    const serializer = dottedName(classAttribute(cls.node, 'serializer_class'));
+
+    const actions = new Set(this.classBases(cls).reduce((found, name) => found.concat(VIEWSET_BASES[name] || []), []));
+    VIEWSET_ACTIONS.forEach(([action]) => {
+      if (handlers.has(action)) actions.add(action);
+    });
+
+    const addRoute = (method, routePath, action, handler, extraMiddleware) => {
+      const route = {
+        method,
+        path: routePath,
+        framework: 'Django REST Framework',
+        file: handler ? handler.file : cls.file,
+        line: handler ? handler.node.line : cls.node.line,
+        handler: `${cls.node.name}.${action}`,
+        middleware: middleware.concat(extraMiddleware || []),
+        parameters: handler ? scanRequestUsage(handler.node, requestNames(handler.node)) : []
+      };
+      if (serializer) route.types = serializerTypes(action, serializer);
+      receiver.routes.push(route);
+    };
+
+    VIEWSET_ACTIONS.forEach(([action, detail, method]) => {
+      if (!actions.has(action)) return;
+      const routePath = detail ? `${base}/{${lookup}}${slash}` : `${base}${slash}`;
+      addRoute(method, routePath, action, handlers.get(action));
+    });
+
+    // `@action(detail=True, methods=['post'], url_path='set-password')`
+    handlers.forEach((handler, name) => {
+      const decorator = handler.node.decorators.find(d => ['action', 'detail_route', 'list_route'].includes(decoratorName(d)));
+      if (!decorator) return;
+      const expression = decorator.expression;
+      const options = expression.type === 'Call' ? expression : null;
+      const detailNode = options && keyword(options, 'detail');
+      const detail = decoratorName(decorator) === 'detail_route' || (detailNode && detailNode.type === 'Constant' && detailNode.value === true);
+      const urlPath = (options && stringValue(keyword(options, 'url_path'), cls.scope, this)) || name;
+      const methods = (options && stringList(keyword(options, 'methods'), cls.scope, this)) || ['get'];
+      const extra = options ? dottedNames(keyword(options, 'permission_classes')) : [];
+      const routePath = detail ? `${base}/{${lookup}}/${urlPath}${slash}` : `${base}/${urlPath}${slash}`;
+      methods.forEach(method => addRoute(method.toUpperCase(), routePath, name, handler, extra));
+    });
+  }
+
+  // Django `urlpatterns = [path('users/', views.user_list), ...]`
+  addUrlPatterns(urlconf, node, scope) {
+    if (!node) return;
+
+    if (node.type === 'BinOp' && node.op === '+') {
+      this.addUrlPatterns(urlconf, node.left, scope);
+      this.addUrlPatterns(urlconf, node.right, scope);
+      return;
+    }
+    if (node.type === 'Attribute' && node.attr === 'urls') {
+      // `urlpatterns += router.urls`
+      const router = this.resolveRouter(node.value, scope);
+      if (router) this.addMount(urlconf, router, { prefix: '' });
+      return;
+    }
+    if (node.type !== 'List' && node.type !== 'Tuple') return;
+
+    for (const entry of node.elements) {
+      if (entry.type !== 'Call') continue;
+      const kind = (dottedName(entry.func) || '').split('.').pop();
+      if (!['path', 're_path', 'url'].includes(kind)) continue;
+
+      const route = stringValue(entry.args[0] || keyword(entry, 'route'), scope, this);
+      const view = entry.args[1] || keyword(entry, 'view');
+      if (route === null || !view) continue;
+      const rawPath = kind === 'path' ? route : stripRegex(route);
+
+      if (view.type === 'Call' && (dottedName(view.func) || '').split('.').pop() === 'include') {
+        const target = this.resolveInclude(view.args[0], scope);
+        if (target) this.addMount(urlconf, target, { prefix: convertPath(rawPath, 'Django').path });
+        continue;
+      }
+
+      this.addDjangoView(urlconf, view, rawPath, scope, entry.line);
+    }
+  }
+
+  addDjangoView(urlconf, view, rawPath, scope, line) {
+    if (view.type === 'Call' && view.func.type === 'Attribute' && view.func.attr === 'as_view') {
+      const cls = this.resolveClass(view.func.value, scope);
+      if (!cls) return;
+      const framework = this.classBases(cls).some(base => DRF_VIEW_BASES.includes(base)) ? 'Django REST Framework' : 'Django';
+
+      // `UserViewSet.as_view({'get': 'list', 'post': 'create'})`
+      const mapping = view.args[0];
+      if (mapping && mapping.type === 'Dict') {
+        const handlers = classMethods(cls, this);
+        const { path: routePath } = convertPath(rawPath, framework);
+        mapping.keys.forEach((key, i) => {
+          const method = stringValue(key, scope, this);
+          const action = stringValue(mapping.values[i], scope, this);
+          if (!method || !action) return;
+          const handler = handlers.get(action);
+          urlconf.routes.push({
+            method: method.toUpperCase(),
+            path: routePath,
+            framework,
+            file: handler ? handler.file : cls.file,
+            line: handler ? handler.node.line : cls.node.line,
+            handler: `${cls.node.name}.${action}`,
+            middleware: classMiddleware(cls.node),
+            parameters: handler ? scanRequestUsage(handler.node, requestNames(handler.node)) : []
+          });
+        });
+        return;
+      }
+
+      this.addClassViewRoutes(urlconf, cls, rawPath, framework, line, null);
+      return;
+    }
+
+    const fn = this.resolveFunction(view, scope);
+    if (!fn) return;
+
+    // `@api_view(['GET', 'POST'])`, `@require_http_methods([...])`, `@require_POST`
+    let methods = null;
+    let framework = 'Django';
+    for (const decorator of fn.node.decorators) {
+      const name = decoratorName(decorator);
+      const expression = decorator.expression;
+      if (name === 'api_view') {
+        framework = 'Django REST Framework';
+        methods = (expression.type === 'Call' && stringList(expression.args[0], fn.scope, this)) || ['GET'];
+      } else if (name === 'require_http_methods' && expression.type === 'Call') {
+        methods = stringList(expression.args[0], fn.scope, this);
+      } else if (/^require_(GET|POST|safe)$/.test(name || '')) {
+        methods = name === 'require_safe' ? ['GET', 'HEAD'] : [name.slice(8)];
+      }
+    }
+
+    const { path: routePath, params } = convertPath(rawPath, framework);
+    const middleware = fn.node.decorators
+      .map(decorator => decoratorName(decorator))
+      .filter(name => name && name !== 'api_view' && !/^require_(GET|POST|safe|http_methods)$/.test(name));
+    const permissions = fn.node.decorators
+      .filter(decorator => decoratorName(decorator) === 'permission_classes' && decorator.expression.type === 'Call')
+      .reduce((names, decorator) => names.concat(dottedNames(decorator.expression.args[0])), []);
+
+    (methods || ['ALL']).forEach(method => {
+      const route = {
+        method: method.toUpperCase(),
+        path: routePath,
+        framework,
+        file: fn.scope.module.file,
+        line: fn.node.line,
+        handler: fn.node.name,
+        middleware: middleware.filter(name => name !== 'permission_classes').concat(permissions),
+        parameters: scanRequestUsage(fn.node, requestNames(fn.node))
+      };
+      const schema = pathSchema(params);
+      if (schema) route.schema = schema;
+      urlconf.routes.push(route);
+    });
+  }
+
+  // Target of `include('app.urls')`, `include(router.urls)` or
+  // `include([...])`
+  resolveInclude(node, scope) {
+    if (!node) return null;
+
+    if (node.type === 'Tuple') return this.resolveInclude(node.elements[0], scope);
+
+    if (node.type === 'Str') {
+      const target = this.resolveModule(scope.module.file, node.value, null);
+      return target && target.module ? this.urlconfFor(target.module) : null;
+    }
+
+    if (node.type === 'Attribute' && node.attr === 'urls') {
+      return this.resolveRouter(node.value, scope);
+    }
+
+    if (node.type === 'List') {
+      const key = `${scope.module.file}#include@${node.line}`;
+      const urlconf = this.routerFor(key, scope.module, { kind: 'urlconf', framework: 'Django' });
+      if (urlconf.routes.length === 0 && urlconf.mounts.length === 0) this.addUrlPatterns(urlconf, node, scope);
+      return urlconf;
+    }
+
+    const value = this.resolveValue(node, scope);
+    if (value && value.module) return this.urlconfFor(value.module);
+    if (value && value.binding && value.binding.kind === 'assign') {
+      return this.resolveInclude(value.binding.value, value.binding.scope);
+    }
+    return null;
+  }
+
+  urlconfFor(module) {
+    return this.routerFor(`${module.file}#urlpatterns`, module, { kind: 'urlconf', framework: 'Django' });
+  }
+
+  addMount(parent, child, options) {
+    if (parent.key === child.key) return;
+    child.mounted = true;
+    parent.mounts.push({
+      router: child,
+      prefix: options.prefix || '',
+      replacePrefix: !!options.replacePrefix,
+      middleware: options.middleware || []
+    });
+  }
+
+  handleModuleCall(call, scope) {
+    const fn = this.resolveFunction(call.func, scope);
+    if (!fn || !fn.node.params[0]) return;
+
+    const key = paramKey(fn, fn.node.params[0]);
+    const target = this.routers.get(key);
+    const arg = call.args.find(a => a.type === 'Name');
+    const receiver = arg && this.lookupReceiver(arg, scope);
+    if (target && receiver && (target.routes.length > 0 || target.mounts.length > 0)) {
+      this.addMount(receiver, target, { prefix: '' });
+    }
+  }
+
+  // Finds or creates the router record a receiver expression stands for
+  lookupReceiver(node, scope) {
+    const value = this.resolveValue(node, scope);
+    if (value && value.module) return null;
+
+    if (value && value.binding) {
+      const binding = value.binding;
+      if (binding.kind === 'assign') {
+        const factory = routerFactory(binding.value, binding.scope, this);
+        if (!factory && binding.value && ['Name', 'Attribute'].includes(binding.value.type)) {
+          return this.lookupReceiver(binding.value, binding.scope);
+        }
+        return this.routerFor(binding.key, binding.scope.module, factory);
+      }
+      if (binding.kind === 'param') return this.routerFor(binding.key, binding.scope.module, null);
+      return null;
+    }
+
+    const name = dottedName(node);
+    return name ? this.routerFor(`${scope.module.file}#${name}`, scope.module, null) : null;
+  }
+
+  // Resolves a mount target to an existing or recognisable router record
+  resolveRouter(node, scope) {
+    if (!node) return null;
+    const value = this.resolveValue(node, scope);
+    if (!value || !value.binding) return null;
+
+    const binding = value.binding;
+    if (binding.kind === 'assign') {
+      const factory = routerFactory(binding.value, binding.scope, this);
+      if (factory || this.routers.has(binding.key)) return this.routerFor(binding.key, binding.scope.module, factory);
+      if (binding.value && ['Name', 'Attribute'].includes(binding.value.type)) {
+        return this.resolveRouter(binding.value, binding.scope);
+      }
+    }
+    return this.routers.get(binding.key) || null;
+  }
+
+  routerFor(key, module, factory) {
+    if (!this.routers.has(key)) {
+      this.routers.set(key, {
+        key,
+        file: module.file,
+        kind: factory ? factory.kind : null,
+        framework: (factory && factory.framework) || module.framework,
+        prefix: (factory && factory.prefix) || '',
+        trailingSlash: factory ? factory.trailingSlash !== false : true,
+        target: factory ? factory.target : null,
+        routes: [],
+        mounts: [],
+        middleware: (factory && factory.middleware) || [],
+        mounted: false
+      });
+    }
+    return this.routers.get(key);
+  }
+
+  // Resolves a Name/Attribute to `{ binding }` (following imports) or
+  // `{ module }` when it names a module
+  resolveValue(node, scope, depth = 0) {
+    if (!node || depth > 8) return null;
+
+    if (node.type === 'Name') {
+      const binding = lookup(scope, node.id, this);
+      return binding ? this.followBinding(binding, depth) : null;
+    }
+
+    if (node.type === 'Attribute') {
+      const owner = this.resolveValue(node.value, scope, depth + 1);
+      if (owner && owner.module) {
+        const binding = owner.module.scope.bindings.get(node.attr);
+        if (binding) return this.followBinding(binding, depth + 1);
+        const submodule = this.resolveModule(owner.module.file, '.', node.attr, true);
+        return submodule && submodule.module && !submodule.name ? { module: submodule.module } : null;
+      }
+    }
+
+    return null;
+  }
+
+  followBinding(binding, depth = 0) {
+    if (binding.kind !== 'import') return { binding };
+    if (depth > 8) return null;
+
+    const target = this.resolveModule(binding.scope.module.file, binding.module, binding.name);
+    if (!target || !target.module) return null;
+    if (!target.name) return { module: target.module };
+
+    const next = target.module.scope.bindings.get(target.name);
+    return next ? this.followBinding(next, depth + 1) : null;
+  }
+
+  // Resolves `from <spec> import <name>` relative to `fromFile`. Returns
+  // `{ module, name }`, with `name` null when the import is a module itself.
+  resolveModule(fromFile, spec, name, fromPackage = false) {
+    const level = spec.match(/^\.*/)[0].length;
+    const rest = spec.slice(level).split('.').filter(Boolean);
+
+    let roots;
+    if (fromPackage) {
+      roots = [path.dirname(fromFile)];
+    } else if (level > 0) {
+      let dir = path.dirname(fromFile);
+      for (let i = 1; i < level; i++) dir = path.dirname(dir);
+      roots = [dir];
+    } else {
+      // Absolute imports resolve against any ancestor acting as a source root
+      roots = [];
+      let dir = path.dirname(fromFile);
+      for (let i = 0; i < 10; i++) {
+        roots.push(dir);
+        if (dir === path.dirname(dir)) break;
+        dir = path.dirname(dir);
+      }
+    }
+
+    for (const root of roots) {
+      if (name) {
+        const submodule = modulePath(root, rest.concat(name));
+        if (submodule) return { module: this.loadModule(submodule), name: null };
+      }
+      const file = modulePath(root, rest);
+      if (file && (rest.length > 0 || level > 0 || fromPackage)) {
+        return { module: this.loadModule(file), name: name || null };
+      }
+    }
+    return null;
+  }
+
+  resolveFunction(node, scope) {
+    const value = this.resolveValue(node, scope);
+    const binding = value && value.binding;
+    return binding && binding.kind === 'def' ? { node: binding.node, scope: binding.scope } : null;
+  }
+
+  resolveClass(node, scope) {
+    const value = this.resolveValue(node, scope);
+    const binding = value && value.binding;
+    return binding && binding.kind === 'class'
+      ? { node: binding.node, scope: binding.scope, file: binding.scope.module.file }
+      : null;
+  }
+
+  // Base class names of a class, including those of project base classes
+  classBases(cls, depth = 0) {
+    const names = [];
+    for (const base of cls.node.bases) {
+      const name = dottedName(base);
+      if (!name) continue;
+      names.push(name.split('.').pop());
+      const parent = depth < 6 ? this.resolveClass(base, cls.scope) : null;
+      if (parent) names.push(...this.classBases(parent, depth + 1));
+    }
+    return names;
+  }
+
+  // Types of a FastAPI handler's parameters: path/query/header values from
+  // annotations and `Query()`-style defaults, bodies from Pydantic models
+  analyzeFastApiHandler(fn, pathParams, scope, options) {
+    const parameters = [];
+    const middleware = dependencyNames(keyword(options, 'dependencies'));
+    const groups = { path: {}, query: {}, header: {} };
+    const required = { path: [], query: [], header: [] };
+    const bodies = [];
+
+    for (const param of fn.params) {
+      if (param.kind !== 'normal' || param.name === 'self' || param.name === 'cls') continue;
+
+      let annotation = param.annotation;
+      let marker = param.default && param.default.type === 'Call' ? param.default : null;
+      let markerHoldsDefault = !!marker;
+
+      // `Annotated[int, Query(ge=1)]`
+      if (annotation && annotation.type === 'Subscript' && lastName(annotation.value) === 'Annotated' &&
+          annotation.slice.type === 'Tuple') {
+        const [inner, ...extras] = annotation.slice.elements;
+        annotation = inner;
+        const annotated = extras.find(extra => extra.type === 'Call');
+        if (annotated) {
+          marker = annotated;
+          markerHoldsDefault = false;
+        }
+      }
+
+      const markerName = marker ? lastName(marker.func) : null;
+      if (markerName === 'Depends' || markerName === 'Security') {
+        const dependency = marker.args[0] ? dottedName(marker.args[0]) : dottedName(annotation);
+        if (dependency) middleware.push(dependency);
+        continue;
+      }
+      if (annotation && FASTAPI_INJECTED.includes(lastName(annotation))) continue;
+
+      let location = FASTAPI_MARKERS[markerName] || null;
+      const schema = this.typeSchema(annotation, scope);
+      if (!location) {
+        if (pathParams.includes(param.name)) location = 'path';
+        else if (this.isModelType(annotation, scope)) location = 'body';
+        else location = 'query';
+      }
+      if (location === 'cookie') {
+        parameters.push({ name: param.name, in: 'cookie', line: param.line });
+        continue;
+      }
+
+      let name = param.name;
+      const alias = marker ? stringValue(keyword(marker, 'alias'), scope, this) : null;
+      if (alias) name = alias;
+      else if (location === 'header') name = name.replace(/_/g, '-');
+
+      Object.assign(schema, constraintsOf(marker, scope, this));
+      const defaultNode = markerHoldsDefault ? (marker.args[0] || keyword(marker, 'default')) : param.default;
+      const hasDefault = !!defaultNode && defaultNode.type !== 'Ellipsis';
+      const defaultValue = hasDefault ? literalValue(defaultNode) : undefined;
+      if (defaultValue !== undefined && defaultValue !== null) schema.default = defaultValue;
+
+      parameters.push({ name: location === 'header' ? name.toLowerCase() : name, in: location, line: param.line });
+
+      if (location === 'body') {
+        bodies.push({ name, schema, embed: marker && literalValue(keyword(marker, 'embed')) === true });
+        continue;
+      }
+      groups[location][location === 'header' ? name.toLowerCase() : name] = schema;
+      if (location === 'path' || !hasDefault) required[location].push(location === 'header' ? name.toLowerCase() : name);
+    }
+
+    const routeSchema = {};
+    const addGroup = (key, location) => {
+      if (Object.keys(groups[location]).length === 0) return;
+      routeSchema[key] = { type: 'object', properties: groups[location] };
+      if (required[location].length > 0) routeSchema[key].required = required[location];
+    };
+    addGroup('params', 'path');
+    addGroup('querystring', 'query');
+    addGroup('headers', 'header');
+
+    if (bodies.length === 1 && !bodies[0].embed) {
+      routeSchema.body = bodies[0].schema;
+    } else if (bodies.length > 0) {
+      routeSchema.body = { type: 'object', properties: {}, required: bodies.map(body => body.name) };
+      bodies.forEach(body => { routeSchema.body.properties[body.name] = body.schema; });
+    }
+
+    // `response_model=UserOut`, or the return annotation when there is none
+    const responseNode = keyword(options, 'response_model') || (this.isModelType(fn.returns, scope) ? fn.returns : null);
+    if (responseNode && !(responseNode.type === 'Constant' && responseNode.value === null)) {
+      const status = statusCode(keyword(options, 'status_code')) || '200';
+      routeSchema.response = { [status]: this.typeSchema(responseNode, scope) };
+    }
+
+    return {
+      parameters,
+      middleware,
+      schema: Object.keys(routeSchema).length > 0 ? routeSchema : null
+    };
+  }
+
+  // Whether an annotation is a Pydantic model, or a list of them
+  isModelType(annotation, scope) {
+    if (!annotation) return false;
+    if (annotation.type === 'Subscript' && ARRAY_TYPES.includes(lastName(annotation.value))) {
+      return this.isModelType(annotation.slice, scope);
+    }
+    const cls = annotation.type === 'Str' ? this.resolveClass({ type: 'Name', id: annotation.value }, scope) : this.resolveClass(annotation, scope);
+    return !!cls && this.classBases(cls).some(base => MODEL_BASES.includes(base));
+  }
+
+  // JSON schema for a Python type annotation
+  typeSchema(annotation, scope, seen = new Set()) {
+    if (!annotation) return {};
+
+    if (annotation.type === 'Str') {
+      return this.typeSchema({ type: 'Name', id: annotation.value, line: annotation.line }, scope, seen);
+    }
+    if (annotation.type === 'Constant' && annotation.value === null) return { nullable: true };
+
+    // `int | None`
+    if (annotation.type === 'BinOp' && annotation.op === '|') {
+      return unionSchema([annotation.left, annotation.right].map(part => this.typeSchema(part, scope, seen)));
+    }
+
+    if (annotation.type === 'Subscript') {
+      const base = lastName(annotation.value);
+      const args = annotation.slice.type === 'Tuple' ? annotation.slice.elements : [annotation.slice];
+
+      if (base === 'Optional') return Object.assign(this.typeSchema(args[0], scope, seen), { nullable: true });
+      if (base === 'Union') return unionSchema(args.map(arg => this.typeSchema(arg, scope, seen)));
+      if (base === 'Annotated') {
+        const marker = args.slice(1).find(arg => arg.type === 'Call');
+        return Object.assign(this.typeSchema(args[0], scope, seen), constraintsOf(marker, scope, this));
+      }
+      if (base === 'Literal') {
+        const values = args.map(literalValue).filter(value => value !== undefined);
+        const type = typeof values[0] === 'number' ? 'number' : typeof values[0] === 'boolean' ? 'boolean' : 'string';
+        return { type, enum: values };
+      }
+      if (ARRAY_TYPES.includes(base)) return { type: 'array', items: this.typeSchema(args[0], scope, seen) };
+      if (MAPPING_TYPES.includes(base)) {
+        return { type: 'object', additionalProperties: args[1] ? this.typeSchema(args[1], scope, seen) : {} };
+      }
+      return this.typeSchema(annotation.value, scope, seen);
+    }
+
+    // `constr(min_length=1)`, `conint(ge=0)`
+    if (annotation.type === 'Call') {
+      const name = lastName(annotation.func);
+      const base = { constr: 'string', conint: 'integer', confloat: 'number', condecimal: 'number' }[name];
+      if (base) return Object.assign({ type: base }, constraintsOf(annotation, scope, this));
+      if (name === 'conlist') {
+        return Object.assign({ type: 'array', items: this.typeSchema(annotation.args[0], scope, seen) },
+          renameArrayConstraints(constraintsOf(annotation, scope, this)));
+      }
+      return {};
+    }
+
+    const name = lastName(annotation);
+    if (name && TYPE_SCHEMAS[name]) return JSON.parse(JSON.stringify(TYPE_SCHEMAS[name]));
+
+    const cls = this.resolveClass(annotation, scope);
+    if (!cls) return {};
+
+    const bases = this.classBases(cls);
+    if (bases.some(base => ['Enum', 'IntEnum', 'StrEnum'].includes(base))) return enumSchema(cls.node, bases);
+    if (!bases.some(base => MODEL_BASES.includes(base))) return {};
+
+    const key = `${cls.file}#${cls.node.name}`;
+    if (seen.has(key)) return { type: 'object' };
+    return this.modelSchema(cls, new Set(seen).add(key));
+  }
+
+  // Pydantic model fields -> object schema, base models first
+  modelSchema(cls, seen) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const base of cls.node.bases) {
+      const parent = this.resolveClass(base, cls.scope);
+      if (!parent || !this.classBases(parent).concat(lastName(base)).some(name => MODEL_BASES.includes(name))) continue;
+      if (MODEL_BASES.includes(parent.node.name)) continue;
+      const inherited = this.modelSchema(parent, seen);
+      Object.assign(schema.properties, inherited.properties);
+      required.push(...(inherited.required || []));
+    }
+
+    for (const statement of cls.node.body) {
+      if (statement.type !== 'AnnAssign' || statement.target.type !== 'Name') continue;
+      let name = statement.target.id;
+      if (name.startsWith('_') || lastName(statement.annotation) === 'ClassVar' ||
+          (statement.annotation.type === 'Subscript' && lastName(statement.annotation.value) === 'ClassVar')) continue;
+
+      const property = this.typeSchema(statement.annotation, cls.scope, seen);
+      let isRequired = !statement.value;
+      const value = statement.value;
+
+      if (value && value.type === 'Call' && lastName(value.func) === 'Field') {
+        Object.assign(property, constraintsOf(value, cls.scope, this));
+        const defaultNode = value.args[0] || keyword(value, 'default');
+        isRequired = (!defaultNode || defaultNode.type === 'Ellipsis') && !keyword(value, 'default_factory');
+        const defaultValue = defaultNode ? literalValue(defaultNode) : undefined;
+        if (defaultValue !== undefined && defaultValue !== null) property.default = defaultValue;
+        const alias = stringValue(keyword(value, 'alias'), cls.scope, this);
+        if (alias) name = alias;
+      } else if (value) {
+        const defaultValue = literalValue(value);
+        if (defaultValue !== undefined && defaultValue !== null) property.default = defaultValue;
+      }
+
+      schema.properties[name] = property;
+      if (isRequired && !required.includes(name)) required.push(name);
+    }
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+  }
+
+  // Resolves deferred calls, then expands every root router into full
+  // endpoint records
+  collect() {
+    while (this.pendingCalls.length > 0) {
+      const { call, scope } = this.pendingCalls.shift();
+      this.handleModuleCall(call, scope);
+    }
+
+    const endpoints = [];
+    const roots = [...this.routers.values()].filter(router => !router.mounted);
+
+    const expand = (router, prefix, inherited, stack, ownPrefix) => {
+      if (stack.includes(router.key)) return;
+      const nextStack = stack.concat(router.key);
+      const base = ownPrefix ? joinPaths(prefix, router.prefix) : prefix;
+      const middleware = inherited.concat(router.middleware);
+
+      for (const route of router.routes) {
+        const endpoint = Object.assign({}, route, {
+          path: normalizePath(joinPaths(base, route.path)),
+          middleware: middleware.concat(route.middleware)
+        });
+        endpoints.push(endpoint);
+      }
+
+      for (const mount of router.mounts) {
+        expand(mount.router, joinPaths(base, mount.prefix), middleware.concat(mount.middleware), nextStack, !mount.replacePrefix);
+      }
+    };
+
+    roots.forEach(root => expand(root, '', [], [], true));
+
+    endpoints.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    return {
+      endpoints,
+      files: [...this.modules.keys()].filter(file => this.modules.get(file))
+    };
+  }
+}
+
+function createScope(parent, module) {
+  return { parent, module, bindings: new Map(), starImports: [] };
+}
+
+function declare(scope, name, info) {
+  const binding = Object.assign({ name, scope, key: `${scope.module.file}#${name}@${info.line || 0}` }, info);
+  scope.bindings.set(name, binding);
+  return binding;
+}
+
+// Declares the imports, assignments, functions and classes of a block
+function hoist(body, scope) {
+  for (const statement of body) {
+    switch (statement.type) {
+      case 'Import':
+        statement.names.forEach(({ name, asname }) => {
+          const local = asname || name.split('.')[0];
+          declare(scope, local, { kind: 'import', module: asname ? name : local, name: null, line: statement.line });
+        });
+        break;
+      case 'ImportFrom':
+        statement.names.forEach(({ name, asname }) => {
+          if (name === '*') scope.starImports.push(statement.module);
+          else declare(scope, asname || name, { kind: 'import', module: statement.module, name, line: statement.line });
+        });
+        break;
+      case 'Assign':
+        statement.targets.forEach(target => {
+          if (target.type === 'Name') declare(scope, target.id, { kind: 'assign', value: statement.value, line: statement.line });
+        });
+        break;
+      case 'AnnAssign':
+        if (statement.target.type === 'Name' && statement.value) {
+          declare(scope, statement.target.id, { kind: 'assign', value: statement.value, line: statement.line });
+        }
+        break;
+      case 'FunctionDef':
+        declare(scope, statement.name, { kind: 'def', node: statement, line: statement.line });
+        break;
+      case 'ClassDef':
+        declare(scope, statement.name, { kind: 'class', node: statement, line: statement.line });
+        break;
+      case 'Block':
+        hoist(statement.body, scope);
+        break;
+    }
+  }
+}
+
+function lookup(scope, name, discovery) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.bindings.has(name)) return current.bindings.get(name);
+  }
+
+  // `from .views import *`
+  const moduleScope = scope.module.scope;
+  for (const spec of moduleScope.starImports) {
+    const target = discovery.resolveModule(scope.module.file, spec, null);
+    if (target && target.module && target.module.scope.bindings.has(name)) {
+      return target.module.scope.bindings.get(name);
+    }
+  }
+  return null;
+}
+
+function paramKey(fn, param) {
+  return `${fn.scope.module.file}#${param.name}@${param.line || 0}`;
+}
+
+function modulePath(root, parts) {
+  const base = path.join(root, ...parts);
+  const candidates = parts.length > 0 ? [base + '.py', path.join(base, '__init__.py')] : [path.join(base, '__init__.py')];
+  return candidates.find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+function detectFramework(body) {
+  const packages = new Set();
+  body.forEach(statement => {
+    if (statement.type === 'Import') statement.names.forEach(({ name }) => packages.add(name.split('.')[0]));
+    if (statement.type === 'ImportFrom') packages.add(statement.module.split('.')[0]);
+  });
+  const match = FRAMEWORK_PACKAGES.find(([name]) => packages.has(name));
+  return match ? match[1] : null;
+}
+
+// Classifies an assigned value: `Flask(__name__)`, `APIRouter(prefix=...)`...
+function routerFactory(value, scope, discovery) {
+  if (!value || value.type !== 'Call') return null;
+  const name = lastName(value.func);
+  const factory = ROUTER_FACTORIES[name];
+  if (!factory) return null;
+
+  const result = Object.assign({}, factory);
+  if (name === 'Blueprint') result.prefix = stringValue(keyword(value, 'url_prefix'), scope, discovery) || '';
+  if (name === 'APIRouter') result.prefix = stringValue(keyword(value, 'prefix'), scope, discovery) || '';
+  if (name === 'APIRouter' || name === 'FastAPI') result.middleware = dependencyNames(keyword(value, 'dependencies'));
+  if (factory.kind === 'drf') {
+    const trailing = keyword(value, 'trailing_slash');
+    result.trailingSlash = !(trailing && trailing.type === 'Constant' && trailing.value === false);
+  }
+  if (name === 'Api') {
+    // Flask-RESTful `Api(app)` / `Api(blueprint)` adds routes to its target
+    const target = value.args[0] || keyword(value, 'app');
+    result.target = target ? { node: target, scope } : null;
+  }
+  return result;
+}
+
+function keyword(call, name) {
+  if (!call || !call.keywords) return null;
+  const match = call.keywords.find(k => k.arg === name);
+  return match ? match.value : null;
+}
+
+function lastName(node) {
+  const name = dottedName(node);
+  return name ? name.split('.').pop() : null;
+}
+
+function decoratorName(decorator) {
+  const expression = decorator.expression;
+  return lastName(expression.type === 'Call' ? expression.func : expression);
+}
+
+function isRouteDecorator(decorator) {
+  const expression = decorator.expression;
+  if (expression.type !== 'Call' || expression.func.type !== 'Attribute') return false;
+  const attr = expression.func.attr;
+  return attr === 'route' || attr === 'api_route' || HTTP_VERBS.includes(attr);
+}
+
+// `[Depends(verify_token), Depends(get_user)]` -> ['verify_token', 'get_user']
+function dependencyNames(node) {
+  if (!node || (node.type !== 'List' && node.type !== 'Tuple')) return [];
+  return node.elements
+    .filter(element => element.type === 'Call' && ['Depends', 'Security'].includes(lastName(element.func)))
+    .map(element => dottedName(element.args[0]))
+    .filter(Boolean);
+}
+
+// `[IsAuthenticated, permissions.IsAdminUser]` -> names
+function dottedNames(node) {
+  if (!node || (node.type !== 'List' && node.type !== 'Tuple')) return [];
+  return node.elements.map(element => lastName(element)).filter(Boolean);
+}
+
+function classAttribute(classNode, name) {
+  for (const statement of classNode.body) {
+    if (statement.type === 'Assign' && statement.targets.some(t => t.type === 'Name' && t.id === name)) return statement.value;
+    if (statement.type === 'AnnAssign' && statement.target.type === 'Name' && statement.target.id === name) return statement.value;
+  }
+  return null;
+}
+
+// DRF permission and authentication classes declared on a view
+function classMiddleware(classNode) {
+  return dottedNames(classAttribute(classNode, 'authentication_classes'))
+    .concat(dottedNames(classAttribute(classNode, 'permission_classes')));
+}
+
+// Methods of a class and its project base classes, nearest definition first
+function classMethods(cls, discovery, depth = 0) {
+  const methods = new Map();
+  cls.node.body.forEach(statement => {
+    if (statement.type === 'FunctionDef') methods.set(statement.name, { node: statement, file: cls.file });
+  });
+  if (depth < 6) {
+    cls.node.bases.forEach(base => {
+      const parent = discovery.resolveClass(base, cls.scope);
+      if (!parent) return;
+      classMethods(parent, discovery, depth + 1).forEach((method, name) => {
+        if (!methods.has(name)) methods.set(name, method);
+      });
+    });
+  }
+  return methods;
+}
+
+function serializerTypes(action, serializer) {
+  if (['create', 'update', 'partial_update', 'post', 'put', 'patch'].includes(action)) {
+    return { body: serializer, response: serializer };
+  }
+  if (action === 'list') return { response: `${serializer}[]` };
+  if (['retrieve', 'get'].includes(action)) return { response: serializer };
+  return null;
+}
+
+// Names a handler receives the request object under: the first non-self
+// parameter for Django/DRF views, plus Flask's global `request`
+function requestNames(fn) {
+  const names = ['request'];
+  const params = fn.params.filter(param => param.name !== 'self' && param.name !== 'cls');
+  if (params[0] && /req/.test(params[0].name)) names.push(params[0].name);
+  return names;
+}
+
+// Finds `request.args.get('q')`, `request.json['name']`,
+// `request.headers.get('X-Token')`, `data = request.get_json(); data['x']`
+// and DRF `request.query_params` / `request.data` usages in a function body.
+function scanRequestUsage(fn, names) {
+  const parameters = [];
+  const seen = new Set();
+  const tokens = statementTokens(fn);
+  const aliases = {};
+
+  const add = (name, location, line) => {
+    if (location === 'header') name = headerName(name);
+    const key = `${location}:${name}`;
+    if (!name || seen.has(key)) return;
+    seen.add(key);
+    parameters.push({ name, in: location, line });
+  };
+
+  const isOp = (i, value) => tokens[i] && tokens[i].type === 'op' && tokens[i].value === value;
+
+  // Index just past `request.<attribute>` (or `self.request.<attribute>`)
+  // starting at i, with the attribute's location
+  const requestAccess = i => {
+    let start = i;
+    if (tokens[i] && tokens[i].value === 'self' && isOp(i + 1, '.') && tokens[i + 2] && tokens[i + 2].value === 'request') start = i + 2;
+    if (!tokens[start] || tokens[start].type !== 'name' || !names.includes(tokens[start].value)) return null;
+    if (start === i && isOp(i - 1, '.')) return null;
+    if (!isOp(start + 1, '.') || !tokens[start + 2]) return null;
+    const location = REQUEST_ATTRIBUTES[tokens[start + 2].value];
+    if (!location) return null;
+    let end = start + 3;
+    if (tokens[start + 2].value === 'get_json' && isOp(end, '(')) {
+      while (end < tokens.length && !isOp(end, ')')) end++;
+      end++;
+    }
+    return { location, end };
+  };
+
+  // Key read at `j`: `['name']`, `.get('name')` or `.getlist('name')`
+  const keyAt = j => {
+    if (isOp(j, '[') && tokens[j + 1] && tokens[j + 1].type === 'string' && isOp(j + 2, ']')) return tokens[j + 1];
+    if (isOp(j, '.') && tokens[j + 1] && ['get', 'getlist'].includes(tokens[j + 1].value) && isOp(j + 2, '(') &&
+        tokens[j + 3] && tokens[j + 3].type === 'string') return tokens[j + 3];
+    return null;
+  };
+
+  tokens.forEach((token, i) => {
+    const access = requestAccess(i);
+    if (access && tokens[i - 2] && tokens[i - 2].type === 'name' && isOp(i - 1, '=') && !isOp(i - 3, '.') && !keyAt(access.end)) {
+      aliases[tokens[i - 2].value] = access.location;
+    }
+  });
+
+  tokens.forEach((token, i) => {
+    const access = requestAccess(i);
+    if (access) {
+      const key = keyAt(access.end);
+      if (key) add(key.value, access.location, key.line);
+      return;
+    }
+    if (token.type === 'name' && aliases[token.value] && !isOp(i - 1, '.')) {
+      const key = keyAt(i + 1);
+      if (key) add(key.value, aliases[token.value], key.line);
+    }
+  });
+
+  parameters.sort((a, b) => a.line - b.line);
+  return parameters;
+}
+
+// `X-Token` -> `x-token`; Django `HTTP_X_TOKEN` -> `x-token`
+function headerName(name) {
+  return name.replace(/^HTTP_/, '').replace(/_/g, '-').toLowerCase();
+}
+
+// Converts Flask `<int:id>`, Django `<slug:slug>` / `(?P<pk>\d+)` and
+// FastAPI `{path:path}` parameters to `{name}` and reports their schemas
+function convertPath(rawPath, framework) {
+  const params = {};
+
+  let converted = rawPath.replace(/<(?:(\w+)(?:\([^)]*\))?:)?(\w+)>/g, (match, converter, name) => {
+    params[name] = Object.assign({}, CONVERTER_SCHEMAS[converter] || { type: 'string' });
+    return `{${name}}`;
+  });
+
+  converted = converted.replace(/\(\?P<(\w+)>((?:[^()]|\([^()]*\))*)\)/g, (match, name, pattern) => {
+    params[name] = /^(\\d|\[0-9\])[+*]$/.test(pattern) ? { type: 'integer' } : { type: 'string' };
+    return `{${name}}`;
+  });
+
+  converted = converted.replace(/\{(\w+)(?::\w+)?\}/g, (match, name) => {
+    if (!params[name] && framework !== 'FastAPI') params[name] = { type: 'string' };
+    return `{${name}}`;
+  });
+
+  return { path: converted, params };
+}
+
+// `^users/$` -> `users/`
+function stripRegex(route) {
+  return route.replace(/^\^/, '').replace(/\$$/, '');
+}
+
+function pathSchema(params) {
+  const names = Object.keys(params);
+  if (names.length === 0) return null;
+  return { params: { type: 'object', properties: params, required: names } };
+}
+
+function joinPaths(prefix, routePath) {
+  if (!prefix) return routePath || '';
+  if (!routePath) return prefix;
+  return prefix.replace(/\/+$/, '') + '/' + routePath.replace(/^\/+/, '');
+}
+
+function normalizePath(routePath) {
+  const withSlash = routePath.startsWith('/') ? routePath : '/' + routePath;
+  return withSlash.replace(/\/{2,}/g, '/');
+}
+
+function unionSchema(schemas) {
+  const nullable = schemas.some(schema => schema.nullable && Object.keys(schema).length === 1);
+  const rest = schemas.filter(schema => !(schema.nullable && Object.keys(schema).length === 1));
+  const result = rest.length === 1 ? rest[0] : { anyOf: rest };
+  if (nullable) result.nullable = true;
+  return result;
+}
+
+function enumSchema(classNode, bases) {
+  const values = classNode.body
+    .filter(statement => statement.type === 'Assign' && statement.targets[0].type === 'Name' && !statement.targets[0].id.startsWith('_'))
+    .map(statement => literalValue(statement.value))
+    .filter(value => value !== undefined);
+  const numeric = bases.includes('IntEnum') || bases.includes('int') || (values.length > 0 && values.every(v => typeof v === 'number'));
+  return { type: numeric ? 'integer' : 'string', enum: values };
+}
+
+// Keyword constraints of `Field()` / `Query()` / `constr()` as JSON schema
+function constraintsOf(call, scope, discovery) {
+  const result = {};
+  if (!call || call.type !== 'Call') return result;
+  call.keywords.forEach(({ arg, value }) => {
+    if (arg === 'gt' || arg === 'lt') {
+      const number = literalValue(value);
+      if (typeof number === 'number') {
+        result[arg === 'gt' ? 'minimum' : 'maximum'] = number;
+        result[arg === 'gt' ? 'exclusiveMinimum' : 'exclusiveMaximum'] = true;
+      }
+      return;
+    }
+    if (arg === 'examples') {
+      const examples = literalValue(value);
+      if (Array.isArray(examples) && examples.length > 0) result.example = examples[0];
+      return;
+    }
+    const target = CONSTRAINTS[arg];
+    if (!target) return;
+    const literal = value.type === 'Str' ? stringValue(value, scope, discovery) : literalValue(value);
+    if (literal !== undefined && literal !== null) result[target] = literal;
+  });
+  return result;
+}
+
+function renameArrayConstraints(constraints) {
+  const result = Object.assign({}, constraints);
+  ['min_items', 'minLength'].forEach(key => {
+    if (result[key] !== undefined) { result.minItems = result[key]; delete result[key]; }
+  });
+  ['max_items', 'maxLength'].forEach(key => {
+    if (result[key] !== undefined) { result.maxItems = result[key]; delete result[key]; }
+  });
+  return result;
+}
+
+// `status.HTTP_201_CREATED` / `201` -> '201'
+function statusCode(node) {
+  if (!node) return null;
+  if (node.type === 'Constant' && typeof node.value === 'number') return String(node.value);
+  const match = (dottedName(node) || '').match(/HTTP_(\d{3})/);
+  return match ? match[1] : null;
+}
+
+// Plain value of a literal expression, or undefined
+function literalValue(node) {
+  if (!node) return undefined;
+  switch (node.type) {
+    case 'Constant':
+      return node.value;
+    case 'Str':
+      return node.fstring ? undefined : node.value;
+    case 'List':
+    case 'Tuple': {
+      const values = node.elements.map(literalValue);
+      return values.includes(undefined) ? undefined : values;
+    }
+    case 'Dict': {
+      const result = {};
+      for (let i = 0; i < node.keys.length; i++) {
+        const key = literalValue(node.keys[i]);
+        const value = literalValue(node.values[i]);
+        if (typeof key !== 'string' || value === undefined) return undefined;
+        result[key] = value;
+      }
+      return result;
+    }
+    default:
+      return undefined;
+  }
+}
+
+// String value of a literal, f-string, `+` concatenation or constant
+// (including imported and `settings.X` module attributes), or null
+function stringValue(node, scope, discovery, depth = 0) {
+  if (!node || depth > 8) return null;
+
+  switch (node.type) {
+    case 'Str':
+      if (!node.fstring) return node.value;
+      return node.value.replace(/\{\{|\}\}|\{([^{}]*)\}/g, (match, expression) => {
+        if (match === '{{') return '{';
+        if (match === '}}') return '}';
+        const name = expression.trim();
+        if (/^[A-Za-z_][\w.]*$/.test(name)) {
+          const parts = name.split('.');
+          const node = parts.slice(1).reduce((value, attr) => ({ type: 'Attribute', value, attr }), { type: 'Name', id: parts[0] });
+          const resolved = stringValue(node, scope, discovery, depth + 1);
+          if (resolved !== null) return resolved;
+        }
+        return match;
+      });
+    case 'BinOp': {
+      if (node.op !== '+') return null;
+      const left = stringValue(node.left, scope, discovery, depth + 1);
+      const right = stringValue(node.right, scope, discovery, depth + 1);
+      return left !== null && right !== null ? left + right : null;
+    }
+    case 'Name':
+    case 'Attribute': {
+      const value = discovery.resolveValue(node, scope);
+      if (value && value.binding && value.binding.kind === 'assign') {
+        return stringValue(value.binding.value, value.binding.scope, discovery, depth + 1);
+      }
+      // `Settings.API_PREFIX` class attributes
+      if (node.type === 'Attribute') {
+        const cls = discovery.resolveClass(node.value, scope);
+        const attribute = cls && classAttribute(cls.node, node.attr);
+        return attribute ? stringValue(attribute, cls.scope, discovery, depth + 1) : null;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// `['GET', 'POST']` -> ['GET', 'POST']
+function stringList(node, scope, discovery) {
+  if (!node) return null;
+  if (node.type !== 'List' && node.type !== 'Tuple' && node.type !== 'Set') {
+    const value = stringValue(node, scope, discovery);
+    return value !== null ? [value] : null;
+  }
+  const values = node.elements.map(element => stringValue(element, scope, discovery)).filter(value => value !== null);
+  return values.length > 0 ? values : null;
+}
+
+module.exports = {
+  discoverPythonRoutes,
+  isPythonFile
+};
\ No newline at end of file
@@ -0,0 +1,526 @@
+// Converts an OpenAPI 3.x or Swagger 2.0 spec to a RAML 1.0 API definition:
+// component schemas become `types`, security schemes become
+// `securitySchemes`, and each path becomes a nested resource with its
+// `uriParameters`, `queryParameters`, headers, bodies and responses.
+// Schema refs are referred to by type name; inline `oneOf`/`anyOf` members
+// that RAML unions cannot hold are hoisted into named types.
+
+const { HTTP_METHODS } = require('./spec-merge');
+const { stringifyYaml } = require('./yaml');
+const { pointerTokens } = require('./spec-loader');
+const { createContext, schemaEntries } = require('./html-docs');
+const { operationParameters, parameterSchema, requestBody, responseContent, securitySchemes } = require('./sample-requests');
+const { schemaType, capitalize } = require('./schema-example');
+
+// RAML only has date/time types where JSON Schema has formats
+const FORMAT_TYPES = {
+  'date-time': 'datetime',
+  date: 'date-only',
+  time: 'time-only',
+  binary: 'file'
+};
+
+const NUMBER_FORMATS = ['int', 'int8', 'int16', 'int32', 'int64', 'long', 'float', 'double'];
+
+function toRaml(spec) {
+  const context = createContext(spec);
+  context.types = {};
+  context.typeNames = new Set(schemaEntries(spec).map(entry => entry.name));
+
+  const api = {
+    title: (spec.info && spec.info.title) || 'API',
+    version: (spec.info && spec.info.version) || '1.0.0'
+  };
+  if (spec.info && spec.info.description) api.description = spec.info.description;
+  Object.assign(api, baseUri(spec));
+
+  const mediaTypes = spec.swagger
+    ? Array.from(new Set((spec.consumes || []).concat(spec.produces || [])))
+    : [];
+  if (mediaTypes.length > 0) api.mediaType = mediaTypes;
+
+  if ((spec.tags || []).some(tag => tag && tag.description)) {
+    api.documentation = spec.tags.filter(tag => tag && tag.description)
+      .map(tag => ({ title: tag.name, content: tag.description }));
+  }
+
+  const schemes = ramlSecuritySchemes(spec);
+  if (Object.keys(schemes).length > 0) api.securitySchemes = schemes;
+  const securedBy = securedByList(spec.security, schemes);
+  if (securedBy) api.securedBy = securedBy;
+
+  // Types first, so hoisted union members land after the component types
+  schemaEntries(spec).forEach(({ name, schema }) => {
+    context.types[name] = ramlType(schema, context, name, true);
+  });
+
+  const resources = {};
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathItem = context.resolve(spec.paths[path]) || {};
+    const methods = HTTP_METHODS.filter(method => pathItem[method] && method !== 'trace');
+    if (methods.length === 0) return;
+
+    const nodes = resourceNodes(resources, path);
+    methods.forEach(method => {
+      const { resource, uriParameters } = ramlMethod(spec, path, pathItem, method, context, schemes);
+      nodes[nodes.length - 1].methods[method] = resource;
+      // A parameter is declared on the resource whose segment introduces it
+      Object.keys(uriParameters).forEach(name => {
+        const node = nodes.find(entry => entry.segment.includes(`{${name}}`));
+        if (node && !node.uriParameters[name]) node.uriParameters[name] = uriParameters[name];
+      });
+    });
+  });
+
+  if (Object.keys(context.types).length > 0) api.types = context.types;
+  Object.assign(api, renderResources(resources));
+
+  return `#%RAML 1.0\n${stringifyYaml(api)}`;
+}
+
+// baseUri, its parameters and protocols from the first server
+function baseUri(spec) {
+  if (spec.swagger) {
+    if (!spec.host) return spec.basePath ? { baseUri: spec.basePath } : {};
+    const result = { baseUri: `${(spec.schemes || ['https'])[0]}://${spec.host}${spec.basePath || ''}` };
+    if (spec.schemes) result.protocols = spec.schemes.map(scheme => scheme.toUpperCase());
+    return result;
+  }
+  const server = (spec.servers || []).find(entry => entry && entry.url);
+  if (!server) return {};
+  const result = { baseUri: server.url };
+  const variables = server.variables || {};
+  if (Object.keys(variables).length > 0) {
+    result.baseUriParameters = {};
+    Object.keys(variables).forEach(name => {
+      const variable = variables[name] || {};
+      const parameter = { type: 'string' };
+      if (variable.description) parameter.description = variable.description;
+      if (Array.isArray(variable.enum)) parameter.enum = variable.enum;
+      if (variable.default !== undefined) parameter.default = variable.default;
+      result.baseUriParameters[name] = parameter;
+    });
+  }
+  return result;
+}
+
+// RAML security schemes: Basic Authentication and OAuth 2.0 map directly;
+// bearer tokens and API keys are Pass Through schemes describing the header
+// or query parameter that carries them
+function ramlSecuritySchemes(spec) {
+  const source = securitySchemes(spec);
+  const result = {};
+  Object.keys(source).forEach(name => {
+    const scheme = source[name] || {};
+    const entry = {};
+    const describe = text => {
+      if (scheme.description || text) entry.description = scheme.description || text;
+    };
+
+    if (scheme.type === 'basic' || (scheme.type === 'http' && /^basic$/i.test(scheme.scheme || ''))) {
+      entry.type = 'Basic Authentication';
+      describe();
+    } else if (scheme.type === 'http' && /^digest$/i.test(scheme.scheme || '')) {
+      entry.type = 'Digest Authentication';
+      describe();
+    } else if (scheme.type === 'http') {
+      entry.type = 'Pass Through';
+      describe(`${scheme.scheme || 'Bearer'} token in the Authorization header${scheme.bearerFormat ? ` (${scheme.bearerFormat})` : ''}`);
+      entry.describedBy = { headers: { Authorization: { type: 'string', example: `${capitalize(scheme.scheme || 'bearer')} <token>` } } };
+    } else if (scheme.type === 'apiKey') {
+      entry.type = 'Pass Through';
+      describe();
+      if (scheme.in === 'query') {
+        entry.describedBy = { queryParameters: { [scheme.name]: { type: 'string' } } };
+      } else if (scheme.in === 'cookie') {
+        entry.describedBy = { headers: { Cookie: { type: 'string', example: `${scheme.name}=<key>` } } };
+      } else {
+        entry.describedBy = { headers: { [scheme.name]: { type: 'string' } } };
+      }
+    } else if (scheme.type === 'oauth2') {
+      entry.type = 'OAuth 2.0';
+      describe();
+      entry.settings = oauthSettings(scheme);
+      entry.describedBy = { headers: { Authorization: { type: 'string', example: 'Bearer <token>' } } };
+    } else {
+      // OpenID Connect and anything newer have no RAML equivalent
+      entry.type = `x-${scheme.type || 'custom'}`;
+      describe(scheme.openIdConnectUrl ? `OpenID Connect discovery: ${scheme.openIdConnectUrl}` : undefined);
+    }
+    result[name] = entry;
+  });
+  return result;
+}
+
+function oauthSettings(scheme) {
+  const grants = { authorizationCode: 'authorization_code', clientCredentials: 'client_credentials', implicit: 'implicit', password: 'password' };
+  const swaggerGrants = { accessCode: 'authorization_code', application: 'client_credentials', implicit: 'implicit', password: 'password' };
+  // Swagger 2.0 describes one flow on the scheme itself
+  const flows = scheme.flows || { [Object.keys(swaggerGrants).find(key => key === scheme.flow) || 'implicit']: scheme };
+  const names = Object.keys(flows).filter(name => grants[name] || swaggerGrants[name]);
+  const all = names.map(name => flows[name] || {});
+
+  const settings = {};
+  const authorizationUri = all.map(flow => flow.authorizationUrl).find(Boolean);
+  const accessTokenUri = all.map(flow => flow.tokenUrl).find(Boolean);
+  if (authorizationUri) settings.authorizationUri = authorizationUri;
+  // accessTokenUri is mandatory in RAML, even for the implicit grant
+  settings.accessTokenUri = accessTokenUri || authorizationUri || '';
+  settings.authorizationGrants = names.map(name => grants[name] || swaggerGrants[name]);
+  const scopes = Array.from(new Set([].concat(...all.map(flow => Object.keys(flow.scopes || {})))));
+  if (scopes.length > 0) settings.scopes = scopes;
+  return settings;
+}
+
+// `securedBy` for a list of security requirements; `null` is RAML's
+// anonymous access. RAML cannot require two schemes at once, so the first
+// scheme of each requirement is used.
+function securedByList(requirements, schemes) {
+  if (!Array.isArray(requirements)) return null;
+  const list = [];
+  requirements.forEach(requirement => {
+    const names = Object.keys(requirement || {});
+    if (names.length === 0) {
+      list.push(null);
+      return;
+    }
+    const name = names.find(candidate => schemes[candidate]);
+    if (!name) return;
+    const scopes = requirement[name];
+    list.push(Array.isArray(scopes) && scopes.length > 0 && schemes[name].type === 'OAuth 2.0' ? { [name]: { scopes } } : name);
+  });
+  return list.length > 0 ? list : null;
+}
+
+function ramlMethod(spec, path, pathItem, method, context, schemes) {
+  const operation = pathItem[method];
+  const resource = {};
+  if (operation.summary || operation.operationId) resource.displayName = operation.summary || operation.operationId;
+  if (operation.description) resource.description = operation.description;
+  if (operation.deprecated) resource.description = `${resource.description ? `${resource.description}\n\n` : ''}Deprecated.`;
+
+  const parameters = operationParameters(pathItem, operation, context.resolve);
+
+  const uriParameters = {};
+  const queryParameters = {};
+  const headers = {};
+  parameters.forEach(param => {
+    if (param.in === 'path') uriParameters[param.name] = ramlParameter(param, context);
+    if (param.in === 'query') queryParameters[param.name] = ramlParameter(param, context);
+    if (param.in === 'header') headers[param.name] = ramlParameter(param, context);
+  });
+
+  // Cookies have no RAML placement; they are documented on the Cookie header
+  const cookies = parameters.filter(param => param.in === 'cookie');
+  if (cookies.length > 0) {
+    headers.Cookie = {
+      type: 'string',
+      required: cookies.some(param => param.required),
+      description: `Cookies: ${cookies.map(param => `${param.name}${param.description ? ` (${param.description})` : ''}`).join(', ')}`
+    };
+  }
+
+  if (Object.keys(queryParameters).length > 0) resource.queryParameters = queryParameters;
+  if (Object.keys(headers).length > 0) resource.headers = headers;
+
+  const body = ramlBody(spec, operation, parameters, context);
+  if (body) resource.body = body;
+
+  const securedBy = securedByList(operation.security, schemes);
+  if (securedBy) resource.securedBy = securedBy;
+
+  const responses = {};
+  Object.keys(operation.responses || {}).forEach(code => {
+    // RAML responses are keyed by status code; `default` and ranges have
+    // no equivalent
+    if (!/^\d{3}$/.test(code)) return;
+    const response = context.resolve(operation.responses[code]) || {};
+    const entry = { description: response.description || '' };
+    const responseHeaders = {};
+    Object.keys(response.headers || {}).forEach(name => {
+      responseHeaders[name] = ramlParameter(Object.assign({ required: false }, context.resolve(response.headers[name])), context);
+    });
+    if (Object.keys(responseHeaders).length > 0) entry.headers = responseHeaders;
+
+    const bodies = mediaBodies(responseContent(spec, operation, response), context);
+    if (Object.keys(bodies).length > 0) entry.body = bodies;
+    responses[Number(code)] = entry;
+  });
+  if (Object.keys(responses).length > 0) resource.responses = responses;
+
+  return { resource, uriParameters };
+}
+
+// Body per media type from an OpenAPI 3 requestBody or Swagger 2.0
+// body/formData parameters
+function ramlBody(spec, operation, parameters, context) {
+  const fields = operation.requestBody ? [] : parameters.filter(param => param.in === 'formData');
+  if (fields.length === 0) {
+    const body = requestBody(spec, operation, parameters, context.resolve);
+    const bodies = mediaBodies(body ? body.content : {}, context);
+    return Object.keys(bodies).length > 0 ? bodies : null;
+  }
+
+  const types = operation.consumes || spec.consumes || ['application/json'];
+  const properties = {};
+  fields.forEach(field => {
+    properties[field.name] = ramlParameter(field, context);
+  });
+  const type = types.includes('multipart/form-data') || fields.some(field => field.type === 'file')
+    ? 'multipart/form-data'
+    : 'application/x-www-form-urlencoded';
+  return { [type]: { type: 'object', properties } };
+}
+
+function mediaBodies(content, context) {
+  const bodies = {};
+  Object.keys(content).forEach(type => {
+    const media = content[type] || {};
+    const body = {};
+    if (media.schema) {
+      const converted = ramlType(media.schema, context, null);
+      if (typeof converted === 'string') body.type = converted;
+      else Object.assign(body, converted);
+    }
+
+    Object.assign(body, ramlExamples(media, context));
+    bodies[type] = Object.keys(body).length > 0 ? body : {};
+  });
+  return bodies;
+}
+
+// `{ example }` or, for several named examples, `{ examples }` from an
+// OpenAPI media type or parameter
+function ramlExamples(holder, context) {
+  if (holder.example !== undefined) {
+    // A few specs point `example` at a component example's value
+    const example = holder.example && typeof holder.example.$ref === 'string' ? context.resolve(holder.example) : holder.example;
+    return example === undefined ? {} : { example };
+  }
+  if (!holder.examples || typeof holder.examples !== 'object' || Array.isArray(holder.examples)) return {};
+  const named = Object.keys(holder.examples)
+    .map(key => [key, context.resolve(holder.examples[key]) || {}])
+    .filter(([, example]) => example.value !== undefined);
+  if (named.length === 0) return {};
+  if (named.length === 1) return { example: named[0][1].value };
+  const examples = {};
+  named.forEach(([key, example]) => {
+    examples[key] = example.value;
+  });
+  return { examples };
+}
+
+// A parameter (or Swagger 2.0 header/formData field) as a RAML type
+// declaration with `required`
+function ramlParameter(param, context) {
+  const converted = ramlType(fileAsBinary(parameterSchema(param, context.resolve)), context, null);
+  const declaration = typeof converted === 'string' ? { type: converted } : Object.assign({}, converted);
+  if (param.description && !declaration.description) declaration.description = param.description;
+  declaration.required = param.in === 'path' || param.required === true;
+  const examples = ramlExamples(param, context);
+  if (examples.example !== undefined || examples.examples) {
+    delete declaration.example;
+    Object.assign(declaration, examples);
+  }
+  return declaration;
+}
+
+// Swagger 2.0 file parameters are binary strings
+function fileAsBinary(schema) {
+  return schema && schema.type === 'file' ? Object.assign({}, schema, { type: 'string', format: 'binary' }) : schema;
+}
+
+// RAML type expression (a string) or declaration (an object) for a schema.
+// `name` is the type being declared, used to name hoisted union members.
+function ramlType(schema, context, name, declaring = false) {
+  if (!schema || typeof schema !== 'object') return 'any';
+
+  if (typeof schema.$ref === 'string') {
+    const refName = refTypeName(schema.$ref, context);
+    if (refName) return refName;
+    return ramlType(context.resolve(schema), context, name);
+  }
+
+  const declaration = {};
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  const nullable = schema.nullable === true || types.includes('null');
+  const type = schemaType(schema);
+
+  if (Array.isArray(schema.allOf)) {
+    // Refs become parent types; inline parts contribute their properties
+    const parents = [];
+    const merged = { properties: {}, required: [] };
+    schema.allOf.forEach(part => {
+      const refName = part && typeof part.$ref === 'string' ? refTypeName(part.$ref, context) : null;
+      if (refName) {
+        parents.push(refName);
+        return;
+      }
+      const resolved = context.resolve(part) || {};
+      Object.assign(merged.properties, resolved.properties || {});
+      merged.required.push(...(resolved.required || []));
+    });
+    Object.assign(merged.properties, schema.properties || {});
+    merged.required.push(...(schema.required || []));
+
+    declaration.type = parents.length === 0 ? 'object' : parents.length === 1 ? parents[0] : parents;
+    if (Object.keys(merged.properties).length > 0) {
+      declaration.properties = ramlProperties(merged.properties, merged.required, context, name);
+    }
+  } else if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+    const members = (schema.oneOf || schema.anyOf).map((member, index) => {
+      if (member && typeof member.$ref === 'string') return refTypeName(member.$ref, context) || hoist(context.resolve(member), context, name, index);
+      const converted = ramlType(member, context, null);
+      // Inline object and array members need a name to sit in a union
+      return typeof converted === 'string' && !converted.includes(' ') ? converted : hoist(member, context, name, index);
+    });
+    declaration.type = members.join(' | ');
+  } else if (type === 'object') {
+    declaration.type = 'object';
+    if (schema.properties) declaration.properties = ramlProperties(schema.properties, schema.required || [], context, name);
+    if (schema.additionalProperties === false) {
+      declaration.additionalProperties = false;
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      // A pattern property matching every name
+      declaration.properties = declaration.properties || {};
+      declaration.properties['//'] = ramlType(schema.additionalProperties, context, name ? `${name}Value` : null);
+    }
+    if (typeof schema.minProperties === 'number') declaration.minProperties = schema.minProperties;
+    if (typeof schema.maxProperties === 'number') declaration.maxProperties = schema.maxProperties;
+    if (schema.discriminator) {
+      declaration.discriminator = typeof schema.discriminator === 'string' ? schema.discriminator : schema.discriminator.propertyName;
+    }
+  } else if (type === 'array') {
+    declaration.type = 'array';
+    declaration.items = ramlType(schema.items || {}, context, name ? `${name}Item` : null);
+    if (typeof schema.minItems === 'number') declaration.minItems = schema.minItems;
+    if (typeof schema.maxItems === 'number') declaration.maxItems = schema.maxItems;
+    if (schema.uniqueItems) declaration.uniqueItems = true;
+  } else if (type === 'string') {
+    declaration.type = FORMAT_TYPES[schema.format] || 'string';
+    if (declaration.type === 'string') {
+      if (schema.pattern) declaration.pattern = schema.pattern;
+      if (typeof schema.minLength === 'number') declaration.minLength = schema.minLength;
+      if (typeof schema.maxLength === 'number') declaration.maxLength = schema.maxLength;
+    }
+  } else if (type === 'integer' || type === 'number') {
+    declaration.type = type;
+    if (NUMBER_FORMATS.includes(schema.format)) declaration.format = schema.format;
+    // Exclusive bounds are numbers since OpenAPI 3.1 and flags before; RAML
+    // only has inclusive ones
+    if (typeof schema.minimum === 'number') declaration.minimum = schema.minimum;
+    else if (typeof schema.exclusiveMinimum === 'number') declaration.minimum = schema.exclusiveMinimum;
+    if (typeof schema.maximum === 'number') declaration.maximum = schema.maximum;
+    else if (typeof schema.exclusiveMaximum === 'number') declaration.maximum = schema.exclusiveMaximum;
+    if (typeof schema.multipleOf === 'number') declaration.multipleOf = schema.multipleOf;
+  } else if (type === 'boolean') {
+    declaration.type = 'boolean';
+  } else if (type === 'null') {
+    declaration.type = 'nil';
+  } else {
+    declaration.type = 'any';
+  }
+
+  if (Array.isArray(schema.enum)) {
+    declaration.enum = schema.enum.filter(value => value !== null);
+  } else if (schema.const !== undefined) {
+    declaration.enum = [schema.const];
+  }
+  if (schema.title && declaring) declaration.displayName = schema.title;
+  if (schema.description) declaration.description = schema.description;
+  // Numbers written as strings would fail RAML's example validation
+  const value = sample => (type === 'integer' || type === 'number') && typeof sample === 'string' && sample.trim() !== '' && !isNaN(Number(sample))
+    ? Number(sample)
+    : sample;
+  if (schema.default !== undefined && schema.default !== null) declaration.default = value(schema.default);
+  if (schema.example !== undefined) {
+    declaration.example = value(schema.example);
+  } else if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    declaration.example = value(schema.examples[0]);
+  }
+
+  // Nullable types are unions with nil. A union cannot carry facets, so
+  // constrained types only say so.
+  if (nullable && type !== 'null' && typeof declaration.type === 'string' && !/[\s|]/.test(declaration.type)) {
+    const facets = ['properties', 'items', 'pattern', 'minLength', 'maxLength', 'minimum', 'maximum', 'format', 'multipleOf', 'enum',
+      'additionalProperties', 'minProperties', 'maxProperties', 'discriminator', 'minItems', 'maxItems', 'uniqueItems'];
+    if (facets.some(facet => declaration[facet] !== undefined)) {
+      declaration.description = `${declaration.description ? `${declaration.description} ` : ''}May be null.`;
+    } else {
+      declaration.type = `${declaration.type} | nil`;
+    }
+  }
+
+  // `{ type: string }` reads better as `string`
+  const keys = Object.keys(declaration);
+  return keys.length === 1 && typeof declaration.type === 'string' ? declaration.type : declaration;
+}
+
+function ramlProperties(properties, required, context, name) {
+  const result = {};
+  Object.keys(properties).forEach(property => {
+    const converted = ramlType(properties[property], context, name ? `${name}${capitalize(property)}` : null);
+    const declaration = typeof converted === 'string' ? { type: converted } : Object.assign({}, converted);
+    // RAML properties are required unless they say otherwise
+    if (!required.includes(property)) declaration.required = false;
+    result[property] = Object.keys(declaration).length === 1 ? declaration.type : declaration;
+  });
+  return result;
+}
+
+// Declares an inline union member as a type of its own
+function hoist(schema, context, name, index) {
+  const base = `${name || 'Inline'}Option${index + 1}`;
+  let typeName = base;
+  for (let suffix = 2; context.types[typeName] || context.typeNames.has(typeName); suffix++) typeName = `${base}_${suffix}`;
+  context.typeNames.add(typeName);
+  context.types[typeName] = 'any';
+  context.types[typeName] = ramlType(schema, context, typeName, true);
+  return typeName;
+}
+
+function refTypeName(ref, context) {
+  if (!/^#\/(?:components\/schemas|definitions)\/[^/]+$/.test(ref)) return null;
+  const name = pointerTokens(ref).pop();
+  return context.typeNames.has(name) ? name : null;
+}
+
+// Nodes of the resource tree along a path, one per segment, created as
+// needed; `/` is a resource of its own
+function resourceNodes(tree, path) {
+  const segments = path.split('/').filter(Boolean).map(segment => `/${segment}`);
+  const nodes = [];
+  let children = tree;
+  (segments.length > 0 ? segments : ['/']).forEach(segment => {
+    if (!children[segment]) children[segment] = { segment, children: {}, methods: {}, uriParameters: {} };
+    nodes.push(children[segment]);
+    children = children[segment].children;
+  });
+  return nodes;
+}
+
+// Resource tree as RAML, folding chains of segments without methods
+// (`/anything` > `/basic` becomes `/anything/basic`)
+function renderResources(tree) {
+  const result = {};
+  Object.keys(tree).forEach(key => {
+    let node = tree[key];
+    let name = key;
+    while (Object.keys(node.methods).length === 0 && Object.keys(node.children).length === 1 &&
+      Object.keys(node.uriParameters).length === 0) {
+      const child = Object.keys(node.children)[0];
+      name = `${name}${child}`;
+      node = node.children[child];
+    }
+
+    const resource = {};
+    if (Object.keys(node.uriParameters).length > 0) resource.uriParameters = node.uriParameters;
+    Object.assign(resource, node.methods, renderResources(node.children));
+    result[name] = resource;
+  });
+  return result;
+}
+
+module.exports = {
+  toRaml
+};
\ No newline at end of file
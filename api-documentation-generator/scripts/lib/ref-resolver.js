@@ -0,0 +1,360 @@
+// Follows `$ref`s through a spec and the files it points to. Local refs
+// ('#/components/schemas/User') and relative file refs ('schemas.yaml#/User',
+// './paths/users.yaml') are resolved; remote URLs are reported but not
+// fetched. Bundling pulls external targets into the root document's
+// components, dereferencing then inlines every ref except the ones that
+// recurse. Broken, dangling and circular refs come back as problems with the
+// file, JSON pointer and line of the object holding the offending `$ref`.
+
+const path = require('path');
+const { loadSpec, pointer: toPointer, pointerTokens } = require('./spec-loader');
+
+// Component section for each kind of object a ref can point at
+const OPENAPI_SECTIONS = {
+  schemas: 'components/schemas',
+  parameters: 'components/parameters',
+  responses: 'components/responses',
+  requestBodies: 'components/requestBodies',
+  headers: 'components/headers',
+  examples: 'components/examples',
+  links: 'components/links',
+  callbacks: 'components/callbacks',
+  securitySchemes: 'components/securitySchemes'
+};
+const SWAGGER_SECTIONS = {
+  schemas: 'definitions',
+  parameters: 'parameters',
+  responses: 'responses'
+};
+
+// Keys whose values are literal data, not spec objects
+const LITERAL_KEYS = ['example', 'default', 'enum', 'const'];
+
+class RefResolver {
+  constructor(rootFile) {
+    this.rootFile = path.resolve(rootFile);
+    this.documents = new Map();
+    this.problems = [];
+    this.hoisted = new Map();
+    this.components = [];
+    this.inlining = [];
+    this.aliases = new Map();
+  }
+
+  // Loads the root document and returns it with every external target
+  // hoisted into components and every ref rewritten to a local one
+  bundle() {
+    const root = this.load(this.rootFile);
+    this.root = root;
+    this.sections = root.spec.swagger ? SWAGGER_SECTIONS : OPENAPI_SECTIONS;
+    this.claimAliases(root.spec);
+
+    const spec = this.rewrite(root.spec, this.rootFile, '');
+    this.components.forEach(({ location, value }) => {
+      const [first, ...rest] = location.split('/');
+      let container = spec;
+      [first, ...rest.slice(0, -1)].forEach(key => {
+        container[key] = container[key] || {};
+        container = container[key];
+      });
+      container[rest[rest.length - 1]] = value;
+    });
+
+    return { spec, format: root.format, lineOf: root.lineOf, problems: this.problems };
+  }
+
+  load(file) {
+    if (!this.documents.has(file)) {
+      try {
+        this.documents.set(file, loadSpec(file));
+      } catch (error) {
+        this.documents.set(file, { error });
+      }
+    }
+    const document = this.documents.get(file);
+    if (document.error) {
+      if (file === this.rootFile) throw document.error;
+      return null;
+    }
+    return document;
+  }
+
+  // Copies `value` (found at `pointer` in `file`), rewriting the refs inside
+  rewrite(value, file, pointer) {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.rewrite(item, file, `${pointer}/${index}`));
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    if (typeof value.$ref === 'string') {
+      return this.rewriteRef(value, file, pointer);
+    }
+
+    const parentKey = pointer.split('/').slice(-1)[0];
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      const literal = LITERAL_KEYS.includes(key) && parentKey !== 'properties';
+      copy[key] = literal ? value[key] : this.rewrite(value[key], file, `${pointer}${toPointer(key)}`);
+    });
+    return copy;
+  }
+
+  rewriteRef(value, file, pointer) {
+    const ref = value.$ref;
+    const siblings = {};
+    Object.keys(value).filter(key => key !== '$ref').forEach(key => {
+      siblings[key] = this.rewrite(value[key], file, `${pointer}${toPointer(key)}`);
+    });
+    const keep = Object.assign({ $ref: ref }, siblings);
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) {
+      this.report('warning', `Remote $ref '${ref}' is not followed`, file, pointer);
+      return keep;
+    }
+
+    const target = this.locate(ref, file, pointer);
+    if (!target) return keep;
+    if (this.circularChain(target, file, pointer, ref)) return keep;
+
+    if (target.file === this.rootFile) {
+      return Object.assign({ $ref: `#${target.pointer}` }, siblings);
+    }
+
+    const key = `${target.file}#${target.pointer}`;
+    if (file === this.rootFile && this.aliases.get(pointer) === key) {
+      return this.rewrite(target.value, target.file, target.pointer);
+    }
+    const kind = componentKind(target.pointer) || componentKind(pointer) || 'schemas';
+    const section = this.sections[kind];
+
+    // Path items and objects without a component section are inlined
+    if (!section) {
+      if (this.inlining.includes(key)) {
+        this.report('error', `Circular $ref '${ref}' cannot be inlined`, file, pointer);
+        return keep;
+      }
+      this.inlining.push(key);
+      const inlined = this.rewrite(target.value, target.file, target.pointer);
+      this.inlining.pop();
+      return isObject(inlined) ? Object.assign({}, inlined, siblings) : inlined;
+    }
+
+    if (!this.hoisted.has(key)) {
+      const location = `${section}/${this.componentName(section, target)}`;
+      this.hoisted.set(key, location);
+      const entry = { location, value: null };
+      this.components.push(entry);
+      entry.value = this.rewrite(target.value, target.file, target.pointer);
+    }
+
+    const location = toPointer(...this.hoisted.get(key).split('/'));
+    return Object.assign({ $ref: `#${location}` }, siblings);
+  }
+
+  // Root components that are nothing but a ref to another file
+  // (`User: { $ref: ./schemas/user.yaml }`) take that file's value, and
+  // every other ref to it points at them instead of a new component
+  claimAliases(spec) {
+    new Set(Object.values(this.sections)).forEach(section => {
+      const entries = getPointer(spec, `/${section}`) || {};
+      Object.keys(entries).forEach(name => {
+        const value = entries[name];
+        if (!isObject(value) || Object.keys(value).join() !== '$ref' || typeof value.$ref !== 'string') return;
+        if (value.$ref.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(value.$ref)) return;
+        const target = this.locateQuietly(value.$ref, this.rootFile);
+        if (!target || target.file === this.rootFile) return;
+        const key = `${target.file}#${target.pointer}`;
+        if (this.hoisted.has(key)) return;
+        this.hoisted.set(key, `${section}/${name}`);
+        this.aliases.set(toPointer(...section.split('/'), name), key);
+      });
+    });
+  }
+
+  // Resolves a ref to `{ file, pointer, value }`, reporting missing files and
+  // dangling pointers
+  locate(ref, file, pointer) {
+    const hash = ref.indexOf('#');
+    const uri = hash === -1 ? ref : ref.slice(0, hash);
+    let fragment = hash === -1 ? '' : ref.slice(hash + 1);
+    try {
+      fragment = decodeURIComponent(fragment);
+    } catch (error) {
+      // Keep the fragment as written
+    }
+
+    const targetFile = uri ? path.resolve(path.dirname(file), decodeURI(uri)) : file;
+    const document = this.load(targetFile);
+    if (!document) {
+      const { error } = this.documents.get(targetFile);
+      const reason = error.code === 'ENOENT' ? 'file not found' : error.message;
+      this.report('error', `Cannot resolve $ref '${ref}': ${reason}`, file, pointer);
+      return null;
+    }
+
+    if (fragment && !fragment.startsWith('/')) {
+      this.report('error', `Cannot resolve $ref '${ref}': only JSON pointer fragments are supported`, file, pointer);
+      return null;
+    }
+
+    const value = getPointer(document.spec, fragment);
+    if (value === undefined) {
+      this.report('error', `$ref '${ref}' points to a location that does not exist`, file, pointer);
+      return null;
+    }
+
+    return { file: targetFile, pointer: fragment, value };
+  }
+
+  // A ref whose target is another ref, and so on back to itself, never
+  // reaches a value
+  circularChain(target, file, pointer, ref) {
+    const seen = [`${file}#${pointer}`];
+    let current = target;
+    while (current && isObject(current.value) && typeof current.value.$ref === 'string') {
+      const key = `${current.file}#${current.pointer}`;
+      if (seen.includes(key)) {
+        this.report('error', `Circular $ref '${ref}': the chain of references never reaches a value`, file, pointer);
+        return true;
+      }
+      seen.push(key);
+      if (/^[a-z][a-z0-9+.-]*:/i.test(current.value.$ref)) return false;
+      current = this.locateQuietly(current.value.$ref, current.file);
+    }
+    return false;
+  }
+
+  locateQuietly(ref, file) {
+    const count = this.problems.length;
+    const target = this.locate(ref, file, '');
+    this.problems.length = count;
+    return target;
+  }
+
+  // Name for a hoisted component: the last pointer token, or the file name
+  // for whole-file refs, made unique within its section
+  componentName(section, target) {
+    const tokens = target.pointer.split('/').filter(Boolean);
+    const base = (tokens.length > 0 ? tokens[tokens.length - 1] : path.basename(target.file, path.extname(target.file)))
+      .replace(/[^A-Za-z0-9._-]/g, '_') || 'Component';
+
+    const existing = getPointer(this.root.spec, `/${section}`) || {};
+    const taken = name => existing[name] !== undefined ||
+      Array.from(this.hoisted.values()).includes(`${section}/${name}`);
+
+    let name = base;
+    for (let suffix = 2; taken(name); suffix++) name = `${base}${suffix}`;
+    return name;
+  }
+
+  // The line is looked up in the file holding the ref, at the pointer the
+  // problem names, like every other finding
+  report(severity, message, file, pointer) {
+    const document = this.documents.get(file);
+    const line = document && document.lineOf ? document.lineOf(pointer) : null;
+    const problem = { severity, message, pointer, line };
+    if (file !== this.rootFile) problem.file = this.display(file);
+    this.problems.push(problem);
+  }
+
+  display(file) {
+    return path.relative(path.dirname(this.rootFile), file) || path.basename(file);
+  }
+}
+
+// Kind of component a JSON pointer designates, judged by where it sits
+function componentKind(pointer) {
+  const tokens = pointerTokens(pointer);
+  const [parent, last] = [tokens[tokens.length - 2], tokens[tokens.length - 1]];
+
+  if ((tokens[0] === 'components' && tokens.length === 3)) return tokens[1];
+  if (tokens.length === 2 && ['definitions', 'parameters', 'responses'].includes(tokens[0])) {
+    return tokens[0] === 'definitions' ? 'schemas' : tokens[0];
+  }
+  if (tokens[0] === 'paths' && tokens.length === 2) return 'pathItem';
+  if (parent === 'parameters' && /^\d+$/.test(last)) return 'parameters';
+  if (parent === 'responses') return 'responses';
+  if (last === 'requestBody') return 'requestBodies';
+  if (['headers', 'examples', 'links', 'callbacks'].includes(parent) && tokens[tokens.length - 3] !== 'properties') return parent;
+  return null;
+}
+
+function bundleSpec(filePath) {
+  return new RefResolver(filePath).bundle();
+}
+
+// Bundles, then replaces every ref with its target. Refs that would recurse
+// forever (a schema that contains itself) stay as local refs.
+function dereferenceSpec(filePath) {
+  const bundled = bundleSpec(filePath);
+  const cache = new Map();
+  let circular = 0;
+
+  function inline(value, stack, parentKey) {
+    if (Array.isArray(value)) return value.map(item => inline(item, stack));
+    if (!isObject(value)) return value;
+
+    const copy = {};
+    Object.keys(value).filter(key => key !== '$ref' || typeof value.$ref !== 'string').forEach(key => {
+      const literal = LITERAL_KEYS.includes(key) && parentKey !== 'properties';
+      copy[key] = literal ? value[key] : inline(value[key], stack, key);
+    });
+    if (typeof value.$ref !== 'string' || !value.$ref.startsWith('#')) {
+      if (typeof value.$ref === 'string') copy.$ref = value.$ref;
+      return copy;
+    }
+
+    const pointer = value.$ref.slice(1);
+    const target = getPointer(bundled.spec, pointer);
+    if (target === undefined || stack.includes(pointer)) {
+      if (target !== undefined) circular++;
+      return Object.assign({ $ref: value.$ref }, copy);
+    }
+
+    let resolved = cache.get(pointer);
+    if (resolved === undefined) {
+      const before = circular;
+      resolved = inline(target, stack.concat(pointer));
+      if (circular === before) cache.set(pointer, resolved);
+    }
+    return Object.keys(copy).length > 0 && isObject(resolved) ? Object.assign({}, resolved, copy) : resolved;
+  }
+
+  return Object.assign({}, bundled, { spec: inline(bundled.spec, []) });
+}
+
+function getPointer(document, pointer) {
+  if (!pointer) return document;
+  let value = document;
+  for (const token of pointerTokens(pointer)) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, token)) {
+      return undefined;
+    }
+    value = value[token];
+  }
+  return value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Follows a chain of local refs from `value`, found at `at`, to
+// `{ value, pointer }` at its end. A chain that comes back to a ref it
+// already followed ends at that ref.
+function resolveLocalRef(spec, value, at = '') {
+  const seen = new Set();
+  let current = { value, pointer: at };
+  while (current.value && typeof current.value.$ref === 'string' && current.value.$ref.startsWith('#') && !seen.has(current.value.$ref)) {
+    seen.add(current.value.$ref);
+    current = { value: getPointer(spec, current.value.$ref.slice(1)), pointer: current.value.$ref.slice(1) };
+  }
+  return current;
+}
+
+module.exports = {
+  bundleSpec,
+  dereferenceSpec,
+  getPointer,
+  resolveLocalRef
+};
\ No newline at end of file
@@ -0,0 +1,138 @@
+// Machine-readable output for validate-spec.js, check-completeness.js and
+// contract-test.js, so CI jobs and code-scanning dashboards can ingest the
+// results. The scripts describe what they found as findings,
+// `{ rule, level, message, pointer, line, file? }` with level error, warning
+// or note, plus a map of every rule they checked to its description. SARIF
+// 2.1.0 reports one result per finding; JUnit reports one test case per rule
+// that fails on its errors, or one per entry of `testCases` when the report
+// lists them and each finding names its own in `testCase`.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+// One-line rendering of a finding for terminal output
+function formatIssue(issue) {
+  const location = issue.pointer ? `${issue.pointer}: ` : '';
+  const file = issue.file ? `${issue.file} ` : '';
+  const line = issue.line ? ` (${file}line ${issue.line})` : issue.file ? ` (${issue.file})` : '';
+  const rule = issue.rule ? ` [${issue.rule}]` : '';
+  return `${location}${issue.message}${line}${rule}`;
+}
+
+function toSarif({ tool, specPath, rules, findings }) {
+  const ruleIds = Object.keys(rules);
+  findings.filter(finding => !ruleIds.includes(finding.rule)).forEach(finding => ruleIds.push(finding.rule));
+
+  const root = repositoryRoot(specPath);
+  const results = findings.map(finding => {
+    const physicalLocation = { artifactLocation: artifactLocation(specPath, finding.file, root) };
+    if (finding.line) physicalLocation.region = { startLine: finding.line };
+    const location = { physicalLocation };
+    if (finding.pointer) location.logicalLocations = [{ fullyQualifiedName: finding.pointer }];
+
+    return {
+      ruleId: finding.rule,
+      ruleIndex: ruleIds.indexOf(finding.rule),
+      level: finding.level,
+      message: { text: finding.message },
+      locations: [location]
+    };
+  });
+
+  const run = {
+    tool: {
+      driver: {
+        name: tool,
+        rules: ruleIds.map(id => ({ id, shortDescription: { text: rules[id] || id } }))
+      }
+    },
+    results
+  };
+  if (root) run.originalUriBaseIds = { SRCROOT: { uri: pathToFileURL(root).href.replace(/\/?$/, '/') } };
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [run]
+  }, null, 2);
+}
+
+function toJUnit({ tool, specPath, rules, findings, testCases }) {
+  const ruleIds = Object.keys(rules);
+  findings.filter(finding => !ruleIds.includes(finding.rule)).forEach(finding => ruleIds.push(finding.rule));
+  const names = testCases || ruleIds;
+  const key = testCases ? 'testCase' : 'rule';
+
+  let failures = 0;
+  const cases = names.map(id => {
+    const own = findings.filter(finding => finding[key] === id);
+    const errors = own.filter(finding => finding.level === 'error');
+    const others = own.filter(finding => finding.level !== 'error');
+    const attributes = `classname="${escapeXml(tool)}" name="${escapeXml(id)}"`;
+    if (own.length === 0) return `    <testcase ${attributes}/>`;
+
+    const body = [];
+    if (errors.length > 0) {
+      failures++;
+      const summary = errors.length === 1 ? errors[0].message : `${errors.length} problems`;
+      body.push(`      <failure message="${escapeXml(summary)}" type="${escapeXml(errors[0].rule)}">${escapeXml(errors.map(formatIssue).join('\n'))}</failure>`);
+    }
+    if (others.length > 0) {
+      body.push(`      <system-out>${escapeXml(others.map(finding => `${finding.level}: ${formatIssue(finding)}`).join('\n'))}</system-out>`);
+    }
+    return [`    <testcase ${attributes}>`, ...body, '    </testcase>'].join('\n');
+  });
+
+  const counts = `tests="${names.length}" failures="${failures}" errors="0"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(tool)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(specPath)}" ${counts}>`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+// Findings in files reached through $refs are named relative to the spec
+// Files inside the repository holding the spec are given relative to its
+// root (`uriBaseId: SRCROOT`), as code-scanning dashboards expect; anything
+// else gets an absolute file:// URI
+function artifactLocation(specPath, file, root) {
+  const target = path.resolve(file ? path.join(path.dirname(specPath), file) : specPath);
+  const relative = root ? path.relative(root, target) : '';
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return { uri: relative.split(path.sep).join('/'), uriBaseId: 'SRCROOT' };
+  }
+  return { uri: pathToFileURL(target).href };
+}
+
+// Closest directory above the spec with a .git entry
+function repositoryRoot(specPath) {
+  let current = path.dirname(path.resolve(specPath));
+  for (;;) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+module.exports = {
+  FORMATS,
+  formatIssue,
+  toSarif,
+  toJUnit
+};
\ No newline at end of file
@@ -0,0 +1,393 @@
+// Request collections for HTTP clients other than Postman: an Insomnia v4
+// export, a HAR 1.2 log, a bash script with one curl function per operation
+// and a `.http` file for VS Code REST Client / JetBrains HTTP Client. All of
+// them are rendered from the same sample requests, so payloads come from
+// the schemas and credentials are variables named after the security
+// schemes (upper-cased for the shell).
+
+const crypto = require('crypto');
+const {
+  sampleRequests,
+  securitySchemes,
+  authVariables,
+  authCredentials,
+  specServers,
+  defaultBaseUrl,
+  samplePath,
+  sampleQuery
+} = require('./sample-requests');
+
+const GENERATOR = 'api-documentation-generator';
+const BOUNDARY = 'SampleFormBoundary';
+const SAMPLE_FILE = './file.bin';
+
+// Function names that would shadow what the generated script itself runs
+const SHELL_RESERVED = ['cat', 'cd', 'curl', 'declare', 'echo', 'eval', 'exec', 'exit', 'export', 'function',
+  'if', 'local', 'printf', 'read', 'return', 'select', 'set', 'shift', 'source', 'test', 'time', 'trap', 'type'];
+
+function toInsomniaExport(spec) {
+  const title = (spec.info && spec.info.title) || 'API';
+  const id = (prefix, key) => `${prefix}_${crypto.createHash('sha1').update(`${title}:${key}`).digest('hex').slice(0, 32)}`;
+  const workspaceId = id('wrk', 'workspace');
+  const baseEnvironmentId = id('env', 'base');
+  const data = { baseUrl: defaultBaseUrl(spec) };
+  authVariables(securitySchemes(spec)).forEach(key => {
+    data[key] = '';
+  });
+
+  const resources = [
+    { _id: workspaceId, _type: 'workspace', parentId: null, name: title, description: (spec.info && spec.info.description) || '', scope: 'collection' },
+    { _id: baseEnvironmentId, _type: 'environment', parentId: workspaceId, name: 'Base Environment', data }
+  ];
+
+  // A sub-environment per server only overrides the base URL
+  specServers(spec).forEach((server, index) => {
+    resources.push({
+      _id: id('env', `server:${index}`),
+      _type: 'environment',
+      parentId: baseEnvironmentId,
+      name: server.description || server.url,
+      data: { baseUrl: defaultBaseUrl({ servers: [server] }) }
+    });
+  });
+
+  const folders = new Map();
+  // Nunjucks needs bracket access for names that are not identifiers
+  const placeholder = name => /^[A-Za-z_$][\w$]*$/.test(name) ? `{{ _.${name} }}` : `{{ _['${name}'] }}`;
+  sampleRequests(spec).forEach(sample => {
+    let parentId = workspaceId;
+    if (sample.tag) {
+      if (!folders.has(sample.tag)) {
+        const tag = (spec.tags || []).find(entry => entry && entry.name === sample.tag);
+        const folder = { _id: id('fld', `tag:${sample.tag}`), _type: 'request_group', parentId: workspaceId, name: sample.tag, description: (tag && tag.description) || '' };
+        folders.set(sample.tag, folder);
+        resources.push(folder);
+      }
+      parentId = folders.get(sample.tag)._id;
+    }
+
+    const headers = sample.parameters.header.map(param => ({ name: param.name, value: param.value, description: param.description, disabled: !param.required }));
+    const cookies = sample.parameters.cookie.filter(param => param.required);
+    const credentials = authCredentials(sample.auth, placeholder);
+    cookies.push(...credentials.cookies);
+    if (cookies.length > 0) headers.push({ name: 'Cookie', value: cookies.map(param => `${param.name}=${param.value}`).join('; ') });
+    if (sample.accept) headers.push({ name: 'Accept', value: sample.accept });
+    if (sample.body) headers.push({ name: 'Content-Type', value: sample.body.contentType });
+
+    const request = {
+      _id: id('req', `${sample.method} ${sample.path}`),
+      _type: 'request',
+      parentId,
+      name: sample.name,
+      description: sample.description,
+      method: sample.method.toUpperCase(),
+      url: `{{ _.baseUrl }}${samplePath(sample)}`,
+      parameters: sample.parameters.query.map(param => ({ name: param.name, value: param.value, description: param.description, disabled: !param.required })),
+      headers,
+      body: {},
+      authentication: {}
+    };
+
+    if (sample.body && sample.body.fields) {
+      request.body = {
+        mimeType: sample.body.contentType,
+        params: sample.body.fields.map(field => field.file
+          ? { name: field.name, type: 'file', fileName: '', description: field.description }
+          : { name: field.name, value: field.value, description: field.description })
+      };
+    } else if (sample.body && sample.body.file) {
+      request.body = { mimeType: sample.body.contentType, fileName: '' };
+    } else if (sample.body) {
+      request.body = { mimeType: sample.body.contentType, text: sample.body.raw };
+    }
+
+    // Insomnia's own auth types where they fit; OAuth 2 tokens are sent as
+    // bearer tokens so requests run without a token round trip
+    const auth = sample.auth;
+    if (auth && (auth.kind === 'bearer' || auth.kind === 'oauth2')) {
+      request.authentication = { type: 'bearer', token: placeholder(auth.name) };
+    } else if (auth && auth.kind === 'basic') {
+      request.authentication = { type: 'basic', username: credentials.basic.username, password: credentials.basic.password };
+    } else if (auth && auth.kind === 'apiKey' && auth.scheme.in !== 'cookie') {
+      request.authentication = { type: 'apikey', key: auth.scheme.name, value: placeholder(auth.name), addTo: auth.scheme.in === 'query' ? 'queryParams' : 'header' };
+    }
+
+    resources.push(request);
+  });
+
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: new Date().toISOString(),
+    __export_source: GENERATOR,
+    resources
+  };
+}
+
+// HAR log with one entry per operation against the first server. The
+// recorded response is the first documented 2xx example. Credentials are
+// left as readable `{{variable}}` placeholders to replace before replaying.
+function toHar(spec) {
+  const baseUrl = defaultBaseUrl(spec);
+  const startedDateTime = new Date().toISOString();
+  const placeholder = name => `{{${name}}}`;
+
+  const entries = sampleRequests(spec).map(sample => {
+    const credentials = authCredentials(sample.auth, placeholder);
+    const queryString = sample.parameters.query.filter(param => param.required).concat(credentials.query)
+      .map(param => ({ name: param.name, value: param.value }));
+    const query = sampleQuery(sample, credentials.query);
+    const cookies = sample.parameters.cookie.filter(param => param.required).concat(credentials.cookies)
+      .map(param => ({ name: param.name, value: param.value }));
+
+    const headers = sample.parameters.header.filter(param => param.required).map(param => ({ name: param.name, value: param.value }));
+    if (sample.accept) headers.push({ name: 'Accept', value: sample.accept });
+    headers.push(...credentials.headers);
+    if (credentials.basic) headers.push({ name: 'Authorization', value: `Basic ${credentials.basic.username}:${credentials.basic.password}` });
+    if (cookies.length > 0) headers.push({ name: 'Cookie', value: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') });
+
+    const request = {
+      method: sample.method.toUpperCase(),
+      url: `${baseUrl}${samplePath(sample)}${query ? `?${query}` : ''}`,
+      httpVersion: 'HTTP/1.1',
+      cookies,
+      headers,
+      queryString,
+      headersSize: -1,
+      bodySize: 0
+    };
+
+    if (sample.body) {
+      const multipart = sample.body.contentType.includes('multipart');
+      const mimeType = multipart ? `${sample.body.contentType}; boundary=${BOUNDARY}` : sample.body.contentType;
+      headers.push({ name: 'Content-Type', value: mimeType });
+      const text = sample.body.fields ? formText(sample.body) : sample.body.raw;
+      request.postData = { mimeType, text };
+      if (sample.body.fields) {
+        request.postData.params = sample.body.fields.map(field => field.file
+          ? { name: field.name, fileName: 'file.bin', contentType: 'application/octet-stream' }
+          : { name: field.name, value: field.value });
+      }
+      request.bodySize = Buffer.byteLength(text);
+    }
+
+    const example = sample.responses.find(response => response.code >= 200 && response.code < 300) || sample.responses[0];
+    const response = {
+      status: example ? example.code : 0,
+      statusText: example ? example.description : '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: example && example.contentType ? [{ name: 'Content-Type', value: example.contentType }] : [],
+      content: {
+        size: example ? Buffer.byteLength(example.body) : 0,
+        mimeType: (example && example.contentType) || 'x-unknown',
+        text: example ? example.body : ''
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: example ? Buffer.byteLength(example.body) : -1
+    };
+
+    return {
+      startedDateTime,
+      time: 0,
+      request,
+      response,
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      comment: `${sample.name} (${sample.method.toUpperCase()} ${sample.path})`
+    };
+  });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: GENERATOR, version: '1.0.0' },
+      comment: (spec.info && spec.info.title) || '',
+      entries
+    }
+  };
+}
+
+// Bash script with a function per operation, run as `<script> <request>`;
+// extra arguments are passed on to curl
+function toCurlScript(spec) {
+  const title = (spec.info && spec.info.title) || 'API';
+  const version = (spec.info && spec.info.version) ? ` ${spec.info.version}` : '';
+  const variables = authVariables(securitySchemes(spec));
+  const samples = sampleRequests(spec);
+  const placeholder = name => `\u0000${envName(name)}\u0000`;
+  const functionName = sample => SHELL_RESERVED.includes(sample.id) ? `${sample.id}Request` : sample.id;
+
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# Sample requests for ${singleLine(title)}${version}`,
+    '# Run with a request name and optional extra curl options; without arguments',
+    '# it lists the requests.',
+    '# BASE_URL and the credentials below can be set in the environment.',
+    '',
+    'set -euo pipefail',
+    '',
+    `BASE_URL="\${BASE_URL:-${defaultBaseUrl(spec).replace(/["$`\\]/g, '\\$&')}}"`
+  ];
+  variables.forEach(name => lines.push(`${envName(name)}="\${${envName(name)}:-}"`));
+
+  samples.forEach(sample => {
+    const credentials = authCredentials(sample.auth, placeholder);
+    const query = sampleQuery(sample, credentials.query);
+    const args = [];
+
+    const method = sample.method.toUpperCase();
+    const url = `\u0000BASE_URL\u0000${samplePath(sample)}${query ? `?${query}` : ''}`;
+    args.push(`${method === 'HEAD' ? '-I' : `-X ${method}`} ${shellWord(url)}`);
+
+    sample.parameters.header.filter(param => param.required).forEach(param => args.push(`-H ${shellWord(`${param.name}: ${param.value}`)}`));
+    if (sample.accept) args.push(`-H ${shellWord(`Accept: ${sample.accept}`)}`);
+    credentials.headers.forEach(header => args.push(`-H ${shellWord(`${header.name}: ${header.value}`)}`));
+    if (credentials.basic) args.push(`-u ${shellWord(`${credentials.basic.username}:${credentials.basic.password}`)}`);
+    const cookies = sample.parameters.cookie.filter(param => param.required).concat(credentials.cookies);
+    if (cookies.length > 0) args.push(`-b ${shellWord(cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '))}`);
+
+    if (sample.body && sample.body.fields) {
+      const multipart = sample.body.contentType.includes('multipart');
+      sample.body.fields.forEach(field => {
+        if (multipart) args.push(`-F ${shellWord(field.file ? `${field.name}=@${SAMPLE_FILE}` : `${field.name}=${field.value}`)}`);
+        else args.push(`--data-urlencode ${shellWord(`${field.name}=${field.value}`)}`);
+      });
+    } else if (sample.body) {
+      args.push(`-H ${shellWord(`Content-Type: ${sample.body.contentType}`)}`);
+      args.push(sample.body.file ? `--data-binary ${shellWord(`@${SAMPLE_FILE}`)}` : `--data-raw ${shellWord(sample.body.raw)}`);
+    }
+    args.push('"$@"');
+
+    lines.push('');
+    lines.push(`# ${singleLine(sample.name)}`);
+    lines.push(`# ${method} ${sample.path}`);
+    lines.push(`${functionName(sample)}() {`);
+    lines.push(`  curl -sS ${args.join(' \\\n    ')}`);
+    lines.push('}');
+  });
+
+  const width = Math.max(0, ...samples.map(sample => functionName(sample).length));
+  lines.push('');
+  lines.push('_usage() {');
+  lines.push('  echo "Usage: $0 <request> [curl options]" >&2');
+  lines.push('  echo "Requests:" >&2');
+  lines.push("  cat >&2 <<'REQUESTS'");
+  samples.forEach(sample => lines.push(`  ${functionName(sample).padEnd(width)}  ${sample.method.toUpperCase()} ${sample.path}`));
+  lines.push('REQUESTS');
+  lines.push('}');
+  lines.push('');
+  lines.push('if [ $# -eq 0 ] || [ "$1" = _usage ] || ! declare -F "$1" > /dev/null; then');
+  lines.push('  _usage');
+  lines.push('  exit 1');
+  lines.push('fi');
+  lines.push('');
+  lines.push('"$@"');
+
+  return lines.join('\n') + '\n';
+}
+
+// Quotes text for bash; `\0NAME\0` markers become "$NAME" expansions
+function shellWord(text) {
+  const parts = String(text).split('\u0000');
+  // Double quotes read better when nothing in the text needs escaping
+  if (parts.length > 1 && parts.every((part, index) => index % 2 === 1 || !/["$`\\!\n]/.test(part))) {
+    return `"${parts.map((part, index) => index % 2 === 1 ? `\${${part}}` : part).join('')}"`;
+  }
+  return parts.map((part, index) => {
+    if (index % 2 === 1) return `"$${part}"`;
+    return part === '' ? '' : `'${part.replace(/'/g, `'\\''`)}'`;
+  }).join('') || "''";
+}
+
+// Environment variable holding a credential, e.g. `API_KEY` for `apiKey`
+function envName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase() || 'TOKEN';
+}
+
+// `.http` file: file-level variables for the base URL and credentials, then
+// one `###`-separated request per operation
+function toHttpFile(spec) {
+  const title = (spec.info && spec.info.title) || 'API';
+  const version = (spec.info && spec.info.version) ? ` ${spec.info.version}` : '';
+  const variable = name => name.replace(/[^\w-]/g, '_');
+  const placeholder = name => `{{${variable(name)}}}`;
+
+  const lines = [
+    `# Sample requests for ${singleLine(title)}${version}`,
+    '# Fill in the credentials below before sending.',
+    '',
+    `@baseUrl = ${defaultBaseUrl(spec)}`
+  ];
+  authVariables(securitySchemes(spec)).forEach(name => lines.push(`@${variable(name)} =`));
+
+  sampleRequests(spec).forEach(sample => {
+    const credentials = authCredentials(sample.auth, placeholder);
+    const query = sampleQuery(sample, credentials.query);
+
+    lines.push('');
+    lines.push(`### ${singleLine(sample.name)}`);
+    lines.push(`# @name ${sample.id}`);
+    sample.parameters.query.filter(param => !param.required).forEach(param => {
+      lines.push(`# Optional query parameter: ${param.name}=${param.value}`);
+    });
+    lines.push(`${sample.method.toUpperCase()} {{baseUrl}}${samplePath(sample)}${query ? `?${query}` : ''}`);
+
+    sample.parameters.header.filter(param => param.required).forEach(param => lines.push(`${param.name}: ${param.value}`));
+    if (sample.accept) lines.push(`Accept: ${sample.accept}`);
+    credentials.headers.forEach(header => lines.push(`${header.name}: ${header.value}`));
+    if (credentials.basic) lines.push(`Authorization: Basic ${credentials.basic.username}:${credentials.basic.password}`);
+    const cookies = sample.parameters.cookie.filter(param => param.required).concat(credentials.cookies);
+    if (cookies.length > 0) lines.push(`Cookie: ${cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ')}`);
+
+    if (!sample.body) return;
+    if (sample.body.fields && sample.body.contentType.includes('multipart')) {
+      lines.push(`Content-Type: multipart/form-data; boundary=${BOUNDARY}`);
+      lines.push('');
+      sample.body.fields.forEach(field => {
+        lines.push(`--${BOUNDARY}`);
+        if (field.file) {
+          lines.push(`Content-Disposition: form-data; name="${field.name}"; filename="file.bin"`);
+          lines.push('Content-Type: application/octet-stream');
+          lines.push('');
+          lines.push(`< ${SAMPLE_FILE}`);
+        } else {
+          lines.push(`Content-Disposition: form-data; name="${field.name}"`);
+          lines.push('');
+          lines.push(field.value);
+        }
+      });
+      lines.push(`--${BOUNDARY}--`);
+      return;
+    }
+    lines.push(`Content-Type: ${sample.body.contentType}`);
+    lines.push('');
+    lines.push(sample.body.file ? `< ${SAMPLE_FILE}` : sample.body.fields ? formText(sample.body) : sample.body.raw);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Form fields as a urlencoded body, or a multipart body with a fixed boundary
+function formText(body) {
+  if (!body.contentType.includes('multipart')) {
+    return body.fields.map(field => `${encodeURIComponent(field.name)}=${encodeURIComponent(field.value)}`).join('&');
+  }
+  const parts = body.fields.map(field => field.file
+    ? `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${field.name}"; filename="file.bin"\r\nContent-Type: application/octet-stream\r\n\r\n\r\n`
+    : `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${field.name}"\r\n\r\n${field.value}\r\n`);
+  return `${parts.join('')}--${BOUNDARY}--\r\n`;
+}
+
+function singleLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  toInsomniaExport,
+  toHar,
+  toCurlScript,
+  toHttpFile,
+  envName
+};
\ No newline at end of file
@@ -0,0 +1,1474 @@
+// Route discovery for JavaScript/TypeScript services, built on the tolerant
+// parse tree from js-parser.js.
+//
+// Routes are collected per router object (an Express/Koa/Fastify/Hapi app,
+// router or plugin instance, or a NestJS controller), then `use()` and
+// `register()` mounts are followed — across required/imported files — so
+// every endpoint is reported with the full path a client calls.
+
+const fs = require('fs');
+const path = require('path');
+const { parse, walk, flattenChain, memberName, isFunctionNode } = require('./js-parser');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head', 'all'];
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Module name -> framework label, in detection priority order
+const FRAMEWORK_MODULES = [
+  ['@nestjs/common', 'NestJS'],
+  ['fastify', 'Fastify'],
+  ['fastify-plugin', 'Fastify'],
+  ['@hapi/hapi', 'Hapi'],
+  ['hapi', 'Hapi'],
+  ['@koa/router', 'Koa'],
+  ['koa-router', 'Koa'],
+  ['koa', 'Koa'],
+  ['express', 'Express.js']
+];
+
+// Modules whose `.get('/x', ...)` style calls are outgoing requests, not routes
+const HTTP_CLIENT_MODULES = [
+  'axios', 'node-fetch', 'got', 'superagent', 'supertest', 'request', 'needle',
+  'undici', 'ky', 'cross-fetch', 'isomorphic-fetch'
+];
+
+// Request properties (Express `req`, Fastify/Hapi `request`, Koa `ctx` and
+// `ctx.request`) and the parameter location they carry
+const REQUEST_SOURCES = {
+  params: 'path',
+  query: 'query',
+  body: 'body',
+  payload: 'body',
+  headers: 'header',
+  cookies: 'cookie',
+  signedCookies: 'cookie'
+};
+
+// Receiver methods handled besides the HTTP verbs
+const RECEIVER_CALLS = ['route', 'use', 'register', 'prefix', 'setGlobalPrefix', 'addSchema', 'addHook'];
+
+// Fastify route-level hooks reported as middleware
+const FASTIFY_HOOKS = ['onRequest', 'preParsing', 'preValidation', 'preHandler'];
+
+// NestJS method and parameter decorators
+const NEST_METHOD_DECORATORS = {
+  Get: 'GET', Post: 'POST', Put: 'PUT', Delete: 'DELETE', Patch: 'PATCH',
+  Options: 'OPTIONS', Head: 'HEAD', All: 'ALL'
+};
+const NEST_PARAM_DECORATORS = { Param: 'path', Query: 'query', Body: 'body', Headers: 'header' };
+
+function isJavaScriptFile(filePath) {
+  return JS_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Discovers every endpoint reachable from the given entry files. Routers that
+// are mounted by another router are reported under their mount prefixes;
+// routers nobody mounts are treated as roots.
+function discoverRoutes(entryFiles, options = {}) {
+  const discovery = new RouteDiscovery(options);
+  for (const file of [].concat(entryFiles)) {
+    discovery.loadModule(path.resolve(file));
+  }
+  return discovery.collect();
+}
+
+class RouteDiscovery {
+  constructor(options) {
+    this.options = options;
+    this.modules = new Map();
+    this.routers = new Map();
+    this.handled = new WeakSet();
+    this.pendingCalls = [];
+    this.pendingUses = [];
+    this.schemas = {};
+    this.globalPrefix = '';
+  }
+
+  loadModule(file) {
+    if (this.modules.has(file)) return this.modules.get(file);
+
+    let source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      this.modules.set(file, null);
+      return null;
+    }
+
+    const ast = parse(source);
+    const module = {
+      file,
+      ast,
+      tokens: ast.tokens,
+      exports: new Map(),
+      scope: null,
+      framework: null
+    };
+    this.modules.set(file, module);
+
+    module.scope = createScope(null, module, null);
+    hoistDeclarations(ast.body, module.scope);
+    module.framework = detectFramework(module.scope);
+    collectExports(module);
+    this.visit(ast.body, module.scope);
+
+    return module;
+  }
+
+  // Walks statements and expressions, tracking function scopes so handler
+  // parameters (`app`, `router`, `fastify`) resolve to the right router.
+  visit(node, scope) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this.visit(child, scope));
+      return;
+    }
+
+    if (isFunctionNode(node) || node.type === 'MethodDefinition') {
+      const child = functionScope(node, scope);
+      this.visit(node.body, child);
+      return;
+    }
+
+    if (node.type === 'ClassDeclaration') {
+      this.handleController(node, scope);
+    }
+
+    if (node.type === 'CallExpression' && !this.handled.has(node)) {
+      this.handleCall(node, scope);
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'line' || key === 'bodyRange' || key === 'quasis') continue;
+      if (value && typeof value === 'object') this.visit(value, scope);
+    }
+  }
+
+  handleCall(node, scope) {
+    // `require('./routes')(app)` / `setupRoutes(app)` register a module's or
+    // function's routes on `app`; resolved once every module has been visited
+    if (node.callee && node.callee.type !== 'MemberExpression') {
+      if (node.arguments.some(arg => arg.type === 'Identifier')) {
+        this.pendingCalls.push({ node, scope });
+      }
+      return;
+    }
+
+    const { base, links } = flattenChain(node);
+    if (!base) return;
+
+    // Receiver: identifier plus any leading property accesses (`this.router`)
+    let receiverName = memberName(base);
+    let index = 0;
+    while (receiverName && index < links.length && links[index].arguments === null) {
+      receiverName += '.' + links[index].name;
+      index++;
+    }
+    if (!receiverName || index >= links.length) return;
+
+    const first = links[index].name;
+    if (!HTTP_METHODS.includes(first) && !RECEIVER_CALLS.includes(first)) return;
+
+    const receiver = this.lookupReceiver(receiverName, scope);
+    if (!receiver) return;
+
+    let routePath = null;
+
+    for (; index < links.length; index++) {
+      const link = links[index];
+      if (link.arguments === null || link.name === null) break;
+      this.handled.add(link.node);
+      const args = link.arguments;
+
+      if (HTTP_METHODS.includes(link.name)) {
+        if (routePath) {
+          this.addRoute(receiver, link.name, routePath, args, link.line, scope);
+        } else if (!this.addShorthandRoute(receiver, link.name, args, link.line, scope)) {
+          break;
+        }
+        continue;
+      }
+
+      if (link.name === 'route') {
+        // Express `route('/x').get()` chains vs Fastify/Hapi route objects
+        if (args.length === 1 && resolveString(args[0], scope, this)) {
+          routePath = args[0];
+        } else {
+          args.forEach(arg => this.addRouteConfigs(receiver, arg, link.line, scope));
+        }
+        continue;
+      }
+
+      if (link.name === 'use' && args.length > 0) {
+        this.addUse(receiver, args, link.line, scope);
+        continue;
+      }
+
+      if (link.name === 'register' && args.length > 0) {
+        this.addRegister(receiver, args, link.line, scope);
+        continue;
+      }
+
+      // Koa router `.prefix('/v1')` and Nest `app.setGlobalPrefix('api')`
+      if (link.name === 'prefix' || link.name === 'setGlobalPrefix') {
+        const prefix = args[0] && resolveString(args[0], scope, this);
+        if (prefix && link.name === 'prefix') receiver.prefix = prefix[0];
+        if (prefix && link.name === 'setGlobalPrefix') this.globalPrefix = prefix[0];
+        continue;
+      }
+
+      // Fastify shared schemas, referenced from route schemas by `$id`
+      if (link.name === 'addSchema') {
+        const schema = evaluate(args[0], scope, this);
+        if (schema && typeof schema === 'object' && schema.$id) this.schemas[schema.$id] = schema;
+        continue;
+      }
+
+      if (link.name === 'addHook') {
+        const hook = args[0] && resolveString(args[0], scope, this);
+        if (hook && FASTIFY_HOOKS.includes(hook[0]) && args[1]) {
+          const handler = this.describeHandler(args[1], scope);
+          if (handler.name) receiver.stack.push({ type: 'middleware', names: [handler.name] });
+        }
+        continue;
+      }
+
+      break;
+    }
+  }
+
+  // NestJS `@Controller('users')` classes; each `@Get()`/`@Post()`... method
+  // is a route
+  handleController(node, scope) {
+    const controller = findDecorator(node.decorators, 'Controller');
+    if (!controller) return;
+
+    let prefix = '';
+    if (controller.arguments[0]) {
+      const value = evaluate(controller.arguments[0], scope, this);
+      const controllerPath = value && typeof value === 'object' && !Array.isArray(value) ? value.path : value;
+      prefix = [].concat(controllerPath).find(p => typeof p === 'string') || '';
+    }
+
+    const key = `${scope.module.file}#class:${node.name || node.line}`;
+    const receiver = this.routerFor(key, scope.module, node.name, node.line, { framework: 'NestJS' });
+    receiver.prefix = prefix;
+    receiver.controller = true;
+    const classGuards = decoratorArguments(node.decorators, ['UseGuards', 'UseInterceptors']);
+
+    for (const member of node.members) {
+      if (member.type !== 'MethodDefinition') continue;
+
+      for (const decorator of member.decorators || []) {
+        const call = decoratorCall(decorator);
+        const method = call && NEST_METHOD_DECORATORS[memberName(call.callee)];
+        if (!method) continue;
+
+        const paths = (call.arguments[0] && resolveString(call.arguments[0], scope, this)) || [''];
+        const { parameters, types } = nestParameters(member, scope.module);
+        const route = {
+          method,
+          file: scope.module.file,
+          line: decorator.line,
+          order: receiver.stack.length,
+          handler: node.name ? `${node.name}.${member.key}` : member.key,
+          middleware: classGuards.concat(decoratorArguments(member.decorators, ['UseGuards', 'UseInterceptors'])),
+          parameters
+        };
+        if (types) route.types = types;
+
+        paths.forEach(routePath => receiver.routes.push(Object.assign({ path: routePath }, route)));
+        receiver.stack.push({ type: 'route' });
+      }
+    }
+  }
+
+  handleModuleCall(node, scope) {
+    const target = this.resolveRouterExpression(node.callee, scope, true);
+    if (!target || !target.param) return;
+
+    const arg = node.arguments.find(a => a.type === 'Identifier');
+    const receiver = this.lookupReceiver(arg.name, scope);
+    if (receiver) {
+      this.addMount(receiver, { prefix: [''], router: target.router, middleware: [], line: node.line, order: receiver.stack.length });
+    }
+  }
+
+  // Finds or creates the router record for a receiver expression. Returns
+  // null for receivers known to be HTTP clients.
+  lookupReceiver(name, scope) {
+    const [head] = name.split('.');
+    const binding = name === head ? lookup(scope, head) : null;
+
+    if (binding) {
+      if (isHttpClientBinding(binding, scope)) return null;
+      return this.routerFor(binding.key, binding.scope.module, name, binding.line, routerFactory(binding, this));
+    }
+
+    const module = scope.module;
+    return this.routerFor(`${module.file}#${name}`, module, name, null, null);
+  }
+
+  routerFor(key, module, name, line, factory) {
+    if (!this.routers.has(key)) {
+      this.routers.set(key, {
+        key,
+        name,
+        file: module.file,
+        line,
+        kind: factory ? factory.kind : null,
+        framework: (factory && factory.framework) || module.framework,
+        prefix: (factory && factory.prefix) || '',
+        routes: [],
+        mounts: [],
+        stack: [],
+        mounted: false
+      });
+    }
+    return this.routers.get(key);
+  }
+
+  // `verb(path, ...handlers)`, Koa's named `verb(name, path, ...handlers)` and
+  // Fastify's `verb(path, options, handler)`. Returns false when the call
+  // does not look like a route registration.
+  addShorthandRoute(receiver, method, args, line, scope) {
+    if (args.length < 2) return false;
+
+    let pathIndex = 0;
+    const firstPath = resolveString(args[0], scope, this);
+    if (firstPath && !firstPath.some(isPathLike) && args.length > 2) {
+      const secondPath = resolveString(args[1], scope, this);
+      if (secondPath && secondPath.some(isPathLike)) pathIndex = 1;
+    }
+
+    const isRoute = receiver.kind || pathIndex === 1 ||
+      (firstPath && firstPath.some(p => isPathLike(p) || p === '*')) ||
+      (args[0].type === 'Literal' && !!args[0].regex);
+    if (!isRoute) return false;
+
+    const handlers = args.slice(pathIndex + 1);
+
+    // Fastify options object: `{ schema, preHandler, handler }`
+    const options = resolveObjectNode(handlers[0], scope, this);
+    if (options && (handlers.length === 2 || getProperty(options.node, 'handler'))) {
+      const handler = getProperty(options.node, 'handler') || handlers[1];
+      this.addRoute(receiver, method, args[pathIndex], handler ? [handler] : [], line, scope, {
+        schema: getProperty(options.node, 'schema'),
+        schemaScope: options.scope,
+        hooks: hookNodes(options.node),
+        framework: 'Fastify'
+      });
+      return true;
+    }
+
+    this.addRoute(receiver, method, args[pathIndex], handlers, line, scope);
+    return true;
+  }
+
+  // Fastify `route({ method, url, schema, handler })` and Hapi
+  // `route({ method, path, options: { handler, auth } })`, singly or in arrays
+  addRouteConfigs(receiver, node, line, scope) {
+    const list = resolveArrayNode(node, scope, this);
+    if (list) {
+      list.node.elements.forEach(element => this.addRouteConfigs(receiver, element, element.line || line, list.scope));
+      return;
+    }
+
+    const resolved = resolveObjectNode(node, scope, this);
+    if (!resolved) return;
+    const config = resolved.node;
+    const configScope = resolved.scope;
+
+    const urlNode = getProperty(config, 'url') || getProperty(config, 'path');
+    const methodValue = evaluate(getProperty(config, 'method'), configScope, this);
+    if (!urlNode || !methodValue) return;
+
+    const options = resolveObjectNode(getProperty(config, 'options') || getProperty(config, 'config'), configScope, this);
+    const handler = getProperty(config, 'handler') || (options && getProperty(options.node, 'handler'));
+    const methods = [].concat(methodValue).map(m => (m === '*' ? 'all' : String(m).toLowerCase()));
+
+    const isHapi = !getProperty(config, 'url');
+    const extra = isHapi
+      ? { hooks: hapiAuth(options, this), framework: 'Hapi' }
+      : { schema: getProperty(config, 'schema'), schemaScope: configScope, hooks: hookNodes(config), framework: 'Fastify' };
+
+    methods.forEach(method => {
+      this.addRoute(receiver, method, urlNode, handler ? [handler] : [], config.line || line, configScope, extra);
+    });
+  }
+
+  addRoute(receiver, method, pathNode, handlerNodes, line, scope, extra = {}) {
+    const paths = resolveString(pathNode, scope, this) || ['/'];
+    const handlers = handlerNodes.map(node => this.describeHandler(node, scope));
+    const final = handlers[handlers.length - 1] || null;
+    const hooks = (extra.hooks || []).map(hook => (typeof hook === 'string' ? hook : this.describeHandler(hook, scope).name));
+
+    if (!receiver.framework && extra.framework) receiver.framework = extra.framework;
+
+    const route = {
+      method: method.toUpperCase(),
+      file: scope.module.file,
+      line: line,
+      order: receiver.stack.length,
+      handler: final ? final.name : null,
+      middleware: hooks.concat(handlers.slice(0, -1).map(h => h.name)).filter(Boolean),
+      parameters: final ? final.parameters : []
+    };
+
+    // Schemas the framework validates against are kept exactly as declared
+    if (extra.schema) {
+      const schema = evaluate(extra.schema, extra.schemaScope || scope, this);
+      if (schema && typeof schema === 'object') route.schema = schema;
+    }
+
+    for (const routePath of paths) {
+      receiver.routes.push(Object.assign({ path: routePath }, route));
+    }
+    receiver.stack.push({ type: 'route' });
+  }
+
+  // Express/Koa `use([prefix], ...middlewareOrRouters)`. Targets are resolved
+  // in collect(), once routers declared later (or in files not loaded yet)
+  // have had their routes registered.
+  addUse(receiver, args, line, scope) {
+    let prefix = [''];
+    let rest = args;
+
+    const first = resolveString(args[0], scope, this);
+    if (first && args.length > 1) {
+      prefix = first;
+      rest = args.slice(1);
+    } else if (first && args.length === 1 && args[0].type !== 'Identifier') {
+      // `app.use('/static')` without handlers registers nothing
+      return;
+    }
+
+    this.queueUse(receiver, { type: 'use', prefix, args: rest, line, scope, plugin: false });
+  }
+
+  // Fastify `register(plugin, { prefix })` and Hapi
+  // `register({ plugin, routes: { prefix } })`, also with arrays of plugins
+  addRegister(receiver, args, line, scope) {
+    const options = evaluate(args[1], scope, this) || {};
+    const defaultPrefix = options.prefix || (options.routes && options.routes.prefix) || '';
+
+    const list = resolveArrayNode(args[0], scope, this);
+    const plugins = list ? list.node.elements.map(node => ({ node, scope: list.scope })) : [{ node: args[0], scope }];
+
+    plugins.forEach(plugin => {
+      let pluginNode = plugin.node;
+      let pluginScope = plugin.scope;
+      let prefix = defaultPrefix;
+
+      const wrapper = resolveObjectNode(pluginNode, pluginScope, this);
+      if (wrapper && getProperty(wrapper.node, 'plugin')) {
+        const routes = evaluate(getProperty(wrapper.node, 'routes'), wrapper.scope, this);
+        if (routes && typeof routes.prefix === 'string') prefix = routes.prefix;
+        pluginNode = getProperty(wrapper.node, 'plugin');
+        pluginScope = wrapper.scope;
+      }
+
+      this.queueUse(receiver, { type: 'use', prefix: [prefix], args: [pluginNode], line, scope: pluginScope, plugin: true });
+    });
+  }
+
+  queueUse(receiver, entry) {
+    receiver.stack.push(entry);
+    this.pendingUses.push({ receiver, entry, order: receiver.stack.length - 1 });
+  }
+
+  resolveUse({ receiver, entry, order }) {
+    const middleware = [];
+
+    for (const arg of entry.args) {
+      const target = this.resolveRouterExpression(arg, entry.scope, entry.plugin);
+      if (target && target.router) {
+        this.addMount(receiver, { prefix: entry.prefix, router: target.router, middleware: middleware.slice(), line: entry.line, order });
+      } else if (!entry.plugin) {
+        const handler = this.describeHandler(arg, entry.scope);
+        // Koa `router.allowedMethods()` only answers OPTIONS/405
+        if (handler.name && !/\.allowedMethods$/.test(handler.name)) middleware.push(handler.name);
+      }
+    }
+
+    // Path-less middleware applies to the routes registered after it
+    const pathless = entry.prefix.length === 1 && entry.prefix[0] === '';
+    receiver.stack[order] = { type: 'middleware', names: pathless ? middleware : [] };
+  }
+
+  addMount(parent, mount) {
+    if (parent.key === mount.router.key) return;
+    mount.router.mounted = true;
+    if (!mount.router.framework) mount.router.framework = parent.framework;
+    parent.mounts.push(mount);
+  }
+
+  // Resolves an expression passed to `use()`/`register()` (or called with an
+  // app) to the router record it stands for. `param` is set when the router
+  // is a function parameter that receives routes, e.g. a Fastify plugin or
+  // `module.exports = app => {}`.
+  resolveRouterExpression(node, scope, allowParam, depth = 0) {
+    if (!node || depth > 8) return null;
+
+    if (node.type === 'Identifier') {
+      const binding = lookup(scope, node.name);
+      if (!binding) return null;
+
+      if (binding.kind === 'import') {
+        return this.resolveImportedRouter(binding, allowParam, depth);
+      }
+      if (binding.kind === 'function' || binding.kind === 'class') {
+        return this.resolveFunctionRouter(binding.node, binding.scope, allowParam);
+      }
+      if (binding.kind === 'param') {
+        const router = this.routers.get(binding.key);
+        return router ? { router } : null;
+      }
+      if (binding.init && binding.init.type !== 'CallExpression' && binding.init.type !== 'NewExpression') {
+        return this.resolveRouterExpression(binding.init, binding.scope, allowParam, depth + 1);
+      }
+      if (binding.init && binding.init.type === 'CallExpression' && requireSource(binding.init)) {
+        return this.resolveRouterExpression(binding.init, binding.scope, allowParam, depth + 1);
+      }
+      if (routerFactory(binding, this) || this.routers.has(binding.key)) {
+        return { router: this.lookupReceiver(node.name, scope) };
+      }
+      if (binding.init && binding.init.type === 'CallExpression') {
+        // `const users = createUsersRouter(deps)` / `const plugin = fp(fn)`
+        return this.resolveRouterExpression(binding.init, binding.scope, allowParam, depth + 1);
+      }
+      return null;
+    }
+
+    if (isFunctionNode(node)) {
+      return this.resolveFunctionRouter(node, scope, allowParam);
+    }
+
+    if (node.type === 'ObjectExpression') {
+      // Hapi plugin objects: `{ name: 'users', register: async server => {} }`,
+      // or modules exporting one as `plugin`
+      const register = getProperty(node, 'register') || getProperty(node, 'plugin');
+      return register ? this.resolveRouterExpression(register, scope, allowParam, depth + 1) : null;
+    }
+
+    if (node.type === 'CallExpression') {
+      const source = requireSource(node);
+      if (source) {
+        const module = this.loadImport(scope.module, source);
+        return module ? this.resolveExportedRouter(module, 'default', allowParam, depth) : null;
+      }
+      // Koa `router.routes()` / `router.middleware()`
+      if (node.callee.type === 'MemberExpression' && ['routes', 'middleware'].includes(node.callee.property)) {
+        return this.resolveRouterExpression(node.callee.object, scope, false, depth + 1);
+      }
+      // `fp(async fastify => {})` plugin wrappers keep the wrapped plugin
+      const wrapper = node.callee.type === 'Identifier' ? lookup(scope, node.callee.name) : null;
+      if (importSource(wrapper) === 'fastify-plugin' && node.arguments[0]) {
+        return this.resolveRouterExpression(node.arguments[0], scope, allowParam, depth + 1);
+      }
+      // Factory call: `createRouter()` / `require('./users')(db)`
+      if (node.callee && node.callee.type === 'CallExpression' && requireSource(node.callee)) {
+        const module = this.loadImport(scope.module, requireSource(node.callee));
+        return module ? this.resolveExportedRouter(module, 'default', false, depth) : null;
+      }
+      return this.resolveRouterExpression(node.callee, scope, false, depth + 1);
+    }
+
+    if (node.type === 'MemberExpression' && node.property) {
+      // `require('./users').router` or `routes.users`
+      const object = node.object;
+      if (object.type === 'CallExpression' && requireSource(object)) {
+        const module = this.loadImport(scope.module, requireSource(object));
+        return module ? this.resolveExportedRouter(module, node.property, allowParam, depth) : null;
+      }
+      if (object.type === 'Identifier') {
+        const binding = lookup(scope, object.name);
+        if (binding && binding.kind === 'import') {
+          const module = this.loadImport(binding.scope.module, binding.source);
+          if (!module) return null;
+          if (binding.imported === '*' || binding.imported === 'default') {
+            return this.resolveExportedRouter(module, node.property, allowParam, depth) ||
+              this.resolveObjectExportProperty(module, 'default', node.property, allowParam, depth);
+          }
+        }
+        if (binding && binding.init && binding.init.type === 'ObjectExpression') {
+          const property = getProperty(binding.init, node.property);
+          return property ? this.resolveRouterExpression(property, binding.scope, allowParam, depth + 1) : null;
+        }
+        if (binding && binding.init && binding.init.type === 'CallExpression' && requireSource(binding.init)) {
+          const module = this.loadImport(binding.scope.module, requireSource(binding.init));
+          return module ? this.resolveExportedRouter(module, node.property, allowParam, depth) : null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  resolveImportedRouter(binding, allowParam, depth) {
+    const module = this.loadImport(binding.scope.module, binding.source);
+    if (!module) return null;
+    if (binding.imported === '*') return this.resolveExportedRouter(module, 'default', allowParam, depth);
+    return this.resolveExportedRouter(module, binding.imported, allowParam, depth) ||
+      this.resolveObjectExportProperty(module, 'default', binding.imported, allowParam, depth);
+  }
+
+  resolveExportedRouter(module, exportName, allowParam, depth) {
+    const exported = module.exports.get(exportName);
+    if (!exported) return null;
+    return this.resolveRouterExpression(exported, module.scope, allowParam, depth + 1);
+  }
+
+  // `module.exports = { users }` imported as `const { users } = require(...)`
+  resolveObjectExportProperty(module, exportName, property, allowParam, depth) {
+    const exported = module.exports.get(exportName);
+    const value = getProperty(exported, property);
+    return value ? this.resolveRouterExpression(value, module.scope, allowParam, depth + 1) : null;
+  }
+
+  // A function used as a router either creates one (`const r = Router(); ...
+  // return r`) or registers routes on its first parameter.
+  resolveFunctionRouter(fn, scope, allowParam) {
+    if (!fn || (!isFunctionNode(fn) && fn.type !== 'ClassDeclaration')) return null;
+    const inner = isFunctionNode(fn) ? functionScope(fn, scope) : scope;
+
+    for (const binding of inner.bindings.values()) {
+      if (binding.kind !== 'param' && routerFactory(binding, this)) {
+        return { router: this.lookupReceiver(binding.name, inner) };
+      }
+    }
+
+    // Only parameters the function actually registered routes on count
+    if (allowParam && fn.params && fn.params[0] && fn.params[0].type === 'Identifier') {
+      const binding = inner.bindings.get(fn.params[0].name);
+      const router = this.routers.get(binding.key);
+      if (router && router.stack.length > 0) return { router, param: true };
+    }
+
+    return null;
+  }
+
+  loadImport(fromModule, specifier) {
+    if (!specifier || !specifier.startsWith('.')) return null;
+    const file = resolveImportPath(path.dirname(fromModule.file), specifier);
+    return file ? this.loadModule(file) : null;
+  }
+
+  describeHandler(node, scope) {
+    const name = memberName(node) ||
+      (node.type === 'CallExpression' ? memberName(node.callee) : null) ||
+      (node.name || null);
+
+    let fn = null;
+    let fnScope = scope;
+    if (isFunctionNode(node)) {
+      fn = node;
+    } else if (node.type === 'Identifier') {
+      const binding = lookup(scope, node.name);
+      if (binding && binding.kind === 'function') {
+        fn = binding.node;
+        fnScope = binding.scope;
+      } else if (binding && isFunctionNode(binding.init)) {
+        fn = binding.init;
+        fnScope = binding.scope;
+      } else if (binding && binding.kind === 'import') {
+        const resolved = this.resolveImportedFunction(binding, null);
+        if (resolved) ({ fn, scope: fnScope } = resolved);
+      }
+    } else if (node.type === 'MemberExpression' && node.object.type === 'Identifier') {
+      // `usersController.list`
+      const binding = lookup(scope, node.object.name);
+      if (binding && binding.kind === 'import') {
+        const resolved = this.resolveImportedFunction(binding, node.property);
+        if (resolved) ({ fn, scope: fnScope } = resolved);
+      } else if (binding && binding.init && binding.init.type === 'ObjectExpression') {
+        const property = getProperty(binding.init, node.property);
+        if (isFunctionNode(property)) fn = property;
+      }
+    }
+
+    return {
+      name: name && name !== 'function' ? name : null,
+      parameters: fn ? extractRequestUsage(fn, fnScope.module) : []
+    };
+  }
+
+  resolveImportedFunction(binding, property) {
+    const module = this.loadImport(binding.scope.module, binding.source);
+    if (!module) return null;
+
+    let exported;
+    if (property && (binding.imported === 'default' || binding.imported === '*')) {
+      exported = module.exports.get(property) || getProperty(module.exports.get('default'), property);
+    } else if (!property) {
+      exported = module.exports.get(binding.imported);
+    }
+
+    if (exported && exported.type === 'Identifier') {
+      const local = lookup(module.scope, exported.name);
+      if (local && local.kind === 'function') return { fn: local.node, scope: module.scope };
+      if (local && isFunctionNode(local.init)) return { fn: local.init, scope: module.scope };
+    }
+    if (isFunctionNode(exported)) return { fn: exported, scope: module.scope };
+    return null;
+  }
+
+  // Resolves deferred mounts, then expands every root router into full
+  // endpoint records
+  collect() {
+    // Resolving a mount can load further modules, which can queue more work
+    while (this.pendingUses.length > 0 || this.pendingCalls.length > 0) {
+      if (this.pendingUses.length > 0) {
+        this.resolveUse(this.pendingUses.shift());
+      } else {
+        const { node, scope } = this.pendingCalls.shift();
+        this.handleModuleCall(node, scope);
+      }
+    }
+
+    const endpoints = [];
+    const roots = [...this.routers.values()].filter(router => !router.mounted);
+
+    const expand = (router, prefix, inherited, framework, stack) => {
+      if (stack.includes(router.key)) return;
+      const nextStack = stack.concat(router.key);
+      const routerFramework = router.framework || framework;
+      const base = joinPaths(prefix, router.prefix);
+
+      for (const route of router.routes) {
+        const endpoint = {
+          method: route.method,
+          path: normalizePath(joinPaths(base, route.path)),
+          framework: routerFramework || 'Express.js',
+          file: route.file,
+          line: route.line,
+          handler: route.handler,
+          middleware: inherited.concat(middlewareBefore(router, route.order), route.middleware),
+          parameters: route.parameters
+        };
+        if (route.schema) endpoint.schema = route.schema;
+        if (route.types) endpoint.types = route.types;
+        endpoints.push(endpoint);
+      }
+
+      for (const mount of router.mounts) {
+        const middleware = inherited.concat(middlewareBefore(router, mount.order), mount.middleware);
+        for (const mountPrefix of mount.prefix) {
+          expand(mount.router, joinPaths(base, mountPrefix), middleware, routerFramework, nextStack);
+        }
+      }
+    };
+
+    roots.forEach(root => expand(root, root.controller ? this.globalPrefix : '', [], null, []));
+
+    endpoints.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    return {
+      endpoints,
+      schemas: this.schemas,
+      files: [...this.modules.keys()].filter(file => this.modules.get(file))
+    };
+  }
+}
+
+function middlewareBefore(router, order) {
+  const names = [];
+  router.stack.slice(0, order).forEach(entry => {
+    if (entry.type === 'middleware') names.push(...entry.names);
+  });
+  return names;
+}
+
+function isPathLike(value) {
+  return value.startsWith('/');
+}
+
+// Nest and Koa paths may be written without the leading slash
+function normalizePath(routePath) {
+  if (!routePath) return '/';
+  return routePath.startsWith('/') || routePath === '*' ? routePath : '/' + routePath;
+}
+
+function createScope(parent, module, fn) {
+  return {
+    parent,
+    module: module || parent.module,
+    fn,
+    bindings: new Map()
+  };
+}
+
+const functionScopes = new WeakMap();
+
+function functionScope(fn, parent) {
+  if (functionScopes.has(fn)) return functionScopes.get(fn);
+  const scope = createScope(parent, parent.module, fn);
+  (fn.params || []).forEach(param => declarePattern(scope, param, { kind: 'param' }));
+  hoistDeclarations(fn.body || [], scope);
+  functionScopes.set(fn, scope);
+  return scope;
+}
+
+function declare(scope, name, info) {
+  const binding = Object.assign({
+    name,
+    scope,
+    key: `${scope.module.file}#${name}@${info.line || 0}`
+  }, info);
+  scope.bindings.set(name, binding);
+  return binding;
+}
+
+function declarePattern(scope, pattern, info) {
+  if (!pattern) return;
+  if (pattern.type === 'Identifier') {
+    declare(scope, pattern.name, Object.assign({ line: pattern.line }, info));
+  } else if (pattern.type === 'ObjectPattern') {
+    pattern.properties.forEach(property => {
+      // `const { Router } = require('express')` imports the named export
+      const source = info.init && requireSource(info.init);
+      if (source && property.key && property.value && property.value.type === 'Identifier') {
+        declare(scope, property.value.name, { kind: 'import', source, imported: property.key, line: property.value.line });
+      } else {
+        declarePattern(scope, property.value, { kind: info.kind, line: info.line });
+      }
+    });
+  } else if (pattern.type === 'ArrayPattern') {
+    pattern.elements.forEach(element => declarePattern(scope, element, { kind: info.kind, line: info.line }));
+  }
+}
+
+// Declares the variables, functions, classes and imports of a statement list
+// in `scope` without descending into nested functions.
+function hoistDeclarations(statements, scope) {
+  for (const statement of statements) {
+    if (!statement) continue;
+
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        statement.specifiers.forEach(spec => {
+          declare(scope, spec.local, { kind: 'import', source: statement.source, imported: spec.imported, line: statement.line });
+        });
+        break;
+      case 'VariableDeclaration':
+        statement.declarations.forEach(decl => {
+          if (decl.id && decl.id.type === 'Identifier') {
+            const source = decl.init && requireSource(decl.init);
+            if (source) {
+              declare(scope, decl.id.name, { kind: 'import', source, imported: 'default', init: decl.init, line: decl.line });
+            } else {
+              declare(scope, decl.id.name, { kind: 'var', init: decl.init, line: decl.line });
+            }
+          } else {
+            declarePattern(scope, decl.id, { kind: 'var', init: decl.init, line: decl.line });
+          }
+        });
+        break;
+      case 'FunctionDeclaration':
+        if (statement.name) declare(scope, statement.name, { kind: 'function', node: statement, line: statement.line });
+        break;
+      case 'ClassDeclaration':
+        if (statement.name) declare(scope, statement.name, { kind: 'class', node: statement, line: statement.line });
+        break;
+      case 'BlockStatement':
+        hoistDeclarations(statement.body, scope);
+        break;
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+        if (statement.declaration) hoistDeclarations([statement.declaration], scope);
+        break;
+    }
+  }
+}
+
+function lookup(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.bindings.has(name)) return current.bindings.get(name);
+  }
+  return null;
+}
+
+// The specifier of `require('x')`, or null
+function requireSource(node) {
+  if (!node || node.type !== 'CallExpression') return null;
+  const callee = node.callee;
+  const isRequire = callee && callee.type === 'Identifier' && (callee.name === 'require' || callee.name === 'import');
+  const arg = node.arguments[0];
+  if (isRequire && arg && arg.type === 'Literal' && typeof arg.value === 'string') return arg.value;
+  if (callee && callee.type === 'Identifier' && callee.name === '__importDefault') return requireSource(arg);
+  return null;
+}
+
+function collectExports(module) {
+  const exports = module.exports;
+
+  walk(module.ast.body, node => {
+    if (isFunctionNode(node)) return false;
+
+    if (node.type === 'ExportDefaultDeclaration' && node.declaration) {
+      exports.set('default', node.declaration);
+    } else if (node.type === 'ExportNamedDeclaration') {
+      const declaration = node.declaration;
+      if (declaration && declaration.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(decl => {
+          if (decl.id && decl.id.type === 'Identifier') {
+            exports.set(decl.id.name, { type: 'Identifier', name: decl.id.name, line: decl.line });
+          }
+        });
+      } else if (declaration && declaration.name) {
+        exports.set(declaration.name, declaration);
+      }
+      node.specifiers.forEach(spec => {
+        if (spec.local !== '*' && !node.source) {
+          exports.set(spec.exported, { type: 'Identifier', name: spec.local, line: node.line });
+        }
+      });
+      return false;
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      const target = memberName(node.left);
+      if (target === 'module.exports' || target === 'exports.default' || target === 'module.exports.default') {
+        exports.set('default', node.right);
+        if (node.right && node.right.type === 'ObjectExpression') {
+          node.right.properties.forEach(p => {
+            if (p.key && !exports.has(p.key)) exports.set(p.key, p.value);
+          });
+        }
+      } else if (target && /^(module\.)?exports\.\w+$/.test(target)) {
+        exports.set(target.split('.').pop(), node.right);
+      }
+    }
+  });
+
+  // A CommonJS module built from `exports.x = ...` assignments, required as
+  // a whole (e.g. a Hapi plugin exporting `plugin`)
+  if (!exports.has('default') && exports.size > 0) {
+    exports.set('default', {
+      type: 'ObjectExpression',
+      properties: [...exports.entries()].map(([key, value]) => ({ type: 'Property', key, value, kind: 'init', line: value.line })),
+      line: 1
+    });
+  }
+}
+
+// The framework a module's imports point at, used for routers whose
+// creation is not visible (function parameters, `this.router`...)
+function detectFramework(scope) {
+  const sources = new Set();
+  for (const binding of scope.bindings.values()) {
+    if (binding.kind === 'import') sources.add(binding.source);
+  }
+  const match = FRAMEWORK_MODULES.find(([moduleName]) => sources.has(moduleName));
+  return match ? match[1] : null;
+}
+
+function frameworkOf(source) {
+  const match = FRAMEWORK_MODULES.find(([moduleName]) => moduleName === source);
+  return match ? match[1] : null;
+}
+
+// Classifies what a binding's initializer creates: an application or router
+// of one of the supported frameworks, or nothing recognisable.
+function routerFactory(binding, discovery) {
+  if (!binding || !binding.init) return null;
+  let init = binding.init;
+  if (init.type === 'AwaitExpression') init = init.argument;
+  if (!init || (init.type !== 'CallExpression' && init.type !== 'NewExpression')) return null;
+
+  const callee = init.callee;
+  const scope = binding.scope;
+
+  // require('express')() / require('fastify')({ logger: true })
+  if (callee && callee.type === 'CallExpression' && requireSource(callee)) {
+    return factoryFor(requireSource(callee), [], init, scope, discovery);
+  }
+  // require('express').Router() / require('@hapi/hapi').server()
+  if (callee && callee.type === 'MemberExpression' && requireSource(callee.object)) {
+    return factoryFor(requireSource(callee.object), [callee.property], init, scope, discovery);
+  }
+
+  const name = memberName(callee);
+  if (!name) return null;
+  const [head, ...rest] = name.split('.');
+  const headBinding = lookup(scope, head);
+  const source = importSource(headBinding);
+
+  if (source) {
+    // `import { Router } from 'express'` calls the named export
+    const imported = headBinding.imported !== 'default' && headBinding.imported !== '*' ? [headBinding.imported] : [];
+    return factoryFor(source, imported.concat(rest), init, scope, discovery);
+  }
+
+  // Snippets without imports: `express()`, `Router()`
+  if (head === 'express') return factoryFor('express', rest, init, scope, discovery);
+  if (head === 'Router' && rest.length === 0) return { kind: 'router', framework: null };
+  return null;
+}
+
+function factoryFor(source, members, init, scope, discovery) {
+  const last = members[members.length - 1];
+
+  switch (frameworkOf(source)) {
+    case 'Express.js':
+      if (members.length === 0) return { kind: 'app', framework: 'Express.js' };
+      return last === 'Router' ? { kind: 'router', framework: 'Express.js' } : null;
+    case 'Koa': {
+      if (source === 'koa') return members.length === 0 ? { kind: 'app', framework: 'Koa' } : null;
+      // `new Router({ prefix: '/api' })`
+      const options = evaluate(init.arguments[0], scope, discovery);
+      const prefix = options && typeof options.prefix === 'string' ? options.prefix : '';
+      return { kind: 'router', framework: 'Koa', prefix };
+    }
+    case 'Fastify':
+      if (source !== 'fastify') return null;
+      return members.length === 0 || last === 'default' || last === 'fastify' ? { kind: 'app', framework: 'Fastify' } : null;
+    case 'Hapi':
+      return last === 'server' || last === 'Server' ? { kind: 'app', framework: 'Hapi' } : null;
+    default:
+      return null;
+  }
+}
+
+function importSource(binding) {
+  return binding && binding.kind === 'import' ? binding.source : null;
+}
+
+function isHttpClientBinding(binding, scope) {
+  const source = importSource(binding);
+  if (source && HTTP_CLIENT_MODULES.includes(source)) return true;
+
+  // `const client = axios.create()` / `supertest(app)`
+  const init = binding.init;
+  if (init && init.type === 'CallExpression') {
+    const head = (memberName(init.callee) || '').split('.')[0];
+    const headSource = importSource(lookup(scope, head));
+    if (headSource && HTTP_CLIENT_MODULES.includes(headSource)) return true;
+  }
+  return false;
+}
+
+// Value node of a non-computed `key` in an object literal, or null
+function getProperty(objectNode, key) {
+  if (!objectNode || objectNode.type !== 'ObjectExpression') return null;
+  for (let i = objectNode.properties.length - 1; i >= 0; i--) {
+    const property = objectNode.properties[i];
+    if (property.type === 'Property' && !property.computed && property.key === key) return property.value;
+  }
+  return null;
+}
+
+// Follows identifiers and requires/imports to the object or array literal an
+// expression stands for. Returns `{ node, scope }` or null.
+function resolveObjectNode(node, scope, discovery) {
+  return resolveLiteralNode(node, scope, discovery, 'ObjectExpression', 0);
+}
+
+function resolveArrayNode(node, scope, discovery) {
+  return resolveLiteralNode(node, scope, discovery, 'ArrayExpression', 0);
+}
+
+function resolveLiteralNode(node, scope, discovery, type, depth) {
+  if (!node || depth > 8) return null;
+  if (node.type === type) return { node, scope };
+
+  let module = null;
+  let exportName = 'default';
+  if (node.type === 'Identifier') {
+    const binding = lookup(scope, node.name);
+    if (binding && binding.kind === 'var' && binding.init) {
+      return resolveLiteralNode(binding.init, binding.scope, discovery, type, depth + 1);
+    }
+    if (binding && binding.kind === 'import') {
+      module = discovery.loadImport(binding.scope.module, binding.source);
+      exportName = binding.imported === '*' ? 'default' : binding.imported;
+    }
+  } else if (node.type === 'CallExpression' && requireSource(node)) {
+    module = discovery.loadImport(scope.module, requireSource(node));
+  }
+
+  const exported = module && module.exports.get(exportName);
+  return exported ? resolveLiteralNode(exported, module.scope, discovery, type, depth + 1) : null;
+}
+
+// Fastify route-level hooks: `preHandler: [fastify.auth]`, `onRequest: fn`
+function hookNodes(config) {
+  const hooks = [];
+  FASTIFY_HOOKS.forEach(name => {
+    const value = getProperty(config, name);
+    if (value && value.type === 'ArrayExpression') hooks.push(...value.elements);
+    else if (value) hooks.push(value);
+  });
+  return hooks;
+}
+
+// Hapi `options.auth` ('jwt', { strategy: 'jwt' }, false) as middleware names
+function hapiAuth(options, discovery) {
+  if (!options) return [];
+  const auth = evaluate(getProperty(options.node, 'auth'), options.scope, discovery);
+  if (typeof auth === 'string') return [`auth:${auth}`];
+  if (auth && typeof auth === 'object') {
+    return [].concat(auth.strategy || auth.strategies || []).map(strategy => `auth:${strategy}`);
+  }
+  return [];
+}
+
+function decoratorCall(decorator) {
+  const expression = decorator.expression;
+  if (!expression) return null;
+  if (expression.type === 'CallExpression') return expression;
+  return { callee: expression, arguments: [] };
+}
+
+function findDecorator(decorators, name) {
+  for (const decorator of decorators || []) {
+    const call = decoratorCall(decorator);
+    if (call && memberName(call.callee) === name) return call;
+  }
+  return null;
+}
+
+// `@UseGuards(AuthGuard('jwt'), RolesGuard)` -> ['AuthGuard', 'RolesGuard']
+function decoratorArguments(decorators, names) {
+  const result = [];
+  for (const decorator of decorators || []) {
+    const call = decoratorCall(decorator);
+    if (!call || !names.includes(memberName(call.callee))) continue;
+    call.arguments.forEach(arg => {
+      const name = memberName(arg) || (arg.callee ? memberName(arg.callee) : null);
+      if (name) result.push(name);
+    });
+  }
+  return result;
+}
+
+// Parameters and DTO types of a NestJS handler, from its parameter
+// decorators and return type
+function nestParameters(method, module) {
+  const parameters = [];
+  const types = {};
+
+  method.params.forEach(param => {
+    for (const decorator of param.decorators || []) {
+      const call = decoratorCall(decorator);
+      const decoratorName = call && memberName(call.callee);
+
+      if (decoratorName === 'Req' || decoratorName === 'Request') {
+        parameters.push(...extractRequestUsage(method, module, param));
+        continue;
+      }
+
+      const location = NEST_PARAM_DECORATORS[decoratorName];
+      if (!location) continue;
+
+      const arg = call.arguments[0];
+      if (arg && arg.type === 'Literal' && typeof arg.value === 'string') {
+        parameters.push({ name: location === 'header' ? arg.value.toLowerCase() : arg.value, in: location, line: decorator.line });
+      } else if (param.typeAnnotation && location !== 'path') {
+        // Whole-object `@Body() dto: CreateUserDto`
+        types[location === 'header' ? 'headers' : location] = param.typeAnnotation;
+      }
+    }
+  });
+
+  const response = unwrapType(method.returnType);
+  if (response) types.response = response;
+
+  return { parameters, types: Object.keys(types).length > 0 ? types : null };
+}
+
+// `Promise<UserDto>` / `Observable<UserDto[]>` -> `UserDto` / `UserDto[]`
+function unwrapType(type) {
+  if (!type) return null;
+  const match = type.match(/^(?:Promise|Observable)\s*<(.+)>$/);
+  const inner = (match ? match[1] : type).trim();
+  return ['void', 'any', 'unknown', 'undefined', 'never'].includes(inner) ? null : inner;
+}
+
+// Evaluates literal-ish expressions (objects, arrays, strings, numbers and
+// constants, including imported ones) to plain values. Parts that cannot be
+// evaluated statically are left out.
+function evaluate(node, scope, discovery, depth = 0) {
+  if (!node || depth > 12) return undefined;
+
+  switch (node.type) {
+    case 'Literal':
+      return node.regex ? node.raw : node.value;
+
+    case 'TemplateLiteral': {
+      const values = resolveString(node, scope, discovery, depth + 1);
+      return values && values.length === 1 ? values[0] : undefined;
+    }
+
+    case 'UnaryExpression': {
+      const value = evaluate(node.argument, scope, discovery, depth + 1);
+      if (node.operator === '-' && typeof value === 'number') return -value;
+      if (node.operator === '!' && value !== undefined) return !value;
+      return undefined;
+    }
+
+    case 'ObjectExpression': {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type === 'SpreadElement') {
+          const spread = evaluate(property.argument, scope, discovery, depth + 1);
+          if (spread && typeof spread === 'object') Object.assign(result, spread);
+        } else if (property.key !== null && !property.computed && property.kind === 'init') {
+          const value = evaluate(property.value, scope, discovery, depth + 1);
+          if (value !== undefined) result[property.key] = value;
+        }
+      }
+      return result;
+    }
+
+    case 'ArrayExpression': {
+      const result = [];
+      for (const element of node.elements) {
+        if (element.type === 'SpreadElement') {
+          const spread = evaluate(element.argument, scope, discovery, depth + 1);
+          if (Array.isArray(spread)) result.push(...spread);
+        } else {
+          const value = evaluate(element, scope, discovery, depth + 1);
+          if (value !== undefined) result.push(value);
+        }
+      }
+      return result;
+    }
+
+    case 'Identifier': {
+      const binding = lookup(scope, node.name);
+      if (binding && binding.kind === 'var' && binding.init) {
+        return evaluate(binding.init, binding.scope, discovery, depth + 1);
+      }
+      if (binding && binding.kind === 'import' && discovery) {
+        const module = discovery.loadImport(binding.scope.module, binding.source);
+        const exported = module && module.exports.get(binding.imported === '*' ? 'default' : binding.imported);
+        return exported ? evaluate(exported, module.scope, discovery, depth + 1) : undefined;
+      }
+      return undefined;
+    }
+
+    case 'MemberExpression': {
+      if (node.property === null) return undefined;
+      const object = evaluate(node.object, scope, discovery, depth + 1);
+      return object && typeof object === 'object' ? object[node.property] : undefined;
+    }
+
+    case 'CallExpression': {
+      const source = requireSource(node);
+      const module = source && discovery ? discovery.loadImport(scope.module, source) : null;
+      const exported = module && module.exports.get('default');
+      return exported ? evaluate(exported, module.scope, discovery, depth + 1) : undefined;
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+// Resolves an expression to the string value(s) it can take: literals,
+// template literals and `+` concatenations of constants. Returns null when
+// any part is unknown and cannot be represented.
+function resolveString(node, scope, discovery, depth = 0) {
+  if (!node || depth > 10) return null;
+
+  switch (node.type) {
+    case 'Literal':
+      if (typeof node.value === 'string') return [node.value];
+      if (node.regex) return [node.raw];
+      return null;
+
+    case 'TemplateLiteral': {
+      let results = [node.quasis[0]];
+      node.expressions.forEach((expression, i) => {
+        const values = resolveString(expression, scope, discovery, depth + 1) ||
+          [`\${${memberName(expression) || 'expression'}}`];
+        results = cartesian(results, values).map(value => value + node.quasis[i + 1]);
+      });
+      return results;
+    }
+
+    case 'BinaryExpression': {
+      if (node.operator !== '+') return null;
+      const left = resolveString(node.left, scope, discovery, depth + 1);
+      const right = resolveString(node.right, scope, discovery, depth + 1);
+      return left && right ? cartesian(left, right) : null;
+    }
+
+    case 'ArrayExpression': {
+      const values = [];
+      for (const element of node.elements) {
+        const resolved = resolveString(element, scope, discovery, depth + 1);
+        if (resolved) values.push(...resolved);
+      }
+      return values.length > 0 ? values : null;
+    }
+
+    case 'Identifier': {
+      const binding = lookup(scope, node.name);
+      if (!binding) return null;
+      if (binding.kind === 'var' && binding.init) {
+        return resolveString(binding.init, binding.scope, discovery, depth + 1);
+      }
+      if (binding.kind === 'import' && discovery) {
+        const module = discovery.loadImport(binding.scope.module, binding.source);
+        const exported = module && module.exports.get(binding.imported);
+        return exported ? resolveString(exported, module.scope, discovery, depth + 1) : null;
+      }
+      return null;
+    }
+
+    case 'MemberExpression': {
+      // `ROUTES.users` where ROUTES is a (possibly imported) object literal
+      const value = evaluate(node, scope, discovery, depth + 1);
+      return typeof value === 'string' ? [value] : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function cartesian(left, right) {
+  const results = [];
+  left.forEach(a => right.forEach(b => results.push(a + b)));
+  return results;
+}
+
+function joinPaths(prefix, routePath) {
+  if (!prefix || prefix === '/') return routePath || prefix || '';
+  if (!routePath || routePath === '/') return prefix;
+  if (routePath.startsWith('/') && routePath.endsWith('/') && routePath.length > 1 && /[\\^$]/.test(routePath)) {
+    // regex route, reported as-is
+    return routePath;
+  }
+  return prefix.replace(/\/+$/, '') + '/' + routePath.replace(/^\/+/, '');
+}
+
+// Finds `req.query.x`, `req.headers['x-id']`, `req.get('X-Id')`,
+// `ctx.request.body.x` and `const { a } = req.body` usages inside a handler.
+// The request object is the handler's first parameter unless `requestParam`
+// names another one (Nest `@Req() req`).
+function extractRequestUsage(fn, module, requestParam) {
+  const parameters = [];
+  const seen = new Set();
+  requestParam = requestParam || (fn.params && fn.params[0]);
+
+  const add = (name, location, line) => {
+    const key = `${location}:${name}`;
+    if (!name || seen.has(key)) return;
+    seen.add(key);
+    parameters.push({ name, in: location, line });
+  };
+
+  if (!requestParam) return parameters;
+
+  // `({ params, query }, res) =>` destructured request objects
+  let requestName = null;
+  const aliases = {};
+  if (requestParam.type === 'Identifier') {
+    requestName = requestParam.name;
+  } else if (requestParam.type === 'ObjectPattern') {
+    requestParam.properties.forEach(p => {
+      if (p.key && REQUEST_SOURCES[p.key] && p.value && p.value.type === 'Identifier') {
+        aliases[p.value.name] = REQUEST_SOURCES[p.key];
+      } else if (p.key && REQUEST_SOURCES[p.key] && p.value && p.value.type === 'ObjectPattern') {
+        p.value.properties.forEach(inner => add(inner.key, REQUEST_SOURCES[p.key], p.value.line));
+      }
+    });
+  }
+
+  // Koa exposes the request both on `ctx` and on `ctx.request`
+  const isRequest = name => name === requestName || name === `${requestName}.request`;
+
+  const sourceOf = node => {
+    const name = memberName(node);
+    if (!name) return null;
+    if (aliases[name]) return aliases[name];
+    const dot = name.lastIndexOf('.');
+    const property = name.slice(dot + 1);
+    if (dot > 0 && isRequest(name.slice(0, dot)) && REQUEST_SOURCES[property]) {
+      return REQUEST_SOURCES[property];
+    }
+    return null;
+  };
+
+  walk(fn.body, node => {
+    if (node.type === 'MemberExpression' && node.property !== null) {
+      const location = sourceOf(node.object);
+      if (location) add(location === 'header' ? node.property.toLowerCase() : node.property, location, node.propertyLine || node.line);
+    } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      const callee = node.callee;
+      const arg = node.arguments[0];
+      if (isRequest(memberName(callee.object)) && ['get', 'header'].includes(callee.property) &&
+          arg && arg.type === 'Literal' && typeof arg.value === 'string') {
+        add(arg.value.toLowerCase(), 'header', node.line);
+      }
+    } else if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach(decl => {
+        const location = decl.init && sourceOf(decl.init);
+        if (location && decl.id && decl.id.type === 'ObjectPattern') {
+          decl.id.properties.forEach(p => add(p.key, location, decl.line));
+        }
+      });
+    }
+  });
+
+  parameters.sort((a, b) => a.line - b.line);
+  return parameters;
+}
+
+// Relative files a module imports or requires, resolved to absolute paths
+function resolveLocalImports(file) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const imports = new Set();
+  walk(parse(source).body, node => {
+    let specifier = null;
+    if (node.type === 'ImportDeclaration' || (node.type === 'ExportNamedDeclaration' && node.source)) {
+      specifier = node.source;
+    } else if (node.type === 'CallExpression') {
+      specifier = requireSource(node);
+    }
+    if (specifier && specifier.startsWith('.')) {
+      const resolved = resolveImportPath(path.dirname(file), specifier);
+      if (resolved) imports.add(resolved);
+    }
+  });
+  return [...imports];
+}
+
+function resolveImportPath(dir, specifier) {
+  const base = path.resolve(dir, specifier);
+  const candidates = [base];
+
+  JS_EXTENSIONS.forEach(ext => candidates.push(base + ext));
+  JS_EXTENSIONS.forEach(ext => candidates.push(path.join(base, 'index' + ext)));
+
+  // TypeScript ESM projects import `./users.js` for `./users.ts`
+  const ext = path.extname(base);
+  if (['.js', '.mjs', '.cjs', '.jsx'].includes(ext)) {
+    const stem = base.slice(0, -ext.length);
+    ['.ts', '.mts', '.cts', '.tsx'].forEach(tsExt => candidates.push(stem + tsExt));
+  }
+
+  return candidates.find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+module.exports = {
+  discoverRoutes,
+  isJavaScriptFile,
+  resolveImportPath,
+  resolveLocalImports,
+  HTTP_METHODS
+};
\ No newline at end of file
@@ -0,0 +1,370 @@
+// Ready-to-run sample requests for every operation in a spec, shared by the
+// request-collection exporters (Postman, Insomnia, HAR, curl, .http). Each
+// sample carries the operation's parameters with example values, an example
+// body synthesized from the request schema, the auth it needs and example
+// responses. Exporters only decide how to write them down; auth is described
+// by scheme name, so every format can use the same variable names for the
+// credentials.
+
+const { HTTP_METHODS } = require('./spec-merge');
+const { resolveLocalRef } = require('./ref-resolver');
+const { exampleFromSchema, exampleFromMedia } = require('./schema-example');
+
+// Headers clients set themselves, or that auth covers
+const MANAGED_HEADERS = ['content-type', 'accept', 'authorization', 'content-length', 'host', 'user-agent'];
+
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+
+// Parameter keys that are not schema keywords in Swagger 2.0
+const PARAMETER_KEYS = ['name', 'in', 'required', 'description', 'allowEmptyValue', 'collectionFormat'];
+
+// Swagger 2.0 parameters as schemas, built once each
+const PARAMETER_SCHEMAS = new WeakMap();
+
+function sampleRequests(spec) {
+  const resolve = value => resolveLocalRef(spec, value).value;
+  const schemes = securitySchemes(spec);
+  const names = new Set();
+  const samples = [];
+
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathItem = resolve(spec.paths[path]) || {};
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      samples.push(sampleRequest(spec, path, pathItem, method, { schemes, resolve, names }));
+    });
+  });
+
+  return samples;
+}
+
+// `{ required, description, content: { mediaType: { schema } } }` of an
+// OpenAPI 3 requestBody or Swagger 2.0 body/formData parameters; null
+// without a body
+function requestBody(spec, operation, parameters, resolve) {
+  if (operation.requestBody) {
+    const body = resolve(operation.requestBody) || {};
+    return { required: Boolean(body.required), description: body.description, content: body.content || {} };
+  }
+
+  const types = operation.consumes || spec.consumes || ['application/json'];
+  const bodyParam = parameters.find(param => param.in === 'body');
+  if (bodyParam) {
+    const content = {};
+    types.forEach(type => {
+      content[type] = { schema: bodyParam.schema };
+    });
+    return { required: Boolean(bodyParam.required), description: bodyParam.description, content };
+  }
+
+  const fields = parameters.filter(param => param.in === 'formData');
+  if (fields.length === 0) return null;
+  const schema = { type: 'object', properties: {}, required: fields.filter(field => field.required).map(field => field.name) };
+  fields.forEach(field => {
+    schema.properties[field.name] = parameterSchema(field, resolve);
+  });
+  if (schema.required.length === 0) delete schema.required;
+  const formTypes = types.filter(type => /x-www-form-urlencoded|multipart\/form-data/i.test(type));
+  const content = {};
+  (formTypes.length > 0 ? formTypes : ['application/x-www-form-urlencoded']).forEach(type => {
+    content[type] = { schema };
+  });
+  return { required: fields.some(field => field.required), content };
+}
+
+// The operation's parameters, resolved: path-level parameters apply unless
+// the operation overrides them
+function operationParameters(pathItem, operation, resolve) {
+  const own = (operation.parameters || []).map(resolve).filter(Boolean);
+  const shared = (pathItem.parameters || []).map(resolve).filter(param => param &&
+    !own.some(ownParam => ownParam.name === param.name && ownParam.in === param.in));
+  return own.concat(shared);
+}
+
+// The schema a parameter's value must match: its `schema`, the schema of
+// its single `content` entry, or (Swagger 2.0) the parameter itself
+function parameterSchema(param, resolve) {
+  if (param.schema) return param.schema;
+  if (param.content) {
+    const media = Object.values(param.content)[0];
+    return media ? media.schema : undefined;
+  }
+  if (!param.type) return undefined;
+  if (!PARAMETER_SCHEMAS.has(param)) {
+    const schema = {};
+    Object.keys(param).filter(key => !PARAMETER_KEYS.includes(key)).forEach(key => {
+      schema[key] = param[key];
+    });
+    if (param.items) schema.items = parameterSchema(resolve(param.items) || {}, resolve) || {};
+    PARAMETER_SCHEMAS.set(param, schema);
+  }
+  return PARAMETER_SCHEMAS.get(param);
+}
+
+function sampleRequest(spec, path, pathItem, method, context) {
+  const { resolve } = context;
+  const operation = pathItem[method];
+
+  const all = operationParameters(pathItem, operation, resolve);
+
+  const parameters = { path: [], query: [], header: [], cookie: [] };
+  all.filter(param => parameters[param.in]).forEach(param => {
+    if (param.in === 'header' && MANAGED_HEADERS.includes(param.name.toLowerCase())) return;
+    const value = param.example !== undefined ? param.example : exampleFromSchema(parameterSchema(param, resolve), { resolve, name: param.name });
+    parameters[param.in].push({
+      name: param.name,
+      // Arrays use the default form/simple style: comma-separated values
+      value: Array.isArray(value) ? value.map(sampleText).join(',') : sampleText(value),
+      description: param.description || '',
+      required: param.in === 'path' || Boolean(param.required)
+    });
+  });
+
+  const responses = operation.responses || {};
+  const successCode = Object.keys(responses).find(code => /^2/.test(code));
+  const successContent = successCode ? responseContent(spec, operation, resolve(responses[successCode]) || {}) : {};
+
+  // An operation's own security overrides the spec's; `security: []` means
+  // no auth
+  const requirements = operation.security || spec.security;
+
+  return {
+    path,
+    method,
+    operation,
+    name: operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`,
+    id: uniqueName(operation.operationId || `${method} ${path}`, context.names),
+    tag: (operation.tags && operation.tags[0]) || null,
+    description: operation.description || operation.summary || '',
+    parameters,
+    accept: Object.keys(successContent).find(type => /json/i.test(type)) || Object.keys(successContent)[0] || null,
+    body: sampleBody(spec, operation, all, resolve),
+    auth: requirementAuth(requirements, context.schemes),
+    ownAuth: Boolean(operation.security),
+    responses: sampleResponses(spec, operation, resolve)
+  };
+}
+
+// Example body from an OpenAPI 3 requestBody or a Swagger 2.0 body/formData
+// parameter: `{ contentType, raw }`, or `{ contentType, fields }` for forms.
+// Binary payloads and file fields are flagged with `file: true` instead.
+function sampleBody(spec, operation, parameters, resolve) {
+  let content = null;
+  if (operation.requestBody) {
+    content = (resolve(operation.requestBody) || {}).content || {};
+  } else {
+    const bodyParam = parameters.find(param => param.in === 'body');
+    const types = operation.consumes || spec.consumes || ['application/json'];
+    if (bodyParam) {
+      content = { [types.find(type => /json/i.test(type)) || types[0]]: { schema: bodyParam.schema } };
+    } else {
+      const fields = parameters.filter(param => param.in === 'formData');
+      if (fields.length === 0) return null;
+      const properties = {};
+      fields.forEach(field => {
+        properties[field.name] = field;
+      });
+      const type = types.includes('multipart/form-data') || fields.some(field => field.type === 'file')
+        ? 'multipart/form-data'
+        : 'application/x-www-form-urlencoded';
+      content = { [type]: { schema: { type: 'object', properties } } };
+    }
+  }
+
+  const types = Object.keys(content);
+  if (types.length === 0) return null;
+  const contentType = types.find(type => /json/i.test(type)) || types[0];
+  const media = content[contentType] || {};
+  const example = exampleFromMedia(media, { resolve, direction: 'request' });
+
+  if (/x-www-form-urlencoded|multipart\/form-data/.test(contentType)) {
+    const schema = resolve(media.schema) || {};
+    const fields = Object.keys(schema.properties || {}).map(name => {
+      const property = resolve(schema.properties[name]) || {};
+      const items = property.type === 'array' ? resolve(property.items) || {} : property;
+      const file = items.type === 'file' || items.format === 'binary';
+      const value = example && typeof example === 'object' ? example[name] : undefined;
+      return { name, value: file ? '' : sampleText(value), file, description: property.description || '' };
+    });
+    return { contentType, fields };
+  }
+
+  const raw = example === undefined ? '' : typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+  if (raw === '' && !/json|xml|text/i.test(contentType)) return { contentType, raw, file: true };
+  return { contentType, raw };
+}
+
+// `{ code, description, contentType, body }` for every documented status code
+function sampleResponses(spec, operation, resolve) {
+  const responses = operation.responses || {};
+  return Object.keys(responses).filter(code => /^\d{3}$/.test(code)).map(code => {
+    const response = resolve(responses[code]) || {};
+    const content = responseContent(spec, operation, response);
+    const contentType = Object.keys(content).find(entry => /json/i.test(entry)) || Object.keys(content)[0] || null;
+    const example = contentType ? exampleFromMedia(content[contentType], { resolve, direction: 'response' }) : undefined;
+
+    return {
+      code: Number(code),
+      description: response.description || '',
+      contentType,
+      body: example === undefined ? '' : typeof example === 'string' ? example : JSON.stringify(example, null, 2)
+    };
+  });
+}
+
+// A response's `{ mediaType: { schema, example } }` map, in OpenAPI 3 form
+// for Swagger 2.0 too
+function responseContent(spec, operation, response) {
+  if (response.content) return response.content;
+  if (!response.schema) return {};
+  // Swagger 2.0 keeps one schema for every produced type and examples keyed
+  // by media type
+  const content = {};
+  (operation.produces || spec.produces || ['application/json']).forEach(type => {
+    const example = response.examples && response.examples[type];
+    content[type] = example !== undefined ? { schema: response.schema, example } : { schema: response.schema };
+  });
+  return content;
+}
+
+// `{ name: { type, in, name, scheme, flows... } }` from OpenAPI 3 or Swagger 2.0
+function securitySchemes(spec) {
+  return (spec.components && spec.components.securitySchemes) || spec.securityDefinitions || {};
+}
+
+// The first satisfiable security requirement, as `{ name, kind, scheme }`
+// for a scheme exporters can fill in, or `{ kind: 'none' }` when a
+// requirement asks for no auth. Null when nothing is required or supported.
+function requirementAuth(requirements, schemes) {
+  if (!Array.isArray(requirements)) return null;
+  for (const requirement of requirements) {
+    const names = Object.keys(requirement || {});
+    if (names.length === 0) return { kind: 'none' };
+    const name = names.find(candidate => schemeKind(schemes[candidate]));
+    if (name) return { name, kind: schemeKind(schemes[name]), scheme: schemes[name] };
+  }
+  return null;
+}
+
+// bearer, basic, apiKey or oauth2 (OpenID Connect tokens are sent the same
+// way); null for schemes no client can fill in from a variable
+function schemeKind(scheme) {
+  if (!scheme) return null;
+  if (scheme.type === 'http') return /^bearer$/i.test(scheme.scheme || '') ? 'bearer' : /^basic$/i.test(scheme.scheme || '') ? 'basic' : null;
+  if (scheme.type === 'basic') return 'basic';
+  if (scheme.type === 'apiKey') return 'apiKey';
+  if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') return 'oauth2';
+  return null;
+}
+
+// Credential variable names for every supported scheme: the scheme name,
+// or `<name>Username`/`<name>Password` for basic auth
+function authVariables(schemes) {
+  const keys = [];
+  Object.keys(schemes).forEach(name => {
+    const kind = schemeKind(schemes[name]);
+    if (kind === 'basic') keys.push(`${name}Username`, `${name}Password`);
+    else if (kind) keys.push(name);
+  });
+  return keys;
+}
+
+// Headers, query parameters and cookies that carry a sample's credentials,
+// with `placeholder(variable)` standing in for each secret. Basic auth is
+// returned as `basic: { username, password }` since formats encode it
+// differently.
+function authCredentials(auth, placeholder) {
+  const credentials = { headers: [], query: [], cookies: [], basic: null };
+  if (!auth || auth.kind === 'none') return credentials;
+
+  if (auth.kind === 'bearer' || auth.kind === 'oauth2') {
+    credentials.headers.push({ name: 'Authorization', value: `Bearer ${placeholder(auth.name)}` });
+  } else if (auth.kind === 'basic') {
+    credentials.basic = { username: placeholder(`${auth.name}Username`), password: placeholder(`${auth.name}Password`) };
+  } else if (auth.kind === 'apiKey') {
+    const entry = { name: auth.scheme.name, value: placeholder(auth.name) };
+    if (auth.scheme.in === 'query') credentials.query.push(entry);
+    else if (auth.scheme.in === 'cookie') credentials.cookies.push(entry);
+    else credentials.headers.push(entry);
+  }
+  return credentials;
+}
+
+// Servers as `{ url, description, variables }`, with Swagger 2.0's host,
+// basePath and schemes turned into URLs
+function specServers(spec) {
+  if (spec.swagger) {
+    if (!spec.host) return [];
+    return (spec.schemes || ['https']).map(scheme => ({ url: `${scheme}://${spec.host}${spec.basePath || ''}`, variables: {} }));
+  }
+  return (spec.servers || []).filter(server => server && server.url).map(server => ({
+    url: server.url,
+    description: server.description,
+    variables: server.variables || {}
+  }));
+}
+
+// The first server with its variables at their defaults, as an absolute URL
+// without a trailing slash
+function defaultBaseUrl(spec) {
+  const server = specServers(spec)[0];
+  if (!server) return DEFAULT_BASE_URL;
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+    const variable = server.variables[name];
+    return variable && variable.default !== undefined ? String(variable.default) : match;
+  }).replace(/\/+$/, '');
+  return /^\w+:\/\//.test(url) ? url : `${DEFAULT_BASE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+// Path with the sample's path parameters filled in
+function samplePath(sample) {
+  return sample.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const param = sample.parameters.path.find(entry => entry.name === name);
+    return param && param.value !== '' ? encodeURIComponent(param.value) : match;
+  });
+}
+
+// Query string (without `?`) of the required query parameters, URL-encoded,
+// followed by `credentials` entries whose values are placeholders and are
+// left as they are
+function sampleQuery(sample, credentials = []) {
+  return sample.parameters.query.filter(param => param.required)
+    .map(param => `${encodeURIComponent(param.name)}=${encodeURIComponent(param.value)}`)
+    .concat(credentials.map(param => `${encodeURIComponent(param.name)}=${param.value}`))
+    .join('&');
+}
+
+function sampleText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Identifier usable as a function or request name: the operationId when it
+// has one, camelCased and made unique
+function uniqueName(text, names) {
+  const words = String(text).replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  let name = words.map((word, index) => index === 0
+    ? word.charAt(0).toLowerCase() + word.slice(1)
+    : word.charAt(0).toUpperCase() + word.slice(1)).join('') || 'request';
+  if (/^\d/.test(name)) name = `op${name}`;
+  const base = name;
+  for (let suffix = 2; names.has(name); suffix++) name = `${base}${suffix}`;
+  names.add(name);
+  return name;
+}
+
+module.exports = {
+  sampleRequests,
+  operationParameters,
+  parameterSchema,
+  requestBody,
+  securitySchemes,
+  authVariables,
+  authCredentials,
+  requirementAuth,
+  specServers,
+  defaultBaseUrl,
+  samplePath,
+  sampleQuery,
+  responseContent,
+  MANAGED_HEADERS
+};
\ No newline at end of file
@@ -0,0 +1,724 @@
+// Builds a sample value for a JSON schema: the schema's own example, default
+// or enum value when it has one, otherwise a value synthesized from its type,
+// format and constraints. Strings without a format take a hint from the
+// property name (an `email` reads like an address, a `city` like a city),
+// numbers stay within minimum/maximum and multipleOf, strings within their
+// lengths and pattern, and arrays within their item counts. `allOf` parts
+// are merged and `oneOf`/`anyOf` take their first choice, with its
+// discriminator value set. Request samples leave out readOnly properties and
+// response samples writeOnly ones.
+//
+// Local `$ref`s are followed through `options.resolve`; a ref, whether a
+// property's or an `allOf` part's, may nest inside itself
+// `options.recursion` times (default 1) and nothing goes deeper than
+// `options.maxDepth` levels. Past either limit a value that may be null (a
+// nullable schema, a `null` type or a `null` choice) is null and optional
+// properties are left out, while required properties and minItems items
+// still nest. Random choices are seeded from `options.seed` and the value's
+// location in the sample, so the same seed always gives the same sample and
+// one property does not change another.
+
+const DEFAULT_SEED = 1;
+const MAX_DEPTH = 8;
+const RECURSION_LIMIT = 1;
+
+const WORDS = ['apple', 'harbor', 'maple', 'summit', 'lantern', 'meadow', 'falcon', 'cobalt', 'river', 'orbit'];
+const FIRST_NAMES = ['Alice', 'Bruno', 'Chen', 'Dana', 'Emeka', 'Freya', 'Gustavo', 'Hana'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Okafor', 'Nakamura', 'Novak', 'Silva', 'Kowalski', 'Larsen'];
+const CITIES = ['Lisbon', 'Toronto', 'Osaka', 'Nairobi', 'Berlin', 'Melbourne', 'Austin', 'Oslo'];
+const COUNTRIES = ['US', 'DE', 'JP', 'BR', 'CA', 'FR', 'IN', 'AU'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY'];
+const COLORS = ['red', 'green', 'blue', 'orange', 'purple'];
+
+const FORMATS = {
+  'date-time': random => dateTime(random),
+  date: random => dateTime(random).slice(0, 10),
+  time: random => dateTime(random).slice(11, 19),
+  duration: random => `PT${1 + Math.floor(random() * 59)}M`,
+  email: random => email(random),
+  'idn-email': random => email(random),
+  uuid: random => uuid(random),
+  uri: random => `https://example.com/${pick(WORDS, random)}`,
+  url: random => `https://example.com/${pick(WORDS, random)}`,
+  iri: random => `https://example.com/${pick(WORDS, random)}`,
+  'uri-reference': random => `/${pick(WORDS, random)}`,
+  hostname: random => `${pick(WORDS, random)}.example.com`,
+  'idn-hostname': random => `${pick(WORDS, random)}.example.com`,
+  ipv4: random => `192.0.2.${1 + Math.floor(random() * 254)}`,
+  ipv6: random => `2001:db8::${(1 + Math.floor(random() * 0xfffe)).toString(16)}`,
+  byte: random => Buffer.from(pick(WORDS, random)).toString('base64'),
+  binary: () => '',
+  password: () => '********'
+};
+
+// What a string property holds, judged by its name
+const STRING_HINTS = [
+  [/e-?mail/i, email],
+  [/^(first|given)[-_]?name$/i, random => pick(FIRST_NAMES, random)],
+  [/^(last|family|sur)[-_]?name$/i, random => pick(LAST_NAMES, random)],
+  [/^(full|display|author|owner|contact)[-_]?name$|^author$/i, random => `${pick(FIRST_NAMES, random)} ${pick(LAST_NAMES, random)}`],
+  [/^(user[-_]?name|login|handle)$/i, random => `${pick(FIRST_NAMES, random).toLowerCase()}${Math.floor(random() * 100)}`],
+  [/phone|mobile|fax/i, random => `+1-555-01${String(Math.floor(random() * 100)).padStart(2, '0')}`],
+  [/(url|uri|link|href|website|homepage)s?$/i, FORMATS.uri],
+  [/city/i, random => pick(CITIES, random)],
+  [/country/i, random => pick(COUNTRIES, random)],
+  [/currency/i, random => pick(CURRENCIES, random)],
+  [/(zip|postal)[-_]?code|^zip$/i, random => String(10000 + Math.floor(random() * 89999))],
+  [/street|address/i, random => `${1 + Math.floor(random() * 200)} ${capitalize(pick(WORDS, random))} Street`],
+  [/colou?r$/i, random => pick(COLORS, random)],
+  [/(^|_)(lang|language|locale)$|Language$|Locale$/i, () => 'en-US'],
+  [/(^|_)date$|Date$/, random => FORMATS.date(random)],
+  [/(_at|At|_on|time|Time|timestamp)$/, random => dateTime(random)],
+  [/^(id|uuid|guid)$|_id$|Id$/, uuid],
+  [/token|secret/i, random => Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16)).join('')],
+  [/^(title|subject|label|headline)$/i, random => `${capitalize(pick(WORDS, random))} ${pick(WORDS, random)}`],
+  [/description|summary|comment|notes?$|message|bio$|text$/i, random => `${capitalize(pick(WORDS, random))} ${pick(WORDS, random)} by the ${pick(WORDS, random)}.`],
+  [/slug/i, random => `${pick(WORDS, random)}-${pick(WORDS, random)}`],
+  [/version$/i, random => `${1 + Math.floor(random() * 3)}.${Math.floor(random() * 10)}.0`],
+  [/name$/i, random => capitalize(pick(WORDS, random))]
+];
+
+// Ranges for numbers without bounds of their own, by property name
+const NUMBER_HINTS = [
+  [/^(lat|latitude)$/i, [-90, 90]],
+  [/^(lng|lon|long|longitude)$/i, [-180, 180]],
+  [/year$/i, [1990, 2030]],
+  [/^age$/i, [18, 80]],
+  [/price|amount|cost|total|balance|fee/i, [1, 1000]]
+];
+const NUMBER_RANGE = [1, 100];
+
+// Candidate characters for pattern escapes and classes
+const DIGITS = '0123456789'.split('');
+const LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const WORD_CHARS = LETTERS.concat(DIGITS, ['_']);
+const PRINTABLE = Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index));
+
+function exampleFromSchema(schema, options = {}) {
+  const state = {
+    resolve: options.resolve || (value => value),
+    direction: options.direction,
+    seed: options.seed === undefined ? DEFAULT_SEED : options.seed,
+    maxDepth: options.maxDepth === undefined ? MAX_DEPTH : options.maxDepth,
+    recursion: options.recursion === undefined ? RECURSION_LIMIT : options.recursion
+  };
+  return sample(schema, state, { name: options.name || '', path: '', depth: 0, refs: [] });
+}
+
+// `at` is where the value goes: the property name, its path in the sample,
+// the nesting depth, the refs followed to get there (`via` is the one this
+// schema was reached through), whether the value is required (and so may
+// recurse past the limit) and whether a `null` choice sits beside it
+function sample(schema, state, at) {
+  if (!schema || typeof schema !== 'object') return undefined;
+  if (at.depth > state.maxDepth) return nullable(schema, state, at) ? null : undefined;
+
+  if (typeof schema.$ref === 'string') {
+    if (recursesTooFar(schema.$ref, at.refs, state) && stopsHere(schema, state, at)) {
+      return nullable(schema, state, at) ? null : undefined;
+    }
+    return sample(state.resolve(schema), state, Object.assign({}, at, { refs: at.refs.concat(schema.$ref), via: schema.$ref }));
+  }
+
+  const own = ownExample(schema, at);
+  if (own !== undefined) return own;
+
+  if (Array.isArray(schema.allOf)) {
+    const merged = mergeAllOf(schema, state, at);
+    if (!merged) return nullable(schema, state, at) ? null : undefined;
+    return sample(merged.schema, state, Object.assign({}, at, { refs: at.refs.concat(merged.refs) }));
+  }
+  const choices = schema.oneOf || schema.anyOf;
+  if (Array.isArray(choices) && choices.length > 0) {
+    return sampleChoice(schema, choices, state, at);
+  }
+
+  switch (schemaType(schema)) {
+    case 'object':
+      return sampleObject(schema, state, at);
+    case 'array':
+      return sampleArray(schema, state, at);
+    case 'string':
+      return sampleString(schema, randomFor(state, at), at);
+    case 'integer':
+      return sampleNumber(schema, randomFor(state, at), at, true);
+    case 'number':
+      return sampleNumber(schema, randomFor(state, at), at, false);
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return undefined;
+  }
+}
+
+// Value the schema documents itself. Array items cycle through an enum so
+// unique items stay unique.
+function ownExample(schema, at) {
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  const values = Array.isArray(schema.enum) ? schema.enum.filter(value => value !== null) : [];
+  if (values.length > 0) return values[(at.index || 0) % values.length];
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  return undefined;
+}
+
+function child(at, name, index, required) {
+  return {
+    name: typeof name === 'string' ? name : at.name,
+    path: `${at.path}/${name}`,
+    depth: at.depth + 1,
+    refs: at.refs,
+    index,
+    required
+  };
+}
+
+function recursesTooFar(ref, refs, state) {
+  return refs.filter(entry => entry === ref).length > state.recursion;
+}
+
+// Whether a value past the recursion limit ends here: one that may be null
+// is null and an optional one is left out, while a required one nests on
+function stopsHere(schema, state, at) {
+  return !at.required || nullable(schema, state, at);
+}
+
+// Whether the value may be null: the schema is nullable, has a `null` type
+// or a `null` choice, or a `null` choice sits beside it
+function nullable(schema, state, at) {
+  if (at.nullable) return true;
+  const resolved = state.resolve(schema);
+  if (!resolved || typeof resolved !== 'object') return false;
+  if (resolved.nullable === true || resolved['x-nullable'] === true) return true;
+  if (resolved.type === 'null' || (Array.isArray(resolved.type) && resolved.type.includes('null'))) return true;
+  return (resolved.oneOf || resolved.anyOf || []).some(choice => isNullSchema(state.resolve(choice)));
+}
+
+function isNullSchema(schema) {
+  return Boolean(schema) && (schema.type === 'null' || (Array.isArray(schema.enum) && schema.enum.length === 1 && schema.enum[0] === null));
+}
+
+// `{ schema, refs }`: one schema with the properties, requirements and
+// constraints of every `allOf` part, and the part refs followed for it. A
+// part's own example only covers that part, so it is dropped; when the
+// schema was reached through a ref and a part names a discriminator it
+// declares, that property gets this schema's value. Null when a part
+// recurses past the limit and the value stops there, since it would lack
+// that part.
+function mergeAllOf(schema, state, at) {
+  const merged = { properties: {}, required: [] };
+  const refs = [];
+  let discriminator = null;
+  let tooFar = false;
+  const add = (part, chain, top) => {
+    if (!part || typeof part !== 'object') return;
+    if (typeof part.$ref === 'string') {
+      // A part that includes itself adds nothing more
+      if (chain.includes(part.$ref)) return;
+      if (recursesTooFar(part.$ref, at.refs.concat(refs), state) && stopsHere(schema, state, at)) {
+        tooFar = true;
+        return;
+      }
+      refs.push(part.$ref);
+      add(state.resolve(part), chain.concat(part.$ref), false);
+      return;
+    }
+    const { allOf, properties, required, example, examples, default: defaultValue, oneOf, anyOf, ...rest } = part;
+    if (rest.discriminator && !top) discriminator = rest.discriminator;
+    (allOf || []).forEach(inner => add(inner, chain, false));
+    Object.keys(rest).filter(key => merged[key] === undefined).forEach(key => {
+      merged[key] = rest[key];
+    });
+    if (top && (oneOf || anyOf)) Object.assign(merged, { oneOf, anyOf });
+    Object.keys(properties || {}).forEach(name => {
+      merged.properties[name] = merged.properties[name] ? { allOf: [merged.properties[name], properties[name]] } : properties[name];
+    });
+    (required || []).filter(name => !merged.required.includes(name)).forEach(name => merged.required.push(name));
+  };
+  add(schema, at.via ? [at.via] : [], true);
+  if (tooFar) return null;
+
+  const ref = at.refs[at.refs.length - 1];
+  const property = discriminator && merged.properties[discriminator.propertyName];
+  if (property && ref && !(pinned(resolvedProperty(property, state.resolve)) && mapped(discriminator, ref) === undefined)) {
+    merged.properties[discriminator.propertyName] = { const: discriminatorValue(discriminator, ref) };
+  }
+  if (!merged.type && Object.keys(merged.properties).length > 0) merged.type = 'object';
+  return { schema: merged, refs };
+}
+
+// The first choice that is not just `null`, with the schema's own
+// properties alongside and the discriminator property, where the choice
+// has one, naming it
+function sampleChoice(schema, choices, state, at) {
+  const choice = choices.find(candidate => !isNullSchema(state.resolve(candidate))) || choices[0];
+  const orNull = choices.some(candidate => isNullSchema(state.resolve(candidate)));
+  const value = sample(choice, state, Object.assign({}, at, { depth: at.depth + 1, via: undefined, nullable: at.nullable || orNull }));
+  if (!isPlainObject(value)) return value;
+
+  const result = Object.assign({}, value);
+  if (schema.properties) {
+    const { oneOf, anyOf, discriminator, ...own } = schema;
+    Object.assign(result, sample(own, state, at));
+  }
+  // A choice that pins the property with a const or enum has its value
+  // already, unless the mapping names another
+  const discriminator = schema.discriminator;
+  if (discriminator && result[discriminator.propertyName] !== undefined && typeof choice.$ref === 'string') {
+    const property = (resolvedProperty(choice, state.resolve).properties || {})[discriminator.propertyName];
+    if (!pinned(resolvedProperty(property, state.resolve)) || mapped(discriminator, choice.$ref) !== undefined) {
+      result[discriminator.propertyName] = discriminatorValue(discriminator, choice.$ref);
+    }
+  }
+  return result;
+}
+
+// The mapping key pointing at the ref, or else the schema's name
+function discriminatorValue(discriminator, ref) {
+  const key = mapped(discriminator, ref);
+  return key !== undefined ? key : ref.split('/').pop();
+}
+
+function mapped(discriminator, ref) {
+  const name = ref.split('/').pop();
+  const mapping = discriminator.mapping || {};
+  return Object.keys(mapping).find(value => mapping[value] === ref || mapping[value] === name);
+}
+
+function pinned(schema) {
+  return schema.const !== undefined || Array.isArray(schema.enum);
+}
+
+function sampleObject(schema, state, at) {
+  const value = {};
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  Object.keys(schema.properties || {}).forEach(name => {
+    const property = resolvedProperty(schema.properties[name], state.resolve);
+    if (state.direction === 'request' && property.readOnly) return;
+    if (state.direction === 'response' && property.writeOnly) return;
+    const example = sample(schema.properties[name], state, child(at, name, undefined, required.includes(name)));
+    if (example !== undefined) value[name] = example;
+  });
+  if (Object.keys(value).length === 0 && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    const count = Math.max(1, Math.min(schema.minProperties || 1, typeof schema.maxProperties === 'number' ? schema.maxProperties : Infinity));
+    for (let index = 0; index < count; index++) {
+      const key = index === 0 ? 'key' : `key${index + 1}`;
+      const example = sample(schema.additionalProperties, state, child(at, key));
+      if (example === undefined) break;
+      value[key] = example;
+    }
+  }
+  return value;
+}
+
+// One item, or minItems of them; duplicates are skipped for uniqueItems
+function sampleArray(schema, state, at) {
+  const max = typeof schema.maxItems === 'number' ? schema.maxItems : Infinity;
+  const count = Math.min(Math.max(schema.minItems || 0, 1), max);
+  const items = [];
+  const seen = new Set();
+  for (let index = 0; items.length < count && index < count * 3; index++) {
+    const item = sample(schema.items, state, child(at, index, index, index < (schema.minItems || 0)));
+    if (item === undefined) break;
+    const key = JSON.stringify(item);
+    if (schema.uniqueItems && seen.has(key)) continue;
+    seen.add(key);
+    items.push(item);
+  }
+  return items;
+}
+
+// A value for the format, or the name, that matches the pattern and fits
+// the length limits
+function sampleString(schema, random, at) {
+  const format = Object.prototype.hasOwnProperty.call(FORMATS, schema.format) ? FORMATS[schema.format] : null;
+  const hint = STRING_HINTS.find(([test]) => test.test(at.name));
+  let value = format ? format(random) : hint ? hint[1](random) : pick(WORDS, random);
+
+  if (typeof schema.pattern === 'string' && !matches(schema.pattern, value)) {
+    const generated = fromPattern(schema.pattern, random, schema.minLength, schema.maxLength);
+    if (generated !== undefined) return generated;
+  }
+  if (schema.format === 'binary') return value;
+  return fitLength(value, schema, random);
+}
+
+function fitLength(text, schema, random) {
+  const min = schema.minLength || 0;
+  const max = typeof schema.maxLength === 'number' ? schema.maxLength : Infinity;
+  let value = text;
+  while (value.length < min) value += value ? ` ${pick(WORDS, random)}` : pick(WORDS, random);
+  if (value.length > max) value = value.slice(0, max).trimEnd().padEnd(Math.min(min, max), 'x');
+  return value;
+}
+
+// A number within the bounds (exclusive ones as booleans in OpenAPI 3.0
+// and numbers in 3.1) and a multiple of multipleOf; without bounds, in a
+// range suited to the property name
+function sampleNumber(schema, random, at, integer) {
+  const bound = (inclusive, exclusive) => {
+    if (typeof exclusive === 'number') return { value: exclusive, exclusive: true };
+    if (typeof inclusive === 'number') return { value: inclusive, exclusive: exclusive === true };
+    return null;
+  };
+  const lower = bound(schema.minimum, schema.exclusiveMinimum);
+  const upper = bound(schema.maximum, schema.exclusiveMaximum);
+  const hint = NUMBER_HINTS.find(([test]) => test.test(at.name));
+  let [low, high] = hint ? hint[1] : NUMBER_RANGE;
+  const span = high - low;
+
+  if (lower && low < lower.value) low = lower.value;
+  if (upper && high > upper.value) high = upper.value;
+  if (low > high) {
+    if (lower && !upper) {
+      high = low + span;
+    } else if (upper && !lower) {
+      low = high - span;
+    } else {
+      [low, high] = [lower.value, upper.value];
+      if (low > high) return low;
+    }
+  }
+
+  const step = typeof schema.multipleOf === 'number' && schema.multipleOf > 0 ? schema.multipleOf : integer ? 1 : 0;
+  const outside = value => (lower && (value < lower.value || (lower.exclusive && value === lower.value))) ||
+    (upper && (value > upper.value || (upper.exclusive && value === upper.value)));
+
+  if (step > 0) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    const round = value => Number(value.toFixed(decimals));
+    const first = Math.ceil(low / step);
+    const last = Math.floor(high / step);
+    if (first > last) return round(first * step);
+    let value = round((first + Math.floor(random() * (last - first + 1))) * step);
+    if (outside(value)) value = round((outside(round(first * step)) ? first + 1 : first) * step);
+    return value;
+  }
+
+  let value = Math.min(high, Math.max(low, Math.round((low + random() * (high - low)) * 100) / 100));
+  if (outside(value)) value = (low + high) / 2;
+  return value;
+}
+
+// The schema's type, inferred from its keywords when it does not say. OpenAPI
+// 3.1 type arrays give their first non-null entry.
+function schemaType(schema) {
+  const type = Array.isArray(schema.type) ? schema.type.find(entry => entry !== 'null') || 'null' : schema.type;
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+function resolvedProperty(property, resolve) {
+  const resolved = property && typeof property.$ref === 'string' ? resolve(property) : property;
+  return resolved && typeof resolved === 'object' ? resolved : {};
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Sample for an OpenAPI media type object, preferring its own examples
+function exampleFromMedia(media, options = {}) {
+  if (!media || typeof media !== 'object') return undefined;
+  if (media.example !== undefined) return media.example;
+  if (media.examples && typeof media.examples === 'object') {
+    const first = Object.values(media.examples).map(example => (options.resolve || (value => value))(example))
+      .find(example => example && example.value !== undefined);
+    if (first) return first.value;
+  }
+  return exampleFromSchema(media.schema, options);
+}
+
+// Random generator for one value: mulberry32 seeded with a hash of the seed
+// and the value's path
+function randomFor(state, at) {
+  let hash = 2166136261;
+  for (const char of `${state.seed}${at.path}`) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  let seed = hash >>> 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let value = seed;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function dateTime(random) {
+  const time = Date.UTC(2024, 0, 1) + Math.floor(random() * 365) * 86400000 + Math.floor(random() * 86400) * 1000;
+  return new Date(time).toISOString().replace('.000Z', 'Z');
+}
+
+function email(random) {
+  return `${pick(FIRST_NAMES, random).toLowerCase()}.${pick(LAST_NAMES, random).toLowerCase()}@example.com`;
+}
+
+// Random version 4 UUID
+function uuid(random) {
+  const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16));
+  hex[12] = '4';
+  hex[16] = '89ab'[Math.floor(random() * 4)];
+  const text = hex.join('');
+  return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+}
+
+// Patterns are ECMA-262 regular expressions; those only valid with the
+// unicode flag (`\p{L}`) are tried with it
+function patternRegex(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    try {
+      return new RegExp(pattern);
+    } catch (inner) {
+      return null;
+    }
+  }
+}
+
+function matches(pattern, value) {
+  const regex = patternRegex(pattern);
+  return !regex || regex.test(value);
+}
+
+// A string matching the pattern, for the syntax patterns use in practice:
+// literals, escapes, classes, groups, alternation and quantifiers.
+// Undefined for anything else (lookarounds, backreferences) or when no
+// attempt fits the length limits.
+function fromPattern(pattern, random, min = 0, max = Infinity) {
+  const regex = patternRegex(pattern);
+  let tree;
+  try {
+    tree = parsePattern(pattern);
+  } catch (error) {
+    return undefined;
+  }
+  for (let attempt = 0; regex && attempt < 20; attempt++) {
+    const text = generatePattern(tree, random);
+    if (regex.test(text) && text.length >= min && text.length <= max) return text;
+  }
+  return undefined;
+}
+
+// Alternation `{ options: [[{ atom, min, max }]] }`, where an atom is a
+// nested alternation or `{ chars }` to choose one from
+function parsePattern(source) {
+  let index = 0;
+
+  const alternation = () => {
+    const options = [sequence()];
+    while (source[index] === '|') {
+      index++;
+      options.push(sequence());
+    }
+    return { options };
+  };
+
+  const sequence = () => {
+    const items = [];
+    while (index < source.length && source[index] !== '|' && source[index] !== ')') {
+      const atom = parseAtom();
+      const [min, max] = quantifier();
+      items.push({ atom, min, max });
+    }
+    return items;
+  };
+
+  const parseAtom = () => {
+    const char = source[index++];
+    if (char === '(') {
+      if (source[index] === '?') {
+        if (source[index + 1] === ':') {
+          index += 2;
+        } else if (source[index + 1] === '<' && /[A-Za-z]/.test(source[index + 2] || '')) {
+          index = source.indexOf('>', index) + 1;
+        } else {
+          throw new Error('Unsupported group');
+        }
+      }
+      const group = alternation();
+      if (source[index++] !== ')') throw new Error('Unclosed group');
+      return group;
+    }
+    if (char === '[') return charClass();
+    if (char === '\\') return escape(false);
+    if (char === '^' || char === '$') return { chars: [''] };
+    if (char === '.') return { chars: WORD_CHARS };
+    return { chars: [char] };
+  };
+
+  const quantifier = () => {
+    const char = source[index];
+    let range;
+    if (char === '*') {
+      range = [0, Infinity];
+      index++;
+    } else if (char === '+') {
+      range = [1, Infinity];
+      index++;
+    } else if (char === '?') {
+      range = [0, 1];
+      index++;
+    } else {
+      const match = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index)) : null;
+      if (!match) return [1, 1];
+      index += match[0].length;
+      const low = Number(match[1]);
+      range = [low, match[2] === undefined ? low : match[3] ? Number(match[3]) : Infinity];
+    }
+    // Lazy quantifiers match the same strings
+    if (source[index] === '?') index++;
+    return range;
+  };
+
+  const charClass = () => {
+    const negate = source[index] === '^';
+    if (negate) index++;
+    const set = new Set();
+    while (index < source.length && source[index] !== ']') {
+      const char = source[index++];
+      const start = char === '\\' ? escape(true).chars : [char];
+      if (start.length === 1 && source[index] === '-' && source[index + 1] !== undefined && source[index + 1] !== ']') {
+        index++;
+        const next = source[index++];
+        const end = next === '\\' ? escape(true).chars : [next];
+        if (end.length !== 1) throw new Error('Unsupported range');
+        const from = start[0].charCodeAt(0);
+        const to = Math.min(end[0].charCodeAt(0), from + 511);
+        for (let code = from; code <= to; code++) set.add(String.fromCharCode(code));
+      } else {
+        start.forEach(entry => set.add(entry));
+      }
+    }
+    if (source[index++] !== ']') throw new Error('Unclosed class');
+    const chars = negate ? PRINTABLE.filter(entry => !set.has(entry)) : Array.from(set);
+    // Printable characters read better where the class allows them
+    const printable = chars.filter(entry => PRINTABLE.includes(entry));
+    if (chars.length === 0) throw new Error('Empty class');
+    return { chars: printable.length > 0 ? printable : chars };
+  };
+
+  const escape = inClass => {
+    const char = source[index++];
+    switch (char) {
+      case 'd':
+        return { chars: DIGITS };
+      case 'D':
+        return { chars: LETTERS };
+      case 'w':
+        return { chars: WORD_CHARS };
+      case 'W':
+        return { chars: ['-'] };
+      case 's':
+        return { chars: [' '] };
+      case 'S':
+        return { chars: WORD_CHARS };
+      case 'b':
+        return { chars: [inClass ? '\b' : ''] };
+      case 'B':
+        return { chars: [''] };
+      case 'n':
+        return { chars: ['\n'] };
+      case 'r':
+        return { chars: ['\r'] };
+      case 't':
+        return { chars: ['\t'] };
+      case 'p':
+      case 'P': {
+        // Unicode property classes stand in as letters
+        const end = source.indexOf('}', index);
+        if (source[index] !== '{' || end < 0) throw new Error('Unsupported escape');
+        index = end + 1;
+        return { chars: char === 'p' ? LETTERS : DIGITS };
+      }
+      case 'u':
+      case 'x': {
+        const length = char === 'u' ? 4 : 2;
+        const hex = source.slice(index, index + length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) throw new Error('Unsupported escape');
+        index += length;
+        return { chars: [String.fromCharCode(parseInt(hex, 16))] };
+      }
+      default:
+        if (char === undefined || /[1-9]/.test(char) || char === 'k') throw new Error('Unsupported escape');
+        return { chars: [char] };
+    }
+  };
+
+  const tree = alternation();
+  if (index < source.length) throw new Error('Unbalanced pattern');
+  return tree;
+}
+
+// Repetitions beyond the minimum are kept short
+function generatePattern(node, random) {
+  if (!node.options) return pick(node.chars, random);
+  return pick(node.options, random).map(item => {
+    const count = item.min + Math.floor(random() * (Math.min(item.max, item.min + 3) - item.min + 1));
+    let text = '';
+    for (let repeat = 0; repeat < count; repeat++) text += generatePattern(item.atom, random);
+    return text;
+  }).join('');
+}
+
+// The reverse direction: a schema describing a sample value, for drafts
+// imported from recorded traffic. Arrays take their items from the first
+// element; strings get a format when they plainly look like one.
+function schemaFromExample(value) {
+  if (value === null) return { nullable: true };
+  if (Array.isArray(value)) {
+    return value.length > 0 ? { type: 'array', items: schemaFromExample(value[0]) } : { type: 'array', items: {} };
+  }
+  switch (typeof value) {
+    case 'object': {
+      const properties = {};
+      Object.keys(value).forEach(name => {
+        properties[name] = schemaFromExample(value[name]);
+      });
+      return { type: 'object', properties };
+    }
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    default: {
+      const schema = { type: 'string' };
+      const format = stringFormat(String(value));
+      if (format) schema.format = format;
+      return schema;
+    }
+  }
+}
+
+function stringFormat(text) {
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) return 'date-time';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return 'date';
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(text)) return 'uuid';
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return 'email';
+  if (/^https?:\/\/\S+$/.test(text)) return 'uri';
+  return null;
+}
+
+module.exports = {
+  exampleFromSchema,
+  exampleFromMedia,
+  schemaFromExample,
+  schemaType,
+  capitalize
+};
\ No newline at end of file
@@ -0,0 +1,957 @@
+// C# client generator: a .NET 8 class library on HttpClient and
+// System.Text.Json, with no package references. Object models are classes
+// of nullable properties, enums are static classes of constants, and unions
+// and untyped values are `object` (a JsonElement once decoded). Operations
+// are async methods taking a CancellationToken; paginated ones also get an
+// IAsyncEnumerable iterator.
+
+const { camelCase, pascalCase, identifiers, uniqueName, exampleArguments, authCalls } = require('./model');
+
+const LABEL = 'C#';
+const FENCE = 'csharp';
+const DEPENDENCIES = [];
+
+const KEYWORDS = ['abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const',
+  'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern', 'false',
+  'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock',
+  'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected', 'public',
+  'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof', 'stackalloc', 'static', 'string', 'struct', 'switch',
+  'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'virtual', 'void',
+  'volatile', 'while'];
+
+// Type names the generated files refer to next to the models, and System
+// types that calling code with `using System;` would find ambiguous. The
+// client imports the models inside its namespace, so they win over others.
+const TAKEN_CLASSES = ['ApiClient', 'BaseClient', 'ApiException', 'RequestSpec', 'Models', 'Task', 'CancellationToken',
+  'JsonElement', 'JsonPropertyName', 'JsonPropertyNameAttribute', 'JsonExtensionData', 'JsonExtensionDataAttribute',
+  'HttpClient', 'System', 'Object', 'String', 'Boolean', 'Byte', 'Char', 'Decimal', 'Double', 'Single', 'Int16', 'Int32',
+  'Int64', 'Array', 'Attribute', 'Action', 'Func', 'Type', 'Version', 'Exception', 'Math', 'Console', 'Environment',
+  'DateTime', 'DateTimeOffset', 'TimeSpan', 'Guid', 'Uri', 'Random', 'Convert', 'Enum', 'Delegate', 'Nullable', 'Index',
+  'Range', 'Buffer', 'GC', 'Lazy', 'Tuple', 'ValueTuple', 'EventArgs', 'Activator', 'IDisposable', 'Span', 'Memory'];
+
+// Members the generated types must not hide
+const OBJECT_MEMBERS = ['Equals', 'GetHashCode', 'GetType', 'ToString', 'MemberwiseClone', 'ReferenceEquals', 'Finalize'];
+const CLIENT_MEMBERS = OBJECT_MEMBERS.concat(['RequestAsync', 'PaginateAsync', 'SetAuthToken', 'SetBasicAuth', 'SetApiKey',
+  'AddSecurityScheme', 'BaseUrl', 'MaxRetries', 'RetryDelay', 'Timeout', 'DefaultHeaders', 'DefaultBaseUrl', 'JsonOptions']);
+
+const classCache = new WeakMap();
+const methodCache = new WeakMap();
+const propertyCache = new WeakMap();
+
+// Root namespace of the generated client
+function packageName(model) {
+  const name = pascalCase(model.title).replace(/[^A-Za-z0-9_]/g, '') || 'Api';
+  return /^[A-Za-z]/.test(name) ? name : `Api${name}`;
+}
+
+function installCommand(info) {
+  return `dotnet add reference /path/to/csharp/${info.packageName}.csproj`;
+}
+
+// Usings, construction, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: 'client.SetAuthToken("your-api-token");',
+    basic: 'client.SetBasicAuth("username", "password");',
+    apiKey: 'client.SetApiKey("your-api-key");'
+  });
+  const namespace = packageName(model);
+  return `using ${namespace};
+${hasModels(model) ? `using ${namespace}.Models;\n` : ''}
+// Initialize the API client
+var client = new ApiClient("${model.baseUrl}");
+${auth.length > 0 ? `\n// Make authenticated requests\n${auth.join('\n')}\n` : ''}
+// Call API methods
+${firstMethod ? firstMethod.example : '// This API has no operations'}`;
+}
+
+// Whether Models.cs declares any types, so its namespace can be imported
+function hasModels(model) {
+  return model.models.some(entry => entry.kind === 'object' || entry.kind === 'enum');
+}
+
+// C# class name per model name
+function classNames(model) {
+  if (!classCache.has(model)) {
+    const reserved = TAKEN_CLASSES.concat(packageName(model));
+    const taken = new Set(reserved);
+    classCache.set(model, new Map(model.models.map(entry => [entry.name, uniqueName(reserved.includes(entry.name) ? `${entry.name}Model` : entry.name, taken)])));
+  }
+  return classCache.get(model);
+}
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS.concat(model.operations.filter(operation => operation.pagination)
+      .map(operation => `Iterate${pascalCase(operation.name)}Async`)));
+    methodCache.set(model, new Map(model.operations.map(operation => [operation, uniqueName(`${pascalCase(operation.name)}Async`, taken)])));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+// Property names of an object model, by wire name; a property may not share
+// its class's name
+function propertyNames(entry, model) {
+  if (!propertyCache.has(entry)) {
+    const reserved = OBJECT_MEMBERS.concat(classNames(model).get(entry.name), entry.additional ? ['AdditionalProperties'] : []);
+    propertyCache.set(entry, identifiers(entry.properties.map(property => property.name), pascalCase, reserved, name => `${name}Value`));
+  }
+  return propertyCache.get(entry);
+}
+
+function methodArguments(operation, model) {
+  const names = identifiers(operation.pathParams.map(param => param.name), camelCase,
+    KEYWORDS.concat(['parameters', 'data', 'cancellationToken', 'page', 'token']), name => `@${name}`);
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), type: csType(param.type, model), param }));
+  const bodyRequired = operation.body && operation.body.required;
+  if (operation.queryParams.length > 0) {
+    args.push({ name: 'parameters', type: 'Dictionary<string, object?>?', optional: !bodyRequired });
+  }
+  if (operation.body) args.push({ name: 'data', type: `${bodyType(operation, model)}${bodyRequired ? '' : '?'}`, optional: !bodyRequired });
+  args.push({ name: 'cancellationToken', type: 'CancellationToken', optional: true });
+  return args;
+}
+
+function argumentList(args) {
+  return args.map(arg => `${arg.type} ${arg.name}${arg.optional ? (arg.type === 'CancellationToken' ? ' = default' : ' = null') : ''}`).join(', ');
+}
+
+// Argument list; returnType() gives the declared return type
+function methodSignature(operation, model) {
+  return `(${argumentList(methodArguments(operation, model))})`;
+}
+
+function returnType(operation, model) {
+  const result = resultType(operation, model);
+  return result ? `Task<${result}>` : 'Task';
+}
+
+// An awaited call of the operation on a `client`, with example arguments
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const args = [];
+  methodArguments(operation, model).forEach(arg => {
+    if (arg.param) {
+      args.push(csValue(values.path.find(entry => entry.param === arg.param).value, arg.param.type, model));
+    } else if (arg.name === 'parameters') {
+      const entries = values.params.map(entry => `[${csString(entry.param.name)}] = ${csValue(entry.value, entry.type, model)}`);
+      args.push(entries.length > 0 ? `new() { ${entries.join(', ')} }` : 'null');
+    } else if (arg.name === 'data') {
+      args.push(operation.body.encoding === 'binary' ? 'File.ReadAllBytes("file")' : csValue(values.body.value, operation.body.type, model));
+    }
+  });
+  // Trailing null optional arguments are left out
+  const optional = methodArguments(operation, model);
+  while (args.length > 0 && args[args.length - 1] === 'null' && optional[args.length - 1].optional) args.pop();
+  const call = `await client.${methodName(operation, model)}(${args.join(', ')});`;
+  return operation.result ? `var result = ${call}\nConsole.WriteLine(result);` : call;
+}
+
+// C# expression for an example value of a type
+function csValue(value, type, model) {
+  if (value === null || value === undefined) return 'null';
+  switch (type.kind) {
+    case 'string':
+      return csString(typeof value === 'string' ? value : JSON.stringify(value));
+    case 'integer':
+      return String(Math.trunc(Number(value)) || 0);
+    case 'number':
+      return `${Number(value) || 0}${type.format === 'float' ? 'f' : ''}`;
+    case 'boolean':
+      return String(value === true || value === 'true');
+    case 'array': {
+      const items = (Array.isArray(value) ? value : [value]).map(item => csValue(item, type.items, model));
+      return `new ${csType(type, model)} { ${items.join(', ')} }`.replace('{  }', '()');
+    }
+    case 'map': {
+      const entries = typeof value === 'object' && !Array.isArray(value)
+        ? Object.keys(value).map(name => `[${csString(name)}] = ${csValue(value[name], type.values, model)}`)
+        : [];
+      return `new ${csType(type, model)} { ${entries.join(', ')} }`.replace('{  }', '()');
+    }
+    case 'file':
+      return 'File.ReadAllBytes("file")';
+    case 'model': {
+      const target = model.models.find(entry => entry.name === type.name);
+      if (!target || target.kind === 'union') return csObject(value);
+      if (target.kind === 'enum') return csValue(value, { kind: target.base || 'string' }, model);
+      if (target.kind === 'alias') return csValue(value, target.type, model);
+      if (typeof value !== 'object' || Array.isArray(value)) return 'null';
+      const properties = propertyNames(target, model);
+      const assignments = target.properties.filter(property => value[property.name] !== undefined)
+        .map(property => `${properties.get(property.name)} = ${csValue(value[property.name], property.type, model)}`);
+      return `new ${classNames(model).get(target.name)} { ${assignments.join(', ')} }`.replace('{  }', '()');
+    }
+    default:
+      return csObject(value);
+  }
+}
+
+// Untyped values as dictionaries, lists and literals
+function csObject(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `new List<object?> { ${value.map(csObject).join(', ')} }`.replace('{  }', '()');
+  if (typeof value === 'object') {
+    return `new Dictionary<string, object?> { ${Object.keys(value).map(name => `[${csString(name)}] = ${csObject(value[name])}`).join(', ')} }`.replace('{  }', '()');
+  }
+  if (typeof value === 'string') return csString(value);
+  return String(value);
+}
+
+function bodyType(operation, model) {
+  return operation.body.encoding === 'binary' ? 'byte[]' : csType(operation.body.type, model);
+}
+
+// Awaited result type, or null for operations without a response body
+function resultType(operation, model) {
+  if (!operation.result) return null;
+  if (operation.result.encoding === 'binary') return 'byte[]?';
+  if (operation.result.encoding === 'text') return 'string?';
+  return `${csType(operation.result.type, model)}?`;
+}
+
+// C# type for a descriptor. Aliases are replaced by what they name and enum
+// models by their base type.
+function csType(type, model, seen = []) {
+  switch (type.kind) {
+    case 'string':
+      return 'string';
+    case 'integer':
+      return type.format === 'int64' ? 'long' : 'int';
+    case 'number':
+      return type.format === 'float' ? 'float' : 'double';
+    case 'boolean':
+      return 'bool';
+    case 'array':
+      return `List<${csType(type.items, model, seen)}>`;
+    case 'map':
+      return `Dictionary<string, ${csType(type.values, model, seen)}>`;
+    case 'file':
+      return 'byte[]';
+    case 'model': {
+      const target = model.models.find(entry => entry.name === type.name);
+      if (!target || target.kind === 'union' || seen.includes(type.name)) return 'object';
+      if (target.kind === 'enum') return { integer: 'long', number: 'double', boolean: 'bool' }[target.base] || 'string';
+      if (target.kind === 'alias') return csType(target.type, model, seen.concat(type.name));
+      return classNames(model).get(target.name);
+    }
+    default:
+      return 'object';
+  }
+}
+
+function generateClient(model, options = {}) {
+  const namespace = options.namespace || packageName(model);
+  return {
+    [`${namespace}.csproj`]: project(model, namespace),
+    'ApiException.cs': API_EXCEPTION.replace(/^namespace .*;/m, `namespace ${namespace};`),
+    'BaseClient.cs': BASE_CLIENT.replace(/^namespace .*;/m, `namespace ${namespace};`),
+    'ApiClient.cs': clientFile(model, namespace),
+    'Models.cs': modelsFile(model, namespace)
+  };
+}
+
+function project(model, namespace) {
+  return `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <TargetFramework>net8.0</TargetFramework>
+    <Nullable>enable</Nullable>
+    <ImplicitUsings>disable</ImplicitUsings>
+    <RootNamespace>${namespace}</RootNamespace>
+    <PackageId>${namespace}.Client</PackageId>
+    <Version>${xml(/^\d+(\.\d+){0,3}(-[\w.-]+)?$/.test(model.version) ? model.version : '1.0.0')}</Version>
+    <Description>${xml(`${model.title} client`)}</Description>
+  </PropertyGroup>
+
+</Project>
+`;
+}
+
+function modelsFile(model, namespace) {
+  const names = classNames(model);
+  const lines = [
+    'using System.Collections.Generic;',
+    'using System.Text.Json;',
+    'using System.Text.Json.Serialization;',
+    '',
+    `namespace ${namespace}.Models;`
+  ];
+  model.models.forEach(entry => {
+    const className = names.get(entry.name);
+    if (entry.kind === 'object') {
+      const properties = propertyNames(entry, model);
+      lines.push('', ...summary(entry.description || `${entry.name} model`, ''), `public class ${className}`, '{');
+      const members = entry.properties.map(property => {
+        const member = [];
+        if (property.description) member.push(...summary(property.description, '    '));
+        member.push(`    [JsonPropertyName(${csString(property.name)})]`, `    public ${csType(property.type, model)}? ${properties.get(property.name)} { get; set; }`);
+        return member;
+      });
+      if (entry.additional) {
+        members.push([
+          '    /// <summary>Properties not declared above.</summary>',
+          '    [JsonExtensionData]',
+          '    public Dictionary<string, JsonElement>? AdditionalProperties { get; set; }'
+        ]);
+      }
+      members.forEach((member, index) => lines.push(...(index > 0 ? [''] : []), ...member));
+      lines.push('}');
+    } else if (entry.kind === 'enum') {
+      const type = csType({ kind: 'model', name: entry.name }, model);
+      const constants = identifiers(entry.values.map(String), pascalCase, OBJECT_MEMBERS.concat(className), name => `${name}Value`);
+      lines.push('', ...summary(entry.description || `Values of ${entry.name}`, ''), `public static class ${className}`, '{');
+      entry.values.forEach(value => {
+        const literal = type === 'string' ? csString(String(value)) : type === 'bool' ? String(value) : `${value}${type === 'long' ? 'L' : 'd'}`;
+        lines.push(`    public const ${type} ${constants.get(String(value))} = ${literal};`);
+      });
+      lines.push('}');
+    }
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+function clientFile(model, namespace) {
+  const lines = [
+    'using System.Collections.Generic;',
+    'using System.Threading;',
+    'using System.Threading.Tasks;',
+    '',
+    `namespace ${namespace};`,
+    '',
+    ...(hasModels(model) ? [`using ${namespace}.Models;`, ''] : []),
+    ...summary(model.description ? `${model.title} ${model.version}\n\n${model.description}` : `${model.title} ${model.version}`, ''),
+    'public class ApiClient : BaseClient',
+    '{',
+    `    public const string DefaultBaseUrl = ${csString(model.baseUrl)};`,
+    '',
+    '    public ApiClient(string baseUrl = DefaultBaseUrl, System.Net.Http.HttpClient? httpClient = null)',
+    '        : base(baseUrl, httpClient)',
+    '    {'
+  ];
+  model.auth.forEach(scheme => {
+    lines.push(scheme.kind === 'apiKey'
+      ? `        AddSecurityScheme(${csString(scheme.name)}, "apiKey", ${csString(scheme.in)}, ${csString(scheme.paramName)});`
+      : `        AddSecurityScheme(${csString(scheme.name)}, ${csString(scheme.kind)}, null, null);`);
+  });
+  lines.push('    }');
+
+  model.operations.forEach(operation => {
+    const name = methodName(operation, model);
+    const args = methodArguments(operation, model);
+    const returns = resultType(operation, model);
+
+    const doc = [];
+    if (operation.summary) doc.push(operation.summary);
+    if (operation.description) doc.push(...(doc.length > 0 ? [''] : []), operation.description);
+    lines.push('', ...summary(doc.join('\n') || `${operation.method.toUpperCase()} ${operation.path}`, '    '));
+    if (doc.length > 0) lines.push(`    /// <remarks><c>${xml(`${operation.method.toUpperCase()} ${operation.path}`)}</c></remarks>`);
+    args.forEach(arg => {
+      let text = 'Cancels the request.';
+      if (arg.param) text = arg.param.description || arg.param.name;
+      else if (arg.name === 'parameters') text = operation.queryParams.map(param => `${param.name} (${param.in}${param.required ? ', required' : ''})`).join(', ');
+      else if (arg.name === 'data') text = operation.body.description || 'Request body.';
+      lines.push(`    /// <param name="${arg.name.replace(/^@/, '')}">${xml(text.replace(/\s+/g, ' ').trim())}</param>`);
+    });
+    if (operation.deprecated) lines.push('    [System.Obsolete]');
+    lines.push(`    public Task${returns ? `<${returns}>` : ''} ${name}(${argumentList(args)})`, '    {');
+    const call = requestCall(operation, args, returns);
+    lines.push(`        return ${call[0]}`, ...call.slice(1).map(line => `            ${line}`));
+    lines.push('    }');
+
+    if (operation.pagination) lines.push('', ...paginationMethod(operation, args, model, name));
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+function requestCall(operation, args, returns) {
+  const steps = [`new RequestSpec(${csString(operation.method.toUpperCase())}, ${csString(operation.path)})`];
+  args.filter(arg => arg.param).forEach(arg => steps.push(`.PathParam(${csString(arg.param.name)}, ${arg.name})`));
+  if (operation.queryParams.length > 0) {
+    steps.push('.Params(parameters)');
+    operation.queryParams.forEach(param => steps.push(`.Location(${csString(param.name)}, ${csString(param.in)}${param.required ? ', true' : ''})`));
+  }
+  if (operation.body) {
+    steps.push(`.Body(data, ${csString(operation.body.contentType)}, ${csString(operation.body.encoding)}${operation.body.required ? ', true' : ''})`);
+  }
+  operation.security.forEach(names => steps.push(`.Security(${names.map(csString).join(', ')})`));
+  if (operation.result) steps.push(`.Accept(${csString(operation.result.contentType)}, ${csString(operation.result.encoding)})`);
+
+  const lines = [`${returns ? `RequestAsync<${returns.replace(/\?$/, '')}>` : 'RequestAsync'}(${steps[0]}`, ...steps.slice(1)];
+  lines[lines.length - 1] += ',';
+  return lines.concat('cancellationToken);');
+}
+
+function paginationMethod(operation, args, model, name) {
+  const paging = operation.pagination;
+  const pageType = csType(operation.result.type, model);
+  const itemType = csType(paging.itemType, model);
+  const accessor = steps => steps.reduce((expression, step, index) => {
+    const entry = model.models.find(candidate => candidate.name === step.model);
+    return `${expression}${index > 0 ? '?' : ''}.${propertyNames(entry, model).get(step.property)}`;
+  }, 'page');
+  const pathArgs = args.filter(arg => arg.param);
+  const callArgs = pathArgs.map(arg => arg.name).concat('page', operation.body ? ['default!'] : [], 'token');
+  const ownArgs = pathArgs.concat(
+    { name: 'parameters', type: 'Dictionary<string, object?>?', optional: true },
+    { name: 'cancellationToken', type: 'CancellationToken', optional: true }
+  );
+  return [
+    ...summary(`Every item of <see cref="${name}"/>, fetching pages as the enumeration reaches them until one comes back empty${paging.kind === 'cursor' ? ' or without a next cursor' : ''}.`, '    ', true),
+    ...(operation.deprecated ? ['    [System.Obsolete]'] : []),
+    `    public IAsyncEnumerable<${itemType}> Iterate${name.replace(/Async$/, '')}Async(${argumentList(ownArgs)})`,
+    '    {',
+    `        return PaginateAsync<${pageType}, ${itemType}>(parameters, ${csString(paging.kind)}, ${csString(paging.param)}, ${paging.start === undefined ? 1 : paging.start},`,
+    `            (page, token) => ${name}(${callArgs.join(', ')}),`,
+    `            page => ${paging.items.length === 0 ? 'page' : accessor(paging.items)},`,
+    `            ${paging.nextCursor ? `page => ${accessor(paging.nextCursor)}` : 'null'},`,
+    '            cancellationToken);',
+    '    }'
+  ];
+}
+
+function summary(text, indent, markup = false) {
+  const lines = String(text).trim().split(/\r?\n/).map(line => (markup ? line : xml(line)).trimEnd());
+  return [`${indent}/// <summary>`, ...lines.map(line => `${indent}/// ${line}`.trimEnd()), `${indent}/// </summary>`];
+}
+
+function csString(value) {
+  // New-line characters are not allowed in regular literals, so everything
+  // outside ASCII is escaped
+  return JSON.stringify(String(value)).replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const API_EXCEPTION = `using System;
+using System.Collections.Generic;
+
+namespace Client;
+
+/// <summary>
+/// A response outside the 2xx range, or a request that could not be sent
+/// (status 0).
+/// </summary>
+public class ApiException : Exception
+{
+    public ApiException(string message, int statusCode, string? body, IReadOnlyDictionary<string, IEnumerable<string>>? headers)
+        : base(message)
+    {
+        StatusCode = statusCode;
+        Body = body;
+        Headers = headers ?? new Dictionary<string, IEnumerable<string>>();
+    }
+
+    public ApiException(string message, Exception innerException)
+        : base(message, innerException)
+    {
+        Headers = new Dictionary<string, IEnumerable<string>>();
+    }
+
+    public int StatusCode { get; }
+
+    public string? Body { get; }
+
+    public IReadOnlyDictionary<string, IEnumerable<string>> Headers { get; }
+}
+`;
+
+const BASE_CLIENT = `using System;
+using System.Collections;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Net;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Reflection;
+using System.Runtime.CompilerServices;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace Client;
+
+/// <summary>
+/// Request plumbing shared by the generated client: parameter serialization,
+/// auth, retries with backoff, timeouts and pagination.
+/// </summary>
+public abstract class BaseClient
+{
+    // Statuses worth another attempt. Only 429 and 503 are retried for
+    // non-idempotent methods, since the server did not act on the request.
+    private static readonly int[] RetryStatuses = { 429, 500, 502, 503, 504 };
+    private static readonly string[] IdempotentMethods = { "GET", "HEAD", "OPTIONS", "PUT", "DELETE", "TRACE" };
+    private static readonly Regex PathParameter = new Regex("\\\\{([^}]+)\\\\}");
+
+    private readonly HttpClient _http;
+    private readonly Dictionary<string, (string Kind, string? In, string? Name)> _schemes = new();
+    private readonly Dictionary<string, string> _apiKeys = new();
+    private string? _token;
+    private string? _basic;
+
+    protected BaseClient(string baseUrl, HttpClient? httpClient)
+    {
+        BaseUrl = baseUrl.TrimEnd('/');
+        _http = httpClient ?? new HttpClient { Timeout = System.Threading.Timeout.InfiniteTimeSpan };
+    }
+
+    public string BaseUrl { get; }
+
+    /// <summary>Retries after a failed attempt (default 2).</summary>
+    public int MaxRetries { get; set; } = 2;
+
+    /// <summary>First backoff, doubled on each retry (default 500 ms).</summary>
+    public TimeSpan RetryDelay { get; set; } = TimeSpan.FromMilliseconds(500);
+
+    /// <summary>Per-attempt timeout (default 30 s).</summary>
+    public TimeSpan Timeout { get; set; } = TimeSpan.FromSeconds(30);
+
+    /// <summary>Headers sent with every request.</summary>
+    public Dictionary<string, string> DefaultHeaders { get; } = new();
+
+    public JsonSerializerOptions JsonOptions { get; } = new()
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        NumberHandling = JsonNumberHandling.AllowReadingFromString
+    };
+
+    /// <summary>Bearer token for HTTP bearer, OAuth 2.0 and OpenID Connect schemes.</summary>
+    public void SetAuthToken(string? token)
+    {
+        _token = token;
+    }
+
+    public void SetBasicAuth(string username, string password)
+    {
+        _basic = Convert.ToBase64String(Encoding.UTF8.GetBytes(username + ":" + password));
+    }
+
+    /// <summary>Key for the named API key scheme, or for every one when the scheme is null.</summary>
+    public void SetApiKey(string value, string? scheme = null)
+    {
+        foreach (var (name, settings) in _schemes)
+        {
+            if (settings.Kind == "apiKey" && (scheme == null || scheme == name))
+            {
+                _apiKeys[name] = value;
+            }
+        }
+    }
+
+    protected void AddSecurityScheme(string name, string kind, string? location, string? parameterName)
+    {
+        _schemes[name] = (kind, location, parameterName);
+    }
+
+    /// <summary>What one operation sends; built by the generated methods.</summary>
+    protected sealed class RequestSpec
+    {
+        internal readonly string Method;
+        internal readonly string Path;
+        internal readonly Dictionary<string, object?> PathParams = new();
+        internal readonly Dictionary<string, string> Locations = new();
+        internal readonly List<string> Required = new();
+        internal readonly List<string[]> Requirements = new();
+        internal IDictionary<string, object?>? Parameters;
+        internal object? Payload;
+        internal string? ContentType;
+        internal string? Encoding;
+        internal bool PayloadRequired;
+        internal string? AcceptType;
+        internal string? ResponseType;
+
+        public RequestSpec(string method, string path)
+        {
+            Method = method;
+            Path = path;
+        }
+
+        public RequestSpec PathParam(string name, object? value)
+        {
+            PathParams[name] = value;
+            return this;
+        }
+
+        public RequestSpec Params(IDictionary<string, object?>? parameters)
+        {
+            Parameters = parameters;
+            return this;
+        }
+
+        public RequestSpec Location(string name, string location, bool required = false)
+        {
+            Locations[name] = location;
+            if (required)
+            {
+                Required.Add(name);
+            }
+            return this;
+        }
+
+        public RequestSpec Body(object? body, string contentType, string encoding, bool required = false)
+        {
+            Payload = body;
+            ContentType = contentType;
+            Encoding = encoding;
+            PayloadRequired = required;
+            return this;
+        }
+
+        public RequestSpec Security(params string[] names)
+        {
+            Requirements.Add(names);
+            return this;
+        }
+
+        public RequestSpec Accept(string contentType, string responseType)
+        {
+            AcceptType = contentType;
+            ResponseType = responseType;
+            return this;
+        }
+    }
+
+    protected async Task RequestAsync(RequestSpec spec, CancellationToken cancellationToken)
+    {
+        using var response = await SendAsync(spec, cancellationToken).ConfigureAwait(false);
+    }
+
+    protected async Task<T?> RequestAsync<T>(RequestSpec spec, CancellationToken cancellationToken)
+    {
+        using var response = await SendAsync(spec, cancellationToken).ConfigureAwait(false);
+        var status = (int)response.StatusCode;
+        if (status == 204 || status == 205)
+        {
+            return default;
+        }
+        var bytes = await response.Content.ReadAsByteArrayAsync(cancellationToken).ConfigureAwait(false);
+        if (spec.ResponseType == "binary")
+        {
+            return (T)(object)bytes;
+        }
+        var text = System.Text.Encoding.UTF8.GetString(bytes);
+        if (spec.ResponseType != "json")
+        {
+            return (T)(object)text;
+        }
+        if (text.Length == 0)
+        {
+            return default;
+        }
+        try
+        {
+            return JsonSerializer.Deserialize<T>(text, JsonOptions);
+        }
+        catch (JsonException error)
+        {
+            throw new ApiException("Could not decode the response of " + spec.Method + " " + spec.Path, error);
+        }
+    }
+
+    private async Task<HttpResponseMessage> SendAsync(RequestSpec spec, CancellationToken cancellationToken)
+    {
+        var parameters = spec.Parameters ?? new Dictionary<string, object?>();
+        foreach (var name in spec.Required)
+        {
+            if (!parameters.TryGetValue(name, out var value) || value == null)
+            {
+                throw new ArgumentException("Missing required parameter " + name);
+            }
+        }
+        if (spec.PayloadRequired && spec.Payload == null)
+        {
+            throw new ArgumentException("Missing required request body");
+        }
+
+        var path = PathParameter.Replace(spec.Path, match =>
+        {
+            if (!spec.PathParams.TryGetValue(match.Groups[1].Value, out var value) || value == null)
+            {
+                throw new ArgumentException("Missing required parameter " + match.Groups[1].Value);
+            }
+            return Uri.EscapeDataString(Text(value));
+        });
+
+        var query = new List<string>();
+        var headers = new Dictionary<string, string>(DefaultHeaders);
+        var cookies = new List<string>();
+        foreach (var (name, value) in parameters)
+        {
+            if (value == null)
+            {
+                continue;
+            }
+            var location = spec.Locations.TryGetValue(name, out var found) ? found : "query";
+            if (location == "header")
+            {
+                headers[name] = string.Join(",", Texts(value));
+            }
+            else if (location == "cookie")
+            {
+                cookies.Add(name + "=" + Uri.EscapeDataString(Text(value)));
+            }
+            else
+            {
+                query.AddRange(Texts(value).Select(item => Uri.EscapeDataString(name) + "=" + Uri.EscapeDataString(item)));
+            }
+        }
+        ApplyAuth(spec.Requirements, query, headers, cookies);
+        if (cookies.Count > 0)
+        {
+            headers["Cookie"] = string.Join("; ", cookies);
+        }
+
+        var url = BaseUrl + path + (query.Count > 0 ? "?" + string.Join("&", query) : "");
+        var idempotent = IdempotentMethods.Contains(spec.Method);
+        for (var attempt = 0; ; attempt++)
+        {
+            using var request = new HttpRequestMessage(new HttpMethod(spec.Method), url);
+            foreach (var (name, value) in headers)
+            {
+                request.Headers.TryAddWithoutValidation(name, value);
+            }
+            if (spec.AcceptType != null)
+            {
+                request.Headers.TryAddWithoutValidation("Accept", spec.AcceptType);
+            }
+            if (spec.Payload != null)
+            {
+                request.Content = Content(spec.Payload, spec.ContentType!, spec.Encoding!);
+            }
+
+            using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+            timeout.CancelAfter(Timeout);
+            HttpResponseMessage response;
+            try
+            {
+                response = await _http.SendAsync(request, HttpCompletionOption.ResponseContentRead, timeout.Token).ConfigureAwait(false);
+            }
+            catch (Exception error) when (error is HttpRequestException || (error is OperationCanceledException && !cancellationToken.IsCancellationRequested))
+            {
+                if (attempt < MaxRetries && idempotent)
+                {
+                    await Task.Delay(RetryDelay * Math.Pow(2, attempt), cancellationToken).ConfigureAwait(false);
+                    continue;
+                }
+                throw new ApiException(spec.Method + " " + url + " could not be sent", error);
+            }
+
+            if (response.IsSuccessStatusCode)
+            {
+                return response;
+            }
+            var status = (int)response.StatusCode;
+            var retryable = idempotent ? RetryStatuses.Contains(status) : status == 429 || status == 503;
+            if (retryable && attempt < MaxRetries)
+            {
+                var delay = response.Headers.RetryAfter?.Delta
+                    ?? (response.Headers.RetryAfter?.Date - DateTimeOffset.UtcNow)
+                    ?? RetryDelay * Math.Pow(2, attempt);
+                response.Dispose();
+                await Task.Delay(delay > TimeSpan.Zero ? delay : TimeSpan.Zero, cancellationToken).ConfigureAwait(false);
+                continue;
+            }
+            var body = await response.Content.ReadAsStringAsync(cancellationToken).ConfigureAwait(false);
+            var responseHeaders = response.Headers.Concat(response.Content.Headers)
+                .GroupBy(header => header.Key)
+                .ToDictionary(group => group.Key, group => group.SelectMany(header => header.Value));
+            response.Dispose();
+            throw new ApiException(spec.Method + " " + spec.Path + " failed with status " + status, status, body, responseHeaders);
+        }
+    }
+
+    /// <summary>Credentials for the first security requirement that can be met.</summary>
+    private void ApplyAuth(List<string[]> requirements, List<string> query, Dictionary<string, string> headers, List<string> cookies)
+    {
+        foreach (var requirement in requirements)
+        {
+            if (!requirement.All(Available))
+            {
+                continue;
+            }
+            foreach (var name in requirement)
+            {
+                var scheme = _schemes[name];
+                if (scheme.Kind == "bearer")
+                {
+                    headers["Authorization"] = "Bearer " + _token;
+                }
+                else if (scheme.Kind == "basic")
+                {
+                    headers["Authorization"] = "Basic " + _basic;
+                }
+                else if (scheme.In == "query")
+                {
+                    query.Add(Uri.EscapeDataString(scheme.Name!) + "=" + Uri.EscapeDataString(_apiKeys[name]));
+                }
+                else if (scheme.In == "cookie")
+                {
+                    cookies.Add(scheme.Name + "=" + Uri.EscapeDataString(_apiKeys[name]));
+                }
+                else
+                {
+                    headers[scheme.Name!] = _apiKeys[name];
+                }
+            }
+            return;
+        }
+    }
+
+    private bool Available(string name)
+    {
+        if (!_schemes.TryGetValue(name, out var scheme))
+        {
+            return false;
+        }
+        return scheme.Kind switch
+        {
+            "bearer" => _token != null,
+            "basic" => _basic != null,
+            _ => _apiKeys.ContainsKey(name)
+        };
+    }
+
+    /// <summary>
+    /// Items of successive pages, fetched as the enumeration reaches them.
+    /// <paramref name="fetch"/> is called with the parameters for the next page.
+    /// </summary>
+    protected async IAsyncEnumerable<TItem> PaginateAsync<TPage, TItem>(
+        IDictionary<string, object?>? parameters, string kind, string param, long start,
+        Func<Dictionary<string, object?>, CancellationToken, Task<TPage?>> fetch,
+        Func<TPage, IEnumerable<TItem>?> items,
+        Func<TPage, object?>? nextCursor,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        object? value = parameters != null && parameters.TryGetValue(param, out var given) && given != null
+            ? given
+            : kind == "page" ? start : kind == "offset" ? 0L : (object?)null;
+        while (true)
+        {
+            var query = parameters == null ? new Dictionary<string, object?>() : new Dictionary<string, object?>(parameters);
+            if (value != null)
+            {
+                query[param] = value;
+            }
+            var page = await fetch(query, cancellationToken).ConfigureAwait(false);
+            var list = page == null ? null : items(page)?.ToList();
+            if (list == null || list.Count == 0)
+            {
+                yield break;
+            }
+            foreach (var item in list)
+            {
+                yield return item;
+            }
+            if (kind == "cursor")
+            {
+                value = nextCursor?.Invoke(page!);
+                if (value == null || Text(value).Length == 0)
+                {
+                    yield break;
+                }
+            }
+            else
+            {
+                var number = Convert.ToInt64(Text(value!), CultureInfo.InvariantCulture);
+                value = kind == "page" ? number + 1 : number + list.Count;
+            }
+        }
+    }
+
+    private HttpContent Content(object body, string contentType, string encoding)
+    {
+        if (body is byte[] bytes)
+        {
+            var binary = new ByteArrayContent(bytes);
+            binary.Headers.ContentType = MediaTypeHeaderValue.Parse(contentType);
+            return binary;
+        }
+        if (encoding == "multipart")
+        {
+            var multipart = new MultipartFormDataContent();
+            foreach (var (name, value) in Fields(body))
+            {
+                if (value is byte[] file)
+                {
+                    multipart.Add(new ByteArrayContent(file), name, name);
+                }
+                else if (value != null)
+                {
+                    multipart.Add(new StringContent(Text(value)), name);
+                }
+            }
+            return multipart;
+        }
+        if (encoding == "form")
+        {
+            var fields = Fields(body)
+                .Where(field => field.Value != null)
+                .SelectMany(field => Texts(field.Value!).Select(item => new KeyValuePair<string, string>(field.Key, item)));
+            return new FormUrlEncodedContent(fields);
+        }
+        var text = encoding == "text" && body is string plain ? plain : JsonSerializer.Serialize(body, body.GetType(), JsonOptions);
+        return new StringContent(text, System.Text.Encoding.UTF8, contentType);
+    }
+
+    // Wire names and values of a model or dictionary body
+    private static IEnumerable<KeyValuePair<string, object?>> Fields(object body)
+    {
+        if (body is IDictionary<string, object?> dictionary)
+        {
+            return dictionary;
+        }
+        return body.GetType().GetProperties(BindingFlags.Public | BindingFlags.Instance)
+            .Where(property => property.GetCustomAttribute<JsonExtensionDataAttribute>() == null)
+            .Select(property => new KeyValuePair<string, object?>(
+                property.GetCustomAttribute<JsonPropertyNameAttribute>()?.Name ?? property.Name,
+                property.GetValue(body)));
+    }
+
+    private string Text(object value)
+    {
+        return value switch
+        {
+            string text => text,
+            bool flag => flag ? "true" : "false",
+            IFormattable formattable => formattable.ToString(null, CultureInfo.InvariantCulture),
+            JsonElement { ValueKind: JsonValueKind.String } element => element.GetString() ?? "",
+            _ => JsonSerializer.Serialize(value, value.GetType(), JsonOptions)
+        };
+    }
+
+    private IEnumerable<string> Texts(object value)
+    {
+        return value is IEnumerable items && value is not string && value is not IDictionary
+            ? items.Cast<object?>().Where(item => item != null).Select(item => Text(item!))
+            : new[] { Text(value) };
+    }
+}
+`;
+
+module.exports = {
+  LABEL,
+  FENCE,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  hasModels,
+  generateClient,
+  methodName,
+  methodSignature,
+  methodExample,
+  returnType,
+  csType
+};
\ No newline at end of file
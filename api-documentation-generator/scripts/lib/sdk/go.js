@@ -0,0 +1,314 @@
+// Go documentation target: signatures and examples for a client package
+// named after the API, on net/http and encoding/json. Operations are methods
+// of *Client taking a context.Context, path parameters and a pointer to a
+// per-operation Params struct, and return the decoded result with an error.
+// Optional struct fields are pointers, set through the package's generic
+// Ptr helper. There is no Go client generator; the guide describes the
+// package a Go client is expected to expose.
+
+const { camelCase, pascalCase, identifiers, uniqueName, exampleArguments, authCalls } = require('./model');
+
+const LABEL = 'Go';
+const FENCE = 'go';
+const CLASS_NAME = 'Client';
+const DEPENDENCIES = [];
+
+const KEYWORDS = ['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for', 'func',
+  'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var'];
+
+// Identifiers the package and the examples use next to the models
+const TAKEN_TYPES = ['Client', 'NewClient', 'Ptr', 'APIError', 'Option'];
+const CLIENT_MEMBERS = ['SetAuthToken', 'SetBasicAuth', 'SetAPIKey', 'Do'];
+
+const FILE_EXAMPLE = '[]byte("file content")';
+
+const typeCache = new WeakMap();
+const methodCache = new WeakMap();
+const paramsCache = new WeakMap();
+
+// Package name: the API title in lower case letters and digits
+function packageName(model) {
+  const name = String(model.title).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return /^[a-z]/.test(name) && !KEYWORDS.includes(name) ? name : `api${name}`;
+}
+
+function modulePath(model) {
+  return `example.com/${packageName(model)}`;
+}
+
+function installCommand(info) {
+  return `go get example.com/${info.packageName}`;
+}
+
+function typeNames(model) {
+  if (!typeCache.has(model)) {
+    const taken = new Set(TAKEN_TYPES);
+    typeCache.set(model, new Map(model.models.map(entry => [entry.name, uniqueName(TAKEN_TYPES.includes(entry.name) ? `${entry.name}Model` : entry.name, taken)])));
+  }
+  return typeCache.get(model);
+}
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS);
+    methodCache.set(model, new Map(model.operations.map(operation => [operation, uniqueName(exportedName(operation.name) || 'Call', taken)])));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+// Params struct per operation with query, header or cookie parameters
+function paramsNames(model) {
+  if (!paramsCache.has(model)) {
+    const taken = new Set(TAKEN_TYPES.concat(Array.from(typeNames(model).values())));
+    paramsCache.set(model, new Map(model.operations.filter(operation => operation.queryParams.length > 0)
+      .map(operation => [operation, uniqueName(`${methodName(operation, model)}Params`, taken)])));
+  }
+  return paramsCache.get(model);
+}
+
+// Exported field names by wire name
+function fieldNames(names) {
+  return identifiers(names, exportedName, [], name => `${name}_`);
+}
+
+function exportedName(text) {
+  const name = pascalCase(text);
+  return /^[0-9]/.test(name) ? `X${name}` : name;
+}
+
+// Go type of a descriptor; `qualifier` prefixes model names (`zooapi.`)
+function goType(type, model, qualifier = '') {
+  switch (type.kind) {
+    case 'string':
+      return 'string';
+    case 'integer':
+      return type.format === 'int32' ? 'int32' : 'int64';
+    case 'number':
+      return type.format === 'float' ? 'float32' : 'float64';
+    case 'boolean':
+      return 'bool';
+    case 'array':
+      return `[]${goType(type.items, model, qualifier)}`;
+    case 'map':
+      return `map[string]${goType(type.values, model, qualifier)}`;
+    case 'file':
+      return '[]byte';
+    case 'model': {
+      const target = resolve(type, model);
+      if (!target) return 'any';
+      if (target.kind === 'object' || target.kind === 'enum') return `${qualifier}${typeNames(model).get(target.name)}`;
+      if (target.kind === 'alias') return goType(target.type, model, qualifier);
+      return 'any';
+    }
+    default:
+      return 'any';
+  }
+}
+
+// The model a model type stands for, through aliases of other models; null
+// when the aliases go round in a circle
+function resolve(type, model, seen = []) {
+  const target = model.models.find(entry => entry.name === type.name);
+  if (!target || seen.includes(target.name)) return null;
+  if (target.kind === 'alias' && target.type.kind === 'model') return resolve(target.type, model, seen.concat(target.name));
+  return target;
+}
+
+// Fields that are pointers when optional: scalars, enums and structs
+function pointable(type, model) {
+  if (['string', 'integer', 'number', 'boolean'].includes(type.kind)) return true;
+  if (type.kind !== 'model') return false;
+  const target = resolve(type, model);
+  if (!target) return false;
+  if (target.kind === 'alias') return pointable(target.type, model);
+  return target.kind === 'object' || target.kind === 'enum';
+}
+
+function isStruct(type, model) {
+  const target = type.kind === 'model' ? resolve(type, model) : null;
+  return Boolean(target && target.kind === 'object');
+}
+
+function methodArguments(operation) {
+  const names = identifiers(operation.pathParams.map(param => param.name), camelCase, KEYWORDS.concat(['ctx', 'params', 'body']), name => `${name}Param`);
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), param }));
+  if (operation.queryParams.length > 0) args.push({ name: 'params' });
+  if (operation.body) args.push({ name: 'body' });
+  return args;
+}
+
+function bodyType(operation, model) {
+  if (operation.body.encoding === 'binary') return '[]byte';
+  return isStruct(operation.body.type, model) ? `*${goType(operation.body.type, model)}` : goType(operation.body.type, model);
+}
+
+function resultType(operation, model) {
+  if (operation.result.encoding === 'binary') return '[]byte';
+  return isStruct(operation.result.type, model) ? `*${goType(operation.result.type, model)}` : goType(operation.result.type, model);
+}
+
+function methodSignature(operation, model) {
+  const args = ['ctx context.Context'].concat(methodArguments(operation).map(arg => {
+    if (arg.param) return `${arg.name} ${goType(arg.param.type, model)}`;
+    if (arg.name === 'params') return `params *${paramsNames(model).get(operation)}`;
+    return `body ${bodyType(operation, model)}`;
+  }));
+  return `(${args.join(', ')}) ${operation.result ? `(${resultType(operation, model)}, error)` : 'error'}`;
+}
+
+// A call of the operation on `client`, with the Params struct and body
+// built first and the error checked
+function methodExample(operation, model) {
+  const qualifier = `${packageName(model)}.`;
+  const values = exampleArguments(operation);
+  const lines = [];
+  const args = ['ctx'].concat(methodArguments(operation).map(arg => {
+    if (arg.param) return goValue(values.path.find(entry => entry.param === arg.param).value, arg.param.type, model, qualifier, false) || zero(arg.param.type, model, qualifier);
+    if (arg.name === 'params') {
+      const names = fieldNames(operation.queryParams.map(param => param.name));
+      const fields = values.params.map(entry => {
+        const value = goValue(entry.value, entry.param.type, model, qualifier, !entry.param.required && pointable(entry.param.type, model));
+        return value ? `${names.get(entry.param.name)}: ${value}` : null;
+      }).filter(Boolean);
+      lines.push(`params := &${qualifier}${paramsNames(model).get(operation)}{${fields.join(', ')}}`);
+      return 'params';
+    }
+    if (operation.body.encoding === 'binary') return FILE_EXAMPLE;
+    const struct = isStruct(operation.body.type, model);
+    lines.push(`body := ${goValue(values.body.value, values.body.type, model, qualifier, struct) || zero(values.body.type, model, qualifier, struct)}`);
+    return 'body';
+  }));
+  const call = `client.${methodName(operation, model)}(${args.join(', ')})`;
+  if (operation.result) {
+    lines.push(`result, err := ${call}`, 'if err != nil {', '\tlog.Fatal(err)', '}', 'fmt.Println(result)');
+  } else {
+    lines.push(`if err := ${call}; err != nil {`, '\tlog.Fatal(err)', '}');
+  }
+  return lines.join('\n');
+}
+
+// Go expression for an example value of a type, or null for nothing to set.
+// `pointer` asks for a pointer, as optional fields are.
+function goValue(value, type, model, qualifier, pointer) {
+  if (value === null || value === undefined) return null;
+  const ptr = expression => (pointer ? `${qualifier}Ptr(${expression})` : expression);
+  switch (type.kind) {
+    case 'string':
+      return ptr(goString(typeof value === 'object' ? JSON.stringify(value) : String(value)));
+    case 'integer': {
+      const number = Math.trunc(Number(value)) || 0;
+      return pointer ? ptr(`${goType(type, model)}(${number})`) : String(number);
+    }
+    case 'number': {
+      const number = Number(value) || 0;
+      return pointer ? ptr(`${goType(type, model)}(${number})`) : String(number);
+    }
+    case 'boolean':
+      return ptr(String(value === true || value === 'true'));
+    case 'array': {
+      const items = (Array.isArray(value) ? value : [value]).map(item => goValue(item, type.items, model, qualifier, false)).filter(Boolean);
+      return `${goType(type, model, qualifier)}{${items.join(', ')}}`;
+    }
+    case 'map': {
+      const entries = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+      const fields = entries.map(name => {
+        const item = goValue(value[name], type.values, model, qualifier, false);
+        return item ? `${goString(name)}: ${item}` : null;
+      }).filter(Boolean);
+      return `${goType(type, model, qualifier)}{${fields.join(', ')}}`;
+    }
+    case 'file':
+      return FILE_EXAMPLE;
+    case 'model':
+      return modelValue(value, type, model, qualifier, pointer);
+    default:
+      return anyValue(value);
+  }
+}
+
+function modelValue(value, type, model, qualifier, pointer) {
+  const target = resolve(type, model);
+  if (!target || target.kind === 'union') return anyValue(value);
+  if (target.kind === 'alias') return goValue(value, target.type, model, qualifier, pointer);
+  const name = `${qualifier}${typeNames(model).get(target.name)}`;
+  if (target.kind === 'enum') {
+    const literal = typeof value === 'string' ? goString(value) : String(value);
+    return pointer ? `${qualifier}Ptr(${name}(${literal}))` : `${name}(${literal})`;
+  }
+  const object = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const names = fieldNames(target.properties.map(property => property.name));
+  const fields = target.properties.filter(property => property.type && object[property.name] !== undefined).map(property => {
+    const field = goValue(object[property.name], property.type, model, qualifier, !property.required && pointable(property.type, model));
+    return field ? `${names.get(property.name)}: ${field}` : null;
+  }).filter(Boolean);
+  return `${pointer ? '&' : ''}${name}{${fields.join(', ')}}`;
+}
+
+// Untyped values as Go's decoded JSON shapes
+function anyValue(value) {
+  if (value === null || value === undefined) return 'nil';
+  if (Array.isArray(value)) return `[]any{${value.map(anyValue).join(', ')}}`;
+  if (typeof value === 'object') return `map[string]any{${Object.keys(value).map(name => `${goString(name)}: ${anyValue(value[name])}`).join(', ')}}`;
+  if (typeof value === 'string') return goString(value);
+  return String(value);
+}
+
+function zero(type, model, qualifier, pointer) {
+  if (type.kind === 'string') return '""';
+  if (['integer', 'number'].includes(type.kind)) return '0';
+  if (type.kind === 'boolean') return 'false';
+  if (isStruct(type, model)) return `${pointer ? '&' : ''}${goType(type, model, qualifier)}{}`;
+  return 'nil';
+}
+
+// JSON string escapes are valid in Go string literals
+function goString(value) {
+  return JSON.stringify(String(value));
+}
+
+// A main package: imports, client, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: 'client.SetAuthToken("your-api-token")',
+    basic: 'client.SetBasicAuth("username", "password")',
+    apiKey: 'client.SetAPIKey("your-api-key")'
+  });
+  const example = firstMethod ? firstMethod.example : '// This API has no operations';
+  const imports = [firstMethod && 'context', /\bfmt\./.test(example) && 'fmt', /\blog\./.test(example) && 'log'].filter(Boolean);
+  const body = [
+    ...(firstMethod ? ['ctx := context.Background()', ''] : []),
+    '// Initialize the API client',
+    `client := ${packageName(model)}.NewClient(${goString(model.baseUrl)})`,
+    ...(auth.length > 0 ? ['', '// Make authenticated requests', ...auth] : []),
+    '',
+    '// Call API methods',
+    ...example.split('\n')
+  ];
+  return `package main
+
+import (
+${imports.map(name => `\t"${name}"\n`).join('')}${imports.length > 0 ? '\n' : ''}\t"${modulePath(model)}"
+)
+
+func main() {
+${body.map(line => (line ? `\t${line}` : '')).join('\n')}
+}`;
+}
+
+module.exports = {
+  LABEL,
+  FENCE,
+  CLASS_NAME,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  methodName,
+  methodSignature,
+  methodExample,
+  goType
+};
\ No newline at end of file
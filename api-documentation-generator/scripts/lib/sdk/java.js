@@ -0,0 +1,1052 @@
+// Java client generator: a Maven project for Java 11+ on java.net.http with
+// Jackson for JSON. Object models are POJOs in a `model` subpackage mapped
+// field by field, enums are classes of string constants, and unions and
+// untyped values are `Object`. BaseClient handles auth, retries, timeouts
+// and lazy pagination; ApiException is unchecked so list helpers can be
+// plain Iterables.
+
+const { camelCase, pascalCase, constantCase, identifiers, uniqueName, exampleArguments, authCalls } = require('./model');
+
+const LABEL = 'Java';
+const FENCE = 'java';
+const JACKSON = 'com.fasterxml.jackson.core:jackson-databind:2.17.1';
+const DEPENDENCIES = [JACKSON];
+
+const KEYWORDS = ['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+  'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements',
+  'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private', 'protected', 'public', 'return',
+  'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void',
+  'volatile', 'while', 'true', 'false', 'null', 'var', 'record', 'yield', 'sealed', 'permits'];
+
+// Class names the generated sources already use or import
+const TAKEN_CLASSES = ['ApiClient', 'BaseClient', 'ApiException', 'Object', 'String', 'Integer', 'Long', 'Double', 'Float',
+  'Boolean', 'Byte', 'Character', 'Short', 'Number', 'Void', 'Class', 'Math', 'System', 'Thread', 'Exception', 'Error',
+  'Override', 'Deprecated', 'List', 'Map', 'LinkedHashMap', 'ArrayList', 'Iterator', 'Iterable', 'Function', 'TypeReference',
+  'JsonProperty', 'JsonInclude', 'JsonIgnoreProperties', 'JsonAutoDetect', 'JsonAnyGetter', 'JsonAnySetter', 'Record',
+  'Enum', 'Runtime', 'Process', 'Package', 'Module', 'StringBuilder', 'Objects', 'Arrays', 'Collections', 'RequestSpec',
+  'Throwable', 'Runnable', 'Comparable', 'CharSequence', 'Cloneable', 'AutoCloseable', 'StringBuffer', 'ThreadLocal',
+  'ClassLoader', 'SecurityManager', 'Compiler', 'ProcessBuilder', 'ProcessHandle', 'StrictMath', 'Readable', 'Appendable',
+  'FunctionalInterface', 'SafeVarargs', 'SuppressWarnings', 'StackWalker', 'ModuleLayer', 'RuntimeException',
+  'IllegalArgumentException', 'IllegalStateException', 'NullPointerException', 'InterruptedException', 'SecurityException',
+  'UnsupportedOperationException', 'IndexOutOfBoundsException', 'ArithmeticException', 'ClassCastException',
+  'AssertionError', 'OutOfMemoryError', 'StackOverflowError', 'Iterable'];
+
+// Base client members operations must not shadow
+const CLIENT_MEMBERS = ['request', 'paginate', 'setAuthToken', 'setBasicAuth', 'setApiKey', 'getBaseUrl', 'setMaxRetries',
+  'setRetryDelay', 'setTimeout', 'setHttpClient', 'setDefaultHeader', 'addSecurityScheme', 'getClass', 'hashCode', 'equals',
+  'toString', 'notify', 'notifyAll', 'wait', 'clone', 'finalize'];
+
+const classCache = new WeakMap();
+const methodCache = new WeakMap();
+const fieldCache = new WeakMap();
+
+// Java class name per model name
+function classNames(model) {
+  if (!classCache.has(model)) {
+    const taken = new Set(TAKEN_CLASSES);
+    classCache.set(model, new Map(model.models.map(entry => [entry.name, uniqueName(TAKEN_CLASSES.includes(entry.name) ? `${entry.name}Model` : entry.name, taken)])));
+  }
+  return classCache.get(model);
+}
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS.concat(model.operations.filter(operation => operation.pagination)
+      .map(operation => `iterate${pascalCase(operation.name)}`)));
+    methodCache.set(model, new Map(model.operations.map(operation => {
+      const name = KEYWORDS.includes(operation.name) ? `${operation.name}Operation` : operation.name;
+      return [operation, uniqueName(name, taken)];
+    })));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+// Field names of an object model, by wire name. `class` would make a
+// getClass() accessor, so it is reserved too.
+function fieldNames(entry) {
+  if (!fieldCache.has(entry)) {
+    fieldCache.set(entry, identifiers(entry.properties.map(property => property.name), camelCase,
+      KEYWORDS.concat(['additionalProperties']), name => `${name}Value`));
+  }
+  return fieldCache.get(entry);
+}
+
+function methodArguments(operation, model) {
+  const names = identifiers(operation.pathParams.map(param => param.name), camelCase, KEYWORDS.concat(['params', 'data', 'page']), name => `${name}Value`);
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), type: javaType(param.type, model), param }));
+  if (operation.queryParams.length > 0) args.push({ name: 'params', type: 'Map<String, Object>' });
+  if (operation.body) args.push({ name: 'data', type: bodyType(operation, model) });
+  return args;
+}
+
+// Argument list; the return type comes from returnType()
+function methodSignature(operation, model) {
+  return `(${methodArguments(operation, model).map(arg => `${arg.type} ${arg.name}`).join(', ')})`;
+}
+
+// Statements calling the operation on a `client`, with example arguments.
+// Model bodies are built with setters first.
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const statements = [];
+  const taken = new Set(['client', 'result']);
+  const args = methodArguments(operation, model).map(arg => {
+    if (arg.param) return javaValue(values.path.find(entry => entry.param === arg.param).value, arg.param.type, model, statements, taken);
+    if (arg.name === 'params') {
+      const entries = values.params.map(entry => [entry.param.name, javaValue(entry.value, entry.type, model, statements, taken)]);
+      return javaMap(entries);
+    }
+    if (operation.body.encoding === 'binary') return 'Files.readAllBytes(Path.of("file"))';
+    return javaValue(values.body.value, operation.body.type, model, statements, taken, 'data');
+  });
+  const returns = returnType(operation, model);
+  const call = `client.${methodName(operation, model)}(${args.join(', ')});`;
+  return statements.concat(returns === 'void' ? call : [`${returns} result = ${call}`, 'System.out.println(result);']).join('\n');
+}
+
+// Java expression for an example value of a type; objects are declared in
+// `statements` and referred to by variable
+function javaValue(value, type, model, statements, taken, hint) {
+  if (value === null || value === undefined) return 'null';
+  switch (type.kind) {
+    case 'string':
+      return javaString(typeof value === 'string' ? value : JSON.stringify(value));
+    case 'integer': {
+      const number = Math.trunc(Number(value)) || 0;
+      return type.format === 'int64' ? `${number}L` : String(number);
+    }
+    case 'number': {
+      const number = Number(value) || 0;
+      return type.format === 'float' ? `${number}f` : Number.isInteger(number) ? `${number}.0` : String(number);
+    }
+    case 'boolean':
+      return String(value === true || value === 'true');
+    case 'array':
+      return `List.of(${(Array.isArray(value) ? value : [value]).filter(item => item !== null)
+        .map(item => javaValue(item, type.items, model, statements, taken, hint)).join(', ')})`;
+    case 'map':
+      return typeof value === 'object' && !Array.isArray(value)
+        ? javaMap(Object.keys(value).filter(name => value[name] !== null).map(name => [name, javaValue(value[name], type.values, model, statements, taken)]))
+        : 'Map.of()';
+    case 'file':
+      return 'Files.readAllBytes(Path.of("file"))';
+    case 'model': {
+      const target = model.models.find(entry => entry.name === type.name);
+      if (!target || target.kind === 'union') return javaObject(value);
+      if (target.kind === 'enum') return javaValue(value, { kind: target.base || 'string' }, model, statements, taken);
+      if (target.kind === 'alias') return javaValue(value, target.type, model, statements, taken, hint);
+      if (typeof value !== 'object' || Array.isArray(value)) return 'null';
+      const className = classNames(model).get(target.name);
+      const variable = uniqueName(hint || camelCase(className) || 'value', taken);
+      const fields = fieldNames(target);
+      statements.push(`${className} ${variable} = new ${className}();`);
+      target.properties.filter(property => value[property.name] !== undefined && value[property.name] !== null).forEach(property => {
+        const field = fields.get(property.name);
+        const expression = javaValue(value[property.name], property.type, model, statements, taken);
+        statements.push(`${variable}.set${pascalCase(field) || field}(${expression});`);
+      });
+      return variable;
+    }
+    default:
+      return javaObject(value);
+  }
+}
+
+// Untyped values as maps, lists and literals
+function javaObject(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `List.of(${value.filter(item => item !== null).map(javaObject).join(', ')})`;
+  if (typeof value === 'object') return javaMap(Object.keys(value).filter(name => value[name] !== null).map(name => [name, javaObject(value[name])]));
+  if (typeof value === 'string') return javaString(value);
+  return String(value);
+}
+
+function javaMap(entries) {
+  if (entries.length <= 10) return `Map.of(${entries.map(([name, expression]) => `${javaString(name)}, ${expression}`).join(', ')})`;
+  return `Map.ofEntries(${entries.map(([name, expression]) => `Map.entry(${javaString(name)}, ${expression})`).join(', ')})`;
+}
+
+function bodyType(operation, model) {
+  return operation.body.encoding === 'binary' ? 'byte[]' : javaType(operation.body.type, model);
+}
+
+function returnType(operation, model) {
+  if (!operation.result) return 'void';
+  if (operation.result.encoding === 'binary') return 'byte[]';
+  if (operation.result.encoding === 'text') return 'String';
+  return javaType(operation.result.type, model);
+}
+
+// Boxed Java type for a descriptor. Aliases are replaced by what they name
+// and enum models by their base type.
+function javaType(type, model, seen = []) {
+  switch (type.kind) {
+    case 'string':
+      return 'String';
+    case 'integer':
+      return type.format === 'int64' ? 'Long' : 'Integer';
+    case 'number':
+      return type.format === 'float' ? 'Float' : 'Double';
+    case 'boolean':
+      return 'Boolean';
+    case 'array':
+      return `List<${javaType(type.items, model, seen)}>`;
+    case 'map':
+      return `Map<String, ${javaType(type.values, model, seen)}>`;
+    case 'file':
+      return 'byte[]';
+    case 'model': {
+      const target = model.models.find(entry => entry.name === type.name);
+      if (!target || target.kind === 'union' || seen.includes(type.name)) return 'Object';
+      if (target.kind === 'enum') return { integer: 'Long', number: 'Double', boolean: 'Boolean' }[target.base] || 'String';
+      if (target.kind === 'alias') return javaType(target.type, model, seen.concat(type.name));
+      return classNames(model).get(target.name);
+    }
+    default:
+      return 'Object';
+  }
+}
+
+// Java package of the generated client
+function packageName(model) {
+  const slug = String(model.title).toLowerCase().replace(/[^a-z0-9]+/g, '');
+  return `com.example.${/^[a-z]/.test(slug) && !KEYWORDS.includes(slug) ? slug : `api${slug}`}`;
+}
+
+function installCommand() {
+  return 'cd /path/to/java && mvn install';
+}
+
+// Imports, construction, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: 'client.setAuthToken("your-api-token");',
+    basic: 'client.setBasicAuth("username", "password");',
+    apiKey: 'client.setApiKey("your-api-key");'
+  });
+  return `import ${packageName(model)}.ApiClient;
+import ${packageName(model)}.model.*;
+
+// Initialize the API client
+ApiClient client = new ApiClient("${model.baseUrl}");
+${auth.length > 0 ? `\n// Make authenticated requests\n${auth.join('\n')}\n` : ''}
+// Call API methods
+${firstMethod ? firstMethod.example : '// This API has no operations'}`;
+}
+
+function generateClient(model, options = {}) {
+  const name = options.packageName || packageName(model);
+  const directory = `src/main/java/${name.replace(/\./g, '/')}`;
+  const files = {
+    'pom.xml': pom(model, options.artifactId || `${String(model.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'api'}-client`),
+    [`${directory}/ApiException.java`]: API_EXCEPTION.replace(/^package .*;/m, `package ${name};`),
+    [`${directory}/BaseClient.java`]: BASE_CLIENT.replace(/^package .*;/m, `package ${name};`),
+    [`${directory}/ApiClient.java`]: clientFile(model, name)
+  };
+  const names = classNames(model);
+  model.models.filter(entry => entry.kind === 'object' || entry.kind === 'enum').forEach(entry => {
+    files[`${directory}/model/${names.get(entry.name)}.java`] = entry.kind === 'object'
+      ? objectClass(entry, model, name)
+      : enumClass(entry, model, name);
+  });
+  return files;
+}
+
+function pom(model, artifactId) {
+  const [groupId, artifact, version] = JACKSON.split(':');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/xsd/maven-4.0.0.xsd">
+  <modelVersion>4.0.0</modelVersion>
+
+  <groupId>com.example</groupId>
+  <artifactId>${xml(artifactId)}</artifactId>
+  <version>${xml(/^[\w.-]+$/.test(model.version) ? model.version : '1.0.0')}</version>
+  <name>${xml(`${model.title} client`)}</name>
+
+  <properties>
+    <maven.compiler.release>11</maven.compiler.release>
+    <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+  </properties>
+
+  <dependencies>
+    <dependency>
+      <groupId>${groupId}</groupId>
+      <artifactId>${artifact}</artifactId>
+      <version>${version}</version>
+    </dependency>
+  </dependencies>
+</project>
+`;
+}
+
+function objectClass(entry, model, packageName) {
+  const names = fieldNames(entry);
+  const className = classNames(model).get(entry.name);
+  const fields = entry.properties.map(property => ({ property, name: names.get(property.name), type: javaType(property.type, model) }));
+  const types = fields.map(field => field.type).concat(entry.additional ? [javaType(entry.additional, model)] : []);
+  const usesList = types.some(type => /\bList</.test(type));
+  const usesMap = entry.additional || types.some(type => /\bMap</.test(type));
+
+  const lines = [`package ${packageName}.model;`, ''];
+  const imports = [
+    ...(entry.additional ? ['com.fasterxml.jackson.annotation.JsonAnyGetter', 'com.fasterxml.jackson.annotation.JsonAnySetter'] : []),
+    'com.fasterxml.jackson.annotation.JsonAutoDetect',
+    'com.fasterxml.jackson.annotation.JsonIgnoreProperties',
+    'com.fasterxml.jackson.annotation.JsonInclude',
+    'com.fasterxml.jackson.annotation.JsonProperty'
+  ];
+  lines.push(...imports.map(name => `import ${name};`));
+  const javaUtil = [...(entry.additional ? ['java.util.LinkedHashMap'] : []), ...(usesList ? ['java.util.List'] : []), ...(usesMap ? ['java.util.Map'] : [])];
+  if (javaUtil.length > 0) lines.push('', ...javaUtil.map(name => `import ${name};`));
+  lines.push('', ...javaDoc(entry.description || `${entry.name} model`, ''));
+  if (entry.deprecated) lines.push('@Deprecated');
+  lines.push(
+    '@JsonAutoDetect(fieldVisibility = JsonAutoDetect.Visibility.ANY, getterVisibility = JsonAutoDetect.Visibility.NONE,',
+    '    isGetterVisibility = JsonAutoDetect.Visibility.NONE, setterVisibility = JsonAutoDetect.Visibility.NONE)',
+    '@JsonInclude(JsonInclude.Include.NON_NULL)',
+    '@JsonIgnoreProperties(ignoreUnknown = true)',
+    `public class ${className} {`
+  );
+  fields.forEach(field => {
+    if (field.property.description) lines.push(...javaDoc(field.property.description, '  '));
+    lines.push(`  @JsonProperty(${javaString(field.property.name)})`, `  private ${field.type} ${field.name};`, '');
+  });
+  if (entry.additional) {
+    lines.push(`  private transient Map<String, ${javaType(entry.additional, model)}> additionalProperties = new LinkedHashMap<>();`, '');
+  }
+  fields.forEach(field => {
+    const accessor = pascalCase(field.name) || field.name;
+    lines.push(
+      `  public ${field.type} get${accessor}() {`,
+      `    return ${field.name};`,
+      '  }',
+      '',
+      `  public void set${accessor}(${field.type} ${field.name}) {`,
+      `    this.${field.name} = ${field.name};`,
+      '  }',
+      ''
+    );
+  });
+  if (entry.additional) {
+    const valueType = javaType(entry.additional, model);
+    lines.push(
+      '  @JsonAnyGetter',
+      `  public Map<String, ${valueType}> getAdditionalProperties() {`,
+      '    return additionalProperties;',
+      '  }',
+      '',
+      '  @JsonAnySetter',
+      `  public void setAdditionalProperty(String name, ${valueType} value) {`,
+      '    additionalProperties.put(name, value);',
+      '  }',
+      ''
+    );
+  }
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+function enumClass(entry, model, packageName) {
+  const className = classNames(model).get(entry.name);
+  const type = javaType({ kind: 'model', name: entry.name }, model);
+  const names = identifiers(entry.values.map(String), constantCase, KEYWORDS.map(keyword => keyword.toUpperCase()));
+  const lines = [`package ${packageName}.model;`, '', ...javaDoc(entry.description || `Values of ${entry.name}`, ''), `public final class ${className} {`];
+  entry.values.forEach(value => {
+    const literal = type === 'String' ? javaString(String(value)) : type === 'Long' ? `${value}L` : type === 'Double' ? `${value}d` : String(value);
+    lines.push(`  public static final ${type} ${names.get(String(value))} = ${literal};`);
+  });
+  lines.push('', `  private ${className}() {`, '  }', '}', '');
+  return lines.join('\n');
+}
+
+function clientFile(model, packageName) {
+  const lines = [
+    `package ${packageName};`,
+    '',
+    'import com.fasterxml.jackson.core.type.TypeReference;',
+    ...(model.models.some(entry => entry.kind === 'object' || entry.kind === 'enum') ? [`import ${packageName}.model.*;`] : []),
+    'import java.util.List;',
+    'import java.util.Map;',
+    '',
+    ...javaDoc(model.description ? `${model.title} ${model.version}\n\n${model.description}` : `${model.title} ${model.version}`, ''),
+    'public class ApiClient extends BaseClient {',
+    `  public static final String DEFAULT_BASE_URL = ${javaString(model.baseUrl)};`,
+    '',
+    '  public ApiClient() {',
+    '    this(DEFAULT_BASE_URL);',
+    '  }',
+    '',
+    '  public ApiClient(String baseUrl) {',
+    '    super(baseUrl);'
+  ];
+  model.auth.forEach(scheme => {
+    lines.push(scheme.kind === 'apiKey'
+      ? `    addSecurityScheme(${javaString(scheme.name)}, "apiKey", ${javaString(scheme.in)}, ${javaString(scheme.paramName)});`
+      : `    addSecurityScheme(${javaString(scheme.name)}, ${javaString(scheme.kind)}, null, null);`);
+  });
+  lines.push('  }');
+
+  model.operations.forEach(operation => {
+    const name = methodName(operation, model);
+    const args = methodArguments(operation, model);
+    const returns = returnType(operation, model);
+
+    const doc = [];
+    if (operation.summary) doc.push(operation.summary);
+    if (operation.description) doc.push(...(doc.length > 0 ? [''] : []), operation.description);
+    doc.push(...(doc.length > 0 ? [''] : []), `<code>${operation.method.toUpperCase()} ${operation.path}</code>`, '');
+    args.forEach(arg => {
+      if (arg.param) doc.push(`@param ${arg.name} ${arg.param.description || arg.param.name}`);
+      else if (arg.name === 'params') doc.push(`@param params ${operation.queryParams.map(param => `${param.name} (${param.in}${param.required ? ', required' : ''})`).join(', ')}`);
+      else doc.push(`@param data ${operation.body.description || 'request body'}`);
+    });
+    if (returns !== 'void') doc.push('@return the response body');
+    if (operation.deprecated) doc.push('@deprecated');
+
+    lines.push('', ...javaDoc(doc.join('\n'), '  '));
+    if (operation.deprecated) lines.push('  @Deprecated');
+    lines.push(`  public ${returns} ${name}(${args.map(arg => `${arg.type} ${arg.name}`).join(', ')}) {`);
+    const call = requestCall(operation, args, returns);
+    lines.push(`    ${returns === 'void' ? '' : 'return '}${call[0]}`, ...call.slice(1).map(line => `        ${line}`));
+    lines.push('  }');
+
+    // Shorthand without the parameter map when nothing in it is required
+    if (args.some(arg => arg.name === 'params') && !operation.queryParams.some(param => param.required)) {
+      const shortArgs = args.filter(arg => arg.name !== 'params');
+      lines.push('');
+      if (operation.deprecated) lines.push('  @Deprecated');
+      lines.push(`  public ${returns} ${name}(${shortArgs.map(arg => `${arg.type} ${arg.name}`).join(', ')}) {`);
+      lines.push(`    ${returns === 'void' ? '' : 'return '}${name}(${args.map(arg => (arg.name === 'params' ? 'null' : arg.name)).join(', ')});`);
+      lines.push('  }');
+    }
+
+    if (operation.pagination) lines.push('', ...paginationMethod(operation, args, model, name));
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+// request(...) call as lines; the first is the statement start
+function requestCall(operation, args, returns) {
+  const steps = [`new RequestSpec(${javaString(operation.method.toUpperCase())}, ${javaString(operation.path)})`];
+  args.filter(arg => arg.param).forEach(arg => steps.push(`.pathParam(${javaString(arg.param.name)}, ${arg.name})`));
+  if (operation.queryParams.length > 0) {
+    steps.push('.params(params)');
+    operation.queryParams.forEach(param => steps.push(`.location(${javaString(param.name)}, ${javaString(param.in)}${param.required ? ', true' : ''})`));
+  }
+  if (operation.body) {
+    steps.push(`.body(data, ${javaString(operation.body.contentType)}, ${javaString(operation.body.encoding)}${operation.body.required ? ', true' : ''})`);
+  }
+  operation.security.forEach(names => steps.push(`.security(${names.map(javaString).join(', ')})`));
+  if (operation.result) steps.push(`.accept(${javaString(operation.result.contentType)}, ${javaString(operation.result.encoding)})`);
+
+  const lines = [`request(${steps[0]}`, ...steps.slice(1)];
+  lines[lines.length - 1] += ',';
+  return lines.concat(`${returns === 'void' ? 'null' : `new TypeReference<${returns}>() {}`});`);
+}
+
+function paginationMethod(operation, args, model, name) {
+  const paging = operation.pagination;
+  const itemType = javaType(paging.itemType, model);
+  const pathArgs = args.filter(arg => arg.param);
+  const accessor = steps => {
+    let expression = 'page';
+    const guards = [];
+    steps.forEach(step => {
+      const entry = model.models.find(candidate => candidate.name === step.model);
+      const field = fieldNames(entry).get(step.property);
+      if (expression !== 'page' || guards.length > 0) guards.push(`${expression} == null`);
+      expression = `${expression}.get${pascalCase(field) || field}()`;
+    });
+    return guards.length > 0 ? `${guards.join(' || ')} ? null : ${expression}` : expression;
+  };
+  // Typed lambdas so the page type does not depend on inference order
+  const page = `(${returnType(operation, model)} page)`;
+  const items = paging.items.length === 0 ? 'page' : accessor(paging.items);
+  const next = paging.nextCursor ? `${page} -> ${accessor(paging.nextCursor)}` : 'null';
+  const call = `${name}(${pathArgs.map(arg => arg.name).concat('page', operation.body ? ['null'] : []).join(', ')})`;
+  return [
+    ...javaDoc(`Every item of {@link #${name}}, fetching pages lazily until one comes back empty${paging.kind === 'cursor' ? ' or without a next cursor' : ''}.`, '  '),
+    `  public Iterable<${itemType}> iterate${pascalCase(name)}(${pathArgs.map(arg => `${arg.type} ${arg.name}`).concat('Map<String, Object> params').join(', ')}) {`,
+    `    return paginate(params, ${javaString(paging.kind)}, ${javaString(paging.param)}, ${paging.start === undefined ? 1 : paging.start}L,`,
+    `        page -> ${call},`,
+    `        ${page} -> ${items},`,
+    `        ${next});`,
+    '  }'
+  ];
+}
+
+function javaDoc(text, indent) {
+  const lines = String(text).replace(/\*\//g, '*&#47;').replace(/\\/g, '&#92;').trim().split(/\r?\n/).map(line => line.trimEnd());
+  return [`${indent}/**`, ...lines.map(line => (line ? `${indent} * ${line}` : `${indent} *`)), `${indent} */`];
+}
+
+function javaString(value) {
+  return JSON.stringify(String(value)).replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const API_EXCEPTION = `package client;
+
+import java.util.Collections;
+import java.util.List;
+import java.util.Map;
+
+/**
+ * A response outside the 2xx range, or a request that could not be sent
+ * (status 0).
+ */
+public class ApiException extends RuntimeException {
+  private final int status;
+  private final String body;
+  private final Map<String, List<String>> headers;
+
+  public ApiException(String message, int status, String body, Map<String, List<String>> headers) {
+    super(message);
+    this.status = status;
+    this.body = body;
+    this.headers = headers == null ? Collections.emptyMap() : headers;
+  }
+
+  public ApiException(String message, Throwable cause) {
+    super(message, cause);
+    this.status = 0;
+    this.body = null;
+    this.headers = Collections.emptyMap();
+  }
+
+  public int getStatus() {
+    return status;
+  }
+
+  public String getBody() {
+    return body;
+  }
+
+  public Map<String, List<String>> getHeaders() {
+    return headers;
+  }
+}
+`;
+
+const BASE_CLIENT = `package client;
+
+import com.fasterxml.jackson.annotation.JsonInclude;
+import com.fasterxml.jackson.core.JsonProcessingException;
+import com.fasterxml.jackson.core.type.TypeReference;
+import com.fasterxml.jackson.databind.DeserializationFeature;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import java.io.ByteArrayOutputStream;
+import java.io.IOException;
+import java.net.URI;
+import java.net.URLEncoder;
+import java.net.http.HttpClient;
+import java.net.http.HttpRequest;
+import java.net.http.HttpResponse;
+import java.nio.charset.StandardCharsets;
+import java.time.Duration;
+import java.util.ArrayList;
+import java.util.Arrays;
+import java.util.Base64;
+import java.util.Iterator;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.NoSuchElementException;
+import java.util.UUID;
+import java.util.function.Function;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+/**
+ * Request plumbing shared by the generated client: parameter serialization,
+ * auth, retries with backoff, timeouts and pagination.
+ */
+public abstract class BaseClient {
+  // Statuses worth another attempt. Only 429 and 503 are retried for
+  // non-idempotent methods, since the server did not act on the request.
+  private static final List<Integer> RETRY_STATUSES = Arrays.asList(429, 500, 502, 503, 504);
+  private static final List<String> IDEMPOTENT_METHODS = Arrays.asList("GET", "HEAD", "OPTIONS", "PUT", "DELETE", "TRACE");
+  private static final Pattern PATH_PARAMETER = Pattern.compile("\\\\{([^}]+)\\\\}");
+
+  private final String baseUrl;
+  private final Map<String, String[]> securitySchemes = new LinkedHashMap<>();
+  private final Map<String, String> apiKeys = new LinkedHashMap<>();
+  private final Map<String, String> defaultHeaders = new LinkedHashMap<>();
+  private String token;
+  private String basic;
+  private int maxRetries = 2;
+  private Duration retryDelay = Duration.ofMillis(500);
+  private Duration timeout = Duration.ofSeconds(30);
+  private HttpClient httpClient = HttpClient.newBuilder().connectTimeout(Duration.ofSeconds(30)).build();
+
+  protected final ObjectMapper mapper = new ObjectMapper()
+      .configure(DeserializationFeature.FAIL_ON_UNKNOWN_PROPERTIES, false)
+      .setSerializationInclusion(JsonInclude.Include.NON_NULL);
+
+  protected BaseClient(String baseUrl) {
+    this.baseUrl = baseUrl.replaceAll("/+$", "");
+  }
+
+  public String getBaseUrl() {
+    return baseUrl;
+  }
+
+  /** Bearer token for HTTP bearer, OAuth 2.0 and OpenID Connect schemes. */
+  public void setAuthToken(String token) {
+    this.token = token;
+  }
+
+  public void setBasicAuth(String username, String password) {
+    this.basic = Base64.getEncoder().encodeToString((username + ":" + password).getBytes(StandardCharsets.UTF_8));
+  }
+
+  /** Key for every API key scheme. */
+  public void setApiKey(String value) {
+    setApiKey(value, null);
+  }
+
+  /** Key for the named API key scheme, or for every one when the scheme is null. */
+  public void setApiKey(String value, String scheme) {
+    securitySchemes.forEach((name, settings) -> {
+      if ("apiKey".equals(settings[0]) && (scheme == null || scheme.equals(name))) {
+        apiKeys.put(name, value);
+      }
+    });
+  }
+
+  /** Retries after a failed attempt (default 2). */
+  public void setMaxRetries(int maxRetries) {
+    this.maxRetries = maxRetries;
+  }
+
+  /** First backoff, doubled on each retry (default 500 ms). */
+  public void setRetryDelay(Duration retryDelay) {
+    this.retryDelay = retryDelay;
+  }
+
+  /** Per-attempt timeout (default 30 s). */
+  public void setTimeout(Duration timeout) {
+    this.timeout = timeout;
+  }
+
+  public void setHttpClient(HttpClient httpClient) {
+    this.httpClient = httpClient;
+  }
+
+  /** Header sent with every request. */
+  public void setDefaultHeader(String name, String value) {
+    defaultHeaders.put(name, value);
+  }
+
+  protected void addSecurityScheme(String name, String kind, String in, String parameterName) {
+    securitySchemes.put(name, new String[] {kind, in, parameterName});
+  }
+
+  /** What one operation sends; built by the generated methods. */
+  protected static final class RequestSpec {
+    final String method;
+    final String path;
+    final Map<String, Object> pathParams = new LinkedHashMap<>();
+    final Map<String, String> locations = new LinkedHashMap<>();
+    final List<String> required = new ArrayList<>();
+    final List<List<String>> security = new ArrayList<>();
+    Map<String, Object> params;
+    Object body;
+    String contentType;
+    String encoding;
+    boolean bodyRequired;
+    String accept;
+    String responseType;
+
+    RequestSpec(String method, String path) {
+      this.method = method;
+      this.path = path;
+    }
+
+    RequestSpec pathParam(String name, Object value) {
+      pathParams.put(name, value);
+      return this;
+    }
+
+    RequestSpec params(Map<String, Object> params) {
+      this.params = params;
+      return this;
+    }
+
+    RequestSpec location(String name, String in) {
+      return location(name, in, false);
+    }
+
+    RequestSpec location(String name, String in, boolean isRequired) {
+      locations.put(name, in);
+      if (isRequired) {
+        required.add(name);
+      }
+      return this;
+    }
+
+    RequestSpec body(Object body, String contentType, String encoding) {
+      return body(body, contentType, encoding, false);
+    }
+
+    RequestSpec body(Object body, String contentType, String encoding, boolean isRequired) {
+      this.body = body;
+      this.contentType = contentType;
+      this.encoding = encoding;
+      this.bodyRequired = isRequired;
+      return this;
+    }
+
+    RequestSpec security(String... names) {
+      security.add(Arrays.asList(names));
+      return this;
+    }
+
+    RequestSpec accept(String accept, String responseType) {
+      this.accept = accept;
+      this.responseType = responseType;
+      return this;
+    }
+  }
+
+  @SuppressWarnings("unchecked")
+  protected <T> T request(RequestSpec spec, TypeReference<T> resultType) {
+    Map<String, Object> params = spec.params == null ? new LinkedHashMap<>() : spec.params;
+    for (String name : spec.required) {
+      if (params.get(name) == null) {
+        throw new IllegalArgumentException("Missing required parameter " + name);
+      }
+    }
+    if (spec.bodyRequired && spec.body == null) {
+      throw new IllegalArgumentException("Missing required request body");
+    }
+
+    StringBuilder path = new StringBuilder();
+    Matcher matcher = PATH_PARAMETER.matcher(spec.path);
+    while (matcher.find()) {
+      Object value = spec.pathParams.get(matcher.group(1));
+      if (value == null) {
+        throw new IllegalArgumentException("Missing required parameter " + matcher.group(1));
+      }
+      matcher.appendReplacement(path, Matcher.quoteReplacement(encode(String.valueOf(value)).replace("+", "%20")));
+    }
+    matcher.appendTail(path);
+
+    List<String> query = new ArrayList<>();
+    Map<String, String> headers = new LinkedHashMap<>(defaultHeaders);
+    List<String> cookies = new ArrayList<>();
+    params.forEach((name, value) -> {
+      if (value == null) {
+        return;
+      }
+      String location = spec.locations.getOrDefault(name, "query");
+      if ("header".equals(location)) {
+        headers.put(name, value instanceof List ? String.join(",", texts((List<?>) value)) : text(value));
+      } else if ("cookie".equals(location)) {
+        cookies.add(name + "=" + encode(text(value)));
+      } else if (value instanceof List) {
+        texts((List<?>) value).forEach(item -> query.add(encode(name) + "=" + encode(item)));
+      } else {
+        query.add(encode(name) + "=" + encode(text(value)));
+      }
+    });
+    applyAuth(spec.security, query, headers, cookies);
+    if (!cookies.isEmpty()) {
+      headers.put("Cookie", String.join("; ", cookies));
+    }
+    if (spec.accept != null) {
+      headers.put("Accept", spec.accept);
+    }
+
+    byte[] payload = null;
+    if (spec.body != null) {
+      String contentType = spec.contentType;
+      if ("multipart".equals(spec.encoding)) {
+        String boundary = UUID.randomUUID().toString().replace("-", "");
+        payload = multipart(toMap(spec.body), boundary);
+        contentType = "multipart/form-data; boundary=" + boundary;
+      } else {
+        payload = encodeBody(spec.body, spec.encoding);
+      }
+      headers.put("Content-Type", contentType);
+    }
+
+    String url = baseUrl + path + (query.isEmpty() ? "" : "?" + String.join("&", query));
+    HttpResponse<byte[]> response = send(spec.method, url, headers, payload);
+    if (resultType == null || response.statusCode() == 204 || response.statusCode() == 205) {
+      return null;
+    }
+    if ("binary".equals(spec.responseType)) {
+      return (T) response.body();
+    }
+    String text = new String(response.body(), StandardCharsets.UTF_8);
+    if (!"json".equals(spec.responseType)) {
+      return (T) text;
+    }
+    if (text.isEmpty()) {
+      return null;
+    }
+    try {
+      return mapper.readValue(text, resultType);
+    } catch (JsonProcessingException error) {
+      throw new ApiException("Could not decode the response of " + spec.method + " " + spec.path, error);
+    }
+  }
+
+  private HttpResponse<byte[]> send(String method, String url, Map<String, String> headers, byte[] payload) {
+    for (int attempt = 0; ; attempt++) {
+      HttpRequest.Builder builder = HttpRequest.newBuilder(URI.create(url)).timeout(timeout)
+          .method(method, payload == null ? HttpRequest.BodyPublishers.noBody() : HttpRequest.BodyPublishers.ofByteArray(payload));
+      headers.forEach(builder::header);
+      HttpResponse<byte[]> response;
+      try {
+        response = httpClient.send(builder.build(), HttpResponse.BodyHandlers.ofByteArray());
+      } catch (IOException error) {
+        if (attempt < maxRetries && IDEMPOTENT_METHODS.contains(method)) {
+          pause(retryDelay.toMillis() << attempt);
+          continue;
+        }
+        throw new ApiException(method + " " + url + " could not be sent", error);
+      } catch (InterruptedException error) {
+        Thread.currentThread().interrupt();
+        throw new ApiException(method + " " + url + " was interrupted", error);
+      }
+
+      int status = response.statusCode();
+      if (status >= 200 && status < 300) {
+        return response;
+      }
+      boolean retryable = IDEMPOTENT_METHODS.contains(method) ? RETRY_STATUSES.contains(status) : status == 429 || status == 503;
+      if (retryable && attempt < maxRetries) {
+        long delay = response.headers().firstValue("Retry-After").map(BaseClient::retryAfter).orElse(-1L);
+        pause(delay >= 0 ? delay : retryDelay.toMillis() << attempt);
+        continue;
+      }
+      throw new ApiException(method + " " + URI.create(url).getPath() + " failed with status " + status, status,
+          new String(response.body(), StandardCharsets.UTF_8), response.headers().map());
+    }
+  }
+
+  /** Credentials for the first security requirement that can be met. */
+  private void applyAuth(List<List<String>> security, List<String> query, Map<String, String> headers, List<String> cookies) {
+    for (List<String> requirement : security) {
+      if (!requirement.stream().allMatch(this::available)) {
+        continue;
+      }
+      for (String name : requirement) {
+        String[] scheme = securitySchemes.get(name);
+        if ("bearer".equals(scheme[0])) {
+          headers.put("Authorization", "Bearer " + token);
+        } else if ("basic".equals(scheme[0])) {
+          headers.put("Authorization", "Basic " + basic);
+        } else if ("query".equals(scheme[1])) {
+          query.add(encode(scheme[2]) + "=" + encode(apiKeys.get(name)));
+        } else if ("cookie".equals(scheme[1])) {
+          cookies.add(scheme[2] + "=" + encode(apiKeys.get(name)));
+        } else {
+          headers.put(scheme[2], apiKeys.get(name));
+        }
+      }
+      return;
+    }
+  }
+
+  private boolean available(String name) {
+    String[] scheme = securitySchemes.get(name);
+    if (scheme == null) {
+      return false;
+    }
+    if ("bearer".equals(scheme[0])) {
+      return token != null;
+    }
+    if ("basic".equals(scheme[0])) {
+      return basic != null;
+    }
+    return apiKeys.containsKey(name);
+  }
+
+  /**
+   * Items of successive pages, fetched as the iteration reaches them.
+   * {@code fetch} is called with the parameters for the next page.
+   */
+  protected <P, T> Iterable<T> paginate(Map<String, Object> params, String kind, String param, long start,
+      Function<Map<String, Object>, P> fetch, Function<P, List<T>> items, Function<P, Object> nextCursor) {
+    return () -> new Iterator<T>() {
+      private Object value = initial();
+      private Iterator<T> current = null;
+      private boolean done = false;
+
+      private Object initial() {
+        Object given = params == null ? null : params.get(param);
+        if (given != null) {
+          return given;
+        }
+        return "page".equals(kind) ? (Object) start : "offset".equals(kind) ? (Object) 0L : null;
+      }
+
+      @Override
+      public boolean hasNext() {
+        while (!done && (current == null || !current.hasNext())) {
+          Map<String, Object> query = params == null ? new LinkedHashMap<>() : new LinkedHashMap<>(params);
+          if (value != null) {
+            query.put(param, value);
+          }
+          P page = fetch.apply(query);
+          List<T> list = page == null ? null : items.apply(page);
+          if (list == null || list.isEmpty()) {
+            done = true;
+            break;
+          }
+          current = list.iterator();
+          if ("cursor".equals(kind)) {
+            value = nextCursor == null ? null : nextCursor.apply(page);
+            done = value == null || value.toString().isEmpty();
+          } else {
+            long number = Long.parseLong(String.valueOf(value));
+            value = "page".equals(kind) ? number + 1 : number + list.size();
+          }
+        }
+        return current != null && current.hasNext();
+      }
+
+      @Override
+      public T next() {
+        if (!hasNext()) {
+          throw new NoSuchElementException();
+        }
+        return current.next();
+      }
+    };
+  }
+
+  private byte[] encodeBody(Object body, String encoding) {
+    if (body instanceof byte[]) {
+      return (byte[]) body;
+    }
+    if ("form".equals(encoding)) {
+      List<String> fields = new ArrayList<>();
+      toMap(body).forEach((name, value) -> {
+        if (value instanceof List) {
+          texts((List<?>) value).forEach(item -> fields.add(encode(name) + "=" + encode(item)));
+        } else if (value != null) {
+          fields.add(encode(name) + "=" + encode(text(value)));
+        }
+      });
+      return String.join("&", fields).getBytes(StandardCharsets.UTF_8);
+    }
+    if ("text".equals(encoding) && body instanceof String) {
+      return ((String) body).getBytes(StandardCharsets.UTF_8);
+    }
+    try {
+      return mapper.writeValueAsBytes(body);
+    } catch (JsonProcessingException error) {
+      throw new ApiException("Could not encode the request body", error);
+    }
+  }
+
+  private byte[] multipart(Map<String, Object> fields, String boundary) {
+    ByteArrayOutputStream output = new ByteArrayOutputStream();
+    fields.forEach((name, value) -> {
+      if (value == null) {
+        return;
+      }
+      boolean file = value instanceof byte[];
+      String header = "--" + boundary + "\\r\\nContent-Disposition: form-data; name=\\"" + name + "\\""
+          + (file ? "; filename=\\"" + name + "\\"\\r\\nContent-Type: application/octet-stream" : "") + "\\r\\n\\r\\n";
+      output.writeBytes(header.getBytes(StandardCharsets.UTF_8));
+      output.writeBytes(file ? (byte[]) value : text(value).getBytes(StandardCharsets.UTF_8));
+      output.writeBytes("\\r\\n".getBytes(StandardCharsets.UTF_8));
+    });
+    output.writeBytes(("--" + boundary + "--\\r\\n").getBytes(StandardCharsets.UTF_8));
+    return output.toByteArray();
+  }
+
+  // Models become maps of wire names; byte arrays stay as they are
+  private Map<String, Object> toMap(Object body) {
+    Map<String, Object> result = new LinkedHashMap<>();
+    if (body instanceof Map) {
+      ((Map<?, ?>) body).forEach((key, value) -> result.put(String.valueOf(key), value));
+      return result;
+    }
+    Map<String, Object> converted = mapper.convertValue(body, new TypeReference<Map<String, Object>>() {});
+    converted.forEach((key, value) -> result.put(key, value));
+    for (java.lang.reflect.Field field : body.getClass().getDeclaredFields()) {
+      com.fasterxml.jackson.annotation.JsonProperty property = field.getAnnotation(com.fasterxml.jackson.annotation.JsonProperty.class);
+      if (property != null && field.getType() == byte[].class) {
+        try {
+          field.setAccessible(true);
+          result.put(property.value(), field.get(body));
+        } catch (IllegalAccessException error) {
+          throw new ApiException("Could not read field " + field.getName(), error);
+        }
+      }
+    }
+    return result;
+  }
+
+  private String text(Object value) {
+    if (value instanceof String || value instanceof Number || value instanceof Boolean) {
+      return String.valueOf(value);
+    }
+    try {
+      return mapper.writeValueAsString(value);
+    } catch (JsonProcessingException error) {
+      return String.valueOf(value);
+    }
+  }
+
+  private List<String> texts(List<?> values) {
+    List<String> result = new ArrayList<>();
+    values.forEach(value -> result.add(text(value)));
+    return result;
+  }
+
+  private static String encode(String value) {
+    return URLEncoder.encode(value, StandardCharsets.UTF_8);
+  }
+
+  // Retry-After in delta-seconds, in milliseconds; -1 for HTTP dates
+  private static long retryAfter(String header) {
+    try {
+      return Math.max(0, Long.parseLong(header.trim()) * 1000);
+    } catch (NumberFormatException error) {
+      return -1;
+    }
+  }
+
+  private static void pause(long milliseconds) {
+    try {
+      Thread.sleep(milliseconds);
+    } catch (InterruptedException error) {
+      Thread.currentThread().interrupt();
+      throw new ApiException("Interrupted while waiting to retry", error);
+    }
+  }
+}
+`;
+
+module.exports = {
+  LABEL,
+  FENCE,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  generateClient,
+  methodName,
+  methodSignature,
+  methodExample,
+  returnType,
+  javaType
+};
\ No newline at end of file
@@ -0,0 +1,665 @@
+// JavaScript client generator: a dependency-free CommonJS package for Node
+// 18+ (global fetch). Models are JSDoc typedefs, so editors and `tsc
+// --checkJs` see typed parameters and results; enums are frozen constant
+// objects. The runtime in src/runtime.js handles auth, retries, timeouts and
+// pagination.
+
+const { camelCase, pascalCase, constantCase, identifiers, uniqueName, exampleArguments, withFiles, authCalls } = require('./model');
+
+const LABEL = 'JavaScript';
+const FENCE = 'javascript';
+const DEPENDENCIES = [];
+
+// Stands for file content in examples
+const FILE_EXAMPLE = "fs.readFileSync('file')";
+
+const RESERVED = ['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum',
+  'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null', 'return',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static',
+  'implements', 'interface', 'package', 'private', 'protected', 'public', 'await', 'arguments', 'eval', 'params', 'data'];
+
+// Methods of the base client that operations must not shadow
+const CLIENT_MEMBERS = ['constructor', 'request', 'paginate', 'setAuthToken', 'setBasicAuth', 'setApiKey'];
+
+const methodCache = new WeakMap();
+
+// Method names per operation, clear of the base client's own members
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS);
+    methodCache.set(model, new Map(model.operations.map(operation => [operation, uniqueName(operation.name, taken)])));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+// Positional path parameters, then `params` for query, header and cookie
+// parameters, then the request body
+function methodArguments(operation) {
+  const names = identifiers(operation.pathParams.map(param => param.name), camelCase, RESERVED, name => `${name}Param`);
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), param }));
+  if (operation.queryParams.length > 0) {
+    const required = operation.queryParams.some(param => param.required);
+    args.push({ name: 'params', optional: !required, defaultValue: required ? null : '{}' });
+  }
+  if (operation.body) args.push({ name: 'data', optional: !operation.body.required, defaultValue: operation.body.required ? null : 'null' });
+  // Only trailing arguments can be left out
+  if (operation.body && operation.body.required) args.forEach(arg => Object.assign(arg, { optional: false }));
+  return args;
+}
+
+function methodSignature(operation) {
+  return `(${methodArguments(operation).map(arg => (arg.defaultValue ? `${arg.name} = ${arg.defaultValue}` : arg.name)).join(', ')})`;
+}
+
+// A call of the operation on an `api` client, with example arguments
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param) return literal(values.path.find(entry => entry.param === arg.param).value);
+    if (arg.name === 'params') {
+      const params = {};
+      values.params.forEach(entry => {
+        params[entry.param.name] = entry.value;
+      });
+      return literal(params);
+    }
+    return operation.body.encoding === 'binary' ? FILE_EXAMPLE : literal(withFiles(values.body.value, values.body.type, model, FILE_EXAMPLE));
+  });
+  // Trailing empty optional arguments are left out
+  while (args.length > 0 && ['{}', 'null'].includes(args[args.length - 1]) && methodArguments(operation)[args.length - 1].optional) args.pop();
+  const call = `await api.${methodName(operation, model)}(${args.join(', ')})`;
+  return operation.result ? `const result = ${call};\nconsole.log(result);` : `${call};`;
+}
+
+function installCommand() {
+  return 'npm install /path/to/javascript';
+}
+
+// Require, construction, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: "api.setAuthToken('your-api-token');",
+    basic: "api.setBasicAuth('username', 'password');",
+    apiKey: "api.setApiKey('your-api-key');"
+  });
+  return `const { ApiClient } = require('${packageName(model)}');
+
+// Initialize the API client
+const api = new ApiClient('${model.baseUrl}');
+${auth.length > 0 ? `\n// Make authenticated requests\n${auth.join('\n')}\n` : ''}
+// Call API methods
+${firstMethod ? firstMethod.example : '// This API has no operations'}`;
+}
+
+// JSDoc type for a descriptor; `models` prefixes model names
+function jsType(type, models = '') {
+  let result;
+  switch (type.kind) {
+    case 'string':
+      result = type.enum ? type.enum.map(literal).join('|') : 'string';
+      break;
+    case 'integer':
+    case 'number':
+      result = type.enum ? type.enum.map(literal).join('|') : 'number';
+      break;
+    case 'boolean':
+      result = 'boolean';
+      break;
+    case 'array':
+      result = `Array<${jsType(type.items, models)}>`;
+      break;
+    case 'map':
+      result = `Object<string, ${jsType(type.values, models)}>`;
+      break;
+    case 'model':
+      result = `${models}${type.name}`;
+      break;
+    case 'file':
+      result = 'Blob|Buffer';
+      break;
+    default:
+      return '*';
+  }
+  return type.nullable || /\|/.test(result) ? `(${result}${type.nullable ? '|null' : ''})` : result;
+}
+
+// npm package name of the generated client
+function packageName(model) {
+  return `${slugName(model.title)}-client`;
+}
+
+function generateClient(model, options = {}) {
+  return {
+    'package.json': `${JSON.stringify({
+      name: options.packageName || packageName(model),
+      version: packageVersion(model.version),
+      description: `Client for ${model.title}`,
+      main: 'index.js',
+      engines: { node: '>=18' },
+      license: 'UNLICENSED'
+    }, null, 2)}\n`,
+    'index.js': indexFile(model),
+    'src/runtime.js': RUNTIME,
+    'src/models.js': modelsFile(model),
+    'src/client.js': clientFile(model)
+  };
+}
+
+function indexFile(model) {
+  const enums = model.models.filter(entry => entry.kind === 'enum').map(entry => entry.name);
+  const lines = [
+    "'use strict';",
+    '',
+    "const { ApiClient } = require('./src/client');",
+    "const { ApiError } = require('./src/runtime');"
+  ];
+  if (enums.length > 0) lines.push(`const { ${enums.join(', ')} } = require('./src/models');`);
+  lines.push('', 'module.exports = {', ['  ApiClient', '  ApiError', ...enums.map(name => `  ${name}`)].join(',\n'), '};', '');
+  return lines.join('\n');
+}
+
+function modelsFile(model) {
+  const lines = ["'use strict';", '', `// Models for ${model.title} ${model.version}`, ''];
+  const enums = [];
+  model.models.forEach(entry => {
+    const doc = [];
+    if (entry.description) doc.push(...commentLines(entry.description), '');
+    switch (entry.kind) {
+      case 'object': {
+        const properties = entry.properties.filter(property => property.type);
+        const simple = properties.every(property => /^[A-Za-z_$][\w$]*$/.test(property.name));
+        if (simple) {
+          doc.push(`@typedef {Object} ${entry.name}`);
+          properties.forEach(property => {
+            const name = property.required ? property.name : `[${property.name}]`;
+            doc.push(`@property {${jsType(property.type)}} ${name}${property.description ? ` - ${oneLine(property.description)}` : ''}`);
+          });
+        } else {
+          const fields = properties.map(property => `${key(property.name)}${property.required ? '' : '?'}: ${jsType(property.type)}`);
+          doc.push(`@typedef {{ ${fields.join(', ')} }} ${entry.name}`);
+        }
+        break;
+      }
+      case 'enum':
+        doc.push(`@typedef {${entry.values.map(literal).join('|')}} ${entry.name}`);
+        enums.push(entry);
+        break;
+      case 'union':
+        doc.push(`@typedef {${entry.variants.map(variant => jsType(variant)).join('|')}} ${entry.name}`);
+        break;
+      default:
+        doc.push(`@typedef {${jsType(entry.type)}} ${entry.name}`);
+    }
+    lines.push(...jsDoc(doc, ''), '');
+  });
+
+  enums.forEach(entry => {
+    const names = identifiers(entry.values.map(String), constantCase, []);
+    lines.push(`const ${entry.name} = Object.freeze({`);
+    lines.push(entry.values.map(value => `  ${names.get(String(value))}: ${literal(value)}`).join(',\n'));
+    lines.push('});', '');
+  });
+  lines.push(`module.exports = {${enums.length > 0 ? `\n${enums.map(entry => `  ${entry.name}`).join(',\n')}\n` : ''}};`, '');
+  return lines.join('\n');
+}
+
+function clientFile(model) {
+  const models = "import('./models').";
+  const schemes = {};
+  model.auth.forEach(scheme => {
+    schemes[scheme.name] = scheme.kind === 'apiKey' ? { kind: 'apiKey', in: scheme.in, name: scheme.paramName } : { kind: scheme.kind };
+  });
+
+  const lines = [
+    "'use strict';",
+    '',
+    "const { BaseClient } = require('./runtime');",
+    '',
+    '/** @type {Object<string, { kind: string, in?: string, name?: string }>} */',
+    `const SECURITY_SCHEMES = ${Object.keys(schemes).length > 0
+      ? `{\n${Object.keys(schemes).map(name => `  ${key(name)}: ${literal(schemes[name])}`).join(',\n')}\n}`
+      : '{}'};`,
+    '',
+    `// Client for ${model.title} ${model.version}`,
+    'class ApiClient extends BaseClient {',
+    '  /**',
+    `   * @param {string} [baseUrl] - Defaults to ${model.baseUrl}`,
+    '   * @param {import(\'./runtime\').ClientOptions} [options]',
+    '   */',
+    '  constructor(baseUrl, options = {}) {',
+    `    super(baseUrl || ${literal(model.baseUrl)}, options, SECURITY_SCHEMES);`,
+    '  }'
+  ];
+
+  model.operations.forEach(operation => {
+    const name = methodName(operation, model);
+    const args = methodArguments(operation);
+    const resultType = operation.result ? (operation.result.encoding === 'binary' ? 'Buffer' : jsType(operation.result.type, models)) : 'void';
+
+    const doc = [];
+    if (operation.summary) doc.push(oneLine(operation.summary));
+    if (operation.description) doc.push(...(doc.length > 0 ? [''] : []), ...commentLines(operation.description));
+    if (doc.length > 0) doc.push('');
+    doc.push(`${operation.method.toUpperCase()} ${operation.path}`);
+    if (operation.deprecated) doc.push('@deprecated');
+    args.forEach(arg => {
+      if (arg.param) {
+        doc.push(`@param {${jsType(arg.param.type, models)}} ${arg.name}${arg.param.description ? ` - ${oneLine(arg.param.description)}` : ''}`);
+      } else if (arg.name === 'params') {
+        doc.push(`@param {${paramsType(operation.queryParams, models)}} ${arg.optional ? '[params]' : 'params'}`);
+      } else {
+        const bodyType = operation.body.encoding === 'binary' ? 'Blob|Buffer|string' : jsType(operation.body.type, models);
+        doc.push(`@param {${bodyType}} ${arg.optional ? '[data]' : 'data'}${operation.body.description ? ` - ${oneLine(operation.body.description)}` : ''}`);
+      }
+    });
+    doc.push(`@returns {Promise<${resultType}>}`);
+
+    lines.push('', ...jsDoc(doc, '  '));
+    lines.push(`  async ${name}${methodSignature(operation)} {`);
+    lines.push(`    return this.request(${requestDescriptor(operation, args, '    ')});`);
+    lines.push('  }');
+
+    if (operation.pagination) {
+      const paging = operation.pagination;
+      const itemType = jsType(paging.itemType, models);
+      const pathArgs = args.filter(arg => arg.param).map(arg => arg.name);
+      const paramsRequired = operation.queryParams.some(param => param.required);
+      const pageDoc = [
+        `Every item of ${name}, fetching pages until one comes back empty${paging.kind === 'cursor' ? ' or without a next cursor' : ''}`,
+        ''
+      ];
+      args.filter(arg => arg.param).forEach(arg => pageDoc.push(`@param {${jsType(arg.param.type, models)}} ${arg.name}`));
+      pageDoc.push(`@param {${paramsType(operation.queryParams, models)}} ${paramsRequired ? 'params' : '[params]'}`, `@returns {AsyncGenerator<${itemType}>}`);
+      lines.push('', ...jsDoc(pageDoc, '  '));
+      lines.push(`  async *iterate${pascalCase(name)}(${pathArgs.concat(paramsRequired ? 'params' : 'params = {}').join(', ')}) {`);
+      lines.push(`    yield* this.paginate(page => this.${name}(${pathArgs.concat('Object.assign({}, params, page)').join(', ')}), params, ${literal({
+        kind: paging.kind,
+        param: paging.param,
+        start: paging.start,
+        items: paging.items.map(step => step.property),
+        nextCursor: paging.nextCursor ? paging.nextCursor.map(step => step.property) : undefined
+      })});`);
+      lines.push('  }');
+    }
+  });
+
+  lines.push('}', '', 'module.exports = {', '  ApiClient', '};', '');
+  return lines.join('\n');
+}
+
+// The object literal passed to BaseClient#request
+function requestDescriptor(operation, args, indent) {
+  const fields = [
+    `method: '${operation.method.toUpperCase()}'`,
+    `path: ${literal(operation.path)}`
+  ];
+  const pathArgs = args.filter(arg => arg.param);
+  if (pathArgs.length > 0) {
+    fields.push(`pathParams: { ${pathArgs.map(arg => `${key(arg.param.name)}: ${arg.name}`).join(', ')} }`);
+  }
+  if (operation.queryParams.length > 0) {
+    fields.push('params');
+    const locations = {};
+    operation.queryParams.forEach(param => {
+      locations[param.name] = param.in;
+    });
+    fields.push(`locations: ${literal(locations)}`);
+    const required = operation.queryParams.filter(param => param.required).map(param => param.name);
+    if (required.length > 0) fields.push(`required: ${literal(required)}`);
+  }
+  if (operation.body) {
+    fields.push('body: data', `contentType: ${literal(operation.body.contentType)}`, `encoding: '${operation.body.encoding}'`);
+  }
+  if (operation.security.length > 0) fields.push(`security: ${literal(operation.security)}`);
+  if (operation.result) {
+    fields.push(`accept: ${literal(operation.result.contentType)}`, `responseType: '${operation.result.encoding}'`);
+  }
+  return `{\n${fields.map(field => `${indent}  ${field}`).join(',\n')}\n${indent}}`;
+}
+
+// Single-line JavaScript literal with single-quoted strings
+function literal(value) {
+  if (value === FILE_EXAMPLE) return value;
+  if (Array.isArray(value)) return `[${value.map(literal).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).filter(name => value[name] !== undefined).map(name => `${key(name)}: ${literal(value[name])}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  if (typeof value === 'string') return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  return String(value);
+}
+
+function key(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name);
+}
+
+function paramsType(params, models) {
+  const fields = params.map(param => `${key(param.name)}${param.required ? '' : '?'}: ${jsType(param.type, models)}`);
+  return `{ ${fields.join(', ')} }`;
+}
+
+function jsDoc(lines, indent) {
+  return [`${indent}/**`, ...lines.map(line => (line ? `${indent} * ${line}` : `${indent} *`)), `${indent} */`];
+}
+
+function commentLines(text) {
+  return String(text).replace(/\*\//g, '*\\/').trim().split(/\r?\n/).map(line => line.trimEnd());
+}
+
+function oneLine(text) {
+  return String(text).replace(/\*\//g, '*\\/').replace(/\s+/g, ' ').trim();
+}
+
+function slugName(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'api';
+}
+
+function packageVersion(version) {
+  return /^\d+\.\d+\.\d+(-[\w.]+)?$/.test(version) ? version : '1.0.0';
+}
+
+const RUNTIME = `'use strict';
+
+// Request plumbing shared by the generated client: parameter serialization,
+// auth, retries with backoff, timeouts and pagination.
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {number} [maxRetries] - Retries after a failed attempt (default 2)
+ * @property {number} [retryDelay] - First backoff in milliseconds, doubled on each retry (default 500)
+ * @property {number} [timeout] - Per-attempt timeout in milliseconds (default 30000)
+ * @property {Object<string, string>} [headers] - Sent with every request
+ * @property {typeof fetch} [fetch] - Replaces the global fetch
+ */
+
+// Statuses worth another attempt. Only 429 and 503 are retried for
+// non-idempotent methods, since the server did not act on the request.
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status
+   * @param {*} body
+   * @param {Headers} [headers]
+   */
+  constructor(message, status, body, headers) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+class BaseClient {
+  /**
+   * @param {string} baseUrl
+   * @param {ClientOptions} options
+   * @param {Object<string, { kind: string, in?: string, name?: string }>} securitySchemes
+   */
+  constructor(baseUrl, options, securitySchemes) {
+    this.baseUrl = baseUrl.replace(/\\/+$/, '');
+    this.maxRetries = options.maxRetries === undefined ? 2 : options.maxRetries;
+    this.retryDelay = options.retryDelay === undefined ? 500 : options.retryDelay;
+    this.timeout = options.timeout === undefined ? 30000 : options.timeout;
+    this.headers = Object.assign({}, options.headers);
+    this.fetch = options.fetch || globalThis.fetch;
+    this.securitySchemes = securitySchemes;
+    this.credentials = { token: null, username: null, password: null, apiKeys: {} };
+  }
+
+  /**
+   * Bearer token for HTTP bearer, OAuth 2.0 and OpenID Connect schemes
+   * @param {string} token
+   */
+  setAuthToken(token) {
+    this.credentials.token = token;
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} password
+   */
+  setBasicAuth(username, password) {
+    this.credentials.username = username;
+    this.credentials.password = password;
+  }
+
+  /**
+   * Key for the named API key scheme, or for every one when no scheme is given
+   * @param {string} value
+   * @param {string} [scheme]
+   */
+  setApiKey(value, scheme) {
+    Object.keys(this.securitySchemes).filter(name => this.securitySchemes[name].kind === 'apiKey' && (!scheme || name === scheme))
+      .forEach(name => {
+        this.credentials.apiKeys[name] = value;
+      });
+  }
+
+  /**
+   * @param {Object} request
+   * @returns {Promise<*>}
+   */
+  async request(request) {
+    const params = request.params || {};
+    (request.required || []).forEach(name => {
+      if (params[name] === undefined || params[name] === null) throw new TypeError(\`Missing required parameter \${name}\`);
+    });
+
+    const url = new URL(this.baseUrl + request.path.replace(/\\{([^}]+)\\}/g, (match, name) => {
+      const value = (request.pathParams || {})[name];
+      if (value === undefined || value === null) throw new TypeError(\`Missing required parameter \${name}\`);
+      return encodeURIComponent(String(value));
+    }));
+    const headers = Object.assign({}, this.headers);
+    const cookies = [];
+    Object.keys(params).forEach(name => {
+      const value = params[name];
+      if (value === undefined || value === null) return;
+      const location = (request.locations || {})[name] || 'query';
+      if (location === 'header') {
+        headers[name] = Array.isArray(value) ? value.join(',') : String(value);
+      } else if (location === 'cookie') {
+        cookies.push(\`\${name}=\${encodeURIComponent(String(value))}\`);
+      } else {
+        appendQuery(url.searchParams, name, value);
+      }
+    });
+    this.applyAuth(request.security || [], url, headers, cookies);
+    if (cookies.length > 0) headers.Cookie = cookies.join('; ');
+    if (request.accept) headers.Accept = request.accept;
+
+    let body;
+    if (request.body !== undefined && request.body !== null) {
+      body = encodeBody(request.body, request.encoding, request.contentType);
+      // fetch sets the multipart boundary itself
+      if (request.encoding !== 'multipart') headers['Content-Type'] = request.contentType;
+    }
+    return this.send(request.method, url, headers, body, request.responseType);
+  }
+
+  async send(method, url, headers, body, responseType) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+      let response;
+      try {
+        response = await this.fetch(url, { method, headers, body, signal: controller.signal });
+      } catch (error) {
+        clearTimeout(timer);
+        if (attempt < this.maxRetries && IDEMPOTENT_METHODS.includes(method)) {
+          await sleep(this.retryDelay * 2 ** attempt);
+          continue;
+        }
+        throw error;
+      }
+      clearTimeout(timer);
+
+      if (response.ok) return readBody(response, responseType);
+      const retryable = IDEMPOTENT_METHODS.includes(method) ? RETRY_STATUSES.includes(response.status) : [429, 503].includes(response.status);
+      if (retryable && attempt < this.maxRetries) {
+        await response.arrayBuffer().catch(() => null);
+        await sleep(retryAfter(response.headers.get('retry-after')) ?? this.retryDelay * 2 ** attempt);
+        continue;
+      }
+      const errorBody = await readBody(response, 'json').catch(() => null);
+      throw new ApiError(\`\${method} \${url.pathname} failed with status \${response.status}\`, response.status, errorBody, response.headers);
+    }
+  }
+
+  // Credentials for the first security requirement that can be met
+  applyAuth(security, url, headers, cookies) {
+    const available = name => {
+      const scheme = this.securitySchemes[name];
+      if (!scheme) return false;
+      if (scheme.kind === 'bearer') return Boolean(this.credentials.token);
+      if (scheme.kind === 'basic') return this.credentials.username !== null;
+      return this.credentials.apiKeys[name] !== undefined;
+    };
+    const requirement = security.find(names => names.every(available));
+    (requirement || []).forEach(name => {
+      const scheme = this.securitySchemes[name];
+      if (scheme.kind === 'bearer') {
+        headers.Authorization = \`Bearer \${this.credentials.token}\`;
+      } else if (scheme.kind === 'basic') {
+        headers.Authorization = \`Basic \${Buffer.from(\`\${this.credentials.username}:\${this.credentials.password}\`).toString('base64')}\`;
+      } else if (scheme.in === 'query') {
+        url.searchParams.set(scheme.name, this.credentials.apiKeys[name]);
+      } else if (scheme.in === 'cookie') {
+        cookies.push(\`\${scheme.name}=\${encodeURIComponent(this.credentials.apiKeys[name])}\`);
+      } else {
+        headers[scheme.name] = this.credentials.apiKeys[name];
+      }
+    });
+  }
+
+  /**
+   * Yields the items of successive pages. \`fetchPage\` is called with the
+   * page parameter to send.
+   * @param {function(Object): Promise<*>} fetchPage
+   * @param {Object} params
+   * @param {{ kind: string, param: string, start?: number, items: string[], nextCursor?: string[] }} paging
+   */
+  async *paginate(fetchPage, params, paging) {
+    let value = params[paging.param];
+    if (value === undefined && paging.kind === 'page') value = paging.start === undefined ? 1 : paging.start;
+    if (value === undefined && paging.kind === 'offset') value = 0;
+    for (;;) {
+      const page = await fetchPage(value === undefined ? {} : { [paging.param]: value });
+      const items = pick(page, paging.items) || [];
+      for (const item of items) yield item;
+      if (items.length === 0) return;
+      if (paging.kind === 'cursor') {
+        value = pick(page, paging.nextCursor);
+        if (!value) return;
+      } else {
+        value += paging.kind === 'page' ? 1 : items.length;
+      }
+    }
+  }
+}
+
+// Arrays repeat the parameter (form style, exploded); objects are sent as JSON
+function appendQuery(searchParams, name, value) {
+  if (Array.isArray(value)) {
+    value.forEach(item => searchParams.append(name, String(item)));
+  } else if (typeof value === 'object' && !(value instanceof Date)) {
+    searchParams.append(name, JSON.stringify(value));
+  } else {
+    searchParams.append(name, value instanceof Date ? value.toISOString() : String(value));
+  }
+}
+
+function encodeBody(body, encoding, contentType) {
+  switch (encoding) {
+    case 'json':
+      return JSON.stringify(body);
+    case 'form': {
+      const form = new URLSearchParams();
+      Object.keys(body).forEach(name => {
+        if (body[name] !== undefined && body[name] !== null) appendQuery(form, name, body[name]);
+      });
+      return form.toString();
+    }
+    case 'multipart': {
+      const form = new FormData();
+      Object.keys(body).forEach(name => {
+        const value = body[name];
+        if (value === undefined || value === null) return;
+        if (value instanceof Blob) {
+          form.append(name, value, 'name' in value ? String(value.name) : name);
+        } else if (value instanceof Uint8Array) {
+          form.append(name, new Blob([new Uint8Array(value)]), name);
+        } else {
+          form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+      });
+      return form;
+    }
+    case 'text':
+      return String(body);
+    default:
+      return typeof body === 'string' || body instanceof Blob || body instanceof Uint8Array ? body : new Blob([JSON.stringify(body)], { type: contentType });
+  }
+}
+
+async function readBody(response, responseType) {
+  if (response.status === 204 || response.status === 205) return undefined;
+  if (responseType === 'binary') return Buffer.from(await response.arrayBuffer());
+  const text = await response.text();
+  if (responseType !== 'json') return text;
+  if (text === '') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function pick(value, path) {
+  return (path || []).reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+// Retry-After as delta-seconds or an HTTP date, in milliseconds
+function retryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+module.exports = {
+  ApiError,
+  BaseClient
+};
+`;
+
+module.exports = {
+  LABEL,
+  FENCE,
+  DEPENDENCIES,
+  FILE_EXAMPLE,
+  packageName,
+  installCommand,
+  usageExample,
+  generateClient,
+  methodName,
+  methodArguments,
+  methodSignature,
+  methodExample,
+  jsType,
+  literal,
+  key
+};
\ No newline at end of file
@@ -0,0 +1,278 @@
+// Kotlin documentation target: signatures and examples for a Ktor client
+// with kotlinx.serialization. Operations are suspend functions of ApiClient
+// taking path parameters, then every query, header and cookie parameter as
+// a named argument (optional ones default to null) and the body. Object
+// models are data classes, enums enum classes, and unions and untyped
+// values JsonElement. There is no Kotlin client generator; the guide
+// describes the library a Kotlin client is expected to be.
+
+const { camelCase, constantCase, identifiers, uniqueName, exampleArguments, authCalls } = require('./model');
+
+const LABEL = 'Kotlin';
+const FENCE = 'kotlin';
+const INSTALL_FENCE = 'kotlin';
+const DEPENDENCIES = ['io.ktor:ktor-client-cio:2.3.12', 'org.jetbrains.kotlinx:kotlinx-serialization-json:1.6.3'];
+
+const KEYWORDS = ['as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is',
+  'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var',
+  'when', 'while'];
+
+// Types the examples and the client refer to next to the models
+const TAKEN_CLASSES = ['ApiClient', 'ApiException', 'String', 'Int', 'Long', 'Float', 'Double', 'Boolean', 'Byte', 'Short',
+  'Char', 'Any', 'Unit', 'Nothing', 'List', 'Map', 'Set', 'Array', 'ByteArray', 'Pair', 'Result', 'Json', 'JsonElement',
+  'File', 'Serializable', 'SerialName'];
+const CLIENT_MEMBERS = ['setAuthToken', 'setBasicAuth', 'setApiKey', 'close', 'equals', 'hashCode', 'toString'];
+
+const FILE_EXAMPLE = 'File("file").readBytes()';
+
+const classCache = new WeakMap();
+const methodCache = new WeakMap();
+
+function packageName(model) {
+  const slug = String(model.title).toLowerCase().replace(/[^a-z0-9]+/g, '');
+  return `com.example.${/^[a-z]/.test(slug) && !KEYWORDS.includes(slug) ? slug : `api${slug}`}`;
+}
+
+// A Gradle (Kotlin DSL) dependency on the client's artifact
+function installCommand(info, model) {
+  const version = /^[\w.-]+$/.test(model.version) ? model.version : '1.0.0';
+  return `implementation("com.example:${info.packageName.split('.').pop()}-client:${version}")`;
+}
+
+function classNames(model) {
+  if (!classCache.has(model)) {
+    const taken = new Set(TAKEN_CLASSES);
+    classCache.set(model, new Map(model.models.map(entry => [entry.name, uniqueName(TAKEN_CLASSES.includes(entry.name) ? `${entry.name}Model` : entry.name, taken)])));
+  }
+  return classCache.get(model);
+}
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS);
+    methodCache.set(model, new Map(model.operations.map(operation => {
+      const name = camelCase(operation.name) || operation.method;
+      return [operation, uniqueName(/^[0-9]/.test(name) ? `call${name}` : name, taken)];
+    })));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return escape(methodNames(model).get(operation));
+}
+
+// Hard keywords can only be names in backticks
+function escape(name) {
+  return KEYWORDS.includes(name) ? `\`${name}\`` : name;
+}
+
+function kotlinName(text) {
+  const name = camelCase(text);
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+// Constructor parameter names of a data class, by wire name
+function propertyNames(entry) {
+  const names = identifiers(entry.properties.map(property => property.name), kotlinName);
+  names.forEach((name, key) => names.set(key, escape(name)));
+  return names;
+}
+
+function constantNames(entry) {
+  return identifiers(entry.values.map(String), constantCase, [], name => `${name}_`);
+}
+
+function resolve(type, model, seen = []) {
+  const target = model.models.find(entry => entry.name === type.name);
+  if (!target || seen.includes(target.name)) return null;
+  if (target.kind === 'alias' && target.type.kind === 'model') return resolve(target.type, model, seen.concat(target.name));
+  return target;
+}
+
+function kotlinType(type, model) {
+  let result;
+  switch (type.kind) {
+    case 'string':
+      result = 'String';
+      break;
+    case 'integer':
+      result = type.format === 'int32' ? 'Int' : 'Long';
+      break;
+    case 'number':
+      result = type.format === 'float' ? 'Float' : 'Double';
+      break;
+    case 'boolean':
+      result = 'Boolean';
+      break;
+    case 'array':
+      result = `List<${kotlinType(type.items, model)}>`;
+      break;
+    case 'map':
+      result = `Map<String, ${kotlinType(type.values, model)}>`;
+      break;
+    case 'file':
+      result = 'ByteArray';
+      break;
+    case 'model': {
+      const target = resolve(type, model);
+      if (!target || target.kind === 'union') {
+        result = 'JsonElement';
+      } else if (target.kind === 'alias') {
+        return kotlinType(Object.assign({}, target.type, { nullable: type.nullable || target.type.nullable }), model);
+      } else {
+        result = classNames(model).get(target.name);
+      }
+      break;
+    }
+    default:
+      result = 'JsonElement';
+  }
+  return type.nullable ? `${result}?` : result;
+}
+
+// Path parameters, then every other parameter and the body, which calls
+// pass by name
+function methodArguments(operation) {
+  const names = identifiers(operation.pathParams.concat(operation.queryParams).map(param => `${param.in}:${param.name}`),
+    key => kotlinName(key.slice(key.indexOf(':') + 1)), ['body']);
+  const args = operation.pathParams.map(param => ({ name: escape(names.get(`${param.in}:${param.name}`)), param, required: true }));
+  operation.queryParams.forEach(param => args.push({ name: escape(names.get(`${param.in}:${param.name}`)), param, required: param.required }));
+  if (operation.body) args.push({ name: 'body', required: operation.body.required });
+  return args;
+}
+
+function bodyType(operation, model) {
+  return operation.body.encoding === 'binary' ? 'ByteArray' : kotlinType(operation.body.type, model);
+}
+
+function resultType(operation, model) {
+  if (operation.result.encoding === 'binary') return 'ByteArray';
+  return kotlinType(operation.result.type, model);
+}
+
+function methodSignature(operation, model) {
+  const args = methodArguments(operation).map(arg => {
+    const type = arg.param ? kotlinType(arg.param.type, model) : bodyType(operation, model);
+    return arg.required ? `${arg.name}: ${type}` : `${arg.name}: ${type.replace(/\?$/, '')}? = null`;
+  });
+  return `(${args.join(', ')})${operation.result ? `: ${resultType(operation, model)}` : ''}`;
+}
+
+// A call of the operation on `client`: path parameters positionally, the
+// rest by name
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param && arg.param.in === 'path') return kotlinValue(values.path.find(entry => entry.param === arg.param).value, arg.param.type, model);
+    if (arg.param) {
+      const entry = values.params.find(candidate => candidate.param === arg.param);
+      return entry ? `${arg.name} = ${kotlinValue(entry.value, arg.param.type, model)}` : null;
+    }
+    return `body = ${operation.body.encoding === 'binary' ? FILE_EXAMPLE : kotlinValue(values.body.value, values.body.type, model)}`;
+  }).filter(Boolean);
+  const call = `client.${methodName(operation, model)}(${args.join(', ')})`;
+  return operation.result ? `val result = ${call}\nprintln(result)` : call;
+}
+
+// Kotlin expression for an example value of a type
+function kotlinValue(value, type, model) {
+  if (value === null || value === undefined) return 'null';
+  switch (type.kind) {
+    case 'string':
+      return kotlinString(typeof value === 'object' ? JSON.stringify(value) : value);
+    case 'integer': {
+      const number = Math.trunc(Number(value)) || 0;
+      return type.format === 'int32' ? String(number) : `${number}L`;
+    }
+    case 'number': {
+      const number = Number(value) || 0;
+      const literal = Number.isInteger(number) ? `${number}.0` : String(number);
+      return type.format === 'float' ? `${literal}f` : literal;
+    }
+    case 'boolean':
+      return String(value === true || value === 'true');
+    case 'array': {
+      const items = (Array.isArray(value) ? value : [value]).map(item => kotlinValue(item, type.items, model));
+      return items.length > 0 ? `listOf(${items.join(', ')})` : 'emptyList()';
+    }
+    case 'map': {
+      const object = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      const entries = Object.keys(object).map(name => `${kotlinString(name)} to ${kotlinValue(object[name], type.values, model)}`);
+      return entries.length > 0 ? `mapOf(${entries.join(', ')})` : 'emptyMap()';
+    }
+    case 'file':
+      return FILE_EXAMPLE;
+    case 'model':
+      return modelValue(value, type, model);
+    default:
+      return jsonValue(value);
+  }
+}
+
+function modelValue(value, type, model) {
+  const target = resolve(type, model);
+  if (!target || target.kind === 'union') return jsonValue(value);
+  if (target.kind === 'alias') return kotlinValue(value, target.type, model);
+  const name = classNames(model).get(target.name);
+  if (target.kind === 'enum') {
+    const match = target.values.find(candidate => String(candidate) === String(value));
+    return `${name}.${constantNames(target).get(String(match === undefined ? target.values[0] : match))}`;
+  }
+  const object = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const names = propertyNames(target);
+  const args = target.properties.filter(property => property.type && object[property.name] !== undefined)
+    .map(property => `${names.get(property.name)} = ${kotlinValue(object[property.name], property.type, model)}`);
+  return `${name}(${args.join(', ')})`;
+}
+
+// Untyped values are parsed from their JSON text
+function jsonValue(value) {
+  return `Json.parseToJsonElement(${kotlinString(JSON.stringify(value))})`;
+}
+
+// Double-quoted string with templates escaped
+function kotlinString(value) {
+  return JSON.stringify(String(value)).replace(/\$/g, '\\$');
+}
+
+// Imports, a suspending main, the client, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: 'client.setAuthToken("your-api-token")',
+    basic: 'client.setBasicAuth("username", "password")',
+    apiKey: 'client.setApiKey("your-api-key")'
+  });
+  const example = firstMethod ? firstMethod.example : '// This API has no operations';
+  const imports = [`import ${packageName(model)}.ApiClient`];
+  if (model.models.some(entry => entry.kind === 'object' || entry.kind === 'enum')) imports.push(`import ${packageName(model)}.model.*`);
+  if (example.includes(FILE_EXAMPLE)) imports.push('import java.io.File');
+  if (example.includes('Json.parseToJsonElement')) imports.push('import kotlinx.serialization.json.Json');
+  const body = [
+    '// Initialize the API client',
+    `val client = ApiClient(${kotlinString(model.baseUrl)})`,
+    ...(auth.length > 0 ? ['', '// Make authenticated requests', ...auth] : []),
+    '',
+    '// Call API methods',
+    ...example.split('\n')
+  ];
+  return `${imports.join('\n')}
+
+suspend fun main() {
+${body.map(line => (line ? `    ${line}` : '')).join('\n')}
+}`;
+}
+
+module.exports = {
+  LABEL,
+  FENCE,
+  INSTALL_FENCE,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  methodName,
+  methodSignature,
+  methodExample,
+  kotlinType
+};
\ No newline at end of file
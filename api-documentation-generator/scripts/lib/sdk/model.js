@@ -0,0 +1,663 @@
+// Language-neutral description of an API for the SDK generators: the
+// operations with their parameters, body and result types, the models built
+// from the component schemas, the security schemes and the pagination style
+// of list endpoints. Inline object schemas and unions are hoisted into named
+// models so that every language can declare them.
+//
+// Types are `{ kind, ... }` descriptors: `string`, `integer`, `number` and
+// `boolean` (with `format` and inline `enum` values), `array` (`items`),
+// `map` (`values`), `model` (`name`), `file` for binary content and `any`.
+// Any of them can carry `nullable: true`.
+
+const { HTTP_METHODS } = require('../spec-merge');
+const { createContext, schemaEntries } = require('../html-docs');
+const { exampleFromSchema } = require('../schema-example');
+const { defaultBaseUrl, operationParameters, parameterSchema, responseContent, securitySchemes } = require('../sample-requests');
+
+const ANY = { kind: 'any' };
+
+// Query parameters that select the next page, by pagination style
+const CURSOR_PARAMS = ['cursor', 'pagetoken', 'nexttoken', 'after', 'startingafter', 'continuationtoken', 'marker', 'nextpagetoken'];
+const PAGE_PARAMS = ['page', 'pagenumber', 'pageno', 'pageindex'];
+const OFFSET_PARAMS = ['offset', 'skip', 'start'];
+
+// Response properties holding the items of a page and the next cursor
+const ITEM_PROPERTIES = ['data', 'items', 'results', 'records', 'entries', 'values', 'content', 'elements'];
+const NEXT_CURSOR_PROPERTIES = ['nextcursor', 'nextpagetoken', 'nexttoken', 'next', 'cursor', 'endcursor', 'nextmarker', 'marker', 'after'];
+
+function buildSdkModel(spec, options = {}) {
+  const context = createContext(spec);
+  const state = { spec, context, models: [], byName: new Map(), refNames: new Map(), inline: new Map(), building: new Set() };
+
+  // Component schemas are named first so refs, including recursive ones,
+  // always point at them
+  const components = schemaEntries(spec);
+  const prefix = spec.swagger ? '#/definitions/' : '#/components/schemas/';
+  components.forEach(({ name }) => {
+    state.refNames.set(`${prefix}${escapePointer(name)}`, reserveModelName(state, name));
+  });
+  components.forEach(({ name, schema }) => {
+    buildComponentModel(state, state.refNames.get(`${prefix}${escapePointer(name)}`), schema);
+  });
+
+  const operations = [];
+  const operationNames = new Set();
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathItem = context.resolve(spec.paths[path]) || {};
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      operations.push(buildOperation(state, path, pathItem, method, operationNames));
+    });
+  });
+
+  const info = spec.info || {};
+  return {
+    title: info.title || 'API',
+    version: info.version || '1.0.0',
+    description: info.description || '',
+    baseUrl: defaultBaseUrl(spec),
+    auth: authSchemes(options.authMethods || []),
+    operations,
+    models: state.models
+  };
+}
+
+// `{ name, kind, in, paramName }` for every scheme a client can fill in:
+// bearer tokens (also used for OAuth 2.0 and OpenID Connect), basic
+// credentials and API keys
+function authSchemes(authMethods) {
+  return authMethods.map(method => {
+    let kind = null;
+    if (method.type === 'http') {
+      kind = /^bearer$/i.test(method.scheme || '') ? 'bearer' : /^basic$/i.test(method.scheme || '') ? 'basic' : null;
+    } else if (method.type === 'basic') {
+      kind = 'basic';
+    } else if (method.type === 'apiKey' && method.paramName) {
+      kind = 'apiKey';
+    } else if (method.type === 'oauth2' || method.type === 'openIdConnect') {
+      kind = 'bearer';
+    }
+    return kind ? { name: method.name, kind, in: method.in, paramName: method.paramName, description: method.description } : null;
+  }).filter(Boolean);
+}
+
+function buildOperation(state, path, pathItem, method, operationNames) {
+  const { spec, context } = state;
+  const operation = pathItem[method];
+  const rawId = operation.operationId || `${method}_${path.replace(/[\/{}]/g, '_')}`;
+  const name = uniqueName(camelCase(rawId) || method, operationNames);
+  const typeName = pascalCase(name);
+
+  const all = operationParameters(pathItem, operation, context.resolve);
+
+  const describe = param => ({
+    name: param.name,
+    in: param.in,
+    required: param.in === 'path' || param.required === true,
+    description: param.description || '',
+    deprecated: param.deprecated === true,
+    type: typeRef(state, parameterSchema(param, context.resolve) || {}, `${typeName}${pascalCase(param.name)}`),
+    example: parameterExample(param, context)
+  });
+  // Path parameters are taken in the order the path mentions them
+  const pathOrder = (path.match(/\{[^}]+\}/g) || []).map(segment => segment.slice(1, -1));
+  const pathParams = all.filter(param => param.in === 'path')
+    .sort((a, b) => pathOrder.indexOf(a.name) - pathOrder.indexOf(b.name)).map(describe);
+  const queryParams = all.filter(param => ['query', 'header', 'cookie'].includes(param.in)).map(describe);
+
+  const body = requestBody(state, operation, all, typeName);
+  const result = responseResult(state, operation, typeName);
+  const schemeNames = new Set(Object.keys(securitySchemes(spec)));
+  const requirements = operation.security || spec.security || [];
+  const security = (Array.isArray(requirements) ? requirements : [])
+    .map(requirement => Object.keys(requirement || {}))
+    .filter(names => names.every(schemeName => schemeNames.has(schemeName)));
+
+  const entry = {
+    name,
+    method,
+    path,
+    summary: operation.summary || '',
+    description: operation.description || '',
+    deprecated: operation.deprecated === true,
+    tags: operation.tags || ['default'],
+    pathParams,
+    queryParams,
+    body,
+    result,
+    security
+  };
+  entry.pagination = pagination(state, entry);
+  return entry;
+}
+
+// `{ contentType, type, required, encoding, example }` where encoding is
+// json, form, multipart, text or binary. Swagger 2.0 body and formData parameters are
+// read like OpenAPI 3 request bodies.
+function requestBody(state, operation, parameters, typeName) {
+  const { spec, context } = state;
+  let content = null;
+  let required = false;
+  let description = '';
+
+  if (operation.requestBody) {
+    const body = context.resolve(operation.requestBody) || {};
+    content = body.content || {};
+    required = body.required === true;
+    description = body.description || '';
+  } else {
+    const consumes = operation.consumes || spec.consumes || ['application/json'];
+    const bodyParam = parameters.find(param => param.in === 'body');
+    const formParams = parameters.filter(param => param.in === 'formData');
+    if (bodyParam) {
+      content = {};
+      consumes.forEach(type => {
+        content[type] = { schema: bodyParam.schema };
+      });
+      required = bodyParam.required === true;
+      description = bodyParam.description || '';
+    } else if (formParams.length > 0) {
+      const multipart = formParams.some(param => param.type === 'file') || consumes.some(type => /multipart/i.test(type));
+      const schema = { type: 'object', properties: {}, required: formParams.filter(param => param.required).map(param => param.name) };
+      formParams.forEach(param => {
+        const property = Object.assign({}, param);
+        ['name', 'in', 'required', 'allowEmptyValue', 'collectionFormat'].forEach(key => delete property[key]);
+        if (param.type === 'file') Object.assign(property, { type: 'string', format: 'binary' });
+        schema.properties[param.name] = property;
+      });
+      content = { [multipart ? 'multipart/form-data' : 'application/x-www-form-urlencoded']: { schema } };
+      required = schema.required.length > 0;
+    }
+  }
+  if (!content || Object.keys(content).length === 0) return null;
+
+  const types = Object.keys(content);
+  const contentType = types.find(isJsonType) || types.find(type => /x-www-form-urlencoded/i.test(type)) ||
+    types.find(type => /multipart\/form-data/i.test(type)) || types[0];
+  const media = content[contentType] || {};
+  const encoding = bodyEncoding(contentType, media.schema, context);
+  const type = encoding === 'binary'
+    ? { kind: 'file' }
+    : encoding === 'text' ? { kind: 'string' } : typeRef(state, media.schema, `${typeName}Request`);
+  const example = encoding === 'binary' ? undefined : parameterExample(media, context);
+  return { contentType, type, required, description, encoding, example };
+}
+
+function bodyEncoding(contentType, schema, context) {
+  if (isJsonType(contentType)) return 'json';
+  if (/x-www-form-urlencoded/i.test(contentType)) return 'form';
+  if (/multipart\//i.test(contentType)) return 'multipart';
+  const resolved = context.resolve(schema) || {};
+  if (/^text\//i.test(contentType) || (resolved.type === 'string' && resolved.format !== 'binary')) return 'text';
+  return 'binary';
+}
+
+// The first 2xx response with a body: `{ contentType, type, encoding }`, or
+// null when success carries no content
+function responseResult(state, operation, typeName) {
+  const { spec, context } = state;
+  const responses = operation.responses || {};
+  const codes = Object.keys(responses).filter(code => /^2/.test(code)).sort();
+  for (const code of codes) {
+    const response = context.resolve(responses[code]) || {};
+    const content = responseContent(spec, operation, response);
+    const types = Object.keys(content);
+    if (types.length === 0) continue;
+    const contentType = types.find(isJsonType) || types[0];
+    const media = content[contentType] || {};
+    const encoding = isJsonType(contentType) || /\*\/\*/.test(contentType) ? 'json' : bodyEncoding(contentType, media.schema, context);
+    if (encoding === 'json' && !media.schema) return { contentType, type: ANY, encoding };
+    const type = encoding === 'binary'
+      ? { kind: 'file' }
+      : encoding === 'json' ? typeRef(state, media.schema, `${typeName}Response`) : { kind: 'string' };
+    return { contentType, type, encoding: encoding === 'json' ? 'json' : encoding === 'binary' ? 'binary' : 'text' };
+  }
+  return null;
+}
+
+// Pagination of a GET that returns a list: `{ kind, param, items,
+// nextCursor }` where kind is cursor, page or offset, `items` and
+// `nextCursor` are property paths into the result (`[]` for a bare array)
+// as `[{ model, property }]`, and `itemType` is the element type
+function pagination(state, operation) {
+  if (operation.method !== 'get' || !operation.result || operation.result.encoding !== 'json') return null;
+  const query = operation.queryParams.filter(param => param.in === 'query');
+  const find = candidates => query.find(param => candidates.includes(normalize(param.name)));
+
+  const result = operation.result.type;
+  let items = null;
+  let itemType = null;
+  if (result.kind === 'array') {
+    items = [];
+    itemType = result.items;
+  } else {
+    const model = objectModel(state, result);
+    if (!model) return null;
+    const arrays = model.properties.filter(property => property.type.kind === 'array');
+    const property = arrays.find(candidate => ITEM_PROPERTIES.includes(normalize(candidate.name))) || (arrays.length === 1 ? arrays[0] : null);
+    if (!property) return null;
+    items = [{ model: model.name, property: property.name }];
+    itemType = property.type.items;
+  }
+
+  const cursorParam = find(CURSOR_PARAMS);
+  if (cursorParam && items.length > 0) {
+    const nextCursor = findNextCursor(state, objectModel(state, result));
+    if (nextCursor) return { kind: 'cursor', param: cursorParam.name, items, itemType, nextCursor };
+  }
+  const pageParam = find(PAGE_PARAMS);
+  if (pageParam && ['integer', 'number'].includes(pageParam.type.kind)) {
+    return { kind: 'page', param: pageParam.name, items, itemType, start: typeof pageParam.example === 'number' ? pageParam.example : 1 };
+  }
+  const offsetParam = find(OFFSET_PARAMS);
+  if (offsetParam && ['integer', 'number'].includes(offsetParam.type.kind)) {
+    return { kind: 'offset', param: offsetParam.name, items, itemType };
+  }
+  return null;
+}
+
+// The next-page cursor: a string property of the page or of one of its
+// object properties (`meta`, `pagination`, ...)
+function findNextCursor(state, model) {
+  const isCursor = property => NEXT_CURSOR_PROPERTIES.includes(normalize(property.name)) && property.type.kind === 'string';
+  const direct = model.properties.find(isCursor);
+  if (direct) return [{ model: model.name, property: direct.name }];
+  for (const property of model.properties) {
+    const nested = objectModel(state, property.type);
+    const cursor = nested && nested !== model ? nested.properties.find(isCursor) : null;
+    if (cursor) return [{ model: model.name, property: property.name }, { model: nested.name, property: cursor.name }];
+  }
+  return null;
+}
+
+function objectModel(state, type) {
+  if (!type || type.kind !== 'model') return null;
+  const model = state.byName.get(type.name);
+  return model && model.kind === 'object' ? model : null;
+}
+
+function buildComponentModel(state, name, schema) {
+  const { context } = state;
+  schema = schema && typeof schema === 'object' ? schema : {};
+  const description = schema.description || '';
+
+  if (typeof schema.$ref === 'string') {
+    return addModel(state, { kind: 'alias', name, description, type: typeRef(state, schema, name) });
+  }
+  const values = enumValues(schema);
+  if (values) {
+    return addModel(state, { kind: 'enum', name, description, base: primitiveKind(schema) || 'string', values, nullable: isNullable(schema) });
+  }
+  const choices = unionChoices(schema, context);
+  if (choices && !schema.properties) {
+    if (choices.length === 1) return addModel(state, { kind: 'alias', name, description, type: typeRef(state, choices[0], name) });
+    return addUnion(state, name, schema, choices);
+  }
+  if (isObjectSchema(schema, context)) return addObject(state, name, schema);
+  return addModel(state, { kind: 'alias', name, description, type: typeRef(state, schema, name) });
+}
+
+// Type descriptor for a schema. `hint` names the model an inline object or
+// union is hoisted into.
+function typeRef(state, schema, hint, stack = []) {
+  const { context } = state;
+  if (schema === undefined || schema === null || schema === true || typeof schema !== 'object') return ANY;
+
+  if (typeof schema.$ref === 'string') {
+    const named = state.refNames.get(schema.$ref);
+    if (named) return { kind: 'model', name: named };
+    if (stack.includes(schema.$ref)) return ANY;
+    return typeRef(state, context.resolve(schema), hint, stack.concat(schema.$ref));
+  }
+
+  const nullable = isNullable(schema);
+  const withNull = type => (nullable && type.kind !== 'any' ? Object.assign({}, type, { nullable: true }) : type);
+
+  if (Array.isArray(schema.allOf) && !schema.properties) {
+    if (schema.allOf.length === 1) return withNull(typeRef(state, schema.allOf[0], hint, stack));
+  }
+  const choices = unionChoices(schema, context);
+  if (choices && !schema.properties) {
+    if (choices.length === 1) return withNull(typeRef(state, choices[0], hint, stack));
+    return withNull({ kind: 'model', name: hoisted(state, schema, () => addUnion(state, reserveModelName(state, hint), schema, choices)) });
+  }
+  if (isObjectSchema(schema, context)) {
+    return withNull({ kind: 'model', name: hoisted(state, schema, () => addObject(state, reserveModelName(state, hint), schema)) });
+  }
+
+  const kind = primitiveKind(schema);
+  switch (kind) {
+    case 'array':
+      return withNull({ kind: 'array', items: typeRef(state, schema.items, `${hint}Item`, stack) });
+    case 'object': {
+      const values = schema.additionalProperties && typeof schema.additionalProperties === 'object'
+        ? typeRef(state, schema.additionalProperties, `${hint}Value`, stack)
+        : ANY;
+      return withNull({ kind: 'map', values });
+    }
+    case 'string':
+      if (schema.format === 'binary') return withNull({ kind: 'file' });
+      return withNull(primitive('string', schema));
+    case 'integer':
+    case 'number':
+    case 'boolean':
+      return withNull(primitive(kind, schema));
+    default:
+      return ANY;
+  }
+}
+
+// The model an inline schema was hoisted into; a schema reached twice, as
+// through a flattened allOf, is only declared once
+function hoisted(state, schema, add) {
+  if (!state.inline.has(schema)) state.inline.set(schema, add().name);
+  return state.inline.get(schema);
+}
+
+function primitive(kind, schema) {
+  const type = { kind };
+  if (schema.format) type.format = schema.format;
+  const values = enumValues(schema);
+  if (values) type.enum = values;
+  return type;
+}
+
+// An object model with the properties of its `allOf` parts flattened in.
+// `bases` names the component models among those parts, for languages that
+// can declare the inheritance.
+function addObject(state, name, schema) {
+  const { context } = state;
+  const model = addModel(state, {
+    kind: 'object',
+    name,
+    description: schema.description || '',
+    properties: [],
+    additional: null,
+    deprecated: schema.deprecated === true
+  });
+
+  const collected = new Map();
+  const required = new Set();
+  let additional = null;
+  let discriminator = null;
+  const collect = (part, seen) => {
+    if (!part || typeof part !== 'object') return;
+    if (typeof part.$ref === 'string') {
+      if (seen.includes(part.$ref)) return;
+      collect(context.resolve(part), seen.concat(part.$ref));
+      return;
+    }
+    (part.allOf || []).forEach(inner => collect(inner, seen));
+    Object.keys(part.properties || {}).forEach(property => collected.set(property, part.properties[property]));
+    (Array.isArray(part.required) ? part.required : []).forEach(property => required.add(property));
+    if (part.additionalProperties && typeof part.additionalProperties === 'object') additional = part.additionalProperties;
+    if (part.discriminator) discriminator = typeof part.discriminator === 'string' ? part.discriminator : part.discriminator.propertyName;
+  };
+  collect(schema, []);
+
+  model.properties = Array.from(collected.keys()).map(property => {
+    const definition = collected.get(property);
+    const resolved = context.resolve(definition) || {};
+    const type = typeRef(state, definition, `${name}${pascalCase(property)}`);
+    return {
+      name: property,
+      type,
+      required: required.has(property),
+      nullable: type.nullable === true,
+      description: (definition && definition.description) || resolved.description || '',
+      readOnly: resolved.readOnly === true,
+      writeOnly: resolved.writeOnly === true,
+      deprecated: resolved.deprecated === true
+    };
+  });
+  if (additional) model.additional = typeRef(state, additional, `${name}Value`);
+  if (discriminator) model.discriminator = discriminator;
+  const bases = (schema.allOf || []).filter(part => part && typeof part.$ref === 'string' && state.refNames.has(part.$ref));
+  if (bases.length > 0) model.bases = bases.map(part => state.refNames.get(part.$ref));
+  return model;
+}
+
+function addUnion(state, name, schema, choices) {
+  const model = addModel(state, { kind: 'union', name, description: schema.description || '', variants: [] });
+  model.variants = choices.map((choice, index) => typeRef(state, choice, `${name}Option${index + 1}`));
+  const discriminator = schema.discriminator;
+  if (discriminator) model.discriminator = typeof discriminator === 'string' ? discriminator : discriminator.propertyName;
+  return model;
+}
+
+function addModel(state, model) {
+  state.models.push(model);
+  state.byName.set(model.name, model);
+  return model;
+}
+
+// A PascalCase model name no other model uses
+function reserveModelName(state, hint) {
+  const base = pascalCase(hint) || 'Model';
+  const name = /^[A-Za-z]/.test(base) ? base : `Model${base}`;
+  let candidate = name;
+  for (let suffix = 2; state.building.has(candidate); suffix++) candidate = `${name}${suffix}`;
+  state.building.add(candidate);
+  return candidate;
+}
+
+// oneOf/anyOf members other than `type: null`; null when there are none
+function unionChoices(schema, context) {
+  const choices = schema.oneOf || schema.anyOf;
+  if (!Array.isArray(choices) || choices.length === 0) return null;
+  const members = choices.filter(choice => {
+    const resolved = context.resolve(choice) || {};
+    return resolved.type !== 'null';
+  });
+  return members.length > 0 ? members : null;
+}
+
+function isObjectSchema(schema, context) {
+  if (schema.properties && typeof schema.properties === 'object' && Object.keys(schema.properties).length > 0) return true;
+  if (!Array.isArray(schema.allOf) || schema.allOf.length === 0) return false;
+  // allOf composes an object when one of its parts has properties
+  return schema.allOf.some(part => {
+    const resolved = context.resolve(part) || {};
+    return (resolved.properties && Object.keys(resolved.properties).length > 0) || Array.isArray(resolved.allOf);
+  });
+}
+
+function isNullable(schema) {
+  if (schema.nullable === true) return true;
+  if (Array.isArray(schema.type) && schema.type.includes('null')) return true;
+  const choices = schema.oneOf || schema.anyOf;
+  return Array.isArray(choices) && choices.some(choice => choice && choice.type === 'null');
+}
+
+// The schema's own type, or the one its keywords imply. OpenAPI 3.1 type
+// arrays with more than one non-null type are left untyped.
+function primitiveKind(schema) {
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(type => type !== 'null');
+    return types.length === 1 ? types[0] : null;
+  }
+  if (schema.type) return schema.type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  const values = enumValues(schema);
+  if (values) return typeof values[0] === 'number' ? (values.every(Number.isInteger) ? 'integer' : 'number') : 'string';
+  return null;
+}
+
+function enumValues(schema) {
+  if (schema.const !== undefined && schema.const !== null) return [schema.const];
+  if (!Array.isArray(schema.enum)) return null;
+  const values = schema.enum.filter(value => value !== null && typeof value !== 'object');
+  return values.length > 0 ? values : null;
+}
+
+function parameterExample(param, context) {
+  if (param.example !== undefined) return context.resolve(param.example);
+  if (param.examples && typeof param.examples === 'object') {
+    const first = Object.values(param.examples).map(context.resolve).find(example => example && example.value !== undefined);
+    if (first) return first.value;
+  }
+  return exampleFromSchema(parameterSchema(param, context.resolve), { resolve: context.resolve, name: param.name });
+}
+
+// Values for a documented call: every path parameter, the parameters worth
+// showing (the required ones, or else the first) and the request body, each
+// as `{ param, type, value }`
+function exampleArguments(operation) {
+  const required = operation.queryParams.filter(param => param.required);
+  const shown = required.length > 0 ? required : operation.queryParams.slice(0, 1);
+  const describe = param => ({ param, type: param.type, value: conform(param.example, param.type) });
+  const body = operation.body;
+  return {
+    path: operation.pathParams.map(describe),
+    params: shown.map(describe),
+    body: body ? { type: body.type, value: conform(body.example, body.type) } : null
+  };
+}
+
+// Specs often give numbers as strings, or a structured example as its JSON
+// text; bring those back to the declared type so typed examples compile
+function conform(value, type) {
+  if (value === undefined) return placeholder(type);
+  if (typeof value !== 'string') return value;
+  if ((type.kind === 'integer' || type.kind === 'number') && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (type.kind === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (type.kind === 'array' || type.kind === 'map' || type.kind === 'model') {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === 'object') return parsed;
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Setter calls for the credentials the API accepts, one per kind of scheme,
+// from `calls` keyed by kind (bearer, basic, apiKey)
+function authCalls(model, calls) {
+  const kinds = [...new Set(model.auth.map(scheme => scheme.kind))];
+  return kinds.map(kind => calls[kind]).filter(Boolean);
+}
+
+// Copy of an example value with `file` wherever the type expects file
+// content, for languages whose examples are untyped literals
+function withFiles(value, type, model, file) {
+  if (value === null || value === undefined) return value;
+  if (type.kind === 'file') return file;
+  if (type.kind === 'array' && Array.isArray(value)) return value.map(item => withFiles(item, type.items, model, file));
+  if (type.kind === 'map' && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(name => {
+      result[name] = withFiles(value[name], type.values, model, file);
+    });
+    return result;
+  }
+  if (type.kind === 'model') {
+    const target = model.models.find(entry => entry.name === type.name);
+    if (target && target.kind === 'alias') return withFiles(value, target.type, model, file);
+    if (target && target.kind === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+      const result = Object.assign({}, value);
+      target.properties.filter(property => value[property.name] !== undefined).forEach(property => {
+        result[property.name] = withFiles(value[property.name], property.type, model, file);
+      });
+      return result;
+    }
+  }
+  return value;
+}
+
+function placeholder(type) {
+  switch (type.kind) {
+    case 'string':
+      return type.enum ? type.enum[0] : 'string';
+    case 'integer':
+    case 'number':
+      return type.enum ? type.enum[0] : 1;
+    case 'boolean':
+      return true;
+    case 'array':
+      return [];
+    case 'map':
+    case 'model':
+      return {};
+    default:
+      return null;
+  }
+}
+
+function isJsonType(type) {
+  return /^application\/(.+\+)?json(;|$)/i.test(type) || /\/json$/i.test(type);
+}
+
+function escapePointer(name) {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Identifier casing shared by the language generators. Words split on
+// punctuation and on lower-to-upper case changes.
+function words(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function camelCase(text) {
+  return words(text).map((word, index) => index === 0
+    ? word.toLowerCase()
+    : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+}
+
+function pascalCase(text) {
+  const camel = camelCase(text);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+function snakeCase(text) {
+  return words(text).map(word => word.toLowerCase()).join('_');
+}
+
+function constantCase(text) {
+  return snakeCase(text).toUpperCase();
+}
+
+// `name`, or `name2`, `name3`... when taken; records the result in `taken`
+function uniqueName(name, taken) {
+  let candidate = name;
+  for (let suffix = 2; taken.has(candidate); suffix++) candidate = `${name}${suffix}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+// Identifiers for a list of names: `transform` applied, reserved words and
+// leading digits prefixed or suffixed by `escape`, and clashes numbered
+function identifiers(names, transform, reserved = [], escape = name => `${name}_`) {
+  const taken = new Set();
+  const result = new Map();
+  names.forEach(name => {
+    let identifier = transform(name) || 'value';
+    if (/^[0-9]/.test(identifier)) identifier = `_${identifier}`;
+    if (reserved.includes(identifier)) identifier = escape(identifier);
+    result.set(name, uniqueName(identifier, taken));
+  });
+  return result;
+}
+
+module.exports = {
+  buildSdkModel,
+  words,
+  camelCase,
+  pascalCase,
+  snakeCase,
+  constantCase,
+  uniqueName,
+  identifiers,
+  exampleArguments,
+  withFiles,
+  authCalls
+};
\ No newline at end of file
@@ -0,0 +1,274 @@
+// PHP documentation target: signatures and examples for a Composer package
+// on Guzzle, for PHP 8.1+. Operations are camelCase methods of ApiClient
+// with typed path parameters, an array of query, header and cookie
+// parameters and a typed body. Object models are classes in the Model
+// namespace built with named arguments, and enums are backed enums. There
+// is no PHP client generator; the guide describes the package a PHP client
+// is expected to be.
+
+const { camelCase, pascalCase, identifiers, uniqueName, exampleArguments, authCalls } = require('./model');
+
+const LABEL = 'PHP';
+const FENCE = 'php';
+const DEPENDENCIES = ['guzzlehttp/guzzle:^7.8'];
+
+// Names PHP reserves for classes, compared without case
+const RESERVED_CLASSES = ['array', 'bool', 'callable', 'enum', 'false', 'float', 'int', 'iterable', 'list', 'mixed', 'never',
+  'null', 'numeric', 'object', 'parent', 'resource', 'self', 'static', 'string', 'true', 'void', 'class', 'function',
+  'interface', 'trait', 'namespace', 'new', 'print', 'echo', 'default', 'match', 'fn', 'apiclient', 'apiexception'];
+const CLIENT_MEMBERS = ['__construct', 'setAuthToken', 'setBasicAuth', 'setApiKey', 'request', 'paginate'];
+
+const FILE_EXAMPLE = "file_get_contents('file')";
+
+const classCache = new WeakMap();
+const methodCache = new WeakMap();
+const caseCache = new WeakMap();
+
+// Root namespace of the client
+function packageName(model) {
+  const name = pascalCase(model.title).replace(/[^A-Za-z0-9_]/g, '') || 'Api';
+  return /^[A-Za-z]/.test(name) ? name : `Api${name}`;
+}
+
+function composerName(packageName) {
+  return `example/${packageName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}-client`;
+}
+
+function installCommand(info) {
+  return `composer require ${composerName(info.packageName)}`;
+}
+
+function classNames(model) {
+  if (!classCache.has(model)) {
+    const taken = new Set();
+    classCache.set(model, new Map(model.models.map(entry => {
+      const name = RESERVED_CLASSES.includes(entry.name.toLowerCase()) ? `${entry.name}Model` : entry.name;
+      return [entry.name, uniqueName(name, taken)];
+    })));
+  }
+  return classCache.get(model);
+}
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS);
+    methodCache.set(model, new Map(model.operations.map(operation => {
+      const name = camelCase(operation.name) || operation.method;
+      return [operation, uniqueName(/^[0-9]/.test(name) ? `call${name}` : name, taken)];
+    })));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+// Constructor argument names of an object model, by wire name
+function argumentNames(entry) {
+  return identifiers(entry.properties.map(property => property.name), camelCase, ['this']);
+}
+
+// Case names of an enum model, by value
+function caseNames(entry) {
+  if (!caseCache.has(entry)) {
+    caseCache.set(entry, identifiers(entry.values.map(String), value => {
+      const name = pascalCase(value);
+      return /^[0-9]/.test(name) ? `Value${name}` : name;
+    }, ['Class'], name => `${name}Value`));
+  }
+  return caseCache.get(entry);
+}
+
+function resolve(type, model, seen = []) {
+  const target = model.models.find(entry => entry.name === type.name);
+  if (!target || seen.includes(target.name)) return null;
+  if (target.kind === 'alias' && target.type.kind === 'model') return resolve(target.type, model, seen.concat(target.name));
+  return target;
+}
+
+// PHP type declaration of a descriptor
+function phpType(type, model) {
+  let result;
+  switch (type.kind) {
+    case 'string':
+    case 'file':
+      result = 'string';
+      break;
+    case 'integer':
+      result = 'int';
+      break;
+    case 'number':
+      result = 'float';
+      break;
+    case 'boolean':
+      result = 'bool';
+      break;
+    case 'array':
+    case 'map':
+      result = 'array';
+      break;
+    case 'model': {
+      const target = resolve(type, model);
+      if (!target || target.kind === 'union') return 'mixed';
+      if (target.kind === 'alias') return phpType(Object.assign({}, target.type, { nullable: type.nullable || target.type.nullable }), model);
+      result = classNames(model).get(target.name);
+      break;
+    }
+    default:
+      return 'mixed';
+  }
+  return type.nullable ? `?${result}` : result;
+}
+
+function methodArguments(operation) {
+  const names = identifiers(operation.pathParams.map(param => param.name), camelCase, ['this', 'params', 'body']);
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), param }));
+  if (operation.queryParams.length > 0) {
+    args.push({ name: 'params', optional: !operation.queryParams.some(param => param.required) });
+  }
+  if (operation.body) args.push({ name: 'body', optional: !operation.body.required });
+  // Only trailing arguments can be left out
+  if (operation.body && operation.body.required) args.forEach(arg => Object.assign(arg, { optional: false }));
+  return args;
+}
+
+function bodyType(operation, model) {
+  return operation.body.encoding === 'binary' ? 'string' : phpType(operation.body.type, model);
+}
+
+function resultType(operation, model) {
+  if (!operation.result) return 'void';
+  return operation.result.encoding === 'binary' ? 'string' : phpType(operation.result.type, model);
+}
+
+// Typed parameter list with the return type
+function methodSignature(operation, model) {
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param) return `${phpType(arg.param.type, model)} $${arg.name}`;
+    if (arg.name === 'params') return `array $params${arg.optional ? ' = []' : ''}`;
+    const type = bodyType(operation, model);
+    if (!arg.optional) return `${type} $body`;
+    return `${type === 'mixed' || type.startsWith('?') ? type : `?${type}`} $body = null`;
+  });
+  return `(${args.join(', ')}): ${resultType(operation, model)}`;
+}
+
+// A call of the operation on `$client`, with example arguments
+function methodExample(operation, model) {
+  return renderExample(operation, model, new Set());
+}
+
+function renderExample(operation, model, classes) {
+  const values = exampleArguments(operation);
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param) return phpValue(values.path.find(entry => entry.param === arg.param).value, arg.param.type, model, classes);
+    if (arg.name === 'params') {
+      const entries = values.params.map(entry => `${phpString(entry.param.name)} => ${phpValue(entry.value, entry.param.type, model, classes)}`);
+      return `[${entries.join(', ')}]`;
+    }
+    return operation.body.encoding === 'binary' ? FILE_EXAMPLE : phpValue(values.body.value, values.body.type, model, classes);
+  });
+  const call = `$client->${methodName(operation, model)}(${args.join(', ')})`;
+  return operation.result ? `$result = ${call};\nprint_r($result);` : `${call};`;
+}
+
+// PHP expression for an example value of a type; model classes used are
+// added to `classes`
+function phpValue(value, type, model, classes) {
+  if (value === null || value === undefined) return 'null';
+  switch (type.kind) {
+    case 'string':
+      return phpString(typeof value === 'object' ? JSON.stringify(value) : value);
+    case 'integer':
+      return String(Math.trunc(Number(value)) || 0);
+    case 'number': {
+      const number = Number(value) || 0;
+      return Number.isInteger(number) ? `${number}.0` : String(number);
+    }
+    case 'boolean':
+      return String(value === true || value === 'true');
+    case 'array':
+      return `[${(Array.isArray(value) ? value : [value]).map(item => phpValue(item, type.items, model, classes)).join(', ')}]`;
+    case 'map': {
+      const object = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      return `[${Object.keys(object).map(name => `${phpString(name)} => ${phpValue(object[name], type.values, model, classes)}`).join(', ')}]`;
+    }
+    case 'file':
+      return FILE_EXAMPLE;
+    case 'model':
+      return modelValue(value, type, model, classes);
+    default:
+      return anyValue(value);
+  }
+}
+
+function modelValue(value, type, model, classes) {
+  const target = resolve(type, model);
+  if (!target || target.kind === 'union') return anyValue(value);
+  if (target.kind === 'alias') return phpValue(value, target.type, model, classes);
+  const name = classNames(model).get(target.name);
+  classes.add(name);
+  if (target.kind === 'enum') {
+    const match = target.values.find(candidate => String(candidate) === String(value));
+    return `${name}::${caseNames(target).get(String(match === undefined ? target.values[0] : match))}`;
+  }
+  const object = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const names = argumentNames(target);
+  const args = target.properties.filter(property => property.type && object[property.name] !== undefined)
+    .map(property => `${names.get(property.name)}: ${phpValue(object[property.name], property.type, model, classes)}`);
+  return `new ${name}(${args.join(', ')})`;
+}
+
+// Untyped values as decoded JSON: arrays and scalars
+function anyValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(anyValue).join(', ')}]`;
+  if (typeof value === 'object') return `[${Object.keys(value).map(name => `${phpString(name)} => ${anyValue(value[name])}`).join(', ')}]`;
+  if (typeof value === 'string') return phpString(value);
+  return String(value);
+}
+
+// Single-quoted string, where only `\` and `'` need escaping
+function phpString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// Autoload, imports, construction, credentials and the first operation's
+// example
+function usageExample(model) {
+  const auth = authCalls(model, {
+    bearer: "$client->setAuthToken('your-api-token');",
+    basic: "$client->setBasicAuth('username', 'password');",
+    apiKey: "$client->setApiKey('your-api-key');"
+  });
+  const namespace = packageName(model);
+  const classes = new Set();
+  const operation = model.operations[0];
+  const example = operation ? renderExample(operation, model, classes) : '// This API has no operations';
+  const imports = [`use ${namespace}\\ApiClient;`].concat(Array.from(classes).sort().map(name => `use ${namespace}\\Model\\${name};`));
+  return `<?php
+
+require 'vendor/autoload.php';
+
+${imports.join('\n')}
+
+// Initialize the API client
+$client = new ApiClient(${phpString(model.baseUrl)});
+${auth.length > 0 ? `\n// Make authenticated requests\n${auth.join('\n')}\n` : ''}
+// Call API methods
+${example}`;
+}
+
+module.exports = {
+  LABEL,
+  FENCE,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  methodName,
+  methodSignature,
+  methodExample,
+  phpType
+};
\ No newline at end of file
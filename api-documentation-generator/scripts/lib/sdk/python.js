@@ -0,0 +1,773 @@
+// Python client generator: a dependency-free package (urllib) for Python
+// 3.8+. Object models are dataclasses with `from_dict`/`to_dict` keyed by
+// the wire names, enums are classes of constants, and unions and aliases are
+// typing aliases. Results are decoded into the models; the runtime in
+// _runtime.py handles auth, retries, timeouts and pagination.
+
+const { snakeCase, constantCase, identifiers, uniqueName, exampleArguments, withFiles, authCalls } = require('./model');
+
+const LABEL = 'Python';
+const FENCE = 'python';
+const DEPENDENCIES = [];
+
+const KEYWORDS = ['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or',
+  'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'];
+
+// Names the generated code already uses
+// Stands for file content in examples
+const FILE_EXAMPLE = 'open("file", "rb").read()';
+
+const ARGUMENT_RESERVED = KEYWORDS.concat(['self', 'params', 'data']);
+const FIELD_RESERVED = KEYWORDS.concat(['to_dict', 'from_dict']);
+const CLIENT_MEMBERS = ['set_auth_token', 'set_basic_auth', 'set_api_key'];
+
+const TYPING_NAMES = ['Any', 'Dict', 'List', 'Optional', 'Union'];
+
+const methodCache = new WeakMap();
+const fieldCache = new WeakMap();
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS);
+    const names = new Map();
+    model.operations.forEach(operation => {
+      let name = snakeCase(operation.name) || operation.method;
+      if (KEYWORDS.includes(name)) name = `${name}_`;
+      names.set(operation, uniqueName(name, taken));
+    });
+    methodCache.set(model, names);
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+// Attribute names of an object model, by wire name
+function fieldNames(entry) {
+  if (!fieldCache.has(entry)) {
+    fieldCache.set(entry, identifiers(entry.properties.map(property => property.name), snakeCase, FIELD_RESERVED));
+  }
+  return fieldCache.get(entry);
+}
+
+function methodArguments(operation) {
+  const names = identifiers(operation.pathParams.map(param => param.name), snakeCase, ARGUMENT_RESERVED);
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), param }));
+  if (operation.queryParams.length > 0) args.push({ name: 'params', optional: true });
+  if (operation.body) args.push({ name: 'data', optional: true });
+  return args;
+}
+
+function methodSignature(operation) {
+  return `(${['self'].concat(methodArguments(operation).map(arg => (arg.optional ? `${arg.name}=None` : arg.name))).join(', ')})`;
+}
+
+// A call of the operation on a `client`, with example arguments; the
+// parameter map and body are passed by keyword
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param) return pythonValue(values.path.find(entry => entry.param === arg.param).value);
+    if (arg.name === 'params') {
+      const params = {};
+      values.params.forEach(entry => {
+        params[entry.param.name] = entry.value;
+      });
+      return Object.keys(params).length > 0 ? `params=${pythonValue(params)}` : null;
+    }
+    return `data=${operation.body.encoding === 'binary' ? FILE_EXAMPLE : pythonValue(withFiles(values.body.value, values.body.type, model, FILE_EXAMPLE))}`;
+  }).filter(Boolean);
+  const call = `client.${methodName(operation, model)}(${args.join(', ')})`;
+  return operation.result ? `result = ${call}\nprint(result)` : call;
+}
+
+function installCommand() {
+  return 'pip install /path/to/python';
+}
+
+// Import, construction, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: 'client.set_auth_token("your-api-token")',
+    basic: 'client.set_basic_auth("username", "password")',
+    apiKey: 'client.set_api_key("your-api-key")'
+  });
+  return `from ${packageName(model)} import ApiClient
+
+# Initialize the API client
+client = ApiClient("${model.baseUrl}")
+${auth.length > 0 ? `\n# Make authenticated requests\n${auth.join('\n')}\n` : ''}
+# Call API methods
+${firstMethod ? firstMethod.example : '# This API has no operations'}`;
+}
+
+// Type hint for a descriptor; `prefix` qualifies model names. Enum models
+// are hinted by their base type.
+function pythonType(type, model, prefix = '') {
+  let result;
+  switch (type.kind) {
+    case 'string':
+      result = 'str';
+      break;
+    case 'integer':
+      result = 'int';
+      break;
+    case 'number':
+      result = 'float';
+      break;
+    case 'boolean':
+      result = 'bool';
+      break;
+    case 'array':
+      result = `List[${pythonType(type.items, model, prefix)}]`;
+      break;
+    case 'map':
+      result = `Dict[str, ${pythonType(type.values, model, prefix)}]`;
+      break;
+    case 'model': {
+      const target = model.models.find(entry => entry.name === type.name);
+      result = target && target.kind === 'enum' ? { string: 'str', integer: 'int', number: 'float' }[target.base] || 'str' : `${prefix}${type.name}`;
+      break;
+    }
+    case 'file':
+      result = 'bytes';
+      break;
+    default:
+      return 'Any';
+  }
+  return type.nullable ? `Optional[${result}]` : result;
+}
+
+// Decoding descriptor the runtime understands: a model class name, a
+// ('list', inner) or ('map', inner) tuple, or None for plain JSON values
+function decoder(type, model) {
+  switch (type.kind) {
+    case 'array': {
+      const inner = decoder(type.items, model);
+      return inner === 'None' ? 'None' : `("list", ${inner})`;
+    }
+    case 'map': {
+      const inner = decoder(type.values, model);
+      return inner === 'None' ? 'None' : `("map", ${inner})`;
+    }
+    case 'model': {
+      const target = model.models.find(entry => entry.name === type.name);
+      if (!target) return 'None';
+      if (target.kind === 'object') return quote(target.name);
+      if (target.kind === 'alias') return decoder(target.type, model);
+      return 'None';
+    }
+    default:
+      return 'None';
+  }
+}
+
+// Import name of the generated package
+function packageName(model) {
+  return `${snakeCase(model.title) || 'api'}_client`;
+}
+
+function generateClient(model, options = {}) {
+  const name = options.packageName || packageName(model);
+  return {
+    'pyproject.toml': pyproject(model, name),
+    [`${name}/__init__.py`]: initFile(model),
+    [`${name}/_runtime.py`]: RUNTIME,
+    [`${name}/models.py`]: modelsFile(model),
+    [`${name}/client.py`]: clientFile(model)
+  };
+}
+
+function pyproject(model, packageName) {
+  return [
+    '[build-system]',
+    'requires = ["setuptools>=61"]',
+    'build-backend = "setuptools.build_meta"',
+    '',
+    '[project]',
+    `name = ${quote(packageName.replace(/_/g, '-'))}`,
+    `version = ${quote(/^\d+(\.\d+)*$/.test(model.version) ? model.version : '1.0.0')}`,
+    `description = ${quote(`Client for ${model.title}`)}`,
+    'requires-python = ">=3.8"',
+    '',
+    '[tool.setuptools]',
+    `packages = [${quote(packageName)}]`,
+    ''
+  ].join('\n');
+}
+
+function initFile(model) {
+  const exported = model.models.map(entry => entry.name);
+  return [
+    `"""Client for ${docText(model.title)} ${docText(model.version)}"""`,
+    '',
+    'from ._runtime import ApiError',
+    'from .client import ApiClient',
+    ...(exported.length > 0 ? [`from .models import ${exported.join(', ')}`] : []),
+    '',
+    `__all__ = [${['ApiClient', 'ApiError'].concat(exported).map(quote).join(', ')}]`,
+    ''
+  ].join('\n');
+}
+
+function modelsFile(model) {
+  const lines = [
+    `"""Models for ${docText(model.title)} ${docText(model.version)}"""`,
+    '',
+    'from __future__ import annotations',
+    '',
+    'from dataclasses import dataclass',
+    'from typing import TYPING',
+    '',
+    'from ._runtime import Model',
+    ''
+  ];
+  const aliases = [];
+
+  model.models.forEach(entry => {
+    switch (entry.kind) {
+      case 'object': {
+        const names = fieldNames(entry);
+        // Dataclass fields without a default come first
+        const ordered = entry.properties.filter(property => property.required)
+          .concat(entry.properties.filter(property => !property.required));
+        lines.push('', '@dataclass', `class ${entry.name}(Model):`);
+        const doc = docString(entry.description, '    ');
+        if (doc.length > 0) lines.push(...doc, '');
+        ordered.forEach(property => {
+          const hint = pythonType(property.type, model);
+          const optional = property.required ? hint : (/^Optional\[/.test(hint) ? hint : `Optional[${hint}]`);
+          lines.push(`    ${names.get(property.name)}: ${optional}${property.required ? '' : ' = None'}`);
+        });
+        const fields = ordered.map(property =>
+          `        ${quote(names.get(property.name))}: (${quote(property.name)}, ${decoder(property.type, model)}),`);
+        lines.push('', '    _FIELDS = {', ...fields, '    }');
+        lines.push('');
+        break;
+      }
+      case 'enum': {
+        const names = identifiers(entry.values.map(String), constantCase, KEYWORDS);
+        lines.push('', `class ${entry.name}:`);
+        lines.push(...docString(entry.description || `Values of ${entry.name}`, '    '), '');
+        entry.values.forEach(value => lines.push(`    ${names.get(String(value))} = ${pythonLiteral(value)}`));
+        lines.push('');
+        break;
+      }
+      case 'union':
+        aliases.push({ entry, hint: `Union[${entry.variants.map(variant => pythonType(variant, model)).join(', ')}]` });
+        break;
+      default:
+        aliases.push({ entry, hint: pythonType(entry.type, model) });
+    }
+  });
+
+  // Aliases come after the classes, each after the aliases it names, so
+  // they hold real types that other modules can resolve. Only alias cycles
+  // fall back to forward references.
+  const defined = new Set(model.models.filter(entry => entry.kind === 'object' || entry.kind === 'enum').map(entry => entry.name));
+  const pending = aliases.slice();
+  if (pending.length > 0) lines.push('');
+  while (pending.length > 0) {
+    const ready = pending.findIndex(({ hint }) => modelNames(hint).every(name => defined.has(name)));
+    const [{ entry, hint }] = pending.splice(ready === -1 ? 0 : ready, 1);
+    const value = hint.replace(/\b([A-Z]\w*)\b/g, name => (TYPING_NAMES.includes(name) || defined.has(name) ? name : quote(name)));
+    lines.push(...comment(entry.description), `${entry.name} = ${value}`);
+    defined.add(entry.name);
+  }
+  return typingImport(`${lines.join('\n').replace(/\n{4,}/g, '\n\n\n').trim()}\n`);
+}
+
+function clientFile(model) {
+  const schemes = model.auth.map(scheme => {
+    const fields = [`"kind": ${quote(scheme.kind)}`];
+    if (scheme.kind === 'apiKey') fields.push(`"in": ${quote(scheme.in)}`, `"name": ${quote(scheme.paramName)}`);
+    return `    ${quote(scheme.name)}: {${fields.join(', ')}},`;
+  });
+  const lines = [
+    `"""Client for ${docText(model.title)} ${docText(model.version)}"""`,
+    '',
+    'from __future__ import annotations',
+    '',
+    'from typing import TYPING',
+    '',
+    'from . import models',
+    'from ._runtime import BaseClient',
+    '',
+    `SECURITY_SCHEMES = {${schemes.length > 0 ? `\n${schemes.join('\n')}\n` : ''}}`,
+    '',
+    '',
+    'class ApiClient(BaseClient):',
+    ...docString(model.description ? `${model.title}\n\n${model.description}` : model.title, '    '),
+    '',
+    `    def __init__(self, base_url: Optional[str] = None, **options: Any) -> None:`,
+    `        super().__init__(base_url or ${quote(model.baseUrl)}, SECURITY_SCHEMES, models, **options)`
+  ];
+
+  model.operations.forEach(operation => {
+    const name = methodName(operation, model);
+    const args = methodArguments(operation);
+    const returns = !operation.result ? 'None' : operation.result.encoding === 'binary' ? 'bytes'
+      : operation.result.encoding === 'text' ? 'str' : pythonType(operation.result.type, model, 'models.');
+    const parameters = ['self'].concat(args.map(arg => {
+      if (arg.param) return `${arg.name}: ${pythonType(arg.param.type, model, 'models.')}`;
+      if (arg.name === 'params') return 'params: Optional[Dict[str, Any]] = None';
+      const hint = operation.body.encoding === 'binary' ? 'bytes' : pythonType(operation.body.type, model, 'models.');
+      return `data: ${/^Optional\[/.test(hint) ? hint : `Optional[${hint}]`} = None`;
+    }));
+
+    const doc = [];
+    if (operation.summary) doc.push(operation.summary);
+    if (operation.description) doc.push(...(doc.length > 0 ? [''] : []), operation.description);
+    doc.push(...(doc.length > 0 ? [''] : []), `${operation.method.toUpperCase()} ${operation.path}`);
+    if (operation.deprecated) doc.push('', 'Deprecated.');
+    const argumentDocs = args.map(arg => {
+      if (arg.param) return `${arg.name}: ${arg.param.description || `Path parameter ${arg.param.name}`}`;
+      if (arg.name === 'params') return `params: ${operation.queryParams.map(param => `${param.name} (${param.in}${param.required ? ', required' : ''})`).join(', ')}`;
+      return `data: ${operation.body.description || 'Request body'}`;
+    });
+    if (argumentDocs.length > 0) doc.push('', 'Args:', ...argumentDocs.map(line => `    ${line}`));
+
+    lines.push('', `    def ${name}(${parameters.join(', ')}) -> ${returns}:`);
+    lines.push(...docString(doc.join('\n'), '        '));
+    lines.push(`        return self._request(`);
+    lines.push(...requestArguments(operation, args, model).map((argument, index, all) => `            ${argument}${index < all.length - 1 ? ',' : ''}`));
+    lines.push('        )');
+
+    if (operation.pagination) {
+      const paging = operation.pagination;
+      const pathArgs = args.filter(arg => arg.param);
+      const signature = ['self'].concat(pathArgs.map(arg => `${arg.name}: ${pythonType(arg.param.type, model, 'models.')}`), 'params: Optional[Dict[str, Any]] = None');
+      const call = pathArgs.map(arg => arg.name).concat('dict(params or {}, **page)');
+      const path = steps => `[${steps.map(step => quote(pythonField(model, step))).join(', ')}]`;
+      const settings = [`"kind": ${quote(paging.kind)}`, `"param": ${quote(paging.param)}`, `"items": ${path(paging.items)}`];
+      if (paging.start !== undefined) settings.push(`"start": ${paging.start}`);
+      if (paging.nextCursor) settings.push(`"next_cursor": ${path(paging.nextCursor)}`);
+      lines.push('', `    def iterate_${name.replace(/_$/, '')}(${signature.join(', ')}) -> Iterator[${pythonType(paging.itemType, model, 'models.')}]:`);
+      lines.push(...docString(`Every item of ${name}, fetching pages until one comes back empty${paging.kind === 'cursor' ? ' or without a next cursor' : ''}`, '        '));
+      lines.push(`        return self._paginate(lambda page: self.${name}(${call.join(', ')}), params, {${settings.join(', ')}})`);
+    }
+  });
+  lines.push('');
+  return typingImport(lines.join('\n'));
+}
+
+function requestArguments(operation, args, model) {
+  const result = [quote(operation.method.toUpperCase()), quote(operation.path)];
+  const pathArgs = args.filter(arg => arg.param);
+  if (pathArgs.length > 0) result.push(`path_params={${pathArgs.map(arg => `${quote(arg.param.name)}: ${arg.name}`).join(', ')}}`);
+  if (operation.queryParams.length > 0) {
+    result.push('params=params');
+    result.push(`locations={${operation.queryParams.map(param => `${quote(param.name)}: ${quote(param.in)}`).join(', ')}}`);
+    const required = operation.queryParams.filter(param => param.required);
+    if (required.length > 0) result.push(`required=[${required.map(param => quote(param.name)).join(', ')}]`);
+  }
+  if (operation.body) {
+    result.push('body=data', `content_type=${quote(operation.body.contentType)}`, `encoding=${quote(operation.body.encoding)}`);
+    if (operation.body.required) result.push('body_required=True');
+  }
+  if (operation.security.length > 0) result.push(`security=[${operation.security.map(names => `[${names.map(quote).join(', ')}]`).join(', ')}]`);
+  if (operation.result) {
+    result.push(`accept=${quote(operation.result.contentType)}`, `response_type=${quote(operation.result.encoding)}`);
+    const decode = decoder(operation.result.type, model);
+    if (operation.result.encoding === 'json' && decode !== 'None') result.push(`result=${decode}`);
+  }
+  return result;
+}
+
+// Fills in the `from typing import` line with the names the module uses
+function typingImport(source) {
+  const used = ['Any', 'Dict', 'Iterator', 'List', 'Optional', 'Union'].filter(name => new RegExp(`\\b${name}\\b`).test(source.replace(/^from typing import TYPING$/m, '')));
+  return used.length > 0
+    ? source.replace(/^from typing import TYPING$/m, `from typing import ${used.join(', ')}`)
+    : source.replace(/^from typing import TYPING\n/m, '');
+}
+
+function pythonField(model, step) {
+  const entry = model.models.find(candidate => candidate.name === step.model);
+  return fieldNames(entry).get(step.property);
+}
+
+function docString(text, indent) {
+  if (!text) return [];
+  const body = String(text).replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"').trim().split(/\r?\n/).map(line => line.trimEnd());
+  if (body.length === 1) return [`${indent}"""${body[0]}"""`];
+  return [`${indent}"""${body[0]}`, ...body.slice(1).map(line => (line ? `${indent}${line}` : '')), `${indent}"""`];
+}
+
+function comment(text) {
+  if (!text) return [];
+  return String(text).trim().split(/\r?\n/).map(line => `# ${line.trimEnd()}`.trimEnd());
+}
+
+function modelNames(hint) {
+  return (hint.match(/\b[A-Z]\w*\b/g) || []).filter(name => !TYPING_NAMES.includes(name));
+}
+
+function docText(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Python expression for a JSON value
+function pythonValue(value) {
+  if (value === null || value === undefined) return 'None';
+  if (value === FILE_EXAMPLE) return value;
+  if (Array.isArray(value)) return `[${value.map(pythonValue).join(', ')}]`;
+  if (typeof value === 'object') return `{${Object.keys(value).map(name => `${quote(name)}: ${pythonValue(value[name])}`).join(', ')}}`;
+  return pythonLiteral(value);
+}
+
+function pythonLiteral(value) {
+  if (typeof value === 'string') return quote(value);
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return String(value);
+}
+
+function quote(value) {
+  return JSON.stringify(String(value));
+}
+
+const RUNTIME = `"""Request plumbing shared by the generated client: parameter serialization,
+auth, retries with backoff, timeouts, model decoding and pagination."""
+
+from __future__ import annotations
+
+import base64
+import dataclasses
+import email.utils
+import json
+import time
+import urllib.error
+import urllib.parse
+import urllib.request
+import uuid
+from typing import Any, Callable, Dict, Iterator, List, Optional
+
+# Statuses worth another attempt. Only 429 and 503 are retried for
+# non-idempotent methods, since the server did not act on the request.
+RETRY_STATUSES = (429, 500, 502, 503, 504)
+IDEMPOTENT_METHODS = ("GET", "HEAD", "OPTIONS", "PUT", "DELETE", "TRACE")
+
+
+class ApiError(Exception):
+    """A response outside the 2xx range."""
+
+    def __init__(self, message: str, status: int, body: Any = None, headers: Optional[Dict[str, str]] = None) -> None:
+        super().__init__(message)
+        self.status = status
+        self.body = body
+        self.headers = headers or {}
+
+
+class Model:
+    """Base of the generated dataclasses. \`_FIELDS\` maps attribute names to
+    (wire name, decoder) pairs."""
+
+    _FIELDS: Dict[str, Any] = {}
+
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any], models: Any = None) -> Any:
+        if not isinstance(data, dict):
+            return data
+        values = {}
+        for attribute, (wire, kind) in cls._FIELDS.items():
+            if wire in data:
+                values[attribute] = decode(data[wire], kind, models)
+        instance = cls(**{name: values.get(name) for name in cls._FIELDS if name in values or _required(cls, name)})
+        extra = {key: value for key, value in data.items() if key not in {wire for wire, _ in cls._FIELDS.values()}}
+        if extra:
+            instance.additional_properties = extra
+        return instance
+
+    def to_dict(self) -> Dict[str, Any]:
+        result = dict(getattr(self, "additional_properties", {}) or {})
+        for attribute, (wire, _) in self._FIELDS.items():
+            value = getattr(self, attribute)
+            if value is not None:
+                result[wire] = encode(value)
+        return result
+
+
+def _required(cls: Any, name: str) -> bool:
+    field = next((field for field in dataclasses.fields(cls) if field.name == name), None)
+    return field is not None and field.default is dataclasses.MISSING
+
+
+def decode(value: Any, kind: Any, models: Any) -> Any:
+    if value is None or kind is None:
+        return value
+    if isinstance(kind, tuple):
+        container, inner = kind
+        if container == "list" and isinstance(value, list):
+            return [decode(item, inner, models) for item in value]
+        if container == "map" and isinstance(value, dict):
+            return {key: decode(item, inner, models) for key, item in value.items()}
+        return value
+    cls = getattr(models, kind, None)
+    return cls.from_dict(value, models) if cls is not None else value
+
+
+def encode(value: Any) -> Any:
+    if isinstance(value, Model):
+        return value.to_dict()
+    if isinstance(value, list):
+        return [encode(item) for item in value]
+    if isinstance(value, dict):
+        return {key: encode(item) for key, item in value.items()}
+    return value
+
+
+class BaseClient:
+    """HTTP client with credentials, retries and timeouts.
+
+    Options: max_retries (default 2), retry_delay in seconds (default 0.5,
+    doubled on each retry), timeout in seconds (default 30) and headers sent
+    with every request."""
+
+    def __init__(self, base_url: str, security_schemes: Dict[str, Dict[str, str]], models: Any,
+                 max_retries: int = 2, retry_delay: float = 0.5, timeout: float = 30.0,
+                 headers: Optional[Dict[str, str]] = None) -> None:
+        self.base_url = base_url.rstrip("/")
+        self.security_schemes = security_schemes
+        self.models = models
+        self.max_retries = max_retries
+        self.retry_delay = retry_delay
+        self.timeout = timeout
+        self.headers = dict(headers or {})
+        self._token: Optional[str] = None
+        self._basic: Optional[str] = None
+        self._api_keys: Dict[str, str] = {}
+
+    def set_auth_token(self, token: str) -> None:
+        """Bearer token for HTTP bearer, OAuth 2.0 and OpenID Connect schemes."""
+        self._token = token
+
+    def set_basic_auth(self, username: str, password: str) -> None:
+        self._basic = base64.b64encode(f"{username}:{password}".encode()).decode()
+
+    def set_api_key(self, value: str, scheme: Optional[str] = None) -> None:
+        """Key for the named API key scheme, or for every one when no scheme is given."""
+        for name, settings in self.security_schemes.items():
+            if settings["kind"] == "apiKey" and scheme in (None, name):
+                self._api_keys[name] = value
+
+    def _request(self, method: str, path: str, path_params: Optional[Dict[str, Any]] = None,
+                 params: Optional[Dict[str, Any]] = None, locations: Optional[Dict[str, str]] = None,
+                 required: List[str] = (), body: Any = None, content_type: Optional[str] = None,
+                 encoding: Optional[str] = None, body_required: bool = False, security: List[List[str]] = (),
+                 accept: Optional[str] = None, response_type: Optional[str] = None, result: Any = None) -> Any:
+        params = params or {}
+        for name in required:
+            if params.get(name) is None:
+                raise TypeError(f"Missing required parameter {name}")
+        if body_required and body is None:
+            raise TypeError("Missing required request body")
+
+        def substitute(name: str) -> str:
+            value = (path_params or {}).get(name)
+            if value is None:
+                raise TypeError(f"Missing required parameter {name}")
+            return urllib.parse.quote(str(value), safe="")
+
+        url = self.base_url + _expand(path, substitute)
+        query: List[Any] = []
+        headers = dict(self.headers)
+        cookies: List[str] = []
+        for name, value in params.items():
+            if value is None:
+                continue
+            location = (locations or {}).get(name, "query")
+            if location == "header":
+                headers[name] = ",".join(map(_text, value)) if isinstance(value, list) else _text(value)
+            elif location == "cookie":
+                cookies.append(f"{name}={urllib.parse.quote(_text(value))}")
+            else:
+                query.extend((name, _text(item)) for item in (value if isinstance(value, list) else [value]))
+        self._apply_auth(security, query, headers, cookies)
+        if cookies:
+            headers["Cookie"] = "; ".join(cookies)
+        if query:
+            url += "?" + urllib.parse.urlencode(query)
+        if accept:
+            headers["Accept"] = accept
+
+        payload = None
+        if body is not None:
+            payload, headers["Content-Type"] = _encode_body(encode(body), encoding, content_type)
+        return self._send(method, url, headers, payload, response_type, result)
+
+    def _send(self, method: str, url: str, headers: Dict[str, str], payload: Optional[bytes],
+              response_type: Optional[str], result: Any) -> Any:
+        attempt = 0
+        while True:
+            request = urllib.request.Request(url, data=payload, headers=headers, method=method)
+            try:
+                with urllib.request.urlopen(request, timeout=self.timeout) as response:
+                    return self._read(response.status, response.read(), response_type, result)
+            except urllib.error.HTTPError as error:
+                content = error.read()
+                retryable = error.code in RETRY_STATUSES if method in IDEMPOTENT_METHODS else error.code in (429, 503)
+                if retryable and attempt < self.max_retries:
+                    delay = _retry_after(error.headers.get("Retry-After"))
+                    time.sleep(self.retry_delay * 2 ** attempt if delay is None else delay)
+                    attempt += 1
+                    continue
+                raise ApiError(f"{method} {urllib.parse.urlsplit(url).path} failed with status {error.code}",
+                               error.code, _parse(content), dict(error.headers)) from None
+            except (urllib.error.URLError, TimeoutError, ConnectionError):
+                if attempt < self.max_retries and method in IDEMPOTENT_METHODS:
+                    time.sleep(self.retry_delay * 2 ** attempt)
+                    attempt += 1
+                    continue
+                raise
+
+    def _read(self, status: int, content: bytes, response_type: Optional[str], result: Any) -> Any:
+        if status in (204, 205) or response_type is None:
+            return None
+        if response_type == "binary":
+            return content
+        if response_type == "text":
+            return content.decode("utf-8", "replace")
+        return decode(_parse(content), result, self.models)
+
+    def _apply_auth(self, security: List[List[str]], query: List[Any], headers: Dict[str, str], cookies: List[str]) -> None:
+        """Credentials for the first security requirement that can be met."""
+
+        def available(name: str) -> bool:
+            scheme = self.security_schemes.get(name)
+            if scheme is None:
+                return False
+            if scheme["kind"] == "bearer":
+                return self._token is not None
+            if scheme["kind"] == "basic":
+                return self._basic is not None
+            return name in self._api_keys
+
+        requirement = next((names for names in security if all(available(name) for name in names)), [])
+        for name in requirement:
+            scheme = self.security_schemes[name]
+            if scheme["kind"] == "bearer":
+                headers["Authorization"] = f"Bearer {self._token}"
+            elif scheme["kind"] == "basic":
+                headers["Authorization"] = f"Basic {self._basic}"
+            elif scheme["in"] == "query":
+                query.append((scheme["name"], self._api_keys[name]))
+            elif scheme["in"] == "cookie":
+                cookies.append(f"{scheme['name']}={urllib.parse.quote(self._api_keys[name])}")
+            else:
+                headers[scheme["name"]] = self._api_keys[name]
+
+    def _paginate(self, fetch_page: Callable[[Dict[str, Any]], Any], params: Optional[Dict[str, Any]],
+                  paging: Dict[str, Any]) -> Iterator[Any]:
+        """Yields the items of successive pages. \`fetch_page\` is called with the
+        page parameter to send."""
+        value = (params or {}).get(paging["param"])
+        if value is None and paging["kind"] == "page":
+            value = paging.get("start", 1)
+        if value is None and paging["kind"] == "offset":
+            value = 0
+        while True:
+            page = fetch_page({} if value is None else {paging["param"]: value})
+            items = _pick(page, paging["items"]) or []
+            yield from items
+            if not items:
+                return
+            if paging["kind"] == "cursor":
+                value = _pick(page, paging["next_cursor"])
+                if not value:
+                    return
+            else:
+                value += 1 if paging["kind"] == "page" else len(items)
+
+
+def _expand(path: str, substitute: Callable[[str], str]) -> str:
+    result = ""
+    rest = path
+    while "{" in rest:
+        before, _, after = rest.partition("{")
+        name, _, rest = after.partition("}")
+        result += before + substitute(name)
+    return result + rest
+
+
+def _encode_body(body: Any, encoding: Optional[str], content_type: Optional[str]) -> Any:
+    if encoding == "json":
+        return json.dumps(body).encode(), content_type
+    if encoding == "form":
+        fields = [(name, _text(item)) for name, value in body.items() if value is not None
+                  for item in (value if isinstance(value, list) else [value])]
+        return urllib.parse.urlencode(fields).encode(), content_type
+    if encoding == "multipart":
+        boundary = uuid.uuid4().hex
+        parts = []
+        for name, value in body.items():
+            if value is None:
+                continue
+            if isinstance(value, (bytes, bytearray)):
+                header = f'Content-Disposition: form-data; name="{name}"; filename="{name}"\\r\\nContent-Type: application/octet-stream'
+                content = bytes(value)
+            else:
+                header = f'Content-Disposition: form-data; name="{name}"'
+                content = (json.dumps(value) if isinstance(value, (dict, list)) else _text(value)).encode()
+            parts.append(f"--{boundary}\\r\\n{header}\\r\\n\\r\\n".encode() + content + b"\\r\\n")
+        return b"".join(parts) + f"--{boundary}--\\r\\n".encode(), f"multipart/form-data; boundary={boundary}"
+    if isinstance(body, (bytes, bytearray)):
+        return bytes(body), content_type
+    return (body if isinstance(body, str) else json.dumps(body)).encode(), content_type
+
+
+def _text(value: Any) -> str:
+    if isinstance(value, bool):
+        return "true" if value else "false"
+    if isinstance(value, (dict, list)):
+        return json.dumps(value)
+    return str(value)
+
+
+def _parse(content: bytes) -> Any:
+    if not content:
+        return None
+    text = content.decode("utf-8", "replace")
+    try:
+        return json.loads(text)
+    except ValueError:
+        return text
+
+
+def _pick(value: Any, path: List[str]) -> Any:
+    for key in path:
+        if value is None:
+            return None
+        value = value.get(key) if isinstance(value, dict) else getattr(value, key, None)
+    return value
+
+
+def _retry_after(header: Optional[str]) -> Optional[float]:
+    """Retry-After as delta-seconds or an HTTP date, in seconds."""
+    if not header:
+        return None
+    try:
+        return max(0.0, float(header))
+    except ValueError:
+        pass
+    try:
+        return max(0.0, email.utils.parsedate_to_datetime(header).timestamp() - time.time())
+    except (TypeError, ValueError):
+        return None
+`;
+
+module.exports = {
+  LABEL,
+  FENCE,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  generateClient,
+  methodName,
+  methodSignature,
+  methodExample,
+  pythonType
+};
\ No newline at end of file
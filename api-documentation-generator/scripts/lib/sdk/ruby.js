@@ -0,0 +1,141 @@
+// Ruby documentation target: signatures and examples for a gem named after
+// the API, on Net::HTTP and JSON from the standard library. Operations are
+// snake_case methods of Client taking path parameters positionally and the
+// query, header and cookie parameters and request body as the `params:` and
+// `body:` keywords; models are plain hashes. There is no Ruby client
+// generator; the guide describes the gem a Ruby client is expected to be.
+
+const { snakeCase, pascalCase, identifiers, uniqueName, exampleArguments, withFiles, authCalls } = require('./model');
+
+const LABEL = 'Ruby';
+const FENCE = 'ruby';
+const CLASS_NAME = 'Client';
+const DEPENDENCIES = [];
+
+const KEYWORDS = ['BEGIN', 'END', 'alias', 'and', 'begin', 'break', 'case', 'class', 'def', 'defined?', 'do', 'else', 'elsif',
+  'end', 'ensure', 'false', 'for', 'if', 'in', 'module', 'next', 'nil', 'not', 'or', 'redo', 'rescue', 'retry', 'return',
+  'self', 'super', 'then', 'true', 'undef', 'unless', 'until', 'when', 'while', 'yield', '__FILE__', '__LINE__'];
+
+// Methods every Ruby object has, and the client's own
+const CLIENT_MEMBERS = ['class', 'send', 'method', 'methods', 'hash', 'freeze', 'display', 'dup', 'clone', 'then', 'tap',
+  'inspect', 'object_id', 'instance_variables', 'extend', 'initialize', 'auth_token', 'auth_token=', 'basic_auth', 'api_key',
+  'api_key=', 'request', 'paginate'];
+
+const FILE_EXAMPLE = 'File.open("file", "rb")';
+
+const methodCache = new WeakMap();
+
+// Gem and file name; the client lives in the module of the same name in
+// PascalCase
+function packageName(model) {
+  const name = snakeCase(model.title) || 'api';
+  return /^[a-z]/.test(name) ? name : `api_${name}`;
+}
+
+function moduleName(model) {
+  return pascalCase(packageName(model));
+}
+
+function installCommand(info) {
+  return `gem install ${info.packageName}`;
+}
+
+function methodNames(model) {
+  if (!methodCache.has(model)) {
+    const taken = new Set(CLIENT_MEMBERS);
+    methodCache.set(model, new Map(model.operations.map(operation => {
+      let name = snakeCase(operation.name) || operation.method;
+      if (/^[0-9]/.test(name)) name = `call_${name}`;
+      if (KEYWORDS.includes(name) || CLIENT_MEMBERS.includes(name)) name = `${name}_`;
+      return [operation, uniqueName(name, taken)];
+    })));
+  }
+  return methodCache.get(model);
+}
+
+function methodName(operation, model) {
+  return methodNames(model).get(operation);
+}
+
+function methodArguments(operation) {
+  const names = identifiers(operation.pathParams.map(param => param.name), snakeCase, KEYWORDS.concat(['params', 'body']));
+  const args = operation.pathParams.map(param => ({ name: names.get(param.name), param }));
+  if (operation.queryParams.length > 0) args.push({ name: 'params', required: operation.queryParams.some(param => param.required) });
+  if (operation.body) args.push({ name: 'body', required: operation.body.required });
+  return args;
+}
+
+function methodSignature(operation) {
+  return `(${methodArguments(operation).map(arg => {
+    if (arg.param) return arg.name;
+    if (arg.required) return `${arg.name}:`;
+    return arg.name === 'params' ? 'params: {}' : 'body: nil';
+  }).join(', ')})`;
+}
+
+// A call of the operation on `client`, with example arguments
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param) return rubyValue(values.path.find(entry => entry.param === arg.param).value);
+    if (arg.name === 'params') {
+      const params = {};
+      values.params.forEach(entry => {
+        params[entry.param.name] = entry.value;
+      });
+      return `params: ${rubyValue(params)}`;
+    }
+    return `body: ${operation.body.encoding === 'binary' ? FILE_EXAMPLE : rubyValue(withFiles(values.body.value, values.body.type, model, FILE_EXAMPLE))}`;
+  });
+  const call = `client.${methodName(operation, model)}${args.length > 0 ? `(${args.join(', ')})` : ''}`;
+  return operation.result ? `result = ${call}\npp result` : call;
+}
+
+// Ruby literal; hash keys are symbols where they can be
+function rubyValue(value) {
+  if (value === null || value === undefined) return 'nil';
+  if (value === FILE_EXAMPLE) return value;
+  if (Array.isArray(value)) return `[${value.map(rubyValue).join(', ')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.keys(value).map(name => (/^[a-z_][A-Za-z0-9_]*$/.test(name)
+      ? `${name}: ${rubyValue(value[name])}`
+      : `${rubyString(name)} => ${rubyValue(value[name])}`));
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  if (typeof value === 'string') return rubyString(value);
+  return String(value);
+}
+
+// Double-quoted string with interpolation escaped
+function rubyString(value) {
+  return JSON.stringify(String(value)).replace(/#(?=[{$@])/g, '\\#');
+}
+
+// Require, construction, credentials and the first call
+function usageExample(model, firstMethod) {
+  const auth = authCalls(model, {
+    bearer: 'client.auth_token = "your-api-token"',
+    basic: 'client.basic_auth("username", "password")',
+    apiKey: 'client.api_key = "your-api-key"'
+  });
+  return `require "${packageName(model)}"
+
+# Initialize the API client
+client = ${moduleName(model)}::Client.new(${rubyString(model.baseUrl)})
+${auth.length > 0 ? `\n# Make authenticated requests\n${auth.join('\n')}\n` : ''}
+# Call API methods
+${firstMethod ? firstMethod.example : '# This API has no operations'}`;
+}
+
+module.exports = {
+  LABEL,
+  FENCE,
+  CLASS_NAME,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  methodName,
+  methodSignature,
+  methodExample
+};
\ No newline at end of file
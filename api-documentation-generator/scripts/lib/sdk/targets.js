@@ -0,0 +1,82 @@
+// Language targets for generate-sdk-docs.js. A target describes how one
+// language's client reads, and is usually a module:
+//
+//   LABEL                       display name, e.g. 'C#'
+//   FENCE                       code block language in the Markdown guide
+//   CLASS_NAME                  the client class (optional, default ApiClient)
+//   DEPENDENCIES                packages needed beyond the standard library
+//   packageName(model)          package, namespace or module of the client
+//   installCommand(info, model) shell command adding the client to a project
+//   INSTALL_FENCE               its code block language (optional, default bash)
+//   methodName(operation, model)
+//   methodSignature(operation, model)
+//   methodExample(operation, model)
+//   returnType(operation, model)     optional, printed before the signature
+//   usageExample(model, firstMethod) import, set-up, credentials and a call
+//   generateClient(model)       optional, file path -> content of the client
+//   documentation(model)        optional, extra fields for the guide's info
+//
+// `model` is the language-neutral description from model.js. Plugins add
+// targets: CommonJS modules exporting `{ targets: { name: target } }`, with
+// paths resolved like a `require` from the working directory.
+
+const path = require('path');
+
+const REQUIRED = ['LABEL', 'FENCE', 'DEPENDENCIES', 'packageName', 'installCommand', 'methodName', 'methodSignature',
+  'methodExample', 'usageExample'];
+
+const BUILTIN_TARGETS = {
+  javascript: require('./javascript'),
+  typescript: require('./typescript'),
+  python: require('./python'),
+  java: require('./java'),
+  csharp: require('./csharp'),
+  go: require('./go'),
+  ruby: require('./ruby'),
+  php: require('./php'),
+  kotlin: require('./kotlin')
+};
+
+// The built-in targets with those of the given plugins added
+function loadTargets(plugins = []) {
+  const targets = Object.assign({}, BUILTIN_TARGETS);
+  plugins.forEach(plugin => {
+    const exported = loadPlugin(plugin);
+    Object.keys(exported.targets).forEach(name => {
+      if (targets[name]) {
+        throw new Error(`SDK plugin ${plugin} redefines language "${name}"`);
+      }
+      checkTarget(name, exported.targets[name], plugin);
+      targets[name] = exported.targets[name];
+    });
+  });
+  return targets;
+}
+
+function loadPlugin(plugin) {
+  const local = /^\.{1,2}[\\/]/.test(plugin) || path.isAbsolute(plugin);
+
+  let exported;
+  try {
+    exported = require(local ? path.resolve(plugin) : require.resolve(plugin, { paths: [process.cwd()] }));
+  } catch (error) {
+    throw new Error(`Cannot load SDK plugin ${plugin}: ${error.message.split('\n')[0]}`);
+  }
+
+  if (!exported || typeof exported.targets !== 'object') {
+    throw new Error(`SDK plugin ${plugin} must export a "targets" object`);
+  }
+  return exported;
+}
+
+function checkTarget(name, target, plugin) {
+  const missing = REQUIRED.filter(member => !target || target[member] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Language "${name}" in SDK plugin ${plugin} is missing ${missing.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BUILTIN_TARGETS,
+  loadTargets
+};
\ No newline at end of file
@@ -0,0 +1,366 @@
+// TypeScript target: the JavaScript client with an index.d.ts describing it.
+// Object models become interfaces (`allOf` references to other components
+// as `extends`), enums string or number literal unions next to the client's
+// constant objects, oneOf/anyOf type unions and nullable types `| null`.
+// Every operation's query, header and cookie parameters get an interface of
+// their own.
+
+const { pascalCase, constantCase, identifiers, uniqueName, exampleArguments, withFiles, authCalls } = require('./model');
+const javascriptClient = require('./javascript');
+
+const { FILE_EXAMPLE, literal, key, methodArguments } = javascriptClient;
+
+const LABEL = 'TypeScript';
+const FENCE = 'typescript';
+const DEPENDENCIES = [];
+
+// Global and runtime names the declarations refer to; models with these
+// names are declared with a `Model` suffix
+const TAKEN_TYPES = ['ApiClient', 'ApiError', 'ClientOptions', 'Promise', 'AsyncGenerator', 'Blob', 'Buffer', 'Headers',
+  'Error', 'Array', 'ReadonlyArray', 'Record', 'Partial'];
+
+const typeCache = new WeakMap();
+const paramsCache = new WeakMap();
+
+// The client package is the JavaScript one, so it shares its name and methods
+function packageName(model) {
+  return javascriptClient.packageName(model);
+}
+
+function methodName(operation, model) {
+  return javascriptClient.methodName(operation, model);
+}
+
+// TypeScript name per model name
+function typeNames(model) {
+  if (!typeCache.has(model)) {
+    const taken = new Set(TAKEN_TYPES);
+    typeCache.set(model, new Map(model.models.map(entry => [entry.name, uniqueName(TAKEN_TYPES.includes(entry.name) ? `${entry.name}Model` : entry.name, taken)])));
+  }
+  return typeCache.get(model);
+}
+
+// Name of the parameters interface per operation that has parameters
+function paramsNames(model) {
+  if (!paramsCache.has(model)) {
+    const taken = new Set(TAKEN_TYPES.concat(Array.from(typeNames(model).values())));
+    paramsCache.set(model, new Map(model.operations.filter(operation => operation.queryParams.length > 0)
+      .map(operation => [operation, uniqueName(`${pascalCase(methodName(operation, model))}Params`, taken)])));
+  }
+  return paramsCache.get(model);
+}
+
+function tsType(type, model) {
+  let result;
+  switch (type.kind) {
+    case 'string':
+    case 'integer':
+    case 'number':
+      result = type.enum ? type.enum.map(literal).join(' | ') : type.kind === 'string' ? 'string' : 'number';
+      break;
+    case 'boolean':
+      result = 'boolean';
+      break;
+    case 'array': {
+      const items = tsType(type.items, model);
+      result = /[|&]/.test(items) ? `Array<${items}>` : `${items}[]`;
+      break;
+    }
+    case 'map':
+      result = `{ [key: string]: ${tsType(type.values, model)} }`;
+      break;
+    case 'model':
+      result = typeNames(model).get(type.name) || 'unknown';
+      break;
+    case 'file':
+      result = 'Blob | Buffer';
+      break;
+    default:
+      return 'unknown';
+  }
+  return type.nullable ? `${result} | null` : result;
+}
+
+function bodyType(operation, model) {
+  return operation.body.encoding === 'binary' ? 'Blob | Buffer | string' : tsType(operation.body.type, model);
+}
+
+function resultType(operation, model) {
+  if (!operation.result) return 'void';
+  return operation.result.encoding === 'binary' ? 'Buffer' : tsType(operation.result.type, model);
+}
+
+// Typed parameter list with the return type, as in the declarations
+function methodSignature(operation, model) {
+  const args = methodArguments(operation).map(arg => {
+    const optional = arg.optional ? '?' : '';
+    if (arg.param) return `${arg.name}: ${tsType(arg.param.type, model)}`;
+    if (arg.name === 'params') return `params${optional}: ${paramsNames(model).get(operation)}`;
+    return `data${optional}: ${bodyType(operation, model)}`;
+  });
+  return `(${args.join(', ')}): Promise<${resultType(operation, model)}>`;
+}
+
+// A call of the operation on an `api` client, with the parameters and body
+// declared under their types first
+function methodExample(operation, model) {
+  const values = exampleArguments(operation);
+  const lines = [];
+  const args = methodArguments(operation).map(arg => {
+    if (arg.param) return literal(values.path.find(entry => entry.param === arg.param).value);
+    if (arg.name === 'params') {
+      const params = {};
+      values.params.forEach(entry => {
+        params[entry.param.name] = entry.value;
+      });
+      lines.push(`const params: ${paramsNames(model).get(operation)} = ${literal(params)};`);
+      return 'params';
+    }
+    if (operation.body.encoding === 'binary') return FILE_EXAMPLE;
+    lines.push(`const data: ${bodyType(operation, model)} = ${literal(withFiles(values.body.value, values.body.type, model, FILE_EXAMPLE))};`);
+    return 'data';
+  });
+  const call = `await api.${methodName(operation, model)}(${args.join(', ')})`;
+  lines.push(operation.result ? `const result: ${resultType(operation, model)} = ${call};\nconsole.log(result);` : `${call};`);
+  return lines.join('\n');
+}
+
+function installCommand() {
+  return 'npm install /path/to/typescript';
+}
+
+// Imports, construction, credentials and the first operation's example
+function usageExample(model) {
+  const auth = authCalls(model, {
+    bearer: "api.setAuthToken('your-api-token');",
+    basic: "api.setBasicAuth('username', 'password');",
+    apiKey: "api.setApiKey('your-api-key');"
+  });
+  const operation = model.operations[0];
+  const types = operation ? exampleTypes(operation, model) : [];
+  return `import { ApiClient } from '${packageName(model)}';
+${types.length > 0 ? `import type { ${types.join(', ')} } from '${packageName(model)}';\n` : ''}
+// Initialize the API client
+const api = new ApiClient('${model.baseUrl}');
+${auth.length > 0 ? `\n// Make authenticated requests\n${auth.join('\n')}\n` : ''}
+// Call API methods
+${operation ? methodExample(operation, model) : '// This API has no operations'}`;
+}
+
+// The declarations go into the guide's info, to be written beside it
+function documentation(model) {
+  return { declarations: declarations(model) };
+}
+
+// Types an example of the operation refers to, for its imports
+function exampleTypes(operation, model) {
+  const names = [];
+  if (operation.queryParams.length > 0) names.push(paramsNames(model).get(operation));
+  const collect = type => {
+    if (!type) return;
+    if (type.kind === 'model' && typeNames(model).has(type.name)) names.push(typeNames(model).get(type.name));
+    if (type.kind === 'array') collect(type.items);
+    if (type.kind === 'map') collect(type.values);
+  };
+  if (operation.body && operation.body.encoding !== 'binary') collect(operation.body.type);
+  if (operation.result && operation.result.encoding !== 'binary') collect(operation.result.type);
+  return [...new Set(names)];
+}
+
+// The JavaScript client's files, with index.d.ts and the package's `types`
+function generateClient(model, options = {}) {
+  const files = javascriptClient.generateClient(model, options);
+  const manifest = Object.assign(JSON.parse(files['package.json']), { types: 'index.d.ts' });
+  files['package.json'] = `${JSON.stringify(manifest, null, 2)}\n`;
+  files['index.d.ts'] = declarations(model);
+  return files;
+}
+
+// Declarations of the client, its errors and options, the models and the
+// parameter interfaces
+function declarations(model) {
+  const names = typeNames(model);
+  const lines = [
+    '/// <reference types="node" />',
+    '',
+    `// Type declarations for the ${model.title} ${model.version} client`,
+    '',
+    'export interface ClientOptions {',
+    ...docComment('Retries after a failed attempt (default 2)', '  '),
+    '  maxRetries?: number;',
+    ...docComment('First backoff in milliseconds, doubled on each retry (default 500)', '  '),
+    '  retryDelay?: number;',
+    ...docComment('Per-attempt timeout in milliseconds (default 30000)', '  '),
+    '  timeout?: number;',
+    ...docComment('Sent with every request', '  '),
+    '  headers?: { [name: string]: string };',
+    ...docComment('Replaces the global fetch', '  '),
+    '  fetch?: typeof fetch;',
+    '}',
+    '',
+    ...docComment('Non-2xx response, once retries are used up', ''),
+    'export declare class ApiError extends Error {',
+    '  constructor(message: string, status: number, body: unknown, headers?: Headers);',
+    '  status: number;',
+    '  body: unknown;',
+    '  headers?: Headers;',
+    '}'
+  ];
+
+  model.models.forEach(entry => {
+    lines.push('', ...modelDeclaration(entry, model, names.get(entry.name)));
+  });
+
+  paramsNames(model).forEach((name, operation) => {
+    lines.push('', ...docComment(`Parameters of ${methodName(operation, model)}`, ''), `export interface ${name} {`);
+    operation.queryParams.forEach(param => {
+      lines.push(...docComment(param.description, '  '), `  ${key(param.name)}${param.required ? '' : '?'}: ${tsType(param.type, model)};`);
+    });
+    lines.push('}');
+  });
+
+  lines.push('', ...docComment(model.description ? `${model.title} ${model.version}\n\n${model.description}` : `${model.title} ${model.version}`, ''));
+  lines.push('export declare class ApiClient {');
+  lines.push(...docComment(`@param baseUrl - Defaults to ${model.baseUrl}`, '  '), '  constructor(baseUrl?: string, options?: ClientOptions);');
+  lines.push('  baseUrl: string;', '  maxRetries: number;', '  retryDelay: number;', '  timeout: number;', '  headers: { [name: string]: string };');
+  lines.push(...docComment('Bearer token for HTTP bearer, OAuth 2.0 and OpenID Connect schemes', '  '), '  setAuthToken(token: string): void;');
+  lines.push('  setBasicAuth(username: string, password: string): void;');
+  lines.push(...docComment('Key for the named API key scheme, or for every one when no scheme is given', '  '), '  setApiKey(value: string, scheme?: string): void;');
+
+  model.operations.forEach(operation => {
+    const name = methodName(operation, model);
+    const doc = [operation.summary, operation.description].filter(Boolean);
+    doc.push(`${operation.method.toUpperCase()} ${operation.path}`);
+    if (operation.deprecated) doc.push('@deprecated');
+    lines.push('', ...docComment(doc.join('\n\n'), '  '), `  ${name}${methodSignature(operation, model)};`);
+
+    if (operation.pagination) {
+      const args = methodArguments(operation).filter(arg => arg.param).map(arg => `${arg.name}: ${tsType(arg.param.type, model)}`);
+      const paramsRequired = operation.queryParams.some(param => param.required);
+      args.push(`params${paramsRequired ? '' : '?'}: ${paramsNames(model).get(operation)}`);
+      lines.push(...docComment(`Every item of ${name}, fetching pages until one comes back empty`, '  '));
+      lines.push(`  iterate${pascalCase(name)}(${args.join(', ')}): AsyncGenerator<${tsType(operation.pagination.itemType, model)}>;`);
+    }
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+function modelDeclaration(entry, model, name) {
+  const doc = docComment(entry.description, '');
+  switch (entry.kind) {
+    case 'object': {
+      const bases = compatibleBases(entry, model);
+      const inherited = new Set();
+      bases.forEach(base => model.models.find(other => other.name === base).properties.forEach(property => inherited.add(property.name)));
+      const own = entry.properties.filter(property => property.type && (!inherited.has(property.name) || redeclared(property, bases, model)));
+      const lines = [...doc, `export interface ${name}${bases.length > 0 ? ` extends ${bases.map(base => typeNames(model).get(base)).join(', ')}` : ''} {`];
+      own.forEach(property => {
+        const propertyDoc = [property.description, property.deprecated ? '@deprecated' : ''].filter(Boolean).join('\n');
+        lines.push(...docComment(propertyDoc, '  '), `  ${property.readOnly ? 'readonly ' : ''}${key(property.name)}${property.required ? '' : '?'}: ${tsType(property.type, model)};`);
+      });
+      const index = indexType(entry, model);
+      if (index) lines.push(`  [key: string]: ${index};`);
+      lines.push('}');
+      return lines;
+    }
+    case 'enum': {
+      const type = `${entry.values.map(literal).join(' | ')}${entry.nullable ? ' | null' : ''}`;
+      const constants = identifiers(entry.values.map(String), constantCase, []);
+      const members = entry.values.map(value => `  readonly ${constants.get(String(value))}: ${literal(value)};`);
+      // The client exports the constants under the model's own name
+      if (name !== entry.name) {
+        return [...doc, `export type ${name} = ${type};`, `declare const ${name}: {`, ...members, '};', `export { ${name} as ${entry.name} };`];
+      }
+      return [...doc, `export type ${name} = ${type};`, `export declare const ${name}: {`, ...members, '};'];
+    }
+    case 'union': {
+      const note = entry.discriminator ? `Told apart by \`${entry.discriminator}\`` : '';
+      return [...docComment([entry.description, note].filter(Boolean).join('\n\n'), ''),
+        `export type ${name} = ${aliasCycle(entry, model) ? 'unknown' : entry.variants.map(variant => tsType(variant, model)).join(' | ')};`];
+    }
+    default:
+      return [...doc, `export type ${name} = ${aliasCycle(entry, model) ? 'unknown' : tsType(entry.type, model)};`];
+  }
+}
+
+// Index signature covering the additional properties, which must also admit
+// every declared property; null when there are none
+function indexType(entry, model) {
+  if (!entry.additional) return null;
+  const additional = tsType(entry.additional, model);
+  const declared = entry.properties.filter(property => property.type).map(property => tsType(property.type, model));
+  return declared.every(type => type === additional) ? additional : 'unknown';
+}
+
+// The bases an interface can extend: their properties agree with the
+// model's own and with each other, and their index signatures admit them
+function compatibleBases(entry, model) {
+  const accepted = [];
+  (entry.bases || []).forEach(name => {
+    const base = model.models.find(other => other.name === name);
+    if (!base || base.kind !== 'object' || accepted.includes(name)) return;
+    const agrees = base.properties.filter(property => property.type).every(property => {
+      const mine = entry.properties.find(other => other.name === property.name);
+      if (!mine || tsType(mine.type, model) !== tsType(property.type, model) || (property.required && !mine.required)) return false;
+      return accepted.every(other => {
+        const theirs = model.models.find(candidate => candidate.name === other).properties.find(candidate => candidate.name === property.name);
+        return !theirs || tsType(theirs.type, model) === tsType(property.type, model);
+      });
+    });
+    const baseIndex = indexType(base, model);
+    const ownIndex = indexType(entry, model);
+    const indexAgrees = !baseIndex || baseIndex === 'unknown' ||
+      ((ownIndex === null || ownIndex === baseIndex) && entry.properties.every(property => !property.type || tsType(property.type, model) === baseIndex));
+    if (agrees && indexAgrees) accepted.push(name);
+  });
+  return accepted;
+}
+
+// Whether an inherited property is declared again, being required where a
+// base leaves it optional or read-only where a base does not agree
+function redeclared(property, bases, model) {
+  return bases.some(name => {
+    const inherited = model.models.find(other => other.name === name).properties.find(other => other.name === property.name);
+    return inherited && ((property.required && !inherited.required) || property.readOnly !== inherited.readOnly);
+  });
+}
+
+// Whether an alias or union only leads back to itself through other aliases
+// and unions, which TypeScript rejects as a circular type
+function aliasCycle(entry, model) {
+  const visit = (type, seen) => {
+    if (!type || type.kind !== 'model') return false;
+    if (seen.includes(type.name)) return type.name === entry.name;
+    const target = model.models.find(other => other.name === type.name);
+    if (!target) return false;
+    if (target.kind === 'alias') return visit(target.type, seen.concat(type.name));
+    if (target.kind === 'union') return target.variants.some(variant => visit(variant, seen.concat(type.name)));
+    return false;
+  };
+  return entry.kind === 'alias' ? visit(entry.type, [entry.name]) : entry.variants.some(variant => visit(variant, [entry.name]));
+}
+
+function docComment(text, indent) {
+  if (!text) return [];
+  const lines = String(text).replace(/\*\//g, '*\\/').trim().split(/\r?\n/).map(line => line.trimEnd());
+  if (lines.length === 1) return [`${indent}/** ${lines[0]} */`];
+  return [`${indent}/**`, ...lines.map(line => (line ? `${indent} * ${line}` : `${indent} *`)), `${indent} */`];
+}
+
+module.exports = {
+  LABEL,
+  FENCE,
+  DEPENDENCIES,
+  packageName,
+  installCommand,
+  usageExample,
+  documentation,
+  generateClient,
+  declarations,
+  methodName,
+  methodSignature,
+  methodExample,
+  exampleTypes,
+  tsType
+};
\ No newline at end of file
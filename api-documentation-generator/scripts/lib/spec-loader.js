@@ -0,0 +1,243 @@
+// Shared loader for API specification files. Specs may be JSON or YAML; both
+// are read with the source position of every value so scripts can report
+// problems as `line N` of the file the user actually edits. Writing goes
+// through the same module so a YAML spec stays YAML.
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml, stringifyYaml, pointer, YamlSyntaxError } = require('./yaml');
+
+class SpecSyntaxError extends Error {
+  constructor(file, format, reason, line, column) {
+    super(`Invalid ${format === 'yaml' ? 'YAML' : 'JSON'} in ${file}: ${reason} at line ${line}, column ${column}`);
+    this.name = 'SpecSyntaxError';
+    this.file = file;
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Reads a spec from disk. Returns `{ spec, format, locations, comments,
+// lineOf }`; `lineOf(pointer)` gives the line of a JSON pointer such as
+// '/paths/~1users/get', falling back to its closest located ancestor, and
+// `comments` holds a YAML spec's comments for serializeSpec.
+function loadSpec(filePath) {
+  return parseSpec(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+function parseSpec(text, filePath = '<input>') {
+  const format = detectFormat(filePath, text);
+  let parsed;
+
+  try {
+    parsed = format === 'yaml' ? parseYaml(text) : parseJson(text);
+  } catch (error) {
+    if (error instanceof YamlSyntaxError || error instanceof JsonSyntaxError) {
+      throw new SpecSyntaxError(filePath, format, error.reason, error.line, error.column);
+    }
+    throw error;
+  }
+
+  if (!parsed.value || typeof parsed.value !== 'object' || Array.isArray(parsed.value)) {
+    throw new Error(`${filePath} does not contain a specification object`);
+  }
+
+  const locations = parsed.locations;
+  return {
+    spec: parsed.value,
+    format,
+    locations,
+    comments: parsed.comments || new Map(),
+    lineOf: pointer => {
+      const location = locate(locations, pointer);
+      return location ? location.line : null;
+    }
+  };
+}
+
+// `options.comments` puts a loaded YAML spec's comments back; JSON has none
+function serializeSpec(spec, format = 'json', options = {}) {
+  return format === 'yaml' ? stringifyYaml(spec, options) : JSON.stringify(spec, null, 2);
+}
+
+// Picks the format from the file extension; anything unrecognised is YAML
+// unless it starts like a JSON document
+function detectFormat(filePath, text = '') {
+  const ext = path.extname(filePath || '').toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.yaml' || ext === '.yml') return 'yaml';
+  return /^\uFEFF?\s*[{[]/.test(text) && isJson(text) ? 'json' : 'yaml';
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text.replace(/^\uFEFF/, ''));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The unescaped tokens of a JSON pointer ('/paths/~1users' gives
+// ['paths', '/users'])
+function pointerTokens(text) {
+  return text.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function locate(locations, target) {
+  let current = target || '';
+  while (true) {
+    if (locations.has(current)) return locations.get(current);
+    if (current === '') return null;
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+}
+
+class JsonSyntaxError extends Error {
+  constructor(reason, line, column) {
+    super(`${reason} at line ${line}, column ${column}`);
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const JSON_LITERAL = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/;
+
+// JSON.parse with positions: same grammar, but records where every value
+// starts and reports errors by line and column instead of offset
+function parseJson(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const locations = new Map();
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  let pos = 0;
+
+  function position(at) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= at) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: at - lineStarts[low] + 1 };
+  }
+
+  function fail(reason, at = pos) {
+    const { line, column } = position(at);
+    throw new JsonSyntaxError(reason, line, column);
+  }
+
+  function skipSpace() {
+    while (pos < source.length && /[ \t\r\n]/.test(source[pos])) pos++;
+  }
+
+  function describe() {
+    return pos >= source.length ? 'Unexpected end of input' : `Unexpected character '${source[pos]}'`;
+  }
+
+  function parseValue(ptr) {
+    skipSpace();
+    locations.set(ptr, position(pos));
+    const ch = source[pos];
+
+    if (ch === '{') return parseObject(ptr);
+    if (ch === '[') return parseArray(ptr);
+    if (ch === '"') return parseString();
+
+    const literal = JSON_LITERAL.exec(source.slice(pos, pos + 64));
+    if (!literal) fail(describe());
+    pos += literal[0].length;
+    return JSON.parse(literal[0]);
+  }
+
+  function parseObject(ptr) {
+    const result = {};
+    pos++;
+    skipSpace();
+    if (source[pos] === '}') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      skipSpace();
+      if (source[pos] !== '"') fail(`${describe()}, expected a property name`);
+      const key = parseString();
+      skipSpace();
+      if (source[pos] !== ':') fail(`${describe()}, expected ':'`);
+      pos++;
+      result[key] = parseValue(ptr + pointer(key));
+      skipSpace();
+      if (source[pos] === ',') {
+        pos++;
+      } else if (source[pos] === '}') {
+        pos++;
+        return result;
+      } else {
+        fail(`${describe()}, expected ',' or '}'`);
+      }
+    }
+  }
+
+  function parseArray(ptr) {
+    const result = [];
+    pos++;
+    skipSpace();
+    if (source[pos] === ']') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      result.push(parseValue(ptr + pointer(result.length)));
+      skipSpace();
+      if (source[pos] === ',') {
+        pos++;
+      } else if (source[pos] === ']') {
+        pos++;
+        return result;
+      } else {
+        fail(`${describe()}, expected ',' or ']'`);
+      }
+    }
+  }
+
+  function parseString() {
+    const start = pos;
+    pos++;
+    while (pos < source.length && source[pos] !== '"') {
+      if (source[pos] === '\\') pos++;
+      else if (source[pos] < ' ') fail('Control character in string');
+      pos++;
+    }
+    if (pos >= source.length) fail('Unterminated string', start);
+    pos++;
+
+    try {
+      return JSON.parse(source.slice(start, pos));
+    } catch (error) {
+      return fail('Invalid escape sequence in string', start);
+    }
+  }
+
+  const value = parseValue('');
+  skipSpace();
+  if (pos < source.length) fail(describe());
+
+  return { value, locations };
+}
+
+module.exports = {
+  loadSpec,
+  parseSpec,
+  serializeSpec,
+  detectFormat,
+  pointer,
+  pointerTokens,
+  SpecSyntaxError
+};
\ No newline at end of file
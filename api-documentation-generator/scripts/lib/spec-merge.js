@@ -0,0 +1,180 @@
+// Merges a freshly generated OpenAPI document into an existing, hand-edited
+// one. Everything a person may have written (descriptions, examples, tags,
+// operationIds, extra responses) is kept; the generator only contributes
+// what is new in code. Operations that disappeared from code are marked
+// deprecated, or dropped with `prune`.
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Marker for operations deprecated by the merge rather than by a person, so
+// they are restored when the route comes back
+const MISSING_MARKER = 'x-missing-from-code';
+
+// Placeholder text generate-openapi writes; anything else is human-authored
+const GENERATED_TEXT = /^Endpoint for [A-Z]+ /;
+
+function mergeSpecs(existing, generated, options = {}) {
+  const spec = JSON.parse(JSON.stringify(existing));
+  const summary = { added: [], updated: [], missing: [], removed: [] };
+
+  spec.paths = spec.paths || {};
+  const pathIndex = new Map(Object.keys(spec.paths).map(key => [pathShape(key), key]));
+  const seen = new Set();
+
+  Object.keys(generated.paths || {}).forEach(generatedPath => {
+    // `/users/{id}` matches a hand-renamed `/users/{userId}`
+    const shape = pathShape(generatedPath);
+    const key = pathIndex.get(shape) || generatedPath;
+    if (!spec.paths[key]) {
+      spec.paths[key] = {};
+      pathIndex.set(shape, key);
+    }
+
+    const pathItem = spec.paths[key];
+    const generatedItem = generated.paths[generatedPath];
+
+    operationMethods(generatedItem).forEach(method => {
+      seen.add(`${method} ${key}`);
+      const label = `${method.toUpperCase()} ${key}`;
+      const operation = renamePathParams(generatedItem[method], generatedPath, key);
+
+      if (!pathItem[method]) {
+        pathItem[method] = operation;
+        summary.added.push(label);
+      } else if (mergeOperation(pathItem[method], operation)) {
+        summary.updated.push(label);
+      }
+    });
+  });
+
+  Object.keys(spec.paths).forEach(key => {
+    const pathItem = spec.paths[key];
+    operationMethods(pathItem).forEach(method => {
+      if (seen.has(`${method} ${key}`)) return;
+      const label = `${method.toUpperCase()} ${key}`;
+
+      if (options.prune) {
+        delete pathItem[method];
+        summary.removed.push(label);
+        return;
+      }
+
+      const operation = pathItem[method];
+      if (!operation.deprecated) {
+        operation.deprecated = true;
+        operation[MISSING_MARKER] = true;
+      }
+      summary.missing.push(label);
+    });
+
+    if (options.prune && operationMethods(pathItem).length === 0) {
+      delete spec.paths[key];
+    }
+  });
+
+  mergeComponents(spec, generated);
+
+  return { spec, summary };
+}
+
+// Applies generated details to an existing operation without overwriting
+// anything already documented. Returns whether the operation changed.
+function mergeOperation(operation, generated) {
+  const before = JSON.stringify(operation);
+
+  // A route that came back is no longer deprecated by the merge
+  if (operation[MISSING_MARKER]) {
+    delete operation[MISSING_MARKER];
+    delete operation.deprecated;
+  }
+
+  // Placeholders are only for new operations; an existing one keeps what
+  // was written, or stays without
+  ['summary', 'description'].forEach(field => {
+    const text = generated[field];
+    if (text && !GENERATED_TEXT.test(text) && (!operation[field] || GENERATED_TEXT.test(operation[field]))) {
+      operation[field] = text;
+    }
+  });
+
+  if (generated.parameters) {
+    operation.parameters = operation.parameters || [];
+    generated.parameters.forEach(param => {
+      const exists = operation.parameters.some(p => p.$ref || (p.name === param.name && p.in === param.in));
+      if (!exists) operation.parameters.push(param);
+    });
+  }
+
+  if (generated.requestBody && !operation.requestBody) {
+    operation.requestBody = generated.requestBody;
+  }
+
+  operation.responses = operation.responses || {};
+  Object.keys(generated.responses || {}).forEach(code => {
+    const existing = operation.responses[code];
+    if (!existing) {
+      operation.responses[code] = generated.responses[code];
+    } else if (!existing.$ref && !existing.content && generated.responses[code].content) {
+      existing.content = generated.responses[code].content;
+    }
+  });
+
+  if (generated.security && !operation.security) {
+    operation.security = generated.security;
+  }
+
+  // Provenance always follows the code
+  if (generated['x-source']) {
+    operation['x-source'] = generated['x-source'];
+  }
+
+  return JSON.stringify(operation) !== before;
+}
+
+// New schemas and security schemes are added; existing ones are left as
+// written
+function mergeComponents(spec, generated) {
+  const components = generated.components || {};
+  Object.keys(components).forEach(section => {
+    const entries = components[section] || {};
+    if (Object.keys(entries).length === 0) return;
+
+    spec.components = spec.components || {};
+    spec.components[section] = spec.components[section] || {};
+    Object.keys(entries).forEach(name => {
+      if (!spec.components[section][name]) {
+        spec.components[section][name] = entries[name];
+      }
+    });
+  });
+}
+
+// Gives a generated operation the path parameter names of the existing path
+// it was matched to
+function renamePathParams(operation, fromPath, toPath) {
+  if (fromPath === toPath) return operation;
+
+  const from = fromPath.match(/\{[^}]+\}/g) || [];
+  const to = toPath.match(/\{[^}]+\}/g) || [];
+  const names = new Map(from.map((param, i) => [param.slice(1, -1), (to[i] || param).slice(1, -1)]));
+
+  const copy = JSON.parse(JSON.stringify(operation));
+  (copy.parameters || []).forEach(param => {
+    if (param.in === 'path' && names.has(param.name)) param.name = names.get(param.name);
+  });
+  return copy;
+}
+
+function operationMethods(pathItem) {
+  return Object.keys(pathItem || {}).filter(key => HTTP_METHODS.includes(key));
+}
+
+function pathShape(path) {
+  return path.replace(/\{[^}]+\}/g, '{}').replace(/\/+$/, '') || '/';
+}
+
+module.exports = {
+  mergeSpecs,
+  pathShape,
+  HTTP_METHODS
+};
\ No newline at end of file
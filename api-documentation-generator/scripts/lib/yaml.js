@@ -0,0 +1,854 @@
+// Minimal YAML 1.2 reader and writer for API specifications, so the scripts
+// need no YAML dependency. Reading covers what specs use in practice: block
+// and flow collections, plain/quoted/block scalars, comments, anchors,
+// aliases and `<<` merge keys. Every node's line and column is recorded by
+// JSON pointer, which is how error messages point back into the file, and
+// so are comments, which the writer can put back.
+
+class YamlSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'YamlSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Parses the first document in `text`. Returns `{ value, locations, comments }`
+// where `locations` maps JSON pointers ('' for the root, '/paths/~1users') to
+// `{ line, column }` (both 1-based) and `comments` maps them to the comments
+// around that node (see attachComments).
+function parseYaml(text) {
+  const parser = new YamlParser(text.replace(/^\uFEFF/, ''));
+  return parser.parseDocument();
+}
+
+class YamlParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.anchors = new Map();
+    this.locations = new Map();
+    // 0-based line -> `{ text, trailing }`
+    this.comments = new Map();
+    this.lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') this.lineStarts.push(i + 1);
+    }
+    // Lines from the next `---` / `...` marker on are outside the document
+    this.endLine = this.lineStarts.length;
+  }
+
+  parseDocument() {
+    // Directives and the `---` marker before the content
+    let indent = this.nextContentLine(true);
+    while (indent === 0 && this.text[this.pos] === '%') {
+      this.skipToLineEnd();
+      indent = this.nextContentLine(false);
+    }
+    if (indent === 0 && this.isDocumentMarker('---')) {
+      this.pos += 3;
+      this.skipInline();
+      if (this.atLineEnd()) indent = this.nextContentLine(false);
+    }
+
+    const firstLine = this.lineOf(this.pos);
+    for (let line = firstLine + 1; line < this.lineStarts.length; line++) {
+      if (this.isDocumentMarker('---', this.lineStarts[line]) || this.isDocumentMarker('...', this.lineStarts[line])) {
+        this.endLine = line;
+        break;
+      }
+    }
+
+    let value = null;
+    if (indent !== -1) {
+      value = this.atLineEnd() ? null : this.parseBlock(-1, []);
+    }
+
+    if (this.nextContentLine(false) !== -1) {
+      this.error('Unexpected content after the document');
+    }
+
+    if (!this.locations.has('')) this.locate([], 0);
+    return { value, locations: this.locations, comments: attachComments(this.comments, this.locations) };
+  }
+
+  // --- position helpers ---
+
+  lineOf(pos) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= pos) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  columnOf(pos) {
+    return pos - this.lineStarts[this.lineOf(pos)];
+  }
+
+  error(message, pos = this.pos) {
+    throw new YamlSyntaxError(message, this.lineOf(pos) + 1, this.columnOf(pos) + 1);
+  }
+
+  locate(path, pos) {
+    const at = pointer(...path);
+    if (!this.locations.has(at)) {
+      this.locations.set(at, { line: this.lineOf(pos) + 1, column: this.columnOf(pos) + 1 });
+    }
+  }
+
+  skipInline() {
+    while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+  }
+
+  atLineEnd(pos = this.pos) {
+    const ch = this.text[pos];
+    if (ch === undefined || ch === '\n' || ch === '\r') return true;
+    return ch === '#' && (pos === 0 || /\s/.test(this.text[pos - 1]));
+  }
+
+  skipToLineEnd() {
+    while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+  }
+
+  // Records the comment starting at `pos`, if any. Lines can be scanned more
+  // than once, so each is recorded only the first time.
+  noteComment(pos) {
+    if (this.text[pos] !== '#') return;
+    const line = this.lineOf(pos);
+    if (this.comments.has(line)) return;
+    const end = this.text.indexOf('\n', pos);
+    this.comments.set(line, {
+      text: this.text.slice(pos, end === -1 ? this.text.length : end).replace(/\s+$/, ''),
+      trailing: this.text.slice(this.lineStarts[line], pos).trim() !== ''
+    });
+  }
+
+  isDocumentMarker(marker, pos = this.pos) {
+    return this.columnOf(pos) === 0 && this.text.startsWith(marker, pos) &&
+      /[\s]/.test(this.text[pos + 3] || ' ');
+  }
+
+  // Moves to the first non-blank, non-comment line (starting with the
+  // current one when `includeCurrent`) and returns its indentation, or -1
+  // at the end of the document.
+  nextContentLine(includeCurrent) {
+    let line = this.lineOf(this.pos);
+    if (!includeCurrent) {
+      // Comment after the value that ends the current line
+      let rest = this.pos;
+      while (this.text[rest] === ' ' || this.text[rest] === '\t') rest++;
+      if (this.atLineEnd(rest)) this.noteComment(rest);
+      line++;
+    }
+
+    for (; line < this.endLine; line++) {
+      let pos = this.lineStarts[line];
+      while (this.text[pos] === ' ') pos++;
+      if (this.text[pos] === '\t') {
+        // Tabs are only allowed as separation, never as indentation
+        let probe = pos;
+        while (this.text[probe] === ' ' || this.text[probe] === '\t') probe++;
+        if (!this.atLineEnd(probe)) this.error('Tabs are not allowed as indentation', pos);
+        this.noteComment(probe);
+        continue;
+      }
+      if (this.atLineEnd(pos)) {
+        this.noteComment(pos);
+        continue;
+      }
+      this.pos = pos;
+      return this.columnOf(pos);
+    }
+
+    this.pos = this.endLine < this.lineStarts.length ? this.lineStarts[this.endLine] : this.text.length;
+    return -1;
+  }
+
+  // After a block ends on a line that belongs to an outer node, steps back to
+  // the end of the previous line so the caller's nextContentLine() sees it
+  rewindLine(indent) {
+    if (indent !== -1) this.pos = this.lineStarts[this.lineOf(this.pos)] - 1;
+  }
+
+  // --- block context ---
+
+  // Value after `key:` or `- `: inline on the current line, or a nested block
+  // on the following lines
+  parseValue(parentIndent, path, allowCompactSequence) {
+    this.skipInline();
+    // Only mapping values allow compact sequences, and a value on the key's
+    // own line cannot open another block mapping or sequence
+    if (!this.atLineEnd()) return this.parseBlock(parentIndent, path, allowCompactSequence);
+
+    const start = this.pos;
+    const indent = this.nextContentLine(false);
+    if (indent > parentIndent || (allowCompactSequence && indent === parentIndent && this.isSequenceEntry())) {
+      return this.parseBlock(parentIndent, path);
+    }
+
+    // Empty value: rewind so the caller sees the next line itself
+    this.pos = start;
+    this.locate(path, start);
+    return null;
+  }
+
+  isSequenceEntry(pos = this.pos) {
+    return this.text[pos] === '-' && /[\s]/.test(this.text[pos + 1] || ' ');
+  }
+
+  // Node starting at the current position (possibly mid-line, e.g. after
+  // `- `)
+  parseBlock(parentIndent, path, inline = false) {
+    const start = this.pos;
+    const column = this.columnOf(start);
+
+    // Node properties: `&anchor` and `!tag`
+    let anchor = null;
+    let tag = null;
+    while (this.text[this.pos] === '&' || this.text[this.pos] === '!') {
+      const match = /^[&!][^\s,\[\]{}]*/.exec(this.text.slice(this.pos));
+      if (match[0][0] === '&') anchor = match[0].slice(1);
+      else tag = match[0];
+      this.pos += match[0].length;
+      this.skipInline();
+    }
+
+    let value;
+    if ((anchor || tag) && this.atLineEnd()) {
+      value = this.parseValue(parentIndent, path, false);
+    } else if (this.pos !== start) {
+      value = this.parseBlock(parentIndent, path, inline);
+    } else if (this.isSequenceEntry()) {
+      if (inline) this.error('Block sequences cannot start on the same line as their key');
+      value = this.parseBlockSequence(column, path);
+    } else if (this.text[this.pos] === '|' || this.text[this.pos] === '>') {
+      this.locate(path, start);
+      value = this.parseBlockScalar(parentIndent);
+    } else if (this.text[this.pos] === '*') {
+      value = this.parseAlias(path);
+    } else if (this.text[this.pos] === '?' && /\s/.test(this.text[this.pos + 1] || ' ')) {
+      this.error('Complex mapping keys are not supported');
+    } else {
+      value = this.parseScalarOrMapping(parentIndent, column, path, inline);
+    }
+
+    if (tag === '!!str' && value !== null && typeof value !== 'object') value = String(value);
+    if (anchor) this.anchors.set(anchor, value);
+    return value;
+  }
+
+  parseAlias(path) {
+    const start = this.pos;
+    const match = /^\*([^\s,\[\]{}]+)/.exec(this.text.slice(this.pos));
+    if (!match) this.error('Invalid alias');
+    this.pos += match[0].length;
+    if (!this.anchors.has(match[1])) this.error(`Unknown anchor "${match[1]}"`, start);
+    this.locate(path, start);
+    return this.anchors.get(match[1]);
+  }
+
+  // A scalar or flow collection, which becomes the first key of a block
+  // mapping when followed by `:`
+  parseScalarOrMapping(parentIndent, column, path, inline) {
+    const start = this.pos;
+    const ch = this.text[this.pos];
+
+    if (ch === '[' || ch === '{') {
+      const value = this.parseFlowCollection(path);
+      this.skipInline();
+      if (this.text[this.pos] === ':') this.error('Flow collections cannot be mapping keys');
+      return value;
+    }
+
+    let key;
+    let quoted = false;
+    if (ch === '"' || ch === "'") {
+      key = this.parseQuoted(parentIndent);
+      quoted = true;
+      this.skipInline();
+    } else {
+      key = this.scanPlainLine(false);
+    }
+
+    if (this.text[this.pos] === ':' && /\s/.test(this.text[this.pos + 1] || ' ')) {
+      if (inline) this.error('Mapping values are not allowed here', this.pos);
+      if (this.lineOf(start) !== this.lineOf(this.pos)) this.error('Mapping keys must be on one line', start);
+      return this.parseBlockMapping(column, quoted ? key : key.trim(), start, path);
+    }
+
+    this.locate(path, start);
+    if (quoted) {
+      if (!this.atLineEnd()) this.error('Unexpected content after quoted scalar');
+      return key;
+    }
+    return resolvePlain(this.continuePlain(key, parentIndent));
+  }
+
+  // Entries of a block mapping whose first key has already been read
+  parseBlockMapping(column, firstKey, firstKeyPos, path) {
+    const map = {};
+    const merges = [];
+    let key = firstKey;
+    let keyPos = firstKeyPos;
+
+    for (;;) {
+      this.pos++; // ':'
+      const childPath = path.concat(key);
+      // Only a plain `<<` is a merge key; `'<<'` is an ordinary one
+      const merge = key === '<<' && !`"'`.includes(this.text[keyPos]);
+      if (!merge && Object.prototype.hasOwnProperty.call(map, key)) this.error(`Duplicate mapping key "${key}"`, keyPos);
+      if (!merge) this.locate(childPath, keyPos);
+
+      const value = this.parseValue(column, childPath, true);
+      if (merge) {
+        merges.push(...(Array.isArray(value) ? value : [value]));
+      } else {
+        map[key] = value;
+      }
+
+      const indent = this.nextContentLine(false);
+      if (indent === -1 || indent < column || this.isSequenceEntry()) {
+        this.rewindLine(indent);
+        break;
+      }
+      if (indent > column) this.error('Bad indentation of a mapping entry');
+
+      keyPos = this.pos;
+      if (this.text[this.pos] === '"' || this.text[this.pos] === "'") {
+        key = this.parseQuoted(column);
+        this.skipInline();
+      } else {
+        key = this.scanPlainLine(false).trim();
+      }
+      if (this.text[this.pos] !== ':' || !/\s/.test(this.text[this.pos + 1] || ' ')) {
+        this.error('Expected a mapping entry ("key: value")', keyPos);
+      }
+    }
+
+    // `<<: *defaults` supplies keys the mapping does not set itself
+    merges.forEach(source => {
+      if (!source || typeof source !== 'object' || Array.isArray(source)) return;
+      Object.keys(source).forEach(name => {
+        if (!(name in map)) map[name] = source[name];
+      });
+    });
+
+    this.locate(path, firstKeyPos);
+    return map;
+  }
+
+  parseBlockSequence(column, path) {
+    const list = [];
+    this.locate(path, this.pos);
+
+    for (;;) {
+      const itemPath = path.concat(list.length);
+      this.locate(itemPath, this.pos);
+      this.pos++; // '-'
+      list.push(this.parseValue(column, itemPath, false));
+
+      const indent = this.nextContentLine(false);
+      if (indent === -1 || indent < column || (indent === column && !this.isSequenceEntry())) {
+        this.rewindLine(indent);
+        break;
+      }
+      if (indent > column) this.error('Bad indentation of a sequence entry');
+    }
+
+    return list;
+  }
+
+  // Plain scalar text up to the end of the line, a comment or `: `
+  scanPlainLine(inFlow) {
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === '\n' || ch === '\r') break;
+      if (ch === ':' && /[\s]/.test(this.text[this.pos + 1] || ' ')) break;
+      if (ch === ':' && inFlow && /[,\[\]{}]/.test(this.text[this.pos + 1])) break;
+      if (ch === '#' && /\s/.test(this.text[this.pos - 1] || ' ')) break;
+      if (inFlow && /[,\[\]{}]/.test(ch)) break;
+      this.pos++;
+    }
+    // Trailing spaces before a comment or line end are not part of the value
+    return this.text.slice(start, this.pos).replace(/[ \t]+$/, '');
+  }
+
+  // Folds continuation lines of a multi-line plain scalar
+  continuePlain(first, parentIndent) {
+    let value = first.trim();
+    let blankLines = 0;
+
+    for (;;) {
+      const lineEnd = this.pos;
+      const indent = this.nextContentLine(false);
+      const skippedLines = this.lineOf(this.pos) - this.lineOf(lineEnd) - 1;
+      if (indent === -1 || indent <= parentIndent) {
+        this.pos = lineEnd;
+        return value;
+      }
+
+      const save = this.pos;
+      const line = this.scanPlainLine(false);
+      if (this.text[this.pos] === ':' && /\s/.test(this.text[this.pos + 1] || ' ')) {
+        // The next line is a mapping entry, not a continuation
+        this.pos = lineEnd;
+        return value;
+      }
+      if (!line) {
+        this.pos = save;
+        return value;
+      }
+      blankLines = Math.max(0, skippedLines);
+      value += blankLines > 0 ? '\n'.repeat(blankLines) + line.trim() : ' ' + line.trim();
+    }
+  }
+
+  // `|` literal and `>` folded scalars with chomping and indentation
+  // indicators
+  parseBlockScalar(parentIndent) {
+    const style = this.text[this.pos++];
+    let chomping = 'clip';
+    let explicitIndent = null;
+
+    for (let i = 0; i < 2; i++) {
+      const ch = this.text[this.pos];
+      if (ch === '-' || ch === '+') {
+        chomping = ch === '-' ? 'strip' : 'keep';
+        this.pos++;
+      } else if (/[1-9]/.test(ch)) {
+        explicitIndent = Number(ch);
+        this.pos++;
+      }
+    }
+    this.skipInline();
+    if (!this.atLineEnd()) this.error('Unexpected content after block scalar indicator');
+    this.noteComment(this.pos);
+    this.skipToLineEnd();
+
+    const baseIndent = Math.max(parentIndent, 0);
+    let indent = explicitIndent !== null ? baseIndent + explicitIndent : null;
+    const lines = [];
+    let line = this.lineOf(this.pos) + 1;
+    let lastConsumed = this.pos;
+
+    for (; line < this.lineStarts.length; line++) {
+      const lineStart = this.lineStarts[line];
+      const lineEnd = line + 1 < this.lineStarts.length ? this.lineStarts[line + 1] - 1 : this.text.length;
+      const raw = this.text.slice(lineStart, lineEnd).replace(/\r$/, '');
+      const leading = raw.length - raw.replace(/^ +/, '').length;
+
+      if (raw.trim() === '') {
+        // Spaces beyond the content indentation are part of the text
+        lines.push(indent !== null && raw.length > indent ? raw.slice(indent) : '');
+        lastConsumed = lineEnd;
+        continue;
+      }
+      if (indent === null) {
+        if (leading <= parentIndent) break;
+        indent = leading;
+      }
+      if (leading < indent) break;
+      if (this.isDocumentMarker('---', lineStart) || this.isDocumentMarker('...', lineStart)) break;
+      lines.push(raw.slice(indent));
+      lastConsumed = lineEnd;
+    }
+
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    let value;
+    if (style === '|') {
+      value = lines.join('\n');
+    } else {
+      value = '';
+      lines.forEach((text, i) => {
+        if (i === 0) {
+          value = text;
+          return;
+        }
+        const previous = lines[i - 1];
+        const moreIndented = /^\s/.test(text) || /^\s/.test(previous);
+        if (text === '') value += '\n';
+        else if (previous === '' || moreIndented) value += (previous === '' ? '' : '\n') + text;
+        else value += ' ' + text;
+      });
+    }
+
+    if (lines.length > 0) {
+      if (chomping === 'clip') value += '\n';
+      else if (chomping === 'keep') value += '\n' + '\n'.repeat(trailing);
+    } else if (chomping === 'keep') {
+      value = '\n'.repeat(trailing);
+    }
+
+    this.pos = lastConsumed;
+    return value;
+  }
+
+  // --- quoted scalars ---
+
+  parseQuoted(parentIndent) {
+    const quote = this.text[this.pos];
+    const start = this.pos;
+    this.pos++;
+    let value = '';
+
+    for (;;) {
+      if (this.pos >= this.text.length) this.error('Unterminated quoted scalar', start);
+      const ch = this.text[this.pos];
+
+      if (ch === quote) {
+        if (quote === "'" && this.text[this.pos + 1] === "'") {
+          value += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return value;
+      }
+
+      if (ch === '\\' && quote === '"') {
+        const escape = this.text[this.pos + 1];
+        if (escape === '\n' || escape === '\r') {
+          // Escaped line break: join without a space
+          this.pos += escape === '\r' ? 3 : 2;
+          while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+          continue;
+        }
+        this.pos += 2;
+        value += this.readEscape(escape);
+        continue;
+      }
+
+      if (ch === '\n' || ch === '\r') {
+        // Line folding: one break becomes a space, empty lines become breaks
+        value = value.replace(/[ \t]+$/, '');
+        let breaks = 0;
+        while (this.pos < this.text.length && /[\s]/.test(this.text[this.pos])) {
+          if (this.text[this.pos] === '\n') breaks++;
+          this.pos++;
+        }
+        value += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+        continue;
+      }
+
+      value += ch;
+      this.pos++;
+    }
+  }
+
+  readEscape(escape) {
+    const simple = {
+      '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+      ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\u0085', _: ' ', L: ' ', P: ' '
+    };
+    if (escape in simple) return simple[escape];
+
+    const lengths = { x: 2, u: 4, U: 8 };
+    if (lengths[escape]) {
+      const hex = this.text.slice(this.pos, this.pos + lengths[escape]);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== lengths[escape]) this.error(`Invalid escape "\\${escape}${hex}"`);
+      this.pos += lengths[escape];
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    this.error(`Invalid escape "\\${escape}"`, this.pos - 2);
+  }
+
+  // --- flow context ---
+
+  skipFlowSpace() {
+    for (;;) {
+      const ch = this.text[this.pos];
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+        this.pos++;
+      } else if (ch === '#' && /\s/.test(this.text[this.pos - 1] || ' ')) {
+        this.noteComment(this.pos);
+        this.skipToLineEnd();
+      } else {
+        return;
+      }
+    }
+  }
+
+  parseFlowCollection(path) {
+    const open = this.text[this.pos];
+    const close = open === '[' ? ']' : '}';
+    const start = this.pos;
+    const result = open === '[' ? [] : {};
+    this.locate(path, start);
+    this.pos++;
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.pos >= this.text.length) this.error(`Unterminated flow collection, expected "${close}"`, start);
+      if (this.text[this.pos] === close) {
+        this.pos++;
+        return result;
+      }
+
+      const entryPos = this.pos;
+      if (open === '[') {
+        const value = this.parseFlowNode(path.concat(result.length));
+        this.skipFlowSpace();
+        if (this.text[this.pos] === ':') {
+          // Single-pair mapping inside a sequence: `[a: 1]`
+          this.pos++;
+          this.skipFlowSpace();
+          const pair = {};
+          pair[String(value)] = this.parseFlowNode(path.concat(result.length, String(value)));
+          result.push(pair);
+        } else {
+          result.push(value);
+        }
+      } else {
+        const key = this.parseFlowNode(null);
+        this.skipFlowSpace();
+        let value = null;
+        const childPath = path.concat(String(key));
+        if (Object.prototype.hasOwnProperty.call(result, String(key))) this.error(`Duplicate mapping key "${key}"`, entryPos);
+        this.locate(childPath, entryPos);
+        if (this.text[this.pos] === ':') {
+          this.pos++;
+          this.skipFlowSpace();
+          if (this.text[this.pos] !== ',' && this.text[this.pos] !== close) value = this.parseFlowNode(childPath);
+        }
+        result[String(key)] = value;
+      }
+
+      this.skipFlowSpace();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== close) {
+        this.error(`Expected "," or "${close}" in flow collection`);
+      }
+    }
+  }
+
+  parseFlowNode(path) {
+    const start = this.pos;
+    let anchor = null;
+    while (this.text[this.pos] === '&' || this.text[this.pos] === '!') {
+      const match = /^[&!][^\s,\[\]{}]*/.exec(this.text.slice(this.pos));
+      if (match[0][0] === '&') anchor = match[0].slice(1);
+      this.pos += match[0].length;
+      this.skipFlowSpace();
+    }
+
+    const ch = this.text[this.pos];
+    let value;
+    if (ch === '[' || ch === '{') {
+      value = this.parseFlowCollection(path || []);
+    } else if (ch === '*') {
+      value = this.parseAlias(path || []);
+    } else if (ch === '"' || ch === "'") {
+      value = this.parseQuoted(-1);
+    } else {
+      const text = this.scanPlainLine(true);
+      if (text === '') this.error('Expected a value in flow collection');
+      value = resolvePlain(text.trim());
+    }
+
+    if (path) this.locate(path, start);
+    if (anchor) this.anchors.set(anchor, value);
+    return value;
+  }
+}
+
+// Builds a JSON pointer from path segments; spec-loader exports it for the
+// other modules
+function pointer(...segments) {
+  return segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+// Comments by the JSON pointer of the node they belong to, as
+// `{ before, after, end }`: a comment line goes with the next node, outermost
+// first (`before`); a comment after a value with the innermost node on its
+// line (`after`); comments after the last node with the root (`end`)
+function attachComments(comments, locations) {
+  const byLine = new Map();
+  locations.forEach((location, at) => {
+    if (!byLine.has(location.line)) byLine.set(location.line, []);
+    byLine.get(location.line).push(at);
+  });
+  const nodeLines = [...byLine.keys()].sort((a, b) => a - b);
+  const depth = at => at.split('/').length;
+
+  const attached = new Map();
+  const entry = at => {
+    if (!attached.has(at)) attached.set(at, { before: [], after: null, end: [] });
+    return attached.get(at);
+  };
+
+  [...comments.keys()].sort((a, b) => a - b).forEach(index => {
+    const { text, trailing } = comments.get(index);
+    const line = index + 1;
+    if (trailing && byLine.has(line)) {
+      const at = byLine.get(line).reduce((a, b) => (depth(b) > depth(a) ? b : a));
+      entry(at).after = text;
+      return;
+    }
+    const next = nodeLines.find(nodeLine => nodeLine > line);
+    if (next === undefined) {
+      entry('').end.push(text);
+    } else {
+      entry(byLine.get(next).reduce((a, b) => (depth(b) < depth(a) ? b : a))).before.push(text);
+    }
+  });
+
+  return attached;
+}
+
+// YAML 1.2 core schema resolution of plain scalars
+function resolvePlain(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?[0-9]+$/.test(text)) return Number(text);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+// Serializes plain data (objects, arrays, strings, numbers, booleans, null)
+// as block-style YAML. `options.comments`, as parseYaml returns them, puts
+// comments back on the nodes that still exist.
+function stringifyYaml(value, options = {}) {
+  const comments = options.comments || new Map();
+  const root = comments.get('') || { before: [], end: [] };
+  // Nodes are emitted with their leading separator (newline or space)
+  const body = emitNode(value, 0, comments, '').slice(1);
+  return root.before.map(line => line + '\n').join('') + body + '\n' + root.end.map(line => line + '\n').join('');
+}
+
+function emitNode(value, indent, comments, at) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return ' []';
+    const items = value.map((item, i) => {
+      const itemAt = `${at}${pointer(i)}`;
+      if (isCollection(item)) {
+        // First entry of a nested mapping/sequence shares the dash line
+        const nested = emitNode(item, indent + 2, comments, itemAt).replace(/^\n */, '');
+        return withComments(`${pad}- ${nested}`, pad, comments.get(itemAt));
+      }
+      return withComments(`${pad}-${emitNode(item, indent + 2, comments, itemAt)}`, pad, comments.get(itemAt));
+    });
+    return '\n' + items.join('\n');
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return ' {}';
+    const entries = keys.map(key => {
+      const childAt = `${at}${pointer(key)}`;
+      // Sequences under a key are indented one level, like most
+      // hand-written specs
+      const childIndent = indent + 2;
+      return withComments(`${pad}${emitKey(key)}:${emitNode(value[key], childIndent, comments, childAt)}`, pad, comments.get(childAt));
+    });
+    return '\n' + entries.join('\n');
+  }
+
+  return ' ' + emitScalar(value, indent);
+}
+
+// Comment lines above an entry, and the comment after it at the end of its
+// first line
+function withComments(text, pad, comments) {
+  if (!comments) return text;
+  let result = text;
+  if (comments.after) {
+    const lineEnd = result.indexOf('\n');
+    result = lineEnd === -1
+      ? `${result} ${comments.after}`
+      : `${result.slice(0, lineEnd)} ${comments.after}${result.slice(lineEnd)}`;
+  }
+  return comments.before.map(line => `${pad}${line}\n`).join('') + result;
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+function emitKey(key) {
+  return needsQuotes(key) ? quote(key) : key;
+}
+
+// Single quotes where possible (`'200'`, `'1.0'`), double quotes when the
+// text needs escapes
+function quote(text) {
+  return /[\u0000-\u001f\u007f\\]/.test(text) ? JSON.stringify(text) : `'${text.replace(/'/g, "''")}'`;
+}
+
+function emitScalar(value, indent) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+
+  const text = String(value);
+
+  // Multi-line text reads best as a literal block
+  if (text.includes('\n') && !/^\s/.test(text) && !/[ \t]\n/.test(text) && !text.includes('\r')) {
+    const pad = ' '.repeat(indent);
+    const body = text.replace(/\n+$/, '');
+    const trailing = text.length - body.length;
+    const indicator = trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+';
+    const lines = (trailing > 1 ? text.slice(0, -1) : body).split('\n');
+    return indicator + '\n' + lines.map(line => (line ? pad + line : '')).join('\n');
+  }
+
+  return needsQuotes(text) ? quote(text) : text;
+}
+
+// The YAML 1.1 number forms the core schema lacks: binary, underscores
+// (`1_000`) and sexagesimal (`12:30`, `14:05:09`)
+const YAML11_NUMBER = /^[-+]?(?:0b[01_]+|0x[0-9a-fA-F_]+|[0-9][0-9_]*(?:\.[0-9_]*)?(?:[eE][-+][0-9]+)?|\.[0-9_]+(?:[eE][-+][0-9]+)?|[1-9][0-9_]*(?::[0-5]?[0-9])+(?:\.[0-9_]*)?)$/;
+
+// The YAML 1.1 timestamp forms
+const TIMESTAMP = /^\d{4}-\d\d?-\d\d?(?:(?:[Tt]|[ \t]+)\d\d?:\d\d:\d\d(?:\.\d*)?(?:[ \t]*(?:Z|[-+]\d\d?(?::\d\d)?))?)?$/;
+
+// Whether a string must be quoted to read back as the same string
+function needsQuotes(text) {
+  if (text === '') return true;
+  // Keys always read back as strings here, but other YAML tools would turn
+  // `200` or `null` keys into numbers/null, and YAML 1.1 tools read `yes`,
+  // `on`... as booleans
+  if (resolvePlain(text) !== text) return true;
+  if (/^(y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/.test(text)) return true;
+  // ...binary, underscored or sexagesimal digits as numbers, dates or
+  // date-times (`2024-01-01`, `2024-03-11T00:40:02Z`) as timestamps, and
+  // `=` and `<<` as the value and merge keys
+  if (YAML11_NUMBER.test(text) || TIMESTAMP.test(text)) return true;
+  if (text === '=' || text === '<<') return true;
+  if (/^[\s]|[\s]$/.test(text)) return true;
+  if (/^[-?:,\[\]{}#&*!|>'"%@`]/.test(text)) return true;
+  if (/: |:$| #|[\n\r\t]/.test(text)) return true;
+  if (/[\u0000-\u001f\u007f]/.test(text)) return true;
+  return false;
+}
+
+module.exports = {
+  parseYaml,
+  stringifyYaml,
+  pointer,
+  YamlSyntaxError
+};
\ No newline at end of file
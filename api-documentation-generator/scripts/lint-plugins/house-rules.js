@@ -0,0 +1,119 @@
+// Example lint plugin with common house rules. Enable it from .apilintrc.yaml:
+//
+//   plugins:
+//     - ./path/to/house-rules.js
+//   rules:
+//     x-owner-required: error
+//     error-envelope: [warn, { schema: ApiError }]
+//
+// Each rule gets the bundled spec, a `report(message, pointer)` callback and
+// a context with `options`, `resolve(value)` and `eachOperation(fn)`.
+
+const { pointer } = require('../lib/spec-loader');
+
+const rules = {
+  'kebab-case-paths': {
+    description: 'Literal path segments are lower-case and hyphenated',
+    severity: 'warn',
+    check(spec, report) {
+      Object.keys(spec.paths || {}).forEach(path => {
+        const bad = path.split('/').filter(segment => segment && !segment.startsWith('{') && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(segment));
+        if (bad.length > 0) {
+          report(`Path ${path} has segments that are not kebab-case: ${bad.join(', ')}`, pointer('paths', path));
+        }
+      });
+    }
+  },
+
+  'camel-case-properties': {
+    description: 'Schema property names are camelCase',
+    severity: 'warn',
+    check(spec, report) {
+      walkSchemas(spec, (schema, at) => {
+        Object.keys(schema.properties || {}).forEach(name => {
+          if (!/^[a-z][a-zA-Z0-9]*$/.test(name)) {
+            report(`Property "${name}" is not camelCase`, `${at}${pointer('properties', name)}`);
+          }
+        });
+      });
+    }
+  },
+
+  'x-owner-required': {
+    description: 'Every operation names its owning team in x-owner',
+    severity: 'warn',
+    check(spec, report, context) {
+      context.eachOperation(({ path, method, operation, at }) => {
+        if (!operation['x-owner'] && !(spec.info || {})['x-owner']) {
+          report(`${method.toUpperCase()} ${path} has no x-owner`, at);
+        }
+      });
+    }
+  },
+
+  // options: { schema: 'Error' } - the component every error body must use
+  'error-envelope': {
+    description: 'Every 4xx/5xx response uses the standard error schema',
+    severity: 'warn',
+    check(spec, report, context) {
+      const name = context.options.schema || 'Error';
+      const expected = spec.swagger ? `#/definitions/${name}` : `#/components/schemas/${name}`;
+
+      context.eachOperation(({ path, method, operation, at }) => {
+        Object.keys(operation.responses || {}).filter(code => /^[45]/.test(code)).forEach(code => {
+          const response = context.resolve(operation.responses[code]) || {};
+          const schemas = response.content
+            ? Object.values(response.content).map(media => media && media.schema)
+            : [response.schema];
+          if (!schemas.some(schema => schema && schema.$ref === expected)) {
+            report(`${method.toUpperCase()} ${path} response ${code} does not use the ${name} schema`, `${at}/responses/${code}`);
+          }
+        });
+      });
+    }
+  },
+
+  // options: { params: ['limit', 'cursor', 'page'] } - any one of them will do
+  'list-pagination': {
+    description: 'GET operations returning arrays accept a pagination parameter',
+    severity: 'warn',
+    check(spec, report, context) {
+      const accepted = context.options.params || ['limit', 'cursor', 'page'];
+
+      context.eachOperation(({ path, method, operation, at, parameters }) => {
+        if (method !== 'get') return;
+        const ok = context.resolve((operation.responses || {})['200']) || {};
+        const schemas = ok.content ? Object.values(ok.content).map(media => media && media.schema) : [ok.schema];
+        const returnsList = schemas.some(schema => (context.resolve(schema) || {}).type === 'array');
+
+        if (returnsList && !parameters.some(({ param }) => param.in === 'query' && accepted.includes(param.name))) {
+          report(`${method.toUpperCase()} ${path} returns a list but takes none of: ${accepted.join(', ')}`, at);
+        }
+      });
+    }
+  }
+};
+
+// Calls `fn` for every object schema in components/definitions and nested
+// properties, with its JSON pointer
+function walkSchemas(spec, fn) {
+  const visit = (schema, at) => {
+    if (!schema || typeof schema !== 'object' || schema.$ref) return;
+    fn(schema, at);
+    Object.keys(schema.properties || {}).forEach(name => {
+      visit(schema.properties[name], `${at}${pointer('properties', name)}`);
+    });
+    if (schema.items) visit(schema.items, `${at}/items`);
+    ['allOf', 'anyOf', 'oneOf'].forEach(key => {
+      (schema[key] || []).forEach((sub, index) => visit(sub, `${at}/${key}/${index}`));
+    });
+  };
+
+  const schemas = spec.swagger ? spec.definitions : spec.components && spec.components.schemas;
+  const base = spec.swagger ? '/definitions' : '/components/schemas';
+  Object.keys(schemas || {}).forEach(name => visit(schemas[name], `${base}${pointer(name)}`));
+}
+
+module.exports = {
+  rules
+};
\ No newline at end of file
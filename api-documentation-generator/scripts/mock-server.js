@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// Script to serve a mock API from an OpenAPI/Swagger specification
+
+const http = require('http');
+const { parseArgs } = require('util');
+const { bundleSpec } = require('./lib/ref-resolver');
+const { operationValidator, matchOperation, validateRequest, describeProblem } = require('./lib/operation-validator');
+const { responseContent } = require('./lib/sample-requests');
+const { exampleFromMedia } = require('./lib/schema-example');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_HOST = '127.0.0.1';
+const TEXT_LIMIT = 20;
+
+// Request header that picks the response status, for testing error paths
+const STATUS_HEADER = 'X-Mock-Status';
+
+// Response header marking bodies the mock writes itself rather than takes
+// from the spec (unknown routes, requests it rejects without a documented
+// error response), so contract tests against the mock can skip them
+const MOCK_ERROR_HEADER = 'X-Mock-Error';
+
+// Statuses a rejected request may get from the spec besides its own
+// 400/415, most fitting first
+const REJECTION_STATUSES = [400, 422];
+
+// Statuses that never carry a body
+const NO_BODY = [204, 205, 304];
+
+// Browsers may call the mock from any origin; preflight requests for
+// methods the spec has no OPTIONS operation for are answered here
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Expose-Headers': '*'
+};
+
+// HTTP server answering every operation of the spec. Requests that do not
+// match their operation's parameters or body get the documented 400 (415
+// for an unsupported Content-Type) response, or a 400/422, `4XX` or
+// `default` one; operations documenting none of these get the mock's own
+// 400/415 listing the problems. Other requests get the first
+// documented 2xx response, with the documented example or one synthesized
+// from the schema (`options.seed` keeps synthesized values stable).
+// `options.log(request, result)` is called after each response.
+function createMockServer(specPath, options = {}) {
+  const { spec } = bundleSpec(specPath);
+  const context = operationValidator(spec);
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') };
+      let result;
+      try {
+        result = mockResponse(context, request, options);
+      } catch (error) {
+        result = jsonResult(500, { message: `Mock server error: ${error.message}` });
+      }
+      res.writeHead(result.status, Object.assign({}, CORS_HEADERS, result.headers));
+      res.end(result.body);
+      if (options.log) options.log(request, result);
+    });
+  });
+  server.spec = spec;
+  server.routes = context.operations;
+  return server;
+}
+
+// `{ status, headers, body }` answering `request` ({ method, url, headers,
+// body }). Validation failures also carry their `problems`.
+function mockResponse(context, request, options = {}) {
+  const url = new URL(request.url, 'http://localhost');
+  const method = request.method.toLowerCase();
+  const headers = request.headers;
+
+  let match = matchOperation(context, method, url.pathname);
+  if (method === 'options' && headers['access-control-request-method'] && !(match && match.route)) {
+    return {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Methods': match ? match.allowed.join(', ') : headers['access-control-request-method'],
+        'Access-Control-Allow-Headers': headers['access-control-request-headers'] || '*',
+        'Access-Control-Max-Age': '600'
+      },
+      body: ''
+    };
+  }
+  // HEAD is answered like GET, without the body
+  if (method === 'head' && !(match && match.route)) {
+    const get = matchOperation(context, 'get', url.pathname);
+    if (get && get.route) match = get;
+  }
+
+  if (!match) return jsonResult(404, { message: `No operation matches ${request.method} ${url.pathname}` });
+  if (!match.route) {
+    return jsonResult(405, { message: `${request.method} is not allowed on ${url.pathname}` }, { Allow: match.allowed.join(', ') });
+  }
+
+  // A forced status skips validation, so error responses can be reached
+  // with any request
+  let forced = null;
+  const header = headers[STATUS_HEADER.toLowerCase()];
+  if (header !== undefined) {
+    if (!/^[2-5]\d\d$/.test(String(header).trim())) {
+      return jsonResult(400, { message: `${STATUS_HEADER} must be a status code from 200 to 599, got "${header}"` });
+    }
+    forced = Number(header);
+  } else {
+    const problems = validateRequest(context, match.route, { params: match.params, query: url.searchParams, headers, body: request.body || '' });
+    if (problems.length > 0) {
+      const status = problems.some(problem => problem.status === 415) ? 415 : 400;
+      const documented = rejectionStatus(Object.keys(match.route.operation.responses || {}), status);
+      if (documented) return Object.assign(documentedResponse(context, match.route, documented, headers.accept, options), { problems });
+      const errors = problems.map(problem => ({ in: problem.in, name: problem.name, pointer: problem.pointer, message: describeProblem(problem) }));
+      return Object.assign(jsonResult(status, { message: 'Request does not match the specification', errors }), { problems });
+    }
+  }
+
+  return documentedResponse(context, match.route, forced, headers.accept, options);
+}
+
+// The documented response for `forced` (or the operation's success
+// response), with example headers and a body in the media type `accept`
+// prefers. A forced status the operation does not document falls back to
+// its `4XX`-style range or `default` response, and is sent without a body
+// when neither exists.
+function documentedResponse(context, route, forced, accept, options) {
+  const { spec, resolve } = context;
+  const responses = route.operation.responses || {};
+  const key = responseKey(Object.keys(responses), forced);
+  const status = forced || (key && /^\d{3}$/.test(key) ? Number(key) : 200);
+  const headers = {};
+  if (!key) return { status, headers, body: '' };
+
+  const response = resolve(responses[key]) || {};
+  const exampleOptions = { resolve, direction: 'response', seed: options.seed };
+
+  Object.keys(response.headers || {}).forEach(name => {
+    if (/^content-type$/i.test(name)) return;
+    const definition = resolve(response.headers[name]) || {};
+    // OpenAPI 3 headers describe their value like a media type does;
+    // Swagger 2.0 headers are schemas themselves
+    const media = definition.content ? Object.values(definition.content)[0] : definition.schema ? definition : { schema: definition };
+    const value = exampleFromMedia(media, Object.assign({ name }, exampleOptions));
+    if (value === undefined || value === null) return;
+    const text = Array.isArray(value) ? value.join(',') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[\t\x20-\x7e]*$/.test(text)) headers[name] = text;
+  });
+
+  const content = responseContent(spec, route.operation, response);
+  const types = Object.keys(content);
+  if (types.length === 0 || NO_BODY.includes(status)) return { status, headers, body: '' };
+
+  const type = negotiate(types, accept);
+  const value = exampleFromMedia(content[type], exampleOptions);
+  if (value === undefined) return { status, headers, body: '' };
+  headers['Content-Type'] = !type.includes('*') ? type : typeof value === 'string' ? 'text/plain' : 'application/json';
+  return { status, headers, body: serialize(headers['Content-Type'], value) };
+}
+
+// JSON media types always get JSON, though examples are sometimes written
+// as JSON text already; other types get strings as they are
+function serialize(type, value) {
+  if (/json/i.test(type)) {
+    return typeof value === 'string' && isJsonText(value) ? value : JSON.stringify(value, null, 2);
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function isJsonText(text) {
+  if (!/^\s*[[{]/.test(text)) return false;
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Documented status for a request rejected with `status`: that status,
+// then another fitting 4xx, then `status` again when a `4XX` range or
+// `default` response covers it; null when the operation documents none
+function rejectionStatus(codes, status) {
+  if (codes.includes(String(status))) return status;
+  const fitting = REJECTION_STATUSES.find(code => codes.includes(String(code)));
+  if (fitting) return fitting;
+  return codes.some(code => /^4XX$/i.test(code)) || codes.includes('default') ? status : null;
+}
+
+// Response key for a forced status (exact, then range, then default), or
+// the success response: the lowest 2xx, `2XX`, `default`, then the lowest
+// documented status from 200 up
+function responseKey(codes, forced) {
+  if (forced) {
+    return codes.find(code => code === String(forced)) ||
+      codes.find(code => code.toUpperCase() === `${String(forced)[0]}XX`) ||
+      (codes.includes('default') ? 'default' : null);
+  }
+  // 1xx statuses cannot end a response
+  const numeric = codes.filter(code => /^[2-5]\d\d$/.test(code)).sort();
+  return numeric.find(code => code.startsWith('2')) ||
+    codes.find(code => /^2XX$/i.test(code)) ||
+    (codes.includes('default') ? 'default' : null) ||
+    numeric[0] ||
+    null;
+}
+
+// The media type the Accept header ranks highest, JSON first among equals;
+// the preferred type when nothing is acceptable
+function negotiate(types, accept) {
+  const ordered = types.filter(type => /json/i.test(type)).concat(types.filter(type => !/json/i.test(type)));
+  if (!accept) return ordered[0];
+
+  const ranges = accept.split(',').map(part => {
+    const [range, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    return { range: range.trim(), q: quality ? Number(quality.slice(2)) : 1 };
+  });
+  const quality = type => Math.max(0, ...ranges.filter(({ range }) => range === '*/*' || range === type.toLowerCase() ||
+    (range.endsWith('/*') && type.toLowerCase().startsWith(range.slice(0, -1)))).map(({ q }) => q));
+
+  let best = null;
+  ordered.forEach(type => {
+    if (quality(type) > (best ? quality(best) : 0)) best = type;
+  });
+  return best || ordered[0];
+}
+
+function jsonResult(status, value, headers = {}) {
+  return {
+    status,
+    headers: Object.assign({ 'Content-Type': 'application/json', [MOCK_ERROR_HEADER]: 'true' }, headers),
+    body: JSON.stringify(value, null, 2)
+  };
+}
+
+module.exports = {
+  createMockServer,
+  mockResponse,
+  STATUS_HEADER,
+  MOCK_ERROR_HEADER
+};
+
+// Main execution
+if (require.main === module) {
+  let args;
+  let port = DEFAULT_PORT;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        port: { type: 'string' },
+        host: { type: 'string', default: DEFAULT_HOST },
+        seed: { type: 'string' }
+      }
+    });
+    if (args.values.port !== undefined) {
+      port = Number(args.values.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`--port must be a port number from 0 to 65535, got "${args.values.port}"`);
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (args.positionals.length < 1) {
+    console.error('Usage: node mock-server.js <openapi-spec-path> [--port <port>] [--host <host>] [--seed <seed>]');
+    console.log('This script serves example responses for every operation in an OpenAPI/Swagger specification');
+    process.exit(1);
+  }
+
+  const specPath = args.positionals[0];
+  let server;
+  try {
+    server = createMockServer(specPath, {
+      seed: args.values.seed,
+      log: (request, result) => {
+        console.log(`${request.method} ${request.url} -> ${result.status}`);
+        (result.problems || []).forEach(problem => console.log(`  ${describeProblem(problem)}`));
+      }
+    });
+  } catch (error) {
+    console.error('Mock server failed:', error.message);
+    process.exit(1);
+  }
+
+  server.on('error', error => {
+    console.error('Mock server failed:', error.message);
+    process.exit(1);
+  });
+  server.listen(port, args.values.host, () => {
+    const info = server.spec.info || {};
+    const address = server.address();
+    console.log(`=== MOCK SERVER: ${info.title || specPath}${info.version ? ` ${info.version}` : ''} ===\n`);
+    console.log(`Listening on http://${args.values.host.includes(':') ? `[${args.values.host}]` : args.values.host}:${address.port}\n`);
+
+    console.log(`Operations (${server.routes.length}):`);
+    server.routes.slice(0, TEXT_LIMIT).forEach(route => {
+      console.log(`  ${route.method.toUpperCase().padEnd(7)} ${route.path}`);
+    });
+    if (server.routes.length > TEXT_LIMIT) {
+      console.log(`  ... and ${server.routes.length - TEXT_LIMIT} more`);
+    }
+    console.log(`\nSend an ${STATUS_HEADER} header (e.g. "${STATUS_HEADER}: 404") to get a documented error response.\n`);
+  });
+}
\ No newline at end of file
@@ -3,189 +3,204 @@
 
 const fs = require('fs');
 const path = require('path');
-
-function validateSpec(specPath) {
-  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+const { parseArgs } = require('util');
+const { loadSpec, serializeSpec, detectFormat } = require('./lib/spec-loader');
+const { SchemaValidator } = require('./lib/json-schema');
+const { bundleSpec, dereferenceSpec } = require('./lib/ref-resolver');
+const { loadLintConfig, lintSpec } = require('./lib/lint');
+const { FORMATS, formatIssue, toSarif, toJUnit } = require('./lib/report-formats');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+
+// Official meta-schema for each specification version, bundled so validation
+// works offline
+const META_SCHEMAS = [
+  { test: spec => typeof spec.swagger === 'string' && spec.swagger === '2.0', file: 'swagger-2.0.json', type: 'Swagger 2.0' },
+  { test: spec => typeof spec.openapi === 'string' && /^3\.0\./.test(spec.openapi), file: 'openapi-3.0.json', type: 'OpenAPI 3.0' },
+  { test: spec => typeof spec.openapi === 'string' && /^3\.1\./.test(spec.openapi), file: 'openapi-3.1.json', type: 'OpenAPI 3.1' }
+];
+
+// Rule IDs for the checks that are not lint rules
+const CHECKS = {
+  'spec-version': 'The document declares a supported openapi or swagger version',
+  'meta-schema': 'The document is valid against the official meta-schema for its version',
+  'ref-resolution': 'Every $ref resolves to an existing, non-circular target'
+};
+
+let validator = null;
+const schemaCache = new Map();
+
+function validateSpec(specPath, options = {}) {
+  const { spec, format, lineOf } = loadSpec(specPath);
   const errors = [];
   const warnings = [];
 
-  // Validate basic OpenAPI structure
-  if (!spec.openapi && !spec.swagger) {
-    errors.push('Missing openapi (3.x) or swagger (2.0) version field');
-  } else if (spec.openapi) {
-    if (!isValidOpenApiVersion(spec.openapi)) {
-      errors.push(`Invalid OpenAPI version: ${spec.openapi}. Expected format like "3.0.0"`);
-    }
-  } else if (spec.swagger) {
-    if (!isValidSwaggerVersion(spec.swagger)) {
-      errors.push(`Invalid Swagger version: ${spec.swagger}. Expected "2.0"`);
-    }
-  }
+  // The lint config sets the severity of the design rules and of the
+  // checks below: `off` drops a rule's problems, `warn` makes them warnings
+  const lintConfig = loadLintConfig(specPath, options.config, CHECKS);
+  const add = (severity, issue) => {
+    const configured = lintConfig.rules[issue.rule];
+    if (configured === 'off') return;
+    (severity === 'error' && configured !== 'warn' ? errors : warnings).push(issue);
+  };
 
-  // Validate required fields
-  if (!spec.info) {
-    errors.push('Missing required info object');
-  } else {
-    if (!spec.info.title) {
-      errors.push('Missing required info.title');
-    }
-    if (!spec.info.version) {
-      errors.push('Missing required info.version');
-    }
-  }
+  // Every problem carries its rule ID, the JSON pointer of the offending
+  // value and the line it is on in the source file
+  const report = (rule, message, pointer = '') => {
+    add('error', { message, pointer, line: lineOf(pointer), rule });
+  };
 
-  // Validate paths
-  if (!spec.paths) {
-    errors.push('Missing required paths object');
+  const meta = META_SCHEMAS.find(candidate => candidate.test(spec));
+  if (!spec.openapi && !spec.swagger) {
+    report('spec-version', 'Missing openapi (3.x) or swagger (2.0) version field');
+  } else if (!meta) {
+    const field = spec.openapi ? 'openapi' : 'swagger';
+    report('spec-version', `Unsupported ${field} version: ${spec[field]}. Expected "2.0", "3.0.x" or "3.1.x"`, `/${field}`);
   } else {
-    for (const [path, pathItem] of Object.entries(spec.paths)) {
-      if (typeof pathItem !== 'object') {
-        errors.push(`Invalid path item for "${path}", expected object`);
-        continue;
-      }
-
-      // Check for valid HTTP methods
-      const validMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
-      for (const [method, operation] of Object.entries(pathItem)) {
-        if (!validMethods.includes(method.toLowerCase())) {
-          warnings.push(`Unknown HTTP method "${method}" in path "${path}"`);
-        }
-
-        if (operation && typeof operation === 'object') {
-          // Validate operation properties
-          if (operation.responses) {
-            for (const [statusCode, response] of Object.entries(operation.responses)) {
-              if (isNaN(parseInt(statusCode)) && !['default'].includes(statusCode)) {
-                warnings.push(`Invalid status code "${statusCode}" in ${method.toUpperCase()} ${path}`);
-              }
-            }
-          }
-        }
-      }
-    }
+    validateStructure(spec, meta.file).forEach(error => report('meta-schema', error.message, error.pointer));
   }
 
-  // Validate components (OpenAPI 3.x)
-  if (spec.openapi && spec.components) {
-    validateComponents(spec.components, errors, warnings);
-  }
+  // Dangling, circular and unreadable $refs, in this file or the ones it
+  // references
+  const bundled = bundleSpec(specPath);
+  bundled.problems.forEach(problem => {
+    const { severity, ...issue } = problem;
+    issue.rule = 'ref-resolution';
+    add(severity, issue);
+  });
+
+  // Rules the reports list: every check and design rule that is not off
+  const rules = {};
+  Object.keys(lintConfig.rules).filter(name => lintConfig.rules[name] !== 'off').forEach(name => {
+    rules[name] = lintConfig.definitions[name].description || name;
+  });
+
+  // Design rules
+  lintSpec(bundled.spec, lintConfig).forEach(finding => {
+    const { severity, ...issue } = finding;
+    issue.line = lineOf(issue.pointer);
+    add(severity, issue);
+  });
 
   return {
     isValid: errors.length === 0,
     errors: errors,
     warnings: warnings,
-    specType: spec.openapi ? 'OpenAPI 3.x' : spec.swagger ? 'Swagger 2.0' : 'Unknown'
+    specType: meta ? meta.type : 'Unknown',
+    format: format.toUpperCase(),
+    rules: rules
   };
 }
 
-function isValidOpenApiVersion(version) {
-  return /^3\.\d+\.\d+$/.test(version);
+// Validates the document against its version's meta-schema
+function validateStructure(spec, schemaFile) {
+  if (!validator) {
+    validator = new SchemaValidator();
+    validator.addSchema(readSchema('json-schema-draft-04.json'));
+  }
+  return validator.validate(readSchema(schemaFile), spec);
 }
 
-function isValidSwaggerVersion(version) {
-  return version === '2.0';
+function readSchema(file) {
+  if (!schemaCache.has(file)) {
+    schemaCache.set(file, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+  }
+  return schemaCache.get(file);
 }
 
-function validateComponents(components, errors, warnings) {
-  if (components.schemas) {
-    for (const [name, schema] of Object.entries(components.schemas)) {
-      if (typeof schema !== 'object') {
-        errors.push(`Invalid schema "${name}", expected object`);
-        continue;
-      }
+module.exports = {
+  validateSpec,
+  formatIssue
+};
 
-      // Validate schema properties
-      if (schema.properties) {
-        for (const [propName, propDef] of Object.entries(schema.properties)) {
-          if (typeof propDef !== 'object') {
-            warnings.push(`Property "${propName}" in schema "${name}" should be an object`);
-          }
-        }
+// Main execution
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        bundle: { type: 'string' },
+        dereference: { type: 'string' },
+        config: { type: 'string' },
+        format: { type: 'string', default: 'text' }
       }
+    });
+    if (!FORMATS.includes(args.values.format)) {
+      throw new Error(`Unknown format "${args.values.format}" (expected ${FORMATS.join(', ')})`);
     }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
 
-  if (components.securitySchemes) {
-    for (const [name, scheme] of Object.entries(components.securitySchemes)) {
-      if (!scheme.type) {
-        errors.push(`Security scheme "${name}" missing required type field`);
-        continue;
-      }
+  if (args.positionals.length < 1) {
+    console.error('Usage: node validate-spec.js <openapi-spec-path> [--format text|json|sarif|junit] [--config <lint-config>] [--bundle <out-file>] [--dereference <out-file>]');
+    console.log('Note: This script validates OpenAPI/Swagger JSON/YAML specification files');
+    process.exit(1);
+  }
 
-      const validTypes = ['apiKey', 'http', 'oauth2', 'openIdConnect'];
-      if (!validTypes.includes(scheme.type)) {
-        errors.push(`Invalid security scheme type "${scheme.type}" in scheme "${name}"`);
-      }
+  const specPath = args.positionals[0];
+  const format = args.values.format;
+  try {
+    const result = validateSpec(specPath, { config: args.values.config });
+
+    // Single-file output for tools that cannot follow file references;
+    // --dereference also inlines the local refs
+    const outputs = [['bundle', bundleSpec], ['dereference', dereferenceSpec]];
+    const written = outputs.filter(([option]) => args.values[option]).map(([option, build]) => {
+      const outputPath = args.values[option];
+      fs.writeFileSync(outputPath, serializeSpec(build(specPath).spec, detectFormat(outputPath)));
+      return `${option === 'bundle' ? 'Bundled' : 'Dereferenced'} specification written to: ${outputPath}`;
+    });
 
-      // Validate type-specific requirements
-      switch (scheme.type) {
-        case 'apiKey':
-          if (!scheme.name) {
-            errors.push(`apiKey security scheme "${name}" missing required name field`);
-          }
-          if (!scheme.in || !['query', 'header', 'cookie'].includes(scheme.in)) {
-            errors.push(`apiKey security scheme "${name}" missing or invalid "in" field (expected query, header, or cookie)`);
-          }
-          break;
-        case 'http':
-          if (!scheme.scheme) {
-            errors.push(`http security scheme "${name}" missing required scheme field`);
-          }
-          break;
-        case 'oauth2':
-          if (!scheme.flows) {
-            errors.push(`oauth2 security scheme "${name}" missing required flows object`);
-          }
-          break;
-        case 'openIdConnect':
-          if (!scheme.openIdConnectUrl) {
-            errors.push(`openIdConnect security scheme "${name}" missing required openIdConnectUrl field`);
-          }
-          break;
+    if (format !== 'text') {
+      // Keep stdout parseable
+      written.forEach(message => console.error(message));
+      const findings = [
+        ...result.errors.map(error => Object.assign({ level: 'error' }, error)),
+        ...result.warnings.map(warning => Object.assign({ level: 'warning' }, warning))
+      ];
+      const report = { tool: 'validate-spec', specPath, rules: result.rules, findings };
+      if (format === 'json') {
+        console.log(JSON.stringify(Object.assign({ file: specPath }, result), null, 2));
+      } else {
+        console.log(format === 'sarif' ? toSarif(report) : toJUnit(report));
       }
+      process.exit(result.isValid ? 0 : 1);
     }
-  }
-}
 
-// Main execution
-if (process.argv.length < 3) {
-  console.error('Usage: node validate-spec.js <openapi-spec-path>');
-  console.log('Note: This script validates OpenAPI/Swagger JSON/YAML specification files');
-  process.exit(1);
-}
+    console.log('=== API SPECIFICATION VALIDATION ===\n');
+    console.log(`Specification Type: ${result.specType} (${result.format})`);
+    console.log(`Valid: ${result.isValid ? 'YES' : 'NO'}\n`);
 
-const specPath = process.argv[2];
-try {
-  const result = validateSpec(specPath);
+    if (result.errors.length > 0) {
+      console.log(`Errors (${result.errors.length}):`);
+      result.errors.forEach((error, index) => {
+        console.log(`  ${index + 1}. ${formatIssue(error)}`);
+      });
+      console.log('');
+    }
 
-  console.log('=== API SPECIFICATION VALIDATION ===\n');
-  console.log(`Specification Type: ${result.specType}`);
-  console.log(`Valid: ${result.isValid ? 'YES' : 'NO'}\n`);
+    if (result.warnings.length > 0) {
+      console.log(`Warnings (${result.warnings.length}):`);
+      result.warnings.forEach((warning, index) => {
+        console.log(`  ${index + 1}. ${formatIssue(warning)}`);
+      });
+      console.log('');
+    }
 
-  if (result.errors.length > 0) {
-    console.log(`Errors (${result.errors.length}):`);
-    result.errors.forEach((error, index) => {
-      console.log(`  ${index + 1}. ${error}`);
-    });
-    console.log('');
-  }
+    written.forEach(message => console.log(`${message}\n`));
 
-  if (result.warnings.length > 0) {
-    console.log(`Warnings (${result.warnings.length}):`);
-    result.warnings.forEach((warning, index) => {
-      console.log(`  ${index + 1}. ${warning}`);
-    });
-    console.log('');
-  }
+    if (result.isValid) {
+      console.log(`✅ Specification is valid against the ${result.specType} schema`);
+    } else {
+      console.log('❌ Specification has validation errors');
+      process.exit(1);
+    }
 
-  if (result.isValid) {
-    console.log('✅ Specification is valid according to basic OpenAPI/Swagger rules');
-  } else {
-    console.log('❌ Specification has validation errors');
+  } catch (error) {
+    console.error('Validation failed:', error.message);
     process.exit(1);
   }
-
-} catch (error) {
-  console.error('Validation failed:', error.message);
-  process.exit(1);
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Checks that synthesized examples match their schemas: every component
+// schema of every fixture spec, in both directions and for several seeds,
+// and the sample requests the exporters write, sent to the mock server.
+// Run with `node tests/examples.js`; exits 1 on any mismatch.
+
+const fs = require('fs');
+const path = require('path');
+const { bundleSpec } = require('../scripts/lib/ref-resolver');
+const { pointer } = require('../scripts/lib/spec-loader');
+const { exampleFromSchema } = require('../scripts/lib/schema-example');
+const { operationValidator, schemaErrors } = require('../scripts/lib/operation-validator');
+const { createMockServer } = require('../scripts/mock-server');
+const { runContractTests } = require('../scripts/contract-test');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SEEDS = [1, 2, 3];
+
+function checkSchemas(file) {
+  const { spec } = bundleSpec(file);
+  const context = operationValidator(spec);
+  const section = spec.swagger ? 'definitions' : 'components/schemas';
+  const schemas = (spec.swagger ? spec.definitions : spec.components && spec.components.schemas) || {};
+  const failures = [];
+
+  Object.keys(schemas).forEach(name => {
+    const schema = { $ref: `#/${section}${pointer(name)}` };
+    ['request', 'response'].forEach(direction => SEEDS.forEach(seed => {
+      const value = exampleFromSchema(schema, { resolve: context.resolve, direction, seed });
+      const errors = value === undefined ? [{ pointer: '', message: 'no example' }] : schemaErrors(context, schema, value, direction);
+      if (errors.length > 0) {
+        failures.push(`${name} (${direction}, seed ${seed}): ${errors[0].pointer || 'example'} ${errors[0].message}`);
+      }
+    }));
+  });
+  return failures;
+}
+
+// The mock validates requests against the spec, so a sample it does not
+// answer with a 2xx has a body or parameters the spec rejects
+async function checkSamples(file) {
+  const server = createMockServer(file);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const result = await runContractTests(file, { baseUrl: `http://127.0.0.1:${server.address().port}`, env: {} });
+    return result.findings.map(finding => finding.message);
+  } finally {
+    server.close();
+  }
+}
+
+async function main() {
+  const files = fs.readdirSync(FIXTURES).filter(name => /\.(ya?ml|json)$/.test(name)).sort();
+  let failed = 0;
+
+  for (const name of files) {
+    const file = path.join(FIXTURES, name);
+    const failures = checkSchemas(file).concat(await checkSamples(file));
+    console.log(`${failures.length === 0 ? '✅' : '❌'} ${name}`);
+    failures.forEach(failure => console.log(`    ${failure}`));
+    if (failures.length > 0) failed++;
+  }
+
+  console.log(`\n${files.length - failed} of ${files.length} fixture specs passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Example check failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,11 @@
+from django.urls import path
+from rest_framework.routers import DefaultRouter
+
+from shop.views import ProductViewSet, StockView
+
+router = DefaultRouter()
+router.register(r'products', ProductViewSet)
+
+urlpatterns = router.urls + [
+    path('stock/<int:product_id>/', StockView.as_view()),
+]
\ No newline at end of file
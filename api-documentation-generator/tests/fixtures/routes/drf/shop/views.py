@@ -0,0 +1,18 @@
+from rest_framework import viewsets
+from rest_framework.response import Response
+from rest_framework.views import APIView
+
+
+class ProductViewSet(viewsets.ReadOnlyModelViewSet):
+    def list(self, request):
+        category = request.query_params.get('category')
+        return Response([])
+
+
+class StockView(APIView):
+    def get(self, request, product_id):
+        return Response({'id': product_id})
+
+    def put(self, request, product_id):
+        count = request.data['count']
+        return Response({'id': product_id, 'count': count})
\ No newline at end of file
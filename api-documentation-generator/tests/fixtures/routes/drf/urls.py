@@ -0,0 +1,5 @@
+from django.urls import include, path
+
+urlpatterns = [
+    path('api/', include('shop.urls')),
+]
\ No newline at end of file
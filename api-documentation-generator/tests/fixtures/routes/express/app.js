@@ -0,0 +1,18 @@
+const express = require('express');
+const users = require('./routes/users');
+const { requireAuth } = require('./auth');
+
+const app = express();
+const api = express.Router();
+
+api.use('/users', requireAuth, users);
+app.use('/api/v1', api);
+
+app.get('/health', (req, res) => res.send('ok'));
+
+app.get('/search', (req, res) => {
+  const { q, page } = req.query;
+  res.json({ q, page, lang: req.get('Accept-Language') });
+});
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,6 @@
+function requireAuth(req, res, next) {
+  if (!req.headers.authorization) return res.status(401).end();
+  next();
+}
+
+module.exports = { requireAuth };
\ No newline at end of file
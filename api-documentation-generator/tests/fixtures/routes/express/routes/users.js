@@ -0,0 +1,20 @@
+const router = require('express').Router();
+
+router.get('/', (req, res) => {
+  res.json({ limit: req.query.limit });
+});
+
+router.get('/:id', ({ params }, res) => {
+  res.json({ id: params.id });
+});
+
+router.post('/', (req, res) => {
+  const { name, email } = req.body;
+  res.status(201).json({ name, email });
+});
+
+router.route('/:id/avatar')
+  .put((req, res) => res.json({ type: req.headers['content-type'] }))
+  .delete((req, res) => res.status(204).end());
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+from fastapi import FastAPI
+
+from routers import items
+
+app = FastAPI()
+app.include_router(items.router, prefix='/items')
+
+
+@app.get('/')
+async def root():
+    return {'ok': True}
\ No newline at end of file
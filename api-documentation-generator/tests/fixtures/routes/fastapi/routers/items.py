@@ -0,0 +1,26 @@
+from typing import Optional
+
+from fastapi import APIRouter, Cookie, Header, Query
+from pydantic import BaseModel
+
+router = APIRouter()
+
+
+class Item(BaseModel):
+    name: str
+    price: float
+
+
+@router.get('/')
+async def list_items(q: Optional[str] = None, limit: int = Query(10), user_agent: str = Header(None)):
+    return []
+
+
+@router.get('/{item_id}')
+async def read_item(item_id: int, session: Optional[str] = Cookie(None)):
+    return {'id': item_id}
+
+
+@router.post('/', status_code=201)
+async def create_item(item: Item):
+    return item
\ No newline at end of file
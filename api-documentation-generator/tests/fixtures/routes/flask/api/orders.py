@@ -0,0 +1,23 @@
+from flask import Blueprint, request
+
+orders = Blueprint('orders', __name__)
+
+
+@orders.route('/', methods=['GET', 'POST'])
+def list_or_create():
+    if request.method == 'POST':
+        payload = request.get_json()
+        return payload, 201
+    status = request.args.get('status')
+    return {'status': status, 'token': request.headers.get('X-Api-Key')}
+
+
+@orders.get('/<int:order_id>')
+def get_order(order_id):
+    return {'id': order_id}
+
+
+@orders.delete('/<int:order_id>')
+def cancel_order(order_id):
+    reason = request.args['reason']
+    return {'id': order_id, 'reason': reason}
\ No newline at end of file
@@ -0,0 +1,11 @@
+from flask import Flask
+
+from api.orders import orders
+
+app = Flask(__name__)
+app.register_blueprint(orders, url_prefix='/api/orders')
+
+
+@app.route('/health')
+def health():
+    return 'ok'
\ No newline at end of file
@@ -0,0 +1,44 @@
+package demo;
+
+import org.springframework.web.bind.annotation.*;
+
+// @GetMapping("/commented") should not count
+@RestController
+@RequestMapping(value = {"/api/users", "/v1/users"})
+public class UserController {
+
+    /* @PostMapping("/nope") */
+    @GetMapping
+    public List<User> list(@RequestParam(name = "q", required = false) String query,
+                           @RequestHeader("X-Tenant") String tenant) {
+        String s = "{ not a brace";
+        return service.find(query);
+    }
+
+    @GetMapping("/{id}")
+    public User get(@PathVariable Long id) {
+        return service.get(id);
+    }
+
+    @PostMapping(path = "/", consumes = "application/json")
+    @ResponseStatus(HttpStatus.CREATED)
+    public User create(@Valid @RequestBody CreateUser body, @CookieValue("session") String session) {
+        return service.create(body);
+    }
+
+    @RequestMapping(value = "/{id}", method = {RequestMethod.PUT, RequestMethod.PATCH})
+    public User update(@PathVariable("id") Long id, @RequestBody Map<String, Object> patch) {
+        return null;
+    }
+
+    static class Helper {
+        @DeleteMapping("/inner")
+        void inner() {}
+    }
+}
+
+@RestController
+class HealthController {
+    @GetMapping("health")
+    String health() { return "ok"; }
+}
\ No newline at end of file
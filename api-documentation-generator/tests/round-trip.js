@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// Converts every fixture spec to RAML 1.0 and AsciiDoc and reads the output
+// back. The RAML is parsed as YAML and its types, resources, parameters,
+// bodies, responses and security schemes are compared with the spec; the
+// AsciiDoc is checked for a section per operation, a property table per
+// model that matches its schema, and cross references that all resolve.
+// Run with `node tests/round-trip.js`; exits 1 on any mismatch.
+
+const fs = require('fs');
+const path = require('path');
+const { bundleSpec, resolveLocalRef } = require('../scripts/lib/ref-resolver');
+const { parseYaml } = require('../scripts/lib/yaml');
+const { HTTP_METHODS } = require('../scripts/lib/spec-merge');
+const { operationParameters } = require('../scripts/lib/sample-requests');
+const { toRaml } = require('../scripts/lib/raml');
+const { toAsciiDoc } = require('../scripts/lib/asciidoc');
+const { slug } = require('../scripts/lib/html-docs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// RAML types a JSON Schema string can become, by format
+const STRING_TYPES = ['string', 'datetime', 'date-only', 'time-only', 'file'];
+
+function resolve(spec, value) {
+  return resolveLocalRef(spec, value).value;
+}
+
+function componentSchemas(spec) {
+  return (spec.swagger ? spec.definitions : spec.components && spec.components.schemas) || {};
+}
+
+function refName(schema) {
+  return schema && typeof schema.$ref === 'string' ? schema.$ref.split('/').pop() : null;
+}
+
+// `{ path, method, operation, parameters }` for every operation RAML can hold
+function operations(spec) {
+  const result = [];
+  Object.keys(spec.paths || {}).forEach(route => {
+    const pathItem = resolve(spec, spec.paths[route]) || {};
+    HTTP_METHODS.filter(method => pathItem[method] && method !== 'trace').forEach(method => {
+      const operation = pathItem[method];
+      result.push({ path: route, method, operation, parameters: operationParameters(pathItem, operation, param => resolve(spec, param)) });
+    });
+  });
+  return result;
+}
+
+// Properties of an object schema with those of its allOf parts, as
+// `{ name: { required, type } }`
+function specProperties(spec, schema, seen = []) {
+  const target = resolve(spec, schema) || {};
+  if (seen.includes(target)) return {};
+  const properties = {};
+  (target.allOf || []).forEach(part => Object.assign(properties, specProperties(spec, part, seen.concat(target))));
+  const required = target.required || [];
+  Object.keys(target.properties || {}).forEach(name => {
+    properties[name] = { required: required.includes(name), type: specType(spec, target.properties[name]) };
+  });
+  (target.allOf || []).forEach(part => {
+    ((resolve(spec, part) || {}).required || []).filter(name => properties[name]).forEach(name => {
+      properties[name].required = true;
+    });
+  });
+  return properties;
+}
+
+function specType(spec, schema) {
+  if (refName(schema)) return refName(schema);
+  const types = [].concat(schema.type || []).filter(type => type !== 'null');
+  if (types.length > 0) return types[0];
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return 'any';
+}
+
+// RAML's type for a declaration, without `| nil`
+function ramlTypeName(declaration) {
+  const type = typeof declaration === 'string' ? declaration : declaration && declaration.type;
+  return typeof type === 'string' ? type.replace(/\s*\|\s*nil$/, '') : type;
+}
+
+function compatible(expected, actual) {
+  if (expected === actual) return true;
+  if (expected === 'string') return STRING_TYPES.includes(actual);
+  if (expected === 'array') return actual === 'array' || /\[\]$/.test(actual);
+  return expected === 'any' && typeof actual === 'string';
+}
+
+// Properties of a RAML type with those it inherits
+function ramlProperties(types, declaration, seen = []) {
+  if (typeof declaration === 'string') {
+    return types[declaration] && !seen.includes(declaration) ? ramlProperties(types, types[declaration], seen.concat(declaration)) : {};
+  }
+  if (!declaration || typeof declaration !== 'object') return {};
+  const properties = {};
+  [].concat(declaration.type || []).filter(parent => types[parent] && !seen.includes(parent)).forEach(parent => {
+    Object.assign(properties, ramlProperties(types, types[parent], seen.concat(parent)));
+  });
+  Object.keys(declaration.properties || {}).filter(name => name !== '//').forEach(name => {
+    const property = declaration.properties[name];
+    const optional = name.endsWith('?') || (property && property.required === false);
+    properties[name.replace(/\?$/, '')] = { required: !optional, type: ramlTypeName(property) };
+  });
+  return properties;
+}
+
+function compareProperties(label, expected, actual, failures) {
+  Object.keys(expected).forEach(name => {
+    if (!actual[name]) {
+      failures.push(`${label}: property "${name}" is missing`);
+      return;
+    }
+    if (expected[name].required !== actual[name].required) {
+      failures.push(`${label}: property "${name}" should be ${expected[name].required ? 'required' : 'optional'}`);
+    }
+    if (!compatible(expected[name].type, actual[name].type)) {
+      failures.push(`${label}: property "${name}" is ${actual[name].type}, expected ${expected[name].type}`);
+    }
+  });
+  Object.keys(actual).filter(name => !expected[name]).forEach(name => failures.push(`${label}: unexpected property "${name}"`));
+}
+
+// Methods of the RAML resource tree as `{ 'get /a/{id}': { method, uriParameters } }`
+function ramlResources(node, prefix = '', uriParameters = {}, result = {}) {
+  Object.keys(node).filter(key => key.startsWith('/')).forEach(key => {
+    const resource = node[key] || {};
+    const fullPath = prefix + key;
+    const parameters = Object.assign({}, uriParameters, resource.uriParameters);
+    HTTP_METHODS.filter(method => resource[method]).forEach(method => {
+      result[`${method} ${fullPath}`] = { method: resource[method], uriParameters: parameters };
+    });
+    ramlResources(resource, fullPath, parameters, result);
+  });
+  return result;
+}
+
+function sameNames(label, expected, actual, failures) {
+  const missing = expected.filter(name => !actual.includes(name));
+  const extra = actual.filter(name => !expected.includes(name));
+  if (missing.length > 0) failures.push(`${label}: missing ${missing.join(', ')}`);
+  if (extra.length > 0) failures.push(`${label}: unexpected ${extra.join(', ')}`);
+}
+
+function checkRaml(spec) {
+  const failures = [];
+  const text = toRaml(spec);
+  if (!text.startsWith('#%RAML 1.0\n')) failures.push('RAML: missing the #%RAML 1.0 header');
+  const raml = parseYaml(text).value;
+  const info = spec.info || {};
+  if (raml.title !== info.title || String(raml.version) !== String(info.version)) failures.push('RAML: title or version differs');
+
+  const schemes = (spec.components && spec.components.securitySchemes) || spec.securityDefinitions || {};
+  sameNames('RAML securitySchemes', Object.keys(schemes), Object.keys(raml.securitySchemes || {}), failures);
+
+  const types = raml.types || {};
+  Object.entries(componentSchemas(spec)).forEach(([name, schema]) => {
+    const label = `RAML type ${name}`;
+    if (types[name] === undefined) {
+      failures.push(`${label} is missing`);
+      return;
+    }
+    const choices = schema.oneOf || schema.anyOf;
+    if (choices) {
+      const members = String(ramlTypeName(types[name])).split('|').map(member => member.trim());
+      if (members.length !== choices.length) failures.push(`${label} has ${members.length} union members, expected ${choices.length}`);
+      choices.forEach((choice, index) => {
+        if (refName(choice) && members[index] !== refName(choice)) failures.push(`${label} member ${index + 1} is ${members[index]}, expected ${refName(choice)}`);
+      });
+      return;
+    }
+    compareProperties(label, specProperties(spec, schema), ramlProperties(types, types[name]), failures);
+  });
+
+  const resources = ramlResources(raml);
+  const expected = operations(spec);
+  sameNames('RAML resources', expected.map(entry => `${entry.method} ${entry.path}`), Object.keys(resources), failures);
+  expected.forEach(({ path: route, method, operation, parameters }) => {
+    const found = resources[`${method} ${route}`];
+    if (!found) return;
+    const label = `RAML ${method.toUpperCase()} ${route}`;
+    const names = location => parameters.filter(param => param.in === location).map(param => param.name);
+    sameNames(`${label} uriParameters`, (route.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)), Object.keys(found.uriParameters), failures);
+    sameNames(`${label} queryParameters`, names('query'), Object.keys(found.method.queryParameters || {}), failures);
+    sameNames(`${label} headers`, names('header').concat(names('cookie').length > 0 ? ['Cookie'] : []), Object.keys(found.method.headers || {}), failures);
+
+    const bodyParam = parameters.find(param => param.in === 'body');
+    const requestTypes = operation.requestBody
+      ? Object.keys((resolve(spec, operation.requestBody) || {}).content || {})
+      : bodyParam ? operation.consumes || spec.consumes || ['application/json'] : [];
+    sameNames(`${label} body`, requestTypes, Object.keys(found.method.body || {}), failures);
+    const requestSchema = bodyParam ? bodyParam.schema : operation.requestBody && Object.values(resolve(spec, operation.requestBody).content || {})[0].schema;
+    const bodies = Object.values(found.method.body || {});
+    if (refName(requestSchema) && bodies.length > 0 && ramlTypeName(bodies[0]) !== refName(requestSchema)) {
+      failures.push(`${label} body is ${ramlTypeName(bodies[0])}, expected ${refName(requestSchema)}`);
+    }
+
+    const codes = Object.keys(operation.responses || {}).filter(code => /^\d{3}$/.test(code));
+    const responses = found.method.responses || {};
+    sameNames(`${label} responses`, codes, Object.keys(responses).map(String), failures);
+    codes.filter(code => responses[code]).forEach(code => {
+      const response = resolve(spec, operation.responses[code]) || {};
+      const content = response.content ? Object.keys(response.content)
+        : response.schema ? operation.produces || spec.produces || ['application/json'] : [];
+      sameNames(`${label} response ${code} body`, content, Object.keys(responses[code].body || {}), failures);
+    });
+  });
+  return failures;
+}
+
+// Rows of the AsciiDoc table after `start`, as arrays of cells
+function tableRows(lines, start, columns) {
+  const open = lines.indexOf('|===', start);
+  const close = lines.indexOf('|===', open + 1);
+  const cells = lines.slice(open + 2, close).filter(line => line.startsWith('|')).map(line => line.slice(1));
+  const rows = [];
+  for (let index = 0; index + columns <= cells.length; index += columns) rows.push(cells.slice(index, index + columns));
+  return rows;
+}
+
+function checkAsciiDoc(spec) {
+  const failures = [];
+  const text = toAsciiDoc(spec);
+  const lines = text.split('\n');
+  const info = spec.info || {};
+  if (lines[0] !== `= ${info.title}`) failures.push('AsciiDoc: the document title differs');
+
+  const anchors = new Set();
+  lines.forEach(line => {
+    const match = /^\[\[([^\]]+)\]\]$/.exec(line) || /^\[#([^\]]+)\]$/.exec(line);
+    if (match) anchors.add(match[1]);
+  });
+  const references = new Set(Array.from(text.matchAll(/<<([^,>]+)(?:,[^>]*)?>>/g), match => match[1]));
+  references.forEach(id => {
+    if (!anchors.has(id)) failures.push(`AsciiDoc: cross reference <<${id}>> has no target`);
+  });
+
+  operations(spec).forEach(({ path: route, method, parameters }) => {
+    const title = `=== ${method.toUpperCase()} +${route}+`;
+    const start = lines.indexOf(title);
+    if (start === -1) {
+      failures.push(`AsciiDoc: no section for ${method.toUpperCase()} ${route}`);
+      return;
+    }
+    const end = lines.findIndex((line, index) => index > start && /^==+ /.test(line));
+    const section = lines.slice(start, end === -1 ? lines.length : end);
+    const table = section.indexOf('.Parameters');
+    const listed = table === -1 ? [] : tableRows(section, table, 5).map(row => row[0].replace(/^`|`$/g, ''));
+    sameNames(`AsciiDoc ${method.toUpperCase()} ${route} parameters`, parameters.filter(param => param.in !== 'body').map(param => param.name), listed, failures);
+  });
+
+  Object.entries(componentSchemas(spec)).forEach(([name, schema]) => {
+    const anchor = `schema-${slug(name)}`;
+    const start = lines.indexOf(`[[${anchor}]]`);
+    if (start === -1 || lines[start + 1] !== `=== ${name}`) {
+      failures.push(`AsciiDoc: no section for model ${name}`);
+      return;
+    }
+    const target = resolve(spec, schema) || {};
+    const required = target.required || [];
+    const expected = {};
+    Object.keys(target.properties || {}).forEach(property => {
+      expected[property] = required.includes(property) ? 'Yes' : 'No';
+    });
+    const actual = {};
+    if (Object.keys(expected).length > 0) {
+      tableRows(lines, start, 4).filter(row => row[0].startsWith('`')).forEach(row => {
+        actual[row[0].replace(/^`|`$/g, '')] = row[2];
+      });
+    }
+    sameNames(`AsciiDoc model ${name} properties`, Object.keys(expected), Object.keys(actual), failures);
+    Object.keys(expected).filter(property => actual[property] && actual[property] !== expected[property]).forEach(property => {
+      failures.push(`AsciiDoc model ${name}: property "${property}" should be marked ${expected[property]}`);
+    });
+    Object.entries(target.properties || {}).filter(([, value]) => refName(value)).forEach(([property, value]) => {
+      const row = tableRows(lines, start, 4).find(cells => cells[0] === `\`${property}\``);
+      if (row && !row[1].includes(`<<schema-${slug(refName(value))},`)) failures.push(`AsciiDoc model ${name}: property "${property}" does not link to ${refName(value)}`);
+    });
+  });
+  return failures;
+}
+
+const files = fs.readdirSync(FIXTURES).filter(name => /\.(ya?ml|json)$/.test(name)).sort();
+let failed = 0;
+files.forEach(name => {
+  const { spec } = bundleSpec(path.join(FIXTURES, name));
+  let failures;
+  try {
+    failures = checkRaml(spec).concat(checkAsciiDoc(spec));
+  } catch (error) {
+    failures = [`${error.name}: ${error.message}`];
+  }
+  console.log(`${failures.length === 0 ? '✅' : '❌'} ${name}`);
+  failures.forEach(failure => console.log(`    ${failure}`));
+  if (failures.length > 0) failed++;
+});
+
+console.log(`\n${files.length - failed} of ${files.length} fixture specs passed`);
+process.exit(failed > 0 ? 1 : 0);
\ No newline at end of file
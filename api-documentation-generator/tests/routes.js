@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Runs the endpoint analysis over each project in `tests/fixtures/routes/`
+// and compares the endpoints it finds with the project's `expected.json`:
+// one entry per `METHOD /path`, with the `file:line` it is declared at, the
+// request values its handler reads (`"query q"`) and its middleware.
+// Run with `node tests/routes.js`; exits 1 on any mismatch.
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { analyzeEndpoints } = require('../scripts/analyze-endpoints');
+
+const PROJECTS = path.join(__dirname, 'fixtures', 'routes');
+
+function describe(endpoint) {
+  return {
+    source: endpoint.source,
+    parameters: (endpoint.parameters || []).map(param => `${param.in} ${param.name}`),
+    middleware: endpoint.middleware || []
+  };
+}
+
+function checkProject(dir) {
+  const failures = [];
+  const expected = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+  const found = {};
+  analyzeEndpoints([dir]).endpoints.forEach(endpoint => {
+    const key = `${endpoint.method} ${endpoint.path}`;
+    if (found[key]) failures.push(`${key} is reported twice`);
+    found[key] = describe(endpoint);
+  });
+
+  Object.keys(expected).forEach(key => {
+    if (!found[key]) {
+      failures.push(`${key} not found`);
+      return;
+    }
+    ['source', 'parameters', 'middleware'].forEach(field => {
+      if (!isDeepStrictEqual(found[key][field], expected[key][field])) {
+        failures.push(`${key} ${field}: expected ${JSON.stringify(expected[key][field])}, got ${JSON.stringify(found[key][field])}`);
+      }
+    });
+  });
+  Object.keys(found).filter(key => !expected[key]).forEach(key => {
+    failures.push(`unexpected ${key} at ${found[key].source}`);
+  });
+  return failures;
+}
+
+function main() {
+  const projects = fs.readdirSync(PROJECTS)
+    .filter(name => fs.existsSync(path.join(PROJECTS, name, 'expected.json')))
+    .sort();
+  let failed = 0;
+
+  projects.forEach(name => {
+    let failures;
+    try {
+      failures = checkProject(path.join(PROJECTS, name));
+    } catch (error) {
+      failures = [error.message];
+    }
+    console.log(`${failures.length === 0 ? '✅' : '❌'} ${name}`);
+    failures.forEach(failure => console.log(`    ${failure}`));
+    if (failures.length > 0) failed++;
+  });
+
+  console.log(`\n${projects.length - failed} of ${projects.length} projects passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
\ No newline at end of file
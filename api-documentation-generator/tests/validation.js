@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Validates each broken spec in `tests/fixtures/invalid/` and compares the
+// meta-schema and ref-resolution errors with the
+// `# expect: <[file:]line> <pointer> <message>` lines at the top of the file:
+// every expected error must be reported at its line, in the referenced file
+// when one is named, and nothing else may be. The valid fixtures must report
+// no errors at all.
+// Run with `node tests/validation.js`; exits 1 on any mismatch.
+
+const fs = require('fs');
+const path = require('path');
+const { validateSpec } = require('../scripts/validate-spec');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const INVALID = path.join(FIXTURES, 'invalid');
+
+// Rules whose errors the expectations cover
+const EXPECTED_RULES = ['meta-schema', 'ref-resolution'];
+
+function expectedErrors(file) {
+  return fs.readFileSync(file, 'utf8').split('\n')
+    .map(line => line.match(/^#\s*expect:\s*(\S+)\s+(\S+)\s+(.+)$/))
+    .filter(Boolean)
+    .map(match => `${match[1]} ${match[2]} ${match[3].trim()}`);
+}
+
+function checkInvalid(file) {
+  const failures = [];
+  const expected = expectedErrors(file);
+  if (expected.length === 0) return ['declares no expected errors'];
+  const reported = validateSpec(file).errors
+    .filter(error => EXPECTED_RULES.includes(error.rule))
+    .map(error => `${error.file ? `${error.file}:` : ''}${error.line} ${error.pointer} ${error.message}`);
+
+  expected.filter(error => !reported.includes(error)).forEach(error => failures.push(`missing: ${error}`));
+  reported.filter(error => !expected.includes(error)).forEach(error => failures.push(`unexpected: ${error}`));
+  return failures;
+}
+
+function checkValid(file) {
+  return validateSpec(file).errors.map(error => `${error.line} ${error.pointer} ${error.message} (${error.rule})`);
+}
+
+function main() {
+  const specs = dir => fs.readdirSync(dir).filter(name => /\.(ya?ml|json)$/.test(name)).sort();
+  const checks = specs(FIXTURES).map(name => [name, () => checkValid(path.join(FIXTURES, name))])
+    .concat(specs(INVALID).map(name => [`invalid/${name}`, () => checkInvalid(path.join(INVALID, name))]));
+  let failed = 0;
+
+  checks.forEach(([name, check]) => {
+    let failures;
+    try {
+      failures = check();
+    } catch (error) {
+      failures = [error.message];
+    }
+    console.log(`${failures.length === 0 ? '✅' : '❌'} ${name}`);
+    failures.forEach(failure => console.log(`    ${failure}`));
+    if (failures.length > 0) failed++;
+  });
+
+  console.log(`\n${checks.length - failed} of ${checks.length} specs passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
\ No newline at end of file
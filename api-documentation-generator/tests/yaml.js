@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Writes every fixture spec back out as YAML and reads it again, checks that
+// strings other YAML readers would take for numbers, booleans, timestamps or
+// merge keys are written quoted and read back unchanged, that duplicate
+// mapping keys are rejected with their line, and that comments are written
+// back where they were.
+// Run with `node tests/yaml.js`; exits 1 on any mismatch.
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { parseYaml, stringifyYaml, YamlSyntaxError } = require('../scripts/lib/yaml');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Strings a YAML 1.1 or 1.2 reader would not read back as strings
+const AMBIGUOUS = [
+  '', '200', '1.0', '-5', '0x1F', '0o17', '1e3', '.5', '.inf', '.nan', '~', 'null', 'true', 'False',
+  'yes', 'No', 'on', 'OFF', 'y', 'N',
+  '0b101', '-0b11', '1_000', '1_000.5', '12:30', '14:05:09', '-1:30',
+  '2024-01-01', '2024-03-11T00:40:02Z', '2024-03-11 00:40:02.5 +01:00',
+  '=', '<<'
+];
+
+// Strings that read back the same either way and stay plain
+const PLAIN = ['1.0.0', 'v1', 'a=b', '2:3x', 'pets', '/pets/{petId}', 'text/plain', 'x<<y'];
+
+// Duplicate keys and the line the error names
+const DUPLICATES = [
+  ['name: a\nid: 1\nname: b\n', 3],
+  ['pet:\n  tag: a\n  tag: b\n', 3],
+  ['pet: {tag: a, id: 1, tag: b}\n', 1],
+  ["'200': ok\n'200': again\n", 2]
+];
+
+// Written back exactly as it is, comments included
+const COMMENTED = `# Pet store API
+openapi: 3.0.3 # version
+info:
+  title: Pets
+  # bump on release
+  version: 1.0.0
+paths:
+  # all pets
+  /pets:
+    get: # list
+      tags:
+        - pets # first
+        - store
+      parameters:
+        # paging
+        - name: limit # max
+          in: query
+      description: |- # literal
+        Lists pets.
+        # not a comment
+# trailing note
+`;
+
+function checkFixture(file) {
+  const failures = [];
+  const spec = parseYaml(fs.readFileSync(file, 'utf8')).value;
+  const written = stringifyYaml(spec);
+  let reread;
+  try {
+    reread = parseYaml(written).value;
+  } catch (error) {
+    return [`written YAML does not parse: ${error.message}`];
+  }
+  if (!isDeepStrictEqual(reread, spec)) failures.push('reads back different from the spec');
+  if (stringifyYaml(reread) !== written) failures.push('is written differently the second time');
+  return failures;
+}
+
+function checkScalars() {
+  const failures = [];
+  AMBIGUOUS.concat(PLAIN).forEach(text => {
+    const value = { [text]: text, list: [text] };
+    const written = stringifyYaml(value);
+    const reread = parseYaml(written).value;
+    if (!isDeepStrictEqual(reread, value)) failures.push(`${JSON.stringify(text)} reads back as ${JSON.stringify(reread)}`);
+    const quoted = /^['"]/.test(written);
+    if (quoted !== AMBIGUOUS.includes(text)) {
+      failures.push(`${JSON.stringify(text)} is written ${quoted ? 'quoted' : 'plain'}: ${written.split('\n')[0]}`);
+    }
+  });
+  return failures;
+}
+
+function checkDuplicates() {
+  const failures = [];
+  DUPLICATES.forEach(([text, line]) => {
+    try {
+      parseYaml(text);
+      failures.push(`${JSON.stringify(text)} parses`);
+    } catch (error) {
+      if (!(error instanceof YamlSyntaxError) || !/Duplicate mapping key/.test(error.message) || error.line !== line) {
+        failures.push(`${JSON.stringify(text)}: ${error.message}`);
+      }
+    }
+  });
+  return failures;
+}
+
+function checkComments() {
+  const { value, comments } = parseYaml(COMMENTED);
+  const written = stringifyYaml(value, { comments });
+  if (written === COMMENTED) return [];
+  const expected = COMMENTED.split('\n');
+  const line = written.split('\n').findIndex((text, i) => text !== expected[i]);
+  return [`line ${line + 1} is written as ${JSON.stringify(written.split('\n')[line])}, expected ${JSON.stringify(expected[line])}`];
+}
+
+function main() {
+  const files = fs.readdirSync(FIXTURES).filter(name => /\.ya?ml$/.test(name)).sort();
+  const checks = files.map(name => [name, () => checkFixture(path.join(FIXTURES, name))])
+    .concat([['ambiguous scalars', checkScalars], ['duplicate keys', checkDuplicates], ['comments', checkComments]]);
+  let failed = 0;
+
+  checks.forEach(([name, check]) => {
+    let failures;
+    try {
+      failures = check();
+    } catch (error) {
+      failures = [error.message];
+    }
+    console.log(`${failures.length === 0 ? '✅' : '❌'} ${name}`);
+    failures.forEach(failure => console.log(`    ${failure}`));
+    if (failures.length > 0) failed++;
+  });
+
+  console.log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
\ No newline at end of file